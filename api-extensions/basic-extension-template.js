@@ -9,16 +9,16 @@
  * Register the extension with the API server
  * @param {Object} app The Express app instance
  * @param {Function} authenticateJWT The authentication middleware
- * @param {Object} dependencies Additional dependencies (walletManager, fabricClient, etc.)
+ * @param {Object} dependencies Additional dependencies (walletManager, fabricClient, requirePermission, etc.)
  */
 function registerBasicExtension(app, authenticateJWT, dependencies) {
-  const { walletManager, fabricClient } = dependencies;
+  const { walletManager, fabricClient, requirePermission, hasWalletAccess, validate, Permission } = dependencies;
   
   /**
    * Example endpoint
    * GET /api/example
    */
-  app.get('/api/example', authenticateJWT, async (req, res) => {
+  app.get('/api/example', authenticateJWT, requirePermission('example:read'), async (req, res) => {
     try {
       // Your endpoint logic here
       res.json({
@@ -34,7 +34,7 @@ function registerBasicExtension(app, authenticateJWT, dependencies) {
    * Example endpoint with parameters
    * GET /api/example/:id
    */
-  app.get('/api/example/:id', authenticateJWT, async (req, res) => {
+  app.get('/api/example/:id', authenticateJWT, requirePermission('example:read'), async (req, res) => {
     try {
       const { id } = req.params;
       
@@ -53,14 +53,21 @@ function registerBasicExtension(app, authenticateJWT, dependencies) {
    * Example endpoint with request body
    * POST /api/example
    */
-  app.post('/api/example', authenticateJWT, async (req, res) => {
+  app.post('/api/example', authenticateJWT, requirePermission('example:write'), validate({
+    summary: 'Example endpoint with request body',
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        value: {}
+      },
+      required: ['name', 'value'],
+      additionalProperties: false
+    }
+  }), async (req, res) => {
     try {
       const { name, value } = req.body;
       
-      if (!name || value === undefined) {
-        return res.status(400).json({ error: 'Missing required parameters' });
-      }
-      
       // Your endpoint logic here
       res.json({
         name,
@@ -77,7 +84,7 @@ function registerBasicExtension(app, authenticateJWT, dependencies) {
    * Example endpoint with Fabric interaction
    * POST /api/example/fabric
    */
-  app.post('/api/example/fabric', authenticateJWT, async (req, res) => {
+  app.post('/api/example/fabric', authenticateJWT, requirePermission('example:write'), async (req, res) => {
     try {
       const { functionName, args } = req.body;
       
@@ -105,10 +112,15 @@ function registerBasicExtension(app, authenticateJWT, dependencies) {
    * Example endpoint with wallet interaction
    * GET /api/example/wallet/:id
    */
-  app.get('/api/example/wallet/:id', authenticateJWT, async (req, res) => {
+  app.get('/api/example/wallet/:id', authenticateJWT, requirePermission(Permission.INTERNAL_WALLETS_READ), async (req, res) => {
     try {
       const { id } = req.params;
       
+      // Only return wallets the user is allowed to access
+      if (!hasWalletAccess(req.user, id)) {
+        return res.status(403).json({ error: 'Access to internal wallet denied' });
+      }
+      
       // Get the internal wallet
       const internalWallet = await walletManager.getInternalWallet(id);
       
@@ -127,4 +139,14 @@ function registerBasicExtension(app, authenticateJWT, dependencies) {
   });
 }
 
+/**
+ * Permissions used by this extension and the roles they are granted to
+ *
+ * These are merged into the API server's role definitions when the extension is registered.
+ */
+registerBasicExtension.permissions = {
+  'example:read': ['admin', 'operator', 'auditor'],
+  'example:write': ['admin', 'operator']
+};
+
 module.exports = registerBasicExtension;
@@ -5,6 +5,40 @@
  * It is designed to work with the employee-payroll chaincode template.
  */
 
+const { toBaseUnits, toCoins, formatAmounts } = require('../src/blockchain/amounts');
+
+// Employee and payment records do not name a blockchain. All supported blockchains have the same
+// number of decimal places, so their amounts are converted with those of bitcoin.
+const PAYROLL_BLOCKCHAIN = 'bitcoin';
+const PAYMENT_AMOUNTS = ['grossAmount', 'netAmount', 'taxAmount'];
+
+/**
+ * Convert the amounts of a payroll configuration between whole coins and base units
+ * @param {Object} employeePayments The payment of each employee wallet
+ * @param {Function} convert The conversion to apply to each payment
+ * @returns {Object} The converted payments
+ */
+function convertEmployeePayments(employeePayments, convert) {
+  return Object.fromEntries(
+    Object.entries(employeePayments || {}).map(([walletId, amount]) => [walletId, convert(amount)])
+  );
+}
+
+/**
+ * Convert the amounts of a payroll configuration to whole coins, for API responses
+ * @param {Object} payrollConfig The payroll configuration
+ * @returns {Object} The converted payroll configuration
+ */
+function formatPayrollConfig(payrollConfig) {
+  return {
+    ...payrollConfig,
+    employeePayments: convertEmployeePayments(
+      payrollConfig.employeePayments,
+      amount => toCoins(amount, PAYROLL_BLOCKCHAIN)
+    )
+  };
+}
+
 /**
  * Register the employee payroll extension with the API server
  * @param {Object} app The Express app instance
@@ -12,13 +46,13 @@
  * @param {Object} dependencies Additional dependencies (walletManager, fabricClient, etc.)
  */
 function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
-  const { walletManager, fabricClient } = dependencies;
+  const { walletManager, fabricClient, requirePermission, hasWalletAccess, idempotent, Permission } = dependencies;
   
   /**
    * Register a new employee
    * POST /api/employees
    */
-  app.post('/api/employees', authenticateJWT, async (req, res) => {
+  app.post('/api/employees', authenticateJWT, requirePermission('employees:write'), async (req, res) => {
     try {
       const { id, name, walletId, salary, department, position, paymentFrequency, startDate, metadata } = req.body;
       
@@ -33,13 +67,20 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
         return res.status(404).json({ error: 'Internal wallet not found' });
       }
       
+      let salaryUnits;
+      try {
+        salaryUnits = toBaseUnits(salary, internalWallet.blockchain);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
       // Register the employee
       const result = await fabricClient.submitTransaction(
         'registerEmployee',
         id,
         name,
         walletId,
-        salary.toString(),
+        salaryUnits.toString(),
         department || '',
         position || '',
         startDate || new Date().toISOString(),
@@ -49,7 +90,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
       
       const employee = JSON.parse(result.toString());
       
-      res.json(employee);
+      res.json(formatAmounts(employee, PAYROLL_BLOCKCHAIN, ['salary']));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -59,13 +100,13 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Get all employees
    * GET /api/employees
    */
-  app.get('/api/employees', authenticateJWT, async (req, res) => {
+  app.get('/api/employees', authenticateJWT, requirePermission('employees:read'), async (req, res) => {
     try {
       // Get all employees from the Fabric network
       const result = await fabricClient.evaluateTransaction('getAllEmployees');
       const employees = JSON.parse(result.toString());
       
-      res.json(employees);
+      res.json(employees.map(employee => formatAmounts(employee, PAYROLL_BLOCKCHAIN, ['salary'])));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -75,7 +116,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Get an employee
    * GET /api/employees/:id
    */
-  app.get('/api/employees/:id', authenticateJWT, async (req, res) => {
+  app.get('/api/employees/:id', authenticateJWT, requirePermission('employees:read'), async (req, res) => {
     try {
       const { id } = req.params;
       
@@ -83,7 +124,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
       const result = await fabricClient.evaluateTransaction('getEmployee', id);
       const employee = JSON.parse(result.toString());
       
-      res.json(employee);
+      res.json(formatAmounts(employee, PAYROLL_BLOCKCHAIN, ['salary']));
     } catch (error) {
       res.status(404).json({ error: error.message });
     }
@@ -93,7 +134,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Update an employee
    * PUT /api/employees/:id
    */
-  app.put('/api/employees/:id', authenticateJWT, async (req, res) => {
+  app.put('/api/employees/:id', authenticateJWT, requirePermission('employees:write'), async (req, res) => {
     try {
       const { id } = req.params;
       const { name, walletId, salary, department, position, paymentFrequency, status, metadata } = req.body;
@@ -109,13 +150,20 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
         return res.status(404).json({ error: 'Internal wallet not found' });
       }
       
+      let salaryUnits;
+      try {
+        salaryUnits = toBaseUnits(salary, internalWallet.blockchain);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
       // Update the employee
       const result = await fabricClient.submitTransaction(
         'updateEmployeeInfo',
         id,
         name,
         walletId,
-        salary.toString(),
+        salaryUnits.toString(),
         department || '',
         position || '',
         paymentFrequency || 'monthly',
@@ -125,7 +173,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
       
       const employee = JSON.parse(result.toString());
       
-      res.json(employee);
+      res.json(formatAmounts(employee, PAYROLL_BLOCKCHAIN, ['salary']));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -135,7 +183,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Deactivate an employee
    * POST /api/employees/:id/deactivate
    */
-  app.post('/api/employees/:id/deactivate', authenticateJWT, async (req, res) => {
+  app.post('/api/employees/:id/deactivate', authenticateJWT, requirePermission('employees:write'), async (req, res) => {
     try {
       const { id } = req.params;
       
@@ -143,7 +191,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
       const result = await fabricClient.submitTransaction('deactivateEmployee', id);
       const employee = JSON.parse(result.toString());
       
-      res.json(employee);
+      res.json(formatAmounts(employee, PAYROLL_BLOCKCHAIN, ['salary']));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -153,7 +201,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Fund an internal wallet (simulate deposit)
    * POST /api/internal-wallets/:id/fund
    */
-  app.post('/api/internal-wallets/:id/fund', authenticateJWT, async (req, res) => {
+  app.post('/api/internal-wallets/:id/fund', authenticateJWT, requirePermission('internal-wallets:fund'), async (req, res) => {
     try {
       const { id } = req.params;
       const { amount } = req.body;
@@ -193,7 +241,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
         console.log(`Funding wallet ${id} with amount ${amount}`);
         
         // Use fundInternalWallet which is available in both test setups
-        const updatedWallet = await walletManager.fundInternalWallet(id, parseFloat(amount));
+        const updatedWallet = await walletManager.fundInternalWallet(id, toBaseUnits(amount, internalWallet.blockchain).toString());
         
         // Trigger reconciliation to update the base wallet balance
         try {
@@ -218,7 +266,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Process payroll
    * POST /api/payroll/process
    */
-  app.post('/api/payroll/process', authenticateJWT, async (req, res) => {
+  app.post('/api/payroll/process', authenticateJWT, requirePermission('payroll:process'), idempotent, async (req, res) => {
     try {
       const { employerWalletId } = req.body;
       
@@ -237,7 +285,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
       const result = await fabricClient.submitTransaction('processMonthlyPayroll', employerWalletId);
       const payroll = JSON.parse(result.toString());
       
-      res.json(payroll.payments || []);
+      res.json((payroll.payments || []).map(payment => formatAmounts(payment, employerWallet.blockchain, PAYMENT_AMOUNTS)));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -247,7 +295,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Process individual payment
    * POST /api/payroll/individual-payment
    */
-  app.post('/api/payroll/individual-payment', authenticateJWT, async (req, res) => {
+  app.post('/api/payroll/individual-payment', authenticateJWT, requirePermission('payroll:process'), idempotent, async (req, res) => {
     try {
       const { employerWalletId, employeeId, amount, paymentType } = req.body;
       
@@ -262,18 +310,27 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
         return res.status(404).json({ error: 'Employer wallet not found' });
       }
       
+      let amountUnits = null;
+      if (amount) {
+        try {
+          amountUnits = toBaseUnits(amount, employerWallet.blockchain).toString();
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+      }
+      
       // Process the individual payment
       const result = await fabricClient.submitTransaction(
         'processIndividualPayment',
         employerWalletId,
         employeeId,
-        amount ? amount.toString() : null,
+        amountUnits,
         paymentType || 'regular'
       );
       
       const payment = JSON.parse(result.toString());
       
-      res.json(payment);
+      res.json(formatAmounts(payment, employerWallet.blockchain, PAYMENT_AMOUNTS));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -283,7 +340,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Get employee payment history
    * GET /api/employees/:id/payment-history
    */
-  app.get('/api/employees/:id/payment-history', authenticateJWT, async (req, res) => {
+  app.get('/api/employees/:id/payment-history', authenticateJWT, requirePermission('employees:read'), async (req, res) => {
     try {
       const { id } = req.params;
       const { limit } = req.query;
@@ -297,7 +354,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
       
       const payments = JSON.parse(result.toString());
       
-      res.json(payments);
+      res.json(payments.map(payment => formatAmounts(payment, PAYROLL_BLOCKCHAIN, PAYMENT_AMOUNTS)));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -307,7 +364,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Create or update payroll configuration
    * POST /api/payroll-config
    */
-  app.post('/api/payroll-config', authenticateJWT, async (req, res) => {
+  app.post('/api/payroll-config', authenticateJWT, requirePermission('payroll:configure'), async (req, res) => {
     try {
       const { payrollCycle, payrollDay, employeePayments } = req.body;
       
@@ -315,17 +372,24 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
         return res.status(400).json({ error: 'Missing required parameters' });
       }
       
+      let paymentUnits;
+      try {
+        paymentUnits = convertEmployeePayments(employeePayments, amount => toBaseUnits(amount, PAYROLL_BLOCKCHAIN).toString());
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
       // Submit the payroll configuration to the Fabric network
       const result = await fabricClient.submitTransaction(
         'updatePayrollConfiguration',
         payrollCycle,
         payrollDay.toString(),
-        JSON.stringify(employeePayments)
+        JSON.stringify(paymentUnits)
       );
       
       const payrollConfig = JSON.parse(result.toString());
       
-      res.json(payrollConfig);
+      res.json(formatPayrollConfig(payrollConfig));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -335,7 +399,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Update payroll configuration
    * PUT /api/payroll-config
    */
-  app.put('/api/payroll-config', authenticateJWT, async (req, res) => {
+  app.put('/api/payroll-config', authenticateJWT, requirePermission('payroll:configure'), async (req, res) => {
     try {
       const { payrollCycle, payrollDay, employeePayments } = req.body;
       
@@ -343,17 +407,24 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
         return res.status(400).json({ error: 'Missing required parameters' });
       }
       
+      let paymentUnits;
+      try {
+        paymentUnits = convertEmployeePayments(employeePayments, amount => toBaseUnits(amount, PAYROLL_BLOCKCHAIN).toString());
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
       // Submit the payroll configuration to the Fabric network
       const result = await fabricClient.submitTransaction(
         'updatePayrollConfiguration',
         payrollCycle,
         payrollDay.toString(),
-        JSON.stringify(employeePayments)
+        JSON.stringify(paymentUnits)
       );
       
       const payrollConfig = JSON.parse(result.toString());
       
-      res.json(payrollConfig);
+      res.json(formatPayrollConfig(payrollConfig));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -363,7 +434,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Process payroll
    * POST /api/process-payroll
    */
-  app.post('/api/process-payroll', authenticateJWT, async (req, res) => {
+  app.post('/api/process-payroll', authenticateJWT, requirePermission('payroll:process'), idempotent, async (req, res) => {
     try {
       const { employerWalletId, payrollDate } = req.body;
       
@@ -387,7 +458,10 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
       
       const payroll = JSON.parse(result.toString());
       
-      res.json(payroll);
+      res.json({
+        ...formatAmounts(payroll, employerWallet.blockchain, ['totalAmount']),
+        transactions: (payroll.transactions || []).map(transaction => formatAmounts(transaction, employerWallet.blockchain, ['amount']))
+      });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -397,7 +471,7 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
    * Withdraw from an internal wallet to an external address
    * POST /api/internal-wallets/:id/withdraw
    */
-  app.post('/api/internal-wallets/:id/withdraw', authenticateJWT, async (req, res) => {
+  app.post('/api/internal-wallets/:id/withdraw', authenticateJWT, requirePermission(Permission.WITHDRAWALS_WRITE), idempotent, async (req, res) => {
     try {
       const { id } = req.params;
       const { toAddress, amount, fee } = req.body;
@@ -406,6 +480,10 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
         return res.status(400).json({ error: 'Missing required parameters' });
       }
       
+      if (!hasWalletAccess(req.user, id)) {
+        return res.status(403).json({ error: 'Access to internal wallet denied' });
+      }
+      
       // Get the internal wallet
       const internalWallet = await walletManager.getInternalWallet(id);
       
@@ -434,7 +512,12 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
       
       // Withdraw from the internal wallet
       try {
-        const withdrawal = await walletManager.withdrawFromInternalWallet(id, toAddress, parseFloat(amount), parseFloat(fee || 0.0001));
+        const withdrawal = await walletManager.withdrawFromInternalWallet(
+          id,
+          toAddress,
+          toBaseUnits(amount, internalWallet.blockchain).toString(),
+          toBaseUnits(fee || 0.0001, internalWallet.blockchain).toString()
+        );
         
         // Trigger reconciliation to update the base wallet balance
         try {
@@ -454,4 +537,15 @@ function registerEmployeePayrollExtension(app, authenticateJWT, dependencies) {
   });
 }
 
+/**
+ * Permissions used by this extension and the roles they are granted to
+ */
+registerEmployeePayrollExtension.permissions = {
+  'employees:read': ['admin', 'operator', 'auditor'],
+  'employees:write': ['admin', 'operator'],
+  'internal-wallets:fund': ['admin', 'operator'],
+  'payroll:configure': ['admin'],
+  'payroll:process': ['admin', 'operator']
+};
+
 module.exports = registerEmployeePayrollExtension;
@@ -5,6 +5,13 @@
  * It is designed to work with the merchant-fee chaincode template.
  */
 
+const { toBaseUnits, getBalanceUnits, formatAmounts } = require('../src/blockchain/amounts');
+
+// The fee configuration applies to every blockchain. All supported blockchains have the same
+// number of decimal places, so the fee limits are converted with those of bitcoin.
+const FEE_CONFIG_BLOCKCHAIN = 'bitcoin';
+const FEE_CONFIG_AMOUNTS = ['minimumFee', 'maximumFee'];
+
 /**
  * Register the merchant fee extension with the API server
  * @param {Object} app The Express app instance
@@ -12,13 +19,13 @@
  * @param {Object} dependencies Additional dependencies (walletManager, fabricClient, etc.)
  */
 function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
-  const { walletManager, fabricClient } = dependencies;
+  const { walletManager, fabricClient, requirePermission, hasWalletAccess, idempotent, Permission } = dependencies;
   
   /**
    * Create fee configuration
    * POST /api/fee-config
    */
-  app.post('/api/fee-config', authenticateJWT, async (req, res) => {
+  app.post('/api/fee-config', authenticateJWT, requirePermission('fees:write'), async (req, res) => {
     try {
       const { defaultFeePercentage, minFeeAmount, maxFeeAmount, merchantSpecificFees } = req.body;
       
@@ -26,18 +33,27 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
         return res.status(400).json({ error: 'Missing required parameters' });
       }
       
+      let minimumFee;
+      let maximumFee;
+      try {
+        minimumFee = toBaseUnits(minFeeAmount || 0, FEE_CONFIG_BLOCKCHAIN);
+        maximumFee = toBaseUnits(maxFeeAmount || 1, FEE_CONFIG_BLOCKCHAIN);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
       // Submit the fee configuration to the Fabric network
       const result = await fabricClient.submitTransaction(
         'updateFeeConfiguration',
         defaultFeePercentage.toString(),
-        (minFeeAmount || 0).toString(),
-        (maxFeeAmount || 1).toString(),
+        minimumFee.toString(),
+        maximumFee.toString(),
         JSON.stringify(merchantSpecificFees || {})
       );
       
       const feeConfig = JSON.parse(result.toString());
       
-      res.json(feeConfig);
+      res.json(formatAmounts(feeConfig, FEE_CONFIG_BLOCKCHAIN, FEE_CONFIG_AMOUNTS));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -47,7 +63,7 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
    * Update fee configuration
    * PUT /api/fee-config
    */
-  app.put('/api/fee-config', authenticateJWT, async (req, res) => {
+  app.put('/api/fee-config', authenticateJWT, requirePermission('fees:write'), async (req, res) => {
     try {
       const { defaultFeePercentage, minFeeAmount, maxFeeAmount, merchantSpecificFees } = req.body;
       
@@ -55,18 +71,27 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
         return res.status(400).json({ error: 'Missing required parameters' });
       }
       
+      let minimumFee;
+      let maximumFee;
+      try {
+        minimumFee = toBaseUnits(minFeeAmount || 0, FEE_CONFIG_BLOCKCHAIN);
+        maximumFee = toBaseUnits(maxFeeAmount || 1, FEE_CONFIG_BLOCKCHAIN);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
       // Submit the fee configuration to the Fabric network
       const result = await fabricClient.submitTransaction(
         'updateFeeConfiguration',
         defaultFeePercentage.toString(),
-        (minFeeAmount || 0).toString(),
-        (maxFeeAmount || 1).toString(),
+        minimumFee.toString(),
+        maximumFee.toString(),
         JSON.stringify(merchantSpecificFees || {})
       );
       
       const feeConfig = JSON.parse(result.toString());
       
-      res.json(feeConfig);
+      res.json(formatAmounts(feeConfig, FEE_CONFIG_BLOCKCHAIN, FEE_CONFIG_AMOUNTS));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -76,13 +101,13 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
    * Get fee configuration
    * GET /api/fee-config
    */
-  app.get('/api/fee-config', authenticateJWT, async (req, res) => {
+  app.get('/api/fee-config', authenticateJWT, requirePermission('fees:read'), async (req, res) => {
     try {
       // Get the fee configuration from the Fabric network
       const result = await fabricClient.evaluateTransaction('getFeeConfiguration');
       const feeConfig = JSON.parse(result.toString());
       
-      res.json(feeConfig);
+      res.json(formatAmounts(feeConfig, FEE_CONFIG_BLOCKCHAIN, FEE_CONFIG_AMOUNTS));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -92,7 +117,7 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
    * Fund an internal wallet (simulate deposit)
    * POST /api/internal-wallets/:id/fund
    */
-  app.post('/api/internal-wallets/:id/fund', authenticateJWT, async (req, res) => {
+  app.post('/api/internal-wallets/:id/fund', authenticateJWT, requirePermission('internal-wallets:fund'), async (req, res) => {
     try {
       const { id } = req.params;
       const { amount } = req.body;
@@ -129,7 +154,7 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
       
       // Update the internal wallet balance
       try {
-        const updatedWallet = await walletManager.updateInternalWalletBalance(id, parseFloat(amount));
+        const updatedWallet = await walletManager.updateInternalWalletBalance(id, toBaseUnits(amount, internalWallet.blockchain).toString());
         
         // Trigger reconciliation to update the base wallet balance
         try {
@@ -152,7 +177,7 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
    * Process a merchant transaction
    * POST /api/transactions/merchant
    */
-  app.post('/api/transactions/merchant', authenticateJWT, async (req, res) => {
+  app.post('/api/transactions/merchant', authenticateJWT, requirePermission('merchant-transactions:write'), idempotent, async (req, res) => {
     try {
       const { fromWalletId, toWalletId, feeWalletId, amount } = req.body;
       
@@ -177,8 +202,15 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
         return res.status(404).json({ error: 'Fee wallet not found' });
       }
       
+      let amountUnits;
+      try {
+        amountUnits = toBaseUnits(amount, fromWallet.blockchain);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
       // Check if the source wallet has enough balance
-      if (fromWallet.balance < amount) {
+      if (getBalanceUnits(fromWallet) < amountUnits) {
         return res.status(400).json({ error: 'Insufficient balance' });
       }
       
@@ -188,12 +220,12 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
         fromWalletId,
         toWalletId,
         feeWalletId,
-        amount.toString()
+        amountUnits.toString()
       );
       
       const transaction = JSON.parse(result.toString());
       
-      res.json(transaction);
+      res.json(formatAmounts(transaction, fromWallet.blockchain, ['amount', 'merchantAmount', 'feeAmount']));
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -203,7 +235,7 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
    * Withdraw from an internal wallet to an external address
    * POST /api/internal-wallets/:id/withdraw
    */
-  app.post('/api/internal-wallets/:id/withdraw', authenticateJWT, async (req, res) => {
+  app.post('/api/internal-wallets/:id/withdraw', authenticateJWT, requirePermission(Permission.WITHDRAWALS_WRITE), idempotent, async (req, res) => {
     try {
       const { id } = req.params;
       const { toAddress, amount, fee } = req.body;
@@ -212,6 +244,10 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
         return res.status(400).json({ error: 'Missing required parameters' });
       }
       
+      if (!hasWalletAccess(req.user, id)) {
+        return res.status(403).json({ error: 'Access to internal wallet denied' });
+      }
+      
       // Get the internal wallet
       const internalWallet = await walletManager.getInternalWallet(id);
       
@@ -240,7 +276,12 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
       
       // Withdraw from the internal wallet
       try {
-        const withdrawal = await walletManager.withdrawFromInternalWallet(id, toAddress, parseFloat(amount), parseFloat(fee || 0.0001));
+        const withdrawal = await walletManager.withdrawFromInternalWallet(
+          id,
+          toAddress,
+          toBaseUnits(amount, internalWallet.blockchain).toString(),
+          toBaseUnits(fee || 0.0001, internalWallet.blockchain).toString()
+        );
         
         // Trigger reconciliation to update the base wallet balance
         try {
@@ -260,4 +301,14 @@ function registerMerchantFeeExtension(app, authenticateJWT, dependencies) {
   });
 }
 
+/**
+ * Permissions used by this extension and the roles they are granted to
+ */
+registerMerchantFeeExtension.permissions = {
+  'fees:read': ['admin', 'operator', 'auditor'],
+  'fees:write': ['admin'],
+  'internal-wallets:fund': ['admin', 'operator'],
+  'merchant-transactions:write': ['admin', 'operator']
+};
+
 module.exports = registerMerchantFeeExtension;
@@ -28,7 +28,10 @@ export default {
     'morgan',
     'jsonwebtoken',
     'winston',
+    'bip32',
     'bitcoinjs-lib',
+    'ecpair',
+    'tiny-secp256k1',
     'fabric-ca-client',
     'fabric-common',
     'fabric-contract-api',
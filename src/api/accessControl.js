@@ -0,0 +1,252 @@
+/**
+ * Access Control
+ *
+ * This module defines the roles and permissions used by the API server and provides
+ * middleware for enforcing per-route permission checks. API extensions can declare
+ * additional permissions, which are merged into the role definitions when the
+ * extension is registered.
+ */
+
+const { MessageCode, createMessageManager } = require('./messaging');
+
+/**
+ * Permissions checked by the core API routes
+ */
+const Permission = {
+  WALLETS_READ: 'wallets:read',
+  WALLETS_MONITOR: 'wallets:monitor',
+  WALLETS_DESTROY: 'wallets:destroy',
+  INTERNAL_WALLETS_READ: 'internal-wallets:read',
+  INTERNAL_WALLETS_WRITE: 'internal-wallets:write',
+  TRANSFERS_WRITE: 'transfers:write',
+  WITHDRAWALS_WRITE: 'withdrawals:write',
+  FEE_POLICY_WRITE: 'fee-policy:write',
+  FEE_BUMPS_BASE_WALLET: 'fee-bumps:base-wallet',
+  WITHDRAWAL_BATCHES_WRITE: 'withdrawal-batches:write',
+  CONSOLIDATION_WRITE: 'consolidation:write',
+  DEPOSITS_WRITE: 'deposits:write',
+  TRANSACTIONS_READ: 'transactions:read',
+  BROADCAST_REPORT: 'broadcast:report',
+  CHAINCODE_READ: 'chaincode:read',
+  CHAINCODE_WRITE: 'chaincode:write',
+  CHAINCODE_DEPLOY: 'chaincode:deploy',
+  RECONCILIATION_READ: 'reconciliation:read',
+  RECONCILIATION_WRITE: 'reconciliation:write',
+  USERS_MANAGE: 'users:manage',
+  API_KEYS_MANAGE: 'api-keys:manage'
+};
+
+/**
+ * Permissions that can never be granted to an API key
+ */
+const NON_DELEGABLE_PERMISSIONS = [
+  Permission.USERS_MANAGE,
+  Permission.API_KEYS_MANAGE
+];
+
+/**
+ * Built-in roles
+ */
+const Role = {
+  ADMIN: 'admin',
+  OPERATOR: 'operator',
+  AUDITOR: 'auditor',
+  WALLET_OWNER: 'wallet-owner'
+};
+
+/**
+ * Default role definitions
+ *
+ * A role with `ownWalletsOnly` only grants access to the internal wallets listed
+ * in the user's `internalWalletIds`.
+ */
+const DEFAULT_ROLES = {
+  [Role.ADMIN]: {
+    description: 'Full access to every route',
+    permissions: ['*']
+  },
+  [Role.OPERATOR]: {
+    description: 'Day-to-day wallet operations, without destructive or chaincode deployment rights',
+    permissions: [
+      Permission.WALLETS_READ,
+      Permission.WALLETS_MONITOR,
+      Permission.INTERNAL_WALLETS_READ,
+      Permission.INTERNAL_WALLETS_WRITE,
+      Permission.TRANSFERS_WRITE,
+      Permission.WITHDRAWALS_WRITE,
+      Permission.FEE_BUMPS_BASE_WALLET,
+      Permission.WITHDRAWAL_BATCHES_WRITE,
+      Permission.CONSOLIDATION_WRITE,
+      Permission.DEPOSITS_WRITE,
+      Permission.TRANSACTIONS_READ,
+      Permission.BROADCAST_REPORT,
+      Permission.CHAINCODE_READ,
+      Permission.RECONCILIATION_READ,
+      Permission.RECONCILIATION_WRITE
+    ]
+  },
+  [Role.AUDITOR]: {
+    description: 'Read-only access to balances, transactions and reconciliation results',
+    permissions: [
+      Permission.WALLETS_READ,
+      Permission.INTERNAL_WALLETS_READ,
+      Permission.TRANSACTIONS_READ,
+      Permission.CHAINCODE_READ,
+      Permission.RECONCILIATION_READ
+    ]
+  },
+  [Role.WALLET_OWNER]: {
+    description: 'Access limited to the internal wallets owned by the user',
+    ownWalletsOnly: true,
+    permissions: [
+      Permission.INTERNAL_WALLETS_READ,
+      Permission.TRANSFERS_WRITE,
+      Permission.WITHDRAWALS_WRITE,
+      Permission.DEPOSITS_WRITE,
+      Permission.TRANSACTIONS_READ
+    ]
+  }
+};
+
+/**
+ * Create the access control module
+ * @param {Object} authConfig The API authentication configuration (config.api.auth)
+ * @param {Object} authConfig.roles Optional role definitions that extend or override the defaults
+ * @returns {Object} The access control module
+ */
+function createAccessControl(authConfig = {}) {
+  // Copy the default roles so that extensions never modify the shared definitions
+  const roles = {};
+  
+  for (const [name, role] of Object.entries({ ...DEFAULT_ROLES, ...(authConfig.roles || {}) })) {
+    roles[name] = {
+      ...role,
+      permissions: [...(role.permissions || [])]
+    };
+  }
+  
+  // Every permission that a route can require, used to validate API key scopes
+  const knownPermissions = new Set(Object.values(Permission));
+  
+  /**
+   * Get the roles assigned to a user
+   * @param {Object} user The authenticated user
+   * @returns {Array} The role definitions known for the user
+   */
+  function getUserRoles(user) {
+    const roleNames = (user && Array.isArray(user.roles)) ? user.roles : [];
+    return roleNames.filter(name => roles[name]).map(name => roles[name]);
+  }
+  
+  /**
+   * Check whether a user has a permission
+   *
+   * Users authenticated with an API key are limited to the key's scopes.
+   *
+   * @param {Object} user The authenticated user
+   * @param {string} permission The permission to check
+   * @returns {boolean} True if one of the user's roles (or the API key's scopes) grants the permission
+   */
+  function hasPermission(user, permission) {
+    if (user && user.apiKeyId) {
+      return Array.isArray(user.scopes) && user.scopes.includes(permission);
+    }
+    
+    return getUserRoles(user).some(role =>
+      role.permissions.includes('*') || role.permissions.includes(permission)
+    );
+  }
+  
+  /**
+   * Check whether a user may access an internal wallet
+   * @param {Object} user The authenticated user
+   * @param {string} internalWalletId The internal wallet ID
+   * @returns {boolean} True if the user may access the internal wallet
+   */
+  function hasWalletAccess(user, internalWalletId) {
+    // API keys without a wallet list may access any internal wallet their scopes allow
+    if (user && user.apiKeyId) {
+      return !Array.isArray(user.internalWalletIds) || user.internalWalletIds.includes(internalWalletId);
+    }
+    
+    const userRoles = getUserRoles(user);
+    
+    if (userRoles.some(role => !role.ownWalletsOnly)) {
+      return true;
+    }
+    
+    return Array.isArray(user.internalWalletIds) && user.internalWalletIds.includes(internalWalletId);
+  }
+  
+  /**
+   * Create middleware that rejects requests without the given permission
+   * @param {string} permission The required permission
+   * @returns {Function} Express middleware
+   */
+  function requirePermission(permission) {
+    const middleware = (req, res, next) => {
+      if (hasPermission(req.user, permission)) {
+        return next();
+      }
+      
+      const messageManager = createMessageManager();
+      messageManager.addError(
+        MessageCode.ERROR_FORBIDDEN,
+        'Insufficient permissions',
+        { permission }
+      );
+      
+      res.status(403).json(messageManager.createResponse({ success: false }));
+    };
+    
+    // Kept on the middleware so that the API documentation can list it
+    middleware.permission = permission;
+    return middleware;
+  }
+  
+  /**
+   * Grant permissions declared by an API extension
+   * @param {Object} permissions A map of permission names to the roles that are granted them
+   */
+  function registerPermissions(permissions = {}) {
+    for (const [permission, roleNames] of Object.entries(permissions)) {
+      knownPermissions.add(permission);
+      
+      for (const roleName of roleNames) {
+        if (!roles[roleName]) {
+          throw new Error(`Unknown role ${roleName} for permission ${permission}`);
+        }
+        
+        if (!roles[roleName].permissions.includes(permission)) {
+          roles[roleName].permissions.push(permission);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Check whether a permission can be granted to an API key
+   * @param {string} permission The permission
+   * @returns {boolean} True if the permission is known and may be delegated to an API key
+   */
+  function isValidScope(permission) {
+    return knownPermissions.has(permission) && !NON_DELEGABLE_PERMISSIONS.includes(permission);
+  }
+  
+  return {
+    getRoles: () => ({ ...roles }),
+    isValidRole: (name) => Boolean(roles[name]),
+    isValidScope,
+    hasPermission,
+    hasWalletAccess,
+    requirePermission,
+    registerPermissions
+  };
+}
+
+module.exports = {
+  Permission,
+  Role,
+  DEFAULT_ROLES,
+  createAccessControl
+};
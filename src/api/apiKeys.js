@@ -0,0 +1,321 @@
+/**
+ * API Keys
+ *
+ * This module provides long-lived, revocable API keys for machine-to-machine clients.
+ * Each key is limited to a set of scopes (permissions) and, optionally, to a set of
+ * internal wallet IDs. Only a SHA-256 hash of the key secret is stored; the full key
+ * is returned once, when it is created.
+ *
+ * Keys have the format `flk_<id>_<secret>` and are sent in the `X-API-Key` header.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const API_KEY_PREFIX = 'flk';
+const DEFAULT_API_KEY_STORE_PATH = './data/api-keys.json';
+
+// Minimum time between writes caused only by a key's last-used timestamp changing
+const LAST_USED_PERSIST_INTERVAL_MS = 60000;
+
+// Time of the last persisted last-used update, per store and key ID
+const lastUsedWrites = new WeakMap();
+
+/**
+ * Hash an API key secret
+ * @param {string} secret The key secret
+ * @returns {string} The hex-encoded SHA-256 hash
+ */
+function hashApiKeySecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * @returns {Object} The key ID, secret and full key
+ */
+function generateApiKey() {
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  
+  return {
+    id,
+    secret,
+    key: `${API_KEY_PREFIX}_${id}_${secret}`
+  };
+}
+
+/**
+ * Split an API key into its ID and secret
+ * @param {string} key The full API key
+ * @returns {Object|null} The key ID and secret, or null if the key is malformed
+ */
+function parseApiKey(key) {
+  if (typeof key !== 'string') {
+    return null;
+  }
+  
+  const match = key.match(/^([a-z]+)_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/);
+  
+  if (!match || match[1] !== API_KEY_PREFIX) {
+    return null;
+  }
+  
+  return { id: match[2], secret: match[3] };
+}
+
+/**
+ * Remove sensitive fields from an API key record
+ * @param {Object} record The API key record
+ * @returns {Object} The record without the key hash
+ */
+function sanitizeApiKey(record) {
+  if (!record) return null;
+  
+  const { keyHash, ...publicRecord } = record;
+  return publicRecord;
+}
+
+/**
+ * In-memory API key store
+ */
+class MemoryApiKeyStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.keys = new Map();
+  }
+  
+  /**
+   * Initialize the store
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Nothing to load for the in-memory store
+  }
+  
+  async getKey(id) {
+    const record = this.keys.get(id);
+    return record ? { ...record } : null;
+  }
+  
+  async listKeys() {
+    return Array.from(this.keys.values()).map(record => ({ ...record }));
+  }
+  
+  async createKey(record) {
+    if (this.keys.has(record.id)) {
+      throw new Error(`API key ${record.id} already exists`);
+    }
+    
+    this.keys.set(record.id, { ...record });
+    await this._persist();
+    
+    return { ...record };
+  }
+  
+  async updateKey(id, updates, options = {}) {
+    const record = this.keys.get(id);
+    
+    if (!record) {
+      throw new Error(`API key ${id} not found`);
+    }
+    
+    const updatedRecord = { ...record, ...updates, id };
+    this.keys.set(id, updatedRecord);
+    
+    if (options.persist !== false) {
+      await this._persist();
+    }
+    
+    return { ...updatedRecord };
+  }
+  
+  /**
+   * Persist the keys after a change
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist() {
+    // Nothing to persist for the in-memory store
+  }
+}
+
+/**
+ * File-backed API key store
+ */
+class FileApiKeyStore extends MemoryApiKeyStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   * @param {string} config.path The path to the API keys file
+   */
+  constructor(config = {}) {
+    super(config);
+    this.filePath = path.resolve(process.cwd(), config.path || DEFAULT_API_KEY_STORE_PATH);
+  }
+  
+  /**
+   * Load the keys from the API keys file
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    
+    const records = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    
+    for (const record of records) {
+      this.keys.set(record.id, record);
+    }
+  }
+  
+  /**
+   * Write the keys to the API keys file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(
+      this.filePath,
+      JSON.stringify(Array.from(this.keys.values()), null, 2),
+      { mode: 0o600 }
+    );
+  }
+}
+
+/**
+ * Create and initialize the API key store described by the configuration
+ * @param {Object} authConfig The API authentication configuration (config.api.auth)
+ * @returns {Promise<Object>} The initialized API key store
+ */
+async function createApiKeyStore(authConfig = {}) {
+  const storeConfig = authConfig.apiKeys || { type: 'file' };
+  let store;
+  
+  switch (storeConfig.type) {
+    case 'memory':
+      store = new MemoryApiKeyStore(storeConfig);
+      break;
+    
+    case 'custom': {
+      if (!storeConfig.module) {
+        throw new Error('Custom API key store requires a module path');
+      }
+      
+      const StoreClass = require(path.resolve(process.cwd(), storeConfig.module));
+      store = typeof StoreClass === 'function' ? new StoreClass(storeConfig) : StoreClass;
+      break;
+    }
+    
+    case 'file':
+    case undefined:
+      store = new FileApiKeyStore(storeConfig);
+      break;
+    
+    default:
+      throw new Error(`Unsupported API key store type: ${storeConfig.type}`);
+  }
+  
+  await store.initialize();
+  return store;
+}
+
+/**
+ * Create and store a new API key
+ * @param {Object} store The API key store
+ * @param {Object} options The key options
+ * @param {string} options.name A descriptive name for the key
+ * @param {Array} options.scopes The permissions granted to the key
+ * @param {Array} options.internalWalletIds Optional internal wallet IDs the key is limited to
+ * @param {string} options.expiresAt Optional ISO 8601 expiry date
+ * @param {string} options.createdBy The username of the user creating the key
+ * @returns {Promise<Object>} The stored key record (without the hash) and the full key
+ */
+async function issueApiKey(store, options) {
+  const { id, secret, key } = generateApiKey();
+  
+  const record = await store.createKey({
+    id,
+    name: options.name,
+    keyHash: hashApiKeySecret(secret),
+    scopes: options.scopes,
+    internalWalletIds: options.internalWalletIds || null,
+    expiresAt: options.expiresAt || null,
+    createdBy: options.createdBy,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  });
+  
+  return {
+    ...sanitizeApiKey(record),
+    key
+  };
+}
+
+/**
+ * Verify an API key and record its use
+ * @param {Object} store The API key store
+ * @param {string} key The full API key
+ * @returns {Promise<Object|null>} The key record without the hash, or null if the key is invalid, revoked or expired
+ */
+async function authenticateApiKey(store, key) {
+  const parsed = parseApiKey(key);
+  
+  if (!parsed) {
+    return null;
+  }
+  
+  const record = await store.getKey(parsed.id);
+  
+  if (!record || record.revokedAt) {
+    return null;
+  }
+  
+  const expected = Buffer.from(record.keyHash, 'hex');
+  const actual = Buffer.from(hashApiKeySecret(parsed.secret), 'hex');
+  
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  
+  const now = new Date();
+  
+  if (record.expiresAt && new Date(record.expiresAt) <= now) {
+    return null;
+  }
+  
+  // Only write the last-used timestamp through to storage periodically
+  if (!lastUsedWrites.has(store)) {
+    lastUsedWrites.set(store, new Map());
+  }
+  
+  const writes = lastUsedWrites.get(store);
+  const persist = now.getTime() - (writes.get(record.id) || 0) >= LAST_USED_PERSIST_INTERVAL_MS;
+  
+  if (persist) {
+    writes.set(record.id, now.getTime());
+  }
+  
+  const updatedRecord = await store.updateKey(record.id, { lastUsedAt: now.toISOString() }, { persist });
+  return sanitizeApiKey(updatedRecord);
+}
+
+module.exports = {
+  MemoryApiKeyStore,
+  FileApiKeyStore,
+  createApiKeyStore,
+  issueApiKey,
+  authenticateApiKey,
+  generateApiKey,
+  parseApiKey,
+  hashApiKeySecret,
+  sanitizeApiKey
+};
@@ -0,0 +1,379 @@
+/**
+ * Idempotency
+ *
+ * This module lets clients safely retry requests that move funds. When a request carries an
+ * `Idempotency-Key` header, the key, a hash of the request and the response are stored. A retry
+ * with the same key replays the stored response instead of running the request again, and a
+ * request that reuses a key with a different body is rejected.
+ *
+ * Keys are scoped to the client (user or API key) and the route, so different clients cannot
+ * collide or read each other's responses.
+ *
+ * Server errors (5xx) are not stored: the key is released, so that a retry runs the request again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const winston = require('winston');
+const { MessageCode, createMessageManager } = require('./messaging');
+const { getClientKey } = require('./rateLimiter');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_MS = 86400000;
+const DEFAULT_IDEMPOTENCY_STORE_PATH = './data/idempotency.json';
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'idempotency' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    }),
+    new winston.transports.File({ filename: 'logs/idempotency-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/idempotency.log' })
+  ]
+});
+
+/**
+ * In-memory idempotency store
+ */
+class MemoryIdempotencyStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.records = new Map();
+  }
+  
+  /**
+   * Initialize the store
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Nothing to load for the in-memory store
+  }
+  
+  /**
+   * Get the unexpired record for a key
+   * @param {string} key The scoped idempotency key
+   * @returns {Promise<Object|null>} The record, or null if there is none
+   */
+  async get(key) {
+    const record = this.records.get(key);
+    
+    if (!record || record.expiresAt <= Date.now()) {
+      return null;
+    }
+    
+    return { ...record };
+  }
+  
+  /**
+   * Store a record unless an unexpired record already exists for the key
+   * @param {string} key The scoped idempotency key
+   * @param {Object} record The record
+   * @returns {Promise<boolean>} True if the record was stored
+   */
+  async create(key, record) {
+    if (await this.get(key)) {
+      return false;
+    }
+    
+    this.records.set(key, { ...record });
+    await this._persist();
+    
+    return true;
+  }
+  
+  /**
+   * Update the record for a key
+   * @param {string} key The scoped idempotency key
+   * @param {Object} updates The fields to update
+   * @returns {Promise<void>}
+   */
+  async update(key, updates) {
+    const record = this.records.get(key);
+    
+    if (!record) {
+      throw new Error(`Idempotency key ${key} not found`);
+    }
+    
+    this.records.set(key, { ...record, ...updates });
+    await this._persist();
+  }
+  
+  /**
+   * Delete the record for a key
+   * @param {string} key The scoped idempotency key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    if (this.records.delete(key)) {
+      await this._persist();
+    }
+  }
+  
+  /**
+   * Remove expired records
+   * @private
+   */
+  _prune() {
+    const now = Date.now();
+    
+    for (const [key, record] of this.records.entries()) {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+  }
+  
+  /**
+   * Persist the records after a change
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist() {
+    this._prune();
+  }
+}
+
+/**
+ * File-backed idempotency store
+ */
+class FileIdempotencyStore extends MemoryIdempotencyStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   * @param {string} config.path The path to the idempotency file
+   */
+  constructor(config = {}) {
+    super(config);
+    this.filePath = path.resolve(process.cwd(), config.path || DEFAULT_IDEMPOTENCY_STORE_PATH);
+  }
+  
+  /**
+   * Load the records from the idempotency file
+   *
+   * Requests that were still being processed when the server stopped are kept, so that
+   * a retry is rejected rather than run a second time.
+   *
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    
+    const records = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    
+    for (const [key, record] of Object.entries(records)) {
+      this.records.set(key, record);
+    }
+    
+    this._prune();
+  }
+  
+  /**
+   * Write the records to the idempotency file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist() {
+    this._prune();
+    
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(
+      this.filePath,
+      JSON.stringify(Object.fromEntries(this.records), null, 2),
+      { mode: 0o600 }
+    );
+  }
+}
+
+/**
+ * Create and initialize the idempotency store described by the configuration
+ * @param {Object} idempotencyConfig The idempotency configuration (config.api.idempotency)
+ * @returns {Promise<Object>} The initialized idempotency store
+ */
+async function createIdempotencyStore(idempotencyConfig = {}) {
+  const storeConfig = idempotencyConfig.store || { type: 'file' };
+  let store;
+  
+  switch (storeConfig.type) {
+    case 'memory':
+      store = new MemoryIdempotencyStore(storeConfig);
+      break;
+    
+    case 'custom': {
+      if (!storeConfig.module) {
+        throw new Error('Custom idempotency store requires a module path');
+      }
+      
+      const StoreClass = require(path.resolve(process.cwd(), storeConfig.module));
+      store = typeof StoreClass === 'function' ? new StoreClass(storeConfig) : StoreClass;
+      break;
+    }
+    
+    case 'file':
+    case undefined:
+      store = new FileIdempotencyStore(storeConfig);
+      break;
+    
+    default:
+      throw new Error(`Unsupported idempotency store type: ${storeConfig.type}`);
+  }
+  
+  await store.initialize();
+  return store;
+}
+
+/**
+ * Serialize a value as JSON with object keys in a stable order
+ * @param {*} value The value
+ * @returns {string} The JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash the parts of a request that must match when a key is reused
+ * @param {Object} req The Express request
+ * @returns {string} The hex-encoded SHA-256 hash
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Create the idempotency middleware
+ * @param {Object} idempotencyConfig The idempotency configuration (config.api.idempotency)
+ * @param {Object} store The idempotency store
+ * @returns {Function} Express middleware; add it after authentication on routes that move funds
+ */
+function createIdempotencyMiddleware(idempotencyConfig = {}, store) {
+  const ttlMs = idempotencyConfig.ttlMs || DEFAULT_TTL_MS;
+  
+  /**
+   * Send an idempotency error in the message envelope
+   * @param {Object} res The Express response
+   * @param {number} status The HTTP status code
+   * @param {string} message The error message
+   * @param {Object} data Additional data for the message
+   */
+  const sendConflict = (res, status, message, data) => {
+    const messageManager = createMessageManager();
+    messageManager.addError(MessageCode.ERROR_IDEMPOTENCY_CONFLICT, message, data);
+    res.status(status).json(messageManager.createResponse({ success: false }));
+  };
+  
+  return async function idempotent(req, res, next) {
+    const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+    
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+    
+    if (idempotencyKey.length === 0 || idempotencyKey.length > MAX_KEY_LENGTH) {
+      const messageManager = createMessageManager();
+      messageManager.addError(
+        MessageCode.ERROR_INVALID_PARAMETERS,
+        `${IDEMPOTENCY_HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`
+      );
+      return res.status(400).json(messageManager.createResponse({ success: false }));
+    }
+    
+    const routePath = req.route ? req.route.path : req.path;
+    const scopedKey = `${getClientKey(req)}:${req.method} ${routePath}:${idempotencyKey}`;
+    const requestHash = hashRequest(req);
+    const now = Date.now();
+    
+    let created;
+    try {
+      created = await store.create(scopedKey, {
+        state: 'processing',
+        requestHash,
+        createdAt: now,
+        expiresAt: now + ttlMs
+      });
+      
+      if (!created) {
+        const record = await store.get(scopedKey);
+        
+        if (record && record.requestHash !== requestHash) {
+          return sendConflict(res, 422, `${IDEMPOTENCY_HEADER} has already been used with a different request`, { idempotencyKey });
+        }
+        
+        if (!record || record.state === 'processing') {
+          return sendConflict(res, 409, 'A request with this Idempotency-Key is still being processed', { idempotencyKey });
+        }
+        
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.statusCode).json(record.body);
+      }
+    } catch (error) {
+      return res.status(500).json({ error: `Failed to check idempotency key: ${error.message}` });
+    }
+    
+    // Capture the response so that it can be replayed
+    let captured = false;
+    const json = res.json.bind(res);
+    
+    res.json = (body) => {
+      if (!captured && res.statusCode >= 500) {
+        // The request may succeed when it is retried, so the error is not replayed
+        captured = true;
+        store.delete(scopedKey)
+          .catch(error => logger.error(`Failed to release idempotency key: ${error.message}`));
+      } else if (!captured) {
+        captured = true;
+        store.update(scopedKey, { state: 'completed', statusCode: res.statusCode, body })
+          .catch(error => logger.error(`Failed to store idempotent response: ${error.message}`));
+      }
+      
+      return json(body);
+    };
+    
+    // Release the key if the handler finished without a JSON response
+    res.on('finish', () => {
+      if (!captured) {
+        store.delete(scopedKey)
+          .catch(error => logger.error(`Failed to release idempotency key: ${error.message}`));
+      }
+    });
+    
+    next();
+  };
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  MemoryIdempotencyStore,
+  FileIdempotencyStore,
+  createIdempotencyStore,
+  createIdempotencyMiddleware,
+  hashRequest
+};
@@ -35,7 +35,15 @@ const MessageCode = {
   ERROR_INSUFFICIENT_BALANCE: 'ERROR_001',
   ERROR_WALLET_NOT_FOUND: 'ERROR_002',
   ERROR_TRANSACTION_FAILED: 'ERROR_003',
-  ERROR_INVALID_PARAMETERS: 'ERROR_004'
+  ERROR_INVALID_PARAMETERS: 'ERROR_004',
+  ERROR_UNAUTHORIZED: 'ERROR_006',
+  ERROR_FORBIDDEN: 'ERROR_007',
+  ERROR_RATE_LIMITED: 'ERROR_009',
+  ERROR_ENDPOINT_DISABLED: 'ERROR_010',
+  ERROR_IDEMPOTENCY_CONFLICT: 'ERROR_011',
+  ERROR_DUST_OUTPUT: 'ERROR_012',
+  ERROR_BELOW_MINIMUM_WITHDRAWAL: 'ERROR_013',
+  ERROR_INVALID_TRANSACTION_STATE: 'ERROR_014'
 };
 
 /**
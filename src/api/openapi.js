@@ -0,0 +1,233 @@
+/**
+ * OpenAPI Document
+ *
+ * This module builds an OpenAPI 3.1 document from the routes mounted on the API server. Each
+ * route is described by the route schema given to its `validate` middleware (see schemas.js and
+ * validation.js), so the document always matches the schemas that requests are checked against.
+ * Routes added by API extensions are included; routes without a schema are listed with their
+ * path parameters only.
+ *
+ * The middleware of a route also determines its security requirements, the permission it
+ * requires and whether it accepts an `Idempotency-Key` header.
+ */
+
+const http = require('http');
+const { routeSchemas, messageResponse } = require('./schemas');
+const { IDEMPOTENCY_HEADER } = require('./idempotency');
+const { version } = require('../../package.json');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Core route schemas are named after the key they are declared under
+const coreOperationIds = new Map(Object.entries(routeSchemas).map(([name, schema]) => [schema, name]));
+
+const errorMessagesResponse = messageResponse({
+  type: 'object',
+  properties: { success: { type: 'boolean', const: false } },
+  required: ['success']
+});
+
+/**
+ * Create an OpenAPI response object
+ * @param {number|string} status The HTTP status code
+ * @param {Object} schema The schema of the response body
+ * @returns {Object} The response object
+ */
+function createResponse(status, schema) {
+  const response = { description: http.STATUS_CODES[status] || 'Response' };
+  
+  if (schema) {
+    response.content = { 'application/json': { schema } };
+  }
+  
+  return response;
+}
+
+/**
+ * Create the OpenAPI parameters for a part of the request
+ * @param {string} location The parameter location (`path` or `query`)
+ * @param {Object} schema The schema of the route parameters or query string
+ * @returns {Array<Object>} The parameter objects
+ */
+function createParameters(location, schema) {
+  const required = schema.required || [];
+  
+  return Object.entries(schema.properties || {}).map(([name, propertySchema]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: propertySchema
+  }));
+}
+
+/**
+ * Convert an Express route path to an OpenAPI path
+ * @param {string} routePath The Express route path, for example `/api/internal-wallets/:id`
+ * @returns {Object} The OpenAPI path and the names of its parameters
+ */
+function convertPath(routePath) {
+  const parameterNames = [];
+  const path = routePath.replace(/:(\w+)/g, (match, name) => {
+    parameterNames.push(name);
+    return `{${name}}`;
+  });
+  
+  return { path, parameterNames };
+}
+
+/**
+ * Create an operation ID for a route without a named schema
+ * @param {string} method The HTTP method
+ * @param {string} path The OpenAPI path
+ * @returns {string} The operation ID, for example `postApiPayrollProcess` for `POST /api/payroll/process`
+ */
+function createOperationId(method, path) {
+  const words = path.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  return method + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Describe a route as an OpenAPI operation
+ * @param {Object} route The Express route
+ * @param {string} method The HTTP method
+ * @param {Object} middleware The middleware that identify the route's requirements
+ * @param {Function} middleware.authenticate The authentication middleware
+ * @param {Function} middleware.idempotent The idempotency middleware
+ * @param {string} extensionName The name of the extension that added the route, if any
+ * @returns {Object} The OpenAPI path and operation
+ */
+function describeRoute(route, method, middleware, extensionName) {
+  const handlers = route.stack.map(layer => layer.handle);
+  const validator = handlers.find(handler => handler.schema);
+  const schema = validator ? validator.schema : {};
+  const authenticated = handlers.includes(middleware.authenticate);
+  const permissions = handlers.filter(handler => handler.permission).map(handler => handler.permission);
+  const { path, parameterNames } = convertPath(route.path);
+  
+  const operation = {
+    operationId: schema.operationId || coreOperationIds.get(schema) || createOperationId(method, path)
+  };
+  
+  if (schema.summary) {
+    operation.summary = schema.summary;
+  }
+  
+  if (schema.description) {
+    operation.description = schema.description;
+  }
+  
+  operation.tags = schema.tags || (extensionName ? [extensionName] : []);
+  
+  // Path parameters without a schema are plain strings
+  const pathSchema = schema.params || {
+    type: 'object',
+    properties: Object.fromEntries(parameterNames.map(name => [name, { type: 'string' }]))
+  };
+  
+  const parameters = [
+    ...createParameters('path', pathSchema),
+    ...createParameters('query', schema.query || {})
+  ];
+  
+  if (handlers.includes(middleware.idempotent)) {
+    parameters.push({
+      name: IDEMPOTENCY_HEADER,
+      in: 'header',
+      required: false,
+      description: 'A unique key that makes it safe to retry the request',
+      schema: { type: 'string', minLength: 1, maxLength: 255 }
+    });
+  }
+  
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+  
+  if (schema.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: schema.body } }
+    };
+  }
+  
+  const responses = {};
+  
+  for (const [status, responseSchema] of Object.entries(schema.response || {})) {
+    responses[status] = createResponse(status, responseSchema);
+  }
+  
+  if (!Object.keys(responses).some(status => status.startsWith('2'))) {
+    responses[200] = createResponse(200);
+  }
+  
+  if (schema.params || schema.query || schema.body) {
+    responses[400] = responses[400] || createResponse(400, errorMessagesResponse);
+  }
+  
+  if (authenticated) {
+    responses[401] = responses[401] || createResponse(401);
+    responses[403] = responses[403] || createResponse(403);
+    responses[429] = responses[429] || createResponse(429, errorMessagesResponse);
+    operation.security = [{ bearerAuth: [] }, { apiKey: [] }];
+  } else {
+    operation.security = [];
+  }
+  
+  operation.responses = responses;
+  
+  if (permissions.length > 0) {
+    operation['x-permissions'] = permissions;
+  }
+  
+  return { path, operation };
+}
+
+/**
+ * Build the OpenAPI document for the routes mounted on an Express app
+ * @param {Object} app The Express app
+ * @param {Object} options The options
+ * @param {Function} options.authenticate The authentication middleware used by protected routes
+ * @param {Function} options.idempotent The idempotency middleware
+ * @param {Map} options.extensionRoutes The routes added by each extension, mapped to the extension name
+ * @returns {Object} The OpenAPI document
+ */
+function createOpenApiDocument(app, options = {}) {
+  const extensionRoutes = options.extensionRoutes || new Map();
+  const paths = {};
+  
+  for (const layer of app._router ? app._router.stack : []) {
+    const route = layer.route;
+    
+    // Skip middleware and the routes of disabled endpoint groups
+    if (!route || route.stack.some(routeLayer => routeLayer.handle.endpointDisabled)) {
+      continue;
+    }
+    
+    for (const method of METHODS.filter(routeMethod => route.methods[routeMethod])) {
+      const { path, operation } = describeRoute(route, method, options, extensionRoutes.get(route));
+      
+      paths[path] = paths[path] || {};
+      paths[path][method] = operation;
+    }
+  }
+  
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'FractaLedger API',
+      version,
+      description: 'RESTful API for managing FractaLedger wallets, internal wallets and transactions.'
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOpenApiDocument
+};
@@ -0,0 +1,260 @@
+/**
+ * Rate Limiter
+ *
+ * This module enforces the limits configured under `api.rateLimiting`. Requests are counted
+ * in fixed windows, keyed by API key, by user, or (for unauthenticated routes) by client IP.
+ *
+ * Every request counts against the default bucket (`windowMs` and `max`). Additional buckets
+ * can be configured for expensive routes; a request to one of those routes counts against
+ * both the default bucket and the route's bucket.
+ *
+ * The counters are kept in a store that can be replaced by a custom module, so that several
+ * API server instances can share them.
+ */
+
+const path = require('path');
+const { MessageCode, createMessageManager } = require('./messaging');
+
+const DEFAULT_WINDOW_MS = 900000;
+const DEFAULT_MAX = 100;
+
+/**
+ * In-memory rate limit store
+ */
+class MemoryRateLimitStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.counters = new Map();
+    this.nextSweep = 0;
+  }
+  
+  /**
+   * Count a request
+   * @param {string} key The counter key
+   * @param {number} windowMs The window length in milliseconds
+   * @returns {Promise<Object>} The request count and the time at which the window resets
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this._sweep(now);
+    
+    let counter = this.counters.get(key);
+    
+    if (!counter || counter.resetTime <= now) {
+      counter = { count: 0, resetTime: now + windowMs, windowMs };
+      this.counters.set(key, counter);
+    }
+    
+    counter.count++;
+    
+    return { count: counter.count, resetTime: counter.resetTime };
+  }
+  
+  /**
+   * Reset a counter
+   * @param {string} key The counter key
+   * @returns {Promise<void>}
+   */
+  async resetKey(key) {
+    this.counters.delete(key);
+  }
+  
+  /**
+   * Remove expired counters, at most once per window
+   * @param {number} now The current time
+   * @private
+   */
+  _sweep(now) {
+    if (now < this.nextSweep) {
+      return;
+    }
+    
+    let shortestWindow = DEFAULT_WINDOW_MS;
+    
+    for (const [key, counter] of this.counters.entries()) {
+      if (counter.resetTime <= now) {
+        this.counters.delete(key);
+      } else {
+        shortestWindow = Math.min(shortestWindow, counter.windowMs);
+      }
+    }
+    
+    this.nextSweep = now + shortestWindow;
+  }
+}
+
+/**
+ * Create the rate limit store described by the configuration
+ * @param {Object} rateLimitingConfig The rate limiting configuration (config.api.rateLimiting)
+ * @returns {Promise<Object>} The rate limit store
+ */
+async function createRateLimitStore(rateLimitingConfig = {}) {
+  const storeConfig = rateLimitingConfig.store || { type: 'memory' };
+  let store;
+  
+  switch (storeConfig.type) {
+    case 'memory':
+    case undefined:
+      store = new MemoryRateLimitStore(storeConfig);
+      break;
+    
+    case 'custom': {
+      if (!storeConfig.module) {
+        throw new Error('Custom rate limit store requires a module path');
+      }
+      
+      const StoreClass = require(path.resolve(process.cwd(), storeConfig.module));
+      store = typeof StoreClass === 'function' ? new StoreClass(storeConfig) : StoreClass;
+      break;
+    }
+    
+    default:
+      throw new Error(`Unsupported rate limit store type: ${storeConfig.type}`);
+  }
+  
+  if (typeof store.initialize === 'function') {
+    await store.initialize();
+  }
+  
+  return store;
+}
+
+/**
+ * Get the key that identifies the client making a request
+ * @param {Object} req The Express request
+ * @returns {string} The client key
+ */
+function getClientKey(req) {
+  if (req.user && req.user.apiKeyId) {
+    return `api-key:${req.user.apiKeyId}`;
+  }
+  
+  if (req.user && req.user.username) {
+    return `user:${req.user.username}`;
+  }
+  
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Create the rate limiter
+ * @param {Object} rateLimitingConfig The rate limiting configuration (config.api.rateLimiting)
+ * @param {Object} store The rate limit store
+ * @returns {Object} The rate limiter, with a `middleware` function to add to routes
+ */
+function createRateLimiter(rateLimitingConfig = {}, store) {
+  const enabled = rateLimitingConfig.enabled !== false;
+  
+  const defaultBucket = {
+    name: 'default',
+    windowMs: rateLimitingConfig.windowMs || DEFAULT_WINDOW_MS,
+    max: rateLimitingConfig.max || DEFAULT_MAX
+  };
+  
+  const routeBuckets = Object.entries(rateLimitingConfig.buckets || {}).map(([name, bucket]) => {
+    if (!Array.isArray(bucket.routes) || bucket.routes.length === 0) {
+      throw new Error(`Rate limit bucket ${name} requires at least one route`);
+    }
+    
+    return {
+      name,
+      windowMs: bucket.windowMs || defaultBucket.windowMs,
+      max: bucket.max || defaultBucket.max,
+      routes: bucket.routes
+    };
+  });
+  
+  /**
+   * Get the buckets that apply to a request
+   *
+   * Bucket routes are either a route path (`/api/reconciliation/all`), which matches every
+   * method, or a method and route path (`POST /api/transactions/withdraw`).
+   *
+   * @param {Object} req The Express request
+   * @returns {Array} The buckets
+   */
+  function getBuckets(req) {
+    const routePath = req.route ? req.route.path : req.path;
+    const route = `${req.method} ${routePath}`;
+    
+    return [
+      defaultBucket,
+      ...routeBuckets.filter(bucket => bucket.routes.includes(route) || bucket.routes.includes(routePath))
+    ];
+  }
+  
+  /**
+   * Rate limiting middleware
+   *
+   * Add this after authentication so that requests are counted per user or API key.
+   *
+   * @param {Object} req The Express request
+   * @param {Object} res The Express response
+   * @param {Function} next The next middleware
+   */
+  async function middleware(req, res, next) {
+    if (!enabled) {
+      return next();
+    }
+    
+    let exceeded = null;
+    
+    try {
+      const clientKey = getClientKey(req);
+      
+      for (const bucket of getBuckets(req)) {
+        const { count, resetTime } = await store.increment(`${bucket.name}:${clientKey}`, bucket.windowMs);
+        
+        if (bucket === defaultBucket) {
+          res.set('X-RateLimit-Limit', String(bucket.max));
+          res.set('X-RateLimit-Remaining', String(Math.max(0, bucket.max - count)));
+          res.set('X-RateLimit-Reset', String(Math.ceil(resetTime / 1000)));
+        }
+        
+        if (count > bucket.max && (!exceeded || resetTime > exceeded.resetTime)) {
+          exceeded = { bucket, resetTime };
+        }
+      }
+    } catch (error) {
+      return res.status(500).json({ error: `Failed to apply rate limit: ${error.message}` });
+    }
+    
+    if (!exceeded) {
+      return next();
+    }
+    
+    const retryAfter = Math.max(1, Math.ceil((exceeded.resetTime - Date.now()) / 1000));
+    const messageManager = createMessageManager();
+    
+    messageManager.addError(
+      MessageCode.ERROR_RATE_LIMITED,
+      'Too many requests',
+      {
+        bucket: exceeded.bucket.name,
+        limit: exceeded.bucket.max,
+        windowMs: exceeded.bucket.windowMs,
+        retryAfter
+      }
+    );
+    
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json(messageManager.createResponse({ success: false }));
+  }
+  
+  return {
+    enabled,
+    middleware,
+    getClientKey
+  };
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  createRateLimitStore,
+  createRateLimiter,
+  getClientKey
+};
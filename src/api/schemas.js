@@ -0,0 +1,1202 @@
+/**
+ * API Route Schemas
+ *
+ * This module declares the request and response schemas of the core API routes as JSON Schemas.
+ * Each route schema may contain:
+ * - `params`, `query` and `body`: Schemas that the request must match (see validation.js)
+ * - `response`: Schemas of the response body, keyed by HTTP status code
+ * - `summary` and `tags`: A short description of the route, used for documentation
+ */
+
+/**
+ * Shared schemas
+ */
+const id = { type: 'string', minLength: 1, maxLength: 255 };
+const nonEmptyString = { type: 'string', minLength: 1 };
+const timestamp = { type: 'string' };
+// Amounts are whole coins with at most as many decimal places as the currency (see blockchain/amounts.js)
+const amount = { type: 'number', exclusiveMinimum: 0, description: 'Amount in whole coins, with at most 8 decimal places' };
+// The blockchains accepted by the configuration (see configLoader.js)
+const blockchain = { type: 'string', enum: ['bitcoin', 'litecoin', 'dogecoin'] };
+// Fee rates are in satoshis per virtual byte, and priorities map to confirmation targets (see blockchain/feeEstimator.js)
+const feeRate = { type: 'number', exclusiveMinimum: 0, description: 'Fee rate in satoshis per virtual byte' };
+const feePriority = { type: 'string', enum: ['economy', 'normal', 'urgent'] };
+// The states of pending transactions (see blockchain/pendingTransactionStore.js)
+const pendingTransactionStatus = {
+  type: 'string',
+  enum: ['created', 'ready', 'broadcasted', 'seen-in-mempool', 'confirmed', 'failed', 'replaced', 'dead-letter']
+};
+
+/**
+ * Create an object schema that rejects unknown properties
+ * @param {Object} properties The property schemas
+ * @param {Array<string>} required The required properties
+ * @returns {Object} The object schema
+ */
+function strictObject(properties, required = []) {
+  return {
+    type: 'object',
+    properties,
+    required,
+    additionalProperties: false
+  };
+}
+
+/**
+ * Create a schema for a response in the message envelope (see messaging.js)
+ * @param {Object} dataSchema The schema of the `data` property
+ * @returns {Object} The response schema
+ */
+function messageResponse(dataSchema) {
+  return {
+    type: 'object',
+    properties: {
+      data: dataSchema,
+      messages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['info', 'warning', 'error'] },
+            code: { type: 'string' },
+            message: { type: 'string' },
+            data: { type: 'object' },
+            timestamp
+          },
+          required: ['type', 'code', 'message']
+        }
+      }
+    },
+    required: ['data', 'messages']
+  };
+}
+
+const errorResponse = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' }
+  },
+  required: ['error']
+};
+
+const successResponse = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' }
+  },
+  required: ['success']
+};
+
+const walletParams = strictObject({ blockchain, name: id }, ['blockchain', 'name']);
+const idParams = strictObject({ id }, ['id']);
+const txidParams = strictObject({ txid: nonEmptyString }, ['txid']);
+
+const wallet = {
+  type: 'object',
+  properties: {
+    blockchain: { type: 'string' },
+    name: { type: 'string' },
+    address: { type: 'string' },
+    connectionType: { type: 'string' }
+  },
+  required: ['blockchain', 'name']
+};
+
+const internalWallet = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    blockchain: { type: 'string' },
+    primaryWalletName: { type: 'string' },
+    balance: { type: 'number' },
+    metadata: { type: 'object' },
+    depositAddress: { type: 'string', description: 'The standing deposit address of an internal wallet of an HD primary wallet, when the wallet is created' },
+    createdAt: timestamp,
+    updatedAt: timestamp
+  },
+  required: ['id', 'blockchain', 'primaryWalletName', 'balance']
+};
+
+// A receive address of an HD primary wallet that is assigned to an internal wallet (see deposits/depositManager.js)
+const depositAddress = {
+  type: 'object',
+  properties: {
+    address: { type: 'string' },
+    internalWalletId: { type: 'string' },
+    blockchain: { type: 'string' },
+    primaryWalletName: { type: 'string' },
+    path: { type: 'string', description: 'The path of the address below the xpub of the primary wallet, such as 0/5' },
+    requestId: { type: ['string', 'null'], description: 'The deposit request the address was derived for, or null for the standing address of the internal wallet' },
+    createdAt: timestamp
+  },
+  required: ['address', 'internalWalletId', 'path']
+};
+
+// A payment request that deposits can name in an OP_RETURN memo (see deposits/depositManager.js)
+const paymentRequest = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    internalWalletId: { type: 'string' },
+    blockchain: { type: 'string' },
+    primaryWalletName: { type: 'string' },
+    amount: { type: ['number', 'null'], description: 'The amount requested, if any' },
+    address: { type: 'string', description: 'The address to pay: a fresh address of an HD primary wallet, or the address of the primary wallet' },
+    memo: { type: 'string', description: 'The OP_RETURN memo that attributes a payment to the primary wallet address to the request' },
+    createdAt: timestamp
+  },
+  required: ['id', 'internalWalletId', 'address', 'memo']
+};
+
+// An output paid to a primary wallet and matched to an internal wallet (see deposits/depositProcessor.js)
+const deposit = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', description: 'The outpoint of the deposit, as txid:vout' },
+    txid: { type: 'string' },
+    vout: { type: 'integer' },
+    address: { type: ['string', 'null'] },
+    internalWalletId: { type: 'string' },
+    matchedBy: { type: 'string', enum: ['address', 'memo', 'payment-request'] },
+    reference: { type: ['string', 'null'], description: 'The deposit request, memo or payment request that matched the deposit' },
+    amount: { type: 'number' },
+    blockHeight: { type: ['integer', 'null'] },
+    status: { type: 'string', enum: ['pending', 'credited', 'reversed'] },
+    confirmations: { type: 'integer', description: 'The confirmations of a pending deposit' },
+    requiredConfirmations: { type: 'integer', description: 'The confirmations a pending deposit needs before it is credited' },
+    creditedAt: timestamp,
+    reversedAt: timestamp,
+    reversalReason: { type: ['string', 'null'] }
+  },
+  required: ['id', 'txid', 'vout', 'internalWalletId', 'amount', 'status']
+};
+
+const transfer = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    fromWalletId: { type: 'string' },
+    toWalletId: { type: 'string' },
+    amount: { type: 'number' },
+    memo: { type: 'string' },
+    timestamp
+  },
+  required: ['id', 'fromWalletId', 'toWalletId', 'amount']
+};
+
+const withdrawal = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    internalWalletId: { type: 'string' },
+    toAddress: { type: 'string' },
+    amount: { type: 'number' },
+    fee: { type: 'number' },
+    feeRate: { type: ['number', 'null'], description: 'The fee rate in satoshis per virtual byte that the fee was estimated at' },
+    priority: { type: ['string', 'null'], description: 'The priority the fee rate was chosen for, or null for an explicit fee rate' },
+    txid: { type: 'string' },
+    status: { type: 'string', description: '`awaiting-signature` for withdrawals from primary wallets that are signed externally, `queued` for withdrawals waiting for a batch and `batched` once the batch is sent' },
+    psbt: { type: 'string', description: 'The unsigned transaction as a base64 PSBT, for withdrawals that are awaiting signatures' },
+    opReturn: { type: 'string' },
+    batchId: { type: 'string', description: 'The withdrawal batch that paid the withdrawal' },
+    vout: { type: 'integer', description: 'The output of the batch transaction that pays the withdrawal' },
+    timestamp
+  },
+  required: ['id', 'internalWalletId', 'toAddress', 'amount', 'fee']
+};
+
+// Withdrawals paid by a single transaction, with an output each (see withdrawals/withdrawalBatcher.js)
+const withdrawalBatch = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    txid: { type: 'string' },
+    blockchain: { type: 'string' },
+    primaryWalletName: { type: 'string' },
+    fee: { type: 'number', description: 'The fee of the batch transaction' },
+    feeRate: { type: ['number', 'null'] },
+    feeSplit: { type: ['string', 'null'], description: 'The rule that split the fee across the withdrawals: `equal` or `proportional`' },
+    withdrawals: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          withdrawalId: { type: 'string' },
+          internalWalletId: { type: 'string' },
+          toAddress: { type: 'string' },
+          amount: { type: 'number' },
+          fee: { type: 'number', description: 'The share of the fee paid by the withdrawal' },
+          vout: { type: 'integer' }
+        },
+        required: ['withdrawalId', 'internalWalletId', 'amount', 'fee', 'vout']
+      }
+    },
+    timestamp
+  },
+  required: ['id', 'txid', 'fee', 'withdrawals']
+};
+
+// The withdrawals that are queued for a batch transaction from a primary wallet
+const withdrawalQueue = {
+  type: 'object',
+  properties: {
+    blockchain: { type: 'string' },
+    primaryWalletName: { type: 'string' },
+    count: { type: 'integer' },
+    amount: { type: 'number', description: 'The total amount of the queued withdrawals' },
+    withdrawals: { type: 'array', items: withdrawal }
+  },
+  required: ['blockchain', 'primaryWalletName', 'count', 'amount', 'withdrawals']
+};
+
+// A transaction that is signed outside of FractaLedger (see blockchainConnector.js)
+const unsignedTransaction = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    status: { type: 'string', enum: ['awaiting-signature', 'signed', 'cancelled'] },
+    psbt: { type: 'string', description: 'The PSBT in base64 format, with the signatures collected so far' },
+    toAddress: { type: 'string' },
+    amount: { type: 'number' },
+    fee: { type: 'number' },
+    inputs: { type: 'array', items: { type: 'object' } },
+    outputs: { type: 'array', items: { type: 'object' } },
+    signedInputs: { type: 'integer' },
+    requiredSignatures: { type: 'integer', description: 'The number of cosigners that must sign a transaction of a multisig wallet' },
+    cosigners: {
+      type: 'array',
+      description: 'The cosigners of a multisig wallet, and whether each of them has signed every input',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          publicKey: { type: 'string' },
+          signed: { type: 'boolean' }
+        }
+      }
+    },
+    txid: { type: 'string' },
+    internalWalletId: { type: 'string' },
+    blockchain: { type: 'string' },
+    primaryWalletName: { type: 'string' },
+    createdAt: timestamp,
+    expiresAt: { ...timestamp, description: 'When the signing timeout passes, and the withdrawal is cancelled if it is not signed' },
+    broadcast: { type: 'object' }
+  },
+  required: ['id', 'status', 'psbt', 'toAddress', 'amount', 'fee', 'signedInputs']
+};
+
+// The cosigners of a multisig primary wallet (see multisig.js)
+const multisigInfo = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['p2wsh', 'p2sh-p2wsh'] },
+    threshold: { type: 'integer' },
+    address: { type: 'string' },
+    witnessScript: { type: 'string' },
+    cosigners: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          publicKey: { type: 'string' },
+          xpub: { type: 'string' },
+          fingerprint: { type: 'string' },
+          path: { type: 'string' },
+          local: { type: 'boolean', description: 'Whether FractaLedger holds the key of the cosigner and signs with it' }
+        },
+        required: ['name', 'publicKey', 'local']
+      }
+    }
+  },
+  required: ['type', 'threshold', 'address', 'cosigners']
+};
+
+// A fee rate estimate for a priority (see blockchain/feeEstimator.js)
+const feeRateEstimate = {
+  type: 'object',
+  properties: {
+    feeRate,
+    priority: feePriority,
+    targetBlocks: { type: 'integer', description: 'The number of blocks the priority aims to confirm within' },
+    source: { type: 'string', description: 'The source of the estimate: `transceiver`, `static`, `mempool`, a custom source, or `minimum` if no source had one' }
+  },
+  required: ['feeRate', 'priority', 'targetBlocks', 'source']
+};
+
+const feeRates = {
+  type: 'object',
+  properties: {
+    blockchain: { type: 'string' },
+    minFeeRate: { type: 'number' },
+    maxFeeRate: { type: ['number', 'null'] },
+    priorities: {
+      type: 'object',
+      properties: {
+        economy: feeRateEstimate,
+        normal: feeRateEstimate,
+        urgent: feeRateEstimate
+      }
+    }
+  },
+  required: ['blockchain', 'minFeeRate', 'priorities']
+};
+
+// A consolidation of the small UTXOs of a primary wallet (see consolidation/utxoConsolidator.js)
+const utxoConsolidation = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    txid: { type: 'string' },
+    blockchain: { type: 'string' },
+    primaryWalletName: { type: 'string' },
+    baseWalletId: { type: 'string', description: 'The base wallet that paid the fee' },
+    fee: { type: 'number' },
+    feeRate: { type: ['number', 'null'] },
+    inputCount: { type: ['integer', 'null'], description: 'The number of UTXOs that were consolidated' },
+    inputTotal: { type: ['number', 'null'], description: 'The total value of the consolidated UTXOs' },
+    timestamp
+  },
+  required: ['id', 'txid', 'baseWalletId', 'fee']
+};
+
+// Who pays the additional fee of bumped withdrawal transactions (see the chaincode's setFeeBumpPolicy)
+const feeBumpPolicy = {
+  type: 'object',
+  properties: {
+    chargeTo: { type: 'string', enum: ['internal-wallet', 'base-wallet'] },
+    updatedAt: timestamp
+  },
+  required: ['chargeTo']
+};
+
+// The replacement (RBF) or child (CPFP) transaction that bumped the fee of a withdrawal
+const feeBump = {
+  type: 'object',
+  properties: {
+    withdrawalId: { type: 'string' },
+    internalWalletId: { type: 'string' },
+    method: { type: 'string', enum: ['rbf', 'cpfp'] },
+    originalTxid: { type: 'string' },
+    txid: { type: 'string', description: 'The ID of the replacement or child transaction' },
+    fee: { type: 'number', description: 'The fee of the replacement or child transaction' },
+    additionalFee: { type: 'number', description: 'The fee charged on top of the fees paid before' },
+    feeRate,
+    priority: { type: ['string', 'null'] },
+    virtualSize: { type: 'number' },
+    chargedTo: { type: 'string', enum: ['internal-wallet', 'base-wallet'] },
+    chargedWalletId: { type: 'string' },
+    broadcast: { type: 'object' }
+  },
+  required: ['withdrawalId', 'method', 'originalTxid', 'txid', 'additionalFee', 'feeRate', 'chargedTo', 'chargedWalletId']
+};
+
+const pendingTransaction = {
+  type: 'object',
+  properties: {
+    txid: { type: 'string' },
+    txHex: { type: 'string' },
+    status: pendingTransactionStatus,
+    internalWalletId: { type: 'string' },
+    blockchain: { type: 'string' },
+    primaryWalletName: { type: 'string' },
+    timestamp: { type: 'number' },
+    updatedAt: { type: 'number' },
+    retry: {
+      type: 'object',
+      properties: {
+        attempts: { type: 'integer' },
+        nextAttemptAt: { type: ['number', 'null'] }
+      }
+    },
+    broadcastAttempts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          attempt: { type: 'integer' },
+          transceiver: { type: 'string' },
+          method: { type: 'string' },
+          timestamp: { type: 'number' },
+          success: { type: 'boolean' },
+          error: { type: ['string', 'null'] }
+        },
+        required: ['attempt', 'transceiver', 'success']
+      }
+    },
+    confirmations: { type: 'integer' },
+    blockHeight: { type: ['integer', 'null'] },
+    blockHash: { type: ['string', 'null'] },
+    final: { type: 'boolean' },
+    reorgs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', enum: ['block-changed', 'unconfirmed', 'dropped'] },
+          previous: { type: 'object' },
+          current: { type: ['object', 'null'] },
+          timestamp: { type: 'number' }
+        },
+        required: ['reason', 'timestamp']
+      }
+    },
+    history: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          status: pendingTransactionStatus,
+          timestamp: { type: 'number' }
+        },
+        required: ['status', 'timestamp']
+      }
+    }
+  },
+  required: ['txid', 'status']
+};
+
+const discrepancy = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    blockchain: { type: 'string' },
+    primaryWalletName: { type: 'string' },
+    onChainBalance: { type: 'number' },
+    aggregateInternalBalance: { type: 'number' },
+    difference: { type: 'number' },
+    resolved: { type: 'boolean' },
+    resolution: { type: 'string' },
+    timestamp
+  },
+  required: ['id', 'resolved']
+};
+
+const user = {
+  type: 'object',
+  properties: {
+    username: { type: 'string' },
+    roles: { type: 'array', items: { type: 'string' } },
+    internalWalletIds: { type: 'array', items: { type: 'string' } },
+    disabled: { type: 'boolean' },
+    createdAt: timestamp,
+    updatedAt: timestamp
+  },
+  required: ['username', 'roles']
+};
+
+const apiKey = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    scopes: { type: 'array', items: { type: 'string' } },
+    internalWalletIds: { type: ['array', 'null'], items: { type: 'string' } },
+    expiresAt: { type: ['string', 'null'] },
+    createdBy: { type: 'string' },
+    createdAt: timestamp,
+    lastUsedAt: { type: ['string', 'null'] },
+    revokedAt: { type: ['string', 'null'] }
+  },
+  required: ['id', 'name', 'scopes']
+};
+
+const tokens = {
+  type: 'object',
+  properties: {
+    token: { type: 'string' },
+    refreshToken: { type: 'string' }
+  },
+  required: ['token', 'refreshToken']
+};
+
+const chaincode = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    path: { type: 'string' }
+  },
+  required: ['id']
+};
+
+const monitoringStatus = (status, timeProperty) => messageResponse({
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    monitoring: {
+      type: 'object',
+      properties: {
+        blockchain: { type: 'string' },
+        walletName: { type: 'string' },
+        walletAddress: { type: 'string' },
+        status: { type: 'string', const: status },
+        [timeProperty]: timestamp
+      },
+      required: ['blockchain', 'walletName', 'status']
+    }
+  },
+  required: ['success', 'monitoring']
+});
+
+/**
+ * Core route schemas, keyed by route name
+ */
+const routeSchemas = {
+  // Health check
+  health: {
+    summary: 'Check that the API server is running',
+    tags: ['Health'],
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', const: 'ok' },
+          endpoints: { type: 'object', additionalProperties: { type: 'boolean' } }
+        },
+        required: ['status', 'endpoints']
+      }
+    }
+  },
+  
+  // API documentation
+  openApiDocument: {
+    summary: 'Get the OpenAPI document describing this API',
+    tags: ['Documentation'],
+    response: { 200: { type: 'object' } }
+  },
+  
+  // Authentication
+  login: {
+    summary: 'Log in with a username and password',
+    tags: ['Authentication'],
+    body: strictObject({ username: nonEmptyString, password: nonEmptyString }, ['username', 'password']),
+    response: { 200: tokens, 401: errorResponse }
+  },
+  refresh: {
+    summary: 'Exchange a refresh token for a new token pair',
+    tags: ['Authentication'],
+    body: strictObject({ refreshToken: nonEmptyString }, ['refreshToken']),
+    response: { 200: tokens, 401: errorResponse }
+  },
+  logout: {
+    summary: 'Revoke the current access token and session',
+    tags: ['Authentication'],
+    body: strictObject({ allSessions: { type: 'boolean' } }),
+    response: { 200: successResponse }
+  },
+  
+  // API key management
+  listApiKeys: {
+    summary: 'List API keys',
+    tags: ['API Keys'],
+    response: { 200: { type: 'array', items: apiKey } }
+  },
+  createApiKey: {
+    summary: 'Create an API key',
+    tags: ['API Keys'],
+    body: strictObject({
+      name: nonEmptyString,
+      scopes: { type: 'array', items: nonEmptyString, minItems: 1, uniqueItems: true },
+      internalWalletIds: { type: ['array', 'null'], items: id },
+      expiresAt: { type: ['string', 'null'] }
+    }, ['name', 'scopes']),
+    response: {
+      201: {
+        ...apiKey,
+        properties: { ...apiKey.properties, key: { type: 'string' } },
+        required: [...apiKey.required, 'key']
+      }
+    }
+  },
+  getApiKey: {
+    summary: 'Get an API key',
+    tags: ['API Keys'],
+    params: idParams,
+    response: { 200: apiKey, 404: errorResponse }
+  },
+  revokeApiKey: {
+    summary: 'Revoke an API key',
+    tags: ['API Keys'],
+    params: idParams,
+    response: { 200: apiKey, 404: errorResponse }
+  },
+  
+  // User management
+  listUsers: {
+    summary: 'List users',
+    tags: ['Users'],
+    response: { 200: { type: 'array', items: user } }
+  },
+  createUser: {
+    summary: 'Create a user',
+    tags: ['Users'],
+    body: strictObject({
+      username: id,
+      password: nonEmptyString,
+      roles: { type: 'array', items: nonEmptyString, uniqueItems: true },
+      internalWalletIds: { type: 'array', items: id, uniqueItems: true }
+    }, ['username', 'password']),
+    response: { 201: user, 409: errorResponse }
+  },
+  updateUser: {
+    summary: 'Update a user',
+    tags: ['Users'],
+    params: strictObject({ username: id }, ['username']),
+    body: strictObject({
+      password: nonEmptyString,
+      roles: { type: 'array', items: nonEmptyString, uniqueItems: true },
+      internalWalletIds: { type: 'array', items: id, uniqueItems: true },
+      disabled: { type: 'boolean' }
+    }),
+    response: { 200: user, 404: errorResponse }
+  },
+  deleteUser: {
+    summary: 'Delete a user',
+    tags: ['Users'],
+    params: strictObject({ username: id }, ['username']),
+    response: { 200: successResponse, 404: errorResponse }
+  },
+  
+  // Wallet management
+  listWallets: {
+    summary: 'List the primary on-chain wallets',
+    tags: ['Wallets'],
+    response: { 200: { type: 'array', items: wallet } }
+  },
+  listBlockchainWallets: {
+    summary: 'List the primary on-chain wallets of a blockchain',
+    tags: ['Wallets'],
+    params: strictObject({ blockchain }, ['blockchain']),
+    response: { 200: { type: 'array', items: wallet } }
+  },
+  getWallet: {
+    summary: 'Get a primary on-chain wallet and its balance',
+    tags: ['Wallets'],
+    params: walletParams,
+    response: {
+      200: {
+        ...wallet,
+        properties: { ...wallet.properties, balance: { type: 'number' } },
+        required: [...wallet.required, 'balance']
+      },
+      404: errorResponse
+    }
+  },
+  getWalletReadOnly: {
+    summary: 'Get the balances of a primary wallet and its internal wallets',
+    tags: ['Wallets'],
+    params: walletParams,
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          blockchain: { type: 'string' },
+          name: { type: 'string' },
+          address: { type: 'string' },
+          connectionType: { type: 'string' },
+          balance: { type: 'number' },
+          aggregateInternalBalance: { type: 'number' },
+          excessBalance: { type: 'number' },
+          baseInternalWalletId: { type: ['string', 'null'] }
+        },
+        required: ['blockchain', 'name', 'balance', 'aggregateInternalBalance', 'excessBalance']
+      },
+      404: errorResponse
+    }
+  },
+  getWalletCosigners: {
+    summary: 'Get the threshold and cosigners of a multisig primary wallet',
+    tags: ['Wallets'],
+    params: walletParams,
+    response: { 200: multisigInfo, 404: errorResponse }
+  },
+  getWalletFeeRates: {
+    summary: 'Get the fee rate of each withdrawal priority for a primary wallet',
+    tags: ['Wallets'],
+    params: walletParams,
+    response: { 200: feeRates, 404: errorResponse }
+  },
+  consolidateUtxos: {
+    summary: 'Consolidate the small UTXOs of a primary wallet into one output, charging the fee to its base wallet',
+    tags: ['Wallets'],
+    params: walletParams,
+    body: strictObject({
+      force: { type: 'boolean', description: 'Consolidate even if the fee rate exceeds `maxFeeRate`' },
+      feeRate: { ...feeRate, description: 'An explicit fee rate in satoshis per virtual byte, instead of the estimate for the configured priority' },
+      maxUtxoValue: { type: 'number', exclusiveMinimum: 0, description: 'The value in whole coins that consolidated UTXOs are worth less than' },
+      minUtxos: { type: 'integer', minimum: 2 },
+      maxInputs: { type: 'integer', minimum: 2 }
+    }),
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          blockchain: { type: 'string' },
+          primaryWalletName: { type: 'string' },
+          consolidated: { type: 'boolean' },
+          reason: { type: 'string', enum: ['fee-rate', 'too-few-utxos'], description: 'Why the UTXOs were not consolidated' },
+          feeRate,
+          consolidation: utxoConsolidation,
+          amount: { type: 'number', description: 'The value of the consolidated output' },
+          address: { type: 'string' },
+          broadcast: { type: 'object' }
+        },
+        required: ['blockchain', 'primaryWalletName', 'consolidated', 'feeRate']
+      },
+      400: errorResponse,
+      404: errorResponse
+    }
+  },
+  getUtxoConsolidations: {
+    summary: 'List the UTXO consolidations of a primary wallet',
+    tags: ['Wallets'],
+    params: walletParams,
+    response: { 200: { type: 'array', items: utxoConsolidation }, 404: errorResponse }
+  },
+  getWalletTransactions: {
+    summary: 'Get the on-chain transaction history of a primary wallet',
+    tags: ['Wallets'],
+    params: walletParams,
+    query: strictObject({
+      limit: { type: 'integer', minimum: 1, maximum: 1000 },
+      page: { type: 'integer', minimum: 1 },
+      startDate: nonEmptyString,
+      endDate: nonEmptyString
+    }),
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          transactions: { type: 'array', items: { type: 'object' } },
+          pagination: {
+            type: 'object',
+            properties: {
+              page: { type: 'integer' },
+              limit: { type: 'integer' },
+              totalItems: { type: 'integer' },
+              totalPages: { type: 'integer' }
+            },
+            required: ['page', 'limit', 'totalItems', 'totalPages']
+          }
+        },
+        required: ['transactions', 'pagination']
+      },
+      404: errorResponse
+    }
+  },
+  startMonitoring: {
+    summary: 'Start monitoring the address of a primary wallet',
+    tags: ['Monitoring'],
+    params: walletParams,
+    response: { 200: monitoringStatus('monitoring', 'startedAt') }
+  },
+  stopMonitoring: {
+    summary: 'Stop monitoring the address of a primary wallet',
+    tags: ['Monitoring'],
+    params: walletParams,
+    response: { 200: monitoringStatus('stopped', 'stoppedAt') }
+  },
+  listMonitoredWallets: {
+    summary: 'List the monitored addresses of all primary wallets',
+    tags: ['Monitoring'],
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          wallets: { type: 'object' }
+        },
+        required: ['wallets']
+      }
+    }
+  },
+  destroyWallet: {
+    summary: 'Destroy a primary wallet and all associated data',
+    tags: ['Wallets'],
+    params: walletParams,
+    body: strictObject({ confirmation: nonEmptyString }, ['confirmation']),
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          message: { type: 'string' },
+          details: { type: 'object' }
+        },
+        required: ['success', 'message']
+      }
+    }
+  },
+  
+  // Internal wallet management
+  createInternalWallet: {
+    summary: 'Create an internal wallet',
+    tags: ['Internal Wallets'],
+    body: strictObject({
+      blockchain,
+      primaryWalletName: id,
+      internalWalletId: id,
+      metadata: { type: 'object' }
+    }, ['blockchain', 'primaryWalletName', 'internalWalletId']),
+    response: { 200: internalWallet, 400: errorResponse }
+  },
+  listInternalWallets: {
+    summary: 'List internal wallets',
+    tags: ['Internal Wallets'],
+    response: { 200: { type: 'array', items: internalWallet } }
+  },
+  getInternalWallet: {
+    summary: 'Get an internal wallet',
+    tags: ['Internal Wallets'],
+    params: idParams,
+    response: { 200: internalWallet, 403: errorResponse, 404: errorResponse }
+  },
+  getInternalWalletBalance: {
+    summary: 'Get the balance of an internal wallet',
+    tags: ['Internal Wallets'],
+    params: idParams,
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          blockchain: { type: 'string' },
+          balance: { type: 'number' }
+        },
+        required: ['id', 'balance']
+      },
+      403: errorResponse
+    }
+  },
+  assignDepositAddress: {
+    summary: 'Get the standing deposit address of an internal wallet, or a fresh address for a deposit request',
+    tags: ['Internal Wallets'],
+    params: idParams,
+    body: strictObject({ requestId: id }),
+    response: { 200: depositAddress, 400: errorResponse, 403: errorResponse }
+  },
+  listDepositAddresses: {
+    summary: 'List the deposit addresses of an internal wallet',
+    tags: ['Internal Wallets'],
+    params: idParams,
+    response: { 200: { type: 'array', items: depositAddress }, 403: errorResponse }
+  },
+  createPaymentRequest: {
+    summary: 'Create a payment request, whose payments are credited to an internal wallet',
+    tags: ['Internal Wallets'],
+    params: idParams,
+    body: strictObject({ id: { type: 'string', minLength: 1, maxLength: 80, description: 'The ID of the payment request, which payments carry as their OP_RETURN memo (default: a random ID)' }, amount }),
+    response: { 200: paymentRequest, 400: errorResponse, 403: errorResponse }
+  },
+  listDeposits: {
+    summary: 'List the deposits credited to an internal wallet, and those waiting for confirmations',
+    tags: ['Internal Wallets'],
+    params: idParams,
+    response: { 200: { type: 'array', items: deposit }, 403: errorResponse }
+  },
+  updateInternalWalletMetadata: {
+    summary: 'Replace the metadata of an internal wallet',
+    tags: ['Internal Wallets'],
+    params: idParams,
+    body: strictObject({ metadata: { type: 'object' } }, ['metadata']),
+    response: { 200: internalWallet, 403: errorResponse, 404: errorResponse }
+  },
+  
+  // Transactions
+  internalTransfer: {
+    summary: 'Transfer funds between internal wallets',
+    tags: ['Transactions'],
+    body: strictObject({
+      fromInternalWalletId: id,
+      toInternalWalletId: id,
+      amount,
+      memo: { type: 'string', maxLength: 1024 }
+    }, ['fromInternalWalletId', 'toInternalWalletId', 'amount']),
+    response: {
+      200: messageResponse({
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          transfer
+        },
+        required: ['success', 'transfer']
+      })
+    }
+  },
+  withdraw: {
+    summary: 'Withdraw funds from an internal wallet to an on-chain address',
+    tags: ['Transactions'],
+    body: strictObject({
+      internalWalletId: id,
+      toAddress: nonEmptyString,
+      amount,
+      opReturn: { type: 'string' },
+      priority: { ...feePriority, description: 'The priority to estimate the fee rate for (default: `normal`)' },
+      feeRate: { ...feeRate, description: 'An explicit fee rate in satoshis per virtual byte, instead of a priority' },
+      batch: { type: 'boolean', description: 'Whether to queue the withdrawal for a batch transaction (default: the `withdrawalBatching` configuration)' }
+    }, ['internalWalletId', 'toAddress', 'amount']),
+    response: {
+      200: {
+        ...withdrawal,
+        properties: {
+          ...withdrawal.properties,
+          batch: { ...withdrawalBatch, description: 'The batch, if queueing the withdrawal filled the queue and the batch was sent' }
+        }
+      },
+      400: errorResponse,
+      403: errorResponse,
+      404: errorResponse
+    }
+  },
+  getPsbt: {
+    summary: 'Get the unsigned PSBT of a withdrawal that is awaiting signatures',
+    tags: ['Transactions'],
+    params: idParams,
+    response: { 200: unsignedTransaction, 403: errorResponse, 404: errorResponse }
+  },
+  submitPsbt: {
+    summary: 'Submit signed or partially signed PSBTs of a withdrawal, and broadcast it once it is fully signed',
+    tags: ['Transactions'],
+    params: idParams,
+    body: {
+      ...strictObject({
+        psbt: nonEmptyString,
+        psbts: { type: 'array', items: nonEmptyString, minItems: 1 }
+      }),
+      anyOf: [{ required: ['psbt'] }, { required: ['psbts'] }]
+    },
+    response: { 200: unsignedTransaction, 400: errorResponse, 403: errorResponse, 404: errorResponse }
+  },
+  cancelPsbt: {
+    summary: 'Cancel a withdrawal that is awaiting signatures, and credit it back to its internal wallet',
+    tags: ['Transactions'],
+    params: idParams,
+    body: strictObject({
+      reason: { type: 'string', description: 'The reason of the cancellation, recorded on the withdrawal' }
+    }),
+    response: { 200: unsignedTransaction, 400: errorResponse, 403: errorResponse, 404: errorResponse }
+  },
+  listPendingTransactions: {
+    summary: 'List transactions that are ready to be broadcast',
+    tags: ['Transactions'],
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          pendingTransactions: { type: 'array', items: pendingTransaction }
+        },
+        required: ['pendingTransactions']
+      }
+    }
+  },
+  retryBroadcast: {
+    summary: 'Queue a dead-lettered transaction for broadcasting again',
+    tags: ['Transactions'],
+    params: txidParams,
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          txid: { type: 'string' },
+          blockchain: { type: 'string' },
+          primaryWalletName: { type: 'string' },
+          status: pendingTransactionStatus,
+          broadcast: { type: 'object' }
+        },
+        required: ['txid', 'status', 'broadcast']
+      },
+      403: errorResponse,
+      404: errorResponse,
+      409: errorResponse
+    }
+  },
+  bumpFee: {
+    summary: 'Bump the fee of an unconfirmed withdrawal transaction by replacing it (RBF) or spending its change (CPFP)',
+    tags: ['Transactions'],
+    params: txidParams,
+    body: strictObject({
+      method: { type: 'string', enum: ['rbf', 'cpfp'], description: 'The method (default: `rbf` if the transaction signals replaceability)' },
+      priority: { ...feePriority, description: 'The priority to estimate the new fee rate for (default: `normal`)' },
+      feeRate: { ...feeRate, description: 'An explicit new fee rate in satoshis per virtual byte, instead of a priority' }
+    }),
+    response: { 200: feeBump, 400: errorResponse, 403: errorResponse, 404: errorResponse }
+  },
+  getFeeBumpPolicy: {
+    summary: 'Get who pays the additional fee of bumped withdrawal transactions',
+    tags: ['Transactions'],
+    response: { 200: feeBumpPolicy }
+  },
+  setFeeBumpPolicy: {
+    summary: 'Set who pays the additional fee of bumped withdrawal transactions',
+    tags: ['Transactions'],
+    body: strictObject({
+      chargeTo: { type: 'string', enum: ['internal-wallet', 'base-wallet'] }
+    }, ['chargeTo']),
+    response: { 200: feeBumpPolicy }
+  },
+  getWithdrawalQueue: {
+    summary: 'List the withdrawals that are queued for a batch transaction, by primary wallet',
+    tags: ['Transactions'],
+    response: { 200: { type: 'array', items: withdrawalQueue } }
+  },
+  flushWithdrawalQueue: {
+    summary: 'Send the queued withdrawals of a primary wallet in a batch transaction now',
+    tags: ['Transactions'],
+    params: walletParams,
+    response: {
+      200: {
+        type: 'object',
+        properties: {
+          flushed: { type: 'boolean', description: 'False if no withdrawals were queued' },
+          batch: { oneOf: [withdrawalBatch, { type: 'null' }] }
+        },
+        required: ['flushed', 'batch']
+      },
+      404: errorResponse
+    }
+  },
+  getWithdrawalBatch: {
+    summary: 'Get a withdrawal batch, with the output of each of its withdrawals',
+    tags: ['Transactions'],
+    params: idParams,
+    response: { 200: withdrawalBatch, 403: errorResponse, 404: errorResponse }
+  },
+  submitTransactionResults: {
+    summary: 'Report the result of broadcasting a transaction',
+    tags: ['Transactions'],
+    body: strictObject({
+      txid: nonEmptyString,
+      success: { type: 'boolean' },
+      blockHeight: { type: ['integer', 'null'], minimum: 0 },
+      confirmations: { type: ['integer', 'null'], minimum: 0 },
+      error: { type: ['string', 'null'] }
+    }, ['txid', 'success']),
+    response: {
+      200: messageResponse({
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          transaction: {
+            type: 'object',
+            properties: {
+              txid: { type: 'string' },
+              status: pendingTransactionStatus,
+              blockHeight: { type: 'integer' },
+              confirmations: { type: 'integer' },
+              timestamp: { type: 'number' }
+            },
+            required: ['txid', 'status']
+          }
+        },
+        required: ['success', 'transaction']
+      }),
+      403: errorResponse,
+      404: messageResponse(successResponse),
+      409: messageResponse(successResponse)
+    }
+  },
+  listTransactions: {
+    summary: 'Get the transaction history of an internal wallet',
+    tags: ['Transactions'],
+    query: strictObject({
+      internalWalletId: id,
+      limit: { type: 'integer', minimum: 1, maximum: 1000 }
+    }, ['internalWalletId']),
+    response: { 200: { type: 'array', items: { type: 'object' } }, 403: errorResponse }
+  },
+  
+  // Chaincode management
+  listChaincodeTemplates: {
+    summary: 'List the chaincode templates',
+    tags: ['Chaincode'],
+    response: { 200: { type: 'array', items: chaincode } }
+  },
+  createCustomChaincode: {
+    summary: 'Create a custom chaincode from a template',
+    tags: ['Chaincode'],
+    body: strictObject({ templateId: id, customId: id }, ['templateId', 'customId']),
+    response: { 200: chaincode, 400: errorResponse }
+  },
+  listCustomChaincodes: {
+    summary: 'List the custom chaincodes',
+    tags: ['Chaincode'],
+    response: { 200: { type: 'array', items: chaincode } }
+  },
+  getCustomChaincode: {
+    summary: 'Get a custom chaincode',
+    tags: ['Chaincode'],
+    params: idParams,
+    response: { 200: chaincode, 404: errorResponse }
+  },
+  updateCustomChaincode: {
+    summary: 'Update a file of a custom chaincode',
+    tags: ['Chaincode'],
+    params: idParams,
+    body: strictObject({ filePath: nonEmptyString, content: nonEmptyString }, ['filePath', 'content']),
+    response: { 200: chaincode, 400: errorResponse }
+  },
+  deleteCustomChaincode: {
+    summary: 'Delete a custom chaincode',
+    tags: ['Chaincode'],
+    params: idParams,
+    response: { 200: successResponse, 404: errorResponse }
+  },
+  deployCustomChaincode: {
+    summary: 'Deploy a custom chaincode',
+    tags: ['Chaincode'],
+    params: idParams,
+    response: { 200: { type: 'object' } }
+  },
+  updateDeployedChaincode: {
+    summary: 'Update a deployed custom chaincode',
+    tags: ['Chaincode'],
+    params: idParams,
+    response: { 200: { type: 'object' } }
+  },
+  installChaincodeDependencies: {
+    summary: 'Install the dependencies of a custom chaincode',
+    tags: ['Chaincode'],
+    params: idParams,
+    response: { 200: { type: 'object' } }
+  },
+  
+  // Balance reconciliation
+  getReconciliationConfig: {
+    summary: 'Get the balance reconciliation configuration',
+    tags: ['Reconciliation'],
+    response: { 200: { type: 'object' } }
+  },
+  reconcileWallet: {
+    summary: 'Reconcile the balance of a primary wallet',
+    tags: ['Reconciliation'],
+    params: walletParams,
+    response: { 200: { type: 'object' } }
+  },
+  reconcileAll: {
+    summary: 'Reconcile the balances of all primary wallets',
+    tags: ['Reconciliation'],
+    response: { 200: { type: 'array', items: { type: 'object' } } }
+  },
+  listDiscrepancies: {
+    summary: 'List balance discrepancies',
+    tags: ['Reconciliation'],
+    query: strictObject({ resolved: { type: 'string', enum: ['true', 'false'] } }),
+    response: { 200: { type: 'array', items: discrepancy } }
+  },
+  resolveDiscrepancy: {
+    summary: 'Resolve a balance discrepancy',
+    tags: ['Reconciliation'],
+    params: idParams,
+    body: strictObject({ resolution: nonEmptyString }, ['resolution']),
+    response: { 200: discrepancy }
+  }
+};
+
+module.exports = {
+  routeSchemas,
+  strictObject,
+  messageResponse,
+  errorResponse
+};
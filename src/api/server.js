@@ -7,8 +7,32 @@
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
-const jwt = require('jsonwebtoken');
 const { MessageType, MessageCode, createMessageManager } = require('./messaging');
+const { Permission, createAccessControl } = require('./accessControl');
+const { createUserStore, authenticateUser, hashPassword, sanitizeUser } = require('./userStore');
+const { createApiKeyStore, issueApiKey, authenticateApiKey, sanitizeApiKey } = require('./apiKeys');
+const { createSessionStore, createTokenService } = require('./tokenService');
+const { createRateLimitStore, createRateLimiter } = require('./rateLimiter');
+const { createIdempotencyStore, createIdempotencyMiddleware } = require('./idempotency');
+const { createValidator } = require('./validation');
+const { routeSchemas } = require('./schemas');
+const { getConfiguredDecimals, createAmounts } = require('../blockchain/amounts');
+const { canTransition } = require('../blockchain/pendingTransactionStore');
+const { createOpenApiDocument } = require('./openapi');
+const { createDepositManager } = require('../deposits/depositManager');
+const { createDepositProcessor } = require('../deposits/depositProcessor');
+const { createFeeEstimator } = require('../blockchain/feeEstimator');
+const { createWithdrawalBatcher } = require('../withdrawals/withdrawalBatcher');
+const { cancelUnsignedWithdrawal } = require('../withdrawals/unsignedWithdrawals');
+const { createUtxoConsolidator } = require('../consolidation/utxoConsolidator');
+const swaggerUi = require('swagger-ui-express');
+
+// Endpoint groups that are mounted when `api.endpoints.<group>.enabled` is not set
+const DEFAULT_ENDPOINT_GROUPS = {
+  chaincodeManagement: false,
+  transactions: true,
+  monitoring: true
+};
 
 /**
  * Start the API server
@@ -18,74 +42,391 @@ const { MessageType, MessageCode, createMessageManager } = require('./messaging'
  * @param {Object} fabricClient The Fabric client
  * @param {Object} chaincodeManager The chaincode manager
  * @param {Object} balanceReconciliation The balance reconciliation module
+ * @param {Object} depositManager The deposit manager (default: a deposit manager that has not loaded the deposit addresses)
+ * @param {Object} depositProcessor The deposit processor (default: a deposit processor that is not monitoring deposits)
+ * @param {Object} feeEstimator The fee estimator (default: a fee estimator for the fee estimation configuration)
+ * @param {Object} withdrawalBatcher The withdrawal batcher (default: a withdrawal batcher that does not send batches on an interval)
+ * @param {Object} utxoConsolidator The UTXO consolidator (default: a UTXO consolidator that does not consolidate on an interval)
  * @returns {Object} An object containing the Express app and a close function to shut down the server
  */
-async function startApiServer(config, blockchainConnectors, walletManager, fabricClient, chaincodeManager, balanceReconciliation) {
+async function startApiServer(config, blockchainConnectors, walletManager, fabricClient, chaincodeManager, balanceReconciliation, depositManager, depositProcessor, feeEstimator, withdrawalBatcher, utxoConsolidator) {
   try {
     const app = express();
     
+    // Amounts are converted with the decimals configured for custom UTXO blockchains
+    const { toBaseUnits, toCoins, getBalanceUnits, sumBalanceUnits, formatAmounts } = createAmounts(getConfiguredDecimals(config));
+    
+    // Deposit addresses of HD primary wallets, payment requests and the deposits credited to internal wallets
+    depositManager = depositManager || createDepositManager(config, blockchainConnectors, fabricClient);
+    depositProcessor = depositProcessor || createDepositProcessor(config, blockchainConnectors, fabricClient, depositManager);
+    
+    // Fee rates of withdrawals, by priority or explicit rate
+    feeEstimator = feeEstimator || createFeeEstimator(config, blockchainConnectors);
+    
+    // Queues of withdrawals that are sent in batch transactions, by primary wallet
+    withdrawalBatcher = withdrawalBatcher || createWithdrawalBatcher(config, blockchainConnectors, fabricClient);
+    
+    // Consolidation of the small UTXOs of primary wallets, paid by their base wallets
+    utxoConsolidator = utxoConsolidator || createUtxoConsolidator(config, blockchainConnectors, fabricClient, feeEstimator);
+    
     // Middleware
     app.use(express.json());
     app.use(cors(config.api.cors));
     app.use(morgan('combined'));
     
+    // Access control
+    const accessControl = createAccessControl(config.api.auth);
+    const { requirePermission, hasPermission, hasWalletAccess } = accessControl;
+    const userStore = await createUserStore(config.api.auth);
+    const apiKeyStore = await createApiKeyStore(config.api.auth);
+    const tokenService = createTokenService(config.api.auth, await createSessionStore(config.api.auth));
+    
+    // Rate limiting
+    const rateLimiter = createRateLimiter(config.api.rateLimiting, await createRateLimitStore(config.api.rateLimiting));
+    
+    // Idempotency keys for requests that move funds
+    const idempotencyStore = await createIdempotencyStore(config.api.idempotency);
+    const idempotent = createIdempotencyMiddleware(config.api.idempotency, idempotencyStore);
+    
+    // Request validation against the route schemas
+    const { validate } = createValidator(config.api.validation);
+    
     // Authentication middleware
-    const authenticateJWT = (req, res, next) => {
+    // Accepts either a JWT bearer token or an API key in the X-API-Key header
+    const authenticate = (req, res, next) => {
       const authHeader = req.headers.authorization;
+      const apiKey = req.headers['x-api-key'];
       
-      if (authHeader) {
+      if (apiKey) {
+        authenticateApiKey(apiKeyStore, apiKey).then(
+          record => {
+            if (!record) {
+              return res.sendStatus(401);
+            }
+            
+            req.user = {
+              username: `api-key:${record.name}`,
+              apiKeyId: record.id,
+              scopes: record.scopes,
+              internalWalletIds: record.internalWalletIds
+            };
+            next();
+          },
+          error => res.status(500).json({ error: error.message })
+        );
+      } else if (authHeader) {
         const token = authHeader.split(' ')[1];
         
-        jwt.verify(token, config.api.auth.jwtSecret, (err, user) => {
-          if (err) {
-            return res.sendStatus(403);
-          }
-          
-          req.user = user;
-          next();
-        });
+        tokenService.verifyAccessToken(token).then(
+          user => {
+            req.user = user;
+            next();
+          },
+          () => res.sendStatus(403)
+        );
       } else {
         res.sendStatus(401);
       }
     };
     
+    // Authenticated requests are rate limited per user or API key
+    const authenticateJWT = (req, res, next) => {
+      authenticate(req, res, () => rateLimiter.middleware(req, res, next));
+    };
+    
+    // Endpoint groups
+    // Routes in a disabled group are never mounted; requests to them get an ERROR_ENDPOINT_DISABLED response
+    const endpointGroups = {};
+    
+    const createEndpointGroup = (name) => {
+      const groupConfig = (config.api.endpoints || {})[name] || {};
+      const enabled = groupConfig.enabled !== undefined ? Boolean(groupConfig.enabled) : DEFAULT_ENDPOINT_GROUPS[name];
+      endpointGroups[name] = enabled;
+      
+      const endpointDisabled = (req, res) => {
+        const messageManager = createMessageManager();
+        messageManager.addError(
+          MessageCode.ERROR_ENDPOINT_DISABLED,
+          `The ${name} endpoints are disabled`,
+          { group: name, setting: `api.endpoints.${name}.enabled` }
+        );
+        res.status(404).json(messageManager.createResponse({ success: false }));
+      };
+      endpointDisabled.endpointDisabled = true;
+      
+      const group = {};
+      for (const method of ['get', 'post', 'put', 'delete']) {
+        group[method] = (routePath, ...handlers) => enabled
+          ? app[method](routePath, ...handlers)
+          : app[method](routePath, endpointDisabled);
+      }
+      
+      return group;
+    };
+    
+    const chaincodeRoutes = createEndpointGroup('chaincodeManagement');
+    const transactionRoutes = createEndpointGroup('transactions');
+    const monitoringRoutes = createEndpointGroup('monitoring');
+    
     // Routes
     
     // Health check
-    app.get('/api/health', (req, res) => {
-      res.json({ status: 'ok' });
+    app.get('/api/health', validate(routeSchemas.health), (req, res) => {
+      res.json({ status: 'ok', endpoints: endpointGroups });
     });
     
     // Authentication
-    app.post('/api/auth/login', (req, res) => {
-      // In a real implementation, this would authenticate the user
-      // For now, we'll just return a mock token
-      const { username, password } = req.body;
+    app.post('/api/auth/login', rateLimiter.middleware, validate(routeSchemas.login), async (req, res) => {
+      try {
+        const { username, password } = req.body;
+        const user = await authenticateUser(userStore, username, password);
+        
+        if (!user) {
+          return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        
+        const tokens = await tokenService.issueTokens(user);
+        res.json(tokens);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    app.post('/api/auth/refresh', rateLimiter.middleware, validate(routeSchemas.refresh), async (req, res) => {
+      const { refreshToken } = req.body;
+      
+      let payload;
+      try {
+        payload = await tokenService.consumeRefreshToken(refreshToken);
+      } catch (error) {
+        return res.status(401).json({ error: error.message });
+      }
       
-      if (username === 'admin' && password === 'password') {
-        const token = jwt.sign({ username }, config.api.auth.jwtSecret, {
-          expiresIn: config.api.auth.expiresIn
+      try {
+        // Reload the user so that role changes and disabled accounts take effect
+        const user = await userStore.getUser(payload.username);
+        
+        if (!user || user.disabled) {
+          await tokenService.revokeSession(payload.sid);
+          return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        
+        const tokens = await tokenService.issueTokens(sanitizeUser(user), payload.sid);
+        res.json(tokens);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    app.post('/api/auth/logout', authenticateJWT, validate(routeSchemas.logout), async (req, res) => {
+      try {
+        if (req.user.apiKeyId) {
+          return res.status(400).json({ error: 'API keys are revoked through /api/auth/keys' });
+        }
+        
+        const { allSessions } = req.body;
+        
+        await tokenService.revokeAccessToken(req.user);
+        
+        if (allSessions) {
+          await tokenService.revokeUserSessions(req.user.username);
+        } else if (req.user.sid) {
+          await tokenService.revokeSession(req.user.sid);
+        }
+        
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // API key management
+    app.get('/api/auth/keys', authenticateJWT, requirePermission(Permission.API_KEYS_MANAGE), validate(routeSchemas.listApiKeys), async (req, res) => {
+      try {
+        const keys = await apiKeyStore.listKeys();
+        res.json(keys.map(sanitizeApiKey));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    app.post('/api/auth/keys', authenticateJWT, requirePermission(Permission.API_KEYS_MANAGE), validate(routeSchemas.createApiKey), async (req, res) => {
+      try {
+        const { name, scopes, internalWalletIds, expiresAt } = req.body;
+        
+        const invalidScopes = scopes.filter(scope => !accessControl.isValidScope(scope));
+        if (invalidScopes.length > 0) {
+          return res.status(400).json({ error: `Invalid scopes: ${invalidScopes.join(', ')}` });
+        }
+        
+        if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+          return res.status(400).json({ error: 'expiresAt must be a valid date' });
+        }
+        
+        const apiKey = await issueApiKey(apiKeyStore, {
+          name,
+          scopes,
+          internalWalletIds,
+          expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+          createdBy: req.user.username
         });
         
-        res.json({ token });
-      } else {
-        res.status(401).json({ error: 'Invalid credentials' });
+        // The full key is only returned once
+        res.status(201).json(apiKey);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    app.get('/api/auth/keys/:id', authenticateJWT, requirePermission(Permission.API_KEYS_MANAGE), validate(routeSchemas.getApiKey), async (req, res) => {
+      try {
+        const record = await apiKeyStore.getKey(req.params.id);
+        
+        if (!record) {
+          return res.status(404).json({ error: 'API key not found' });
+        }
+        
+        res.json(sanitizeApiKey(record));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    app.delete('/api/auth/keys/:id', authenticateJWT, requirePermission(Permission.API_KEYS_MANAGE), validate(routeSchemas.revokeApiKey), async (req, res) => {
+      try {
+        const record = await apiKeyStore.getKey(req.params.id);
+        
+        if (!record) {
+          return res.status(404).json({ error: 'API key not found' });
+        }
+        
+        const revoked = record.revokedAt
+          ? record
+          : await apiKeyStore.updateKey(record.id, { revokedAt: new Date().toISOString() });
+        
+        res.json(sanitizeApiKey(revoked));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // User management
+    app.get('/api/users', authenticateJWT, requirePermission(Permission.USERS_MANAGE), validate(routeSchemas.listUsers), async (req, res) => {
+      try {
+        const users = await userStore.listUsers();
+        res.json(users.map(sanitizeUser));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    app.post('/api/users', authenticateJWT, requirePermission(Permission.USERS_MANAGE), validate(routeSchemas.createUser), async (req, res) => {
+      try {
+        const { username, password, roles = [], internalWalletIds = [] } = req.body;
+        
+        const invalidRoles = roles.filter(role => !accessControl.isValidRole(role));
+        if (invalidRoles.length > 0) {
+          return res.status(400).json({ error: `Unknown roles: ${invalidRoles.join(', ')}` });
+        }
+        
+        if (await userStore.getUser(username)) {
+          return res.status(409).json({ error: `User ${username} already exists` });
+        }
+        
+        const user = await userStore.createUser({
+          username,
+          passwordHash: await hashPassword(password, config.api.auth.bcryptRounds),
+          roles,
+          internalWalletIds,
+          disabled: false,
+          createdAt: new Date().toISOString()
+        });
+        
+        res.status(201).json(sanitizeUser(user));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    app.put('/api/users/:username', authenticateJWT, requirePermission(Permission.USERS_MANAGE), validate(routeSchemas.updateUser), async (req, res) => {
+      try {
+        const { username } = req.params;
+        const { password, roles, internalWalletIds, disabled } = req.body;
+        
+        if (!(await userStore.getUser(username))) {
+          return res.status(404).json({ error: `User ${username} not found` });
+        }
+        
+        const updates = {};
+        
+        if (password !== undefined) {
+          updates.passwordHash = await hashPassword(password, config.api.auth.bcryptRounds);
+        }
+        
+        if (roles !== undefined) {
+          const invalidRoles = roles.filter(role => !accessControl.isValidRole(role));
+          if (invalidRoles.length > 0) {
+            return res.status(400).json({ error: `Unknown roles: ${invalidRoles.join(', ')}` });
+          }
+          updates.roles = roles;
+        }
+        
+        if (internalWalletIds !== undefined) {
+          updates.internalWalletIds = internalWalletIds;
+        }
+        
+        if (disabled !== undefined) {
+          updates.disabled = Boolean(disabled);
+        }
+        
+        const user = await userStore.updateUser(username, updates);
+        
+        // End the user's sessions when their credentials or access change
+        if (updates.passwordHash || updates.roles || updates.internalWalletIds || updates.disabled) {
+          await tokenService.revokeUserSessions(username);
+        }
+        
+        res.json(sanitizeUser(user));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    app.delete('/api/users/:username', authenticateJWT, requirePermission(Permission.USERS_MANAGE), validate(routeSchemas.deleteUser), async (req, res) => {
+      try {
+        const { username } = req.params;
+        
+        if (username === req.user.username) {
+          return res.status(400).json({ error: 'Users cannot delete themselves' });
+        }
+        
+        const deleted = await userStore.deleteUser(username);
+        
+        if (!deleted) {
+          return res.status(404).json({ error: `User ${username} not found` });
+        }
+        
+        await tokenService.revokeUserSessions(username);
+        
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
       }
     });
     
     // Wallet management
-    app.get('/api/wallets', authenticateJWT, (req, res) => {
+    app.get('/api/wallets', authenticateJWT, requirePermission(Permission.WALLETS_READ), validate(routeSchemas.listWallets), (req, res) => {
       const wallets = walletManager.getAllWallets();
       res.json(wallets);
     });
     
-    app.get('/api/wallets/:blockchain', authenticateJWT, (req, res) => {
+    app.get('/api/wallets/:blockchain', authenticateJWT, requirePermission(Permission.WALLETS_READ), validate(routeSchemas.listBlockchainWallets), (req, res) => {
       const { blockchain } = req.params;
       const wallets = walletManager.getWalletsForBlockchain(blockchain);
       res.json(wallets);
     });
     
-    app.get('/api/wallets/:blockchain/:name', authenticateJWT, async (req, res) => {
+    app.get('/api/wallets/:blockchain/:name', authenticateJWT, requirePermission(Permission.WALLETS_READ), validate(routeSchemas.getWallet), async (req, res) => {
       try {
         const { blockchain, name } = req.params;
         const wallet = walletManager.getWallet(blockchain, name);
@@ -100,7 +441,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.get('/api/wallets/:blockchain/:name/read-only', authenticateJWT, async (req, res) => {
+    app.get('/api/wallets/:blockchain/:name/read-only', authenticateJWT, requirePermission(Permission.WALLETS_READ), validate(routeSchemas.getWalletReadOnly), async (req, res) => {
       try {
         const { blockchain, name } = req.params;
         const wallet = walletManager.getWallet(blockchain, name);
@@ -113,13 +454,11 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
         );
         
         // Calculate aggregate internal balance
-        const aggregateInternalBalance = relatedWallets.reduce(
-          (sum, wallet) => sum + wallet.balance, 
-          0
-        );
+        const aggregateInternalBalance = sumBalanceUnits(relatedWallets);
         
         // Calculate excess balance
-        const excessBalance = Math.max(0, balance - aggregateInternalBalance);
+        const onChainBalance = toBaseUnits(balance, blockchain, { round: true });
+        const excessBalance = onChainBalance > aggregateInternalBalance ? onChainBalance - aggregateInternalBalance : 0n;
         
         // Find the base internal wallet for this primary wallet
         const baseWalletPrefix = config.baseInternalWallet.namePrefix;
@@ -133,8 +472,8 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
           address: wallet.walletAddress,
           connectionType: wallet.connectionType,
           balance,
-          aggregateInternalBalance,
-          excessBalance,
+          aggregateInternalBalance: toCoins(aggregateInternalBalance, blockchain),
+          excessBalance: toCoins(excessBalance, blockchain),
           baseInternalWalletId: baseInternalWallet ? baseInternalWallet.id : null
         });
       } catch (error) {
@@ -142,14 +481,73 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.get('/api/wallets/:blockchain/:name/transactions', authenticateJWT, async (req, res) => {
+    app.get('/api/wallets/:blockchain/:name/cosigners', authenticateJWT, requirePermission(Permission.WALLETS_READ), validate(routeSchemas.getWalletCosigners), (req, res) => {
+      const { blockchain, name } = req.params;
+      const connector = (blockchainConnectors[blockchain] || {})[name];
+      const multisig = connector && connector.getMultisigInfo ? connector.getMultisigInfo() : null;
+      
+      if (!multisig) {
+        return res.status(404).json({ error: `Multisig wallet not found: ${blockchain}/${name}` });
+      }
+      
+      res.json(multisig);
+    });
+    
+    app.get('/api/wallets/:blockchain/:name/fee-rates', authenticateJWT, requirePermission(Permission.WALLETS_READ), validate(routeSchemas.getWalletFeeRates), async (req, res) => {
+      try {
+        const { blockchain, name } = req.params;
+        
+        if (!(blockchainConnectors[blockchain] || {})[name]) {
+          return res.status(404).json({ error: `Primary wallet not found: ${blockchain}/${name}` });
+        }
+        
+        res.json(await feeEstimator.getFeeRates(blockchain, name));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    app.post('/api/wallets/:blockchain/:name/consolidate', authenticateJWT, requirePermission(Permission.CONSOLIDATION_WRITE), validate(routeSchemas.consolidateUtxos), idempotent, async (req, res) => {
+      const { blockchain, name } = req.params;
+      const connector = (blockchainConnectors[blockchain] || {})[name];
+      
+      if (!connector) {
+        return res.status(404).json({ error: `Primary wallet not found: ${blockchain}/${name}` });
+      }
+      
+      if (!connector.consolidateUtxos || (connector.isExternallySigned && connector.isExternallySigned())) {
+        return res.status(400).json({ error: `The UTXOs of ${blockchain}/${name} cannot be consolidated` });
+      }
+      
+      try {
+        res.json(await utxoConsolidator.consolidate(blockchain, name, req.body));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    
+    app.get('/api/wallets/:blockchain/:name/consolidations', authenticateJWT, requirePermission(Permission.WALLETS_READ), validate(routeSchemas.getUtxoConsolidations), async (req, res) => {
+      try {
+        const { blockchain, name } = req.params;
+        
+        if (!(blockchainConnectors[blockchain] || {})[name]) {
+          return res.status(404).json({ error: `Primary wallet not found: ${blockchain}/${name}` });
+        }
+        
+        res.json(await utxoConsolidator.getConsolidations(blockchain, name));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    monitoringRoutes.get('/api/wallets/:blockchain/:name/transactions', authenticateJWT, requirePermission(Permission.WALLETS_READ), validate(routeSchemas.getWalletTransactions), async (req, res) => {
       try {
         const { blockchain, name } = req.params;
-        const { limit, page, startDate, endDate } = req.query;
+        const { limit = 10, page = 1, startDate, endDate } = req.query;
         const wallet = walletManager.getWallet(blockchain, name);
         
         // Get transaction history
-        const transactions = await wallet.getTransactionHistory(limit ? parseInt(limit) : 10);
+        const transactions = await wallet.getTransactionHistory(limit);
         
         // Apply filters if provided
         let filteredTransactions = [...transactions];
@@ -165,20 +563,18 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
         }
         
         // Apply pagination
-        const pageNum = page ? parseInt(page) : 1;
-        const pageSize = limit ? parseInt(limit) : 10;
-        const startIndex = (pageNum - 1) * pageSize;
-        const endIndex = startIndex + pageSize;
+        const startIndex = (page - 1) * limit;
+        const endIndex = startIndex + limit;
         const paginatedTransactions = filteredTransactions.slice(startIndex, endIndex);
         
         // Return with pagination info
         res.json({
           transactions: paginatedTransactions,
           pagination: {
-            page: pageNum,
-            limit: pageSize,
+            page,
+            limit,
             totalItems: filteredTransactions.length,
-            totalPages: Math.ceil(filteredTransactions.length / pageSize)
+            totalPages: Math.ceil(filteredTransactions.length / limit)
           }
         });
       } catch (error) {
@@ -187,7 +583,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
     });
     
     // Wallet monitoring endpoints
-    app.post('/api/wallets/:blockchain/:name/monitor', authenticateJWT, async (req, res) => {
+    monitoringRoutes.post('/api/wallets/:blockchain/:name/monitor', authenticateJWT, requirePermission(Permission.WALLETS_MONITOR), validate(routeSchemas.startMonitoring), async (req, res) => {
       try {
         const { blockchain, name } = req.params;
         const messageManager = createMessageManager();
@@ -235,7 +631,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.delete('/api/wallets/:blockchain/:name/monitor', authenticateJWT, async (req, res) => {
+    monitoringRoutes.delete('/api/wallets/:blockchain/:name/monitor', authenticateJWT, requirePermission(Permission.WALLETS_MONITOR), validate(routeSchemas.stopMonitoring), async (req, res) => {
       try {
         const { blockchain, name } = req.params;
         const messageManager = createMessageManager();
@@ -280,7 +676,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.get('/api/wallets/monitoring', authenticateJWT, async (req, res) => {
+    monitoringRoutes.get('/api/wallets/monitoring', authenticateJWT, requirePermission(Permission.WALLETS_READ), validate(routeSchemas.listMonitoredWallets), async (req, res) => {
       try {
         // Get all monitored addresses from all blockchain connectors
         const monitoredAddresses = {};
@@ -306,64 +702,140 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
     });
     
     // Internal wallet management
-    app.post('/api/internal-wallets', authenticateJWT, async (req, res) => {
+    app.post('/api/internal-wallets', authenticateJWT, requirePermission(Permission.INTERNAL_WALLETS_WRITE), validate(routeSchemas.createInternalWallet), async (req, res) => {
       try {
         const { blockchain, primaryWalletName, internalWalletId, metadata } = req.body;
         
-        if (!blockchain || !primaryWalletName || !internalWalletId) {
-          return res.status(400).json({ error: 'Missing required parameters' });
+        const internalWallet = await walletManager.createInternalWallet(blockchain, primaryWalletName, internalWalletId, metadata || {});
+        
+        // Internal wallets of HD primary wallets get a deposit address of their own
+        if (depositManager.isHdWallet(blockchain, primaryWalletName)) {
+          const { address } = await depositManager.assignDepositAddress(internalWallet.id);
+          internalWallet.depositAddress = address;
         }
         
-        const internalWallet = await walletManager.createInternalWallet(blockchain, primaryWalletName, internalWalletId, metadata || {});
-        res.json(internalWallet);
+        res.json(formatAmounts(internalWallet, internalWallet.blockchain));
       } catch (error) {
         res.status(400).json({ error: error.message });
       }
     });
     
-    app.get('/api/internal-wallets', authenticateJWT, async (req, res) => {
+    app.get('/api/internal-wallets', authenticateJWT, requirePermission(Permission.INTERNAL_WALLETS_READ), validate(routeSchemas.listInternalWallets), async (req, res) => {
       try {
         const internalWallets = await walletManager.getAllInternalWallets();
-        res.json(internalWallets);
+        res.json(internalWallets
+          .filter(wallet => hasWalletAccess(req.user, wallet.id))
+          .map(wallet => formatAmounts(wallet, wallet.blockchain)));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
     
-    app.get('/api/internal-wallets/:id', authenticateJWT, async (req, res) => {
+    app.get('/api/internal-wallets/:id', authenticateJWT, requirePermission(Permission.INTERNAL_WALLETS_READ), validate(routeSchemas.getInternalWallet), async (req, res) => {
       try {
         const { id } = req.params;
+        
+        if (!hasWalletAccess(req.user, id)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
         const internalWallet = await walletManager.getInternalWallet(id);
         
         if (!internalWallet) {
           return res.status(404).json({ error: 'Internal wallet not found' });
         }
         
-        res.json(internalWallet);
+        res.json(formatAmounts(internalWallet, internalWallet.blockchain));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
     
-    app.get('/api/internal-wallets/:id/balance', authenticateJWT, async (req, res) => {
+    app.get('/api/internal-wallets/:id/balance', authenticateJWT, requirePermission(Permission.INTERNAL_WALLETS_READ), validate(routeSchemas.getInternalWalletBalance), async (req, res) => {
       try {
         const { id } = req.params;
+        
+        if (!hasWalletAccess(req.user, id)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
         const result = await fabricClient.evaluateTransaction('getInternalWalletBalance', id);
         const balance = JSON.parse(result.toString());
         
-        res.json(balance);
+        res.json(formatAmounts(balance, balance.blockchain));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    app.post('/api/internal-wallets/:id/deposit-address', authenticateJWT, requirePermission(Permission.DEPOSITS_WRITE), validate(routeSchemas.assignDepositAddress), async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { requestId } = req.body;
+        
+        if (!hasWalletAccess(req.user, id)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
+        const depositAddress = await depositManager.assignDepositAddress(id, { requestId });
+        
+        res.json(depositAddress);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    
+    app.get('/api/internal-wallets/:id/deposit-addresses', authenticateJWT, requirePermission(Permission.INTERNAL_WALLETS_READ), validate(routeSchemas.listDepositAddresses), async (req, res) => {
+      try {
+        const { id } = req.params;
+        
+        if (!hasWalletAccess(req.user, id)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
+        res.json(await depositManager.getDepositAddresses(id));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    app.post('/api/internal-wallets/:id/payment-requests', authenticateJWT, requirePermission(Permission.DEPOSITS_WRITE), validate(routeSchemas.createPaymentRequest), async (req, res) => {
+      try {
+        const { id } = req.params;
+        
+        if (!hasWalletAccess(req.user, id)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
+        const paymentRequest = await depositManager.createPaymentRequest(id, { id: req.body.id, amount: req.body.amount });
+        
+        res.json(formatAmounts(paymentRequest, paymentRequest.blockchain, ['amount']));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    
+    app.get('/api/internal-wallets/:id/deposits', authenticateJWT, requirePermission(Permission.INTERNAL_WALLETS_READ), validate(routeSchemas.listDeposits), async (req, res) => {
+      try {
+        const { id } = req.params;
+        
+        if (!hasWalletAccess(req.user, id)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
+        res.json(await depositProcessor.getDeposits(id));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
     
-    app.put('/api/internal-wallets/:id/metadata', authenticateJWT, async (req, res) => {
+    app.put('/api/internal-wallets/:id/metadata', authenticateJWT, requirePermission(Permission.INTERNAL_WALLETS_WRITE), validate(routeSchemas.updateInternalWalletMetadata), async (req, res) => {
       try {
         const { id } = req.params;
         const { metadata } = req.body;
         
-        if (!metadata) {
-          return res.status(400).json({ error: 'Missing required parameters' });
+        if (!hasWalletAccess(req.user, id)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
         }
         
         // Check if the internal wallet exists
@@ -377,24 +849,25 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
         const result = await fabricClient.submitTransaction('updateInternalWalletMetadata', id, JSON.stringify(metadata));
         const updatedWallet = JSON.parse(result.toString());
         
-        res.json(updatedWallet);
+        res.json(formatAmounts(updatedWallet, updatedWallet.blockchain));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
     
     // Transactions
-    app.post('/api/transactions/internal-transfer', authenticateJWT, async (req, res) => {
+    transactionRoutes.post('/api/transactions/internal-transfer', authenticateJWT, requirePermission(Permission.TRANSFERS_WRITE), validate(routeSchemas.internalTransfer), idempotent, async (req, res) => {
       try {
         const messageManager = createMessageManager();
         const { fromInternalWalletId, toInternalWalletId, amount, memo } = req.body;
         
-        if (!fromInternalWalletId || !toInternalWalletId || !amount) {
+        if (!hasWalletAccess(req.user, fromInternalWalletId)) {
           messageManager.addError(
-            MessageCode.ERROR_INVALID_PARAMETERS,
-            'Missing required parameters'
+            MessageCode.ERROR_FORBIDDEN,
+            'Access to internal wallet denied',
+            { internalWalletId: fromInternalWalletId }
           );
-          return res.status(400).json(messageManager.createResponse({ success: false }));
+          return res.status(403).json(messageManager.createResponse({ success: false }));
         }
         
         // Get the internal wallets
@@ -435,14 +908,30 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
           return res.status(400).json(messageManager.createResponse({ success: false }));
         }
         
+        const { blockchain } = fromInternalWallet;
+        
+        // Convert the amount to base units
+        let amountUnits;
+        try {
+          amountUnits = toBaseUnits(amount, blockchain);
+        } catch (error) {
+          messageManager.addError(
+            MessageCode.ERROR_INVALID_PARAMETERS,
+            error.message,
+            { location: 'body', field: 'amount' }
+          );
+          return res.status(400).json(messageManager.createResponse({ success: false }));
+        }
+        
         // Check if the source wallet has enough balance
-        if (fromInternalWallet.balance < amount) {
+        const fromBalance = getBalanceUnits(fromInternalWallet);
+        if (fromBalance < amountUnits) {
           messageManager.addError(
             MessageCode.ERROR_INSUFFICIENT_BALANCE,
             'Insufficient balance in source wallet',
             {
               walletId: fromInternalWalletId,
-              balance: fromInternalWallet.balance,
+              balance: toCoins(fromBalance, blockchain),
               requiredAmount: amount
             }
           );
@@ -454,10 +943,10 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
           'transferBetweenInternalWallets', 
           fromInternalWalletId, 
           toInternalWalletId, 
-          amount.toString()
+          amountUnits.toString()
         );
         
-        const transfer = JSON.parse(result.toString());
+        const transfer = formatAmounts(JSON.parse(result.toString()), blockchain, ['amount']);
         
         // Add memo if provided
         if (memo) {
@@ -486,21 +975,18 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
         );
         
         // Calculate aggregate internal balance
-        const aggregateInternalBalance = internalWallets.reduce(
-          (sum, wallet) => sum + wallet.balance, 
-          0
-        );
+        const aggregateInternalBalance = sumBalanceUnits(internalWallets);
         
         // If the primary wallet balance is less than 110% of the aggregate internal balance, add a warning
-        if (primaryWalletBalance < aggregateInternalBalance * 1.1) {
+        if (toBaseUnits(primaryWalletBalance, blockchain, { round: true }) * 10n < aggregateInternalBalance * 11n) {
           messageManager.addWarning(
             MessageCode.WARN_PRIMARY_WALLET_BALANCE_LOW,
             'Primary wallet balance is low',
             {
-              blockchain: fromInternalWallet.blockchain,
+              blockchain,
               primaryWalletName: fromInternalWallet.primaryWalletName,
               primaryWalletBalance,
-              aggregateInternalBalance
+              aggregateInternalBalance: toCoins(aggregateInternalBalance, blockchain)
             }
           );
         }
@@ -511,13 +997,19 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.post('/api/transactions/withdraw', authenticateJWT, async (req, res) => {
-      try {
-        const { internalWalletId, toAddress, amount, opReturn } = req.body;
-        
-        if (!internalWalletId || !toAddress || !amount) {
-          return res.status(400).json({ error: 'Missing required parameters' });
-        }
+    /**
+     * Format the amounts of a withdrawal batch record in whole coins
+     * @param {Object} batch The batch record, with amounts in base units
+     * @returns {Object} The batch record, with amounts in whole coins
+     */
+    const formatBatch = batch => ({
+      ...formatAmounts(batch, batch.blockchain, ['fee']),
+      withdrawals: batch.withdrawals.map(withdrawal => formatAmounts(withdrawal, batch.blockchain, ['amount', 'fee']))
+    });
+    
+    transactionRoutes.post('/api/transactions/withdraw', authenticateJWT, requirePermission(Permission.WITHDRAWALS_WRITE), validate(routeSchemas.withdraw), idempotent, async (req, res) => {
+      try {
+        const { internalWalletId, toAddress, amount, opReturn, priority, feeRate: requestedFeeRate, batch } = req.body;
         
         // Validate opReturn if provided
         if (opReturn && Buffer.from(opReturn).length > 80) {
@@ -527,6 +1019,10 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
           });
         }
         
+        if (!hasWalletAccess(req.user, internalWalletId)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
         // Get the internal wallet
         const internalWallet = await walletManager.getInternalWallet(internalWalletId);
         
@@ -534,14 +1030,51 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
           return res.status(404).json({ error: 'Internal wallet not found' });
         }
         
+        const { blockchain } = internalWallet;
+        
+        // Convert the amount to base units
+        let amountUnits;
+        try {
+          amountUnits = toBaseUnits(amount, blockchain);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        
         // Get the primary wallet
-        const primaryWallet = walletManager.getWallet(internalWallet.blockchain, internalWallet.primaryWalletName);
+        const primaryWallet = walletManager.getWallet(blockchain, internalWallet.primaryWalletName);
+        const connector = (blockchainConnectors[blockchain] || {})[internalWallet.primaryWalletName];
+        
+        // Reject withdrawals below the minimum withdrawal or that would create a dust output, before the ledger is charged
+        const violation = connector && connector.checkPayment ? connector.checkPayment(toAddress, amount) : null;
+        
+        if (violation) {
+          const messageManager = createMessageManager();
+          messageManager.addError(
+            violation.reason === 'dust' ? MessageCode.ERROR_DUST_OUTPUT : MessageCode.ERROR_BELOW_MINIMUM_WITHDRAWAL,
+            violation.reason === 'dust'
+              ? `The withdrawal amount is below the dust threshold of ${violation.outputType} outputs`
+              : 'The withdrawal amount is below the minimum withdrawal',
+            { blockchain, amount, minimum: violation.minimum, outputType: violation.outputType }
+          );
+          return res.status(400).json(messageManager.createResponse({ success: false }));
+        }
+        
+        // Choose the fee rate from the requested priority or rate, within the limits of the blockchain
+        let feeChoice;
+        try {
+          feeChoice = await feeEstimator.chooseFeeRate(blockchain, internalWallet.primaryWalletName, { priority, feeRate: requestedFeeRate });
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        
+        const feeDetails = JSON.stringify({ feeRate: feeChoice.feeRate, priority: feeChoice.priority });
         
-        // Estimate the fee
-        const fee = await primaryWallet.estimateFee(toAddress, amount);
+        // Estimate the fee at that rate, rounded to a whole base unit
+        const feeUnits = toBaseUnits(await primaryWallet.estimateFee(toAddress, amount, { feeRate: feeChoice.feeRate }), blockchain, { round: true });
+        const fee = toCoins(feeUnits, blockchain);
         
         // Check if the internal wallet has enough balance
-        if (internalWallet.balance < amount + fee) {
+        if (getBalanceUnits(internalWallet) < amountUnits + feeUnits) {
           return res.status(400).json({ error: 'Insufficient balance' });
         }
         
@@ -559,34 +1092,109 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
           );
           
           // Calculate aggregate internal balance
-          const aggregateInternalBalance = internalWallets.reduce(
-            (sum, wallet) => sum + wallet.balance, 
-            0
-          );
+          const aggregateInternalBalance = sumBalanceUnits(internalWallets);
           
           // Check if the primary wallet has enough balance to cover all internal wallets
-          if (primaryWalletBalance < aggregateInternalBalance) {
+          if (toBaseUnits(primaryWalletBalance, blockchain, { round: true }) < aggregateInternalBalance) {
             return res.status(400).json({ 
               error: 'Primary wallet balance is less than aggregate internal wallet balances',
               primaryWalletBalance,
-              aggregateInternalBalance
+              aggregateInternalBalance: toCoins(aggregateInternalBalance, blockchain)
+            });
+          }
+        }
+        
+        // Primary wallets without a hot key get an unsigned PSBT, which is signed outside of FractaLedger
+        const externallySigned = Boolean(connector && connector.isExternallySigned && connector.isExternallySigned());
+        
+        // Withdrawals are queued for a batch transaction when requested or enabled for the blockchain
+        const batchable = Boolean(connector && connector.sendBatchTransaction) && !externallySigned && !opReturn;
+        
+        if (batch === true && !batchable) {
+          return res.status(400).json({ error: 'Withdrawals with OP_RETURN data or from externally signed primary wallets cannot be batched' });
+        }
+        
+        if (batchable && withdrawalBatcher.isBatched(blockchain, internalWallet.primaryWalletName, batch)) {
+          const queued = await withdrawalBatcher.enqueue(internalWallet, toAddress, amountUnits, feeUnits, feeDetails);
+          
+          return res.json({
+            ...formatAmounts(queued.withdrawal, blockchain, ['amount', 'fee']),
+            batch: queued.batch ? formatBatch(queued.batch) : undefined
+          });
+        }
+        
+        if (externallySigned) {
+          const result = await fabricClient.submitTransaction('withdrawFromInternalWallet', internalWalletId, toAddress, amountUnits.toString(), feeUnits.toString(), 'true', feeDetails);
+          const withdrawal = formatAmounts(JSON.parse(result.toString()), blockchain, ['amount', 'fee']);
+          
+          let unsignedTransaction;
+          try {
+            unsignedTransaction = await connector.createUnsignedTransaction(withdrawal.id, toAddress, amount, {
+              fee,
+              feeRate: feeChoice.feeRate,
+              opReturn,
+              metadata: { internalWalletId, withdrawalId: withdrawal.id }
+            });
+          } catch (error) {
+            // The withdrawal is recorded under the ID of its unsigned transaction, so it is cancelled if there is none
+            await fabricClient.submitTransaction('cancelWithdrawal', withdrawal.id, error.message);
+            throw error;
+          }
+          
+          // A multisig wallet whose own key meets the threshold has already signed the transaction
+          if (unsignedTransaction.status === 'signed') {
+            const { txid } = await broadcastSignedWithdrawal(connector, unsignedTransaction);
+            
+            return res.json({
+              ...withdrawal,
+              status: 'signed',
+              txid,
+              opReturn: opReturn || undefined
             });
           }
+          
+          return res.json({
+            ...withdrawal,
+            status: unsignedTransaction.status,
+            psbt: unsignedTransaction.psbt,
+            opReturn: opReturn || undefined
+          });
         }
         
-        // Submit the withdrawal transaction to the Fabric network
-        const result = await fabricClient.submitTransaction('withdrawFromInternalWallet', internalWalletId, toAddress, amount.toString(), fee.toString());
-        const withdrawal = JSON.parse(result.toString());
+        let withdrawal;
         
         // Send the transaction to the blockchain
-        const txOptions = { fee };
+        const txOptions = {
+          fee,
+          feeRate: feeChoice.feeRate,
+          metadata: { internalWalletId },
+          // Submit the withdrawal to the Fabric network once the UTXOs are locked and the transaction is signed, so that a
+          // withdrawal that cannot be paid leaves the internal wallet untouched
+          beforeBroadcast: async () => {
+            const result = await fabricClient.submitTransaction('withdrawFromInternalWallet', internalWalletId, toAddress, amountUnits.toString(), feeUnits.toString(), 'false', feeDetails);
+            withdrawal = formatAmounts(JSON.parse(result.toString()), blockchain, ['amount', 'fee']);
+            
+            // The pending transaction records the withdrawal it pays
+            txOptions.metadata.withdrawalId = withdrawal.id;
+          }
+        };
         
         // Add OP_RETURN data if provided
         if (opReturn) {
           txOptions.opReturn = opReturn;
         }
         
-        const txid = await primaryWallet.sendTransaction(toAddress, amount, txOptions);
+        let txid;
+        try {
+          txid = await primaryWallet.sendTransaction(toAddress, amount, txOptions);
+        } catch (error) {
+          // A transaction that failed after the withdrawal was recorded was never handed to the transceiver, and no
+          // pending transaction retries it, so the withdrawal is credited back
+          if (withdrawal) {
+            await fabricClient.submitTransaction('cancelWithdrawal', withdrawal.id, error.message);
+          }
+          throw error;
+        }
         
         res.json({
           ...withdrawal,
@@ -598,13 +1206,167 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
+    // External Signing Flow
+    
+    /**
+     * Find the connector that holds an unsigned transaction
+     * @param {string} id The ID of the unsigned transaction
+     * @returns {Object|null} The connector, blockchain and primary wallet name, and the unsigned transaction
+     */
+    const findUnsignedTransaction = (id) => {
+      for (const blockchain of Object.keys(blockchainConnectors)) {
+        for (const walletName of Object.keys(blockchainConnectors[blockchain])) {
+          const connector = blockchainConnectors[blockchain][walletName];
+          const unsignedTransaction = connector.getUnsignedTransaction && connector.getUnsignedTransaction(id);
+          
+          if (unsignedTransaction) {
+            return { connector, blockchain, primaryWalletName: walletName, unsignedTransaction };
+          }
+        }
+      }
+      
+      return null;
+    };
+    
+    /**
+     * Describe an unsigned transaction in a response
+     * @param {Object} found The result of findUnsignedTransaction
+     * @returns {Object} The unsigned transaction, without its raw hex
+     */
+    const describeUnsignedTransaction = ({ blockchain, primaryWalletName, unsignedTransaction }) => {
+      const { txHex, metadata, ...transaction } = unsignedTransaction;
+      
+      return {
+        ...transaction,
+        internalWalletId: metadata.internalWalletId,
+        blockchain,
+        primaryWalletName
+      };
+    };
+    
+    /**
+     * Broadcast a signed transaction, and record the withdrawal it pays as signed on the ledger
+     * @param {Object} connector The connector that holds the signed transaction
+     * @param {Object} signedTransaction The signed transaction
+     * @returns {Promise<Object>} The txid of the transaction, and the result of the broadcast
+     */
+    const broadcastSignedWithdrawal = async (connector, signedTransaction) => {
+      const { id, txid, metadata } = signedTransaction;
+      const broadcast = await connector.broadcastSignedTransaction(id);
+      
+      if (metadata.withdrawalId) {
+        await fabricClient.submitTransaction('completeWithdrawal', metadata.withdrawalId, txid);
+      }
+      
+      return { txid, broadcast };
+    };
+    
+    /**
+     * Get the PSBT of a withdrawal that is awaiting signatures
+     * GET /api/transactions/psbt/:id
+     */
+    transactionRoutes.get('/api/transactions/psbt/:id', authenticateJWT, requirePermission(Permission.TRANSACTIONS_READ), validate(routeSchemas.getPsbt), (req, res) => {
+      try {
+        const found = findUnsignedTransaction(req.params.id);
+        
+        if (!found) {
+          return res.status(404).json({ error: 'Unsigned transaction not found' });
+        }
+        
+        if (!hasWalletAccess(req.user, found.unsignedTransaction.metadata.internalWalletId)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
+        res.json(describeUnsignedTransaction(found));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    /**
+     * Submit signed or partially signed PSBTs of a withdrawal
+     * POST /api/transactions/psbt/:id
+     *
+     * The signatures are combined with those submitted before. Once every input is signed (by
+     * enough cosigners, for a multisig wallet), the transaction is finalized, handed to the
+     * transceiver for broadcast, and the withdrawal is recorded as signed on the ledger.
+     */
+    transactionRoutes.post('/api/transactions/psbt/:id', authenticateJWT, requirePermission(Permission.WITHDRAWALS_WRITE), validate(routeSchemas.submitPsbt), async (req, res) => {
+      try {
+        const { id } = req.params;
+        const found = findUnsignedTransaction(id);
+        
+        if (!found) {
+          return res.status(404).json({ error: 'Unsigned transaction not found' });
+        }
+        
+        if (!hasWalletAccess(req.user, found.unsignedTransaction.metadata.internalWalletId)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
+        const psbts = req.body.psbts || [req.body.psbt];
+        
+        try {
+          found.connector.addSignatures(id, psbts);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        
+        if (found.unsignedTransaction.status !== 'signed') {
+          return res.json(describeUnsignedTransaction(found));
+        }
+        
+        const { broadcast } = await broadcastSignedWithdrawal(found.connector, found.unsignedTransaction);
+        
+        res.json({
+          ...describeUnsignedTransaction(found),
+          broadcast
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    /**
+     * Cancel a withdrawal that is awaiting signatures
+     * POST /api/transactions/psbt/:id/cancel
+     *
+     * The UTXOs of the unsigned transaction are released, and the amount and fee of the withdrawal
+     * are credited back to its internal wallet. Withdrawals whose signing timeout passes are
+     * cancelled the same way (see unsignedWithdrawals.js).
+     */
+    transactionRoutes.post('/api/transactions/psbt/:id/cancel', authenticateJWT, requirePermission(Permission.WITHDRAWALS_WRITE), validate(routeSchemas.cancelPsbt), async (req, res) => {
+      try {
+        const { id } = req.params;
+        const found = findUnsignedTransaction(id);
+        
+        if (!found) {
+          return res.status(404).json({ error: 'Unsigned transaction not found' });
+        }
+        
+        if (!hasWalletAccess(req.user, found.unsignedTransaction.metadata.internalWalletId)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
+        if (found.unsignedTransaction.status !== 'awaiting-signature') {
+          return res.status(400).json({ error: `Transaction ${id} is already ${found.unsignedTransaction.status}` });
+        }
+        
+        await cancelUnsignedWithdrawal(found.connector, fabricClient, id, (req.body && req.body.reason) || 'Cancelled through the API');
+        
+        res.json(describeUnsignedTransaction(found));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
     // Transaction Broadcasting Flow
     
     /**
      * Get pending transactions that need to be broadcast
      * GET /api/transactions/pending
      */
-    app.get('/api/transactions/pending', authenticateJWT, async (req, res) => {
+    transactionRoutes.get('/api/transactions/pending', authenticateJWT, requirePermission(Permission.TRANSACTIONS_READ), validate(routeSchemas.listPendingTransactions), async (req, res) => {
       try {
         const pendingTransactions = [];
         
@@ -615,7 +1377,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
             
             if (connector.transceiverManager) {
               const walletPendingTxs = connector.transceiverManager.getAllPendingTransactions()
-                .filter(tx => tx.status === 'ready')
+                .filter(tx => tx.status === 'ready' && hasWalletAccess(req.user, (tx.metadata || {}).internalWalletId))
                 .map(tx => ({
                   ...tx,
                   blockchain,
@@ -637,19 +1399,11 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
      * Submit transaction broadcast results
      * POST /api/transactions/results
      */
-    app.post('/api/transactions/results', authenticateJWT, async (req, res) => {
+    transactionRoutes.post('/api/transactions/results', authenticateJWT, requirePermission(Permission.BROADCAST_REPORT), validate(routeSchemas.submitTransactionResults), async (req, res) => {
       try {
         const messageManager = createMessageManager();
         const { txid, success, blockHeight, confirmations, error } = req.body;
         
-        if (!txid) {
-          messageManager.addError(
-            MessageCode.ERROR_INVALID_PARAMETERS,
-            'Missing required parameters'
-          );
-          return res.status(400).json(messageManager.createResponse({ success: false }));
-        }
-        
         // Find the transaction in the pending transactions
         let transaction = null;
         let connector = null;
@@ -682,24 +1436,50 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
           return res.status(404).json(messageManager.createResponse({ success: false }));
         }
         
-        // Update the transaction status
-        if (success) {
-          transaction.status = 'confirmed';
-          transaction.blockHeight = blockHeight;
-          transaction.confirmations = confirmations;
+        if (!hasWalletAccess(req.user, (transaction.metadata || {}).internalWalletId)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
+        // Move the transaction through its states; a broadcast transaction is confirmed once it is in a block
+        const { transceiverManager } = connector;
+        const steps = success
+          ? [
+            ...(['broadcasted', 'seen-in-mempool', 'confirmed'].includes(transaction.status) ? [] : ['broadcasted']),
+            ...((blockHeight !== undefined && blockHeight !== null) || confirmations > 0 ? ['confirmed'] : [])
+          ]
+          : ['failed'];
+        
+        // Every step is checked before the first is applied, so that a rejected result leaves the transaction as it was
+        let from = transaction.status;
+        for (const status of steps) {
+          if (status !== from && !canTransition(from, status)) {
+            messageManager.addError(
+              MessageCode.ERROR_INVALID_TRANSACTION_STATE,
+              `Invalid transition of pending transaction ${txid} from ${from} to ${status}`,
+              { txid, status: transaction.status }
+            );
+            return res.status(409).json(messageManager.createResponse({ success: false }));
+          }
           
+          from = status;
+        }
+        
+        for (const status of steps) {
+          transaction = transceiverManager.transitionPendingTransaction(txid, status, success
+            ? { blockHeight, confirmations }
+            : { error });
+        }
+        
+        if (success) {
           messageManager.addInfo(
             MessageCode.INFO_TRANSACTION_PROCESSED,
             'Transaction results recorded successfully',
             {
               txid,
-              status: 'confirmed'
+              status: transaction.status
             }
           );
         } else {
-          transaction.status = 'failed';
-          transaction.error = error;
-          
           messageManager.addWarning(
             MessageCode.WARN_TRANSACTION_FAILED,
             'Transaction failed to broadcast',
@@ -710,9 +1490,6 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
           );
         }
         
-        // Update the transaction in the transceiver manager
-        connector.transceiverManager.pendingTransactions.set(txid, transaction);
-        
         res.json(messageManager.createResponse({
           success: true,
           transaction: {
@@ -728,15 +1505,259 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.get('/api/transactions', authenticateJWT, async (req, res) => {
+    // Fee Bumping
+    
+    /**
+     * Find the connector that holds a pending transaction
+     * @param {string} txid The transaction ID
+     * @returns {Object|null} The connector, blockchain and primary wallet name, and the pending transaction
+     */
+    const findPendingTransaction = (txid) => {
+      for (const blockchain of Object.keys(blockchainConnectors)) {
+        for (const walletName of Object.keys(blockchainConnectors[blockchain])) {
+          const connector = blockchainConnectors[blockchain][walletName];
+          const transaction = connector.transceiverManager && connector.transceiverManager.getPendingTransaction(txid);
+          
+          if (transaction) {
+            return { connector, blockchain, primaryWalletName: walletName, transaction };
+          }
+        }
+      }
+      
+      return null;
+    };
+    
+    /**
+     * Queue a dead-lettered transaction for broadcasting again
+     * POST /api/transactions/:txid/retry-broadcast
+     *
+     * Transactions whose broadcasts failed in every attempt wait in the `dead-letter` state. The
+     * transaction is attempted again at once, and retried with backoff if it fails again.
+     */
+    transactionRoutes.post('/api/transactions/:txid/retry-broadcast', authenticateJWT, requirePermission(Permission.BROADCAST_REPORT), validate(routeSchemas.retryBroadcast), async (req, res) => {
+      try {
+        const { txid } = req.params;
+        const found = findPendingTransaction(txid);
+        
+        if (!found) {
+          return res.status(404).json({ error: 'Pending transaction not found' });
+        }
+        
+        const { connector, blockchain, primaryWalletName, transaction } = found;
+        
+        if (!hasWalletAccess(req.user, (transaction.metadata || {}).internalWalletId)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
+        if (transaction.status !== 'dead-letter') {
+          return res.status(409).json({ error: `Transaction ${txid} is ${transaction.status}, not dead-letter` });
+        }
+        
+        const broadcast = await connector.transceiverManager.retryBroadcast(txid);
+        
+        res.json({
+          txid,
+          blockchain,
+          primaryWalletName,
+          status: connector.transceiverManager.getPendingTransaction(txid).status,
+          broadcast
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    /**
+     * Bump the fee of a withdrawal transaction that has not confirmed
+     * POST /api/transactions/:txid/bump-fee
+     *
+     * The transaction is replaced by one with a higher fee (RBF), or its change output is spent by a
+     * child transaction that pays for both (CPFP). The additional fee is charged on the ledger
+     * before the new transaction is broadcast, to the internal wallet of the withdrawal or to the
+     * base wallet, as the fee bump policy of the chaincode sets.
+     */
+    transactionRoutes.post('/api/transactions/:txid/bump-fee', authenticateJWT, requirePermission(Permission.WITHDRAWALS_WRITE), validate(routeSchemas.bumpFee), idempotent, async (req, res) => {
+      try {
+        const { txid } = req.params;
+        const { method, priority, feeRate: requestedFeeRate } = req.body;
+        const found = findPendingTransaction(txid);
+        
+        if (!found) {
+          return res.status(404).json({ error: 'Pending transaction not found' });
+        }
+        
+        const { connector, blockchain, primaryWalletName, transaction } = found;
+        const { withdrawalId, internalWalletId } = transaction.metadata || {};
+        
+        if (!withdrawalId) {
+          return res.status(400).json({ error: `Transaction ${txid} does not pay a withdrawal` });
+        }
+        
+        if (!hasWalletAccess(req.user, internalWalletId)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
+        }
+        
+        // Under the base wallet policy, the operator pays for the bump rather than the owner of the withdrawal
+        const policy = JSON.parse((await fabricClient.evaluateTransaction('getFeeBumpPolicy')).toString());
+        
+        if (policy.chargeTo === 'base-wallet' && !hasPermission(req.user, Permission.FEE_BUMPS_BASE_WALLET)) {
+          return res.status(403).json({ error: `Bumps charged to the base wallet require the ${Permission.FEE_BUMPS_BASE_WALLET} permission` });
+        }
+        
+        let feeChoice;
+        try {
+          feeChoice = await feeEstimator.chooseFeeRate(blockchain, primaryWalletName, { priority, feeRate: requestedFeeRate });
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        
+        const baseWalletId = `${config.baseInternalWallet.namePrefix}${blockchain}_${primaryWalletName}`;
+        let withdrawal;
+        let bump;
+        try {
+          bump = await connector.bumpFee(txid, {
+            method,
+            feeRate: feeChoice.feeRate,
+            // Charge the additional fee before the new transaction is broadcast
+            beforeBroadcast: async (prepared) => {
+              const details = JSON.stringify({ method: prepared.method, originalTxid: txid, feeRate: prepared.feeRate });
+              const additionalFee = toBaseUnits(prepared.additionalFee, blockchain, { round: true });
+              const result = await fabricClient.submitTransaction('bumpWithdrawalFee', withdrawalId, prepared.txid, additionalFee.toString(), baseWalletId, details);
+              withdrawal = JSON.parse(result.toString());
+            }
+          });
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        
+        const { chargedTo, chargedWalletId } = withdrawal.feeBumps[withdrawal.feeBumps.length - 1];
+        
+        res.json({
+          withdrawalId,
+          internalWalletId,
+          method: bump.method,
+          originalTxid: txid,
+          txid: bump.txid,
+          fee: bump.fee,
+          additionalFee: bump.additionalFee,
+          feeRate: bump.feeRate,
+          priority: feeChoice.priority,
+          virtualSize: bump.virtualSize,
+          chargedTo,
+          chargedWalletId,
+          broadcast: bump.broadcast
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    /**
+     * Get who pays the additional fee of bumped withdrawal transactions
+     * GET /api/transactions/fee-bump-policy
+     */
+    transactionRoutes.get('/api/transactions/fee-bump-policy', authenticateJWT, requirePermission(Permission.TRANSACTIONS_READ), validate(routeSchemas.getFeeBumpPolicy), async (req, res) => {
+      try {
+        const result = await fabricClient.evaluateTransaction('getFeeBumpPolicy');
+        
+        res.json(JSON.parse(result.toString()));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    /**
+     * Set who pays the additional fee of bumped withdrawal transactions
+     * PUT /api/transactions/fee-bump-policy
+     */
+    transactionRoutes.put('/api/transactions/fee-bump-policy', authenticateJWT, requirePermission(Permission.FEE_POLICY_WRITE), validate(routeSchemas.setFeeBumpPolicy), async (req, res) => {
+      try {
+        const result = await fabricClient.submitTransaction('setFeeBumpPolicy', req.body.chargeTo);
+        
+        res.json(JSON.parse(result.toString()));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    // Withdrawal Batching
+    
+    /**
+     * List the withdrawals that are queued for a batch transaction, by primary wallet
+     * GET /api/transactions/withdrawal-queue
+     */
+    transactionRoutes.get('/api/transactions/withdrawal-queue', authenticateJWT, requirePermission(Permission.TRANSACTIONS_READ), validate(routeSchemas.getWithdrawalQueue), async (req, res) => {
+      try {
+        const queues = withdrawalBatcher.getQueues()
+          .map(queue => ({
+            ...queue,
+            withdrawals: queue.withdrawals.filter(withdrawal => hasWalletAccess(req.user, withdrawal.internalWalletId))
+          }))
+          .filter(queue => queue.withdrawals.length > 0);
+        
+        res.json(queues);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    /**
+     * Send the queued withdrawals of a primary wallet in a batch transaction now
+     * POST /api/transactions/withdrawal-queue/:blockchain/:name/flush
+     */
+    transactionRoutes.post('/api/transactions/withdrawal-queue/:blockchain/:name/flush', authenticateJWT, requirePermission(Permission.WITHDRAWAL_BATCHES_WRITE), validate(routeSchemas.flushWithdrawalQueue), idempotent, async (req, res) => {
+      try {
+        const { blockchain, name } = req.params;
+        
+        if (!(blockchainConnectors[blockchain] || {})[name]) {
+          return res.status(404).json({ error: `Primary wallet not found: ${blockchain}/${name}` });
+        }
+        
+        const batch = await withdrawalBatcher.flush(blockchain, name);
+        
+        res.json({
+          flushed: Boolean(batch),
+          batch: batch ? formatBatch(batch) : null
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    /**
+     * Get a withdrawal batch, with the output of each of its withdrawals
+     * GET /api/transactions/batches/:id
+     */
+    transactionRoutes.get('/api/transactions/batches/:id', authenticateJWT, requirePermission(Permission.TRANSACTIONS_READ), validate(routeSchemas.getWithdrawalBatch), async (req, res) => {
+      try {
+        let batch;
+        try {
+          batch = JSON.parse((await fabricClient.evaluateTransaction('getWithdrawalBatch', req.params.id)).toString());
+        } catch (error) {
+          return res.status(404).json({ error: 'Withdrawal batch not found' });
+        }
+        
+        // Users limited to some internal wallets only see their withdrawals
+        const withdrawals = batch.withdrawals.filter(withdrawal => hasWalletAccess(req.user, withdrawal.internalWalletId));
+        if (withdrawals.length === 0) {
+          return res.status(403).json({ error: 'Access to withdrawal batch denied' });
+        }
+        
+        res.json(formatBatch({ ...batch, withdrawals }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+    
+    transactionRoutes.get('/api/transactions', authenticateJWT, requirePermission(Permission.TRANSACTIONS_READ), validate(routeSchemas.listTransactions), async (req, res) => {
       try {
-        const { internalWalletId, limit } = req.query;
+        const { internalWalletId, limit = 10 } = req.query;
         
-        if (!internalWalletId) {
-          return res.status(400).json({ error: 'Missing required parameters' });
+        if (!hasWalletAccess(req.user, internalWalletId)) {
+          return res.status(403).json({ error: 'Access to internal wallet denied' });
         }
         
-        const result = await fabricClient.evaluateTransaction('getTransactionHistory', internalWalletId, limit || '10');
+        const result = await fabricClient.evaluateTransaction('getTransactionHistory', internalWalletId, String(limit));
         const transactions = JSON.parse(result.toString());
         
         res.json(transactions);
@@ -746,7 +1767,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
     });
     
     // Chaincode management
-    app.get('/api/chaincode/templates', authenticateJWT, (req, res) => {
+    chaincodeRoutes.get('/api/chaincode/templates', authenticateJWT, requirePermission(Permission.CHAINCODE_READ), validate(routeSchemas.listChaincodeTemplates), (req, res) => {
       try {
         const templates = chaincodeManager.getAvailableTemplates();
         res.json(templates);
@@ -755,14 +1776,10 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.post('/api/chaincode/custom', authenticateJWT, (req, res) => {
+    chaincodeRoutes.post('/api/chaincode/custom', authenticateJWT, requirePermission(Permission.CHAINCODE_WRITE), validate(routeSchemas.createCustomChaincode), (req, res) => {
       try {
         const { templateId, customId } = req.body;
         
-        if (!templateId || !customId) {
-          return res.status(400).json({ error: 'Missing required parameters' });
-        }
-        
         const customChaincode = chaincodeManager.createCustomChaincode(templateId, customId);
         res.json(customChaincode);
       } catch (error) {
@@ -770,7 +1787,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.get('/api/chaincode/custom', authenticateJWT, (req, res) => {
+    chaincodeRoutes.get('/api/chaincode/custom', authenticateJWT, requirePermission(Permission.CHAINCODE_READ), validate(routeSchemas.listCustomChaincodes), (req, res) => {
       try {
         const customChaincodes = chaincodeManager.getCustomChaincodes();
         res.json(customChaincodes);
@@ -779,7 +1796,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.get('/api/chaincode/custom/:id', authenticateJWT, (req, res) => {
+    chaincodeRoutes.get('/api/chaincode/custom/:id', authenticateJWT, requirePermission(Permission.CHAINCODE_READ), validate(routeSchemas.getCustomChaincode), (req, res) => {
       try {
         const { id } = req.params;
         const customChaincode = chaincodeManager.getCustomChaincode(id);
@@ -789,15 +1806,11 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.put('/api/chaincode/custom/:id', authenticateJWT, (req, res) => {
+    chaincodeRoutes.put('/api/chaincode/custom/:id', authenticateJWT, requirePermission(Permission.CHAINCODE_WRITE), validate(routeSchemas.updateCustomChaincode), (req, res) => {
       try {
         const { id } = req.params;
         const { filePath, content } = req.body;
         
-        if (!filePath || !content) {
-          return res.status(400).json({ error: 'Missing required parameters' });
-        }
-        
         const updatedChaincode = chaincodeManager.updateCustomChaincode(id, filePath, content);
         res.json(updatedChaincode);
       } catch (error) {
@@ -805,7 +1818,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.delete('/api/chaincode/custom/:id', authenticateJWT, (req, res) => {
+    chaincodeRoutes.delete('/api/chaincode/custom/:id', authenticateJWT, requirePermission(Permission.CHAINCODE_WRITE), validate(routeSchemas.deleteCustomChaincode), (req, res) => {
       try {
         const { id } = req.params;
         const result = chaincodeManager.deleteCustomChaincode(id);
@@ -815,7 +1828,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.post('/api/chaincode/custom/:id/deploy', authenticateJWT, async (req, res) => {
+    chaincodeRoutes.post('/api/chaincode/custom/:id/deploy', authenticateJWT, requirePermission(Permission.CHAINCODE_DEPLOY), validate(routeSchemas.deployCustomChaincode), async (req, res) => {
       try {
         const { id } = req.params;
         const result = await chaincodeManager.deployCustomChaincode(id);
@@ -825,7 +1838,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.post('/api/chaincode/custom/:id/update', authenticateJWT, async (req, res) => {
+    chaincodeRoutes.post('/api/chaincode/custom/:id/update', authenticateJWT, requirePermission(Permission.CHAINCODE_DEPLOY), validate(routeSchemas.updateDeployedChaincode), async (req, res) => {
       try {
         const { id } = req.params;
         const result = await chaincodeManager.updateDeployedChaincode(id);
@@ -835,7 +1848,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.post('/api/chaincode/custom/:id/install-dependencies', authenticateJWT, async (req, res) => {
+    chaincodeRoutes.post('/api/chaincode/custom/:id/install-dependencies', authenticateJWT, requirePermission(Permission.CHAINCODE_WRITE), validate(routeSchemas.installChaincodeDependencies), async (req, res) => {
       try {
         const { id } = req.params;
         const result = await chaincodeManager.installDependencies(id);
@@ -846,7 +1859,19 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
     });
     
     // Balance reconciliation
-    app.get('/api/reconciliation/config', authenticateJWT, (req, res) => {
+    
+    /**
+     * Convert the amounts of a discrepancy recorded on the ledger to whole coins
+     * @param {Object} discrepancy The discrepancy record
+     * @returns {Object} The discrepancy for the API response
+     */
+    const formatDiscrepancy = discrepancy => formatAmounts(
+      discrepancy,
+      discrepancy.blockchain,
+      ['onChainBalance', 'aggregateInternalBalance', 'difference']
+    );
+    
+    app.get('/api/reconciliation/config', authenticateJWT, requirePermission(Permission.RECONCILIATION_READ), validate(routeSchemas.getReconciliationConfig), (req, res) => {
       try {
         const config = balanceReconciliation.getConfig();
         res.json(config);
@@ -855,7 +1880,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.post('/api/reconciliation/wallet/:blockchain/:name', authenticateJWT, async (req, res) => {
+    app.post('/api/reconciliation/wallet/:blockchain/:name', authenticateJWT, requirePermission(Permission.RECONCILIATION_WRITE), validate(routeSchemas.reconcileWallet), async (req, res) => {
       try {
         const { blockchain, name } = req.params;
         
@@ -868,7 +1893,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.post('/api/reconciliation/all', authenticateJWT, async (req, res) => {
+    app.post('/api/reconciliation/all', authenticateJWT, requirePermission(Permission.RECONCILIATION_WRITE), validate(routeSchemas.reconcileAll), async (req, res) => {
       try {
         // Perform full reconciliation
         const results = await balanceReconciliation.performFullReconciliation();
@@ -879,7 +1904,7 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
-    app.get('/api/reconciliation/discrepancies', authenticateJWT, async (req, res) => {
+    app.get('/api/reconciliation/discrepancies', authenticateJWT, requirePermission(Permission.RECONCILIATION_READ), validate(routeSchemas.listDiscrepancies), async (req, res) => {
       try {
         const { resolved } = req.query;
         
@@ -887,33 +1912,29 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
         const result = await fabricClient.evaluateTransaction('getBalanceDiscrepancies', resolved || null);
         const discrepancies = JSON.parse(result.toString());
         
-        res.json(discrepancies);
+        res.json(discrepancies.map(formatDiscrepancy));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
     
-    app.post('/api/reconciliation/discrepancies/:id/resolve', authenticateJWT, async (req, res) => {
+    app.post('/api/reconciliation/discrepancies/:id/resolve', authenticateJWT, requirePermission(Permission.RECONCILIATION_WRITE), validate(routeSchemas.resolveDiscrepancy), async (req, res) => {
       try {
         const { id } = req.params;
         const { resolution } = req.body;
         
-        if (!resolution) {
-          return res.status(400).json({ error: 'Missing required parameters' });
-        }
-        
         // Resolve the discrepancy
         const result = await fabricClient.submitTransaction('resolveBalanceDiscrepancy', id, resolution);
         const resolvedDiscrepancy = JSON.parse(result.toString());
         
-        res.json(resolvedDiscrepancy);
+        res.json(formatDiscrepancy(resolvedDiscrepancy));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
     
     // Wallet destruction
-    app.delete('/api/wallets/:blockchain/:name', authenticateJWT, async (req, res) => {
+    app.delete('/api/wallets/:blockchain/:name', authenticateJWT, requirePermission(Permission.WALLETS_DESTROY), validate(routeSchemas.destroyWallet), async (req, res) => {
       try {
         const { blockchain, name } = req.params;
         const { confirmation } = req.body;
@@ -939,6 +1960,30 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       }
     });
     
+    // API documentation
+    // The OpenAPI document is built on each request so that it includes the routes of extensions registered later
+    const docsConfig = config.api.docs || {};
+    const extensionRoutes = new Map();
+    
+    const getOpenApiDocument = () => createOpenApiDocument(app, {
+      authenticate: authenticateJWT,
+      idempotent,
+      extensionRoutes
+    });
+    
+    if (docsConfig.enabled !== false) {
+      app.get('/api/openapi.json', validate(routeSchemas.openApiDocument), (req, res) => {
+        res.json(getOpenApiDocument());
+      });
+      
+      if (docsConfig.ui) {
+        app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(null, {
+          customSiteTitle: 'FractaLedger API',
+          swaggerOptions: { url: '/api/openapi.json' }
+        }));
+      }
+    }
+    
     // Start the server
     const port = config.api.port || 3000;
     const host = config.api.host || 'localhost';
@@ -951,11 +1996,24 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
     return {
       app,
       authenticateJWT,
+      accessControl,
+      userStore,
+      apiKeyStore,
+      tokenService,
+      rateLimiter,
+      idempotencyStore,
+      endpointGroups,
+      getOpenApiDocument,
       dependencies: {
         walletManager,
         fabricClient,
         chaincodeManager,
         balanceReconciliation,
+        depositManager,
+        depositProcessor,
+        feeEstimator,
+        withdrawalBatcher,
+        utxoConsolidator,
         config
       },
       close: () => {
@@ -972,13 +2030,33 @@ async function startApiServer(config, blockchainConnectors, walletManager, fabri
       // Helper function to register API extensions
       registerExtension: (extension) => {
         if (typeof extension === 'function') {
+          // Grant any permissions declared by the extension before its routes are added
+          if (extension.permissions) {
+            accessControl.registerPermissions(extension.permissions);
+          }
+          
+          const firstLayer = app._router.stack.length;
+          
           extension(app, authenticateJWT, {
             walletManager,
             fabricClient,
             chaincodeManager,
             balanceReconciliation,
-            config
+            config,
+            requirePermission,
+            hasWalletAccess,
+            idempotent,
+            validate,
+            Permission
           });
+          
+          // Remember which routes the extension added, so that they are grouped in the API documentation
+          for (const layer of app._router.stack.slice(firstLayer)) {
+            if (layer.route) {
+              extensionRoutes.set(layer.route, extension.name || 'Extensions');
+            }
+          }
+          
           console.log(`API extension registered: ${extension.name || 'Anonymous extension'}`);
         } else {
           throw new Error('Extension must be a function');
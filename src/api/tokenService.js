@@ -0,0 +1,525 @@
+/**
+ * Token Service
+ *
+ * This module issues and verifies the JWTs used by the API server. It provides:
+ * - Access tokens, signed with the active signing key and tagged with its key ID (`kid`)
+ * - Refresh tokens, which are rotated on every use; reusing a refresh token revokes its whole session
+ * - A revocation list of access token IDs (`jti`), checked whenever an access token is verified
+ * - The time each user's tokens were last revoked, before which their access tokens are rejected,
+ *   so that disabling a user or changing their roles takes effect before their tokens expire
+ *
+ * Several signing keys can be configured at once, so that the active key can be rotated
+ * while tokens signed with the previous key remain valid until they expire.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_SESSION_STORE_PATH = './data/sessions.json';
+const DEFAULT_REFRESH_TOKEN_EXPIRES_IN = '7d';
+const DEFAULT_KID = 'default';
+
+/**
+ * In-memory session store
+ *
+ * Holds the issued refresh tokens, the revoked access token IDs and the times users' tokens were revoked.
+ */
+class MemorySessionStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.refreshTokens = new Map();
+    this.revokedTokens = new Map();
+    this.revokedUsers = new Map();
+  }
+  
+  /**
+   * Initialize the store
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Nothing to load for the in-memory store
+  }
+  
+  /**
+   * Save an issued refresh token
+   * @param {Object} record The refresh token record, with its `jti`, `sessionId`, `username` and `expiresAt`
+   * @returns {Promise<void>}
+   */
+  async saveRefreshToken(record) {
+    this.refreshTokens.set(record.jti, { ...record });
+    await this._persist();
+  }
+  
+  /**
+   * Get a refresh token record
+   * @param {string} jti The refresh token ID
+   * @returns {Promise<Object|null>} The record, or null if there is none
+   */
+  async getRefreshToken(jti) {
+    const record = this.refreshTokens.get(jti);
+    return record ? { ...record } : null;
+  }
+  
+  /**
+   * Update every refresh token matching a filter
+   * @param {Function} filter Returns true for the records to update
+   * @param {Object} updates The fields to update
+   * @returns {Promise<number>} The number of updated records
+   */
+  async updateRefreshTokens(filter, updates) {
+    let count = 0;
+    
+    for (const [jti, record] of this.refreshTokens.entries()) {
+      if (filter(record)) {
+        this.refreshTokens.set(jti, { ...record, ...updates });
+        count++;
+      }
+    }
+    
+    if (count > 0) {
+      await this._persist();
+    }
+    
+    return count;
+  }
+  
+  /**
+   * Revoke an access token until it expires
+   * @param {string} jti The access token ID
+   * @param {number} expiresAt The time the token expires in milliseconds, after which the revocation is dropped
+   * @returns {Promise<void>}
+   */
+  async revokeToken(jti, expiresAt) {
+    this.revokedTokens.set(jti, expiresAt);
+    await this._persist();
+  }
+  
+  /**
+   * Check whether an access token has been revoked
+   * @param {string} jti The access token ID
+   * @returns {Promise<boolean>} True if the token has been revoked
+   */
+  async isTokenRevoked(jti) {
+    return this.revokedTokens.has(jti);
+  }
+  
+  /**
+   * Record that the tokens issued to a user until now are revoked
+   * @param {string} username The username
+   * @param {number} revokedAt The time of the revocation in milliseconds
+   * @param {number|null} expiresAt The time the last of the revoked access tokens expires in milliseconds, after which the revocation is dropped, or null if access tokens do not expire
+   * @returns {Promise<void>}
+   */
+  async revokeUserTokens(username, revokedAt, expiresAt = null) {
+    this.revokedUsers.set(username, { revokedAt, expiresAt });
+    await this._persist();
+  }
+  
+  /**
+   * Get the time a user's tokens were last revoked
+   * @param {string} username The username
+   * @returns {Promise<number|null>} The time of the revocation in milliseconds, or null if their tokens were never revoked
+   */
+  async getUserTokensRevokedAt(username) {
+    return this.revokedUsers.has(username) ? this.revokedUsers.get(username).revokedAt : null;
+  }
+  
+  /**
+   * Remove expired refresh tokens and revocation entries
+   * @private
+   */
+  _prune() {
+    const now = Date.now();
+    
+    for (const [jti, record] of this.refreshTokens.entries()) {
+      if (record.expiresAt <= now) {
+        this.refreshTokens.delete(jti);
+      }
+    }
+    
+    for (const [jti, expiresAt] of this.revokedTokens.entries()) {
+      if (expiresAt <= now) {
+        this.revokedTokens.delete(jti);
+      }
+    }
+    
+    for (const [username, { expiresAt }] of this.revokedUsers.entries()) {
+      if (expiresAt !== null && expiresAt <= now) {
+        this.revokedUsers.delete(username);
+      }
+    }
+  }
+  
+  /**
+   * Persist the sessions after a change
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist() {
+    this._prune();
+  }
+}
+
+/**
+ * File-backed session store
+ */
+class FileSessionStore extends MemorySessionStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   * @param {string} config.path The path to the sessions file
+   */
+  constructor(config = {}) {
+    super(config);
+    this.filePath = path.resolve(process.cwd(), config.path || DEFAULT_SESSION_STORE_PATH);
+  }
+  
+  /**
+   * Load the sessions from the sessions file
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    
+    const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    
+    for (const record of data.refreshTokens || []) {
+      this.refreshTokens.set(record.jti, record);
+    }
+    
+    for (const [jti, expiresAt] of Object.entries(data.revokedTokens || {})) {
+      this.revokedTokens.set(jti, expiresAt);
+    }
+    
+    for (const [username, revocation] of Object.entries(data.revokedUsers || {})) {
+      this.revokedUsers.set(username, revocation);
+    }
+  }
+  
+  /**
+   * Write the sessions to the sessions file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist() {
+    this._prune();
+    
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(
+      this.filePath,
+      JSON.stringify({
+        refreshTokens: Array.from(this.refreshTokens.values()),
+        revokedTokens: Object.fromEntries(this.revokedTokens),
+        revokedUsers: Object.fromEntries(this.revokedUsers)
+      }, null, 2),
+      { mode: 0o600 }
+    );
+  }
+}
+
+/**
+ * Create and initialize the session store described by the configuration
+ * @param {Object} authConfig The API authentication configuration (config.api.auth)
+ * @returns {Promise<Object>} The initialized session store
+ */
+async function createSessionStore(authConfig = {}) {
+  const storeConfig = authConfig.sessionStore || { type: 'file' };
+  let store;
+  
+  switch (storeConfig.type) {
+    case 'memory':
+      store = new MemorySessionStore(storeConfig);
+      break;
+    
+    case 'custom': {
+      if (!storeConfig.module) {
+        throw new Error('Custom session store requires a module path');
+      }
+      
+      const StoreClass = require(path.resolve(process.cwd(), storeConfig.module));
+      store = typeof StoreClass === 'function' ? new StoreClass(storeConfig) : StoreClass;
+      break;
+    }
+    
+    case 'file':
+    case undefined:
+      store = new FileSessionStore(storeConfig);
+      break;
+    
+    default:
+      throw new Error(`Unsupported session store type: ${storeConfig.type}`);
+  }
+  
+  await store.initialize();
+  return store;
+}
+
+/**
+ * Get the signing keys described by the configuration
+ *
+ * When no `signingKeys` are configured, `jwtSecret` is used as the only key.
+ *
+ * @param {Object} authConfig The API authentication configuration (config.api.auth)
+ * @returns {Array} The signing keys, each with a `kid` and a `secret`
+ */
+function getSigningKeys(authConfig) {
+  const signingKeys = Array.isArray(authConfig.signingKeys) && authConfig.signingKeys.length > 0
+    ? authConfig.signingKeys
+    : [{ kid: DEFAULT_KID, secret: authConfig.jwtSecret }];
+  
+  for (const key of signingKeys) {
+    if (!key.kid || !key.secret) {
+      throw new Error('Each signing key requires a kid and a secret');
+    }
+  }
+  
+  return signingKeys;
+}
+
+/**
+ * Create the token service
+ * @param {Object} authConfig The API authentication configuration (config.api.auth)
+ * @param {Object} store The session store
+ * @returns {Object} The token service
+ */
+function createTokenService(authConfig, store) {
+  const signingKeys = getSigningKeys(authConfig);
+  const activeKid = authConfig.activeKid || signingKeys[0].kid;
+  const activeKey = signingKeys.find(key => key.kid === activeKid);
+  
+  if (!activeKey) {
+    throw new Error(`Active signing key ${activeKid} is not configured`);
+  }
+  
+  const refreshTokenExpiresIn = authConfig.refreshTokenExpiresIn || DEFAULT_REFRESH_TOKEN_EXPIRES_IN;
+  
+  /**
+   * Sign a token with the active signing key
+   * @param {Object} payload The token payload
+   * @param {string|number} expiresIn The token lifetime
+   * @returns {string} The signed token
+   */
+  function sign(payload, expiresIn) {
+    const options = {
+      keyid: activeKey.kid,
+      jwtid: crypto.randomUUID()
+    };
+    
+    if (expiresIn) {
+      options.expiresIn = expiresIn;
+    }
+    
+    return jwt.sign(payload, activeKey.secret, options);
+  }
+  
+  /**
+   * Get the lifetime of access tokens, read as jsonwebtoken reads `expiresIn`
+   * @returns {number|null} The lifetime in milliseconds, or null if access tokens do not expire
+   */
+  function getAccessTokenLifetime() {
+    if (!authConfig.expiresIn) {
+      return null;
+    }
+    
+    const { iat, exp } = jwt.decode(jwt.sign({}, activeKey.secret, { expiresIn: authConfig.expiresIn }));
+    return (exp - iat) * 1000;
+  }
+  
+  const accessTokenLifetime = getAccessTokenLifetime();
+  
+  /**
+   * Verify a token against the configured signing keys
+   *
+   * Tokens without a `kid` (issued before key rotation was configured) are checked against every key.
+   *
+   * @param {string} token The token
+   * @param {Object} options Additional jsonwebtoken verification options
+   * @returns {Object} The token payload
+   */
+  function verify(token, options = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    
+    if (!decoded) {
+      throw new Error('Malformed token');
+    }
+    
+    const kid = decoded.header.kid;
+    const candidates = kid ? signingKeys.filter(key => key.kid === kid) : signingKeys;
+    
+    if (candidates.length === 0) {
+      throw new Error(`Unknown signing key: ${kid}`);
+    }
+    
+    let lastError;
+    
+    for (const key of candidates) {
+      try {
+        return jwt.verify(token, key.secret, options);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    
+    throw lastError;
+  }
+  
+  /**
+   * Issue an access token and a refresh token for a user
+   * @param {Object} user The user record
+   * @param {string} sessionId Optional ID of the session being renewed
+   * @returns {Promise<Object>} The access token and refresh token
+   */
+  async function issueTokens(user, sessionId = crypto.randomUUID()) {
+    // The issue time in milliseconds tells tokens issued right after a revocation from those it revoked
+    const token = sign({
+      username: user.username,
+      roles: user.roles,
+      internalWalletIds: user.internalWalletIds,
+      sid: sessionId,
+      issuedAt: Date.now()
+    }, authConfig.expiresIn);
+    
+    const refreshToken = sign({
+      username: user.username,
+      sid: sessionId,
+      type: 'refresh'
+    }, refreshTokenExpiresIn);
+    
+    const { jti, exp } = jwt.decode(refreshToken);
+    
+    await store.saveRefreshToken({
+      jti,
+      username: user.username,
+      sessionId,
+      expiresAt: exp * 1000,
+      createdAt: Date.now(),
+      usedAt: null,
+      revokedAt: null
+    });
+    
+    return { token, refreshToken };
+  }
+  
+  /**
+   * Verify an access token and check that neither it nor the tokens of its user have been revoked
+   * @param {string} token The access token
+   * @returns {Promise<Object>} The token payload
+   */
+  async function verifyAccessToken(token) {
+    const payload = verify(token);
+    
+    if (payload.type === 'refresh') {
+      throw new Error('Refresh tokens cannot be used as access tokens');
+    }
+    
+    if (payload.jti && await store.isTokenRevoked(payload.jti)) {
+      throw new Error('Token has been revoked');
+    }
+    
+    const revokedAt = await store.getUserTokensRevokedAt(payload.username);
+    const issuedAt = payload.issuedAt !== undefined ? payload.issuedAt : payload.iat * 1000;
+    
+    if (revokedAt !== null && issuedAt <= revokedAt) {
+      throw new Error('Token has been revoked');
+    }
+    
+    return payload;
+  }
+  
+  /**
+   * Consume a refresh token so that it can be exchanged for a new token pair
+   *
+   * A refresh token can only be used once. Presenting a token that has already been used
+   * revokes every refresh token in its session, since the token has probably been stolen.
+   *
+   * @param {string} refreshToken The refresh token
+   * @returns {Promise<Object>} The refresh token payload
+   */
+  async function consumeRefreshToken(refreshToken) {
+    const payload = verify(refreshToken);
+    
+    if (payload.type !== 'refresh') {
+      throw new Error('Not a refresh token');
+    }
+    
+    const record = await store.getRefreshToken(payload.jti);
+    
+    if (!record || record.revokedAt) {
+      throw new Error('Refresh token has been revoked');
+    }
+    
+    if (record.usedAt) {
+      await revokeSession(record.sessionId);
+      throw new Error('Refresh token has already been used');
+    }
+    
+    await store.updateRefreshTokens(r => r.jti === record.jti, { usedAt: Date.now() });
+    return payload;
+  }
+  
+  /**
+   * Add an access token to the revocation list
+   * @param {Object} payload The verified access token payload
+   * @returns {Promise<void>}
+   */
+  async function revokeAccessToken(payload) {
+    if (payload.jti) {
+      await store.revokeToken(payload.jti, payload.exp * 1000);
+    }
+  }
+  
+  /**
+   * Revoke every refresh token in a session
+   * @param {string} sessionId The session ID
+   * @returns {Promise<number>} The number of revoked refresh tokens
+   */
+  async function revokeSession(sessionId) {
+    return store.updateRefreshTokens(
+      record => record.sessionId === sessionId && !record.revokedAt,
+      { revokedAt: Date.now() }
+    );
+  }
+  
+  /**
+   * Revoke every token issued to a user: their refresh tokens, and their access tokens until they expire
+   * @param {string} username The username
+   * @returns {Promise<number>} The number of revoked refresh tokens
+   */
+  async function revokeUserSessions(username) {
+    const revokedAt = Date.now();
+    
+    // Once every access token issued before the revocation has expired, the revocation is no longer needed
+    await store.revokeUserTokens(username, revokedAt, accessTokenLifetime === null ? null : revokedAt + accessTokenLifetime);
+    
+    return store.updateRefreshTokens(
+      record => record.username === username && !record.revokedAt,
+      { revokedAt }
+    );
+  }
+  
+  return {
+    activeKid,
+    issueTokens,
+    verifyAccessToken,
+    consumeRefreshToken,
+    revokeAccessToken,
+    revokeSession,
+    revokeUserSessions
+  };
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+  createTokenService,
+  getSigningKeys
+};
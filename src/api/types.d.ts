@@ -43,7 +43,10 @@ export enum MessageCode {
   ERROR_INTERNAL_SERVER_ERROR = 'ERROR_005',
   ERROR_UNAUTHORIZED = 'ERROR_006',
   ERROR_FORBIDDEN = 'ERROR_007',
-  ERROR_TRANSACTION_NOT_FOUND = 'ERROR_008'
+  ERROR_TRANSACTION_NOT_FOUND = 'ERROR_008',
+  ERROR_RATE_LIMITED = 'ERROR_009',
+  ERROR_ENDPOINT_DISABLED = 'ERROR_010',
+  ERROR_IDEMPOTENCY_CONFLICT = 'ERROR_011'
 }
 
 /**
@@ -73,6 +76,47 @@ export interface MessageManager {
  */
 export function createMessageManager(): MessageManager;
 
+/**
+ * Access control interface
+ */
+export interface AccessControl {
+  getRoles(): Record<string, { description?: string; ownWalletsOnly?: boolean; permissions: string[] }>;
+  isValidRole(name: string): boolean;
+  isValidScope(permission: string): boolean;
+  hasPermission(user: any, permission: string): boolean;
+  hasWalletAccess(user: any, internalWalletId: string): boolean;
+  requirePermission(permission: string): (req: Request, res: Response, next: NextFunction) => void;
+  registerPermissions(permissions: Record<string, string[]>): void;
+}
+
+/**
+ * API user record, as returned by the user management endpoints
+ */
+export interface ApiUser {
+  username: string;
+  roles: string[];
+  internalWalletIds: string[];
+  disabled: boolean;
+  createdAt: string;
+  updatedAt?: string;
+}
+
+/**
+ * Route schema interface
+ *
+ * `params`, `query`, `body` and the `response` values are JSON Schemas.
+ */
+export interface RouteSchema {
+  operationId?: string;
+  summary?: string;
+  description?: string;
+  tags?: string[];
+  params?: object;
+  query?: object;
+  body?: object;
+  response?: Record<number, object>;
+}
+
 /**
  * API server dependencies interface
  */
@@ -82,6 +126,19 @@ export interface ApiServerDependencies {
   chaincodeManager: any;
   balanceReconciliation: any;
   config: any;
+  requirePermission?: AccessControl['requirePermission'];
+  hasWalletAccess?: AccessControl['hasWalletAccess'];
+  idempotent?: (req: Request, res: Response, next: NextFunction) => void;
+  validate?: (schema: RouteSchema) => (req: Request, res: Response, next: NextFunction) => void;
+  Permission?: Record<string, string>;
+}
+
+/**
+ * API extension function
+ */
+export interface ApiExtension {
+  (app: Express, authenticateJWT: any, dependencies: ApiServerDependencies): void;
+  permissions?: Record<string, string[]>;
 }
 
 /**
@@ -90,9 +147,17 @@ export interface ApiServerDependencies {
 export interface ApiServer {
   app: Express;
   authenticateJWT: (req: Request, res: Response, next: NextFunction) => void;
+  accessControl: AccessControl;
+  userStore: any;
+  apiKeyStore: any;
+  tokenService: any;
+  rateLimiter: any;
+  idempotencyStore: any;
+  endpointGroups: Record<string, boolean>;
+  getOpenApiDocument: () => object;
   dependencies: ApiServerDependencies;
   close: () => Promise<void>;
-  registerExtension: (extension: (app: Express, authenticateJWT: any, dependencies: ApiServerDependencies) => void) => void;
+  registerExtension: (extension: ApiExtension) => void;
 }
 
 /**
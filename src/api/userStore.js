@@ -0,0 +1,352 @@
+/**
+ * User Store
+ *
+ * This module provides pluggable storage for API users. Passwords are stored as
+ * bcrypt hashes and are never returned by the store's public helpers.
+ *
+ * Available store types:
+ * - file: Users are persisted to a JSON file (default)
+ * - memory: Users are kept in memory, seeded from the configuration (intended for testing)
+ * - custom: Users are managed by a user-provided module implementing the UserStore interface
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const DEFAULT_USER_STORE_PATH = './data/users.json';
+const DEFAULT_BCRYPT_ROUNDS = 12;
+
+// Hash compared against when a user does not exist, so that unknown usernames take as long as known ones
+const DUMMY_PASSWORD_HASH = '$2a$12$nK.lqg17Z/QTUWN87RXGYOLYUTNOCtXTTt1kVYW8wUUhd8sxVB7CC';
+
+/**
+ * Hash a password
+ * @param {string} password The plain-text password
+ * @param {number} rounds The bcrypt cost factor
+ * @returns {Promise<string>} The bcrypt hash
+ */
+async function hashPassword(password, rounds = DEFAULT_BCRYPT_ROUNDS) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('Password must be a non-empty string');
+  }
+  
+  return bcrypt.hash(password, rounds);
+}
+
+/**
+ * Verify a password against a bcrypt hash
+ * @param {string} password The plain-text password
+ * @param {string} passwordHash The bcrypt hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, passwordHash) {
+  if (typeof password !== 'string' || typeof passwordHash !== 'string') {
+    return false;
+  }
+  
+  return bcrypt.compare(password, passwordHash);
+}
+
+/**
+ * Remove sensitive fields from a user record
+ * @param {Object} user The user record
+ * @returns {Object} The user record without the password hash
+ */
+function sanitizeUser(user) {
+  if (!user) return null;
+  
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+}
+
+/**
+ * User Store Interface
+ *
+ * Custom stores should extend this class and implement all methods.
+ */
+class UserStore {
+  /**
+   * Initialize the store
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Default implementation does nothing
+  }
+  
+  /**
+   * Get a user by username
+   * @param {string} username The username
+   * @returns {Promise<Object|null>} The user record, or null if not found
+   */
+  async getUser(username) {
+    throw new Error('Method not implemented: getUser');
+  }
+  
+  /**
+   * Get all users
+   * @returns {Promise<Array>} All user records
+   */
+  async listUsers() {
+    throw new Error('Method not implemented: listUsers');
+  }
+  
+  /**
+   * Store a new user
+   * @param {Object} user The user record, including the password hash
+   * @returns {Promise<Object>} The stored user record
+   */
+  async createUser(user) {
+    throw new Error('Method not implemented: createUser');
+  }
+  
+  /**
+   * Update an existing user
+   * @param {string} username The username
+   * @param {Object} updates The fields to update
+   * @returns {Promise<Object>} The updated user record
+   */
+  async updateUser(username, updates) {
+    throw new Error('Method not implemented: updateUser');
+  }
+  
+  /**
+   * Delete a user
+   * @param {string} username The username
+   * @returns {Promise<boolean>} True if the user was deleted
+   */
+  async deleteUser(username) {
+    throw new Error('Method not implemented: deleteUser');
+  }
+}
+
+/**
+ * In-memory user store
+ */
+class MemoryUserStore extends UserStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   * @param {Array} config.users Optional users to seed the store with
+   */
+  constructor(config = {}) {
+    super();
+    this.config = config;
+    this.users = new Map();
+  }
+  
+  /**
+   * Initialize the store, hashing any plain-text seed passwords
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    for (const seed of this.config.users || []) {
+      const { password, ...user } = seed;
+      
+      if (password && !user.passwordHash) {
+        user.passwordHash = await hashPassword(password, this.config.bcryptRounds);
+      }
+      
+      this.users.set(user.username, {
+        roles: [],
+        internalWalletIds: [],
+        disabled: false,
+        createdAt: new Date().toISOString(),
+        ...user
+      });
+    }
+  }
+  
+  async getUser(username) {
+    const user = this.users.get(username);
+    return user ? { ...user } : null;
+  }
+  
+  async listUsers() {
+    return Array.from(this.users.values()).map(user => ({ ...user }));
+  }
+  
+  async createUser(user) {
+    if (this.users.has(user.username)) {
+      throw new Error(`User ${user.username} already exists`);
+    }
+    
+    this.users.set(user.username, { ...user });
+    await this._persist();
+    
+    return { ...user };
+  }
+  
+  async updateUser(username, updates) {
+    const user = this.users.get(username);
+    
+    if (!user) {
+      throw new Error(`User ${username} not found`);
+    }
+    
+    const updatedUser = {
+      ...user,
+      ...updates,
+      username,
+      updatedAt: new Date().toISOString()
+    };
+    
+    this.users.set(username, updatedUser);
+    await this._persist();
+    
+    return { ...updatedUser };
+  }
+  
+  async deleteUser(username) {
+    const deleted = this.users.delete(username);
+    
+    if (deleted) {
+      await this._persist();
+    }
+    
+    return deleted;
+  }
+  
+  /**
+   * Persist the users after a change
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist() {
+    // Nothing to persist for the in-memory store
+  }
+}
+
+/**
+ * File-backed user store
+ */
+class FileUserStore extends MemoryUserStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   * @param {string} config.path The path to the users file
+   */
+  constructor(config = {}) {
+    super(config);
+    this.filePath = path.resolve(process.cwd(), config.path || DEFAULT_USER_STORE_PATH);
+  }
+  
+  /**
+   * Load the users from the users file
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+    
+    const users = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    
+    for (const user of users) {
+      this.users.set(user.username, user);
+    }
+  }
+  
+  /**
+   * Write the users to the users file
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persist() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(
+      this.filePath,
+      JSON.stringify(Array.from(this.users.values()), null, 2),
+      { mode: 0o600 }
+    );
+  }
+}
+
+/**
+ * Create and initialize the user store described by the configuration
+ * @param {Object} authConfig The API authentication configuration (config.api.auth)
+ * @returns {Promise<UserStore>} The initialized user store
+ */
+async function createUserStore(authConfig = {}) {
+  const storeConfig = authConfig.userStore || { type: 'file' };
+  let store;
+  
+  switch (storeConfig.type) {
+    case 'memory':
+      store = new MemoryUserStore(storeConfig);
+      break;
+    
+    case 'custom': {
+      if (!storeConfig.module) {
+        throw new Error('Custom user store requires a module path');
+      }
+      
+      const StoreClass = require(path.resolve(process.cwd(), storeConfig.module));
+      store = typeof StoreClass === 'function' ? new StoreClass(storeConfig) : StoreClass;
+      break;
+    }
+    
+    case 'file':
+    case undefined:
+      store = new FileUserStore(storeConfig);
+      break;
+    
+    default:
+      throw new Error(`Unsupported user store type: ${storeConfig.type}`);
+  }
+  
+  await store.initialize();
+  
+  // Create the bootstrap administrator if the store is empty
+  const bootstrapAdmin = authConfig.bootstrapAdmin;
+  if (bootstrapAdmin && bootstrapAdmin.passwordEnvVar && process.env[bootstrapAdmin.passwordEnvVar]) {
+    const users = await store.listUsers();
+    
+    if (users.length === 0) {
+      await store.createUser({
+        username: bootstrapAdmin.username || 'admin',
+        passwordHash: await hashPassword(process.env[bootstrapAdmin.passwordEnvVar], authConfig.bcryptRounds),
+        roles: ['admin'],
+        internalWalletIds: [],
+        disabled: false,
+        createdAt: new Date().toISOString()
+      });
+    }
+  }
+  
+  return store;
+}
+
+/**
+ * Verify a user's credentials
+ * @param {UserStore} store The user store
+ * @param {string} username The username
+ * @param {string} password The plain-text password
+ * @returns {Promise<Object|null>} The user record without the password hash, or null if the credentials are invalid
+ */
+async function authenticateUser(store, username, password) {
+  if (!username || !password) {
+    return null;
+  }
+  
+  const user = await store.getUser(username);
+  
+  if (!user || user.disabled) {
+    await verifyPassword(password, DUMMY_PASSWORD_HASH);
+    return null;
+  }
+  
+  const valid = await verifyPassword(password, user.passwordHash);
+  return valid ? sanitizeUser(user) : null;
+}
+
+module.exports = {
+  UserStore,
+  MemoryUserStore,
+  FileUserStore,
+  createUserStore,
+  authenticateUser,
+  hashPassword,
+  verifyPassword,
+  sanitizeUser
+};
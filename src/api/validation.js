@@ -0,0 +1,161 @@
+/**
+ * Request Validation
+ *
+ * This module validates requests against the JSON Schemas declared for a route (see schemas.js).
+ * Invalid requests are rejected with a `400` response that lists every problem as an
+ * `ERROR_INVALID_PARAMETERS` message, with the location and field of the problem in its data.
+ *
+ * Route parameters and query strings are always strings, so their values are converted to the
+ * types in their schemas before they are checked. Request bodies are checked as sent.
+ */
+
+const Ajv = require('ajv');
+const { MessageCode, createMessageManager } = require('./messaging');
+
+// The parts of a request that can be validated, in the order they are checked
+const REQUEST_LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Get the name of the field that a validation error refers to
+ * @param {Object} error The Ajv error
+ * @returns {string} The field name, as a dot-separated path, or an empty string for the whole value
+ */
+function getErrorField(error) {
+  const segments = error.instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  } else if (error.keyword === 'additionalProperties') {
+    segments.push(error.params.additionalProperty);
+  }
+  
+  return segments.join('.');
+}
+
+/**
+ * Convert Ajv errors to validation problems
+ * @param {string} location The part of the request that was validated
+ * @param {Array} errors The Ajv errors
+ * @returns {Array<Object>} The problems, each with a location, field, keyword and message
+ */
+function formatErrors(location, errors) {
+  return errors.map(error => {
+    const field = getErrorField(error);
+    let message;
+    
+    if (error.keyword === 'required') {
+      message = `${field} is required`;
+    } else if (error.keyword === 'additionalProperties') {
+      message = `${field} is not allowed`;
+    } else {
+      message = `${field || location} ${error.message}`;
+    }
+    
+    return { location, field, keyword: error.keyword, message };
+  });
+}
+
+/**
+ * Create the request validator
+ * @param {Object} validationConfig The validation configuration (config.api.validation)
+ * @param {boolean} validationConfig.validateResponses Log responses that do not match their schema
+ * @returns {Object} The validator, with a `validate` function that creates validation middleware
+ */
+function createValidator(validationConfig = {}) {
+  const bodyAjv = new Ajv({ allErrors: true });
+  const stringAjv = new Ajv({ allErrors: true, coerceTypes: true });
+  
+  /**
+   * Compile the schemas of a route
+   * @param {Object} schema The route schema
+   * @returns {Object} The compiled request and response validators
+   */
+  function compile(schema) {
+    const request = {};
+    const response = {};
+    
+    for (const location of REQUEST_LOCATIONS) {
+      if (schema[location]) {
+        request[location] = (location === 'body' ? bodyAjv : stringAjv).compile(schema[location]);
+      }
+    }
+    
+    if (validationConfig.validateResponses) {
+      for (const [status, responseSchema] of Object.entries(schema.response || {})) {
+        response[status] = bodyAjv.compile(responseSchema);
+      }
+    }
+    
+    return { request, response };
+  }
+  
+  /**
+   * Create middleware that validates requests against a route schema
+   *
+   * Add it after authentication and authorization, so that unauthenticated clients cannot
+   * probe the schemas. The schema is kept on the middleware as `schema`.
+   *
+   * @param {Object} schema The route schema, with optional `params`, `query`, `body` and `response` schemas
+   * @returns {Function} Express middleware
+   */
+  function validate(schema) {
+    let compiled;
+    try {
+      compiled = compile(schema);
+    } catch (error) {
+      throw new Error(`Failed to compile route schema: ${error.message}`);
+    }
+    
+    const middleware = (req, res, next) => {
+      const problems = [];
+      
+      for (const [location, validator] of Object.entries(compiled.request)) {
+        if (!validator(req[location] === undefined ? {} : req[location])) {
+          problems.push(...formatErrors(location, validator.errors));
+        }
+      }
+      
+      if (problems.length > 0) {
+        const messageManager = createMessageManager();
+        
+        for (const { message, ...data } of problems) {
+          messageManager.addError(MessageCode.ERROR_INVALID_PARAMETERS, message, data);
+        }
+        
+        return res.status(400).json(messageManager.createResponse({ success: false }));
+      }
+      
+      if (Object.keys(compiled.response).length > 0) {
+        const json = res.json.bind(res);
+        
+        res.json = (body) => {
+          const validator = compiled.response[res.statusCode];
+          
+          if (validator && !validator(body)) {
+            const details = formatErrors('response', validator.errors).map(problem => problem.message).join(', ');
+            console.warn(`Response to ${req.method} ${req.originalUrl} does not match its schema: ${details}`);
+          }
+          
+          return json(body);
+        };
+      }
+      
+      next();
+    };
+    
+    middleware.schema = schema;
+    return middleware;
+  }
+  
+  return {
+    validate
+  };
+}
+
+module.exports = {
+  createValidator,
+  formatErrors
+};
@@ -0,0 +1,281 @@
+/**
+ * Amounts
+ *
+ * This module converts amounts between whole coins (for example 0.5 BTC) and integer base units
+ * (for example 50000000 satoshis). Internal wallet balances, transfers, fees and distributions are
+ * stored on the ledger as decimal strings of base units and calculated as BigInt values, so that
+ * no precision is lost. Whole coins are only used where amounts enter or leave the system: API
+ * requests and responses, and the balances reported by blockchain connectors.
+ *
+ * The functions exported directly know the blockchains that are supported by default. Components
+ * that handle custom UTXO blockchains create their conversions from their configuration with
+ * `createAmounts(getConfiguredDecimals(config))`.
+ */
+
+// The number of decimal places of the blockchains that are supported by default
+const BLOCKCHAIN_DECIMALS = {
+  bitcoin: 8,
+  litecoin: 8,
+  dogecoin: 8
+};
+
+/**
+ * Read the number of decimal places configured for each blockchain
+ *
+ * The decimals are read from `amounts.blockchains.<blockchain>.decimals`. Blockchains that are not
+ * configured keep their default, so only custom UTXO blockchains need to be configured.
+ *
+ * @param {Object} config The configuration object
+ * @returns {Object} The number of decimal places of each configured blockchain, for createAmounts
+ */
+function getConfiguredDecimals(config = {}) {
+  const blockchains = (config.amounts && config.amounts.blockchains) || {};
+  const decimals = {};
+  
+  for (const [blockchain, settings] of Object.entries(blockchains)) {
+    if (!settings || settings.decimals === undefined) {
+      continue;
+    }
+    
+    if (!Number.isInteger(settings.decimals) || settings.decimals < 0 || settings.decimals > 18) {
+      throw new Error(`Invalid decimals for ${blockchain}: ${settings.decimals} is not a whole number between 0 and 18`);
+    }
+    
+    decimals[blockchain] = settings.decimals;
+  }
+  
+  return decimals;
+}
+
+/**
+ * Parse an amount in base units
+ * @param {bigint|string|number} value The amount, as a BigInt, a decimal string or a safe integer
+ * @returns {bigint} The amount in base units
+ */
+function parseBaseUnits(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  
+  if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+    return BigInt(value.trim());
+  }
+  
+  if (typeof value === 'number' && Number.isSafeInteger(value)) {
+    return BigInt(value);
+  }
+  
+  throw new Error(`Invalid base unit amount: ${value}`);
+}
+
+/**
+ * Create the amount conversions of a set of blockchains
+ *
+ * Blockchains without a number of decimal places keep their default. Each component creates the
+ * conversions of its own configuration, so that components never share the decimals of another
+ * configuration.
+ *
+ * @param {Object} configuredDecimals The number of decimal places by blockchain (see getConfiguredDecimals)
+ * @returns {Object} The conversions: getDecimals, toBaseUnits, parseBaseUnits, fromBaseUnits, toCoins, readLedgerAmount, getBalanceUnits, sumBalanceUnits and formatAmounts
+ */
+function createAmounts(configuredDecimals = {}) {
+  const decimalsByBlockchain = { ...BLOCKCHAIN_DECIMALS, ...configuredDecimals };
+  
+  /**
+   * Get the number of decimal places of a blockchain's currency
+   * @param {string} blockchain The blockchain type (bitcoin, litecoin, dogecoin, or a configured blockchain)
+   * @returns {number} The number of decimal places
+   */
+  function getDecimals(blockchain) {
+    const decimals = Object.prototype.hasOwnProperty.call(decimalsByBlockchain, blockchain)
+      ? decimalsByBlockchain[blockchain]
+      : undefined;
+    
+    if (decimals === undefined) {
+      throw new Error(`Unsupported blockchain: ${blockchain}`);
+    }
+    
+    return decimals;
+  }
+  
+  /**
+   * Convert an amount in whole coins to base units
+   * @param {number|string} amount The amount in whole coins, as a number or a decimal string
+   * @param {string} blockchain The blockchain type
+   * @param {Object} options Conversion options
+   * @param {boolean} options.round Round to the nearest base unit instead of rejecting amounts with more decimal places than the currency has
+   * @returns {bigint} The amount in base units
+   */
+  function toBaseUnits(amount, blockchain, options = {}) {
+    const decimals = getDecimals(blockchain);
+    let text;
+    
+    if (typeof amount === 'number') {
+      if (!Number.isFinite(amount) || Math.abs(amount) > Number.MAX_SAFE_INTEGER) {
+        throw new Error(`Invalid amount: ${amount}`);
+      }
+      
+      // Fixed-point notation avoids exponents such as 1e-7, and rounds to the currency's precision
+      text = amount.toFixed(decimals);
+      
+      if (!options.round && Number(text) !== amount) {
+        throw new Error(`Invalid amount: ${amount} has more than ${decimals} decimal places`);
+      }
+    } else if (typeof amount === 'string') {
+      text = amount.trim();
+    } else {
+      throw new Error(`Invalid amount: ${amount}`);
+    }
+    
+    const match = /^(-)?(\d+)(?:\.(\d+))?$/.exec(text);
+    
+    if (!match) {
+      throw new Error(`Invalid amount: ${amount}`);
+    }
+    
+    const [, sign, whole, fraction = ''] = match;
+    let roundUp = false;
+    
+    if (fraction.length > decimals) {
+      if (!options.round) {
+        throw new Error(`Invalid amount: ${amount} has more than ${decimals} decimal places`);
+      }
+      
+      roundUp = fraction[decimals] >= '5';
+    }
+    
+    let units = BigInt(whole + fraction.slice(0, decimals).padEnd(decimals, '0'));
+    
+    if (roundUp) {
+      units += 1n;
+    }
+    
+    return sign ? -units : units;
+  }
+  
+  /**
+   * Convert an amount in base units to whole coins
+   * @param {bigint|string|number} units The amount in base units
+   * @param {string} blockchain The blockchain type
+   * @returns {string} The amount in whole coins, as a decimal string without trailing zeros
+   */
+  function fromBaseUnits(units, blockchain) {
+    const decimals = getDecimals(blockchain);
+    const value = parseBaseUnits(units);
+    const sign = value < 0n ? '-' : '';
+    const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0');
+    
+    if (decimals === 0) {
+      return sign + digits;
+    }
+    
+    const whole = digits.slice(0, -decimals);
+    const fraction = digits.slice(-decimals).replace(/0+$/, '');
+    
+    return sign + whole + (fraction ? `.${fraction}` : '');
+  }
+  
+  /**
+   * Convert an amount in base units to a number of whole coins, for API responses
+   *
+   * The number is the closest one to the exact amount, so it is only suitable for display and
+   * serialization; convert it back with `toBaseUnits` before calculating with it.
+   *
+   * @param {bigint|string|number} units The amount in base units
+   * @param {string} blockchain The blockchain type
+   * @returns {number} The amount in whole coins
+   */
+  function toCoins(units, blockchain) {
+    return Number(fromBaseUnits(units, blockchain));
+  }
+  
+  /**
+   * Read an amount stored on the ledger
+   *
+   * Records written before amounts were stored in base units hold numbers of whole coins. These are
+   * converted to base units, rounded to the currency's precision, so that they can be read until
+   * they are migrated.
+   *
+   * @param {bigint|string|number|null|undefined} value The stored amount
+   * @param {string} blockchain The blockchain type
+   * @returns {bigint} The amount in base units
+   */
+  function readLedgerAmount(value, blockchain) {
+    if (value === undefined || value === null) {
+      return 0n;
+    }
+    
+    if (typeof value === 'number') {
+      return toBaseUnits(value, blockchain, { round: true });
+    }
+    
+    return parseBaseUnits(value);
+  }
+  
+  /**
+   * Get the balance of an internal wallet in base units
+   * @param {Object} internalWallet The internal wallet record
+   * @returns {bigint} The balance in base units
+   */
+  function getBalanceUnits(internalWallet) {
+    return readLedgerAmount(internalWallet.balance, internalWallet.blockchain);
+  }
+  
+  /**
+   * Add up the balances of internal wallets
+   * @param {Array<Object>} internalWallets The internal wallet records
+   * @returns {bigint} The total balance in base units
+   */
+  function sumBalanceUnits(internalWallets) {
+    return internalWallets.reduce((sum, internalWallet) => sum + getBalanceUnits(internalWallet), 0n);
+  }
+  
+  /**
+   * Copy a record with its amounts converted from base units to whole coins, for API responses
+   * @param {Object} record The record, for example an internal wallet or a withdrawal
+   * @param {string} blockchain The blockchain type
+   * @param {Array<string>} fields The fields that hold amounts (default: `['balance']`)
+   * @returns {Object} The converted record
+   */
+  function formatAmounts(record, blockchain, fields = ['balance']) {
+    const formatted = { ...record };
+    
+    for (const field of fields) {
+      if (formatted[field] !== undefined && formatted[field] !== null) {
+        formatted[field] = toCoins(readLedgerAmount(formatted[field], blockchain), blockchain);
+      }
+    }
+    
+    return formatted;
+  }
+  
+  return {
+    getDecimals,
+    toBaseUnits,
+    parseBaseUnits,
+    fromBaseUnits,
+    toCoins,
+    readLedgerAmount,
+    getBalanceUnits,
+    sumBalanceUnits,
+    formatAmounts
+  };
+}
+
+// The conversions of the blockchains that are supported by default
+const defaultAmounts = createAmounts();
+
+module.exports = {
+  BLOCKCHAIN_DECIMALS,
+  getConfiguredDecimals,
+  createAmounts,
+  getDecimals: defaultAmounts.getDecimals,
+  toBaseUnits: defaultAmounts.toBaseUnits,
+  parseBaseUnits,
+  fromBaseUnits: defaultAmounts.fromBaseUnits,
+  toCoins: defaultAmounts.toCoins,
+  readLedgerAmount: defaultAmounts.readLedgerAmount,
+  getBalanceUnits: defaultAmounts.getBalanceUnits,
+  sumBalanceUnits: defaultAmounts.sumBalanceUnits,
+  formatAmounts: defaultAmounts.formatAmounts
+};
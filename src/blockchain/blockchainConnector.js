@@ -6,10 +6,29 @@
  * responsibility to the user's environment through the TransceiverManager.
  */
 
-const { TransactionBuilder } = require('./transactionBuilder');
+const { TransactionBuilder, getNetworkParams, ECPair } = require('./transactionBuilder');
 const { TransceiverManager } = require('./transceiverManager');
+const { createPendingTransactionStore, PendingTransactionStatus, isSettled } = require('./pendingTransactionStore');
+const { UtxoLockManager } = require('./utxoLockManager');
+const { selectCoins } = require('./coinSelection');
+const { createDustPolicy } = require('./dustPolicy');
+const { createAmounts } = require('./amounts');
+const { createMultisigWallet, describeCosigners } = require('./multisig');
+const { HDWallet, RECEIVE_CHAIN, CHANGE_CHAIN, isExtendedPrivateKey } = require('./hdWallet');
 const winston = require('winston');
 
+// Unsigned transactions keep their UTXOs locked for a day by default, while they wait for signatures
+const DEFAULT_SIGNING_LOCK_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+// The fee rate by which a replacement must exceed the fee of the transactions it replaces (BIP-125), in satoshis per virtual byte
+const INCREMENTAL_RELAY_FEE_RATE = 1;
+
+// The statuses of pending transactions that can still be bumped
+const BUMPABLE_STATUSES = ['ready', 'broadcasted', 'seen-in-mempool'];
+
+// The number of times the inputs of a transaction are selected when other transactions lock them first
+const MAX_SELECTION_ATTEMPTS = 3;
+
 // Configure logger
 const logger = winston.createLogger({
   level: 'info',
@@ -46,11 +65,54 @@ class BlockchainConnector {
     this.walletAddress = config.walletAddress;
     this.secret = config.secret;
     
-    // Create a transaction builder
-    this.transactionBuilder = new TransactionBuilder(blockchain, config.network || 'mainnet');
+    // Multisig wallets derive their address from the keys of their cosigners
+    this.multisig = null;
+    this.localCosigner = null;
+    if (config.multisig) {
+      this._initializeMultisig(config);
+    }
+    
+    // HD wallets derive a receive address for each deposit, and a change address for each transaction
+    this.hdWallet = null;
+    this.receiveIndex = 1;
+    this.changeIndex = 0;
+    this.hdListeners = new Set();
+    if (config.hd) {
+      this._initializeHdWallet(config);
+    }
+    
+    // Amounts are converted with the decimals of the blockchain, which custom UTXO blockchains configure
+    this.amounts = createAmounts(config.decimals !== undefined ? { [blockchain]: config.decimals } : {});
+    
+    // Outputs below the dust threshold of their type are not created, and withdrawals below it are rejected
+    this.dustPolicy = createDustPolicy(blockchain, config.dustPolicy, this.amounts);
+    
+    // Create a transaction builder, which sizes inputs and change outputs for the wallet's address type
+    this.transactionBuilder = new TransactionBuilder(blockchain, config.network || 'mainnet', {
+      walletAddress: this.walletAddress,
+      multisig: this.multisig,
+      hdWallet: this.hdWallet,
+      dustPolicy: this.dustPolicy
+    });
+    
+    // Create a transceiver manager, whose pending transactions are kept in the wallet's store
+    this.transceiverManager = new TransceiverManager(config.transceiver || {}, {
+      store: createPendingTransactionStore(config.pendingTransactionStore, `${blockchain}-${this.name}`)
+    });
+    
+    // Lock the UTXOs selected for transactions, so that concurrent transactions do not spend them twice
+    this.coinSelection = config.coinSelection || {};
+    this.utxoLocks = new UtxoLockManager(this.coinSelection);
+    
+    // Recover the pending transactions from before a restart, and lock the UTXOs they spend again
+    this._recoverPendingTransactions();
     
-    // Create a transceiver manager
-    this.transceiverManager = new TransceiverManager(config.transceiver || {});
+    // Wallets with the `psbt` signing method hold no private key, and build unsigned transactions instead,
+    // which are kept in a store of their own until they are broadcast, cancelled or expire
+    this.signing = config.signing || {};
+    this.unsignedTransactions = new Map();
+    this.unsignedTransactionStore = createPendingTransactionStore(config.pendingTransactionStore, `${blockchain}-${this.name}-unsigned`);
+    this._recoverUnsignedTransactions();
     
     // Initialize event handling
     this._initializeEventHandling();
@@ -76,30 +138,128 @@ class BlockchainConnector {
     logger.info(`Created blockchain connector for ${blockchain} wallet: ${this.name}`);
   }
   
+  /**
+   * Recover the pending transactions that were not settled before a restart
+   *
+   * The UTXOs that they spend are locked again, referenced by the transaction ID, so that new
+   * transactions do not spend them twice while the recovered transactions wait to confirm.
+   *
+   * @private
+   */
+  _recoverPendingTransactions() {
+    const recovered = this.transceiverManager.recoverPendingTransactions();
+    
+    for (const transaction of recovered) {
+      if (transaction.metadata && transaction.metadata.spends) {
+        this.utxoLocks.renew(transaction.metadata.spends, transaction.txid);
+      }
+    }
+    
+    if (recovered.length > 0) {
+      logger.info(`Recovered ${recovered.length} pending transactions of ${this.blockchain} wallet ${this.name}`);
+    }
+  }
+  
+  /**
+   * Recover the unsigned transactions that were waiting for signatures before a restart
+   *
+   * Their UTXOs are locked again until the end of their signing timeout. Transactions whose
+   * timeout passed while FractaLedger was stopped are recovered too, so that they can be cancelled
+   * (see getExpiredUnsignedTransactions).
+   *
+   * @private
+   */
+  _recoverUnsignedTransactions() {
+    const recovered = this.unsignedTransactionStore.list().filter(record => !isSettled(record.status));
+    
+    for (const { txid: id, transaction, spends } of recovered) {
+      this.unsignedTransactions.set(id, transaction);
+      
+      const remaining = Date.parse(transaction.expiresAt) - Date.now();
+      if (remaining > 0) {
+        this.utxoLocks.renew(spends, `psbt:${id}`, remaining);
+      }
+    }
+    
+    if (recovered.length > 0) {
+      logger.info(`Recovered ${recovered.length} unsigned transactions of ${this.blockchain} wallet ${this.name}`);
+    }
+  }
+  
+  /**
+   * Derive the script and address of a multisig wallet, and find the cosigner whose secret the wallet holds
+   * @param {Object} config The wallet configuration
+   * @private
+   */
+  _initializeMultisig(config) {
+    const networkParams = getNetworkParams(this.blockchain, config.network || 'mainnet');
+    this.multisig = createMultisigWallet(config.multisig, networkParams);
+    
+    if (config.walletAddress && config.walletAddress !== this.multisig.address) {
+      throw new Error(`The wallet address of ${this.name} does not match its multisig script (${this.multisig.address})`);
+    }
+    
+    this.walletAddress = this.multisig.address;
+    
+    if (this.secret) {
+      const publicKey = ECPair.fromWIF(this.secret, networkParams).publicKey;
+      this.localCosigner = this.multisig.cosigners.find(cosigner => cosigner.publicKey.equals(publicKey));
+      
+      if (!this.localCosigner) {
+        throw new Error(`The secret of ${this.name} is not the key of any of its cosigners`);
+      }
+    }
+  }
+  
+  /**
+   * Derive the addresses of an HD wallet, and check that the wallet's secret is its extended private key
+   *
+   * The first receive address (`0/0`) is the wallet address. Receive addresses from `0/1` on are
+   * assigned to deposits (see allocateReceiveAddress).
+   *
+   * @param {Object} config The wallet configuration
+   * @private
+   */
+  _initializeHdWallet(config) {
+    if (this.multisig) {
+      throw new Error(`Wallet ${this.name} cannot be both a multisig and an HD wallet`);
+    }
+    
+    this.hdWallet = new HDWallet(config.hd, getNetworkParams(this.blockchain, config.network || 'mainnet'));
+    
+    const firstAddress = this.hdWallet.deriveAddress(RECEIVE_CHAIN, 0).address;
+    if (config.walletAddress && config.walletAddress !== firstAddress) {
+      throw new Error(`The wallet address of ${this.name} does not match the first address of its xpub (${firstAddress})`);
+    }
+    
+    this.walletAddress = firstAddress;
+    
+    if (this.secret && !(isExtendedPrivateKey(this.secret) && this.hdWallet.matchesPrivateKey(this.secret))) {
+      throw new Error(`The secret of ${this.name} is not the extended private key of its xpub`);
+    }
+  }
+  
   /**
    * Initialize event handling
    * @private
    */
   _initializeEventHandling() {
+    // Listeners registered with on() are registered with the transceiver manager, so its events
+    // reach them without being forwarded; emitting them again would call these listeners forever
+    
     // Listen for transaction events
     this.transceiverManager.on('transaction', (data) => {
       logger.debug(`Received transaction event: ${JSON.stringify(data)}`);
-      // Forward the event
-      this.emit('transaction', data);
     });
     
     // Listen for balance events
     this.transceiverManager.on('balance', (data) => {
       logger.debug(`Received balance event: ${JSON.stringify(data)}`);
-      // Forward the event
-      this.emit('balance', data);
     });
     
     // Listen for error events
     this.transceiverManager.on('error', (error) => {
       logger.error(`Received error event: ${error.message}`);
-      // Forward the event
-      this.emit('error', error);
     });
   }
   
@@ -144,7 +304,12 @@ class BlockchainConnector {
       // Broadcast the transaction
       const result = await this.transceiverManager.broadcastTransaction(txHex, metadata);
       
-      logger.info(`Transaction broadcasted: ${result.txid}`);
+      if (result.success === false) {
+        // The transaction stays pending, and is retried or waits in the dead-letter state
+        logger.warn(`Transaction ${result.txid} was not broadcast (${result.status}): ${result.error}`);
+      } else {
+        logger.info(`Transaction broadcasted: ${result.txid}`);
+      }
       
       return result;
     } catch (error) {
@@ -153,78 +318,1161 @@ class BlockchainConnector {
     }
   }
   
+  /**
+   * Select and lock the inputs of a transaction, and create its outputs
+   * @param {string} toAddress The recipient address
+   * @param {number} amount The amount to send in whole coins
+   * @param {Object} options The options of sendTransaction
+   * @param {string} reference The reference of the UTXO locks
+   * @param {number} lockTimeout Optional time in milliseconds after which the UTXO locks expire
+   * @returns {Promise<Object>} The locked inputs and the outputs, with their values in satoshis, and the index of the change output (null if there is none)
+   * @private
+   */
+  async _prepareTransaction(toAddress, amount, options, reference, lockTimeout) {
+    return this._preparePayments([{ address: toAddress, amount }], options, reference, lockTimeout);
+  }
+  
+  /**
+   * Select and lock the inputs of a transaction that pays several recipients, and create its outputs
+   *
+   * The outputs pay the recipients in the order of the payments, followed by the change output.
+   *
+   * @param {Array<Object>} payments The payments, with the recipient `address` and the `amount` in whole coins
+   * @param {Object} options The options of sendTransaction
+   * @param {string} reference The reference of the UTXO locks
+   * @param {number} lockTimeout Optional time in milliseconds after which the UTXO locks expire
+   * @returns {Promise<Object>} The locked inputs and the outputs, with their values in satoshis, and the index of the change output (null if there is none)
+   * @private
+   */
+  async _preparePayments(payments, options, reference, lockTimeout) {
+    if (payments.length === 0) {
+      throw new Error('No payments to send');
+    }
+    
+    // Verify the addresses
+    for (const { address } of payments) {
+      if (!this.transactionBuilder.verifyAddress(address)) {
+        throw new Error(`Invalid address: ${address}`);
+      }
+    }
+    
+    const amounts = payments.map(payment => this.amounts.toBaseUnits(payment.amount, this.blockchain));
+    
+    // Reject payments below the minimum withdrawal or the dust threshold of their output type
+    payments.forEach(({ address }, index) => {
+      const violation = this.dustPolicy.checkPayment(amounts[index], this.transactionBuilder.getAddressType(address));
+      
+      if (violation) {
+        throw new Error(violation.reason === 'dust'
+          ? `Payment of ${amounts[index]} to ${address} is below the dust threshold of ${violation.minimum} for ${violation.outputType} outputs`
+          : `Payment of ${amounts[index]} to ${address} is below the minimum withdrawal of ${violation.minimum}`);
+      }
+    });
+    
+    const amountUnits = amounts.reduce((total, units) => total + units, 0n);
+    
+    // Use a fixed fee if one is given, and estimate it from the transaction size otherwise
+    const feeRate = options.feeRate || this.coinSelection.feeRate || 1;
+    const fixedFee = options.fee !== undefined ? this.amounts.toBaseUnits(options.fee, this.blockchain, { round: true }) : null;
+    const feeFor = (inputCount, outputCount) => (fixedFee !== null
+      ? fixedFee
+      : BigInt(Math.ceil(this.transactionBuilder.estimateFee(inputCount, outputCount, feeRate))));
+    
+    // Change below the dust threshold of the change output's type is added to the fee
+    const changeThreshold = this._getDustThreshold(options.changeAddress);
+    
+    let selection;
+    
+    for (let attempt = 1; !selection; attempt++) {
+      // Get the UTXOs for the wallet, leaving out those locked by other transactions
+      const utxos = options.utxos || this.utxoLocks.filterUnlocked(await this.getUTXOs());
+      
+      if (!utxos || utxos.length === 0) {
+        throw new Error('No UTXOs available');
+      }
+      
+      // Given UTXOs are all spent, and the wallet's UTXOs are selected by the strategy
+      const candidate = selectCoins(
+        utxos.map(utxo => ({ ...utxo, units: this.amounts.toBaseUnits(utxo.value, this.blockchain, { round: true }) })),
+        {
+          ...this.coinSelection,
+          strategy: options.utxos ? (available => available) : (options.coinSelection || this.coinSelection.strategy),
+          target: amountUnits,
+          outputCount: payments.length + (options.opReturn ? 1 : 0),
+          feeFor,
+          dustThreshold: changeThreshold,
+          walletAddress: this.walletAddress
+        }
+      );
+      
+      // Lock the inputs before anything else is awaited, so that no other transaction can select them
+      try {
+        this.utxoLocks.lock(candidate.inputs, reference, lockTimeout);
+        selection = candidate;
+      } catch (error) {
+        // Inputs that another transaction locked first are left out of the next selection; given UTXOs cannot be replaced
+        if (options.utxos || attempt >= MAX_SELECTION_ATTEMPTS) {
+          throw error;
+        }
+        
+        logger.warn(`Selecting the inputs again: ${error.message}`);
+      }
+    }
+    
+    // The locks are released if the transaction cannot be prepared, since the caller never gets the inputs
+    try {
+      const inputs = await this._attachPreviousTransactions(selection.inputs.map(({ units, ...utxo }) => ({ ...utxo, value: Number(units) })));
+      
+      // Create the outputs
+      const outputs = payments.map(({ address }, index) => ({
+        address,
+        value: Number(amounts[index])
+      }));
+      
+      // Add change output if needed (change below the dust threshold is added to the fee)
+      if (selection.change >= changeThreshold) {
+        outputs.push({
+          address: options.changeAddress || this._nextChangeAddress(),
+          value: Number(selection.change)
+        });
+      }
+      
+      return {
+        inputs,
+        outputs,
+        changeVout: outputs.length > payments.length ? payments.length : null
+      };
+    } catch (error) {
+      this.utxoLocks.release(selection.inputs);
+      throw error;
+    }
+  }
+  
+  /**
+   * Add the previous transaction to the P2PKH inputs that do not carry it
+   *
+   * Legacy inputs sign the whole transaction that created the output they spend, which
+   * transceivers do not return with the UTXOs, so it is fetched from the transceiver.
+   *
+   * @param {Array} inputs The inputs
+   * @returns {Promise<Array>} The inputs, with the `txHex` of each P2PKH input
+   * @private
+   */
+  async _attachPreviousTransactions(inputs) {
+    const transactions = new Map();
+    
+    return Promise.all(inputs.map(async (input) => {
+      if (input.txHex || this.transactionBuilder.getInputType(input) !== 'p2pkh') {
+        return input;
+      }
+      
+      // UTXOs created by the same transaction share it
+      if (!transactions.has(input.txid)) {
+        transactions.set(input.txid, this.transceiverManager.getRawTransaction(input.txid));
+      }
+      
+      return { ...input, txHex: await transactions.get(input.txid) };
+    }));
+  }
+  
   /**
    * Send a transaction
+   *
+   * Unless UTXOs are given, the UTXOs of the wallet's addresses are fetched through the transceiver
+   * and selected with the configured coin selection strategy (see coinSelection.js). The selected
+   * UTXOs are locked until the transaction has been broadcast, and then stay locked until the lock
+   * expires, so that concurrent transactions do not spend them. If the transaction fails, they
+   * are released.
+   *
+   * Wallets that are signed externally cannot send transactions directly; use
+   * createUnsignedTransaction instead.
+   *
    * @param {string} toAddress The recipient address
-   * @param {number} amount The amount to send
+   * @param {number} amount The amount to send in whole coins
    * @param {Object} options Additional options
-   * @param {number} options.fee Optional transaction fee
+   * @param {number} options.fee Optional transaction fee in whole coins
    * @param {number} options.feeRate Optional fee rate in satoshis per byte
-   * @param {Array} options.utxos Optional UTXOs to use for the transaction
+   * @param {Array} options.utxos Optional UTXOs to spend, with their values in whole coins as returned by getUTXOs
+   * @param {string|Function} options.coinSelection Optional coin selection strategy, overriding the configured one
+   * @param {string} options.changeAddress Optional address for the change output (default: the wallet address, or the next change address of an HD wallet)
    * @param {string} options.opReturn Optional OP_RETURN data to include in the transaction (max 80 bytes)
+   * @param {boolean} options.rbf Whether the transaction signals that it can be replaced by fee (default: the wallet's `rbf` setting, which defaults to true)
+   * @param {Object} options.metadata Optional metadata to record with the pending transaction, such as the withdrawal it pays
    * @returns {Promise<Object>} The transaction result
    */
   async sendTransaction(toAddress, amount, options = {}) {
     try {
       logger.debug(`Sending ${amount} to ${toAddress}`);
       
-      // Verify the address
-      if (!this.transactionBuilder.verifyAddress(toAddress)) {
-        throw new Error(`Invalid address: ${toAddress}`);
+      const { result } = await this._sendPayments([{ address: toAddress, amount }], options, `pending:${toAddress}`);
+      
+      logger.info(`Transaction sent: ${result.txid}`);
+      
+      return result;
+    } catch (error) {
+      logger.error(`Failed to send transaction: ${error.message}`);
+      throw new Error(`Failed to send transaction: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Send a transaction that pays several recipients, such as a batch of withdrawals
+   *
+   * Each payment is paid by the output at its index in the payments, and the change output follows
+   * them. The UTXOs are selected and locked as for sendTransaction.
+   *
+   * @param {Array<Object>} payments The payments, with the recipient `address` and the `amount` in whole coins
+   * @param {Object} options Additional options, as for sendTransaction
+   * @param {Function} options.beforeBroadcast Optional async function called with the ID, fee in whole coins and virtual size of the signed transaction before it is broadcast, such as to settle the payments on the ledger; the transaction is abandoned if it throws
+   * @returns {Promise<Object>} The result of the broadcast, the fee in whole coins, the virtual size, and the payments with the index of their outputs
+   */
+  async sendBatchTransaction(payments, options = {}) {
+    try {
+      logger.debug(`Sending a batch of ${payments.length} payments`);
+      
+      const { result, transaction } = await this._sendPayments(payments, options, `batch:${payments.length}`);
+      
+      logger.info(`Batch transaction sent: ${result.txid}`);
+      
+      return {
+        ...result,
+        fee: this.amounts.toCoins(transaction.fee, this.blockchain),
+        virtualSize: transaction.virtualSize,
+        payments: payments.map((payment, vout) => ({ ...payment, vout }))
+      };
+    } catch (error) {
+      logger.error(`Failed to send batch transaction: ${error.message}`);
+      throw new Error(`Failed to send batch transaction: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Create, sign and broadcast a transaction that pays one or more recipients
+   * @param {Array<Object>} payments The payments, with the recipient `address` and the `amount` in whole coins
+   * @param {Object} options The options of sendTransaction or sendBatchTransaction
+   * @param {string} reference The reference of the UTXO locks while the transaction is built
+   * @returns {Promise<Object>} The result of the broadcast and the signed transaction
+   * @private
+   */
+  async _sendPayments(payments, options, reference) {
+    let inputs = [];
+    
+    try {
+      if (this.isExternallySigned()) {
+        throw new Error(`Wallet ${this.name} is signed externally; create an unsigned transaction instead`);
       }
       
-      // Get the UTXOs for the wallet
-      const utxos = options.utxos || [];
+      const prepared = await this._preparePayments(payments, options, reference);
+      inputs = prepared.inputs;
       
-      if (!utxos || utxos.length === 0) {
-        throw new Error('No UTXOs provided');
+      // Create transaction options
+      const { beforeBroadcast, ...txOptions } = { ...options, rbf: this._signalsRbf(options) };
+      
+      // Create and sign the transaction
+      const transaction = await this.createTransaction(inputs, prepared.outputs, txOptions);
+      
+      if (beforeBroadcast) {
+        await beforeBroadcast({
+          txid: transaction.txid,
+          fee: this.amounts.toCoins(transaction.fee, this.blockchain),
+          virtualSize: transaction.virtualSize
+        });
       }
       
-      // Calculate the fee
-      const fee = options.fee || this.transactionBuilder.estimateFee(utxos.length, 2, options.feeRate || 1);
+      // Broadcast the transaction, with what is needed to bump its fee later (see bumpFee)
+      const result = await this.broadcastTransaction(transaction.txHex, {
+        ...options.metadata,
+        ...this._describeTransaction(transaction, inputs, prepared.outputs, prepared.changeVout, txOptions)
+      });
       
-      // Create the outputs
-      const outputs = [
-        {
-          address: toAddress,
-          value: amount
+      // Keep the spent inputs locked until the transceiver no longer reports them as unspent
+      this.utxoLocks.renew(inputs, transaction.txid);
+      
+      return { result, transaction };
+    } catch (error) {
+      this.utxoLocks.release(inputs);
+      throw error;
+    }
+  }
+  
+  /**
+   * Check whether a transaction signals that it can be replaced by fee
+   * @param {Object} options The transaction options
+   * @returns {boolean} The `rbf` option if given, and the wallet's `rbf` setting otherwise (default: true)
+   * @private
+   */
+  _signalsRbf(options = {}) {
+    return options.rbf !== undefined ? options.rbf !== false : this.config.rbf !== false;
+  }
+  
+  /**
+   * Describe a signed transaction for its pending transaction metadata
+   *
+   * Besides the numbers of inputs and outputs and the fee, the metadata holds the spent UTXOs,
+   * the outputs and the index of the change output, which are needed to replace the transaction
+   * or to spend its change in a child transaction (see bumpFee).
+   *
+   * @param {Object} transaction The signed transaction
+   * @param {Array} inputs The spent UTXOs, with their values in satoshis
+   * @param {Array} outputs The outputs, with their values in satoshis
+   * @param {number|null} changeVout The index of the change output, or null if there is none
+   * @param {Object} options The transaction options
+   * @returns {Object} The metadata
+   * @private
+   */
+  _describeTransaction(transaction, inputs, outputs, changeVout, options = {}) {
+    return {
+      txid: transaction.txid,
+      inputs: transaction.inputs,
+      outputs: transaction.outputs,
+      fee: transaction.fee,
+      virtualSize: transaction.virtualSize,
+      rbf: options.rbf !== false,
+      spends: inputs,
+      payments: outputs,
+      changeVout,
+      opReturn: options.opReturn || null
+    };
+  }
+  
+  /**
+   * Bump the fee of a pending transaction of the wallet
+   *
+   * With the `rbf` method, the transaction is replaced by one that spends the same inputs and pays
+   * the same recipients, taking the higher fee from its change output (BIP-125). The replacement
+   * pays at least the requested fee rate, and at least the incremental relay fee more than the
+   * original. This needs the transaction to signal replaceability, which transactions of the
+   * wallet do unless its `rbf` setting is false.
+   *
+   * With the `cpfp` method, a child transaction spends the change output of the transaction back
+   * to the wallet, paying the fee that brings both transactions together to the requested rate.
+   *
+   * The pending transaction is then updated: a replaced transaction gets the status `replaced`
+   * and the ID of its replacement, and a parent the IDs of its children in `bumpedBy`.
+   *
+   * @param {string} txid The ID of the pending transaction
+   * @param {Object} options The fee bump options
+   * @param {number} options.feeRate The fee rate to bump to, in satoshis per virtual byte
+   * @param {string} options.method The method, `rbf` or `cpfp` (default: `rbf` if the transaction signals replaceability)
+   * @param {Function} options.beforeBroadcast Optional async function called with the fee bump before it is broadcast, such as to charge the additional fee; the bump is abandoned if it throws
+   * @returns {Promise<Object>} The method, the IDs of the original and new transactions, the fee of the new transaction and the additional fee in whole coins, the fee rate, the virtual size and the result of the broadcast
+   */
+  async bumpFee(txid, options = {}) {
+    let locked = [];
+    
+    try {
+      logger.debug(`Bumping the fee of transaction ${txid}`);
+      
+      if (this.isExternallySigned()) {
+        throw new Error(`Wallet ${this.name} is signed externally; its transactions cannot be bumped`);
+      }
+      
+      const pending = this.transceiverManager.getPendingTransaction(txid);
+      
+      if (!pending || !pending.metadata || !pending.metadata.spends) {
+        throw new Error(`Transaction ${txid} is not a pending transaction of wallet ${this.name}`);
+      }
+      
+      if (!BUMPABLE_STATUSES.includes(pending.status)) {
+        throw new Error(`Transaction ${txid} is ${pending.status} and cannot be bumped`);
+      }
+      
+      const { feeRate } = options;
+      if (typeof feeRate !== 'number' || feeRate <= 0) {
+        throw new Error('A positive fee rate is required');
+      }
+      
+      // The fee rate must exceed the current one, or the new transaction gains nothing
+      const { metadata } = pending;
+      const currentFeeRate = metadata.fee / metadata.virtualSize;
+      if (feeRate <= currentFeeRate) {
+        throw new Error(`Fee rate ${feeRate} sat/vB does not exceed the current fee rate of ${currentFeeRate.toFixed(2)} sat/vB`);
+      }
+      
+      if (metadata.changeVout === null || metadata.changeVout === undefined) {
+        throw new Error(`Transaction ${txid} has no change output to pay a higher fee from`);
+      }
+      
+      const method = options.method || (metadata.rbf ? 'rbf' : 'cpfp');
+      
+      let bump;
+      switch (method) {
+        case 'rbf':
+          bump = await this._prepareReplacement(txid, pending, feeRate);
+          break;
+        
+        case 'cpfp':
+          bump = await this._prepareChild(txid, pending, feeRate);
+          locked = bump.inputs;
+          break;
+        
+        default:
+          throw new Error(`Unknown fee bump method: ${method}`);
+      }
+      
+      const { transaction } = bump;
+      const result = {
+        method,
+        originalTxid: txid,
+        txid: transaction.txid,
+        fee: this.amounts.toCoins(bump.fee, this.blockchain),
+        additionalFee: this.amounts.toCoins(bump.additionalFee, this.blockchain),
+        feeRate,
+        virtualSize: transaction.virtualSize
+      };
+      
+      if (options.beforeBroadcast) {
+        await options.beforeBroadcast(result);
+      }
+      
+      const broadcast = await this.broadcastTransaction(transaction.txHex, {
+        ...metadata,
+        ...this._describeTransaction(transaction, bump.inputs, bump.outputs, bump.changeVout, { opReturn: bump.opReturn }),
+        ...(method === 'rbf' ? { replaces: txid } : { childOf: txid })
+      });
+      
+      // Keep the spent inputs locked for the new transaction
+      this.utxoLocks.renew(bump.inputs, transaction.txid);
+      
+      if (method === 'rbf') {
+        this.transceiverManager.updatePendingTransaction(txid, { status: 'replaced', replacedBy: transaction.txid });
+      } else {
+        this.transceiverManager.updatePendingTransaction(txid, { bumpedBy: [...(pending.bumpedBy || []), transaction.txid] });
+      }
+      
+      logger.info(`Fee of transaction ${txid} bumped with ${method}: ${transaction.txid}`);
+      
+      return { ...result, broadcast };
+    } catch (error) {
+      this.utxoLocks.release(locked);
+      
+      logger.error(`Failed to bump fee: ${error.message}`);
+      throw new Error(`Failed to bump fee: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the smallest output value of the wallet
+   *
+   * The threshold is that of the output's type in the dust policy, or the wallet's
+   * `coinSelection.dustThreshold` if that is higher.
+   *
+   * @param {string} address The address of the output (default: an address of the wallet's type)
+   * @returns {bigint} The dust threshold in satoshis
+   * @private
+   */
+  _getDustThreshold(address) {
+    const threshold = this.transactionBuilder.getDustThreshold(address);
+    const configured = this.coinSelection.dustThreshold !== undefined ? BigInt(this.coinSelection.dustThreshold) : 0n;
+    
+    return configured > threshold ? configured : threshold;
+  }
+  
+  /**
+   * Check whether a payment satisfies the dust policy of the wallet's blockchain
+   * @param {string} toAddress The recipient address
+   * @param {number|string} amount The amount in whole coins
+   * @returns {Object|null} The violation, with its `reason` (`minimum-withdrawal` or `dust`), the `minimum` amount in whole coins and the `outputType` of dust, or null if the payment can be made
+   */
+  checkPayment(toAddress, amount) {
+    const violation = this.dustPolicy.checkPayment(
+      this.amounts.toBaseUnits(amount, this.blockchain, { round: true }),
+      this.transactionBuilder.getAddressType(toAddress)
+    );
+    
+    return violation && { ...violation, minimum: this.amounts.toCoins(violation.minimum, this.blockchain) };
+  }
+  
+  /**
+   * Create a transaction that replaces a pending transaction with a higher fee
+   * @param {string} txid The ID of the pending transaction
+   * @param {Object} pending The pending transaction
+   * @param {number} feeRate The fee rate in satoshis per virtual byte
+   * @returns {Promise<Object>} The signed replacement, its inputs, outputs and change output, and its fee and additional fee in satoshis
+   * @private
+   */
+  async _prepareReplacement(txid, pending, feeRate) {
+    const { metadata } = pending;
+    
+    if (!metadata.rbf) {
+      throw new Error(`Transaction ${txid} does not signal replaceability (BIP-125); bump it with CPFP instead`);
+    }
+    
+    // Replacing the transaction would drop the children that spend its change
+    if (pending.bumpedBy && pending.bumpedBy.length > 0) {
+      throw new Error(`Transaction ${txid} has a child transaction; bump the child instead`);
+    }
+    
+    // The replacement has the same inputs and outputs, so the original's size is a close estimate of its own
+    const originalFee = BigInt(metadata.fee);
+    const fee = [
+      BigInt(Math.ceil(feeRate * metadata.virtualSize)),
+      originalFee + BigInt(Math.ceil(INCREMENTAL_RELAY_FEE_RATE * metadata.virtualSize))
+    ].reduce((max, value) => (value > max ? value : max));
+    
+    let additionalFee = fee - originalFee;
+    let { changeVout } = metadata;
+    const outputs = metadata.payments.map(output => ({ ...output }));
+    const change = BigInt(outputs[changeVout].value) - additionalFee;
+    
+    if (change < 0n) {
+      throw new Error(`The change output of ${txid} cannot pay the additional fee of ${additionalFee} satoshis`);
+    }
+    
+    // Change that would be dust is added to the fee
+    if (change < this._getDustThreshold(outputs[changeVout].address)) {
+      outputs.splice(changeVout, 1);
+      additionalFee += change;
+      changeVout = null;
+    } else {
+      outputs[changeVout].value = Number(change);
+    }
+    
+    const transaction = await this.createTransaction(metadata.spends, outputs, {
+      opReturn: metadata.opReturn || undefined,
+      rbf: true
+    });
+    
+    return {
+      transaction,
+      inputs: metadata.spends,
+      outputs,
+      changeVout,
+      opReturn: metadata.opReturn,
+      fee: originalFee + additionalFee,
+      additionalFee
+    };
+  }
+  
+  /**
+   * Create a child transaction that spends the change output of a pending transaction to bump its fee
+   * @param {string} txid The ID of the pending transaction
+   * @param {Object} pending The pending transaction
+   * @param {number} feeRate The fee rate of the parent and child together, in satoshis per virtual byte
+   * @returns {Promise<Object>} The signed child, its locked input, its output, and its fee in satoshis, which is all additional
+   * @private
+   */
+  async _prepareChild(txid, pending, feeRate) {
+    const { metadata } = pending;
+    const change = metadata.payments[metadata.changeVout];
+    
+    // The change may have been paid to an address given by the caller, which the wallet cannot spend from
+    const watched = this.getWatchAddresses().find(entry => entry.address === change.address);
+    if (!watched) {
+      throw new Error(`The change output of ${txid} is not paid to wallet ${this.name}`);
+    }
+    
+    const input = {
+      txid,
+      vout: metadata.changeVout,
+      value: change.value,
+      address: change.address,
+      txHex: pending.txHex,
+      ...(watched.path ? { path: watched.path } : {})
+    };
+    
+    if (this.utxoLocks.isLocked(input)) {
+      throw new Error(`The change output of ${txid} is already spent by a pending transaction`);
+    }
+    
+    // The child pays for its own size and for the fee that the parent is missing at the fee rate
+    const address = this._nextChangeAddress();
+    const childSize = this.transactionBuilder.estimateTransactionSize([input], [{ address }]);
+    const packageFee = BigInt(Math.ceil(feeRate * (metadata.virtualSize + childSize)));
+    const minimumFee = BigInt(Math.ceil(INCREMENTAL_RELAY_FEE_RATE * childSize));
+    const fee = packageFee - BigInt(metadata.fee) > minimumFee ? packageFee - BigInt(metadata.fee) : minimumFee;
+    const value = BigInt(change.value) - fee;
+    
+    if (value < this._getDustThreshold(address)) {
+      throw new Error(`The change output of ${txid} is too small to pay a fee of ${fee} satoshis for a child transaction`);
+    }
+    
+    this.utxoLocks.lock([input], `cpfp:${txid}`);
+    
+    const outputs = [{ address, value: Number(value) }];
+    
+    try {
+      const transaction = await this.createTransaction([input], outputs, { rbf: true });
+      
+      return {
+        transaction,
+        inputs: [input],
+        outputs,
+        changeVout: 0,
+        opReturn: null,
+        fee,
+        additionalFee: fee
+      };
+    } catch (error) {
+      this.utxoLocks.release([input]);
+      throw error;
+    }
+  }
+  
+  /**
+   * Consolidate the small UTXOs of the wallet into a single output back to the wallet
+   *
+   * Unlocked UTXOs worth less than `maxUtxoValue` are spent, smallest first and at most
+   * `maxInputs` of them, to the wallet address (or the next change address of an HD wallet). The
+   * fee is paid from the consolidated value. The spent UTXOs are locked as for sendTransaction.
+   *
+   * @param {Object} options The consolidation options
+   * @param {number} options.feeRate The fee rate in satoshis per virtual byte
+   * @param {number} options.maxUtxoValue The value in whole coins that consolidated UTXOs are worth less than
+   * @param {number} options.minUtxos The fewest UTXOs worth consolidating (default: 2)
+   * @param {number} options.maxInputs The most UTXOs to spend in the transaction (default: 100)
+   * @param {Object} options.metadata Optional metadata to record with the pending transaction
+   * @param {Function} options.beforeBroadcast Optional async function called with the consolidation before it is broadcast, such as to record it on the ledger; the consolidation is abandoned if it throws
+   * @returns {Promise<Object|null>} The ID, fee, virtual size, number and value of the spent UTXOs, the consolidated output and the result of the broadcast, or null if there are too few small UTXOs
+   */
+  async consolidateUtxos(options = {}) {
+    let inputs = [];
+    
+    try {
+      if (this.isExternallySigned()) {
+        throw new Error(`Wallet ${this.name} is signed externally; its UTXOs cannot be consolidated`);
+      }
+      
+      const { feeRate, maxUtxoValue, minUtxos = 2, maxInputs = 100 } = options;
+      if (typeof feeRate !== 'number' || feeRate <= 0) {
+        throw new Error('A positive fee rate is required');
+      }
+      
+      // Take the smallest unlocked UTXOs under the size limit
+      const limit = this.amounts.toBaseUnits(maxUtxoValue, this.blockchain, { round: true });
+      const candidates = this.utxoLocks.filterUnlocked(await this.getUTXOs())
+        .map(utxo => ({ ...utxo, value: Number(this.amounts.toBaseUnits(utxo.value, this.blockchain, { round: true })) }))
+        .filter(utxo => BigInt(utxo.value) < limit)
+        .sort((a, b) => a.value - b.value)
+        .slice(0, maxInputs);
+      
+      if (candidates.length < Math.max(minUtxos, 2)) {
+        logger.debug(`Wallet ${this.name} has ${candidates.length} UTXOs under ${maxUtxoValue}; nothing to consolidate`);
+        return null;
+      }
+      
+      this.utxoLocks.lock(candidates, `consolidation:${this.name}`);
+      inputs = candidates;
+      
+      // Legacy inputs also need the transactions that created them
+      inputs = await this._attachPreviousTransactions(inputs);
+      
+      const address = this._nextChangeAddress();
+      const total = inputs.reduce((sum, utxo) => sum + BigInt(utxo.value), 0n);
+      const fee = BigInt(Math.ceil(this.transactionBuilder.estimateFee(inputs, [{ address }], feeRate)));
+      const value = total - fee;
+      
+      if (value < this._getDustThreshold(address)) {
+        throw new Error(`The ${inputs.length} UTXOs are worth ${total} satoshis, too little to pay a fee of ${fee} satoshis`);
+      }
+      
+      const outputs = [{ address, value: Number(value) }];
+      const rbf = this._signalsRbf(options);
+      const transaction = await this.createTransaction(inputs, outputs, { rbf });
+      
+      const result = {
+        txid: transaction.txid,
+        fee: this.amounts.toCoins(transaction.fee, this.blockchain),
+        feeRate,
+        virtualSize: transaction.virtualSize,
+        inputCount: inputs.length,
+        inputTotal: this.amounts.toCoins(total, this.blockchain),
+        address,
+        amount: this.amounts.toCoins(value, this.blockchain)
+      };
+      
+      if (options.beforeBroadcast) {
+        await options.beforeBroadcast(result);
+      }
+      
+      const broadcast = await this.broadcastTransaction(transaction.txHex, {
+        ...options.metadata,
+        ...this._describeTransaction(transaction, inputs, outputs, 0, { rbf })
+      });
+      
+      // Keep the spent inputs locked until the transceiver no longer reports them as unspent
+      this.utxoLocks.renew(inputs, transaction.txid);
+      
+      logger.info(`Consolidated ${inputs.length} UTXOs of wallet ${this.name}: ${transaction.txid}`);
+      
+      return { ...result, broadcast };
+    } catch (error) {
+      this.utxoLocks.release(inputs);
+      
+      logger.error(`Failed to consolidate UTXOs: ${error.message}`);
+      throw new Error(`Failed to consolidate UTXOs: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Check whether the wallet's transactions are signed outside of FractaLedger
+   * @returns {boolean} True if the wallet uses the `psbt` signing method or is a multisig wallet
+   */
+  isExternallySigned() {
+    return this.signing.method === 'psbt' || this.multisig !== null;
+  }
+  
+  /**
+   * Get the cosigners of a multisig wallet
+   * @returns {Object|null} The type and threshold of the multisig wallet and its cosigners, or null if the wallet has a single key
+   */
+  getMultisigInfo() {
+    if (!this.multisig) {
+      return null;
+    }
+    
+    return {
+      type: this.multisig.type,
+      threshold: this.multisig.threshold,
+      address: this.multisig.address,
+      witnessScript: this.multisig.witnessScript.toString('hex'),
+      cosigners: describeCosigners(this.multisig).map(cosigner => ({
+        ...cosigner,
+        local: this.localCosigner !== null && cosigner.name === this.localCosigner.name
+      }))
+    };
+  }
+  
+  /**
+   * Get the xpub and address type of an HD wallet
+   * @returns {Object|null} The xpub, address type and derivation state of the HD wallet, or null if the wallet has a single address
+   */
+  getHdWalletInfo() {
+    if (!this.hdWallet) {
+      return null;
+    }
+    
+    return {
+      type: this.hdWallet.type,
+      xpub: this.hdWallet.xpub,
+      fingerprint: this.hdWallet.fingerprint.toString('hex'),
+      derivationPath: this.hdWallet.derivationPath,
+      gapLimit: this.hdWallet.gapLimit,
+      address: this.walletAddress,
+      receiveIndex: this.receiveIndex,
+      changeIndex: this.changeIndex
+    };
+  }
+  
+  /**
+   * Allocate the next unused receive address of an HD wallet
+   *
+   * The address is watched right away if the wallet is monitored, so that deposits to it are
+   * reported as soon as they are made.
+   *
+   * @returns {Promise<Object>} The address, its path below the account key and its full derivation path
+   */
+  async allocateReceiveAddress() {
+    if (!this.hdWallet) {
+      throw new Error(`Wallet ${this.name} is not an HD wallet`);
+    }
+    
+    const { address, path, fullPath } = this.hdWallet.deriveAddress(RECEIVE_CHAIN, this.receiveIndex);
+    this.receiveIndex++;
+    
+    await this._extendHdMonitoring();
+    
+    logger.info(`Receive address allocated for ${this.name}: ${address} (${path})`);
+    
+    return { address, path, fullPath };
+  }
+  
+  /**
+   * Continue allocating receive addresses after those that are already in use
+   * @param {number} index The index of the next receive address to allocate
+   */
+  setReceiveIndex(index) {
+    this.receiveIndex = Math.max(this.receiveIndex, index);
+  }
+  
+  /**
+   * Get the addresses of an HD wallet that are watched for transactions
+   *
+   * These are the receive and change addresses allocated so far, and the next `gapLimit`
+   * addresses of each chain, so that payments to addresses that were handed out by another
+   * instance of the wallet are not missed.
+   *
+   * @returns {Array<Object>} The addresses, with their chains, indexes and paths; the wallet address for a single-address wallet
+   */
+  getWatchAddresses() {
+    if (!this.hdWallet) {
+      return [{ address: this.walletAddress }];
+    }
+    
+    return [
+      ...this.hdWallet.deriveAddresses(RECEIVE_CHAIN, this.receiveIndex + this.hdWallet.gapLimit),
+      ...this.hdWallet.deriveAddresses(CHANGE_CHAIN, this.changeIndex + this.hdWallet.gapLimit)
+    ];
+  }
+  
+  /**
+   * Discover the addresses of an HD wallet that have been used, as in BIP-44
+   *
+   * Each chain is scanned until `gapLimit` consecutive addresses have no transactions, and the
+   * next receive and change addresses are allocated after the last used ones.
+   *
+   * @returns {Promise<Object>} The next receive and change indexes
+   */
+  async discoverAddresses() {
+    if (!this.hdWallet) {
+      throw new Error(`Wallet ${this.name} is not an HD wallet`);
+    }
+    
+    try {
+      const nextIndexes = {};
+      
+      for (const chain of [RECEIVE_CHAIN, CHANGE_CHAIN]) {
+        let next = 0;
+        
+        for (let index = 0; index < next + this.hdWallet.gapLimit; index++) {
+          const { address } = this.hdWallet.deriveAddress(chain, index);
+          const history = await this.transceiverManager.getTransactionHistory(address, 1);
+          
+          if (history.length > 0) {
+            next = index + 1;
+          }
         }
-      ];
+        
+        nextIndexes[chain] = next;
+      }
       
-      // Add change output if needed
-      const totalInput = utxos.reduce((total, utxo) => total + utxo.value, 0);
-      const change = totalInput - amount - fee;
+      this.setReceiveIndex(nextIndexes[RECEIVE_CHAIN]);
+      this.changeIndex = Math.max(this.changeIndex, nextIndexes[CHANGE_CHAIN]);
       
-      if (change > 0) {
-        outputs.push({
-          address: this.walletAddress,
-          value: change
+      await this._extendHdMonitoring();
+      
+      logger.info(`Addresses discovered for ${this.name}: next receive index ${this.receiveIndex}, next change index ${this.changeIndex}`);
+      
+      return { receiveIndex: this.receiveIndex, changeIndex: this.changeIndex };
+    } catch (error) {
+      logger.error(`Failed to discover addresses: ${error.message}`);
+      throw new Error(`Failed to discover addresses: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the address for the change output of a transaction
+   * @returns {string} The wallet address, or the next change address of an HD wallet
+   * @private
+   */
+  _nextChangeAddress() {
+    if (!this.hdWallet) {
+      return this.walletAddress;
+    }
+    
+    return this.hdWallet.deriveAddress(CHANGE_CHAIN, this.changeIndex++).address;
+  }
+  
+  /**
+   * Monitor the watched addresses of an HD wallet
+   * @param {Function} callback Function to call with the new transactions and the address they were made to
+   * @returns {Promise<Object>} Monitoring subscription details
+   * @private
+   */
+  async _monitorHdWallet(callback) {
+    this.hdListeners.add(callback);
+    
+    const addresses = await this._extendHdMonitoring();
+    
+    return {
+      success: true,
+      address: this.walletAddress,
+      addresses,
+      message: `${addresses} addresses of the HD wallet are being monitored`
+    };
+  }
+  
+  /**
+   * Monitor the watched addresses of a monitored HD wallet that are not monitored yet
+   * @returns {Promise<number>} The number of watched addresses
+   * @private
+   */
+  async _extendHdMonitoring() {
+    const entries = this.getWatchAddresses();
+    
+    if (this.hdListeners.size === 0) {
+      return entries.length;
+    }
+    
+    // The transceiver manager ignores addresses that are already monitored
+    for (const entry of entries) {
+      await this.transceiverManager.monitorWalletAddress(entry.address, (transactions) => {
+        this.hdListeners.forEach(listener => listener(transactions, entry.address));
+      });
+    }
+    
+    return entries.length;
+  }
+  
+  /**
+   * Create an unsigned transaction, to be signed outside of FractaLedger
+   *
+   * The inputs are selected and locked as for sendTransaction, and the transaction is built as a
+   * PSBT (BIP-174) for the wallet's public key. The PSBT is kept until signed PSBTs are submitted
+   * with addSignatures. Its UTXOs stay locked while it waits for signatures, until the signing
+   * lock timeout expires, after which the transaction can be cancelled with
+   * cancelUnsignedTransaction. The transaction is persisted, so that it survives a restart.
+   *
+   * A multisig wallet's PSBT is signed right away with the wallet's secret if it holds the key of
+   * one of the cosigners, and the other cosigners add their signatures until the threshold is met.
+   *
+   * @param {string} id The ID of the unsigned transaction, such as the ID of the withdrawal it pays
+   * @param {string} toAddress The recipient address
+   * @param {number} amount The amount to send in whole coins
+   * @param {Object} options Additional options, as for sendTransaction
+   * @param {Object} options.metadata Optional metadata to keep with the unsigned transaction
+   * @returns {Promise<Object>} The unsigned transaction, with the PSBT in base64 format and its amounts in whole coins
+   */
+  async createUnsignedTransaction(id, toAddress, amount, options = {}) {
+    let inputs = [];
+    let unsignedTransaction = null;
+    
+    try {
+      logger.debug(`Creating unsigned transaction ${id}: ${amount} to ${toAddress}`);
+      
+      if (this.unsignedTransactions.has(id)) {
+        throw new Error(`Unsigned transaction already exists: ${id}`);
+      }
+      
+      const lockTimeout = this.signing.lockTimeout || DEFAULT_SIGNING_LOCK_TIMEOUT_MS;
+      const prepared = await this._prepareTransaction(toAddress, amount, options, `psbt:${id}`, lockTimeout);
+      inputs = prepared.inputs;
+      
+      const rbf = this._signalsRbf(options);
+      const psbt = this.transactionBuilder.createPsbt(this.signing.publicKey, inputs, prepared.outputs, { ...options, rbf });
+      
+      unsignedTransaction = {
+        id,
+        status: 'awaiting-signature',
+        psbt: psbt.psbt,
+        toAddress,
+        amount,
+        fee: this.amounts.toCoins(psbt.fee, this.blockchain),
+        inputs: inputs.map(({ txid, vout, value }) => ({ txid, vout, value: this.amounts.toCoins(value, this.blockchain) })),
+        outputs: prepared.outputs.map(({ address, value }) => ({ address, value: this.amounts.toCoins(value, this.blockchain) })),
+        signedInputs: 0,
+        metadata: options.metadata || {},
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + lockTimeout).toISOString()
+      };
+      
+      if (this.multisig) {
+        unsignedTransaction.requiredSignatures = this.multisig.threshold;
+        unsignedTransaction.cosigners = describeCosigners(this.multisig)
+          .map(({ name, publicKey }) => ({ name, publicKey, signed: false }));
+      }
+      
+      // The spent UTXOs and the outputs are kept in satoshis, to describe the transaction once it is broadcast
+      this.unsignedTransactions.set(id, unsignedTransaction);
+      this.unsignedTransactionStore.create(id, {
+        transaction: unsignedTransaction,
+        spends: inputs,
+        payments: prepared.outputs,
+        changeVout: prepared.changeVout,
+        rbf,
+        opReturn: options.opReturn || null
+      });
+      
+      if (this.localCosigner) {
+        const signed = this.transactionBuilder.signPsbt(this.secret, unsignedTransaction.psbt);
+        this.addSignatures(id, [signed.psbt]);
+      }
+      
+      logger.info(`Unsigned transaction created: ${id}`);
+      
+      return unsignedTransaction;
+    } catch (error) {
+      this.utxoLocks.release(inputs);
+      
+      if (unsignedTransaction && this.unsignedTransactions.get(id) === unsignedTransaction) {
+        this.unsignedTransactions.delete(id);
+        this.unsignedTransactionStore.delete(id);
+      }
+      
+      logger.error(`Failed to create unsigned transaction: ${error.message}`);
+      throw new Error(`Failed to create unsigned transaction: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get an unsigned transaction
+   * @param {string} id The ID of the unsigned transaction
+   * @returns {Object|undefined} The unsigned transaction, with the PSBT and the signatures collected so far
+   */
+  getUnsignedTransaction(id) {
+    return this.unsignedTransactions.get(id);
+  }
+  
+  /**
+   * Get all unsigned transactions
+   * @returns {Array<Object>} The unsigned transactions
+   */
+  getAllUnsignedTransactions() {
+    return Array.from(this.unsignedTransactions.values());
+  }
+  
+  /**
+   * Add the signatures of signed or partially signed PSBTs to an unsigned transaction
+   *
+   * The PSBTs are combined with the unsigned PSBT, and must describe the same transaction. Once
+   * every input is signed, the transaction is finalized and its status becomes `signed`; it can
+   * then be broadcast with broadcastSignedTransaction. The inputs of a multisig wallet are signed
+   * once the cosigners that signed every input meet its threshold.
+   *
+   * @param {string} id The ID of the unsigned transaction
+   * @param {Array<string>} psbts The signed PSBTs in base64 format
+   * @returns {Object} The updated transaction; a signed transaction also has its `txid` and `txHex`
+   */
+  addSignatures(id, psbts) {
+    try {
+      const unsignedTransaction = this.unsignedTransactions.get(id);
+      
+      if (!unsignedTransaction) {
+        throw new Error(`Unsigned transaction not found: ${id}`);
+      }
+      
+      const combined = this.transactionBuilder.combinePsbts([unsignedTransaction.psbt, ...psbts]);
+      
+      unsignedTransaction.psbt = combined.psbt;
+      unsignedTransaction.signedInputs = combined.signedInputs;
+      
+      if (unsignedTransaction.cosigners) {
+        unsignedTransaction.cosigners.forEach(cosigner => {
+          cosigner.signed = combined.signatures.every(pubkeys => pubkeys.includes(cosigner.publicKey));
         });
       }
       
-      // Create transaction options
-      const txOptions = { ...options };
+      if (combined.complete) {
+        unsignedTransaction.status = 'signed';
+        unsignedTransaction.txid = combined.txid;
+        unsignedTransaction.txHex = combined.txHex;
+      }
       
-      // Create and sign the transaction
-      const transaction = await this.createTransaction(utxos, outputs, txOptions);
+      this.unsignedTransactionStore.update(id, {
+        transaction: unsignedTransaction,
+        ...(combined.complete ? { fee: combined.fee, virtualSize: combined.virtualSize } : {})
+      });
       
-      // Broadcast the transaction
-      const result = await this.broadcastTransaction(transaction.txHex, {
-        txid: transaction.txid,
-        inputs: transaction.inputs,
-        outputs: transaction.outputs,
-        fee: transaction.fee
+      logger.info(`Signatures added to transaction ${id}: ${combined.signedInputs} of ${unsignedTransaction.inputs.length} inputs signed`);
+      
+      return unsignedTransaction;
+    } catch (error) {
+      logger.error(`Failed to add signatures: ${error.message}`);
+      throw new Error(`Failed to add signatures: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Broadcast a transaction that has been signed externally
+   *
+   * The transaction is handed to the transceiver like any other transaction, with the same
+   * pending transaction metadata, and is no longer kept as an unsigned transaction. Its inputs
+   * stay locked until the lock expires.
+   *
+   * @param {string} id The ID of the signed transaction
+   * @returns {Promise<Object>} The result of the broadcast
+   */
+  async broadcastSignedTransaction(id) {
+    try {
+      const signedTransaction = this.unsignedTransactions.get(id);
+      
+      if (!signedTransaction || signedTransaction.status !== 'signed') {
+        throw new Error(`Transaction ${id} is not signed`);
+      }
+      
+      const { spends, payments, changeVout, fee, virtualSize, rbf, opReturn } = this.unsignedTransactionStore.get(id);
+      const transaction = {
+        txid: signedTransaction.txid,
+        inputs: spends.length,
+        outputs: payments.length,
+        fee,
+        virtualSize
+      };
+      
+      const result = await this.broadcastTransaction(signedTransaction.txHex, {
+        ...signedTransaction.metadata,
+        ...this._describeTransaction(transaction, spends, payments, changeVout, { rbf, opReturn })
       });
       
-      logger.info(`Transaction sent: ${result.txid}`);
+      // Keep the spent inputs locked until the transceiver no longer reports them as unspent
+      this.utxoLocks.renew(spends, signedTransaction.txid);
+      this.unsignedTransactions.delete(id);
+      this.unsignedTransactionStore.delete(id);
+      
+      logger.info(`Signed transaction broadcasted: ${signedTransaction.txid}`);
       
       return result;
     } catch (error) {
-      logger.error(`Failed to send transaction: ${error.message}`);
-      throw new Error(`Failed to send transaction: ${error.message}`);
+      logger.error(`Failed to broadcast signed transaction: ${error.message}`);
+      throw new Error(`Failed to broadcast signed transaction: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Cancel an unsigned transaction that is awaiting signatures
+   *
+   * The locks of its UTXOs are released, unless they have expired and other transactions locked
+   * the UTXOs since. Signed transactions cannot be cancelled, since they may have been broadcast
+   * outside of FractaLedger.
+   *
+   * @param {string} id The ID of the unsigned transaction
+   * @param {string} reason The reason of the cancellation
+   * @returns {Object} The cancelled transaction
+   */
+  cancelUnsignedTransaction(id, reason = '') {
+    try {
+      const unsignedTransaction = this.unsignedTransactions.get(id);
+      
+      if (!unsignedTransaction) {
+        throw new Error(`Unsigned transaction not found: ${id}`);
+      }
+      
+      if (unsignedTransaction.status !== 'awaiting-signature') {
+        throw new Error(`Transaction ${id} is ${unsignedTransaction.status}`);
+      }
+      
+      this.utxoLocks.release(this.unsignedTransactionStore.get(id).spends, `psbt:${id}`);
+      this.unsignedTransactions.delete(id);
+      
+      unsignedTransaction.status = 'cancelled';
+      this.unsignedTransactionStore.transition(id, PendingTransactionStatus.FAILED, { transaction: unsignedTransaction, error: reason });
+      
+      logger.info(`Unsigned transaction cancelled: ${id}${reason ? ` (${reason})` : ''}`);
+      
+      return unsignedTransaction;
+    } catch (error) {
+      logger.error(`Failed to cancel unsigned transaction: ${error.message}`);
+      throw new Error(`Failed to cancel unsigned transaction: ${error.message}`);
     }
   }
   
+  /**
+   * Get the unsigned transactions whose signing timeout has passed
+   * @returns {Array<Object>} The unsigned transactions that are still awaiting signatures after their `expiresAt`
+   */
+  getExpiredUnsignedTransactions() {
+    const now = Date.now();
+    
+    return this.getAllUnsignedTransactions()
+      .filter(transaction => transaction.status === 'awaiting-signature' && Date.parse(transaction.expiresAt) <= now);
+  }
+  
+  /**
+   * Get the UTXOs that are locked by pending transactions
+   * @returns {Array<Object>} The keys (`txid:vout`) of the locked UTXOs, with their references and expiry times
+   */
+  getLockedUtxos() {
+    return this.utxoLocks.getLockedUtxos();
+  }
+  
+  /**
+   * Release locked UTXOs, for example when a transaction was dropped from the mempool
+   * @param {Array<Object>} utxos The UTXOs to release, identified by `txid` and `vout`
+   */
+  releaseUtxos(utxos) {
+    this.utxoLocks.release(utxos);
+  }
+  
   /**
    * Verify if an address is valid
    * @param {string} address The address to verify
@@ -236,9 +1484,9 @@ class BlockchainConnector {
   
   /**
    * Estimate the transaction fee
-   * @param {number} inputCount The number of inputs
-   * @param {number} outputCount The number of outputs
-   * @param {number} feeRate The fee rate in satoshis per byte
+   * @param {number|Array} inputCount The number of inputs, or their address types, addresses or UTXOs
+   * @param {number|Array} outputCount The number of outputs, or their address types, addresses or outputs
+   * @param {number} feeRate The fee rate in satoshis per virtual byte
    * @returns {number} The estimated fee in satoshis
    */
   estimateFee(inputCount, outputCount, feeRate = 1) {
@@ -247,6 +1495,11 @@ class BlockchainConnector {
   
   /**
    * Start monitoring a wallet address
+   *
+   * Monitoring the wallet address of an HD wallet monitors all of its watched addresses (see
+   * getWatchAddresses), including those that are allocated later. The callback is then also
+   * given the address that the transactions were made to.
+   *
    * @param {string} address The wallet address to monitor
    * @param {Function} callback Function to call when new transactions are detected
    * @returns {Promise<Object>} Monitoring subscription details
@@ -255,8 +1508,10 @@ class BlockchainConnector {
     try {
       logger.debug(`Starting to monitor wallet address: ${address}`);
       
-      // Monitor the wallet address
-      const result = await this.transceiverManager.monitorWalletAddress(address, callback);
+      // Monitor the wallet address, or every watched address of an HD wallet
+      const result = this.hdWallet && address === this.walletAddress
+        ? await this._monitorHdWallet(callback)
+        : await this.transceiverManager.monitorWalletAddress(address, callback);
       
       logger.info(`Wallet address monitored: ${address}`);
       
@@ -276,8 +1531,19 @@ class BlockchainConnector {
     try {
       logger.debug(`Stopping monitoring for wallet address: ${address}`);
       
-      // Stop monitoring the wallet address
-      const result = await this.transceiverManager.stopMonitoringWalletAddress(address);
+      // Stop monitoring the wallet address, or every watched address of an HD wallet
+      let result;
+      if (this.hdWallet && address === this.walletAddress) {
+        this.hdListeners.clear();
+        
+        const results = [];
+        for (const entry of this.getWatchAddresses()) {
+          results.push(await this.transceiverManager.stopMonitoringWalletAddress(entry.address));
+        }
+        result = results.some(Boolean);
+      } else {
+        result = await this.transceiverManager.stopMonitoringWalletAddress(address);
+      }
       
       logger.info(`Wallet address monitoring stopped: ${address}`);
       
@@ -290,15 +1556,26 @@ class BlockchainConnector {
   
   /**
    * Get the current balance of a wallet address
-   * @param {string} address The wallet address
+   * @param {string} address The wallet address (default: the wallet address, or all watched addresses of an HD wallet)
    * @returns {Promise<number>} The wallet balance
    */
-  async getWalletBalance(address = this.walletAddress) {
+  async getWalletBalance(address) {
     try {
-      logger.debug(`Getting balance for wallet address: ${address}`);
+      logger.debug(`Getting balance for wallet address: ${address || this.walletAddress}`);
       
-      // Get the wallet balance
-      const balance = await this.transceiverManager.getWalletBalance(address);
+      // Get the wallet balance, summed in base units over the watched addresses of an HD wallet
+      let balance;
+      if (!address && this.hdWallet) {
+        let units = 0n;
+        for (const entry of this.getWatchAddresses()) {
+          units += this.amounts.toBaseUnits(await this.transceiverManager.getWalletBalance(entry.address), this.blockchain, { round: true });
+        }
+        balance = this.amounts.toCoins(units, this.blockchain);
+        address = this.walletAddress;
+      } else {
+        address = address || this.walletAddress;
+        balance = await this.transceiverManager.getWalletBalance(address);
+      }
       
       logger.info(`Wallet balance retrieved: ${address} = ${balance}`);
       
@@ -311,16 +1588,28 @@ class BlockchainConnector {
   
   /**
    * Get transaction history for a wallet address
-   * @param {string} address The wallet address
+   * @param {string} address The wallet address (default: the wallet address, or all watched addresses of an HD wallet)
    * @param {number} limit Maximum number of transactions to return
-   * @returns {Promise<Array>} Transaction history
+   * @returns {Promise<Array>} Transaction history; the transactions of an HD wallet carry the `address` they were made to
    */
-  async getTransactionHistory(address = this.walletAddress, limit = 10) {
+  async getTransactionHistory(address, limit = 10) {
     try {
-      logger.debug(`Getting transaction history for wallet address: ${address}`);
+      logger.debug(`Getting transaction history for wallet address: ${address || this.walletAddress}`);
       
-      // Get the transaction history
-      const history = await this.transceiverManager.getTransactionHistory(address, limit);
+      // Get the transaction history, merged over the watched addresses of an HD wallet with the latest first
+      let history;
+      if (!address && this.hdWallet) {
+        history = [];
+        for (const entry of this.getWatchAddresses()) {
+          const transactions = await this.transceiverManager.getTransactionHistory(entry.address, limit);
+          history.push(...transactions.map(tx => ({ ...tx, address: entry.address })));
+        }
+        history = history.sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
+        address = this.walletAddress;
+      } else {
+        address = address || this.walletAddress;
+        history = await this.transceiverManager.getTransactionHistory(address, limit);
+      }
       
       logger.info(`Transaction history retrieved: ${address} (${history.length} transactions)`);
       
@@ -333,15 +1622,26 @@ class BlockchainConnector {
   
   /**
    * Get unspent transaction outputs (UTXOs) for a wallet address
-   * @param {string} address The wallet address
-   * @returns {Promise<Array>} Unspent transaction outputs
+   * @param {string} address The wallet address (default: the wallet address, or all watched addresses of an HD wallet)
+   * @returns {Promise<Array>} Unspent transaction outputs; those of an HD wallet carry their `address` and its `path`
    */
-  async getUTXOs(address = this.walletAddress) {
+  async getUTXOs(address) {
     try {
-      logger.debug(`Getting UTXOs for wallet address: ${address}`);
+      logger.debug(`Getting UTXOs for wallet address: ${address || this.walletAddress}`);
       
-      // Get the UTXOs
-      const utxos = await this.transceiverManager.getUTXOs(address);
+      // Get the UTXOs, with the address and path that an HD wallet signs them with
+      let utxos;
+      if (!address && this.hdWallet) {
+        utxos = [];
+        for (const entry of this.getWatchAddresses()) {
+          const addressUtxos = await this.transceiverManager.getUTXOs(entry.address);
+          utxos.push(...addressUtxos.map(utxo => ({ ...utxo, address: entry.address, path: entry.path })));
+        }
+        address = this.walletAddress;
+      } else {
+        address = address || this.walletAddress;
+        utxos = await this.transceiverManager.getUTXOs(address);
+      }
       
       logger.info(`UTXOs retrieved: ${address} (${utxos.length} UTXOs)`);
       
@@ -421,6 +1721,9 @@ class BlockchainConnector {
     
     // Clean up the transceiver manager
     await this.transceiverManager.cleanup();
+    
+    // Close the store of unsigned transactions; they are recovered on the next start
+    this.unsignedTransactionStore.close();
   }
 }
 
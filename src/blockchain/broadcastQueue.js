@@ -0,0 +1,137 @@
+/**
+ * Broadcast Queue
+ *
+ * This module schedules the broadcasts that a transceiver manager retries after they fail. The
+ * delay before each retry grows exponentially, from `initialDelay` by `backoffFactor` up to
+ * `maxDelay`, and a transaction is given up (dead-lettered) after `maxAttempts` attempts. The
+ * settings are configured in the `retry` section of the transceiver configuration:
+ *
+ *   "transceiver": {
+ *     "method": "callback",
+ *     "callbackModule": "./transceivers/spv-transceiver.js",
+ *     "retry": { "maxAttempts": 5, "initialDelay": 5000, "maxDelay": 300000, "backoffFactor": 2 }
+ *   }
+ *
+ * The queue only keeps the timers; the attempts themselves, and the number of attempts made, are
+ * recorded on the pending transactions, so that the queue can be rebuilt after a restart.
+ */
+
+const DEFAULT_RETRY_SETTINGS = {
+  maxAttempts: 5,
+  initialDelay: 5000,
+  maxDelay: 300000,
+  backoffFactor: 2
+};
+
+/**
+ * Broadcast Queue class
+ */
+class BroadcastQueue {
+  /**
+   * Constructor
+   * @param {Object} config The retry configuration
+   * @param {number} config.maxAttempts The number of attempts after which a transaction is dead-lettered (default: 5)
+   * @param {number} config.initialDelay The time in milliseconds before the first retry (default: 5 seconds)
+   * @param {number} config.maxDelay The longest time in milliseconds between retries (default: 5 minutes)
+   * @param {number} config.backoffFactor The factor by which the delay grows after each retry (default: 2)
+   * @param {Function} retry Async function called with the transaction ID when a retry is due
+   */
+  constructor(config = {}, retry) {
+    this.configure(config);
+    this.retry = retry;
+    this.timers = new Map();
+  }
+  
+  /**
+   * Apply retry settings
+   * @param {Object} config The retry configuration (see the constructor)
+   */
+  configure(config = {}) {
+    this.settings = { ...DEFAULT_RETRY_SETTINGS, ...config };
+  }
+  
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempts The number of attempts made so far
+   * @returns {number} The delay in milliseconds
+   */
+  getDelay(attempts) {
+    const { initialDelay, maxDelay, backoffFactor } = this.settings;
+    
+    return Math.min(initialDelay * Math.pow(backoffFactor, Math.max(attempts - 1, 0)), maxDelay);
+  }
+  
+  /**
+   * Check whether a transaction has attempts left
+   * @param {number} attempts The number of attempts made so far
+   * @returns {boolean} True if the transaction can be attempted again
+   */
+  hasAttemptsLeft(attempts) {
+    return attempts < this.settings.maxAttempts;
+  }
+  
+  /**
+   * Schedule the next attempt of a transaction, replacing any scheduled one
+   * @param {string} txid The transaction ID
+   * @param {number} delay The delay in milliseconds
+   */
+  schedule(txid, delay) {
+    this.cancel(txid);
+    
+    const timer = setTimeout(() => {
+      this.timers.delete(txid);
+      this.retry(txid);
+    }, Math.max(delay, 0));
+    
+    // Scheduled retries do not keep the process running
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+    
+    this.timers.set(txid, timer);
+  }
+  
+  /**
+   * Cancel the scheduled attempt of a transaction
+   * @param {string} txid The transaction ID
+   */
+  cancel(txid) {
+    if (this.timers.has(txid)) {
+      clearTimeout(this.timers.get(txid));
+      this.timers.delete(txid);
+    }
+  }
+  
+  /**
+   * Check whether a transaction has a scheduled attempt
+   * @param {string} txid The transaction ID
+   * @returns {boolean} True if an attempt is scheduled
+   */
+  has(txid) {
+    return this.timers.has(txid);
+  }
+  
+  /**
+   * Get the transactions with a scheduled attempt
+   * @returns {Array<string>} The transaction IDs
+   */
+  getQueued() {
+    return Array.from(this.timers.keys());
+  }
+  
+  /**
+   * Cancel all scheduled attempts
+   */
+  clear() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    
+    this.timers.clear();
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_SETTINGS,
+  BroadcastQueue
+};
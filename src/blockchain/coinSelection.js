@@ -0,0 +1,272 @@
+/**
+ * Coin Selection
+ *
+ * This module selects the UTXOs that fund a transaction. A strategy picks a set of UTXOs, and
+ * the selection is then completed with the fee and the change output. Change that would be dust
+ * is left out of the transaction and added to the fee instead.
+ *
+ * All values are in base units (satoshis) and calculated as BigInt values. The following
+ * strategies are available:
+ * - `largestFirst`: Spend the largest UTXOs first, which keeps the number of inputs low
+ * - `branchAndBound`: Search for a set of UTXOs that pays the amount and the fee without a change
+ *   output, and fall back to `largestFirst` if there is none
+ * - `avoidAddressReuse`: Spend all UTXOs of an address together, so that an address that has been
+ *   spent from never holds funds again
+ * - `custom`: Load a strategy function from the module given in the configuration
+ */
+
+const path = require('path');
+
+const DEFAULT_STRATEGY = 'branchAndBound';
+const DEFAULT_DUST_THRESHOLD = 546;
+const BRANCH_AND_BOUND_MAX_TRIES = 100000;
+
+/**
+ * Add up the values of UTXOs
+ * @param {Array<Object>} utxos The UTXOs, with their values in base units
+ * @returns {bigint} The total value in base units
+ */
+function sumUnits(utxos) {
+  return utxos.reduce((total, utxo) => total + utxo.units, 0n);
+}
+
+/**
+ * Complete a selection of UTXOs with its fee and change
+ * @param {Array<Object>} inputs The selected UTXOs
+ * @param {Object} context The selection context
+ * @returns {Object|null} The inputs, fee and change in base units, or null if the UTXOs do not cover the amount and the fee
+ */
+function completeSelection(inputs, context) {
+  const total = sumUnits(inputs);
+  const feeWithChange = context.feeFor(inputs.length, context.outputCount + 1);
+  const change = total - context.target - feeWithChange;
+  
+  if (change >= context.dustThreshold) {
+    return { inputs, fee: feeWithChange, change };
+  }
+  
+  // Without a change output, whatever is left over is paid as fee
+  if (total - context.target >= context.feeFor(inputs.length, context.outputCount)) {
+    return { inputs, fee: total - context.target, change: 0n };
+  }
+  
+  return null;
+}
+
+/**
+ * Select the largest UTXOs until they cover the amount and the fee
+ * @param {Array<Object>} utxos The available UTXOs
+ * @param {Object} context The selection context
+ * @returns {Array<Object>|null} The selected UTXOs, or null if they do not cover the amount
+ */
+function largestFirst(utxos, context) {
+  const sorted = [...utxos].sort((a, b) => (b.units > a.units ? 1 : b.units < a.units ? -1 : 0));
+  const selected = [];
+  
+  for (const utxo of sorted) {
+    selected.push(utxo);
+    
+    if (completeSelection(selected, context)) {
+      return selected;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Search for a set of UTXOs that pays the amount and the fee without a change output
+ *
+ * Each UTXO is weighed by its effective value, which is its value less the fee for spending it.
+ * A set matches if its effective value covers the amount and the fee, and exceeds them by less
+ * than the cost of adding a change output. Of the matches found, the one that wastes the least
+ * is used.
+ *
+ * @param {Array<Object>} utxos The available UTXOs
+ * @param {Object} context The selection context
+ * @returns {Array<Object>|null} The selected UTXOs, or null if the UTXOs do not cover the amount
+ */
+function branchAndBound(utxos, context) {
+  const inputFee = context.feeFor(1, context.outputCount) - context.feeFor(0, context.outputCount);
+  const changeCost = context.feeFor(0, context.outputCount + 1) - context.feeFor(0, context.outputCount) + context.dustThreshold;
+  const target = context.target + context.feeFor(0, context.outputCount);
+  const upperBound = target + changeCost;
+  
+  const candidates = utxos
+    .map(utxo => ({ utxo, effectiveValue: utxo.units - inputFee }))
+    .filter(candidate => candidate.effectiveValue > 0n)
+    .sort((a, b) => (b.effectiveValue > a.effectiveValue ? 1 : b.effectiveValue < a.effectiveValue ? -1 : 0));
+  
+  // The effective value of the candidates from each index to the end, used to prune the search
+  const remaining = new Array(candidates.length + 1).fill(0n);
+  for (let index = candidates.length - 1; index >= 0; index--) {
+    remaining[index] = remaining[index + 1] + candidates[index].effectiveValue;
+  }
+  
+  let tries = 0;
+  let best = null;
+  let bestValue = 0n;
+  const selected = [];
+  
+  const search = (index, value) => {
+    if (tries++ >= BRANCH_AND_BOUND_MAX_TRIES || value > upperBound) {
+      return;
+    }
+    
+    if (value >= target) {
+      if (!best || value < bestValue) {
+        best = [...selected];
+        bestValue = value;
+      }
+      return;
+    }
+    
+    if (index >= candidates.length || value + remaining[index] < target) {
+      return;
+    }
+    
+    // Try including the candidate, then excluding it
+    selected.push(candidates[index].utxo);
+    search(index + 1, value + candidates[index].effectiveValue);
+    selected.pop();
+    search(index + 1, value);
+  };
+  
+  search(0, 0n);
+  
+  if (best && completeSelection(best, context)) {
+    return best;
+  }
+  
+  return largestFirst(utxos, context);
+}
+
+/**
+ * Select whole addresses, spending all UTXOs of each selected address
+ *
+ * The smallest address that covers the amount on its own is preferred. Otherwise the addresses
+ * with the most funds are combined, which links as few addresses as possible.
+ *
+ * @param {Array<Object>} utxos The available UTXOs
+ * @param {Object} context The selection context
+ * @returns {Array<Object>|null} The selected UTXOs, or null if they do not cover the amount
+ */
+function avoidAddressReuse(utxos, context) {
+  const groups = new Map();
+  
+  for (const utxo of utxos) {
+    const address = utxo.address || context.walletAddress;
+    
+    if (!groups.has(address)) {
+      groups.set(address, []);
+    }
+    
+    groups.get(address).push(utxo);
+  }
+  
+  const sorted = [...groups.values()]
+    .map(group => ({ utxos: group, total: sumUnits(group) }))
+    .sort((a, b) => (a.total > b.total ? 1 : a.total < b.total ? -1 : 0));
+  
+  const single = sorted.find(group => completeSelection(group.utxos, context));
+  if (single) {
+    return single.utxos;
+  }
+  
+  const selected = [];
+  
+  for (const group of sorted.reverse()) {
+    selected.push(...group.utxos);
+    
+    if (completeSelection(selected, context)) {
+      return selected;
+    }
+  }
+  
+  return null;
+}
+
+const strategies = {
+  largestFirst,
+  branchAndBound,
+  avoidAddressReuse
+};
+
+/**
+ * Resolve the coin selection strategy described by the configuration
+ * @param {string|Function} strategy The strategy name, or a strategy function
+ * @param {Object} config The coin selection configuration
+ * @param {string} config.module The path of the module that exports a custom strategy function
+ * @returns {Function} The strategy function
+ */
+function getCoinSelectionStrategy(strategy = DEFAULT_STRATEGY, config = {}) {
+  if (typeof strategy === 'function') {
+    return strategy;
+  }
+  
+  if (strategy === 'custom') {
+    if (!config.module) {
+      throw new Error('Custom coin selection strategy requires a module path');
+    }
+    
+    const customStrategy = require(path.resolve(process.cwd(), config.module));
+    
+    if (typeof customStrategy !== 'function') {
+      throw new Error(`Custom coin selection strategy must export a function: ${config.module}`);
+    }
+    
+    return customStrategy;
+  }
+  
+  if (!strategies[strategy]) {
+    throw new Error(`Unsupported coin selection strategy: ${strategy}`);
+  }
+  
+  return strategies[strategy];
+}
+
+/**
+ * Select the UTXOs that fund a transaction
+ *
+ * A strategy is called with the available UTXOs, each with its value in base units as `units`,
+ * and the selection context. It returns the UTXOs to spend, or null if they do not cover the
+ * amount and the fee.
+ *
+ * @param {Array<Object>} utxos The available UTXOs, each with its value in base units as `units`
+ * @param {Object} options The selection options
+ * @param {bigint} options.target The total value of the outputs in base units
+ * @param {number} options.outputCount The number of outputs, not counting change
+ * @param {Function} options.feeFor Returns the fee in base units for a number of inputs and outputs
+ * @param {number} options.dustThreshold The smallest change output in base units (default: 546)
+ * @param {string} options.walletAddress The address of UTXOs that do not name their address
+ * @param {string|Function} options.strategy The strategy name or function (default: branchAndBound)
+ * @param {string} options.module The module of a custom strategy
+ * @returns {Object} The selected inputs, and the fee and change in base units
+ */
+function selectCoins(utxos, options) {
+  const context = {
+    target: options.target,
+    outputCount: options.outputCount,
+    feeFor: options.feeFor,
+    dustThreshold: BigInt(options.dustThreshold !== undefined ? options.dustThreshold : DEFAULT_DUST_THRESHOLD),
+    walletAddress: options.walletAddress
+  };
+  
+  const strategy = getCoinSelectionStrategy(options.strategy, options);
+  const inputs = strategy(utxos, context);
+  const selection = inputs && inputs.length > 0 ? completeSelection(inputs, context) : null;
+  
+  if (!selection) {
+    const available = sumUnits(utxos);
+    throw new Error(`Insufficient funds: ${available} available, ${context.target} required before fees`);
+  }
+  
+  return selection;
+}
+
+module.exports = {
+  DEFAULT_DUST_THRESHOLD,
+  strategies,
+  getCoinSelectionStrategy,
+  selectCoins
+};
@@ -0,0 +1,410 @@
+/**
+ * Confirmation Tracker Module
+ *
+ * This module follows the transactions that primary wallets broadcast with the `callback` method
+ * to their confirmation. The status of each `broadcasted`, `seen-in-mempool` or `confirmed`
+ * pending transaction is read from the transceiver (see `getTransactionStatus` in
+ * utxoTransceiver.js) on every `interval`, and whenever the transceiver reports a new block. The
+ * pending transaction is moved to `seen-in-mempool` and `confirmed`, and its `confirmations`,
+ * `blockHeight` and `blockHash` are updated.
+ *
+ * A `confirmed` event is emitted once for each of the configured `depths` that a transaction
+ * reaches. Transactions are followed until they reach the deepest one, after which they are
+ * marked `final`:
+ *
+ *   "confirmationTracking": {
+ *     "interval": 60000,
+ *     "depths": [1, 3, 6],
+ *     "blockchains": { "dogecoin": { "depths": [1, 10, 40] } }
+ *   }
+ *
+ * A reorg is detected when a confirmed transaction is found in a different block, back in the
+ * mempool, or no longer known to the network. The pending transaction is moved back (to
+ * `seen-in-mempool` or `broadcasted`, or kept `confirmed` in its new block), the reorg is recorded
+ * in its `reorgs`, a `reorg` event is emitted, and the balance reconciliation module is alerted,
+ * which reconciles the primary wallet.
+ */
+
+const EventEmitter = require('events');
+const winston = require('winston');
+const { PendingTransactionStatus } = require('./pendingTransactionStore');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'confirmation-tracker' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    }),
+    new winston.transports.File({ filename: 'logs/confirmation-tracker-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/confirmation-tracker.log' })
+  ]
+});
+
+// The confirmation depths that events are emitted at, unless configured otherwise
+const DEFAULT_DEPTHS = [1, 3, 6];
+
+// The states of the pending transactions that are followed
+const TRACKED_STATUSES = [
+  PendingTransactionStatus.BROADCASTED,
+  PendingTransactionStatus.SEEN_IN_MEMPOOL,
+  PendingTransactionStatus.CONFIRMED
+];
+
+/**
+ * Create the confirmation tracker
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} balanceReconciliation The balance reconciliation module, which is alerted of reorgs (optional)
+ * @returns {Object} The confirmation tracker
+ */
+function createConfirmationTracker(config, blockchainConnectors, balanceReconciliation = null) {
+  // Get confirmation tracking configuration
+  const settings = {
+    enabled: true,
+    interval: 60000, // 1 minute
+    depths: DEFAULT_DEPTHS,
+    blockchains: {},
+    ...config.confirmationTracking
+  };
+  
+  const eventEmitter = new EventEmitter();
+  
+  // Checks in progress, by primary wallet
+  const checks = new Map();
+  
+  // The block listeners of the connectors, by primary wallet
+  const blockListeners = new Map();
+  
+  let pollInterval = null;
+  
+  /**
+   * Get the confirmation depths of a blockchain
+   * @param {string} blockchain The blockchain type
+   * @returns {Array<number>} The depths, in ascending order
+   */
+  function getDepths(blockchain) {
+    const { depths } = { depths: settings.depths, ...settings.blockchains[blockchain] };
+    
+    return [...depths].sort((a, b) => a - b);
+  }
+  
+  /**
+   * Get the connectors whose transceivers report the status of transactions
+   * @returns {Array<Object>} The blockchain connectors
+   */
+  function getTrackedConnectors() {
+    return Object.values(blockchainConnectors)
+      .flatMap(connectors => Object.values(connectors))
+      .filter(connector => connector.transceiverManager && connector.transceiverManager.config.method === 'callback');
+  }
+  
+  /**
+   * Check whether a pending transaction is followed
+   * @param {Object} transaction The pending transaction
+   * @returns {boolean} True if the transaction is broadcast and has not reached the deepest depth
+   */
+  function isTracked(transaction) {
+    return TRACKED_STATUSES.includes(transaction.status) && !transaction.final;
+  }
+  
+  /**
+   * Update the confirmations of a pending transaction, and emit the depths it reached
+   * @param {Object} connector The blockchain connector of the primary wallet
+   * @param {Object} transaction The pending transaction
+   * @param {Object} status The status of the confirmed transaction, as reported by the transceiver
+   * @returns {Object} The updated pending transaction
+   */
+  function confirm(connector, transaction, status) {
+    const depths = getDepths(connector.blockchain);
+    const previousDepth = transaction.confirmationDepth || 0;
+    const reached = depths.filter(depth => depth > previousDepth && depth <= status.confirmations);
+    
+    const updates = {
+      confirmations: status.confirmations,
+      blockHeight: status.blockHeight,
+      blockHash: status.blockHash || null,
+      confirmationDepth: reached.length > 0 ? reached[reached.length - 1] : previousDepth,
+      final: status.confirmations >= depths[depths.length - 1]
+    };
+    
+    const manager = connector.transceiverManager;
+    const updated = transaction.status === PendingTransactionStatus.CONFIRMED
+      ? manager.updatePendingTransaction(transaction.txid, updates)
+      : manager.transitionPendingTransaction(transaction.txid, PendingTransactionStatus.CONFIRMED, updates);
+    
+    for (const depth of reached) {
+      logger.info(`Transaction ${transaction.txid} of ${connector.blockchain}/${connector.name} reached ${depth} confirmations`);
+      
+      eventEmitter.emit('confirmed', {
+        blockchain: connector.blockchain,
+        primaryWalletName: connector.name,
+        txid: transaction.txid,
+        depth,
+        confirmations: status.confirmations,
+        blockHeight: status.blockHeight,
+        blockHash: status.blockHash || null,
+        transaction: { txid: transaction.txid, ...updated }
+      });
+    }
+    
+    return updated;
+  }
+  
+  /**
+   * Move a confirmed transaction back after a reorg, and alert the balance reconciliation module
+   * @param {Object} connector The blockchain connector of the primary wallet
+   * @param {Object} transaction The pending transaction
+   * @param {string} reason Why the transaction was moved back: `block-changed`, `unconfirmed` or `dropped`
+   * @param {Object|null} status The status of the transaction, as reported by the transceiver
+   * @returns {Promise<Object>} The updated pending transaction
+   */
+  async function handleReorg(connector, transaction, reason, status) {
+    const key = `${connector.blockchain}/${connector.name}`;
+    const previous = {
+      blockHeight: transaction.blockHeight || null,
+      blockHash: transaction.blockHash || null,
+      confirmations: transaction.confirmations || 0
+    };
+    const current = status && status.confirmations > 0
+      ? { blockHeight: status.blockHeight, blockHash: status.blockHash || null, confirmations: status.confirmations }
+      : null;
+    
+    logger.warn(`Reorg detected for transaction ${transaction.txid} of ${key} (${reason}): previously in block ${previous.blockHash || previous.blockHeight}`);
+    
+    const reset = {
+      confirmations: 0,
+      blockHeight: null,
+      blockHash: null,
+      confirmationDepth: 0,
+      final: false,
+      reorgs: [...(transaction.reorgs || []), { reason, previous, current, timestamp: Date.now() }]
+    };
+    
+    const manager = connector.transceiverManager;
+    let updated;
+    
+    if (reason === 'block-changed') {
+      // The transaction is confirmed in its new block, and its depths are counted again from there
+      updated = confirm(connector, { ...transaction, ...manager.updatePendingTransaction(transaction.txid, reset) }, status);
+    } else {
+      const backTo = reason === 'unconfirmed' ? PendingTransactionStatus.SEEN_IN_MEMPOOL : PendingTransactionStatus.BROADCASTED;
+      updated = manager.transitionPendingTransaction(transaction.txid, backTo, reset);
+    }
+    
+    const details = { txid: transaction.txid, reason, previous, current, status: updated.status };
+    
+    eventEmitter.emit('reorg', {
+      blockchain: connector.blockchain,
+      primaryWalletName: connector.name,
+      ...details,
+      transaction: { txid: transaction.txid, ...updated }
+    });
+    
+    if (balanceReconciliation && typeof balanceReconciliation.reportReorg === 'function') {
+      try {
+        await balanceReconciliation.reportReorg(connector.blockchain, connector.name, details);
+      } catch (error) {
+        logger.error(`Failed to report reorg of transaction ${transaction.txid} to balance reconciliation: ${error.message}`);
+      }
+    }
+    
+    return updated;
+  }
+  
+  /**
+   * Check the status of a pending transaction on the network
+   * @param {Object} connector The blockchain connector of the primary wallet
+   * @param {Object} transaction The pending transaction
+   * @returns {Promise<Object>} The transaction ID, its state, and the reorg reason if it was moved back
+   */
+  async function checkTransaction(connector, transaction) {
+    const { txid } = transaction;
+    const status = await connector.transceiverManager.getTransactionStatus(txid);
+    const inBlock = Boolean(status) && status.confirmations > 0;
+    
+    if (transaction.status === PendingTransactionStatus.CONFIRMED) {
+      let reason = null;
+      
+      if (!status) {
+        reason = 'dropped';
+      } else if (!inBlock) {
+        reason = 'unconfirmed';
+      } else if (transaction.blockHash && status.blockHash && status.blockHash !== transaction.blockHash) {
+        reason = 'block-changed';
+      }
+      
+      if (reason) {
+        const updated = await handleReorg(connector, transaction, reason, status);
+        return { txid, status: updated.status, reorg: reason };
+      }
+      
+      return { txid, status: confirm(connector, transaction, status).status };
+    }
+    
+    if (inBlock) {
+      return { txid, status: confirm(connector, transaction, status).status };
+    }
+    
+    // Transactions the network does not know (yet) are left as they are
+    if (status && transaction.status === PendingTransactionStatus.BROADCASTED) {
+      const updated = connector.transceiverManager.transitionPendingTransaction(txid, PendingTransactionStatus.SEEN_IN_MEMPOOL);
+      return { txid, status: updated.status };
+    }
+    
+    return { txid, status: transaction.status };
+  }
+  
+  const confirmationTracker = {
+    /**
+     * Get the confirmation depths of a blockchain
+     * @param {string} blockchain The blockchain type
+     * @returns {Array<number>} The depths, in ascending order
+     */
+    getDepths,
+    
+    /**
+     * Check the followed pending transactions of a primary wallet
+     * @param {Object} connector The blockchain connector of the primary wallet
+     * @returns {Promise<Array<Object>>} The result of each transaction, with its ID, its state, and the reorg reason if it was moved back
+     */
+    check: (connector) => {
+      const key = `${connector.blockchain}/${connector.name}`;
+      
+      // Blocks that arrive during a check are covered by it
+      if (!checks.has(key)) {
+        const check = (async () => {
+          const results = [];
+          
+          for (const transaction of connector.getAllPendingTransactions().filter(isTracked)) {
+            try {
+              results.push(await checkTransaction(connector, transaction));
+            } catch (error) {
+              // The transaction is checked again on the next block or interval
+              logger.error(`Failed to check transaction ${transaction.txid} of ${key}: ${error.message}`);
+              results.push({ txid: transaction.txid, status: transaction.status, error: error.message });
+            }
+          }
+          
+          return results;
+        })();
+        
+        checks.set(key, check);
+        check.then(() => checks.delete(key), () => checks.delete(key));
+      }
+      
+      return checks.get(key);
+    },
+    
+    /**
+     * Check the followed pending transactions of every primary wallet
+     * @returns {Promise<Array<Object>>} The result of each transaction, with its blockchain and primary wallet name
+     */
+    checkAll: async () => {
+      const results = [];
+      
+      for (const connector of getTrackedConnectors()) {
+        const connectorResults = await confirmationTracker.check(connector);
+        results.push(...connectorResults.map(result => ({ blockchain: connector.blockchain, primaryWalletName: connector.name, ...result })));
+      }
+      
+      return results;
+    },
+    
+    /**
+     * Register an event listener
+     * @param {string} event The event to listen for: `confirmed` or `reorg`
+     * @param {Function} listener The event listener
+     */
+    on: (event, listener) => {
+      eventEmitter.on(event, listener);
+    },
+    
+    /**
+     * Remove an event listener
+     * @param {string} event The event to remove the listener from
+     * @param {Function} listener The event listener to remove
+     */
+    off: (event, listener) => {
+      eventEmitter.off(event, listener);
+    },
+    
+    /**
+     * Check the pending transactions on every new block and on the configured interval
+     */
+    start: () => {
+      if (!settings.enabled) {
+        logger.info('Confirmation tracking is disabled by configuration');
+        return;
+      }
+      
+      if (pollInterval) {
+        return;
+      }
+      
+      for (const connector of getTrackedConnectors()) {
+        const key = `${connector.blockchain}/${connector.name}`;
+        const listener = () => {
+          confirmationTracker.check(connector).catch(error => logger.error(`Failed to check transactions of ${key}: ${error.message}`));
+        };
+        
+        connector.transceiverManager.on('block', listener);
+        blockListeners.set(key, { connector, listener });
+      }
+      
+      pollInterval = setInterval(() => {
+        confirmationTracker.checkAll().catch(error => logger.error(`Failed to check transactions: ${error.message}`));
+      }, settings.interval);
+      
+      logger.info(`Confirmation tracking running every ${settings.interval}ms and on new blocks`);
+    },
+    
+    /**
+     * Stop checking the pending transactions
+     */
+    stop: () => {
+      if (pollInterval) {
+        clearInterval(pollInterval);
+        pollInterval = null;
+      }
+      
+      for (const { connector, listener } of blockListeners.values()) {
+        connector.transceiverManager.off('block', listener);
+      }
+      
+      blockListeners.clear();
+    }
+  };
+  
+  return confirmationTracker;
+}
+
+/**
+ * Initialize the confirmation tracker, and start following the pending transactions
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} balanceReconciliation The balance reconciliation module, which is alerted of reorgs
+ * @returns {Promise<Object>} The confirmation tracker
+ */
+async function initializeConfirmationTracker(config, blockchainConnectors, balanceReconciliation) {
+  logger.info('Initializing confirmation tracker...');
+  
+  const confirmationTracker = createConfirmationTracker(config, blockchainConnectors, balanceReconciliation);
+  confirmationTracker.start();
+  
+  return confirmationTracker;
+}
+
+module.exports = {
+  DEFAULT_DEPTHS,
+  createConfirmationTracker,
+  initializeConfirmationTracker
+};
@@ -7,6 +7,8 @@
  */
 
 const { BlockchainConnector } = require('./blockchainConnector');
+const { getDustPolicyConfig } = require('./dustPolicy');
+const { getConfiguredDecimals, createAmounts } = require('./amounts');
 const winston = require('winston');
 
 // Configure logger
@@ -38,6 +40,9 @@ function initializeBlockchainConnectors(config) {
   logger.info('Initializing blockchain connectors');
   
   try {
+    // Amounts of custom UTXO blockchains are converted with their configured decimals
+    const { getDecimals } = createAmounts(getConfiguredDecimals(config));
+    
     const connectors = {
       bitcoin: {},
       litecoin: {},
@@ -49,7 +54,7 @@ function initializeBlockchainConnectors(config) {
       logger.info(`Initializing ${config.bitcoin.length} Bitcoin connectors`);
       for (const walletConfig of config.bitcoin) {
         logger.debug(`Creating Bitcoin connector: ${walletConfig.name}`);
-        connectors.bitcoin[walletConfig.name] = createConnector('bitcoin', walletConfig);
+        connectors.bitcoin[walletConfig.name] = createConnector('bitcoin', walletConfig, config);
       }
     }
     
@@ -58,7 +63,7 @@ function initializeBlockchainConnectors(config) {
       logger.info(`Initializing ${config.litecoin.length} Litecoin connectors`);
       for (const walletConfig of config.litecoin) {
         logger.debug(`Creating Litecoin connector: ${walletConfig.name}`);
-        connectors.litecoin[walletConfig.name] = createConnector('litecoin', walletConfig);
+        connectors.litecoin[walletConfig.name] = createConnector('litecoin', walletConfig, config);
       }
     }
     
@@ -67,7 +72,7 @@ function initializeBlockchainConnectors(config) {
       logger.info(`Initializing ${config.dogecoin.length} Dogecoin connectors`);
       for (const walletConfig of config.dogecoin) {
         logger.debug(`Creating Dogecoin connector: ${walletConfig.name}`);
-        connectors.dogecoin[walletConfig.name] = createConnector('dogecoin', walletConfig);
+        connectors.dogecoin[walletConfig.name] = createConnector('dogecoin', walletConfig, config);
       }
     }
     
@@ -89,11 +94,17 @@ function initializeBlockchainConnectors(config) {
     
     for (const blockchain of otherBlockchains) {
       if (Array.isArray(config[blockchain])) {
+        try {
+          getDecimals(blockchain);
+        } catch (error) {
+          throw new Error(`${error.message} (configure its decimals in amounts.blockchains.${blockchain}.decimals)`);
+        }
+        
         logger.info(`Initializing ${config[blockchain].length} ${blockchain} connectors`);
         connectors[blockchain] = {};
         for (const walletConfig of config[blockchain]) {
           logger.debug(`Creating ${blockchain} connector: ${walletConfig.name}`);
-          connectors[blockchain][walletConfig.name] = createConnector(blockchain, walletConfig);
+          connectors[blockchain][walletConfig.name] = createConnector(blockchain, walletConfig, config);
         }
       }
     }
@@ -110,9 +121,10 @@ function initializeBlockchainConnectors(config) {
  * Create a blockchain connector based on the wallet configuration
  * @param {string} blockchain The blockchain type (bitcoin, litecoin, dogecoin, etc.)
  * @param {Object} walletConfig The wallet configuration
+ * @param {Object} config The configuration object, with the dust policy of the blockchain and the pending transaction store
  * @returns {BlockchainConnector} The created blockchain connector
  */
-function createConnector(blockchain, walletConfig) {
+function createConnector(blockchain, walletConfig, config = {}) {
   try {
     logger.debug(`Creating connector for ${blockchain}/${walletConfig.name}`);
     
@@ -129,6 +141,20 @@ function createConnector(blockchain, walletConfig) {
       walletConfig.transceiver = walletConfig.broadcasting;
     }
     
+    // Amounts of custom UTXO blockchains are converted with the decimals configured for them
+    const decimals = getConfiguredDecimals(config);
+    if (decimals[blockchain] !== undefined) {
+      walletConfig.decimals = decimals[blockchain];
+    }
+    
+    // The wallet's own dust policy settings override those of the blockchain
+    walletConfig.dustPolicy = { ...getDustPolicyConfig(config, blockchain), ...walletConfig.dustPolicy };
+    
+    // Pending transactions are persisted, so that they are recovered after a restart
+    walletConfig.pendingTransactionStore = walletConfig.pendingTransactionStore
+      || (config.pendingTransactions || {}).store
+      || { type: 'file' };
+    
     // Create a new blockchain connector
     const connector = new BlockchainConnector(blockchain, walletConfig);
     
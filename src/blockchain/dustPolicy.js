@@ -0,0 +1,141 @@
+/**
+ * Dust Policy
+ *
+ * This module decides which outputs are too small to be worth creating. Nodes do not relay
+ * transactions with outputs worth less than it would cost to spend them (dust), and the threshold
+ * depends on the type of the output, since spending a P2PKH output takes a larger input than
+ * spending a P2WPKH output.
+ *
+ * Each blockchain has its own thresholds by output type, in base units. Bitcoin and Litecoin share
+ * the thresholds of Bitcoin Core's dust relay fee of 3 satoshis per byte, and Dogecoin uses its
+ * recommended dust limit of 0.01 DOGE for every type. Other UTXO blockchains default to the
+ * Bitcoin thresholds. The thresholds, the threshold of types without one (`defaultThreshold`) and
+ * the smallest amount that can be withdrawn (`minWithdrawal`, in whole coins) are configured by
+ * blockchain in the `dustPolicy` section of the configuration:
+ *
+ *   "dustPolicy": {
+ *     "blockchains": {
+ *       "bitcoin": { "minWithdrawal": 0.0001 },
+ *       "mycoin": { "thresholds": { "p2pkh": 100000 }, "defaultThreshold": 100000 }
+ *     }
+ *   }
+ */
+
+const defaultAmounts = require('./amounts');
+
+// The dust thresholds in base units of each type of output, by blockchain
+const DEFAULT_DUST_THRESHOLDS = {
+  bitcoin: {
+    p2pkh: 546,
+    p2sh: 540,
+    p2wpkh: 294,
+    p2wsh: 330,
+    p2tr: 330
+  },
+  litecoin: {
+    p2pkh: 546,
+    p2sh: 540,
+    p2wpkh: 294,
+    p2wsh: 330,
+    p2tr: 330
+  },
+  dogecoin: {
+    p2pkh: 1000000,
+    p2sh: 1000000,
+    p2wpkh: 1000000,
+    p2wsh: 1000000,
+    p2tr: 1000000
+  }
+};
+
+/**
+ * Get the dust policy of a blockchain from the configuration
+ * @param {Object} config The configuration object
+ * @param {string} blockchain The blockchain type
+ * @returns {Object} The `dustPolicy.blockchains.<blockchain>` section, or an empty object
+ */
+function getDustPolicyConfig(config, blockchain) {
+  return (((config || {}).dustPolicy || {}).blockchains || {})[blockchain] || {};
+}
+
+/**
+ * Create the dust policy of a blockchain
+ * @param {string} blockchain The blockchain type (bitcoin, litecoin, dogecoin, or a custom UTXO blockchain)
+ * @param {Object} config The dust policy of the blockchain (see getDustPolicyConfig)
+ * @param {Object} config.thresholds The thresholds in base units by output type, replacing the defaults of those types
+ * @param {number} config.defaultThreshold The threshold in base units of output types without one (default: the highest threshold)
+ * @param {number} config.minWithdrawal The smallest amount in whole coins that can be withdrawn (default: none)
+ * @param {Object} amounts The amount conversions of the blockchain (see createAmounts; default: those of the blockchains supported by default)
+ * @returns {Object} The dust policy
+ */
+function createDustPolicy(blockchain, config = {}, amounts = defaultAmounts) {
+  const thresholds = {};
+  const configured = { ...(DEFAULT_DUST_THRESHOLDS[blockchain] || DEFAULT_DUST_THRESHOLDS.bitcoin), ...config.thresholds };
+  
+  for (const [type, threshold] of Object.entries(configured)) {
+    thresholds[type] = BigInt(threshold);
+  }
+  
+  const defaultThreshold = config.defaultThreshold !== undefined
+    ? BigInt(config.defaultThreshold)
+    : Object.values(thresholds).reduce((max, threshold) => (threshold > max ? threshold : max), 0n);
+  
+  const minWithdrawal = config.minWithdrawal
+    ? amounts.toBaseUnits(config.minWithdrawal, blockchain, { round: true })
+    : 0n;
+  
+  const policy = {
+    blockchain,
+    thresholds,
+    defaultThreshold,
+    minWithdrawal,
+    
+    /**
+     * Get the dust threshold of an output type
+     * @param {string|null} type The output type (p2pkh, p2sh, p2wpkh, p2wsh or p2tr)
+     * @returns {bigint} The threshold in base units; outputs worth less are dust
+     */
+    getThreshold: type => (thresholds[type] !== undefined ? thresholds[type] : defaultThreshold),
+    
+    /**
+     * Check whether a payment can be made as an output
+     * @param {bigint} units The amount in base units
+     * @param {string|null} type The type of the recipient's output
+     * @returns {Object|null} The violation, with its `reason` (`minimum-withdrawal` or `dust`) and the `minimum` amount in base units, or null if the payment can be made
+     */
+    checkPayment: (units, type) => {
+      if (units < minWithdrawal) {
+        return { reason: 'minimum-withdrawal', minimum: minWithdrawal };
+      }
+      
+      const threshold = policy.getThreshold(type);
+      if (units < threshold) {
+        return { reason: 'dust', minimum: threshold, outputType: type };
+      }
+      
+      return null;
+    },
+    
+    /**
+     * Reject an output below the dust threshold of its type
+     * @param {bigint|number} value The value of the output in base units
+     * @param {string|null} type The output type
+     * @param {string} address The address of the output, for the error message
+     */
+    assertOutput: (value, type, address) => {
+      const threshold = policy.getThreshold(type);
+      
+      if (BigInt(value) < threshold) {
+        throw new Error(`Output of ${value} to ${address} is below the ${blockchain} dust threshold of ${threshold} for ${type || 'unknown'} outputs`);
+      }
+    }
+  };
+  
+  return policy;
+}
+
+module.exports = {
+  DEFAULT_DUST_THRESHOLDS,
+  getDustPolicyConfig,
+  createDustPolicy
+};
@@ -0,0 +1,315 @@
+/**
+ * Fee Estimator Module
+ *
+ * This module chooses the fee rate of withdrawals. A withdrawal either gives an explicit fee rate
+ * in satoshis per virtual byte, or a priority (`economy`, `normal` or `urgent`) that is mapped to a
+ * confirmation target in blocks. The fee rate of a priority is taken from the first of the
+ * configured sources that has an estimate:
+ *
+ * - `transceiver`: the transceiver of the primary wallet (the SPV transceiver asks its Electrum
+ *   server with `blockchain.estimatefee`);
+ * - `static`: a table of fee rates by priority for each blockchain;
+ * - `mempool`: a mempool fee histogram read from a JSON file, in the format of Electrum's
+ *   `mempool.get_fee_histogram`, which is mostly useful in tests.
+ *
+ * Other sources can be added with `addSource`. Estimates are clamped to the minimum and maximum
+ * fee rates of the blockchain, while explicit fee rates outside of them are rejected. If no source
+ * has an estimate, the minimum fee rate is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'fee-estimator' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    }),
+    new winston.transports.File({ filename: 'logs/fee-estimator-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/fee-estimator.log' })
+  ]
+});
+
+// The confirmation target of each priority in blocks, unless configured otherwise
+const DEFAULT_TARGETS = {
+  economy: 24,
+  normal: 6,
+  urgent: 1
+};
+
+const PRIORITIES = Object.keys(DEFAULT_TARGETS);
+
+// The minimum relay fee rate of Bitcoin Core, in satoshis per virtual byte
+const DEFAULT_MIN_FEE_RATE = 1;
+
+// The maximum size of a block in virtual bytes, which the mempool histogram is divided into
+const BLOCK_VSIZE = 1000000;
+
+/**
+ * Find the fee rate that confirms a transaction within a number of blocks from a mempool histogram
+ * @param {Array<Array<number>>} histogram Pairs of a fee rate in satoshis per virtual byte and the virtual size of the mempool transactions paying it
+ * @param {number} targetBlocks The number of blocks
+ * @returns {number|null} The lowest fee rate among the transactions that fill the target blocks, or null if they do not fill them
+ */
+function feeRateFromHistogram(histogram, targetBlocks) {
+  const entries = [...histogram].sort((a, b) => b[0] - a[0]);
+  
+  let vsize = 0;
+  for (const [feeRate, size] of entries) {
+    vsize += size;
+    if (vsize >= targetBlocks * BLOCK_VSIZE) {
+      return feeRate;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Create the fee estimator
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @returns {Object} The fee estimator
+ */
+function createFeeEstimator(config, blockchainConnectors) {
+  // Get fee estimation configuration
+  const feeEstimation = config.feeEstimation || {};
+  const settings = {
+    sources: ['transceiver', 'static'],
+    defaultPriority: 'normal',
+    cacheTtl: 60000, // 1 minute
+    blockchains: {},
+    ...feeEstimation,
+    targets: { ...DEFAULT_TARGETS, ...feeEstimation.targets }
+  };
+  
+  // Fee rate estimates, by blockchain, primary wallet and priority
+  const cache = new Map();
+  
+  /**
+   * Get the fee estimation settings of a blockchain
+   * @param {string} blockchain The blockchain type
+   * @returns {Object} The sources, the minimum and maximum fee rates, the static fee rates and the mempool histogram file
+   */
+  function getBlockchainSettings(blockchain) {
+    return {
+      sources: settings.sources,
+      minFeeRate: DEFAULT_MIN_FEE_RATE,
+      maxFeeRate: null,
+      rates: {},
+      mempoolHistogramFile: null,
+      ...settings.blockchains[blockchain]
+    };
+  }
+  
+  /**
+   * Get the connector whose transceiver estimates the fee rates of a primary wallet
+   * @param {string} blockchain The blockchain type
+   * @param {string} primaryWalletName Optional primary wallet name (default: any primary wallet of the blockchain)
+   * @returns {Object|null} The blockchain connector
+   */
+  function getConnector(blockchain, primaryWalletName) {
+    const connectors = blockchainConnectors[blockchain] || {};
+    
+    if (primaryWalletName) {
+      return connectors[primaryWalletName] || null;
+    }
+    
+    return Object.values(connectors).find(connector => connector.transceiverManager && connector.transceiverManager.config.method === 'callback') || null;
+  }
+  
+  // Fee rate sources, by name; each returns a fee rate in satoshis per virtual byte, or null
+  const sources = new Map();
+  
+  sources.set('transceiver', async ({ blockchain, primaryWalletName, targetBlocks }) => {
+    const connector = getConnector(blockchain, primaryWalletName);
+    
+    // Only transceivers of the callback method are asked for estimates (see transceiverManager.js)
+    if (!connector || !connector.transceiverManager || connector.transceiverManager.config.method !== 'callback') {
+      return null;
+    }
+    
+    return connector.transceiverManager.estimateFeeRate(targetBlocks);
+  });
+  
+  sources.set('static', async ({ blockchain, priority }) => {
+    const rate = getBlockchainSettings(blockchain).rates[priority];
+    return rate !== undefined ? rate : null;
+  });
+  
+  sources.set('mempool', async ({ blockchain, targetBlocks }) => {
+    const { mempoolHistogramFile, minFeeRate } = getBlockchainSettings(blockchain);
+    
+    if (!mempoolHistogramFile) {
+      return null;
+    }
+    
+    const histogram = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), mempoolHistogramFile), 'utf8'));
+    
+    // A mempool that does not fill the target blocks is cleared by them at the minimum fee rate
+    const feeRate = feeRateFromHistogram(histogram, targetBlocks);
+    return feeRate !== null ? feeRate : minFeeRate;
+  });
+  
+  /**
+   * Add a fee rate source, or replace one
+   * @param {string} name The name of the source, as listed in the `sources` setting
+   * @param {Function} estimate Async function of `{ blockchain, primaryWalletName, priority, targetBlocks }` that returns a fee rate in satoshis per virtual byte, or null
+   */
+  function addSource(name, estimate) {
+    sources.set(name, estimate);
+    cache.clear();
+  }
+  
+  /**
+   * Clamp a fee rate to the minimum and maximum fee rates of a blockchain
+   * @param {string} blockchain The blockchain type
+   * @param {number} feeRate The fee rate in satoshis per virtual byte
+   * @returns {number} The clamped fee rate
+   */
+  function clamp(blockchain, feeRate) {
+    const { minFeeRate, maxFeeRate } = getBlockchainSettings(blockchain);
+    
+    let clamped = Math.max(feeRate, minFeeRate);
+    if (maxFeeRate !== null) {
+      clamped = Math.min(clamped, maxFeeRate);
+    }
+    
+    return clamped;
+  }
+  
+  /**
+   * Estimate the fee rate of a priority
+   * @param {string} blockchain The blockchain type
+   * @param {string} priority The priority: `economy`, `normal` or `urgent`
+   * @param {string} primaryWalletName Optional primary wallet whose transceiver is asked for an estimate
+   * @returns {Promise<Object>} The fee rate in satoshis per virtual byte, the priority, its confirmation target and the source of the estimate
+   */
+  async function estimateFeeRate(blockchain, priority, primaryWalletName) {
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`Unknown fee priority: ${priority}`);
+    }
+    
+    const cacheKey = `${blockchain}/${primaryWalletName || ''}/${priority}`;
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.estimate;
+    }
+    
+    const targetBlocks = settings.targets[priority];
+    const blockchainSettings = getBlockchainSettings(blockchain);
+    
+    // Take the estimate of the first source that has one
+    let estimate = null;
+    for (const name of blockchainSettings.sources) {
+      const source = sources.get(name);
+      if (!source) {
+        logger.warn(`Unknown fee rate source: ${name}`);
+        continue;
+      }
+      
+      try {
+        const feeRate = await source({ blockchain, primaryWalletName, priority, targetBlocks });
+        
+        if (typeof feeRate === 'number' && feeRate > 0) {
+          estimate = { feeRate: clamp(blockchain, feeRate), priority, targetBlocks, source: name };
+          break;
+        }
+      } catch (error) {
+        logger.warn(`Fee rate source ${name} failed for ${blockchain}: ${error.message}`);
+      }
+    }
+    
+    if (!estimate) {
+      logger.warn(`No fee rate estimate for ${blockchain} (${priority}), using the minimum fee rate`);
+      estimate = { feeRate: blockchainSettings.minFeeRate, priority, targetBlocks, source: 'minimum' };
+    }
+    
+    cache.set(cacheKey, { estimate, expiresAt: Date.now() + settings.cacheTtl });
+    
+    return estimate;
+  }
+  
+  /**
+   * Estimate the fee rates of all priorities
+   * @param {string} blockchain The blockchain type
+   * @param {string} primaryWalletName Optional primary wallet whose transceiver is asked for estimates
+   * @returns {Promise<Object>} The estimates by priority, and the minimum and maximum fee rates of the blockchain
+   */
+  async function getFeeRates(blockchain, primaryWalletName) {
+    const { minFeeRate, maxFeeRate } = getBlockchainSettings(blockchain);
+    
+    const priorities = {};
+    for (const priority of PRIORITIES) {
+      priorities[priority] = await estimateFeeRate(blockchain, priority, primaryWalletName);
+    }
+    
+    return { blockchain, minFeeRate, maxFeeRate, priorities };
+  }
+  
+  /**
+   * Choose the fee rate of a transaction, from an explicit fee rate or a priority
+   * @param {string} blockchain The blockchain type
+   * @param {string} primaryWalletName The primary wallet that sends the transaction
+   * @param {Object} options The requested fee rate
+   * @param {number} options.feeRate Optional explicit fee rate in satoshis per virtual byte
+   * @param {string} options.priority Optional priority (default: the configured default priority)
+   * @returns {Promise<Object>} The fee rate in satoshis per virtual byte, the priority and the source of the fee rate (see estimateFeeRate)
+   */
+  async function chooseFeeRate(blockchain, primaryWalletName, options = {}) {
+    const { feeRate, priority } = options;
+    
+    if (feeRate !== undefined && feeRate !== null) {
+      const { minFeeRate, maxFeeRate } = getBlockchainSettings(blockchain);
+      
+      if (feeRate < minFeeRate) {
+        throw new Error(`Fee rate ${feeRate} sat/vB is below the minimum of ${minFeeRate} sat/vB for ${blockchain}`);
+      }
+      
+      if (maxFeeRate !== null && feeRate > maxFeeRate) {
+        throw new Error(`Fee rate ${feeRate} sat/vB exceeds the maximum of ${maxFeeRate} sat/vB for ${blockchain}`);
+      }
+      
+      return { feeRate, priority: null, source: 'explicit' };
+    }
+    
+    return estimateFeeRate(blockchain, priority || settings.defaultPriority, primaryWalletName);
+  }
+  
+  return {
+    addSource,
+    estimateFeeRate,
+    getFeeRates,
+    chooseFeeRate
+  };
+}
+
+/**
+ * Initialize the fee estimator
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @returns {Promise<Object>} The fee estimator
+ */
+async function initializeFeeEstimator(config, blockchainConnectors) {
+  logger.info('Initializing fee estimator...');
+  
+  return createFeeEstimator(config, blockchainConnectors);
+}
+
+module.exports = {
+  PRIORITIES,
+  feeRateFromHistogram,
+  createFeeEstimator,
+  initializeFeeEstimator
+};
@@ -0,0 +1,218 @@
+/**
+ * HD Wallets
+ *
+ * This module describes primary wallets that are backed by an extended public key (BIP-32)
+ * instead of a single address. Receive addresses are derived on the external chain (`0/i`) and
+ * change addresses on the internal chain (`1/i`), as in BIP-44, BIP-49, BIP-84 and BIP-86. Each
+ * internal wallet or deposit request can then be given an address of its own.
+ *
+ * A wallet is configured with an xpub and the type of its addresses, or with an output descriptor
+ * such as `wpkh([d34db33f/84'/0'/0']xpub.../<0;1>/*)`.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { BIP32Factory } = require('bip32');
+
+bitcoin.initEccLib(ecc);
+const bip32 = BIP32Factory(ecc);
+
+const HD_ADDRESS_TYPES = ['p2pkh', 'p2sh-p2wpkh', 'p2wpkh', 'p2tr'];
+
+// The number of consecutive unused addresses after which address discovery stops (BIP-44)
+const DEFAULT_GAP_LIMIT = 20;
+
+// The external chain holds receive addresses, and the internal chain holds change addresses
+const RECEIVE_CHAIN = 0;
+const CHANGE_CHAIN = 1;
+
+// Output descriptors of single-key wallets, by address type
+const DESCRIPTOR_TYPES = [
+  { pattern: /^wpkh\((.+)\)$/, type: 'p2wpkh' },
+  { pattern: /^sh\(wpkh\((.+)\)\)$/, type: 'p2sh-p2wpkh' },
+  { pattern: /^pkh\((.+)\)$/, type: 'p2pkh' },
+  { pattern: /^tr\((.+)\)$/, type: 'p2tr' }
+];
+
+/**
+ * Parse an output descriptor of an HD wallet
+ *
+ * The key may carry its origin (`[fingerprint/path]`), and must end with the derivation steps of
+ * its addresses: `/0/*`, or `/<0;1>/*` for both chains (BIP-389).
+ *
+ * @param {string} descriptor The output descriptor, with or without its checksum
+ * @returns {Object} The address type, xpub, fingerprint and derivation path of the wallet
+ */
+function parseDescriptor(descriptor) {
+  const body = descriptor.trim().replace(/#[a-z0-9]{8}$/, '');
+  const match = DESCRIPTOR_TYPES
+    .map(({ pattern, type }) => ({ type, key: (pattern.exec(body) || [])[1] }))
+    .find(({ key }) => key);
+  
+  if (!match) {
+    throw new Error(`Unsupported descriptor: ${descriptor}`);
+  }
+  
+  const key = /^(?:\[([0-9a-fA-F]{8})((?:\/\d+['h]?)*)\])?(\w+)\/(?:0|<0;1>)\/\*$/.exec(match.key);
+  if (!key) {
+    throw new Error(`The descriptor must derive its addresses from an xpub with /0/* or /<0;1>/*: ${descriptor}`);
+  }
+  
+  return {
+    type: match.type,
+    xpub: key[3],
+    fingerprint: key[1],
+    derivationPath: key[1] ? `m${key[2].replace(/h/g, "'")}` : undefined
+  };
+}
+
+/**
+ * HD Wallet class
+ */
+class HDWallet {
+  /**
+   * Constructor
+   * @param {Object} config The HD wallet configuration
+   * @param {string} config.xpub The extended public key of the account
+   * @param {string} config.type The address type: p2pkh, p2sh-p2wpkh, p2wpkh (default) or p2tr
+   * @param {string} config.descriptor An output descriptor, instead of the xpub and type
+   * @param {string} config.fingerprint The fingerprint of the master key, in hexadecimal format
+   * @param {string} config.derivationPath The path of the account key below the master key, such as m/84'/0'/0'
+   * @param {number} config.gapLimit The number of unused addresses to watch beyond the last used one (default: 20)
+   * @param {Object} network The network parameters
+   */
+  constructor(config, network) {
+    const settings = config.descriptor ? { ...config, ...parseDescriptor(config.descriptor) } : config;
+    
+    this.type = settings.type || 'p2wpkh';
+    this.network = network;
+    this.gapLimit = settings.gapLimit || DEFAULT_GAP_LIMIT;
+    
+    if (!HD_ADDRESS_TYPES.includes(this.type)) {
+      throw new Error(`Unsupported HD wallet address type: ${this.type}`);
+    }
+    
+    try {
+      this.node = bip32.fromBase58(settings.xpub, network);
+    } catch (error) {
+      throw new Error(`Invalid xpub: ${error.message}`);
+    }
+    
+    this.xpub = this.node.neutered().toBase58();
+    
+    // Signers find their key by the fingerprint of their master key and the full path
+    this.fingerprint = settings.fingerprint ? Buffer.from(settings.fingerprint, 'hex') : this.node.fingerprint;
+    this.derivationPath = settings.fingerprint ? (settings.derivationPath || 'm').replace(/\/$/, '') : 'm';
+    
+    this.cache = new Map();
+  }
+  
+  /**
+   * Derive an address of the wallet
+   * @param {number} chain The chain: 0 for receive addresses, 1 for change addresses
+   * @param {number} index The index of the address on the chain
+   * @returns {Object} The address, its path below the account key, its full path and its public key
+   */
+  deriveAddress(chain, index) {
+    const path = `${chain}/${index}`;
+    
+    if (!this.cache.has(path)) {
+      const publicKey = this.node.derivePath(path).publicKey;
+      
+      this.cache.set(path, {
+        address: this._getPayment(publicKey).address,
+        chain,
+        index,
+        path,
+        fullPath: `${this.derivationPath}/${path}`,
+        publicKey
+      });
+    }
+    
+    return this.cache.get(path);
+  }
+  
+  /**
+   * Derive the first addresses of a chain
+   * @param {number} chain The chain: 0 for receive addresses, 1 for change addresses
+   * @param {number} count The number of addresses
+   * @returns {Array<Object>} The addresses, as returned by deriveAddress
+   */
+  deriveAddresses(chain, count) {
+    return Array.from({ length: count }, (_, index) => this.deriveAddress(chain, index));
+  }
+  
+  /**
+   * Derive the public key of an address of the wallet
+   * @param {string} path The path of the address below the account key, such as 0/5
+   * @returns {Buffer} The compressed public key
+   */
+  derivePublicKey(path) {
+    return this.node.derivePath(path).publicKey;
+  }
+  
+  /**
+   * Check whether an extended private key is the private key of the wallet's account
+   * @param {string} xprv The extended private key
+   * @returns {boolean} True if the xpub of the key is the wallet's xpub
+   */
+  matchesPrivateKey(xprv) {
+    try {
+      return bip32.fromBase58(xprv, this.network).neutered().toBase58() === this.xpub;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  /**
+   * Get the payment of a public key for the wallet's address type
+   * @param {Buffer} publicKey The compressed public key
+   * @returns {Object} The payment, with its address and output script
+   * @private
+   */
+  _getPayment(publicKey) {
+    const network = this.network;
+    
+    switch (this.type) {
+      case 'p2pkh':
+        return bitcoin.payments.p2pkh({ pubkey: publicKey, network });
+      case 'p2sh-p2wpkh':
+        return bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey: publicKey, network }), network });
+      case 'p2tr':
+        return bitcoin.payments.p2tr({ internalPubkey: publicKey.slice(1, 33), network });
+      default:
+        return bitcoin.payments.p2wpkh({ pubkey: publicKey, network });
+    }
+  }
+}
+
+/**
+ * Check whether a key is an extended private key
+ * @param {string} key The key
+ * @returns {boolean} True if the key is an extended private key rather than a WIF private key
+ */
+function isExtendedPrivateKey(key) {
+  return typeof key === 'string' && /^[a-z]prv[1-9A-HJ-NP-Za-km-z]{100,}$/.test(key);
+}
+
+/**
+ * Derive the private key of an address from an extended private key
+ * @param {string} xprv The extended private key of the account
+ * @param {string} path The path of the address below the account key, such as 0/5
+ * @param {Object} network The network parameters
+ * @returns {Buffer} The private key
+ */
+function derivePrivateKey(xprv, path, network) {
+  return bip32.fromBase58(xprv, network).derivePath(path).privateKey;
+}
+
+module.exports = {
+  HDWallet,
+  HD_ADDRESS_TYPES,
+  DEFAULT_GAP_LIMIT,
+  RECEIVE_CHAIN,
+  CHANGE_CHAIN,
+  parseDescriptor,
+  isExtendedPrivateKey,
+  derivePrivateKey
+};
@@ -7,6 +7,11 @@
  * - TransceiverManager: For managing transaction broadcasting and wallet monitoring
  * - UTXOTransceiver: Interface for UTXO-based blockchain transceivers
  * - Connector management functions: For initializing and managing blockchain connectors
+ * - Amount functions: For converting between whole coins and integer base units
+ * - Coin selection: For selecting and locking the UTXOs that fund a transaction
+ * - Dust policy: For the smallest outputs and withdrawals of each blockchain
+ * - Pending transaction stores: For persisting pending transactions and their states
+ * - Broadcast queue: For retrying failed broadcasts with backoff
  */
 
 const { BlockchainConnector } = require('./blockchainConnector');
@@ -14,6 +19,16 @@ const { TransactionBuilder, getNetworkParams } = require('./transactionBuilder')
 const { TransceiverManager } = require('./transceiverManager');
 const { UTXOTransceiver } = require('./utxoTransceiver');
 const connectorManager = require('./connectorManager');
+const amounts = require('./amounts');
+const { selectCoins, getCoinSelectionStrategy } = require('./coinSelection');
+const { UtxoLockManager } = require('./utxoLockManager');
+const { createDustPolicy, DEFAULT_DUST_THRESHOLDS } = require('./dustPolicy');
+const {
+  PendingTransactionStatus,
+  PendingTransactionStore,
+  createPendingTransactionStore
+} = require('./pendingTransactionStore');
+const { BroadcastQueue } = require('./broadcastQueue');
 
 module.exports = {
   BlockchainConnector,
@@ -21,5 +36,15 @@ module.exports = {
   TransceiverManager,
   UTXOTransceiver,
   getNetworkParams,
-  ...connectorManager
+  selectCoins,
+  getCoinSelectionStrategy,
+  UtxoLockManager,
+  createDustPolicy,
+  DEFAULT_DUST_THRESHOLDS,
+  PendingTransactionStatus,
+  PendingTransactionStore,
+  createPendingTransactionStore,
+  BroadcastQueue,
+  ...connectorManager,
+  ...amounts
 };
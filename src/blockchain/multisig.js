@@ -0,0 +1,153 @@
+/**
+ * Multisig Wallets
+ *
+ * This module describes primary wallets that are backed by an m-of-n multisig script instead of
+ * a single key. The script is paid to as P2WSH, or as P2SH-P2WSH for senders that cannot pay to
+ * native segwit addresses. Each cosigner is given as an extended public key (xpub) and the path
+ * of the wallet key below it, or as a plain public key.
+ *
+ * Public keys are sorted as in BIP-67 (`sortedmulti` in output descriptors) unless `sorted` is
+ * false, so that every cosigner derives the same address regardless of the order in which the
+ * cosigners are configured.
+ */
+
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { BIP32Factory } = require('bip32');
+
+const bip32 = BIP32Factory(ecc);
+
+const MULTISIG_TYPES = ['p2wsh', 'p2sh-p2wsh'];
+
+// OP_CHECKMULTISIG accepts at most 20 public keys
+const MAX_COSIGNERS = 20;
+
+/**
+ * Derive the public key of a cosigner
+ * @param {Object} cosigner The cosigner configuration
+ * @param {string} cosigner.name The name of the cosigner
+ * @param {string} cosigner.xpub The extended public key of the cosigner
+ * @param {string} cosigner.path The path of the wallet key below the extended public key (default: 0/0)
+ * @param {string} cosigner.fingerprint The fingerprint of the cosigner's master key, in hexadecimal format
+ * @param {string} cosigner.derivationPath The path of the extended public key below the master key (default: m)
+ * @param {string} cosigner.publicKey A compressed public key in hexadecimal format, instead of an extended public key
+ * @param {Object} network The network parameters
+ * @returns {Object} The cosigner, with its public key and the BIP-32 derivation of the key
+ */
+function deriveCosigner(cosigner, network) {
+  const name = cosigner.name;
+  
+  if (cosigner.publicKey) {
+    const publicKey = Buffer.from(cosigner.publicKey, 'hex');
+    
+    if (publicKey.length !== 33 || !ecc.isPoint(publicKey)) {
+      throw new Error(`The public key of cosigner ${name} must be a compressed public key`);
+    }
+    
+    return { name, publicKey };
+  }
+  
+  if (!cosigner.xpub) {
+    throw new Error(`Cosigner ${name} requires an xpub or a publicKey`);
+  }
+  
+  let node;
+  try {
+    node = bip32.fromBase58(cosigner.xpub, network);
+  } catch (error) {
+    throw new Error(`Invalid xpub of cosigner ${name}: ${error.message}`);
+  }
+  
+  const path = cosigner.path || '0/0';
+  if (!/^\d+(\/\d+)*$/.test(path)) {
+    throw new Error(`Invalid path of cosigner ${name}: ${path} (only unhardened steps such as 0/0 can be derived from an xpub)`);
+  }
+  
+  const key = node.derivePath(path);
+  const derivationPath = (cosigner.derivationPath || 'm').replace(/\/$/, '');
+  
+  return {
+    name,
+    publicKey: key.publicKey,
+    xpub: cosigner.xpub,
+    // Signers find their key in a PSBT by the fingerprint of their master key and the full path
+    fingerprint: cosigner.fingerprint ? Buffer.from(cosigner.fingerprint, 'hex') : node.fingerprint,
+    path: `${cosigner.fingerprint ? derivationPath : 'm'}/${path}`
+  };
+}
+
+/**
+ * Create a multisig wallet from its configuration
+ * @param {Object} config The multisig configuration
+ * @param {string} config.type The script type: p2wsh (default) or p2sh-p2wsh
+ * @param {number} config.threshold The number of signatures required to spend (m)
+ * @param {Array<Object>} config.cosigners The cosigners (n), see deriveCosigner
+ * @param {boolean} config.sorted Whether the public keys are sorted as in BIP-67 (default: true)
+ * @param {Object} network The network parameters
+ * @returns {Object} The multisig wallet, with its scripts, address and cosigners
+ */
+function createMultisigWallet(config, network) {
+  const type = config.type || 'p2wsh';
+  const cosignerConfigs = config.cosigners || [];
+  const threshold = config.threshold;
+  
+  if (!MULTISIG_TYPES.includes(type)) {
+    throw new Error(`Unsupported multisig type: ${type}`);
+  }
+  
+  if (cosignerConfigs.length === 0 || cosignerConfigs.length > MAX_COSIGNERS) {
+    throw new Error(`A multisig wallet requires between 1 and ${MAX_COSIGNERS} cosigners`);
+  }
+  
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > cosignerConfigs.length) {
+    throw new Error(`The multisig threshold must be between 1 and the number of cosigners (${cosignerConfigs.length})`);
+  }
+  
+  const cosigners = cosignerConfigs.map((cosigner, index) => deriveCosigner({ name: `cosigner_${index + 1}`, ...cosigner }, network));
+  
+  const keys = new Set(cosigners.map(cosigner => cosigner.publicKey.toString('hex')));
+  if (keys.size !== cosigners.length) {
+    throw new Error('The cosigners of a multisig wallet must have different public keys');
+  }
+  
+  const pubkeys = cosigners.map(cosigner => cosigner.publicKey);
+  if (config.sorted !== false) {
+    pubkeys.sort(Buffer.compare);
+  }
+  
+  const multisig = bitcoin.payments.p2ms({ m: threshold, pubkeys, network });
+  const witness = bitcoin.payments.p2wsh({ redeem: multisig, network });
+  const payment = type === 'p2sh-p2wsh' ? bitcoin.payments.p2sh({ redeem: witness, network }) : witness;
+  
+  return {
+    type,
+    threshold,
+    cosigners,
+    pubkeys,
+    witnessScript: multisig.output,
+    redeemScript: type === 'p2sh-p2wsh' ? witness.output : undefined,
+    output: payment.output,
+    address: payment.address
+  };
+}
+
+/**
+ * Describe the cosigners of a multisig wallet, without their key derivation details
+ * @param {Object} multisigWallet The multisig wallet
+ * @returns {Array<Object>} The names, public keys and fingerprints of the cosigners
+ */
+function describeCosigners(multisigWallet) {
+  return multisigWallet.cosigners.map(cosigner => ({
+    name: cosigner.name,
+    publicKey: cosigner.publicKey.toString('hex'),
+    xpub: cosigner.xpub,
+    fingerprint: cosigner.fingerprint ? cosigner.fingerprint.toString('hex') : undefined,
+    path: cosigner.path
+  }));
+}
+
+module.exports = {
+  MULTISIG_TYPES,
+  createMultisigWallet,
+  describeCosigners
+};
@@ -0,0 +1,512 @@
+/**
+ * Pending Transaction Store
+ *
+ * This module keeps the transactions that a transceiver manager has created until they are
+ * confirmed, fail or are replaced, so that a restart does not lose the transactions that are
+ * waiting to be broadcast or to confirm. Each pending transaction moves through the states:
+ *
+ *   created → ready → broadcasted → seen-in-mempool → confirmed, failed or replaced
+ *
+ * - `created`: the transaction is signed and recorded, and is being handed to the transceiver, or waits
+ *   for its next attempt after the transceiver failed to broadcast it (see broadcastQueue.js)
+ * - `ready`: the transaction waits to be broadcast outside of FractaLedger (`return` and `api` methods)
+ * - `broadcasted`: the transaction was handed to the network
+ * - `seen-in-mempool`: the network reports the transaction as unconfirmed
+ * - `confirmed`, `failed`, `replaced`: the transaction is settled, and its state no longer changes,
+ *   except that a reorg can move a `confirmed` transaction back (see confirmationTracker.js)
+ *
+ * A transaction that could not be broadcast in its last attempt is moved from `created` to
+ * `dead-letter`, where it waits for an operator to queue it again (back to `created`) or to
+ * give it up (`failed`).
+ *
+ * A transaction can skip states forward, for example from `broadcasted` to `confirmed`, and can
+ * fail or be replaced from any state that is not settled. Other transitions are rejected. Each
+ * record keeps the `history` of its states.
+ *
+ * Available store types:
+ * - file: Pending transactions are persisted to a JSON file per wallet (the default for configured wallets)
+ * - sqlite: Pending transactions are persisted to a SQLite database shared by all wallets (requires the better-sqlite3 package)
+ * - memory: Pending transactions are kept in memory (the default for connectors created directly, and for testing)
+ * - custom: Pending transactions are stored by a user-provided module extending the PendingTransactionStore class
+ *
+ * The store methods are synchronous, so that connectors can read pending transactions while
+ * they build transactions. Stores read all records when they are initialized, keep them in
+ * memory, and write every change through to their storage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE_STORE_PATH = './data/pending-transactions';
+const DEFAULT_SQLITE_STORE_PATH = './data/pending-transactions.db';
+
+// Settled transactions are kept for a week by default
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Pending transaction states
+ */
+const PendingTransactionStatus = {
+  CREATED: 'created',
+  READY: 'ready',
+  BROADCASTED: 'broadcasted',
+  SEEN_IN_MEMPOOL: 'seen-in-mempool',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REPLACED: 'replaced',
+  DEAD_LETTER: 'dead-letter'
+};
+
+// The states that each state can move to
+const STATUS_TRANSITIONS = {
+  created: ['ready', 'broadcasted', 'failed', 'dead-letter'],
+  ready: ['broadcasted', 'failed', 'replaced'],
+  broadcasted: ['seen-in-mempool', 'confirmed', 'failed', 'replaced'],
+  'seen-in-mempool': ['confirmed', 'failed', 'replaced'],
+  // A reorg takes confirmed transactions back to the mempool, or out of the chain altogether
+  confirmed: ['seen-in-mempool', 'broadcasted'],
+  failed: [],
+  replaced: [],
+  'dead-letter': ['created', 'failed']
+};
+
+// The states in which transactions are settled, and are no longer recovered after a restart
+const SETTLED_STATUSES = ['confirmed', 'failed', 'replaced'];
+
+/**
+ * Check whether a pending transaction can move from one state to another
+ * @param {string} from The current state
+ * @param {string} to The new state
+ * @returns {boolean} True if the transition is valid
+ */
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether a pending transaction is settled
+ * @param {string} status The state
+ * @returns {boolean} True if the transaction is confirmed, failed or replaced
+ */
+function isSettled(status) {
+  return SETTLED_STATUSES.includes(status);
+}
+
+/**
+ * Pending Transaction Store Interface
+ *
+ * The state machine is implemented here. Custom stores should extend this class and implement
+ * the storage methods `load`, `save` and `remove`.
+ */
+class PendingTransactionStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   * @param {number} config.retentionMs The time in milliseconds that settled transactions are kept (default: 7 days)
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.retentionMs = config.retentionMs !== undefined ? config.retentionMs : DEFAULT_RETENTION_MS;
+    this.records = new Map();
+  }
+  
+  /**
+   * Read the stored pending transactions
+   * @returns {Array<Object>} The pending transactions, each with its `txid`
+   */
+  load() {
+    throw new Error('Method not implemented: load');
+  }
+  
+  /**
+   * Write a pending transaction to the storage
+   * @param {string} txid The transaction ID
+   * @param {Object} record The pending transaction
+   */
+  save(txid, record) {
+    throw new Error('Method not implemented: save');
+  }
+  
+  /**
+   * Remove a pending transaction from the storage
+   * @param {string} txid The transaction ID
+   */
+  remove(txid) {
+    throw new Error('Method not implemented: remove');
+  }
+  
+  /**
+   * Close the storage
+   */
+  close() {
+    // Default implementation does nothing
+  }
+  
+  /**
+   * Load the stored pending transactions, and remove the settled ones past their retention
+   */
+  initialize() {
+    this.records.clear();
+    
+    for (const { txid, ...record } of this.load()) {
+      this.records.set(txid, record);
+    }
+    
+    this.prune();
+  }
+  
+  /**
+   * Get a pending transaction
+   * @param {string} txid The transaction ID
+   * @returns {Object|undefined} The pending transaction
+   */
+  get(txid) {
+    const record = this.records.get(txid);
+    return record && { ...record };
+  }
+  
+  /**
+   * Check whether a pending transaction exists
+   * @param {string} txid The transaction ID
+   * @returns {boolean} True if the transaction exists
+   */
+  has(txid) {
+    return this.records.has(txid);
+  }
+  
+  /**
+   * Get all pending transactions, in the order they were created
+   * @returns {Array<Object>} The pending transactions, each with its `txid`
+   */
+  list() {
+    return Array.from(this.records.entries()).map(([txid, record]) => ({ txid, ...record }));
+  }
+  
+  /**
+   * Record a new pending transaction in the `created` state
+   * @param {string} txid The transaction ID
+   * @param {Object} record The pending transaction, with its `txHex` and `metadata`
+   * @returns {Object} The stored pending transaction
+   */
+  create(txid, record) {
+    const existing = this.records.get(txid);
+    
+    // A transaction that failed to broadcast can be handed to the transceiver again
+    if (existing && existing.status !== PendingTransactionStatus.FAILED) {
+      throw new Error(`Pending transaction already exists: ${txid}`);
+    }
+    
+    const now = Date.now();
+    const stored = {
+      timestamp: now,
+      ...record,
+      status: PendingTransactionStatus.CREATED,
+      updatedAt: now,
+      history: [{ status: PendingTransactionStatus.CREATED, timestamp: now }]
+    };
+    
+    this.records.delete(txid);
+    this.records.set(txid, stored);
+    this.save(txid, stored);
+    this.prune();
+    
+    return { ...stored };
+  }
+  
+  /**
+   * Update a pending transaction
+   *
+   * If the updates change the `status`, the transition is validated and added to the history.
+   *
+   * @param {string} txid The transaction ID
+   * @param {Object} updates The fields to update
+   * @returns {Object} The updated pending transaction
+   * @throws {Error} If the transaction does not exist, or the transition is invalid
+   */
+  update(txid, updates) {
+    const record = this.records.get(txid);
+    
+    if (!record) {
+      throw new Error(`Pending transaction not found: ${txid}`);
+    }
+    
+    const now = Date.now();
+    const updated = { ...record, ...updates, updatedAt: now };
+    
+    if (updates.status !== undefined && updates.status !== record.status) {
+      if (!canTransition(record.status, updates.status)) {
+        throw new Error(`Invalid transition of pending transaction ${txid} from ${record.status} to ${updates.status}`);
+      }
+      
+      updated.history = [...(record.history || []), { status: updates.status, timestamp: now }];
+    }
+    
+    this.records.set(txid, updated);
+    this.save(txid, updated);
+    
+    return { ...updated };
+  }
+  
+  /**
+   * Move a pending transaction to a new state
+   * @param {string} txid The transaction ID
+   * @param {string} status The new state
+   * @param {Object} updates Other fields to update, such as the error of a failed transaction
+   * @returns {Object} The updated pending transaction
+   * @throws {Error} If the transaction does not exist, or the transition is invalid
+   */
+  transition(txid, status, updates = {}) {
+    if (!STATUS_TRANSITIONS[status]) {
+      throw new Error(`Unknown pending transaction status: ${status}`);
+    }
+    
+    return this.update(txid, { ...updates, status });
+  }
+  
+  /**
+   * Delete a pending transaction
+   * @param {string} txid The transaction ID
+   * @returns {boolean} True if the transaction was deleted
+   */
+  delete(txid) {
+    if (!this.records.delete(txid)) {
+      return false;
+    }
+    
+    this.remove(txid);
+    return true;
+  }
+  
+  /**
+   * Remove the settled transactions that were last updated before the retention period
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    
+    for (const [txid, record] of this.records.entries()) {
+      if (isSettled(record.status) && (record.updatedAt || record.timestamp) < cutoff) {
+        this.delete(txid);
+      }
+    }
+  }
+}
+
+/**
+ * In-memory pending transaction store
+ */
+class MemoryPendingTransactionStore extends PendingTransactionStore {
+  /**
+   * Read the stored pending transactions
+   * @returns {Array<Object>} No pending transactions, since nothing outlives the process
+   */
+  load() {
+    return [];
+  }
+  
+  /**
+   * Write a pending transaction to the storage
+   */
+  save() {
+    // Nothing to persist for the in-memory store
+  }
+  
+  /**
+   * Remove a pending transaction from the storage
+   */
+  remove() {
+    // Nothing to persist for the in-memory store
+  }
+}
+
+/**
+ * File-backed pending transaction store
+ */
+class FilePendingTransactionStore extends MemoryPendingTransactionStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   * @param {string} config.path The directory of the pending transaction files
+   * @param {string} config.scope The wallet whose transactions are stored, which names the file
+   */
+  constructor(config = {}) {
+    super(config);
+    this.filePath = path.resolve(process.cwd(), config.path || DEFAULT_FILE_STORE_PATH, `${config.scope || 'default'}.json`);
+  }
+  
+  /**
+   * Read the pending transactions from the file
+   * @returns {Array<Object>} The pending transactions, each with its `txid`
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+    
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+  
+  /**
+   * Write the pending transactions to the file
+   */
+  save() {
+    this._persist();
+  }
+  
+  /**
+   * Write the pending transactions to the file
+   */
+  remove() {
+    this._persist();
+  }
+  
+  /**
+   * Write the pending transactions to a temporary file, and move it over the file
+   *
+   * The file is replaced in one step, so that a crash while writing never leaves it truncated.
+   *
+   * @private
+   */
+  _persist() {
+    const temporaryPath = `${this.filePath}.tmp`;
+    
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(temporaryPath, JSON.stringify(this.list(), null, 2), { mode: 0o600 });
+    fs.renameSync(temporaryPath, this.filePath);
+  }
+}
+
+/**
+ * SQLite pending transaction store
+ *
+ * The transactions of all wallets are kept in the `pending_transactions` table of one database,
+ * with the wallet in the `scope` column.
+ */
+class SqlitePendingTransactionStore extends PendingTransactionStore {
+  /**
+   * Constructor
+   * @param {Object} config The store configuration
+   * @param {string} config.path The path to the database file
+   * @param {string} config.scope The wallet whose transactions are stored
+   */
+  constructor(config = {}) {
+    super(config);
+    this.filePath = path.resolve(process.cwd(), config.path || DEFAULT_SQLITE_STORE_PATH);
+    this.scope = config.scope || 'default';
+    
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The sqlite pending transaction store requires the better-sqlite3 package');
+    }
+    
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS pending_transactions (
+        scope TEXT NOT NULL,
+        txid TEXT NOT NULL,
+        status TEXT NOT NULL,
+        record TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (scope, txid)
+      )
+    `);
+    
+    this.statements = {
+      load: this.db.prepare('SELECT txid, record FROM pending_transactions WHERE scope = ? ORDER BY rowid'),
+      save: this.db.prepare(`
+        INSERT INTO pending_transactions (scope, txid, status, record, updated_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (scope, txid) DO UPDATE SET status = excluded.status, record = excluded.record, updated_at = excluded.updated_at
+      `),
+      remove: this.db.prepare('DELETE FROM pending_transactions WHERE scope = ? AND txid = ?')
+    };
+  }
+  
+  /**
+   * Read the pending transactions of the wallet from the database
+   * @returns {Array<Object>} The pending transactions, each with its `txid`
+   */
+  load() {
+    return this.statements.load.all(this.scope).map(row => ({ txid: row.txid, ...JSON.parse(row.record) }));
+  }
+  
+  /**
+   * Write a pending transaction to the database
+   * @param {string} txid The transaction ID
+   * @param {Object} record The pending transaction
+   */
+  save(txid, record) {
+    this.statements.save.run(this.scope, txid, record.status, JSON.stringify(record), record.updatedAt);
+  }
+  
+  /**
+   * Remove a pending transaction from the database
+   * @param {string} txid The transaction ID
+   */
+  remove(txid) {
+    this.statements.remove.run(this.scope, txid);
+  }
+  
+  /**
+   * Close the database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Create and initialize the pending transaction store described by the configuration
+ * @param {Object} storeConfig The store configuration, with its `type` (default: memory)
+ * @param {string} scope The wallet whose transactions are stored, such as `bitcoin-btc_wallet_1`
+ * @returns {PendingTransactionStore} The initialized store
+ */
+function createPendingTransactionStore(storeConfig = {}, scope = 'default') {
+  const config = { ...storeConfig, scope };
+  let store;
+  
+  switch (storeConfig.type) {
+    case 'file':
+      store = new FilePendingTransactionStore(config);
+      break;
+    
+    case 'sqlite':
+      store = new SqlitePendingTransactionStore(config);
+      break;
+    
+    case 'custom': {
+      if (!storeConfig.module) {
+        throw new Error('Custom pending transaction store requires a module path');
+      }
+      
+      const StoreClass = require(path.resolve(process.cwd(), storeConfig.module));
+      store = typeof StoreClass === 'function' ? new StoreClass(config) : StoreClass;
+      break;
+    }
+    
+    case 'memory':
+    case undefined:
+      store = new MemoryPendingTransactionStore(config);
+      break;
+    
+    default:
+      throw new Error(`Unsupported pending transaction store type: ${storeConfig.type}`);
+  }
+  
+  store.initialize();
+  return store;
+}
+
+module.exports = {
+  PendingTransactionStatus,
+  STATUS_TRANSITIONS,
+  canTransition,
+  isSettled,
+  PendingTransactionStore,
+  MemoryPendingTransactionStore,
+  FilePendingTransactionStore,
+  SqlitePendingTransactionStore,
+  createPendingTransactionStore
+};
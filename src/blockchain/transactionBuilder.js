@@ -4,10 +4,60 @@
  * This module provides functionality for creating and signing UTXO-based transactions
  * without any direct blockchain interaction. It focuses solely on transaction creation
  * and signing, delegating the broadcasting responsibility to the user's environment.
+ *
+ * Inputs can spend P2PKH, P2SH-P2WPKH, P2WPKH and P2TR (key path) outputs of the signing key.
+ * The type of each input is derived from the script of the output it spends.
+ *
+ * A builder for a multisig wallet (see multisig.js) also spends the P2WSH or P2SH-P2WSH outputs
+ * of the wallet's m-of-n script. Those inputs are signed by one cosigner at a time, and the
+ * transaction is finalized once the PSBTs of the cosigners carry enough signatures.
+ *
+ * A builder for an HD wallet (see hdWallet.js) spends outputs of many addresses. Each input then
+ * carries the path of its address below the wallet's account key, and is signed with the key
+ * derived from an extended private key.
  */
 
 const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { ECPairFactory } = require('ecpair');
 const winston = require('winston');
+const { isExtendedPrivateKey, derivePrivateKey } = require('./hdWallet');
+const { createDustPolicy } = require('./dustPolicy');
+
+bitcoin.initEccLib(ecc);
+const ECPair = ECPairFactory(ecc);
+
+// Virtual sizes in vbytes of an input spending each type of output, with a 72-byte signature
+const INPUT_VSIZES = {
+  p2pkh: 148,
+  p2sh: 91, // P2SH-P2WPKH
+  p2wpkh: 68,
+  p2tr: 57.5
+};
+
+// Sizes in bytes of an output of each type
+const OUTPUT_SIZES = {
+  p2pkh: 34,
+  p2sh: 32,
+  p2wpkh: 31,
+  p2wsh: 43,
+  p2tr: 43
+};
+
+// Outpoint, sequence and the length of the script signature of an input
+const INPUT_BASE_SIZE = 41;
+
+// Version, locktime and the input and output counts
+const TRANSACTION_OVERHEAD = 10;
+
+// The segwit marker and flag count as a quarter of their 2 bytes
+const SEGWIT_OVERHEAD = 0.5;
+
+// The sequence of inputs that signal that their transaction can be replaced by fee (BIP-125)
+const RBF_SEQUENCE = 0xfffffffd;
+
+// The sequence of inputs that do not signal replaceability
+const FINAL_SEQUENCE = 0xffffffff;
 
 // Configure logger
 const logger = winston.createLogger({
@@ -38,6 +88,9 @@ const logger = winston.createLogger({
 function getNetworkParams(blockchain, network) {
   switch (blockchain) {
     case 'bitcoin':
+      if (network === 'regtest') {
+        return bitcoin.networks.regtest;
+      }
       return network === 'testnet' ? bitcoin.networks.testnet : bitcoin.networks.bitcoin;
     case 'litecoin':
       // Litecoin network parameters
@@ -70,6 +123,77 @@ function getNetworkParams(blockchain, network) {
   }
 }
 
+/**
+ * Get the type of an output script
+ * @param {Buffer} script The output script
+ * @returns {string|null} The type (p2pkh, p2sh, p2wpkh, p2wsh or p2tr), or null if it is not a standard type
+ */
+function getScriptType(script) {
+  if (script.length === 25 && script[0] === 0x76 && script[1] === 0xa9 && script[2] === 0x14 && script[23] === 0x88 && script[24] === 0xac) {
+    return 'p2pkh';
+  }
+  
+  if (script.length === 23 && script[0] === 0xa9 && script[1] === 0x14 && script[22] === 0x87) {
+    return 'p2sh';
+  }
+  
+  if (script.length === 22 && script[0] === 0x00 && script[1] === 0x14) {
+    return 'p2wpkh';
+  }
+  
+  if (script.length === 34 && script[0] === 0x00 && script[1] === 0x20) {
+    return 'p2wsh';
+  }
+  
+  if (script.length === 34 && script[0] === 0x51 && script[1] === 0x20) {
+    return 'p2tr';
+  }
+  
+  return null;
+}
+
+/**
+ * Decode the data of an OP_RETURN output, such as the memo of a deposit
+ * @param {Buffer|string} script The output script, as a buffer or in hexadecimal format
+ * @returns {string|null} The data as UTF-8 text, or null if the script is not an OP_RETURN script with data
+ */
+function decodeOpReturn(script) {
+  const buffer = Buffer.isBuffer(script) ? script : Buffer.from(script || '', 'hex');
+  if (buffer.length === 0 || buffer[0] !== bitcoin.opcodes.OP_RETURN) {
+    return null;
+  }
+  
+  try {
+    const data = bitcoin.script.decompile(buffer).slice(1).filter(chunk => Buffer.isBuffer(chunk));
+    return data.length > 0 ? Buffer.concat(data).toString('utf8') : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify a signature of a PSBT input
+ * @param {Buffer} pubkey The public key (32 bytes for Schnorr signatures)
+ * @param {Buffer} msghash The signed hash
+ * @param {Buffer} signature The signature
+ * @returns {boolean} True if the signature is valid
+ */
+function validateSignature(pubkey, msghash, signature) {
+  return pubkey.length === 32
+    ? ecc.verifySchnorr(msghash, pubkey, signature)
+    : ecc.verify(msghash, pubkey, signature);
+}
+
+/**
+ * Get the sequence of the inputs of a transaction
+ * @param {Object} options The transaction options
+ * @param {boolean} options.rbf Whether the transaction signals that it can be replaced by fee (default: true)
+ * @returns {number} The sequence
+ */
+function getSequence(options = {}) {
+  return options.rbf === false ? FINAL_SEQUENCE : RBF_SEQUENCE;
+}
+
 /**
  * Transaction Builder class
  */
@@ -77,46 +201,248 @@ class TransactionBuilder {
   /**
    * Constructor
    * @param {string} blockchain The blockchain type (bitcoin, litecoin, dogecoin)
-   * @param {string} network The network type (mainnet, testnet)
+   * @param {string} network The network type (mainnet, testnet, regtest)
+   * @param {Object} options Additional options
+   * @param {string} options.walletAddress The wallet address, which determines the type of inputs and change outputs in size estimates
+   * @param {string} options.addressType The address type to use in size estimates instead (default: p2pkh)
+   * @param {Object} options.multisig The multisig wallet whose outputs the builder spends, as created by createMultisigWallet
+   * @param {HDWallet} options.hdWallet The HD wallet whose addresses the builder spends from
+   * @param {Object} options.dustPolicy The dust policy that outputs must satisfy, as created by createDustPolicy (default: the blockchain's default policy)
    */
-  constructor(blockchain, network = 'mainnet') {
+  constructor(blockchain, network = 'mainnet', options = {}) {
     this.blockchain = blockchain;
     this.network = network;
     this.networkParams = getNetworkParams(blockchain, network);
+    this.multisig = options.multisig || null;
+    this.hdWallet = options.hdWallet || null;
+    this.dustPolicy = options.dustPolicy || createDustPolicy(blockchain);
+    this.addressType = options.addressType
+      || (options.walletAddress && this.getAddressType(options.walletAddress))
+      || (this.multisig && getScriptType(this.multisig.output))
+      || 'p2pkh';
   }
   
-/**
- * Create and sign a transaction
- * @param {string} privateKey The private key in WIF format
- * @param {Array} inputs The transaction inputs (UTXOs)
- * @param {Array} outputs The transaction outputs
- * @param {Object} options Additional options
- * @param {string} options.opReturn Optional OP_RETURN data to include in the transaction (max 80 bytes)
- * @returns {Object} The transaction details including txid and hex
- */
-createAndSignTransaction(privateKey, inputs, outputs, options = {}) {
-  try {
-    logger.debug(`Creating transaction with ${inputs.length} inputs and ${outputs.length} outputs`);
-    
-    // In bitcoinjs-lib v6, TransactionBuilder is deprecated
-    // We need to use the new Transaction class directly
-    const psbt = new bitcoin.Psbt({ network: this.networkParams });
-    
-    // Add inputs
-    inputs.forEach(input => {
-      psbt.addInput({
-        hash: input.txid,
-        index: input.vout,
-        // Add any other required fields for the input
-        witnessUtxo: {
-          script: Buffer.from('', 'hex'), // This is a placeholder, real implementation would need the actual script
-          value: input.value,
-        },
-      });
+  /**
+   * Get the type of an address
+   * @param {string} address The address
+   * @returns {string|null} The type (p2pkh, p2sh, p2wpkh, p2wsh or p2tr), or null if the address is invalid
+   */
+  getAddressType(address) {
+    try {
+      return getScriptType(bitcoin.address.toOutputScript(address, this.networkParams));
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Get the type of the output that an input spends
+   * @param {Object} input The transaction input (UTXO), with its `scriptPubKey` or `address` if it is not of the builder's address type
+   * @returns {string|null} The type (p2pkh, p2sh, p2wpkh, p2wsh, p2tr or multisig)
+   */
+  getInputType(input) {
+    if (!input.scriptPubKey && !input.address) {
+      return this.multisig ? 'multisig' : this.addressType;
+    }
+    
+    return getScriptType(this._getPrevoutScript(input));
+  }
+  
+  /**
+   * Get the dust threshold of the outputs to an address
+   * @param {string} address The address (default: an address of the builder's address type)
+   * @returns {bigint} The threshold in base units
+   */
+  getDustThreshold(address) {
+    return this.dustPolicy.getThreshold(address ? this.getAddressType(address) : this.addressType);
+  }
+  
+  /**
+   * Get the script of the output that an input spends
+   *
+   * The script is taken from the input's `scriptPubKey` or `address`. If it has neither, the
+   * output is assumed to pay the multisig wallet, or the wallet key with the builder's address type.
+   *
+   * @param {Object} input The transaction input (UTXO)
+   * @param {Buffer} publicKey The compressed public key of the wallet
+   * @returns {Buffer} The output script
+   * @private
+   */
+  _getPrevoutScript(input, publicKey) {
+    if (input.scriptPubKey) {
+      return Buffer.isBuffer(input.scriptPubKey) ? input.scriptPubKey : Buffer.from(input.scriptPubKey, 'hex');
+    }
+    
+    if (input.address) {
+      return bitcoin.address.toOutputScript(input.address, this.networkParams);
+    }
+    
+    if (this.multisig) {
+      return this.multisig.output;
+    }
+    
+    const network = this.networkParams;
+    
+    switch (this.addressType) {
+      case 'p2sh':
+        return bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey: publicKey, network }), network }).output;
+      case 'p2wpkh':
+        return bitcoin.payments.p2wpkh({ pubkey: publicKey, network }).output;
+      case 'p2tr':
+        return bitcoin.payments.p2tr({ internalPubkey: publicKey.slice(1, 33), network }).output;
+      default:
+        return bitcoin.payments.p2pkh({ pubkey: publicKey, network }).output;
+    }
+  }
+  
+  /**
+   * Describe a PSBT input for a UTXO of the wallet key or of the multisig wallet
+   * @param {Object} input The transaction input (UTXO)
+   * @param {Buffer} publicKey The compressed public key of the wallet, if it has a single key
+   * @returns {Object} The PSBT input data, and the type of the output it spends
+   * @private
+   */
+  _prepareInput(input, publicKey) {
+    const network = this.networkParams;
+    const outpoint = `${input.txid}:${input.vout}`;
+    const script = this._getPrevoutScript(input, publicKey);
+    const type = getScriptType(script);
+    const data = { hash: input.txid, index: input.vout };
+    let expected;
+    
+    if (this.multisig && this.multisig.output.equals(script)) {
+      data.witnessUtxo = { script, value: input.value };
+      data.witnessScript = this.multisig.witnessScript;
+      
+      if (this.multisig.redeemScript) {
+        data.redeemScript = this.multisig.redeemScript;
+      }
+      
+      // Lets hardware wallets and other signers find the key of each cosigner
+      const derivations = this.multisig.cosigners
+        .filter(cosigner => cosigner.fingerprint)
+        .map(cosigner => ({ masterFingerprint: cosigner.fingerprint, path: cosigner.path, pubkey: cosigner.publicKey }));
+      
+      if (derivations.length > 0) {
+        data.bip32Derivation = derivations;
+      }
+      
+      return { data, type: 'multisig' };
+    }
+    
+    if (!publicKey) {
+      throw new Error(`Input ${outpoint} is not spendable by the multisig wallet`);
+    }
+    
+    // Lets hardware wallets find the key of an HD wallet address
+    if (this.hdWallet && input.path) {
+      const derivation = {
+        masterFingerprint: this.hdWallet.fingerprint,
+        path: `${this.hdWallet.derivationPath}/${input.path}`
+      };
+      
+      if (type === 'p2tr') {
+        data.tapBip32Derivation = [{ ...derivation, pubkey: publicKey.slice(1, 33), leafHashes: [] }];
+      } else {
+        data.bip32Derivation = [{ ...derivation, pubkey: publicKey }];
+      }
+    }
+    
+    switch (type) {
+      case 'p2pkh':
+        // Legacy inputs sign the whole previous transaction, which proves the value being spent
+        if (!input.txHex) {
+          throw new Error(`Input ${outpoint} spends a P2PKH output and requires the previous transaction (txHex)`);
+        }
+        
+        expected = bitcoin.payments.p2pkh({ pubkey: publicKey, network }).output;
+        data.nonWitnessUtxo = Buffer.from(input.txHex, 'hex');
+        break;
+      
+      case 'p2sh': {
+        const redeem = bitcoin.payments.p2wpkh({ pubkey: publicKey, network });
+        expected = bitcoin.payments.p2sh({ redeem, network }).output;
+        data.witnessUtxo = { script, value: input.value };
+        data.redeemScript = redeem.output;
+        break;
+      }
+      
+      case 'p2wpkh':
+        expected = bitcoin.payments.p2wpkh({ pubkey: publicKey, network }).output;
+        data.witnessUtxo = { script, value: input.value };
+        break;
+      
+      case 'p2tr': {
+        const internalPubkey = publicKey.slice(1, 33);
+        expected = bitcoin.payments.p2tr({ internalPubkey, network }).output;
+        data.witnessUtxo = { script, value: input.value };
+        data.tapInternalKey = internalPubkey;
+        break;
+      }
+      
+      default:
+        throw new Error(`Input ${outpoint} spends an unsupported output type: ${type || 'nonstandard'}`);
+    }
+    
+    if (!expected.equals(script)) {
+      throw new Error(`Input ${outpoint} is not spendable by the signing key`);
+    }
+    
+    return { data, type };
+  }
+  
+  /**
+   * Get the key pairs that sign the inputs of a transaction
+   * @param {string} privateKey The private key in WIF format, or the extended private key of an HD wallet
+   * @param {Array} inputs The transaction inputs; inputs of an HD wallet carry the `path` of their address
+   * @returns {Array<Object>} The key pair of each input
+   * @private
+   */
+  _getInputKeyPairs(privateKey, inputs) {
+    const network = this.networkParams;
+    
+    if (!isExtendedPrivateKey(privateKey)) {
+      const keyPair = ECPair.fromWIF(privateKey, network);
+      return inputs.map(() => keyPair);
+    }
+    
+    return inputs.map(input => {
+      if (!input.path) {
+        throw new Error(`Input ${input.txid}:${input.vout} has no derivation path`);
+      }
+      
+      return ECPair.fromPrivateKey(derivePrivateKey(privateKey, input.path, network), { network });
     });
+  }
+  
+  /**
+   * Get the public key that an input is spent with
+   * @param {Buffer} publicKey The compressed public key of the wallet, if it has a single key
+   * @param {Object} input The transaction input (UTXO)
+   * @returns {Buffer} The public key of the input's address
+   * @private
+   */
+  _getInputPublicKey(publicKey, input) {
+    if (this.hdWallet && input.path) {
+      return this.hdWallet.derivePublicKey(input.path);
+    }
     
-    // Add outputs
+    return publicKey;
+  }
+  
+  /**
+   * Add the outputs of a transaction to a PSBT
+   * @param {Object} psbt The PSBT
+   * @param {Array} outputs The transaction outputs
+   * @param {Object} options Additional options
+   * @param {string} options.opReturn Optional OP_RETURN data to include in the transaction (max 80 bytes)
+   * @private
+   */
+  _addOutputs(psbt, outputs, options = {}) {
     outputs.forEach(output => {
+      // Nodes do not relay transactions with dust outputs
+      this.dustPolicy.assertOutput(output.value, this.getAddressType(output.address), output.address);
+      
       psbt.addOutput({
         address: output.address,
         value: output.value,
@@ -144,35 +470,236 @@ createAndSignTransaction(privateKey, inputs, outputs, options = {}) {
       
       logger.debug(`Added OP_RETURN data: ${options.opReturn}`);
     }
-    
-    // Sign inputs
-    const keyPair = bitcoin.ECPair.fromWIF(privateKey, this.networkParams);
-    inputs.forEach((_, index) => {
-      psbt.signInput(index, keyPair);
-    });
-    
-    // Finalize and build the transaction
-    psbt.finalizeAllInputs();
-    const tx = psbt.extractTransaction();
-    
-    // Get the transaction in hexadecimal format
-    const txHex = tx.toHex();
-    
-    const txid = tx.getId();
-    logger.info(`Transaction created successfully: ${txid}`);
-    
-    return {
-      txid,
-      txHex,
-      inputs: inputs.length,
-      outputs: outputs.length,
-      fee: this._calculateFee(inputs, outputs)
-    };
-  } catch (error) {
-    logger.error(`Failed to create transaction: ${error.message}`);
-    throw new Error(`Failed to create transaction: ${error.message}`);
   }
-}
+  
+  /**
+   * Create and sign a transaction
+   * @param {string} privateKey The private key in WIF format, or the extended private key of an HD wallet
+   * @param {Array} inputs The transaction inputs (UTXOs), with their values in satoshis and their `scriptPubKey` or `address`; P2PKH inputs also need the previous transaction as `txHex`, and inputs of an HD wallet the `path` of their address
+   * @param {Array} outputs The transaction outputs
+   * @param {Object} options Additional options
+   * @param {string} options.opReturn Optional OP_RETURN data to include in the transaction (max 80 bytes)
+   * @param {boolean} options.rbf Whether the transaction signals that it can be replaced by fee (BIP-125) (default: true)
+   * @returns {Object} The transaction details including txid and hex
+   */
+  createAndSignTransaction(privateKey, inputs, outputs, options = {}) {
+    try {
+      logger.debug(`Creating transaction with ${inputs.length} inputs and ${outputs.length} outputs`);
+      
+      const keyPairs = this._getInputKeyPairs(privateKey, inputs);
+      const psbt = new bitcoin.Psbt({ network: this.networkParams });
+      
+      // Add inputs
+      const signers = inputs.map((input, index) => {
+        const keyPair = keyPairs[index];
+        const { data, type } = this._prepareInput(input, keyPair.publicKey);
+        
+        if (type === 'multisig') {
+          throw new Error(`Input ${input.txid}:${input.vout} spends the multisig wallet and must be signed by its cosigners`);
+        }
+        
+        psbt.addInput({ ...data, sequence: getSequence(options) });
+        
+        // Key path spends are signed with the internal key tweaked by its (empty) script tree
+        return type === 'p2tr'
+          ? keyPair.tweak(bitcoin.crypto.taggedHash('TapTweak', keyPair.publicKey.slice(1, 33)))
+          : keyPair;
+      });
+      
+      // Add outputs
+      this._addOutputs(psbt, outputs, options);
+      
+      // Sign inputs
+      signers.forEach((signer, index) => {
+        psbt.signInput(index, signer);
+      });
+      
+      if (!psbt.validateSignaturesOfAllInputs(validateSignature)) {
+        throw new Error('Signature validation failed');
+      }
+      
+      // Finalize and build the transaction
+      psbt.finalizeAllInputs();
+      const tx = psbt.extractTransaction();
+      
+      // Get the transaction in hexadecimal format
+      const txHex = tx.toHex();
+      
+      const txid = tx.getId();
+      logger.info(`Transaction created successfully: ${txid}`);
+      
+      return {
+        txid,
+        txHex,
+        inputs: inputs.length,
+        outputs: outputs.length,
+        fee: this._calculateFee(inputs, outputs),
+        virtualSize: tx.virtualSize()
+      };
+    } catch (error) {
+      logger.error(`Failed to create transaction: ${error.message}`);
+      throw new Error(`Failed to create transaction: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Create an unsigned transaction as a PSBT (BIP-174), to be signed outside of FractaLedger
+   *
+   * The PSBT carries everything a signer needs to sign the inputs: the spent outputs, the redeem
+   * scripts of P2SH-P2WPKH inputs and the internal keys of P2TR inputs. Inputs of a multisig
+   * wallet carry its witness script and the BIP-32 derivations of the cosigners' keys, and inputs
+   * of an HD wallet the BIP-32 derivation of their address's key.
+   *
+   * @param {string|Buffer} publicKey The compressed public key of the wallet, in hexadecimal format or as a buffer; not needed for a multisig or HD wallet
+   * @param {Array} inputs The transaction inputs (UTXOs), as for createAndSignTransaction
+   * @param {Array} outputs The transaction outputs
+   * @param {Object} options Additional options
+   * @param {string} options.opReturn Optional OP_RETURN data to include in the transaction (max 80 bytes)
+   * @param {boolean} options.rbf Whether the transaction signals that it can be replaced by fee (BIP-125) (default: true)
+   * @returns {Object} The PSBT in base64 format, with the numbers of inputs and outputs and the fee
+   */
+  createPsbt(publicKey, inputs, outputs, options = {}) {
+    try {
+      logger.debug(`Creating PSBT with ${inputs.length} inputs and ${outputs.length} outputs`);
+      
+      if (!publicKey && !this.multisig && !this.hdWallet) {
+        throw new Error('The public key of the wallet is required');
+      }
+      
+      const pubkey = publicKey && (Buffer.isBuffer(publicKey) ? publicKey : Buffer.from(publicKey, 'hex'));
+      if (pubkey && (!ecc.isPoint(pubkey) || pubkey.length !== 33)) {
+        throw new Error('The public key of the wallet must be a compressed public key');
+      }
+      
+      const psbt = new bitcoin.Psbt({ network: this.networkParams });
+      
+      inputs.forEach(input => {
+        const { data } = this._prepareInput(input, this._getInputPublicKey(pubkey, input));
+        psbt.addInput({ ...data, sequence: getSequence(options) });
+      });
+      
+      this._addOutputs(psbt, outputs, options);
+      
+      return {
+        psbt: psbt.toBase64(),
+        inputs: inputs.length,
+        outputs: outputs.length,
+        fee: this._calculateFee(inputs, outputs)
+      };
+    } catch (error) {
+      logger.error(`Failed to create PSBT: ${error.message}`);
+      throw new Error(`Failed to create PSBT: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Sign the inputs of a PSBT that a key can sign, as one cosigner of a multisig wallet
+   * @param {string} privateKey The private key in WIF format
+   * @param {string} psbtBase64 The PSBT in base64 format
+   * @returns {Object} The signed PSBT in base64 format, and the number of inputs the key signed
+   */
+  signPsbt(privateKey, psbtBase64) {
+    try {
+      const keyPair = ECPair.fromWIF(privateKey, this.networkParams);
+      const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network: this.networkParams });
+      let signedInputs = 0;
+      
+      psbt.data.inputs.forEach((input, index) => {
+        if (input.witnessScript && psbt.inputHasPubkey(index, keyPair.publicKey)) {
+          psbt.signInput(index, keyPair);
+          signedInputs++;
+        }
+      });
+      
+      return { psbt: psbt.toBase64(), signedInputs };
+    } catch (error) {
+      logger.error(`Failed to sign PSBT: ${error.message}`);
+      throw new Error(`Failed to sign PSBT: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Combine signed PSBTs, and finalize the transaction once every input is signed
+   *
+   * The PSBTs must all describe the same transaction. Every signature they carry is verified
+   * before it is accepted. Inputs that a signer has already finalized are taken as they are.
+   * Multisig inputs count as signed once they carry as many signatures as the script requires;
+   * further signatures are dropped when the input is finalized.
+   *
+   * @param {Array<string>} psbts The PSBTs in base64 format; the first is the unsigned PSBT
+   * @returns {Object} The combined PSBT, whether it is complete and the public keys that signed each input; a complete transaction also has its txid, hex, fee and virtual size
+   */
+  combinePsbts(psbts) {
+    try {
+      const [psbt, ...others] = psbts.map(psbtBase64 => bitcoin.Psbt.fromBase64(psbtBase64, { network: this.networkParams }));
+      
+      if (others.length > 0) {
+        psbt.combine(...others);
+      }
+      
+      const signatures = psbt.data.inputs.map(input => (input.partialSig || []).map(sig => sig.pubkey.toString('hex')));
+      
+      const signed = psbt.data.inputs.map((input, index) => {
+        if (input.finalScriptSig || input.finalScriptWitness) {
+          return true;
+        }
+        
+        if (!input.tapKeySig && !(input.partialSig && input.partialSig.length > 0)) {
+          return false;
+        }
+        
+        if (!psbt.validateSignaturesOfInput(index, validateSignature)) {
+          throw new Error(`Input ${index} has an invalid signature`);
+        }
+        
+        if (input.witnessScript) {
+          return input.partialSig.length >= bitcoin.payments.p2ms({ output: input.witnessScript }).m;
+        }
+        
+        return true;
+      });
+      
+      const signedInputs = signed.filter(Boolean).length;
+      
+      if (signedInputs < signed.length) {
+        return { complete: false, psbt: psbt.toBase64(), signedInputs, signatures };
+      }
+      
+      signed.forEach((_, index) => {
+        const input = psbt.data.inputs[index];
+        if (input.finalScriptSig || input.finalScriptWitness) {
+          return;
+        }
+        
+        if (input.witnessScript) {
+          // OP_CHECKMULTISIG takes exactly m signatures, in the order of the keys in the script
+          const multisig = bitcoin.payments.p2ms({ output: input.witnessScript });
+          input.partialSig = multisig.pubkeys
+            .map(pubkey => input.partialSig.find(sig => sig.pubkey.equals(pubkey)))
+            .filter(Boolean)
+            .slice(0, multisig.m);
+        }
+        
+        psbt.finalizeInput(index);
+      });
+      
+      const tx = psbt.extractTransaction();
+      
+      return {
+        complete: true,
+        psbt: psbt.toBase64(),
+        signedInputs,
+        signatures,
+        txid: tx.getId(),
+        txHex: tx.toHex(),
+        fee: psbt.getFee(),
+        virtualSize: tx.virtualSize()
+      };
+    } catch (error) {
+      logger.error(`Failed to combine PSBTs: ${error.message}`);
+      throw new Error(`Failed to combine PSBTs: ${error.message}`);
+    }
+  }
   
   /**
    * Calculate the fee for a transaction
@@ -208,33 +735,102 @@ createAndSignTransaction(privateKey, inputs, outputs, options = {}) {
   }
   
   /**
-   * Estimate the size of a transaction
-   * @param {number} inputCount The number of inputs
-   * @param {number} outputCount The number of outputs
-   * @returns {number} The estimated transaction size in bytes
+   * Get the address types of transaction inputs or outputs, for size estimates
+   * @param {number|Array} entries A number of entries of the builder's address type, or a list of address types, addresses or objects with an `address`, `scriptPubKey` or `type`
+   * @returns {Array<string>} The address types
+   * @private
    */
-  estimateTransactionSize(inputCount, outputCount) {
-    // A rough estimate of transaction size
-    // Input size: ~148 bytes
-    // Output size: ~34 bytes
-    // Transaction overhead: ~10 bytes
-    return 10 + (inputCount * 148) + (outputCount * 34);
+  _getEntryTypes(entries) {
+    if (typeof entries === 'number') {
+      return new Array(entries).fill(this.addressType);
+    }
+    
+    return entries.map(entry => {
+      if (typeof entry === 'string') {
+        return INPUT_VSIZES[entry] !== undefined || OUTPUT_SIZES[entry] !== undefined ? entry : this.getAddressType(entry);
+      }
+      
+      if (entry.type) {
+        return entry.type;
+      }
+      
+      if (entry.scriptPubKey) {
+        return getScriptType(Buffer.isBuffer(entry.scriptPubKey) ? entry.scriptPubKey : Buffer.from(entry.scriptPubKey, 'hex'));
+      }
+      
+      return entry.address ? this.getAddressType(entry.address) : this.addressType;
+    }).map(type => type || this.addressType);
+  }
+  
+  /**
+   * Get the virtual size of an input
+   *
+   * Inputs of the multisig wallet's address type spend its script with m signatures, which are
+   * pushed to the witness along with the script itself.
+   *
+   * @param {string} type The address type of the spent output
+   * @returns {number} The virtual size in vbytes
+   * @private
+   */
+  _getInputVsize(type) {
+    if (this.multisig && type === this.addressType) {
+      const { threshold, witnessScript, redeemScript } = this.multisig;
+      const scriptPush = (witnessScript.length < 253 ? 1 : 3) + witnessScript.length;
+      
+      // The witness holds the item count, the empty item that OP_CHECKMULTISIG pops, the signatures and the script
+      const witnessSize = 2 + threshold * 73 + scriptPush;
+      const baseSize = INPUT_BASE_SIZE + (redeemScript ? redeemScript.length + 1 : 0);
+      
+      return baseSize + witnessSize / 4;
+    }
+    
+    if (INPUT_VSIZES[type] === undefined) {
+      throw new Error(`Cannot estimate the size of an input of type ${type}`);
+    }
+    
+    return INPUT_VSIZES[type];
+  }
+  
+  /**
+   * Estimate the virtual size of a transaction
+   *
+   * Each input and output is sized for its address type. Inputs and outputs given as numbers
+   * have the builder's address type, which is the type of the wallet address.
+   *
+   * @param {number|Array} inputs The number of inputs, or their address types, addresses or UTXOs
+   * @param {number|Array} outputs The number of outputs, or their address types, addresses or outputs
+   * @returns {number} The estimated transaction size in virtual bytes, rounded up
+   */
+  estimateTransactionSize(inputs, outputs) {
+    const inputTypes = this._getEntryTypes(inputs);
+    const outputTypes = this._getEntryTypes(outputs);
+    
+    const inputSize = inputTypes.reduce((total, type) => total + this._getInputVsize(type), 0);
+    
+    const outputSize = outputTypes.reduce((total, type) => total + (OUTPUT_SIZES[type] || OUTPUT_SIZES.p2pkh), 0);
+    const segwit = inputTypes.some(type => type !== 'p2pkh');
+    
+    return Math.ceil(TRANSACTION_OVERHEAD + (segwit ? SEGWIT_OVERHEAD : 0) + inputSize + outputSize);
   }
   
   /**
    * Estimate the fee for a transaction
-   * @param {number} inputCount The number of inputs
-   * @param {number} outputCount The number of outputs
-   * @param {number} feeRate The fee rate in satoshis per byte
+   * @param {number|Array} inputs The number of inputs, or their address types, addresses or UTXOs
+   * @param {number|Array} outputs The number of outputs, or their address types, addresses or outputs
+   * @param {number} feeRate The fee rate in satoshis per virtual byte
    * @returns {number} The estimated fee in satoshis
    */
-  estimateFee(inputCount, outputCount, feeRate = 1) {
-    const size = this.estimateTransactionSize(inputCount, outputCount);
+  estimateFee(inputs, outputs, feeRate = 1) {
+    const size = this.estimateTransactionSize(inputs, outputs);
     return size * feeRate;
   }
 }
 
 module.exports = {
+  RBF_SEQUENCE,
   TransactionBuilder,
-  getNetworkParams
+  getNetworkParams,
+  getScriptType,
+  decodeOpReturn,
+  ECPair
 };
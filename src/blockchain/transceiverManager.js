@@ -5,12 +5,35 @@
  * both broadcasting transactions and monitoring wallet addresses. It completely
  * separates transaction creation/signing from the blockchain interaction mechanism,
  * allowing users to handle blockchain operations through their preferred method.
+ *
+ * The transactions it broadcasts are kept in a pending transaction store (see
+ * pendingTransactionStore.js), which validates the transitions between their states and
+ * persists them, so that they are recovered when the manager is created again after a restart.
+ *
+ * Broadcasts with the `callback` method go through a retry queue (see broadcastQueue.js). An
+ * attempt hands the transaction to the transceiver module, and then to each of the `failover`
+ * transceivers in turn, such as a module for a second server or the `api` method:
+ *
+ *   "transceiver": {
+ *     "method": "callback",
+ *     "callbackModule": "./transceivers/spv-transceiver.js",
+ *     "failover": [
+ *       { "name": "backup", "method": "callback", "callbackModule": "./transceivers/spv-transceiver.js", "config": { "server": "electrum2.example.com" } },
+ *       { "method": "api" }
+ *     ]
+ *   }
+ *
+ * If every transceiver fails, the transaction stays `created` and is attempted again after a
+ * backoff, until it runs out of attempts and is moved to `dead-letter`. Every attempt of every
+ * transceiver is recorded in the `broadcastAttempts` of the pending transaction.
  */
 
 const EventEmitter = require('events');
 const winston = require('winston');
 const path = require('path');
 const { UTXOTransceiver } = require('./utxoTransceiver');
+const { PendingTransactionStatus, isSettled, createPendingTransactionStore } = require('./pendingTransactionStore');
+const { BroadcastQueue } = require('./broadcastQueue');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -39,11 +62,13 @@ class TransceiverManager {
   /**
    * Constructor
    * @param {Object} config The transceiver configuration
+   * @param {Object} options Additional options
+   * @param {PendingTransactionStore} options.store The initialized store of pending transactions (default: an in-memory store)
    */
-  constructor(config = {}) {
+  constructor(config = {}, options = {}) {
     this.config = config;
     this.eventEmitter = new EventEmitter();
-    this.pendingTransactions = new Map();
+    this.pendingTransactions = options.store || createPendingTransactionStore({ type: 'memory' });
     this.monitoredAddresses = new Map();
     this.transceiver = null;
     
@@ -52,40 +77,84 @@ class TransceiverManager {
     
     // Load transceiver module if provided
     if (this.config.method === 'callback' && this.config.callbackModule) {
-      try {
-        // Try to load the transceiver module
-        const modulePath = path.resolve(process.cwd(), this.config.callbackModule);
-        const TransceiverClass = require(modulePath);
-        
-        if (typeof TransceiverClass === 'function') {
-          // If the module exports a class constructor
-          this.transceiver = new TransceiverClass(this.config);
-        } else if (typeof TransceiverClass === 'object' && TransceiverClass.default && typeof TransceiverClass.default === 'function') {
-          // If the module exports a default class constructor
-          this.transceiver = new TransceiverClass.default(this.config);
-        } else if (typeof TransceiverClass === 'object') {
-          // If the module exports an object with methods
-          this.transceiver = TransceiverClass;
-        } else {
-          throw new Error('Invalid transceiver module format');
-        }
-        
-        // Verify that the transceiver implements the required methods
-        if (!this._verifyTransceiverInterface(this.transceiver)) {
-          throw new Error('Transceiver module does not implement the required interface');
-        }
-        
-        logger.info(`Loaded transceiver module: ${this.config.callbackModule}`);
-      } catch (error) {
-        logger.error(`Failed to load transceiver module: ${error.message}`);
-        throw new Error(`Failed to load transceiver module: ${error.message}`);
-      }
+      this.transceiver = this._loadTransceiver(this.config);
     }
     
+    // Load the transceivers that broadcasts fail over to, and queue the retries of failed broadcasts
+    this.failoverTransceivers = this._loadFailoverTransceivers(this.config.failover);
+    this.broadcastQueue = new BroadcastQueue(this.config.retry, txid => this._retryBroadcast(txid));
+    
     // Initialize event forwarding
     this._initializeEventForwarding();
   }
   
+  /**
+   * Load a transceiver module
+   * @param {Object} config The transceiver configuration, with the path of the module in `callbackModule`
+   * @returns {Object} The transceiver
+   * @throws {Error} If the module cannot be loaded, or does not implement the transceiver interface
+   * @private
+   */
+  _loadTransceiver(config) {
+    try {
+      // Try to load the transceiver module
+      const modulePath = path.resolve(process.cwd(), config.callbackModule);
+      const TransceiverClass = require(modulePath);
+      let transceiver;
+      
+      if (typeof TransceiverClass === 'function') {
+        // If the module exports a class constructor
+        transceiver = new TransceiverClass(config);
+      } else if (typeof TransceiverClass === 'object' && TransceiverClass.default && typeof TransceiverClass.default === 'function') {
+        // If the module exports a default class constructor
+        transceiver = new TransceiverClass.default(config);
+      } else if (typeof TransceiverClass === 'object') {
+        // If the module exports an object with methods
+        transceiver = TransceiverClass;
+      } else {
+        throw new Error('Invalid transceiver module format');
+      }
+      
+      // Verify that the transceiver implements the required methods
+      if (!this._verifyTransceiverInterface(transceiver)) {
+        throw new Error('Transceiver module does not implement the required interface');
+      }
+      
+      logger.info(`Loaded transceiver module: ${config.callbackModule}`);
+      
+      return transceiver;
+    } catch (error) {
+      logger.error(`Failed to load transceiver module: ${error.message}`);
+      throw new Error(`Failed to load transceiver module: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Load the transceivers that broadcasts fail over to
+   * @param {Array<Object>} failover The transceiver configurations, each with its `method` and an optional `name`
+   * @returns {Array<Object>} The failover transceivers, each with its name, method and transceiver (null unless the method is `callback`)
+   * @private
+   */
+  _loadFailoverTransceivers(failover = []) {
+    return failover.map((config, index) => {
+      const method = config.method || 'callback';
+      
+      if (!['callback', 'event', 'api', 'return'].includes(method)) {
+        throw new Error(`Unknown failover transceiver method: ${method}`);
+      }
+      
+      if (method === 'callback' && !config.callbackModule) {
+        throw new Error(`Failover transceiver ${config.name || index + 1} requires a callbackModule`);
+      }
+      
+      return {
+        name: config.name || `failover-${index + 1}`,
+        method,
+        transceiver: method === 'callback' ? this._loadTransceiver(config) : null
+      };
+    });
+  }
+  
   /**
    * Verify that a transceiver implements the required interface
    * @param {Object} transceiver The transceiver to verify
@@ -127,6 +196,16 @@ class TransceiverManager {
         this.eventEmitter.emit('balance', data);
       });
       
+      // Transactions of monitored addresses, reported by transceivers that are notified of them
+      this.transceiver.on('transactions', (data) => {
+        this.eventEmitter.emit('transactions', data);
+      });
+      
+      // New blocks let the confirmation tracker update confirmations without waiting for its next poll
+      this.transceiver.on('block', (data) => {
+        this.eventEmitter.emit('block', data);
+      });
+      
       this.transceiver.on('error', (error) => {
         logger.error(`Transceiver error: ${error.message}`);
         this.eventEmitter.emit('error', error);
@@ -141,38 +220,209 @@ class TransceiverManager {
    * @returns {Promise<Object>} The result of the broadcast
    */
   async broadcastTransaction(txHex, metadata = {}) {
+    // Generate a unique ID for the transaction
+    const txid = metadata.txid || `tx-${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+    let created = false;
+    
     try {
       logger.debug(`Broadcasting transaction with method: ${this.config.method}`);
       
-      // Generate a unique ID for the transaction
-      const txid = metadata.txid || `tx-${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+      // Record the transaction before it is handed to the transceiver, so that a restart does not lose it
+      this.pendingTransactions.create(txid, { txHex, metadata });
+      created = true;
       
-      // Store the transaction in the pending transactions map
-      this.pendingTransactions.set(txid, {
-        txHex,
-        metadata,
-        timestamp: Date.now(),
-        status: 'pending'
-      });
+      // Transceiver modules can fail, so their broadcasts are retried and fail over
+      if (this.config.method === 'callback') {
+        return await this._attemptBroadcast(txid);
+      }
       
-      // Broadcast the transaction using the configured method
-      switch (this.config.method) {
-        case 'callback':
-          return await this._broadcastWithCallback(txid, txHex, metadata);
+      return await this._broadcastWithMethod(this.config.method, txid, txHex, metadata);
+    } catch (error) {
+      if (created) {
+        this._setStatus(txid, PendingTransactionStatus.FAILED, { error: error.message });
+      }
+      
+      logger.error(`Failed to broadcast transaction: ${error.message}`);
+      throw new Error(`Failed to broadcast transaction: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Broadcast a transaction using a method
+   * @param {string} method The method (callback, event, api or return)
+   * @param {string} txid The transaction ID
+   * @param {string} txHex The transaction in hexadecimal format
+   * @param {Object} metadata Additional metadata about the transaction
+   * @param {Object} transceiver The transceiver of the `callback` method (default: the transceiver module)
+   * @returns {Promise<Object>} The result of the broadcast
+   * @private
+   */
+  async _broadcastWithMethod(method, txid, txHex, metadata, transceiver = this.transceiver) {
+    switch (method) {
+      case 'callback':
+        return this._broadcastWithCallback(txid, txHex, metadata, transceiver);
+      
+      case 'event':
+        return this._broadcastWithEvent(txid, txHex, metadata);
+      
+      case 'api':
+        return this._broadcastWithApi(txid, txHex, metadata);
+      
+      case 'return':
+      default:
+        return this._broadcastWithReturn(txid, txHex, metadata);
+    }
+  }
+  
+  /**
+   * Make an attempt to broadcast a pending transaction, with the transceiver module and then each failover transceiver
+   *
+   * If every transceiver fails, the next attempt is scheduled after a backoff, or the transaction
+   * is moved to `dead-letter` once it has run out of attempts.
+   *
+   * @param {string} txid The transaction ID
+   * @returns {Promise<Object>} The result of the broadcast; if it failed, `success` is false, with the `status` of the transaction, the time of the next attempt if it is queued, and the last error
+   * @private
+   */
+  async _attemptBroadcast(txid) {
+    const transaction = this.pendingTransactions.get(txid);
+    const { txHex, metadata } = transaction;
+    const attempt = ((transaction.retry || {}).attempts || 0) + 1;
+    const targets = [
+      { name: 'primary', method: this.config.method, transceiver: this.transceiver },
+      ...this.failoverTransceivers
+    ];
+    let lastError;
+    
+    for (const target of targets) {
+      try {
+        const result = await this._broadcastWithMethod(target.method, txid, txHex, metadata, target.transceiver);
         
-        case 'event':
-          return this._broadcastWithEvent(txid, txHex, metadata);
+        this._recordAttempt(txid, attempt, target);
         
-        case 'api':
-          return this._broadcastWithApi(txid, txHex, metadata);
+        if (target.name !== 'primary') {
+          logger.info(`Transaction ${txid} broadcast failed over to ${target.name}`);
+        }
         
-        case 'return':
-        default:
-          return this._broadcastWithReturn(txid, txHex, metadata);
+        return { ...result, transceiver: target.name, attempt };
+      } catch (error) {
+        lastError = error;
+        this._recordAttempt(txid, attempt, target, error);
       }
+    }
+    
+    if (!this.broadcastQueue.hasAttemptsLeft(attempt)) {
+      this._setStatus(txid, PendingTransactionStatus.DEAD_LETTER, {
+        retry: { attempts: attempt, nextAttemptAt: null },
+        error: lastError.message
+      });
+      
+      logger.error(`Transaction ${txid} moved to dead-letter after ${attempt} broadcast attempts: ${lastError.message}`);
+      this.eventEmitter.emit('deadLetter', { txid, attempts: attempt, error: lastError.message });
+      
+      return {
+        success: false,
+        method: 'callback',
+        txid,
+        status: PendingTransactionStatus.DEAD_LETTER,
+        attempt,
+        error: lastError.message
+      };
+    }
+    
+    const delay = this.broadcastQueue.getDelay(attempt);
+    const nextAttemptAt = Date.now() + delay;
+    
+    this.pendingTransactions.update(txid, { retry: { attempts: attempt, nextAttemptAt }, error: lastError.message });
+    this.broadcastQueue.schedule(txid, delay);
+    
+    logger.warn(`Broadcast attempt ${attempt} of transaction ${txid} failed, retrying in ${delay}ms: ${lastError.message}`);
+    
+    return {
+      success: false,
+      method: 'callback',
+      txid,
+      status: PendingTransactionStatus.CREATED,
+      queued: true,
+      attempt,
+      nextAttemptAt,
+      error: lastError.message
+    };
+  }
+  
+  /**
+   * Make the next attempt of a queued broadcast
+   * @param {string} txid The transaction ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _retryBroadcast(txid) {
+    const transaction = this.pendingTransactions.get(txid);
+    
+    // The transaction may have been settled, such as by a replacement, since it was queued
+    if (!transaction || transaction.status !== PendingTransactionStatus.CREATED) {
+      return;
+    }
+    
+    try {
+      await this._attemptBroadcast(txid);
     } catch (error) {
-      logger.error(`Failed to broadcast transaction: ${error.message}`);
-      throw new Error(`Failed to broadcast transaction: ${error.message}`);
+      logger.error(`Failed to retry broadcast of transaction ${txid}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Record a broadcast attempt on a pending transaction
+   * @param {string} txid The transaction ID
+   * @param {number} attempt The number of the attempt
+   * @param {Object} target The transceiver that was attempted, with its name and method
+   * @param {Error} error The error if the attempt failed
+   * @private
+   */
+  _recordAttempt(txid, attempt, target, error = null) {
+    const transaction = this.pendingTransactions.get(txid);
+    const entry = {
+      attempt,
+      transceiver: target.name,
+      method: target.method,
+      timestamp: Date.now(),
+      success: !error,
+      error: error ? error.message : null
+    };
+    
+    if (error) {
+      logger.warn(`Broadcast attempt ${attempt} of transaction ${txid} with ${target.name} failed: ${error.message}`);
+    }
+    
+    this.pendingTransactions.update(txid, { broadcastAttempts: [...(transaction.broadcastAttempts || []), entry] });
+  }
+  
+  /**
+   * Queue a dead-lettered transaction for broadcasting again, and make its first attempt
+   * @param {string} txid The transaction ID
+   * @returns {Promise<Object>} The result of the attempt (see broadcastTransaction)
+   * @throws {Error} If the transaction is not dead-lettered
+   */
+  async retryBroadcast(txid) {
+    try {
+      const transaction = this.pendingTransactions.get(txid);
+      
+      if (!transaction) {
+        throw new Error(`Pending transaction not found: ${txid}`);
+      }
+      
+      if (transaction.status !== PendingTransactionStatus.DEAD_LETTER) {
+        throw new Error(`Transaction ${txid} is ${transaction.status}, not dead-letter`);
+      }
+      
+      this.transitionPendingTransaction(txid, PendingTransactionStatus.CREATED, { retry: { attempts: 0, nextAttemptAt: null } });
+      
+      logger.info(`Transaction ${txid} queued for broadcasting again`);
+      
+      return await this._attemptBroadcast(txid);
+    } catch (error) {
+      logger.error(`Failed to retry broadcast: ${error.message}`);
+      throw new Error(`Failed to retry broadcast: ${error.message}`);
     }
   }
   
@@ -181,25 +431,22 @@ class TransceiverManager {
    * @param {string} txid The transaction ID
    * @param {string} txHex The transaction in hexadecimal format
    * @param {Object} metadata Additional metadata about the transaction
+   * @param {Object} transceiver The transceiver to broadcast with (default: the transceiver module)
    * @returns {Promise<Object>} The result of the broadcast
    * @private
    */
-  async _broadcastWithCallback(txid, txHex, metadata) {
+  async _broadcastWithCallback(txid, txHex, metadata, transceiver = this.transceiver) {
     try {
       // Check if a transceiver is available
-      if (!this.transceiver || !this.transceiver.broadcastTransaction) {
+      if (!transceiver || !transceiver.broadcastTransaction) {
         throw new Error('Broadcast callback not available');
       }
       
       // Call the broadcast function from the transceiver
-      const result = await this.transceiver.broadcastTransaction(txHex, metadata);
+      const result = await transceiver.broadcastTransaction(txHex, metadata);
       
       // Update the transaction status
-      this.pendingTransactions.set(txid, {
-        ...this.pendingTransactions.get(txid),
-        status: 'broadcasted',
-        result
-      });
+      this._setStatus(txid, PendingTransactionStatus.BROADCASTED, { result });
       
       logger.info(`Transaction broadcasted with callback: ${txid}`);
       
@@ -210,13 +457,6 @@ class TransceiverManager {
         result
       };
     } catch (error) {
-      // Update the transaction status
-      this.pendingTransactions.set(txid, {
-        ...this.pendingTransactions.get(txid),
-        status: 'failed',
-        error: error.message
-      });
-      
       logger.error(`Failed to broadcast transaction with callback: ${error.message}`);
       
       throw new Error(`Failed to broadcast transaction with callback: ${error.message}`);
@@ -241,10 +481,7 @@ class TransceiverManager {
       });
       
       // Update the transaction status
-      this.pendingTransactions.set(txid, {
-        ...this.pendingTransactions.get(txid),
-        status: 'broadcasted'
-      });
+      this._setStatus(txid, PendingTransactionStatus.BROADCASTED);
       
       logger.info(`Transaction broadcasted with event: ${txid}`);
       
@@ -255,13 +492,6 @@ class TransceiverManager {
         message: 'Transaction broadcasted with event'
       };
     } catch (error) {
-      // Update the transaction status
-      this.pendingTransactions.set(txid, {
-        ...this.pendingTransactions.get(txid),
-        status: 'failed',
-        error: error.message
-      });
-      
       logger.error(`Failed to broadcast transaction with event: ${error.message}`);
       
       throw new Error(`Failed to broadcast transaction with event: ${error.message}`);
@@ -279,10 +509,7 @@ class TransceiverManager {
   _broadcastWithApi(txid, txHex, metadata) {
     try {
       // Update the transaction status
-      this.pendingTransactions.set(txid, {
-        ...this.pendingTransactions.get(txid),
-        status: 'ready'
-      });
+      this._setStatus(txid, PendingTransactionStatus.READY);
       
       logger.info(`Transaction ready for API broadcast: ${txid}`);
       
@@ -295,13 +522,6 @@ class TransceiverManager {
         message: 'Transaction ready for API broadcast'
       };
     } catch (error) {
-      // Update the transaction status
-      this.pendingTransactions.set(txid, {
-        ...this.pendingTransactions.get(txid),
-        status: 'failed',
-        error: error.message
-      });
-      
       logger.error(`Failed to prepare transaction for API broadcast: ${error.message}`);
       
       throw new Error(`Failed to prepare transaction for API broadcast: ${error.message}`);
@@ -319,10 +539,7 @@ class TransceiverManager {
   _broadcastWithReturn(txid, txHex, metadata) {
     try {
       // Update the transaction status
-      this.pendingTransactions.set(txid, {
-        ...this.pendingTransactions.get(txid),
-        status: 'ready'
-      });
+      this._setStatus(txid, PendingTransactionStatus.READY);
       
       logger.info(`Transaction ready for manual broadcast: ${txid}`);
       
@@ -336,13 +553,6 @@ class TransceiverManager {
         message: 'Transaction ready for manual broadcast'
       };
     } catch (error) {
-      // Update the transaction status
-      this.pendingTransactions.set(txid, {
-        ...this.pendingTransactions.get(txid),
-        status: 'failed',
-        error: error.message
-      });
-      
       logger.error(`Failed to prepare transaction for manual broadcast: ${error.message}`);
       
       throw new Error(`Failed to prepare transaction for manual broadcast: ${error.message}`);
@@ -609,6 +819,69 @@ class TransceiverManager {
     }
   }
   
+  /**
+   * Estimate the fee rate a transaction needs to confirm within a number of blocks
+   * @param {number} targetBlocks The number of blocks
+   * @returns {Promise<number|null>} The fee rate in satoshis per virtual byte, or null if the transceiver has no estimate
+   */
+  async estimateFeeRate(targetBlocks) {
+    try {
+      logger.debug(`Estimating fee rate for confirmation within ${targetBlocks} blocks`);
+      
+      // Fee estimation is optional for transceivers
+      if (this.config.method === 'callback' && this.transceiver && this.transceiver.estimateFeeRate) {
+        return await this.transceiver.estimateFeeRate(targetBlocks);
+      } else {
+        throw new Error('Fee estimation not available');
+      }
+    } catch (error) {
+      logger.error(`Failed to estimate fee rate: ${error.message}`);
+      throw new Error(`Failed to estimate fee rate: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the status of a transaction on the network
+   * @param {string} txid The transaction ID
+   * @returns {Promise<Object|null>} The status, with `confirmations`, `blockHeight` and `blockHash`, or null if the network does not know the transaction
+   */
+  async getTransactionStatus(txid) {
+    try {
+      logger.debug(`Getting status of transaction: ${txid}`);
+      
+      // Transaction status is optional for transceivers
+      if (this.config.method === 'callback' && this.transceiver && this.transceiver.getTransactionStatus) {
+        return await this.transceiver.getTransactionStatus(txid);
+      } else {
+        throw new Error('Transaction status retrieval not available');
+      }
+    } catch (error) {
+      logger.error(`Failed to get status of transaction ${txid}: ${error.message}`);
+      throw new Error(`Failed to get status of transaction ${txid}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get a raw transaction, such as the previous transaction of a P2PKH input
+   * @param {string} txid The transaction ID
+   * @returns {Promise<string>} The transaction in hexadecimal format
+   */
+  async getRawTransaction(txid) {
+    try {
+      logger.debug(`Getting raw transaction: ${txid}`);
+      
+      // Raw transactions are optional for transceivers
+      if (this.config.method === 'callback' && this.transceiver && this.transceiver.getRawTransaction) {
+        return await this.transceiver.getRawTransaction(txid);
+      } else {
+        throw new Error('Raw transaction retrieval not available');
+      }
+    } catch (error) {
+      logger.error(`Failed to get raw transaction ${txid}: ${error.message}`);
+      throw new Error(`Failed to get raw transaction ${txid}: ${error.message}`);
+    }
+  }
+  
   /**
    * Get a pending transaction
    * @param {string} txid The transaction ID
@@ -618,15 +891,90 @@ class TransceiverManager {
     return this.pendingTransactions.get(txid);
   }
   
+  /**
+   * Update a pending transaction, such as when it has been replaced or bumped by a child
+   * @param {string} txid The transaction ID
+   * @param {Object} updates The fields to update; a new `status` must be a valid transition (see pendingTransactionStore.js)
+   * @returns {Object} The updated transaction information
+   * @throws {Error} If the transaction does not exist, or the transition is invalid
+   */
+  updatePendingTransaction(txid, updates) {
+    const previous = this.pendingTransactions.get(txid);
+    const updated = this.pendingTransactions.update(txid, updates);
+    
+    if (previous && updated.status !== previous.status) {
+      this.eventEmitter.emit('status', { txid, from: previous.status, to: updated.status, transaction: updated });
+    }
+    
+    return updated;
+  }
+  
+  /**
+   * Move a pending transaction to a new state
+   * @param {string} txid The transaction ID
+   * @param {string} status The new state
+   * @param {Object} updates Other fields to update
+   * @returns {Object} The updated transaction information
+   * @throws {Error} If the transaction does not exist, or the transition is invalid
+   */
+  transitionPendingTransaction(txid, status, updates = {}) {
+    return this.updatePendingTransaction(txid, { ...updates, status });
+  }
+  
   /**
    * Get all pending transactions
    * @returns {Array} The pending transactions
    */
   getAllPendingTransactions() {
-    return Array.from(this.pendingTransactions.entries()).map(([txid, tx]) => ({
-      txid,
-      ...tx
-    }));
+    return this.pendingTransactions.list();
+  }
+  
+  /**
+   * Recover the pending transactions that were not settled before a restart
+   *
+   * Transactions still in the `created` state may or may not have reached the transceiver, so
+   * they are broadcast again; broadcasting a transaction twice is harmless. With the `callback`
+   * method, they are queued for their next attempt, and otherwise moved to `ready`.
+   *
+   * @returns {Array} The pending transactions that are not settled
+   */
+  recoverPendingTransactions() {
+    const recovered = this.pendingTransactions.list().filter(transaction => !isSettled(transaction.status));
+    
+    for (const transaction of recovered) {
+      if (transaction.status !== PendingTransactionStatus.CREATED) {
+        continue;
+      }
+      
+      if (this.config.method === 'callback') {
+        Object.assign(transaction, this.pendingTransactions.update(transaction.txid, { recovered: true }));
+        this.broadcastQueue.schedule(transaction.txid, ((transaction.retry || {}).nextAttemptAt || 0) - Date.now());
+      } else {
+        Object.assign(transaction, this.pendingTransactions.transition(transaction.txid, PendingTransactionStatus.READY, { recovered: true }));
+      }
+    }
+    
+    if (recovered.length > 0) {
+      logger.info(`Recovered ${recovered.length} pending transactions`);
+    }
+    
+    return recovered;
+  }
+  
+  /**
+   * Move a pending transaction to a new state while it is broadcast
+   * @param {string} txid The transaction ID
+   * @param {string} status The new state
+   * @param {Object} updates Other fields to update
+   * @private
+   */
+  _setStatus(txid, status, updates = {}) {
+    try {
+      this.transitionPendingTransaction(txid, status, updates);
+    } catch (error) {
+      // The broadcast has happened either way; the transaction may have moved on already
+      logger.error(`Failed to update pending transaction ${txid}: ${error.message}`);
+    }
   }
   
   /**
@@ -670,38 +1018,15 @@ class TransceiverManager {
     
     // Reload transceiver module if provided
     if (this.config.method === 'callback' && this.config.callbackModule) {
-      try {
-        // Try to load the transceiver module
-        const modulePath = path.resolve(process.cwd(), this.config.callbackModule);
-        const TransceiverClass = require(modulePath);
-        
-        if (typeof TransceiverClass === 'function') {
-          // If the module exports a class constructor
-          this.transceiver = new TransceiverClass(this.config);
-        } else if (typeof TransceiverClass === 'object' && TransceiverClass.default && typeof TransceiverClass.default === 'function') {
-          // If the module exports a default class constructor
-          this.transceiver = new TransceiverClass.default(this.config);
-        } else if (typeof TransceiverClass === 'object') {
-          // If the module exports an object with methods
-          this.transceiver = TransceiverClass;
-        } else {
-          throw new Error('Invalid transceiver module format');
-        }
-        
-        // Verify that the transceiver implements the required methods
-        if (!this._verifyTransceiverInterface(this.transceiver)) {
-          throw new Error('Transceiver module does not implement the required interface');
-        }
-        
-        // Initialize event forwarding
-        this._initializeEventForwarding();
-        
-        logger.info(`Loaded transceiver module: ${this.config.callbackModule}`);
-      } catch (error) {
-        logger.error(`Failed to load transceiver module: ${error.message}`);
-        throw new Error(`Failed to load transceiver module: ${error.message}`);
-      }
+      this.transceiver = this._loadTransceiver(this.config);
+      
+      // Initialize event forwarding
+      this._initializeEventForwarding();
     }
+    
+    // Reload the failover transceivers and the retry settings
+    this.failoverTransceivers = this._loadFailoverTransceivers(this.config.failover);
+    this.broadcastQueue.configure(this.config.retry);
   }
   
   /**
@@ -721,8 +1046,9 @@ class TransceiverManager {
       await this.transceiver.cleanup();
     }
     
-    // Clear all pending transactions
-    this.pendingTransactions.clear();
+    // Stop the queued retries, and close the pending transaction store; its transactions are recovered on the next start
+    this.broadcastQueue.clear();
+    this.pendingTransactions.close();
   }
 }
 
@@ -13,8 +13,22 @@ export interface UTXOInput {
   value: number;
   height?: number;
   confirmations?: number;
+  address?: string;               // The address the UTXO pays to
+  scriptPubKey?: string | Buffer; // The script of the UTXO, used instead of the address
+  txHex?: string;                 // The previous transaction, required to spend P2PKH outputs
+  path?: string;                  // The path of the address below the xpub of an HD wallet, such as 0/5
 }
 
+/**
+ * Address types supported by the transaction builder
+ */
+export type AddressType = 'p2pkh' | 'p2sh' | 'p2wpkh' | 'p2wsh' | 'p2tr';
+
+/**
+ * An input or output in a size estimate: an address type, an address, or a UTXO or output
+ */
+export type SizeEstimateEntry = AddressType | string | { type?: AddressType; address?: string; scriptPubKey?: string | Buffer };
+
 /**
  * UTXO Output interface
  */
@@ -47,10 +61,297 @@ export interface CreateTransactionOptions {
  * Send transaction options interface
  */
 export interface SendTransactionOptions {
-  opReturn?: string;  // Optional OP_RETURN data
-  fee: number;        // Required transaction fee
-  feeRate: number;    // Required fee rate in satoshis per byte
-  utxos: UTXOInput[]; // Required UTXOs to use for the transaction
+  opReturn?: string;      // Optional OP_RETURN data
+  fee?: number;           // Optional transaction fee in whole coins
+  feeRate?: number;       // Optional fee rate in satoshis per byte
+  utxos?: UTXOInput[];    // Optional UTXOs to spend instead of selecting them automatically
+  coinSelection?: CoinSelectionStrategyName | CoinSelectionStrategy; // Optional coin selection strategy
+  changeAddress?: string; // Optional address for the change output
+}
+
+/**
+ * Coin selection strategy names
+ */
+export type CoinSelectionStrategyName = 'largestFirst' | 'branchAndBound' | 'avoidAddressReuse' | 'custom';
+
+/**
+ * A UTXO with its value in base units, as passed to coin selection strategies
+ */
+export interface SelectableUTXO extends UTXOInput {
+  units: bigint;
+  address?: string;
+}
+
+/**
+ * Coin selection context
+ */
+export interface CoinSelectionContext {
+  target: bigint;
+  outputCount: number;
+  feeFor(inputCount: number, outputCount: number): bigint;
+  dustThreshold: bigint;
+  walletAddress: string;
+}
+
+/**
+ * Coin selection strategy function
+ */
+export type CoinSelectionStrategy = (utxos: SelectableUTXO[], context: CoinSelectionContext) => SelectableUTXO[] | null;
+
+/**
+ * Coin selection configuration interface
+ */
+export interface CoinSelectionConfig {
+  strategy?: CoinSelectionStrategyName | CoinSelectionStrategy; // Default: branchAndBound
+  module?: string;        // Module that exports a custom strategy function
+  dustThreshold?: number; // Smallest change output in satoshis, if higher than the dust policy's threshold for its type
+  feeRate?: number;       // Default fee rate in satoshis per byte
+  lockTimeout?: number;   // Time in milliseconds that spent UTXOs stay locked (default: 600000)
+}
+
+/**
+ * Dust policy configuration interface, set by blockchain in `dustPolicy.blockchains`
+ */
+export interface DustPolicyConfig {
+  thresholds?: Partial<Record<AddressType, number>>; // Smallest output in base units by type (default: the blockchain's thresholds)
+  defaultThreshold?: number; // Smallest output in base units of types without a threshold (default: the highest threshold)
+  minWithdrawal?: number;    // Smallest withdrawal in whole coins (default: none)
+}
+
+/**
+ * Dust policy violation interface
+ */
+export interface DustViolation {
+  reason: 'minimum-withdrawal' | 'dust';
+  minimum: number;             // Smallest amount in whole coins that can be paid
+  outputType?: AddressType; // Type of the recipient's output, for dust
+}
+
+/**
+ * Pending transaction states
+ */
+export type PendingTransactionStatus = 'created' | 'ready' | 'broadcasted' | 'seen-in-mempool' | 'confirmed' | 'failed' | 'replaced' | 'dead-letter';
+
+/**
+ * Broadcast attempt interface, recorded on the pending transaction for each transceiver attempted
+ */
+export interface BroadcastAttempt {
+  attempt: number;     // Number of the attempt; each attempt tries the transceiver module and then each failover transceiver
+  transceiver: string; // `primary`, or the name of the failover transceiver
+  method: 'callback' | 'event' | 'api' | 'return';
+  timestamp: number;
+  success: boolean;
+  error: string | null;
+}
+
+/**
+ * Pending transaction store configuration interface, set in `pendingTransactions.store`
+ */
+export interface PendingTransactionStoreConfig {
+  type?: 'file' | 'sqlite' | 'memory' | 'custom'; // Default: file for configured wallets, memory for connectors created directly
+  path?: string;        // Directory of the JSON files, or the SQLite database file
+  module?: string;      // Module exporting the custom store class
+  retentionMs?: number; // Time that settled transactions are kept (default: 7 days)
+}
+
+/**
+ * Pending transaction interface
+ */
+export interface PendingTransaction {
+  txid: string;
+  txHex: string;
+  metadata?: { [key: string]: any };
+  status: PendingTransactionStatus;
+  timestamp: number;
+  updatedAt: number;
+  history: Array<{ status: PendingTransactionStatus; timestamp: number }>;
+  retry?: { attempts: number; nextAttemptAt: number | null };
+  broadcastAttempts?: BroadcastAttempt[];
+  confirmations?: number;
+  blockHeight?: number | null;
+  blockHash?: string | null;
+  confirmationDepth?: number;    // Deepest confirmation depth reached (see ConfirmationTrackingConfig)
+  final?: boolean;               // Whether the transaction reached the deepest depth, and is no longer followed
+  reorgs?: ReorgRecord[];
+  [key: string]: any;
+}
+
+/**
+ * Status of a transaction on the network, as reported by a transceiver
+ */
+export interface TransactionStatus {
+  txid: string;
+  inMempool?: boolean;
+  confirmations: number;
+  blockHeight: number | null;
+  blockHash: string | null;
+}
+
+/**
+ * Reorg of a pending transaction interface
+ */
+export interface ReorgRecord {
+  reason: 'block-changed' | 'unconfirmed' | 'dropped';
+  previous: { blockHeight: number | null; blockHash: string | null; confirmations: number };
+  current: { blockHeight: number | null; blockHash: string | null; confirmations: number } | null;
+  timestamp: number;
+}
+
+/**
+ * Confirmation tracking configuration interface
+ */
+export interface ConfirmationTrackingConfig {
+  enabled?: boolean;       // Whether to follow broadcast transactions (default: true)
+  interval?: number;       // Time in milliseconds between checks, besides those on new blocks (default: 60000)
+  depths?: number[];       // Confirmation depths that `confirmed` events are emitted at (default: [1, 3, 6])
+  blockchains?: { [blockchain: string]: { depths?: number[] } };
+}
+
+/**
+ * Pending transaction store interface
+ */
+export interface PendingTransactionStore {
+  initialize(): void;
+  get(txid: string): Omit<PendingTransaction, 'txid'> | undefined;
+  has(txid: string): boolean;
+  list(): PendingTransaction[];
+  create(txid: string, record: { txHex: string; metadata?: any; [key: string]: any }): Omit<PendingTransaction, 'txid'>;
+  update(txid: string, updates: { [key: string]: any }): Omit<PendingTransaction, 'txid'>;
+  transition(txid: string, status: PendingTransactionStatus, updates?: { [key: string]: any }): Omit<PendingTransaction, 'txid'>;
+  delete(txid: string): boolean;
+  prune(): void;
+  close(): void;
+}
+
+/**
+ * Signing configuration interface
+ */
+export interface SigningConfig {
+  method?: 'key' | 'psbt'; // `psbt` wallets are signed externally (default: key)
+  publicKey?: string;      // Compressed public key of the wallet in hexadecimal format, required for `psbt`
+  lockTimeout?: number;    // Time in milliseconds that the UTXOs of unsigned transactions stay locked (default: 86400000)
+}
+
+/**
+ * Multisig cosigner configuration interface
+ */
+export interface CosignerConfig {
+  name?: string;
+  xpub?: string;           // Extended public key of the cosigner
+  path?: string;           // Unhardened path of the wallet key below the xpub (default: 0/0)
+  fingerprint?: string;    // Fingerprint of the cosigner's master key in hexadecimal format
+  derivationPath?: string; // Path of the xpub below the master key, such as m/48'/0'/0'/2'
+  publicKey?: string;      // Compressed public key in hexadecimal format, instead of an xpub
+}
+
+/**
+ * Multisig configuration interface
+ */
+export interface MultisigConfig {
+  type?: 'p2wsh' | 'p2sh-p2wsh'; // Script type (default: p2wsh)
+  threshold: number;             // Number of signatures required to spend (m)
+  cosigners: CosignerConfig[];   // The cosigners (n)
+  sorted?: boolean;              // Sort the public keys as in BIP-67 (default: true)
+}
+
+/**
+ * Multisig wallet information interface
+ */
+export interface MultisigInfo {
+  type: 'p2wsh' | 'p2sh-p2wsh';
+  threshold: number;
+  address: string;
+  witnessScript: string;
+  cosigners: Array<{ name: string; publicKey: string; xpub?: string; fingerprint?: string; path?: string; local: boolean }>;
+}
+
+/**
+ * HD wallet configuration interface
+ */
+export interface HDWalletConfig {
+  xpub?: string;           // Extended public key of the account, such as the key at m/84'/0'/0'
+  type?: 'p2pkh' | 'p2sh-p2wpkh' | 'p2wpkh' | 'p2tr'; // Address type (default: p2wpkh)
+  descriptor?: string;     // Output descriptor such as wpkh([d34db33f/84'/0'/0']xpub.../<0;1>/*), instead of the xpub and type
+  fingerprint?: string;    // Fingerprint of the master key in hexadecimal format
+  derivationPath?: string; // Path of the xpub below the master key, such as m/84'/0'/0'
+  gapLimit?: number;       // Unused addresses watched beyond the last used one (default: 20)
+}
+
+/**
+ * HD wallet information interface
+ */
+export interface HDWalletInfo {
+  type: 'p2pkh' | 'p2sh-p2wpkh' | 'p2wpkh' | 'p2tr';
+  xpub: string;
+  fingerprint: string;
+  derivationPath: string;
+  gapLimit: number;
+  address: string;
+  receiveIndex: number; // Index of the next receive address to allocate
+  changeIndex: number;  // Index of the next change address to use
+}
+
+/**
+ * Derived address interface
+ */
+export interface DerivedAddress {
+  address: string;
+  path: string;     // Path below the xpub, such as 0/5
+  fullPath: string; // Path below the master key, such as m/84'/0'/0'/0/5
+}
+
+/**
+ * Unsigned transaction interface
+ */
+export interface UnsignedTransaction {
+  id: string;
+  status: 'awaiting-signature' | 'signed';
+  psbt: string;
+  toAddress: string;
+  amount: number;
+  fee: number;
+  inputs: Array<{ txid: string; vout: number; value: number }>;
+  outputs: Array<{ address: string; value: number }>;
+  signedInputs: number;
+  requiredSignatures?: number;
+  cosigners?: Array<{ name: string; publicKey: string; signed: boolean }>;
+  metadata: { [key: string]: any };
+  createdAt: string;
+  txid?: string;
+  txHex?: string;
+}
+
+/**
+ * PSBT result interface
+ */
+export interface PsbtResult {
+  psbt: string;
+  inputs: number;
+  outputs: number;
+  fee: number;
+}
+
+/**
+ * Combined PSBT interface
+ */
+export interface CombinedPsbt {
+  complete: boolean;
+  psbt: string;
+  signedInputs: number;
+  signatures: string[][]; // Public keys that signed each input
+  txid?: string;
+  txHex?: string;
+  fee?: number;
+  virtualSize?: number;
+}
+
+/**
+ * Locked UTXO interface
+ */
+export interface LockedUTXO {
+  key: string;
+  reference: string;
+  expiresAt: string;
 }
 
 /**
@@ -62,6 +363,7 @@ export interface TransactionResult {
   inputs: number;
   outputs: number;
   fee: number;
+  virtualSize?: number;
 }
 
 /**
@@ -70,12 +372,38 @@ export interface TransactionResult {
 export interface WalletConfig {
   name: string;
   network?: string;
-  walletAddress: string;
+  walletAddress?: string; // Derived from the cosigners of a multisig wallet, or the xpub of an HD wallet
   secret?: string;
   secretEnvVar?: string;
   transceiver?: TransceiverConfig;
   broadcasting?: TransceiverConfig;
   connectionType?: string;
+  coinSelection?: CoinSelectionConfig;
+  dustPolicy?: DustPolicyConfig; // Overrides the dust policy of the blockchain for the wallet
+  pendingTransactionStore?: PendingTransactionStoreConfig; // Overrides `pendingTransactions.store` for the wallet
+  signing?: SigningConfig;
+  multisig?: MultisigConfig;
+  hd?: HDWalletConfig;
+}
+
+/**
+ * Broadcast retry configuration interface
+ */
+export interface BroadcastRetryConfig {
+  maxAttempts?: number;   // Attempts after which a transaction is dead-lettered (default: 5)
+  initialDelay?: number;  // Delay in milliseconds before the first retry (default: 5000)
+  maxDelay?: number;      // Longest delay in milliseconds between retries (default: 300000)
+  backoffFactor?: number; // Factor by which the delay grows after each retry (default: 2)
+}
+
+/**
+ * Failover transceiver configuration interface
+ */
+export interface FailoverTransceiverConfig {
+  name?: string; // Name recorded with its attempts (default: `failover-<n>`)
+  method?: 'callback' | 'event' | 'api' | 'return'; // Default: callback
+  callbackModule?: string; // Required for the `callback` method
+  [key: string]: any;
 }
 
 /**
@@ -84,6 +412,8 @@ export interface WalletConfig {
 export interface TransceiverConfig {
   method: 'callback' | 'event' | 'api' | 'return';
   callbackModule?: string;
+  retry?: BroadcastRetryConfig;   // Retries of failed broadcasts with the `callback` method
+  failover?: FailoverTransceiverConfig[]; // Transceivers that broadcasts fail over to, in order
   monitoringInterval?: number;
   reconnectInterval?: number;
   maxReconnectAttempts?: number;
@@ -103,9 +433,24 @@ export interface BlockchainConnector {
   transceiverManager: any;
   createTransaction(inputs: UTXOInput[], outputs: UTXOOutput[], options?: CreateTransactionOptions): Promise<TransactionResult>;
   broadcastTransaction(txHex: string, metadata?: any): Promise<any>;
-  sendTransaction(toAddress: string, amount: number, options: SendTransactionOptions): Promise<any>;
+  sendTransaction(toAddress: string, amount: number, options?: SendTransactionOptions): Promise<any>;
+  isExternallySigned(): boolean;
+  getMultisigInfo(): MultisigInfo | null;
+  getHdWalletInfo(): HDWalletInfo | null;
+  allocateReceiveAddress(): Promise<DerivedAddress>;
+  setReceiveIndex(index: number): void;
+  getWatchAddresses(): Array<{ address: string; chain?: number; index?: number; path?: string }>;
+  discoverAddresses(): Promise<{ receiveIndex: number; changeIndex: number }>;
+  createUnsignedTransaction(id: string, toAddress: string, amount: number, options?: SendTransactionOptions & { metadata?: { [key: string]: any } }): Promise<UnsignedTransaction>;
+  getUnsignedTransaction(id: string): UnsignedTransaction | undefined;
+  getAllUnsignedTransactions(): UnsignedTransaction[];
+  addSignatures(id: string, psbts: string[]): UnsignedTransaction;
+  broadcastSignedTransaction(id: string): Promise<any>;
+  getLockedUtxos(): LockedUTXO[];
+  releaseUtxos(utxos: Array<{ txid: string; vout: number }>): void;
   verifyAddress(address: string): boolean;
-  estimateFee(inputCount: number, outputCount: number, feeRate?: number): number;
+  checkPayment(toAddress: string, amount: number | string): DustViolation | null;
+  estimateFee(inputs: number | SizeEstimateEntry[], outputs: number | SizeEstimateEntry[], feeRate?: number): number;
   monitorWalletAddress(address: string, callback: Function): Promise<any>;
   stopMonitoringWalletAddress(address: string): Promise<boolean>;
   getWalletBalance(address?: string): Promise<number>;
@@ -135,6 +480,8 @@ export interface UTXOTransceiver {
   getWalletBalance(address: string): Promise<number>;
   getTransactionHistory(address: string, limit?: number): Promise<any[]>;
   getUTXOs(address: string): Promise<UTXOInput[]>;
+  getTransactionStatus?(txid: string): Promise<TransactionStatus | null>;
+  getRawTransaction?(txid: string): Promise<string>;
   on(event: string, listener: Function): void;
   off(event: string, listener: Function): void;
   emit(event: string, ...args: any[]): void;
@@ -148,7 +495,7 @@ export interface UTXOTransceiver {
 export interface TransceiverManager {
   config: TransceiverConfig;
   eventEmitter: any;
-  pendingTransactions: Map<string, any>;
+  pendingTransactions: PendingTransactionStore;
   monitoredAddresses: Map<string, any>;
   transceiver: any;
   broadcastTransaction(txHex: string, metadata?: any): Promise<any>;
@@ -157,8 +504,14 @@ export interface TransceiverManager {
   getWalletBalance(address: string): Promise<number>;
   getTransactionHistory(address: string, limit?: number): Promise<any[]>;
   getUTXOs(address: string): Promise<UTXOInput[]>;
+  getTransactionStatus(txid: string): Promise<TransactionStatus | null>;
+  getRawTransaction(txid: string): Promise<string>;
   getPendingTransaction(txid: string): any;
-  getAllPendingTransactions(): any[];
+  getAllPendingTransactions(): PendingTransaction[];
+  updatePendingTransaction(txid: string, updates: { [key: string]: any }): any;
+  transitionPendingTransaction(txid: string, status: PendingTransactionStatus, updates?: { [key: string]: any }): any;
+  recoverPendingTransactions(): PendingTransaction[];
+  retryBroadcast(txid: string): Promise<any>;
   getAllMonitoredAddresses(): any[];
   on(event: string, listener: Function): void;
   off(event: string, listener: Function): void;
@@ -173,8 +526,15 @@ export interface TransactionBuilder {
   blockchain: string;
   network: string;
   networkParams: any;
+  addressType: AddressType;
   createAndSignTransaction(privateKey: string, inputs: UTXOInput[], outputs: UTXOOutput[], options?: CreateTransactionOptions): TransactionResult;
+  createPsbt(publicKey: string | Buffer, inputs: UTXOInput[], outputs: UTXOOutput[], options?: CreateTransactionOptions): PsbtResult;
+  signPsbt(privateKey: string, psbt: string): { psbt: string; signedInputs: number };
+  combinePsbts(psbts: string[]): CombinedPsbt;
   verifyAddress(address: string): boolean;
-  estimateTransactionSize(inputCount: number, outputCount: number): number;
-  estimateFee(inputCount: number, outputCount: number, feeRate?: number): number;
+  getAddressType(address: string): AddressType | null;
+  getInputType(input: UTXOInput): AddressType | 'multisig' | null;
+  getDustThreshold(address?: string): bigint;
+  estimateTransactionSize(inputs: number | SizeEstimateEntry[], outputs: number | SizeEstimateEntry[]): number;
+  estimateFee(inputs: number | SizeEstimateEntry[], outputs: number | SizeEstimateEntry[], feeRate?: number): number;
 }
@@ -0,0 +1,134 @@
+/**
+ * UTXO Lock Manager
+ *
+ * This module keeps track of the UTXOs that have been selected for a transaction, so that
+ * concurrent transactions from the same wallet do not spend the same inputs. A UTXO is locked
+ * when it is selected, and stays locked until it is released or its lock expires. Locks of UTXOs
+ * that were spent expire once the transceiver has had time to stop reporting them as unspent.
+ */
+
+const DEFAULT_LOCK_TIMEOUT_MS = 600000;
+
+/**
+ * UTXO Lock Manager class
+ */
+class UtxoLockManager {
+  /**
+   * Constructor
+   * @param {Object} config The lock configuration
+   * @param {number} config.lockTimeout The time in milliseconds after which a lock expires (default: 10 minutes)
+   */
+  constructor(config = {}) {
+    this.lockTimeout = config.lockTimeout || DEFAULT_LOCK_TIMEOUT_MS;
+    this.locks = new Map();
+  }
+  
+  /**
+   * Get the key of a UTXO
+   * @param {Object} utxo The UTXO
+   * @returns {string} The key, in the format `txid:vout`
+   */
+  static getKey(utxo) {
+    return `${utxo.txid}:${utxo.vout}`;
+  }
+  
+  /**
+   * Check whether a UTXO is locked
+   * @param {Object} utxo The UTXO
+   * @returns {boolean} True if the UTXO is locked
+   */
+  isLocked(utxo) {
+    const key = UtxoLockManager.getKey(utxo);
+    const lock = this.locks.get(key);
+    
+    if (lock && lock.expiresAt <= Date.now()) {
+      this.locks.delete(key);
+      return false;
+    }
+    
+    return Boolean(lock);
+  }
+  
+  /**
+   * Remove the locked UTXOs from a list
+   * @param {Array<Object>} utxos The UTXOs
+   * @returns {Array<Object>} The UTXOs that are not locked
+   */
+  filterUnlocked(utxos) {
+    return utxos.filter(utxo => !this.isLocked(utxo));
+  }
+  
+  /**
+   * Lock UTXOs
+   * @param {Array<Object>} utxos The UTXOs to lock
+   * @param {string} reference A description of what the UTXOs were locked for, such as a transaction ID
+   * @param {number} lockTimeout The time in milliseconds after which the locks expire (default: the configured timeout)
+   * @throws {Error} If any of the UTXOs is already locked
+   */
+  lock(utxos, reference, lockTimeout = this.lockTimeout) {
+    const locked = utxos.filter(utxo => this.isLocked(utxo));
+    
+    if (locked.length > 0) {
+      throw new Error(`UTXOs are already locked: ${locked.map(UtxoLockManager.getKey).join(', ')}`);
+    }
+    
+    const expiresAt = Date.now() + lockTimeout;
+    
+    for (const utxo of utxos) {
+      this.locks.set(UtxoLockManager.getKey(utxo), { reference, expiresAt });
+    }
+  }
+  
+  /**
+   * Extend the locks of UTXOs, for example once the transaction that spends them has been broadcast
+   * @param {Array<Object>} utxos The locked UTXOs
+   * @param {string} reference The new reference of the locks
+   * @param {number} lockTimeout The time in milliseconds after which the locks expire (default: the configured timeout)
+   */
+  renew(utxos, reference, lockTimeout = this.lockTimeout) {
+    const expiresAt = Date.now() + lockTimeout;
+    
+    for (const utxo of utxos) {
+      this.locks.set(UtxoLockManager.getKey(utxo), { reference, expiresAt });
+    }
+  }
+  
+  /**
+   * Release the locks of UTXOs
+   * @param {Array<Object>} utxos The UTXOs to release
+   * @param {string} reference Optional reference, to only release the UTXOs that are still locked for it
+   */
+  release(utxos, reference) {
+    for (const utxo of utxos) {
+      const key = UtxoLockManager.getKey(utxo);
+      const lock = this.locks.get(key);
+      
+      if (lock && (reference === undefined || lock.reference === reference)) {
+        this.locks.delete(key);
+      }
+    }
+  }
+  
+  /**
+   * Get the locked UTXOs
+   * @returns {Array<Object>} The keys of the locked UTXOs, with their references and expiry times
+   */
+  getLockedUtxos() {
+    const now = Date.now();
+    const locked = [];
+    
+    for (const [key, lock] of this.locks.entries()) {
+      if (lock.expiresAt > now) {
+        locked.push({ key, reference: lock.reference, expiresAt: new Date(lock.expiresAt).toISOString() });
+      } else {
+        this.locks.delete(key);
+      }
+    }
+    
+    return locked;
+  }
+}
+
+module.exports = {
+  UtxoLockManager
+};
@@ -117,6 +117,51 @@ class UTXOTransceiver {
     throw new Error('Method not implemented: getUTXOs');
   }
   
+  /**
+   * Estimate the fee rate a transaction needs to confirm within a number of blocks
+   *
+   * This method is optional: transceivers that cannot estimate fees return null, and the fee rate
+   * is then taken from the other configured sources (see feeEstimator.js).
+   *
+   * @param {number} targetBlocks The number of blocks
+   * @returns {Promise<number|null>} The fee rate in satoshis per virtual byte, or null if there is no estimate
+   */
+  async estimateFeeRate(targetBlocks) {
+    logger.debug(`Estimating fee rate for confirmation within ${targetBlocks} blocks`);
+    return null;
+  }
+  
+  /**
+   * Get the status of a transaction on the network
+   *
+   * This method is optional: transceivers that implement it let the confirmation tracker follow
+   * broadcast transactions to their confirmation and detect reorgs (see confirmationTracker.js).
+   * Transceivers that can report new blocks emit a `block` event with the `height` and `hash` of
+   * the new tip, so that the confirmations are updated without waiting for the next poll.
+   *
+   * @param {string} txid The transaction ID
+   * @returns {Promise<Object|null>} The status, with `confirmations` and the `blockHeight` and `blockHash` of a confirmed transaction, or null if the network does not know the transaction
+   */
+  async getTransactionStatus(txid) {
+    logger.debug(`Getting status of transaction: ${txid}`);
+    throw new Error('Method not implemented: getTransactionStatus');
+  }
+  
+  /**
+   * Get a raw transaction
+   *
+   * This method is optional, but transceivers of wallets with P2PKH (legacy) addresses need it:
+   * legacy inputs sign the whole transaction that created the output they spend, and the UTXOs do
+   * not carry it unless the transceiver adds it as `txHex`.
+   *
+   * @param {string} txid The transaction ID
+   * @returns {Promise<string>} The transaction in hexadecimal format
+   */
+  async getRawTransaction(txid) {
+    logger.debug(`Getting raw transaction: ${txid}`);
+    throw new Error('Method not implemented: getRawTransaction');
+  }
+  
   /**
    * Register an event listener
    * @param {string} event The event to listen for
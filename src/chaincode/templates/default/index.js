@@ -10,6 +10,66 @@
 
 const { Contract } = require('fabric-contract-api');
 
+// Amounts are stored on the ledger as decimal strings of integer base units (for example
+// satoshis) and calculated with BigInt, so that balances are always exact. The number of decimal
+// places of each blockchain is used to read amounts that were stored as numbers of whole coins.
+const DECIMALS = {
+  bitcoin: 8,
+  litecoin: 8,
+  dogecoin: 8
+};
+
+// Who pays the additional fee of a bumped withdrawal transaction (see setFeeBumpPolicy)
+const FEE_BUMP_CHARGE_TARGETS = ['internal-wallet', 'base-wallet'];
+
+/**
+ * Parse an amount passed to a transaction
+ * @param {string} value The amount in base units, as a decimal string
+ * @param {string} name The name of the amount, used in error messages
+ * @returns {BigInt} The amount in base units
+ */
+function parseAmount(value, name = 'amount') {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`Invalid ${name}: ${value} is not a whole number of base units`);
+  }
+  
+  return BigInt(value);
+}
+
+/**
+ * Read an amount stored on the ledger
+ *
+ * Amounts stored before they were kept in base units are numbers of whole coins. They are
+ * converted when they are read, and stored in base units the next time their record is written.
+ *
+ * @param {string|number} value The stored amount
+ * @param {string} blockchain The blockchain type
+ * @returns {BigInt} The amount in base units
+ */
+function readAmount(value, blockchain) {
+  if (typeof value === 'number') {
+    return BigInt(value.toFixed(DECIMALS[blockchain] || 8).replace('.', ''));
+  }
+  
+  return BigInt(value || '0');
+}
+
+/**
+ * Calculate a percentage of an amount, rounded down to a whole base unit
+ * @param {BigInt} amount The amount in base units
+ * @param {number|string} percentage The percentage, for example 2.5
+ * @returns {BigInt} The percentage of the amount in base units
+ */
+function applyPercentage(amount, percentage) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(percentage));
+  if (!match) {
+    throw new Error(`Invalid percentage: ${percentage}`);
+  }
+  
+  const fraction = match[2] || '';
+  return amount * BigInt(match[1] + fraction) / (100n * 10n ** BigInt(fraction.length));
+}
+
 class FractaLedgerContract extends Contract {
   /**
    * Initialize the ledger
@@ -62,7 +122,7 @@ class FractaLedgerContract extends Contract {
       id,
       blockchain,
       primaryWalletName,
-      balance: 0,
+      balance: '0',
       metadata: parsedMetadata,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
@@ -134,7 +194,7 @@ class FractaLedgerContract extends Contract {
    * Update the balance of an internal wallet
    * @param {Context} ctx The transaction context
    * @param {string} id The internal wallet ID
-   * @param {number} balance The new balance
+   * @param {string} balance The new balance in base units
    * @returns {Object} The updated internal wallet
    */
   async updateInternalWalletBalance(ctx, id, balance) {
@@ -149,7 +209,7 @@ class FractaLedgerContract extends Contract {
     const internalWallet = JSON.parse(walletAsBytes.toString());
     
     // Update the balance
-    internalWallet.balance = parseFloat(balance);
+    internalWallet.balance = parseAmount(balance, 'balance').toString();
     internalWallet.updatedAt = new Date().toISOString();
     
     // Store the updated internal wallet on the ledger
@@ -181,6 +241,7 @@ class FractaLedgerContract extends Contract {
     
     return {
       id,
+      blockchain: internalWallet.blockchain,
       balance: internalWallet.balance
     };
   }
@@ -190,14 +251,17 @@ class FractaLedgerContract extends Contract {
    * @param {Context} ctx The transaction context
    * @param {string} fromWalletId The source internal wallet ID
    * @param {string} toWalletId The destination internal wallet ID
-   * @param {number} amount The amount to transfer
+   * @param {string} amount The amount to transfer in base units
    * @returns {Object} The transfer result
    */
   async transferBetweenInternalWallets(ctx, fromWalletId, toWalletId, amount) {
     console.info('============= START : Transfer Between Internal Wallets ===========');
     
     // Parse the amount
-    const transferAmount = parseFloat(amount);
+    const transferAmount = parseAmount(amount);
+    if (transferAmount <= 0n) {
+      throw new Error('Transfer amount must be greater than zero');
+    }
     
     // Get the source internal wallet
     const fromWalletAsBytes = await ctx.stub.getState(fromWalletId);
@@ -216,15 +280,16 @@ class FractaLedgerContract extends Contract {
     const toWallet = JSON.parse(toWalletAsBytes.toString());
     
     // Check if the source wallet has enough balance
-    if (fromWallet.balance < transferAmount) {
+    const fromBalance = readAmount(fromWallet.balance, fromWallet.blockchain);
+    if (fromBalance < transferAmount) {
       throw new Error(`Insufficient balance in source internal wallet ${fromWalletId}`);
     }
     
     // Update the balances
-    fromWallet.balance -= transferAmount;
+    fromWallet.balance = (fromBalance - transferAmount).toString();
     fromWallet.updatedAt = new Date().toISOString();
     
-    toWallet.balance += transferAmount;
+    toWallet.balance = (readAmount(toWallet.balance, toWallet.blockchain) + transferAmount).toString();
     toWallet.updatedAt = new Date().toISOString();
     
     // Store the updated internal wallets on the ledger
@@ -237,7 +302,7 @@ class FractaLedgerContract extends Contract {
       id: transferId,
       fromWalletId,
       toWalletId,
-      amount: transferAmount,
+      amount: transferAmount.toString(),
       timestamp: new Date().toISOString()
     };
     
@@ -254,16 +319,18 @@ class FractaLedgerContract extends Contract {
    * @param {Context} ctx The transaction context
    * @param {string} internalWalletId The internal wallet ID
    * @param {string} toAddress The destination address
-   * @param {number} amount The amount to withdraw
-   * @param {number} fee The transaction fee
+   * @param {string} amount The amount to withdraw in base units
+   * @param {string} fee The transaction fee in base units
+   * @param {string} awaitingSignature 'true' if the withdrawal transaction is signed outside of FractaLedger
+   * @param {string} feeDetails JSON string with the fee rate in satoshis per virtual byte that the fee was estimated at, and the priority it was chosen for
    * @returns {Object} The withdrawal result
    */
-  async withdrawFromInternalWallet(ctx, internalWalletId, toAddress, amount, fee) {
+  async withdrawFromInternalWallet(ctx, internalWalletId, toAddress, amount, fee, awaitingSignature = 'false', feeDetails = '{}') {
     console.info('============= START : Withdraw From Internal Wallet ===========');
     
     // Parse the amount and fee
-    const withdrawalAmount = parseFloat(amount);
-    const transactionFee = parseFloat(fee);
+    const withdrawalAmount = parseAmount(amount);
+    const transactionFee = parseAmount(fee, 'fee');
     const totalAmount = withdrawalAmount + transactionFee;
     
     // Get the internal wallet
@@ -275,12 +342,13 @@ class FractaLedgerContract extends Contract {
     const internalWallet = JSON.parse(walletAsBytes.toString());
     
     // Check if the internal wallet has enough balance
-    if (internalWallet.balance < totalAmount) {
+    const balance = readAmount(internalWallet.balance, internalWallet.blockchain);
+    if (balance < totalAmount) {
       throw new Error(`Insufficient balance in internal wallet ${internalWalletId}`);
     }
     
     // Update the balance
-    internalWallet.balance -= totalAmount;
+    internalWallet.balance = (balance - totalAmount).toString();
     internalWallet.updatedAt = new Date().toISOString();
     
     // Store the updated internal wallet on the ledger
@@ -288,15 +356,23 @@ class FractaLedgerContract extends Contract {
     
     // Create a withdrawal record
     const withdrawalId = ctx.stub.getTxID();
+    const { feeRate, priority } = JSON.parse(feeDetails);
     const withdrawal = {
       id: withdrawalId,
       internalWalletId,
       toAddress,
-      amount: withdrawalAmount,
-      fee: transactionFee,
+      amount: withdrawalAmount.toString(),
+      fee: transactionFee.toString(),
+      feeRate: feeRate || null,
+      priority: priority || null,
       timestamp: new Date().toISOString()
     };
     
+    // Withdrawals signed outside of FractaLedger wait for their signatures (see completeWithdrawal)
+    if (awaitingSignature === 'true') {
+      withdrawal.status = 'awaiting-signature';
+    }
+    
     // Store the withdrawal record on the ledger
     await ctx.stub.putState(`WITHDRAWAL_${withdrawalId}`, Buffer.from(JSON.stringify(withdrawal)));
     
@@ -305,6 +381,778 @@ class FractaLedgerContract extends Contract {
     return withdrawal;
   }
   
+  /**
+   * Get a withdrawal record
+   * @param {Context} ctx The transaction context
+   * @param {string} withdrawalId The withdrawal ID
+   * @returns {Object} The withdrawal record
+   */
+  async getWithdrawal(ctx, withdrawalId) {
+    const withdrawalAsBytes = await ctx.stub.getState(`WITHDRAWAL_${withdrawalId}`);
+    if (!withdrawalAsBytes || withdrawalAsBytes.length === 0) {
+      throw new Error(`Withdrawal ${withdrawalId} does not exist`);
+    }
+    
+    return JSON.parse(withdrawalAsBytes.toString());
+  }
+  
+  /**
+   * Record the signed transaction of a withdrawal that was awaiting its signatures
+   * @param {Context} ctx The transaction context
+   * @param {string} withdrawalId The withdrawal ID
+   * @param {string} txid The ID of the signed transaction
+   * @returns {Object} The updated withdrawal record
+   */
+  async completeWithdrawal(ctx, withdrawalId, txid) {
+    console.info('============= START : Complete Withdrawal ===========');
+    
+    const withdrawal = await this.getWithdrawal(ctx, withdrawalId);
+    
+    if (withdrawal.status !== 'awaiting-signature') {
+      throw new Error(`Withdrawal ${withdrawalId} is not awaiting a signature`);
+    }
+    
+    withdrawal.status = 'signed';
+    withdrawal.txid = txid;
+    withdrawal.signedAt = new Date().toISOString();
+    
+    await ctx.stub.putState(`WITHDRAWAL_${withdrawalId}`, Buffer.from(JSON.stringify(withdrawal)));
+    
+    console.info('============= END : Complete Withdrawal ===========');
+    
+    return withdrawal;
+  }
+  
+  /**
+   * Cancel a withdrawal that was awaiting its signatures, or whose transaction could not be broadcast, and credit its
+   * amount and fee back to its internal wallet
+   * @param {Context} ctx The transaction context
+   * @param {string} withdrawalId The withdrawal ID
+   * @param {string} reason Why the withdrawal was cancelled, such as the error that prevented its transaction
+   * @returns {Object} The cancelled withdrawal record
+   */
+  async cancelWithdrawal(ctx, withdrawalId, reason = '') {
+    console.info('============= START : Cancel Withdrawal ===========');
+    
+    const withdrawal = await this.getWithdrawal(ctx, withdrawalId);
+    
+    // Withdrawals from hot wallets have no status; once their fee is bumped, their transaction has been broadcast
+    const awaitingBroadcast = !withdrawal.status && !withdrawal.feeBumps;
+    
+    if (withdrawal.status !== 'awaiting-signature' && !awaitingBroadcast) {
+      throw new Error(`Withdrawal ${withdrawalId} is not awaiting a signature or a broadcast`);
+    }
+    
+    // Get the internal wallet
+    const walletAsBytes = await ctx.stub.getState(withdrawal.internalWalletId);
+    if (!walletAsBytes || walletAsBytes.length === 0) {
+      throw new Error(`Internal wallet ${withdrawal.internalWalletId} does not exist`);
+    }
+    
+    const internalWallet = JSON.parse(walletAsBytes.toString());
+    
+    // Update the balance
+    const refund = BigInt(withdrawal.amount) + BigInt(withdrawal.fee);
+    internalWallet.balance = (readAmount(internalWallet.balance, internalWallet.blockchain) + refund).toString();
+    internalWallet.updatedAt = new Date().toISOString();
+    
+    // Store the updated internal wallet on the ledger
+    await ctx.stub.putState(withdrawal.internalWalletId, Buffer.from(JSON.stringify(internalWallet)));
+    
+    withdrawal.status = 'cancelled';
+    withdrawal.cancelledAt = new Date().toISOString();
+    withdrawal.cancellationReason = reason || null;
+    
+    await ctx.stub.putState(`WITHDRAWAL_${withdrawalId}`, Buffer.from(JSON.stringify(withdrawal)));
+    
+    console.info('============= END : Cancel Withdrawal ===========');
+    
+    return withdrawal;
+  }
+  
+  /**
+   * Queue a withdrawal to be paid in a batch transaction with other withdrawals of its primary wallet
+   *
+   * The internal wallet is debited with the amount and the fee the withdrawal would pay on its own,
+   * which is reserved until the batch is settled (see settleWithdrawalBatch).
+   *
+   * @param {Context} ctx The transaction context
+   * @param {string} internalWalletId The internal wallet ID
+   * @param {string} toAddress The destination address
+   * @param {string} amount The amount to withdraw in base units
+   * @param {string} fee The reserved fee in base units
+   * @param {string} feeDetails JSON string with the fee rate in satoshis per virtual byte and the priority, as for withdrawFromInternalWallet
+   * @returns {Object} The queued withdrawal record
+   */
+  async queueWithdrawal(ctx, internalWalletId, toAddress, amount, fee, feeDetails = '{}') {
+    console.info('============= START : Queue Withdrawal ===========');
+    
+    const withdrawal = await this.withdrawFromInternalWallet(ctx, internalWalletId, toAddress, amount, fee, 'false', feeDetails);
+    const internalWallet = JSON.parse((await ctx.stub.getState(internalWalletId)).toString());
+    
+    withdrawal.status = 'queued';
+    withdrawal.blockchain = internalWallet.blockchain;
+    withdrawal.primaryWalletName = internalWallet.primaryWalletName;
+    
+    await ctx.stub.putState(`WITHDRAWAL_${withdrawal.id}`, Buffer.from(JSON.stringify(withdrawal)));
+    
+    console.info('============= END : Queue Withdrawal ===========');
+    
+    return withdrawal;
+  }
+  
+  /**
+   * Get the withdrawals that are queued for a batch transaction
+   * @param {Context} ctx The transaction context
+   * @param {string} blockchain Optional blockchain to filter by
+   * @param {string} primaryWalletName Optional primary wallet to filter by
+   * @returns {Array} The queued withdrawal records
+   */
+  async getQueuedWithdrawals(ctx, blockchain = '', primaryWalletName = '') {
+    const iterator = await ctx.stub.getStateByRange('WITHDRAWAL_', 'WITHDRAWAL_\uffff');
+    
+    const withdrawals = [];
+    
+    let result = await iterator.next();
+    while (!result.done) {
+      const value = result.value.value.toString('utf8');
+      if (value) {
+        const withdrawal = JSON.parse(value);
+        
+        if (withdrawal.status === 'queued'
+          && (!blockchain || withdrawal.blockchain === blockchain)
+          && (!primaryWalletName || withdrawal.primaryWalletName === primaryWalletName)) {
+          withdrawals.push(withdrawal);
+        }
+      }
+      result = await iterator.next();
+    }
+    
+    await iterator.close();
+    
+    return withdrawals;
+  }
+  
+  /**
+   * Settle the queued withdrawals that a batch transaction pays
+   *
+   * Each withdrawal is linked to the batch transaction and its output, and pays its share of the
+   * batch fee instead of the fee reserved when it was queued: the difference is refunded to its
+   * internal wallet, or charged if the share is higher.
+   *
+   * @param {Context} ctx The transaction context
+   * @param {string} batchId The batch ID
+   * @param {string} txid The ID of the batch transaction
+   * @param {string} allocations JSON array of the withdrawals in the batch, each with its `withdrawalId`, the `vout` of its output and its `fee` share in base units
+   * @param {string} details JSON string with the blockchain, the primary wallet name, the fee rate and the fee split rule of the batch
+   * @returns {Object} The batch record
+   */
+  async settleWithdrawalBatch(ctx, batchId, txid, allocations, details = '{}') {
+    console.info('============= START : Settle Withdrawal Batch ===========');
+    
+    const batchAsBytes = await ctx.stub.getState(`BATCH_${batchId}`);
+    if (batchAsBytes && batchAsBytes.length > 0) {
+      throw new Error(`Withdrawal batch ${batchId} already exists`);
+    }
+    
+    const entries = JSON.parse(allocations);
+    const withdrawals = [];
+    let totalFee = 0n;
+    
+    for (const { withdrawalId, vout, fee } of entries) {
+      const share = parseAmount(fee, 'fee');
+      const withdrawal = await this.getWithdrawal(ctx, withdrawalId);
+      
+      if (withdrawal.status !== 'queued') {
+        throw new Error(`Withdrawal ${withdrawalId} is not queued`);
+      }
+      
+      // Refund the reserved fee that exceeds the share, or charge the share that exceeds it
+      const walletAsBytes = await ctx.stub.getState(withdrawal.internalWalletId);
+      if (!walletAsBytes || walletAsBytes.length === 0) {
+        throw new Error(`Internal wallet ${withdrawal.internalWalletId} does not exist`);
+      }
+      
+      const internalWallet = JSON.parse(walletAsBytes.toString());
+      const balance = readAmount(internalWallet.balance, internalWallet.blockchain) + BigInt(withdrawal.fee) - share;
+      if (balance < 0n) {
+        throw new Error(`Insufficient balance in internal wallet ${withdrawal.internalWalletId}`);
+      }
+      
+      internalWallet.balance = balance.toString();
+      internalWallet.updatedAt = new Date().toISOString();
+      await ctx.stub.putState(withdrawal.internalWalletId, Buffer.from(JSON.stringify(internalWallet)));
+      
+      withdrawal.reservedFee = withdrawal.fee;
+      withdrawal.fee = share.toString();
+      withdrawal.status = 'batched';
+      withdrawal.batchId = batchId;
+      withdrawal.txid = txid;
+      withdrawal.vout = Number(vout);
+      
+      await ctx.stub.putState(`WITHDRAWAL_${withdrawalId}`, Buffer.from(JSON.stringify(withdrawal)));
+      
+      withdrawals.push({
+        withdrawalId,
+        internalWalletId: withdrawal.internalWalletId,
+        toAddress: withdrawal.toAddress,
+        amount: withdrawal.amount,
+        fee: withdrawal.fee,
+        vout: withdrawal.vout
+      });
+      totalFee += share;
+    }
+    
+    const { blockchain, primaryWalletName, feeRate, feeSplit } = JSON.parse(details);
+    const batch = {
+      id: batchId,
+      txid,
+      blockchain: blockchain || null,
+      primaryWalletName: primaryWalletName || null,
+      fee: totalFee.toString(),
+      feeRate: feeRate || null,
+      feeSplit: feeSplit || null,
+      withdrawals,
+      timestamp: new Date().toISOString()
+    };
+    
+    await ctx.stub.putState(`BATCH_${batchId}`, Buffer.from(JSON.stringify(batch)));
+    
+    console.info('============= END : Settle Withdrawal Batch ===========');
+    
+    return batch;
+  }
+  
+  /**
+   * Get a withdrawal batch record
+   * @param {Context} ctx The transaction context
+   * @param {string} batchId The batch ID
+   * @returns {Object} The batch record
+   */
+  async getWithdrawalBatch(ctx, batchId) {
+    const batchAsBytes = await ctx.stub.getState(`BATCH_${batchId}`);
+    if (!batchAsBytes || batchAsBytes.length === 0) {
+      throw new Error(`Withdrawal batch ${batchId} does not exist`);
+    }
+    
+    return JSON.parse(batchAsBytes.toString());
+  }
+  
+  /**
+   * Set who pays the additional fee when the fee of a withdrawal transaction is bumped
+   * @param {Context} ctx The transaction context
+   * @param {string} chargeTo 'internal-wallet' to charge the internal wallet of the withdrawal, or 'base-wallet' to charge the base wallet of its primary wallet
+   * @returns {Object} The fee bump policy
+   */
+  async setFeeBumpPolicy(ctx, chargeTo) {
+    console.info('============= START : Set Fee Bump Policy ===========');
+    
+    if (!FEE_BUMP_CHARGE_TARGETS.includes(chargeTo)) {
+      throw new Error(`Invalid fee bump policy: ${chargeTo} is not one of ${FEE_BUMP_CHARGE_TARGETS.join(', ')}`);
+    }
+    
+    const policy = {
+      chargeTo,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await ctx.stub.putState('FEE_BUMP_POLICY', Buffer.from(JSON.stringify(policy)));
+    
+    console.info('============= END : Set Fee Bump Policy ===========');
+    
+    return policy;
+  }
+  
+  /**
+   * Get who pays the additional fee when the fee of a withdrawal transaction is bumped
+   * @param {Context} ctx The transaction context
+   * @returns {Object} The fee bump policy; the internal wallet of the withdrawal is charged unless a policy was set
+   */
+  async getFeeBumpPolicy(ctx) {
+    const policyAsBytes = await ctx.stub.getState('FEE_BUMP_POLICY');
+    if (!policyAsBytes || policyAsBytes.length === 0) {
+      return { chargeTo: 'internal-wallet' };
+    }
+    
+    return JSON.parse(policyAsBytes.toString());
+  }
+  
+  /**
+   * Charge the additional fee of a bumped withdrawal transaction, as the fee bump policy sets
+   * @param {Context} ctx The transaction context
+   * @param {string} withdrawalId The withdrawal ID
+   * @param {string} txid The ID of the replacement transaction (RBF) or of the child transaction (CPFP)
+   * @param {string} additionalFee The additional fee in base units
+   * @param {string} baseWalletId The base wallet of the withdrawal's primary wallet, charged under the 'base-wallet' policy
+   * @param {string} details JSON string with the method (`rbf` or `cpfp`), the ID of the bumped transaction and the new fee rate in satoshis per virtual byte
+   * @returns {Object} The updated withdrawal record
+   */
+  async bumpWithdrawalFee(ctx, withdrawalId, txid, additionalFee, baseWalletId, details = '{}') {
+    console.info('============= START : Bump Withdrawal Fee ===========');
+    
+    const bumpFee = parseAmount(additionalFee, 'fee');
+    const withdrawal = await this.getWithdrawal(ctx, withdrawalId);
+    const { chargeTo } = await this.getFeeBumpPolicy(ctx);
+    const walletId = chargeTo === 'base-wallet' ? baseWalletId : withdrawal.internalWalletId;
+    
+    // Get the charged wallet
+    const walletAsBytes = await ctx.stub.getState(walletId);
+    if (!walletAsBytes || walletAsBytes.length === 0) {
+      throw new Error(`Internal wallet ${walletId} does not exist`);
+    }
+    
+    const wallet = JSON.parse(walletAsBytes.toString());
+    
+    // Check if the charged wallet has enough balance
+    const balance = readAmount(wallet.balance, wallet.blockchain);
+    if (balance < bumpFee) {
+      throw new Error(`Insufficient balance in internal wallet ${walletId}`);
+    }
+    
+    // Update the balance
+    wallet.balance = (balance - bumpFee).toString();
+    wallet.updatedAt = new Date().toISOString();
+    
+    await ctx.stub.putState(walletId, Buffer.from(JSON.stringify(wallet)));
+    
+    // Record the fee bump; a replacement takes the place of the withdrawal's transaction
+    const { method, originalTxid, feeRate } = JSON.parse(details);
+    withdrawal.feeBumps = [
+      ...(withdrawal.feeBumps || []),
+      {
+        txid,
+        method: method || null,
+        originalTxid: originalTxid || null,
+        additionalFee: bumpFee.toString(),
+        feeRate: feeRate || null,
+        chargedTo: chargeTo,
+        chargedWalletId: walletId,
+        timestamp: new Date().toISOString()
+      }
+    ];
+    
+    if (method === 'rbf') {
+      withdrawal.txid = txid;
+    }
+    
+    if (feeRate) {
+      withdrawal.feeRate = feeRate;
+    }
+    
+    await ctx.stub.putState(`WITHDRAWAL_${withdrawalId}`, Buffer.from(JSON.stringify(withdrawal)));
+    
+    console.info('============= END : Bump Withdrawal Fee ===========');
+    
+    return withdrawal;
+  }
+  
+  /**
+   * Record a UTXO consolidation of a primary wallet, and charge its fee to the base wallet
+   *
+   * A consolidation moves the primary wallet's funds between its own outputs, so the only change
+   * to the balances is the fee, which the base wallet pays to keep the sum of the internal wallets
+   * equal to the on-chain balance.
+   *
+   * @param {Context} ctx The transaction context
+   * @param {string} consolidationId The consolidation ID
+   * @param {string} baseWalletId The base wallet of the primary wallet
+   * @param {string} txid The ID of the consolidation transaction
+   * @param {string} fee The fee in base units
+   * @param {string} details JSON string with the blockchain, primary wallet name, fee rate, and number and total value in base units of the spent UTXOs
+   * @returns {Object} The consolidation record
+   */
+  async recordUtxoConsolidation(ctx, consolidationId, baseWalletId, txid, fee, details = '{}') {
+    console.info('============= START : Record UTXO Consolidation ===========');
+    
+    const consolidationAsBytes = await ctx.stub.getState(`CONSOLIDATION_${consolidationId}`);
+    if (consolidationAsBytes && consolidationAsBytes.length > 0) {
+      throw new Error(`Consolidation ${consolidationId} already exists`);
+    }
+    
+    const consolidationFee = parseAmount(fee, 'fee');
+    
+    // Get the base wallet
+    const walletAsBytes = await ctx.stub.getState(baseWalletId);
+    if (!walletAsBytes || walletAsBytes.length === 0) {
+      throw new Error(`Base wallet ${baseWalletId} does not exist`);
+    }
+    
+    const baseWallet = JSON.parse(walletAsBytes.toString());
+    
+    // Check if the base wallet has enough balance
+    const balance = readAmount(baseWallet.balance, baseWallet.blockchain);
+    if (balance < consolidationFee) {
+      throw new Error(`Insufficient balance in base wallet ${baseWalletId}`);
+    }
+    
+    // Update the balance
+    baseWallet.balance = (balance - consolidationFee).toString();
+    baseWallet.updatedAt = new Date().toISOString();
+    
+    await ctx.stub.putState(baseWalletId, Buffer.from(JSON.stringify(baseWallet)));
+    
+    const { feeRate, inputCount, inputTotal } = JSON.parse(details);
+    const consolidation = {
+      id: consolidationId,
+      txid,
+      blockchain: baseWallet.blockchain,
+      primaryWalletName: baseWallet.primaryWalletName,
+      baseWalletId,
+      fee: consolidationFee.toString(),
+      feeRate: feeRate || null,
+      inputCount: inputCount || null,
+      inputTotal: inputTotal !== undefined ? parseAmount(inputTotal, 'inputTotal').toString() : null,
+      timestamp: new Date().toISOString()
+    };
+    
+    await ctx.stub.putState(`CONSOLIDATION_${consolidationId}`, Buffer.from(JSON.stringify(consolidation)));
+    
+    console.info('============= END : Record UTXO Consolidation ===========');
+    
+    return consolidation;
+  }
+  
+  /**
+   * Get the UTXO consolidations of the primary wallets
+   * @param {Context} ctx The transaction context
+   * @param {string} blockchain Optional blockchain to filter by
+   * @param {string} primaryWalletName Optional primary wallet to filter by
+   * @returns {Array} The consolidation records
+   */
+  async getUtxoConsolidations(ctx, blockchain = '', primaryWalletName = '') {
+    const iterator = await ctx.stub.getStateByRange('CONSOLIDATION_', 'CONSOLIDATION_\uffff');
+    
+    const consolidations = [];
+    
+    let result = await iterator.next();
+    while (!result.done) {
+      const value = result.value.value.toString('utf8');
+      if (value) {
+        const consolidation = JSON.parse(value);
+        
+        if ((!blockchain || consolidation.blockchain === blockchain)
+          && (!primaryWalletName || consolidation.primaryWalletName === primaryWalletName)) {
+          consolidations.push(consolidation);
+        }
+      }
+      result = await iterator.next();
+    }
+    
+    await iterator.close();
+    
+    return consolidations;
+  }
+  
+  /**
+   * Register a receive address that was derived for an internal wallet
+   * @param {Context} ctx The transaction context
+   * @param {string} address The receive address
+   * @param {string} internalWalletId The internal wallet that is credited with deposits to the address
+   * @param {string} path The path of the address below the primary wallet's xpub, such as 0/5
+   * @param {string} requestId Optional ID of the deposit request that the address was derived for
+   * @returns {Object} The deposit address record
+   */
+  async registerDepositAddress(ctx, address, internalWalletId, path, requestId = '') {
+    console.info('============= START : Register Deposit Address ===========');
+    
+    // Check if the address is already registered
+    const addressAsBytes = await ctx.stub.getState(`DEPOSIT_ADDRESS_${address}`);
+    if (addressAsBytes && addressAsBytes.length > 0) {
+      throw new Error(`Deposit address ${address} is already registered`);
+    }
+    
+    // Get the internal wallet
+    const walletAsBytes = await ctx.stub.getState(internalWalletId);
+    if (!walletAsBytes || walletAsBytes.length === 0) {
+      throw new Error(`Internal wallet ${internalWalletId} does not exist`);
+    }
+    
+    const internalWallet = JSON.parse(walletAsBytes.toString());
+    
+    const depositAddress = {
+      address,
+      internalWalletId,
+      blockchain: internalWallet.blockchain,
+      primaryWalletName: internalWallet.primaryWalletName,
+      path,
+      requestId: requestId || null,
+      createdAt: new Date().toISOString()
+    };
+    
+    // Store the deposit address record on the ledger
+    await ctx.stub.putState(`DEPOSIT_ADDRESS_${address}`, Buffer.from(JSON.stringify(depositAddress)));
+    
+    console.info('============= END : Register Deposit Address ===========');
+    
+    return depositAddress;
+  }
+  
+  /**
+   * Get a deposit address record
+   * @param {Context} ctx The transaction context
+   * @param {string} address The receive address
+   * @returns {Object} The deposit address record
+   */
+  async getDepositAddress(ctx, address) {
+    const addressAsBytes = await ctx.stub.getState(`DEPOSIT_ADDRESS_${address}`);
+    if (!addressAsBytes || addressAsBytes.length === 0) {
+      throw new Error(`Deposit address ${address} does not exist`);
+    }
+    
+    return JSON.parse(addressAsBytes.toString());
+  }
+  
+  /**
+   * Get the deposit addresses of an internal wallet, or of all internal wallets
+   * @param {Context} ctx The transaction context
+   * @param {string} internalWalletId Optional internal wallet ID
+   * @returns {Array} The deposit address records
+   */
+  async getDepositAddresses(ctx, internalWalletId = '') {
+    const iterator = await ctx.stub.getStateByRange('DEPOSIT_ADDRESS_', 'DEPOSIT_ADDRESS_\uffff');
+    
+    const depositAddresses = [];
+    
+    let result = await iterator.next();
+    while (!result.done) {
+      const value = result.value.value.toString('utf8');
+      if (value) {
+        const depositAddress = JSON.parse(value);
+        
+        if (!internalWalletId || depositAddress.internalWalletId === internalWalletId) {
+          depositAddresses.push(depositAddress);
+        }
+      }
+      result = await iterator.next();
+    }
+    
+    await iterator.close();
+    
+    return depositAddresses;
+  }
+  
+  /**
+   * Create a payment request, which deposits can name in an OP_RETURN memo
+   * @param {Context} ctx The transaction context
+   * @param {string} id The payment request ID
+   * @param {string} internalWalletId The internal wallet that is credited with payments of the request
+   * @param {string} amount Optional amount requested in base units
+   * @returns {Object} The payment request record
+   */
+  async createPaymentRequest(ctx, id, internalWalletId, amount = '') {
+    console.info('============= START : Create Payment Request ===========');
+    
+    // Check if the payment request already exists
+    const requestAsBytes = await ctx.stub.getState(`PAYMENT_REQUEST_${id}`);
+    if (requestAsBytes && requestAsBytes.length > 0) {
+      throw new Error(`Payment request ${id} already exists`);
+    }
+    
+    // Get the internal wallet
+    const walletAsBytes = await ctx.stub.getState(internalWalletId);
+    if (!walletAsBytes || walletAsBytes.length === 0) {
+      throw new Error(`Internal wallet ${internalWalletId} does not exist`);
+    }
+    
+    const internalWallet = JSON.parse(walletAsBytes.toString());
+    
+    const paymentRequest = {
+      id,
+      internalWalletId,
+      blockchain: internalWallet.blockchain,
+      primaryWalletName: internalWallet.primaryWalletName,
+      amount: amount ? parseAmount(amount).toString() : null,
+      createdAt: new Date().toISOString()
+    };
+    
+    // Store the payment request record on the ledger
+    await ctx.stub.putState(`PAYMENT_REQUEST_${id}`, Buffer.from(JSON.stringify(paymentRequest)));
+    
+    console.info('============= END : Create Payment Request ===========');
+    
+    return paymentRequest;
+  }
+  
+  /**
+   * Get a payment request
+   * @param {Context} ctx The transaction context
+   * @param {string} id The payment request ID
+   * @returns {Object} The payment request record
+   */
+  async getPaymentRequest(ctx, id) {
+    const requestAsBytes = await ctx.stub.getState(`PAYMENT_REQUEST_${id}`);
+    if (!requestAsBytes || requestAsBytes.length === 0) {
+      throw new Error(`Payment request ${id} does not exist`);
+    }
+    
+    return JSON.parse(requestAsBytes.toString());
+  }
+  
+  /**
+   * Credit an internal wallet with a confirmed deposit
+   *
+   * A deposit is an output of an on-chain transaction, and is credited once per outpoint however
+   * often it is reported: the record of a deposit that was already credited is returned unchanged.
+   * A deposit that was reversed because of a reorg is credited again when it is confirmed again.
+   *
+   * @param {Context} ctx The transaction context
+   * @param {string} txid The ID of the deposit transaction
+   * @param {string} vout The index of the output in the transaction
+   * @param {string} internalWalletId The internal wallet to credit
+   * @param {string} amount The value of the output in base units
+   * @param {string} details JSON string with the address paid, how the deposit was matched to the internal wallet, and the block it was confirmed in
+   * @returns {Object} The deposit record
+   */
+  async creditDeposit(ctx, txid, vout, internalWalletId, amount, details = '{}') {
+    console.info('============= START : Credit Deposit ===========');
+    
+    // Parse the amount
+    const depositAmount = parseAmount(amount);
+    if (depositAmount <= 0n) {
+      throw new Error('Deposit amount must be greater than zero');
+    }
+    
+    // Return the deposit if it is already credited
+    const depositKey = `DEPOSIT_OUTPOINT_${txid}:${vout}`;
+    const depositAsBytes = await ctx.stub.getState(depositKey);
+    const existing = depositAsBytes && depositAsBytes.length > 0 ? JSON.parse(depositAsBytes.toString()) : null;
+    if (existing && existing.status === 'credited') {
+      return existing;
+    }
+    
+    // Get the internal wallet
+    const walletAsBytes = await ctx.stub.getState(internalWalletId);
+    if (!walletAsBytes || walletAsBytes.length === 0) {
+      throw new Error(`Internal wallet ${internalWalletId} does not exist`);
+    }
+    
+    const internalWallet = JSON.parse(walletAsBytes.toString());
+    const { address, matchedBy, reference, blockHeight } = JSON.parse(details);
+    
+    // Update the balance
+    internalWallet.balance = (readAmount(internalWallet.balance, internalWallet.blockchain) + depositAmount).toString();
+    internalWallet.updatedAt = new Date().toISOString();
+    
+    // Store the updated internal wallet on the ledger
+    await ctx.stub.putState(internalWalletId, Buffer.from(JSON.stringify(internalWallet)));
+    
+    // Create a deposit record
+    const deposit = {
+      ...existing,
+      id: `${txid}:${vout}`,
+      txid,
+      vout: parseInt(vout),
+      address: address || null,
+      internalWalletId,
+      matchedBy: matchedBy || 'address',
+      reference: reference || null,
+      amount: depositAmount.toString(),
+      blockHeight: blockHeight || null,
+      status: 'credited',
+      creditedAt: new Date().toISOString()
+    };
+    
+    // Store the deposit record on the ledger
+    await ctx.stub.putState(depositKey, Buffer.from(JSON.stringify(deposit)));
+    
+    console.info('============= END : Credit Deposit ===========');
+    
+    return deposit;
+  }
+  
+  /**
+   * Reverse the credit of a deposit whose transaction is no longer confirmed after a reorg
+   *
+   * The amount is debited from the internal wallet even if it was already spent, so the balance
+   * of the internal wallet may become negative. Reversing a deposit that is not credited returns
+   * its record unchanged.
+   *
+   * @param {Context} ctx The transaction context
+   * @param {string} txid The ID of the deposit transaction
+   * @param {string} vout The index of the output in the transaction
+   * @param {string} reason The reason for the reversal
+   * @returns {Object} The deposit record
+   */
+  async reverseDeposit(ctx, txid, vout, reason = '') {
+    console.info('============= START : Reverse Deposit ===========');
+    
+    const deposit = await this.getDeposit(ctx, txid, vout);
+    if (deposit.status !== 'credited') {
+      return deposit;
+    }
+    
+    // Get the internal wallet
+    const walletAsBytes = await ctx.stub.getState(deposit.internalWalletId);
+    if (!walletAsBytes || walletAsBytes.length === 0) {
+      throw new Error(`Internal wallet ${deposit.internalWalletId} does not exist`);
+    }
+    
+    const internalWallet = JSON.parse(walletAsBytes.toString());
+    
+    // Update the balance
+    internalWallet.balance = (readAmount(internalWallet.balance, internalWallet.blockchain) - BigInt(deposit.amount)).toString();
+    internalWallet.updatedAt = new Date().toISOString();
+    
+    // Store the updated internal wallet on the ledger
+    await ctx.stub.putState(deposit.internalWalletId, Buffer.from(JSON.stringify(internalWallet)));
+    
+    deposit.status = 'reversed';
+    deposit.reversedAt = new Date().toISOString();
+    deposit.reversalReason = reason || null;
+    
+    // Store the updated deposit record on the ledger
+    await ctx.stub.putState(`DEPOSIT_OUTPOINT_${txid}:${vout}`, Buffer.from(JSON.stringify(deposit)));
+    
+    console.info('============= END : Reverse Deposit ===========');
+    
+    return deposit;
+  }
+  
+  /**
+   * Get a deposit record
+   * @param {Context} ctx The transaction context
+   * @param {string} txid The ID of the deposit transaction
+   * @param {string} vout The index of the output in the transaction
+   * @returns {Object} The deposit record
+   */
+  async getDeposit(ctx, txid, vout) {
+    const depositAsBytes = await ctx.stub.getState(`DEPOSIT_OUTPOINT_${txid}:${vout}`);
+    if (!depositAsBytes || depositAsBytes.length === 0) {
+      throw new Error(`Deposit ${txid}:${vout} does not exist`);
+    }
+    
+    return JSON.parse(depositAsBytes.toString());
+  }
+  
+  /**
+   * Get the deposits of an internal wallet, or of all internal wallets
+   * @param {Context} ctx The transaction context
+   * @param {string} internalWalletId Optional internal wallet ID
+   * @returns {Array} The deposit records
+   */
+  async getDeposits(ctx, internalWalletId = '') {
+    const iterator = await ctx.stub.getStateByRange('DEPOSIT_OUTPOINT_', 'DEPOSIT_OUTPOINT_\uffff');
+    
+    const deposits = [];
+    
+    let result = await iterator.next();
+    while (!result.done) {
+      const value = result.value.value.toString('utf8');
+      if (value) {
+        const deposit = JSON.parse(value);
+        
+        if (!internalWalletId || deposit.internalWalletId === internalWalletId) {
+          deposits.push(deposit);
+        }
+      }
+      result = await iterator.next();
+    }
+    
+    await iterator.close();
+    
+    return deposits;
+  }
+  
   /**
    * Get the transaction history of an internal wallet
    * @param {Context} ctx The transaction context
@@ -395,9 +1243,9 @@ class FractaLedgerContract extends Contract {
    * @param {Context} ctx The transaction context
    * @param {string} blockchain The blockchain type
    * @param {string} primaryWalletName The primary wallet name
-   * @param {string} onChainBalance The on-chain balance
-   * @param {string} aggregateInternalBalance The aggregate internal balance
-   * @param {string} difference The difference between the balances
+   * @param {string} onChainBalance The on-chain balance in base units
+   * @param {string} aggregateInternalBalance The aggregate internal balance in base units
+   * @param {string} difference The difference between the balances in base units
    * @returns {Object} The recorded discrepancy
    */
   async recordBalanceDiscrepancy(ctx, blockchain, primaryWalletName, onChainBalance, aggregateInternalBalance, difference) {
@@ -409,9 +1257,9 @@ class FractaLedgerContract extends Contract {
       id: discrepancyId,
       blockchain,
       primaryWalletName,
-      onChainBalance: parseFloat(onChainBalance),
-      aggregateInternalBalance: parseFloat(aggregateInternalBalance),
-      difference: parseFloat(difference),
+      onChainBalance: parseAmount(onChainBalance, 'on-chain balance').toString(),
+      aggregateInternalBalance: parseAmount(aggregateInternalBalance, 'aggregate internal balance').toString(),
+      difference: parseAmount(difference, 'difference').toString(),
       timestamp: new Date().toISOString(),
       resolved: false
     };
@@ -492,13 +1340,47 @@ class FractaLedgerContract extends Contract {
     return discrepancy;
   }
   
+  /**
+   * Convert the balances of internal wallets stored as numbers of whole coins to base units
+   *
+   * Invoke this once after upgrading from a version of the chaincode that stored balances as
+   * numbers. Internal wallets that already store base units are left unchanged.
+   *
+   * @param {Context} ctx The transaction context
+   * @returns {Object} The IDs of the migrated internal wallets
+   */
+  async migrateAmountsToBaseUnits(ctx) {
+    console.info('============= START : Migrate Amounts To Base Units ===========');
+    
+    const internalWallets = await this.getAllInternalWallets(ctx);
+    const migrated = [];
+    
+    for (const internalWallet of internalWallets) {
+      if (internalWallet.blockchain && typeof internalWallet.balance === 'number') {
+        internalWallet.balance = readAmount(internalWallet.balance, internalWallet.blockchain).toString();
+        internalWallet.updatedAt = new Date().toISOString();
+        
+        await ctx.stub.putState(internalWallet.id, Buffer.from(JSON.stringify(internalWallet)));
+        migrated.push(internalWallet.id);
+      }
+    }
+    
+    console.info('============= END : Migrate Amounts To Base Units ===========');
+    
+    return { migrated };
+  }
+  
   // Add your custom chaincode functions here
   
   /**
    * Example: Distribute funds to internal wallets based on a percentage
+   *
+   * Each share is rounded down to a whole base unit, so the distributed total can be slightly
+   * less than the amount.
+   *
    * @param {Context} ctx The transaction context
    * @param {string} primaryWalletName The primary wallet name
-   * @param {number} amount The amount to distribute
+   * @param {string} amount The amount to distribute in base units
    * @param {Object} percentages The distribution percentages
    * @returns {Object} The distribution result
    */
@@ -506,7 +1388,7 @@ class FractaLedgerContract extends Contract {
     console.info('============= START : Distribute Funds ===========');
     
     // Parse the amount and percentages
-    const totalAmount = parseFloat(amount);
+    const totalAmount = parseAmount(amount);
     const distributionPercentages = JSON.parse(percentages);
     
     // Get all internal wallets for the primary wallet
@@ -519,10 +1401,10 @@ class FractaLedgerContract extends Contract {
     for (const wallet of wallets) {
       if (distributionPercentages[wallet.id]) {
         const percentage = distributionPercentages[wallet.id];
-        const distributionAmount = totalAmount * (percentage / 100);
+        const distributionAmount = applyPercentage(totalAmount, percentage);
         
         // Update the wallet balance
-        wallet.balance += distributionAmount;
+        wallet.balance = (readAmount(wallet.balance, wallet.blockchain) + distributionAmount).toString();
         wallet.updatedAt = new Date().toISOString();
         
         // Store the updated wallet on the ledger
@@ -532,7 +1414,7 @@ class FractaLedgerContract extends Contract {
         distributions.push({
           walletId: wallet.id,
           percentage,
-          amount: distributionAmount
+          amount: distributionAmount.toString()
         });
       }
     }
@@ -542,7 +1424,7 @@ class FractaLedgerContract extends Contract {
     const distribution = {
       id: distributionId,
       primaryWalletName,
-      totalAmount,
+      totalAmount: totalAmount.toString(),
       distributions,
       timestamp: new Date().toISOString()
     };
@@ -62,6 +62,49 @@ async function loadConfig() {
  * @param {Object} config The configuration to validate
  */
 function validateConfig(config) {
+  // Wallets with the `psbt` signing method are signed externally, and need their public key instead of a secret
+  // (HD wallets derive the public key of each address from their xpub)
+  const signingSchema = Joi.object({
+    method: Joi.string().valid('key', 'psbt').default('key'),
+    publicKey: Joi.string().hex().length(66).when('method', {
+      is: 'psbt',
+      then: Joi.when('...hd', {
+        is: Joi.exist(),
+        then: Joi.optional(),
+        otherwise: Joi.required()
+      }),
+      otherwise: Joi.optional()
+    }),
+    lockTimeout: Joi.number().integer().min(1)
+  });
+  
+  // Multisig wallets derive their address from the keys of their cosigners, and may hold the secret of one of them
+  const multisigSchema = Joi.object({
+    type: Joi.string().valid('p2wsh', 'p2sh-p2wsh').default('p2wsh'),
+    threshold: Joi.number().integer().min(1).max(Joi.ref('cosigners.length')).required(),
+    sorted: Joi.boolean().default(true),
+    cosigners: Joi.array().items(
+      Joi.object({
+        name: Joi.string(),
+        xpub: Joi.string(),
+        path: Joi.string().pattern(/^\d+(\/\d+)*$/),
+        fingerprint: Joi.string().hex().length(8),
+        derivationPath: Joi.string(),
+        publicKey: Joi.string().hex().length(66)
+      }).xor('xpub', 'publicKey')
+    ).min(1).max(20).required()
+  });
+  
+  // HD wallets derive their addresses from an xpub or an output descriptor, and hold its extended private key as their secret
+  const hdSchema = Joi.object({
+    xpub: Joi.string(),
+    type: Joi.string().valid('p2pkh', 'p2sh-p2wpkh', 'p2wpkh', 'p2tr').default('p2wpkh'),
+    descriptor: Joi.string(),
+    fingerprint: Joi.string().hex().length(8),
+    derivationPath: Joi.string(),
+    gapLimit: Joi.number().integer().min(1).max(1000)
+  }).xor('xpub', 'descriptor');
+  
   // Define validation schema
   const schema = Joi.object({
     bitcoin: Joi.array().items(
@@ -69,27 +112,84 @@ function validateConfig(config) {
         name: Joi.string().required(),
         connectionType: Joi.string().valid('fullNode', 'spv', 'api').required(),
         connectionDetails: Joi.object().required(),
-        walletAddress: Joi.string().required(),
-        secretEnvVar: Joi.string().required()
-      })
+        walletAddress: Joi.string().when('multisig', {
+          is: Joi.exist(),
+          then: Joi.optional(),
+          otherwise: Joi.when('hd', {
+            is: Joi.exist(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+          })
+        }),
+        secretEnvVar: Joi.string().when('signing.method', {
+          is: 'psbt',
+          then: Joi.optional(),
+          otherwise: Joi.when('multisig', {
+            is: Joi.exist(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+          })
+        }),
+        signing: signingSchema,
+        multisig: multisigSchema,
+        hd: hdSchema
+      }).oxor('multisig', 'hd')
     ),
     litecoin: Joi.array().items(
       Joi.object({
         name: Joi.string().required(),
         connectionType: Joi.string().valid('fullNode', 'spv', 'api').required(),
         connectionDetails: Joi.object().required(),
-        walletAddress: Joi.string().required(),
-        secretEnvVar: Joi.string().required()
-      })
+        walletAddress: Joi.string().when('multisig', {
+          is: Joi.exist(),
+          then: Joi.optional(),
+          otherwise: Joi.when('hd', {
+            is: Joi.exist(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+          })
+        }),
+        secretEnvVar: Joi.string().when('signing.method', {
+          is: 'psbt',
+          then: Joi.optional(),
+          otherwise: Joi.when('multisig', {
+            is: Joi.exist(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+          })
+        }),
+        signing: signingSchema,
+        multisig: multisigSchema,
+        hd: hdSchema
+      }).oxor('multisig', 'hd')
     ),
     dogecoin: Joi.array().items(
       Joi.object({
         name: Joi.string().required(),
         connectionType: Joi.string().valid('fullNode', 'spv', 'api').required(),
         connectionDetails: Joi.object().required(),
-        walletAddress: Joi.string().required(),
-        secretEnvVar: Joi.string().required()
-      })
+        walletAddress: Joi.string().when('multisig', {
+          is: Joi.exist(),
+          then: Joi.optional(),
+          otherwise: Joi.when('hd', {
+            is: Joi.exist(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+          })
+        }),
+        secretEnvVar: Joi.string().when('signing.method', {
+          is: 'psbt',
+          then: Joi.optional(),
+          otherwise: Joi.when('multisig', {
+            is: Joi.exist(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+          })
+        }),
+        signing: signingSchema,
+        multisig: multisigSchema,
+        hd: hdSchema
+      }).oxor('multisig', 'hd')
     ),
     hyperledger: Joi.object({
       connectionProfilePath: Joi.string().required(),
@@ -170,8 +270,10 @@ function processEnvironmentVariables(config) {
   // Process Bitcoin wallet secrets
   if (config.bitcoin) {
     for (const wallet of config.bitcoin) {
+      // Externally signed wallets have no secret
+      const externallySigned = Boolean(((wallet.signing && wallet.signing.method === 'psbt') || wallet.multisig) && !wallet.secretEnvVar);
       const secret = process.env[wallet.secretEnvVar];
-      if (!secret) {
+      if (!secret && !externallySigned) {
         throw new Error(`Environment variable ${wallet.secretEnvVar} not found`);
       }
       wallet.secret = secret;
@@ -191,8 +293,10 @@ function processEnvironmentVariables(config) {
   // Process Litecoin wallet secrets
   if (config.litecoin) {
     for (const wallet of config.litecoin) {
+      // Externally signed wallets have no secret
+      const externallySigned = Boolean(((wallet.signing && wallet.signing.method === 'psbt') || wallet.multisig) && !wallet.secretEnvVar);
       const secret = process.env[wallet.secretEnvVar];
-      if (!secret) {
+      if (!secret && !externallySigned) {
         throw new Error(`Environment variable ${wallet.secretEnvVar} not found`);
       }
       wallet.secret = secret;
@@ -212,8 +316,10 @@ function processEnvironmentVariables(config) {
   // Process Dogecoin wallet secrets
   if (config.dogecoin) {
     for (const wallet of config.dogecoin) {
+      // Externally signed wallets have no secret
+      const externallySigned = Boolean(((wallet.signing && wallet.signing.method === 'psbt') || wallet.multisig) && !wallet.secretEnvVar);
       const secret = process.env[wallet.secretEnvVar];
-      if (!secret) {
+      if (!secret && !externallySigned) {
         throw new Error(`Environment variable ${wallet.secretEnvVar} not found`);
       }
       wallet.secret = secret;
@@ -238,6 +344,17 @@ function processEnvironmentVariables(config) {
     }
   }
   
+  // Process JWT signing key secrets, used for key rotation; the name of a missing variable must never become the secret
+  if (config.api && config.api.auth && Array.isArray(config.api.auth.signingKeys)) {
+    for (const signingKey of config.api.auth.signingKeys) {
+      const secret = process.env[signingKey.secret];
+      if (!secret) {
+        throw new Error(`Environment variable ${signingKey.secret} not found for signing key ${signingKey.kid}`);
+      }
+      signingKey.secret = secret;
+    }
+  }
+  
   // Process Hyperledger Fabric environment variables
   if (config.hyperledger) {
     // Connection profile path
@@ -0,0 +1,284 @@
+/**
+ * UTXO Consolidator Module
+ *
+ * This module consolidates the small UTXOs that accumulate in primary wallets, such as those of
+ * high-volume deposit wallets, so that later withdrawals spend fewer inputs. On every `interval`,
+ * each primary wallet whose fee rate for the configured priority is at or below `maxFeeRate`
+ * sweeps its UTXOs worth less than `maxUtxoValue` into a single output back to the wallet.
+ *
+ * The fee of a consolidation is charged to the base internal wallet of the primary wallet, and the
+ * consolidation is recorded on the ledger with `recordUtxoConsolidation` before it is broadcast,
+ * so that the internal wallets keep adding up to the on-chain balance.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const { getConfiguredDecimals, createAmounts } = require('../blockchain/amounts');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'utxo-consolidator' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    }),
+    new winston.transports.File({ filename: 'logs/consolidation-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/consolidation.log' })
+  ]
+});
+
+/**
+ * Create the UTXO consolidator
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} fabricClient The Fabric client
+ * @param {Object} feeEstimator The fee estimator
+ * @returns {Object} The UTXO consolidator
+ */
+function createUtxoConsolidator(config, blockchainConnectors, fabricClient, feeEstimator) {
+  // Amounts are converted with the decimals configured for custom UTXO blockchains
+  const { toBaseUnits, formatAmounts } = createAmounts(getConfiguredDecimals(config));
+  
+  /**
+   * Format the amounts of a consolidation record in whole coins
+   * @param {Object} consolidation The consolidation record, with amounts in base units
+   * @returns {Object} The consolidation record, with amounts in whole coins
+   */
+  const formatConsolidation = consolidation => formatAmounts(consolidation, consolidation.blockchain, ['fee', 'inputTotal']);
+  
+  // Get UTXO consolidation configuration
+  const settings = {
+    enabled: false,
+    interval: 3600000, // 1 hour
+    priority: 'economy',
+    maxFeeRate: 5,
+    maxUtxoValue: 0.001,
+    minUtxos: 10,
+    maxInputs: 100,
+    blockchains: {},
+    ...config.utxoConsolidation
+  };
+  
+  // Get base internal wallet configuration
+  const baseWalletPrefix = (config.baseInternalWallet || {}).namePrefix || 'base_wallet_';
+  
+  // Consolidations being made, by primary wallet
+  const running = new Set();
+  
+  let consolidationInterval = null;
+  
+  /**
+   * Get the consolidation settings of a primary wallet
+   * @param {string} blockchain The blockchain type
+   * @param {string} primaryWalletName The primary wallet name
+   * @returns {Object} The settings, with those of the blockchain and of the wallet (`blockchains.<blockchain>.wallets.<name>`) applied
+   */
+  function getWalletSettings(blockchain, primaryWalletName) {
+    const { blockchains, ...defaults } = settings;
+    const { wallets = {}, ...blockchainSettings } = blockchains[blockchain] || {};
+    
+    return {
+      ...defaults,
+      ...blockchainSettings,
+      ...wallets[primaryWalletName]
+    };
+  }
+  
+  const utxoConsolidator = {
+    /**
+     * Get the consolidation settings of a primary wallet
+     * @param {string} blockchain The blockchain type
+     * @param {string} primaryWalletName The primary wallet name
+     * @returns {Object} The settings
+     */
+    getSettings: getWalletSettings,
+    
+    /**
+     * Consolidate the small UTXOs of a primary wallet if the fee rate is low enough
+     * @param {string} blockchain The blockchain type
+     * @param {string} primaryWalletName The primary wallet name
+     * @param {Object} options Optional settings that override the configured ones
+     * @param {number} options.feeRate An explicit fee rate in satoshis per virtual byte, instead of the estimate for the configured priority
+     * @param {boolean} options.force Whether to consolidate even if the fee rate exceeds `maxFeeRate`
+     * @returns {Promise<Object>} Whether the UTXOs were consolidated, the fee rate, the reason if not, and the consolidation record and broadcast if so
+     */
+    consolidate: async (blockchain, primaryWalletName, options = {}) => {
+      const key = `${blockchain}/${primaryWalletName}`;
+      
+      if (running.has(key)) {
+        throw new Error(`Failed to consolidate UTXOs: a consolidation of ${key} is already running`);
+      }
+      
+      running.add(key);
+      
+      try {
+        const connector = (blockchainConnectors[blockchain] || {})[primaryWalletName];
+        if (!connector) {
+          throw new Error(`Primary wallet not found: ${key}`);
+        }
+        
+        const { force, feeRate: explicitFeeRate, ...overrides } = options;
+        const walletSettings = { ...getWalletSettings(blockchain, primaryWalletName), ...overrides };
+        
+        // Consolidate only while fees are low, unless forced
+        const { feeRate } = await feeEstimator.chooseFeeRate(blockchain, primaryWalletName, {
+          feeRate: explicitFeeRate,
+          priority: walletSettings.priority
+        });
+        
+        if (!force && feeRate > walletSettings.maxFeeRate) {
+          logger.info(`Skipping consolidation of ${key}: fee rate ${feeRate} sat/vB exceeds ${walletSettings.maxFeeRate} sat/vB`);
+          return { blockchain, primaryWalletName, consolidated: false, reason: 'fee-rate', feeRate };
+        }
+        
+        const consolidationId = `consolidation_${crypto.randomBytes(8).toString('hex')}`;
+        const baseWalletId = `${baseWalletPrefix}${blockchain}_${primaryWalletName}`;
+        let consolidation;
+        
+        const result = await connector.consolidateUtxos({
+          feeRate,
+          maxUtxoValue: walletSettings.maxUtxoValue,
+          minUtxos: walletSettings.minUtxos,
+          maxInputs: walletSettings.maxInputs,
+          metadata: { consolidationId },
+          // Charge the fee to the base wallet before the consolidation is broadcast
+          beforeBroadcast: async ({ txid, fee, inputCount, inputTotal }) => {
+            const recorded = await fabricClient.submitTransaction(
+              'recordUtxoConsolidation',
+              consolidationId,
+              baseWalletId,
+              txid,
+              toBaseUnits(fee, blockchain, { round: true }).toString(),
+              JSON.stringify({ feeRate, inputCount, inputTotal: toBaseUnits(inputTotal, blockchain, { round: true }).toString() })
+            );
+            consolidation = JSON.parse(recorded.toString());
+          }
+        });
+        
+        if (!result) {
+          return { blockchain, primaryWalletName, consolidated: false, reason: 'too-few-utxos', feeRate };
+        }
+        
+        logger.info(`Consolidated ${result.inputCount} UTXOs of ${key} in ${result.txid}, charging ${result.fee} to ${baseWalletId}`);
+        
+        return {
+          blockchain,
+          primaryWalletName,
+          consolidated: true,
+          feeRate,
+          consolidation: formatConsolidation(consolidation),
+          amount: result.amount,
+          address: result.address,
+          broadcast: result.broadcast
+        };
+      } catch (error) {
+        // The connector's errors already say that the consolidation failed
+        logger.error(`Failed to consolidate UTXOs of ${key}: ${error.message}`);
+        throw error.message.startsWith('Failed to consolidate UTXOs') ? error : new Error(`Failed to consolidate UTXOs: ${error.message}`);
+      } finally {
+        running.delete(key);
+      }
+    },
+    
+    /**
+     * Consolidate the UTXOs of every primary wallet that consolidation is enabled for
+     * @returns {Promise<Array<Object>>} The result of each primary wallet (see consolidate)
+     */
+    consolidateAll: async () => {
+      const results = [];
+      
+      for (const blockchain of Object.keys(blockchainConnectors)) {
+        for (const [primaryWalletName, connector] of Object.entries(blockchainConnectors[blockchain])) {
+          if (!getWalletSettings(blockchain, primaryWalletName).enabled
+            || !connector.consolidateUtxos
+            || (connector.isExternallySigned && connector.isExternallySigned())) {
+            continue;
+          }
+          
+          try {
+            results.push(await utxoConsolidator.consolidate(blockchain, primaryWalletName));
+          } catch (error) {
+            // Logged by consolidate; the wallet is tried again on the next interval
+            results.push({ blockchain, primaryWalletName, consolidated: false, reason: 'error', error: error.message });
+          }
+        }
+      }
+      
+      return results;
+    },
+    
+    /**
+     * Get the consolidations of a primary wallet from the ledger
+     * @param {string} blockchain The blockchain type
+     * @param {string} primaryWalletName The primary wallet name
+     * @returns {Promise<Array<Object>>} The consolidation records, with amounts in whole coins
+     */
+    getConsolidations: async (blockchain, primaryWalletName) => {
+      try {
+        const result = await fabricClient.evaluateTransaction('getUtxoConsolidations', blockchain, primaryWalletName);
+        
+        return JSON.parse(result.toString()).map(formatConsolidation);
+      } catch (error) {
+        logger.error(`Failed to get UTXO consolidations: ${error.message}`);
+        throw new Error(`Failed to get UTXO consolidations: ${error.message}`);
+      }
+    },
+    
+    /**
+     * Start consolidating UTXOs on the configured interval
+     */
+    start: () => {
+      if (consolidationInterval) {
+        return;
+      }
+      
+      consolidationInterval = setInterval(() => {
+        utxoConsolidator.consolidateAll().catch(error => logger.error(`Failed to consolidate UTXOs: ${error.message}`));
+      }, settings.interval);
+      
+      logger.info(`UTXO consolidation running every ${settings.interval}ms`);
+    },
+    
+    /**
+     * Stop consolidating UTXOs on the interval
+     */
+    stop: () => {
+      if (consolidationInterval) {
+        clearInterval(consolidationInterval);
+        consolidationInterval = null;
+      }
+    }
+  };
+  
+  return utxoConsolidator;
+}
+
+/**
+ * Initialize the UTXO consolidator, and start consolidating UTXOs on the configured interval
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} fabricClient The Fabric client
+ * @param {Object} feeEstimator The fee estimator
+ * @returns {Promise<Object>} The UTXO consolidator
+ */
+async function initializeUtxoConsolidator(config, blockchainConnectors, fabricClient, feeEstimator) {
+  logger.info('Initializing UTXO consolidator...');
+  
+  const utxoConsolidator = createUtxoConsolidator(config, blockchainConnectors, fabricClient, feeEstimator);
+  utxoConsolidator.start();
+  
+  return utxoConsolidator;
+}
+
+module.exports = {
+  createUtxoConsolidator,
+  initializeUtxoConsolidator
+};
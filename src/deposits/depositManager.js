@@ -0,0 +1,285 @@
+/**
+ * Deposit Manager Module
+ *
+ * This module assigns the receive addresses of HD primary wallets to internal wallets, and
+ * creates the payment requests that deposits can name in an OP_RETURN memo.
+ *
+ * Each internal wallet of an HD primary wallet has a standing deposit address, and each deposit
+ * request that has its own ID is given a fresh address. The addresses are registered on the
+ * ledger with the internal wallet that owns them, so that deposits can be attributed. Deposits
+ * are credited by the deposit processor (see depositProcessor.js).
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const { getConfiguredDecimals, createAmounts } = require('../blockchain/amounts');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'deposit-manager' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    }),
+    new winston.transports.File({ filename: 'logs/deposits-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/deposits.log' })
+  ]
+});
+
+/**
+ * Create the deposit manager
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} fabricClient The Fabric client
+ * @returns {Object} The deposit manager
+ */
+function createDepositManager(config, blockchainConnectors, fabricClient) {
+  // Amounts are converted with the decimals configured for custom UTXO blockchains
+  const { toBaseUnits } = createAmounts(getConfiguredDecimals(config));
+  
+  // The deposit addresses registered on the ledger, by address
+  const depositAddresses = new Map();
+  
+  // Assignments in progress, so that concurrent requests for the same address get the same one
+  const pendingAssignments = new Map();
+  
+  // The payment requests read from the ledger, by ID
+  const paymentRequests = new Map();
+  
+  /**
+   * Get the connector of an HD primary wallet
+   * @param {string} blockchain The blockchain type
+   * @param {string} primaryWalletName The primary wallet name
+   * @returns {Object|null} The blockchain connector, or null if the primary wallet is not an HD wallet
+   */
+  function getHdConnector(blockchain, primaryWalletName) {
+    const connector = (blockchainConnectors[blockchain] || {})[primaryWalletName];
+    
+    return connector && connector.hdWallet ? connector : null;
+  }
+  
+  /**
+   * Get the deposit addresses of an internal wallet
+   * @param {string} internalWalletId The internal wallet ID
+   * @returns {Promise<Array>} The deposit address records
+   */
+  async function getDepositAddresses(internalWalletId) {
+    const result = await fabricClient.evaluateTransaction('getDepositAddresses', internalWalletId);
+    return JSON.parse(result.toString());
+  }
+  
+  /**
+   * Derive a receive address for an internal wallet and register it on the ledger
+   * @param {Object} internalWallet The internal wallet
+   * @param {string} requestId Optional ID of the deposit request
+   * @returns {Promise<Object>} The deposit address record
+   */
+  async function assign(internalWallet, requestId) {
+    const existing = (await getDepositAddresses(internalWallet.id))
+      .find(depositAddress => (depositAddress.requestId || null) === (requestId || null));
+    
+    if (existing) {
+      return existing;
+    }
+    
+    const connector = getHdConnector(internalWallet.blockchain, internalWallet.primaryWalletName);
+    const { address, path } = await connector.allocateReceiveAddress();
+    
+    const result = await fabricClient.submitTransaction('registerDepositAddress', address, internalWallet.id, path, requestId || '');
+    const depositAddress = JSON.parse(result.toString());
+    
+    depositAddresses.set(address, depositAddress);
+    
+    logger.info(`Deposit address ${address} assigned to internal wallet ${internalWallet.id}${requestId ? ` for request ${requestId}` : ''}`);
+    
+    return depositAddress;
+  }
+  
+  const depositManager = {
+    /**
+     * Check whether a primary wallet derives deposit addresses
+     * @param {string} blockchain The blockchain type
+     * @param {string} primaryWalletName The primary wallet name
+     * @returns {boolean} True if the primary wallet is an HD wallet
+     */
+    isHdWallet: (blockchain, primaryWalletName) => getHdConnector(blockchain, primaryWalletName) !== null,
+    
+    /**
+     * Get a deposit address for an internal wallet
+     *
+     * Without a request ID, the internal wallet's standing deposit address is returned, and
+     * derived the first time. Each request ID is given an address of its own, and asking again
+     * with the same request ID returns the same address.
+     *
+     * @param {string} internalWalletId The internal wallet ID
+     * @param {Object} options Additional options
+     * @param {string} options.requestId Optional ID of the deposit request
+     * @returns {Promise<Object>} The deposit address record
+     */
+    assignDepositAddress: async (internalWalletId, options = {}) => {
+      const key = `${internalWalletId}:${options.requestId || ''}`;
+      
+      try {
+        const result = await fabricClient.evaluateTransaction('getInternalWallet', internalWalletId);
+        const internalWallet = JSON.parse(result.toString());
+        
+        if (!getHdConnector(internalWallet.blockchain, internalWallet.primaryWalletName)) {
+          throw new Error(`Primary wallet ${internalWallet.blockchain}/${internalWallet.primaryWalletName} is not an HD wallet`);
+        }
+        
+        if (!pendingAssignments.has(key)) {
+          pendingAssignments.set(key, assign(internalWallet, options.requestId));
+        }
+        
+        return await pendingAssignments.get(key);
+      } catch (error) {
+        logger.error(`Failed to assign deposit address: ${error.message}`);
+        throw new Error(`Failed to assign deposit address: ${error.message}`);
+      } finally {
+        pendingAssignments.delete(key);
+      }
+    },
+    
+    getDepositAddresses,
+    
+    /**
+     * Get the deposit address record of an address
+     * @param {string} address The address
+     * @returns {Object|null} The deposit address record, or null if the address is not assigned to an internal wallet
+     */
+    lookupDepositAddress: address => depositAddresses.get(address) || null,
+    
+    /**
+     * Create a payment request for an internal wallet
+     *
+     * Deposits to the primary wallet that carry the ID of the payment request in an OP_RETURN memo
+     * are credited to the internal wallet. The payment request of an internal wallet of an HD
+     * primary wallet also gets an address of its own, so that no memo is needed.
+     *
+     * @param {string} internalWalletId The internal wallet ID
+     * @param {Object} options Additional options
+     * @param {string} options.id Optional ID of the payment request (default: a random ID)
+     * @param {number} options.amount Optional amount requested in whole coins
+     * @returns {Promise<Object>} The payment request record, with the address to pay and the memo to include
+     */
+    createPaymentRequest: async (internalWalletId, options = {}) => {
+      try {
+        const walletResult = await fabricClient.evaluateTransaction('getInternalWallet', internalWalletId);
+        const internalWallet = JSON.parse(walletResult.toString());
+        
+        const connector = (blockchainConnectors[internalWallet.blockchain] || {})[internalWallet.primaryWalletName];
+        if (!connector) {
+          throw new Error(`Primary wallet ${internalWallet.blockchain}/${internalWallet.primaryWalletName} not found`);
+        }
+        
+        const id = options.id || `pr_${crypto.randomBytes(8).toString('hex')}`;
+        const amount = options.amount !== undefined ? toBaseUnits(options.amount, internalWallet.blockchain).toString() : '';
+        
+        const result = await fabricClient.submitTransaction('createPaymentRequest', id, internalWalletId, amount);
+        const paymentRequest = JSON.parse(result.toString());
+        
+        paymentRequests.set(id, paymentRequest);
+        
+        const address = getHdConnector(internalWallet.blockchain, internalWallet.primaryWalletName)
+          ? (await depositManager.assignDepositAddress(internalWalletId, { requestId: id })).address
+          : connector.walletAddress;
+        
+        logger.info(`Payment request ${id} created for internal wallet ${internalWalletId}`);
+        
+        return { ...paymentRequest, address, memo: id };
+      } catch (error) {
+        logger.error(`Failed to create payment request: ${error.message}`);
+        throw new Error(`Failed to create payment request: ${error.message}`);
+      }
+    },
+    
+    /**
+     * Get a payment request
+     * @param {string} id The payment request ID
+     * @returns {Promise<Object|null>} The payment request record, or null if there is no payment request with the ID
+     */
+    getPaymentRequest: async (id) => {
+      if (!paymentRequests.has(id)) {
+        try {
+          const result = await fabricClient.evaluateTransaction('getPaymentRequest', id);
+          paymentRequests.set(id, JSON.parse(result.toString()));
+        } catch (error) {
+          return null;
+        }
+      }
+      
+      return paymentRequests.get(id);
+    },
+    
+    /**
+     * Load the deposit addresses from the ledger, and discover the used addresses of the HD primary wallets
+     *
+     * Receive addresses are allocated after the highest one registered on the ledger, and after
+     * the last one used on the blockchain.
+     *
+     * @returns {Promise<void>}
+     */
+    start: async () => {
+      try {
+        const result = await fabricClient.evaluateTransaction('getDepositAddresses', '');
+        
+        for (const depositAddress of JSON.parse(result.toString())) {
+          depositAddresses.set(depositAddress.address, depositAddress);
+          
+          const connector = getHdConnector(depositAddress.blockchain, depositAddress.primaryWalletName);
+          const [chain, index] = depositAddress.path.split('/').map(Number);
+          
+          if (connector && chain === 0) {
+            connector.setReceiveIndex(index + 1);
+          }
+        }
+        
+        for (const connectors of Object.values(blockchainConnectors)) {
+          for (const connector of Object.values(connectors).filter(c => c.hdWallet)) {
+            try {
+              await connector.discoverAddresses();
+            } catch (error) {
+              logger.warn(`Failed to discover the addresses of ${connector.blockchain}/${connector.name}: ${error.message}`);
+            }
+          }
+        }
+        
+        logger.info(`Deposit manager started with ${depositAddresses.size} deposit addresses`);
+      } catch (error) {
+        logger.error(`Failed to start deposit manager: ${error.message}`);
+        throw new Error(`Failed to start deposit manager: ${error.message}`);
+      }
+    }
+  };
+  
+  return depositManager;
+}
+
+/**
+ * Initialize the deposit manager, and load the deposit addresses of the HD primary wallets
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} fabricClient The Fabric client
+ * @returns {Promise<Object>} The deposit manager
+ */
+async function initializeDepositManager(config, blockchainConnectors, fabricClient) {
+  logger.info('Initializing deposit manager...');
+  
+  const depositManager = createDepositManager(config, blockchainConnectors, fabricClient);
+  await depositManager.start();
+  
+  return depositManager;
+}
+
+module.exports = {
+  createDepositManager,
+  initializeDepositManager
+};
@@ -0,0 +1,487 @@
+/**
+ * Deposit Processor Module
+ *
+ * This module credits internal wallets with the deposits made to their primary wallets. The
+ * receive addresses of each primary wallet are monitored and scanned on a schedule, and each
+ * output paid to them is matched to an internal wallet:
+ *
+ * 1. by its address, if the address was derived for the internal wallet (see depositManager.js);
+ * 2. by the OP_RETURN memo of its transaction, if the memo is the ID of a payment request;
+ * 3. by the OP_RETURN memo of its transaction, if the memo is the ID of an internal wallet.
+ *
+ * Outputs that match no internal wallet are left to the base internal wallet, as before.
+ *
+ * A matched output is credited with the `creditDeposit` chaincode function once it has the
+ * configured number of confirmations, and only once per outpoint. If a reorg takes a credited
+ * transaction out of the chain, or leaves it with fewer confirmations, the credit is reversed with
+ * `reverseDeposit`, and the deposit is credited again once it is confirmed again.
+ */
+
+const winston = require('winston');
+const { getConfiguredDecimals, createAmounts } = require('../blockchain/amounts');
+const { decodeOpReturn } = require('../blockchain/transactionBuilder');
+const { CHANGE_CHAIN } = require('../blockchain/hdWallet');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'deposit-processor' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    }),
+    new winston.transports.File({ filename: 'logs/deposits-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/deposits.log' })
+  ]
+});
+
+// The number of confirmations a deposit needs before it is credited, unless configured otherwise
+const DEFAULT_CONFIRMATIONS = 3;
+
+/**
+ * Create the deposit processor
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} fabricClient The Fabric client
+ * @param {Object} depositManager The deposit manager, which knows the deposit addresses and payment requests
+ * @returns {Object} The deposit processor
+ */
+function createDepositProcessor(config, blockchainConnectors, fabricClient, depositManager) {
+  // Amounts are converted with the decimals configured for custom UTXO blockchains
+  const { toBaseUnits, formatAmounts } = createAmounts(getConfiguredDecimals(config));
+  
+  // Get deposit processing configuration
+  const settings = {
+    confirmations: DEFAULT_CONFIRMATIONS,
+    scanInterval: 60000, // 1 minute
+    historyLimit: 50,
+    reorgWindow: 100,
+    ...config.deposits
+  };
+  
+  // The deposits recorded on the ledger, by outpoint
+  const deposits = new Map();
+  
+  // Deposits that are waiting for confirmations, by outpoint
+  const pendingDeposits = new Map();
+  
+  // The internal wallet each output was matched to, or null, by outpoint
+  const matches = new Map();
+  
+  // Credited deposits with enough confirmations that a reorg is no longer expected to reach them
+  const finalDeposits = new Set();
+  
+  // Scans in progress, by address
+  const scans = new Map();
+  
+  let scanInterval = null;
+  let scanning = false;
+  
+  /**
+   * Get the number of confirmations a deposit needs before it is credited
+   * @param {string} blockchain The blockchain type
+   * @returns {number} The number of confirmations
+   */
+  function getRequiredConfirmations(blockchain) {
+    const confirmations = settings.confirmations;
+    
+    if (typeof confirmations === 'object' && confirmations !== null) {
+      return confirmations[blockchain] !== undefined ? confirmations[blockchain] : DEFAULT_CONFIRMATIONS;
+    }
+    
+    return confirmations;
+  }
+  
+  /**
+   * Get the connectors whose transceivers report the transactions of their addresses
+   * @returns {Array<Object>} The blockchain connectors
+   */
+  function getScannableConnectors() {
+    return Object.values(blockchainConnectors)
+      .flatMap(connectors => Object.values(connectors))
+      .filter(connector => typeof connector.getWatchAddresses === 'function' &&
+        connector.transceiverManager && connector.transceiverManager.config.method === 'callback');
+  }
+  
+  /**
+   * Get the addresses of a primary wallet that receive deposits
+   * @param {Object} connector The blockchain connector
+   * @returns {Array<string>} The wallet address, or the receive addresses of an HD wallet
+   */
+  function getReceiveAddresses(connector) {
+    return connector.getWatchAddresses()
+      .filter(entry => entry.chain !== CHANGE_CHAIN)
+      .map(entry => entry.address);
+  }
+  
+  /**
+   * Get the memo of a transaction
+   * @param {Object} transaction The transaction, as reported by the transceiver
+   * @returns {string|null} The memo, from the transaction's OP_RETURN output
+   */
+  function getMemo(transaction) {
+    const memo = transaction.memo || transaction.outputs
+      .map(output => (output.script ? decodeOpReturn(output.script) : null))
+      .find(data => data);
+    
+    return memo ? memo.trim() : null;
+  }
+  
+  /**
+   * Check whether a record belongs to a primary wallet
+   * @param {Object} record An internal wallet or payment request record
+   * @param {Object} connector The blockchain connector of the primary wallet
+   * @returns {boolean} True if the record's blockchain and primary wallet are those of the connector
+   */
+  function belongsTo(record, connector) {
+    return record.blockchain === connector.blockchain && record.primaryWalletName === connector.name;
+  }
+  
+  /**
+   * Find the internal wallet that an output was paid to
+   * @param {Object} connector The blockchain connector of the primary wallet that was paid
+   * @param {string} address The address that was paid
+   * @param {string|null} memo The memo of the transaction
+   * @returns {Promise<Object|null>} The internal wallet ID, how the output was matched and the reference that matched it, or null
+   */
+  async function matchOutput(connector, address, memo) {
+    const depositAddress = depositManager.lookupDepositAddress(address);
+    if (depositAddress) {
+      return { internalWalletId: depositAddress.internalWalletId, matchedBy: 'address', reference: depositAddress.requestId };
+    }
+    
+    if (!memo) {
+      return null;
+    }
+    
+    const paymentRequest = await depositManager.getPaymentRequest(memo);
+    if (paymentRequest) {
+      return belongsTo(paymentRequest, connector)
+        ? { internalWalletId: paymentRequest.internalWalletId, matchedBy: 'payment-request', reference: memo }
+        : null;
+    }
+    
+    try {
+      const result = await fabricClient.evaluateTransaction('getInternalWallet', memo);
+      const internalWallet = JSON.parse(result.toString());
+      
+      if (belongsTo(internalWallet, connector)) {
+        return { internalWalletId: internalWallet.id, matchedBy: 'memo', reference: memo };
+      }
+    } catch (error) {
+      logger.debug(`Memo ${memo} does not name an internal wallet: ${error.message}`);
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Credit a deposit on the ledger
+   * @param {Object} deposit The deposit
+   * @returns {Promise<Object>} The deposit record
+   */
+  async function credit(deposit) {
+    const details = {
+      address: deposit.address,
+      matchedBy: deposit.matchedBy,
+      reference: deposit.reference,
+      blockHeight: deposit.blockHeight
+    };
+    
+    const result = await fabricClient.submitTransaction('creditDeposit', deposit.txid, String(deposit.vout), deposit.internalWalletId, deposit.amount, JSON.stringify(details));
+    const record = JSON.parse(result.toString());
+    
+    deposits.set(deposit.id, record);
+    pendingDeposits.delete(deposit.id);
+    
+    logger.info(`Deposit ${deposit.id} credited to internal wallet ${deposit.internalWalletId} (${deposit.matchedBy})`);
+    
+    return record;
+  }
+  
+  /**
+   * Reverse the credit of a deposit on the ledger
+   * @param {Object} deposit The deposit record
+   * @param {string} reason The reason for the reversal
+   * @returns {Promise<Object>} The deposit record
+   */
+  async function reverse(deposit, reason) {
+    const result = await fabricClient.submitTransaction('reverseDeposit', deposit.txid, String(deposit.vout), reason);
+    const record = JSON.parse(result.toString());
+    
+    deposits.set(deposit.id, record);
+    
+    logger.warn(`Deposit ${deposit.id} of internal wallet ${deposit.internalWalletId} reversed: ${reason}`);
+    
+    return record;
+  }
+  
+  /**
+   * Process the transaction history of a receive address
+   *
+   * Matched outputs with enough confirmations are credited, and the others wait for their
+   * confirmations. If the history is complete (shorter than the history limit), credited deposits
+   * of the address whose transactions are missing from it were removed by a reorg, and are reversed.
+   *
+   * @param {Object} connector The blockchain connector of the primary wallet
+   * @param {string} address The receive address
+   * @param {Array<Object>} transactions The transaction history of the address, as reported by the transceiver
+   * @returns {Promise<Object>} The deposits that were credited and reversed
+   */
+  async function processTransactions(connector, address, transactions) {
+    const requiredConfirmations = getRequiredConfirmations(connector.blockchain);
+    const credited = [];
+    const reversed = [];
+    const txids = new Set(transactions.map(transaction => transaction.txid));
+    
+    for (const transaction of transactions) {
+      // Payments are identified by their outputs, and change is not a deposit
+      if (transaction.type === 'outgoing' || !Array.isArray(transaction.outputs)) {
+        continue;
+      }
+      
+      const memo = getMemo(transaction);
+      const confirmations = transaction.confirmations || 0;
+      
+      for (const output of transaction.outputs.filter(o => o.address === address && o.value > 0)) {
+        const id = `${transaction.txid}:${output.vout}`;
+        
+        if (!matches.has(id)) {
+          matches.set(id, await matchOutput(connector, address, memo));
+        }
+        
+        const match = matches.get(id);
+        if (!match) {
+          continue;
+        }
+        
+        const deposit = {
+          id,
+          txid: transaction.txid,
+          vout: output.vout,
+          address,
+          ...match,
+          amount: toBaseUnits(output.value, connector.blockchain, { round: true }).toString(),
+          blockHeight: transaction.blockHeight || null,
+          confirmations
+        };
+        const existing = deposits.get(id);
+        
+        try {
+          if (confirmations >= requiredConfirmations) {
+            if (!existing || existing.status !== 'credited') {
+              credited.push(await credit(deposit));
+            }
+            
+            if (confirmations >= settings.reorgWindow) {
+              finalDeposits.add(id);
+            }
+          } else if (existing && existing.status === 'credited') {
+            if (!finalDeposits.has(id)) {
+              reversed.push(await reverse(existing, `The transaction has ${confirmations} of ${requiredConfirmations} confirmations after a reorg`));
+            }
+          } else {
+            pendingDeposits.set(id, { ...deposit, requiredConfirmations, status: 'pending' });
+          }
+        } catch (error) {
+          logger.error(`Failed to process deposit ${id}: ${error.message}`);
+        }
+      }
+    }
+    
+    // A truncated history may leave out older transactions, which are not missing
+    if (transactions.length < settings.historyLimit) {
+      for (const deposit of deposits.values()) {
+        if (deposit.address !== address || deposit.status !== 'credited' || txids.has(deposit.txid) || finalDeposits.has(deposit.id)) {
+          continue;
+        }
+        
+        try {
+          reversed.push(await reverse(deposit, 'The transaction is no longer in the chain after a reorg'));
+        } catch (error) {
+          logger.error(`Failed to reverse deposit ${deposit.id}: ${error.message}`);
+        }
+      }
+      
+      // Pending deposits whose transactions were dropped or replaced are forgotten
+      for (const deposit of pendingDeposits.values()) {
+        if (deposit.address === address && !txids.has(deposit.txid)) {
+          pendingDeposits.delete(deposit.id);
+        }
+      }
+    }
+    
+    return { credited, reversed };
+  }
+  
+  /**
+   * Scan the transaction history of a receive address
+   * @param {Object} connector The blockchain connector of the primary wallet
+   * @param {string} address The receive address
+   * @returns {Promise<Object>} The deposits that were credited and reversed
+   */
+  function scanAddress(connector, address) {
+    // Notifications that arrive during a scan are covered by it
+    if (!scans.has(address)) {
+      const scan = (async () => {
+        try {
+          const transactions = await connector.getTransactionHistory(address, settings.historyLimit);
+          return await processTransactions(connector, address, transactions);
+        } finally {
+          scans.delete(address);
+        }
+      })();
+      
+      scans.set(address, scan);
+    }
+    
+    return scans.get(address);
+  }
+  
+  const depositProcessor = {
+    getRequiredConfirmations,
+    
+    processTransactions,
+    
+    scanAddress,
+    
+    /**
+     * Scan the receive addresses of all primary wallets whose transceivers report transactions
+     * @returns {Promise<Object>} The deposits that were credited and reversed
+     */
+    scan: async () => {
+      const summary = { credited: [], reversed: [] };
+      
+      if (scanning) {
+        return summary;
+      }
+      
+      scanning = true;
+      
+      try {
+        for (const connector of getScannableConnectors()) {
+          for (const address of getReceiveAddresses(connector)) {
+            try {
+              const { credited, reversed } = await scanAddress(connector, address);
+              summary.credited.push(...credited);
+              summary.reversed.push(...reversed);
+            } catch (error) {
+              logger.warn(`Failed to scan address ${address} of ${connector.blockchain}/${connector.name}: ${error.message}`);
+            }
+          }
+        }
+      } finally {
+        scanning = false;
+      }
+      
+      return summary;
+    },
+    
+    /**
+     * Get the deposits that are waiting for confirmations
+     * @param {string} internalWalletId Optional internal wallet ID
+     * @returns {Array<Object>} The pending deposits
+     */
+    getPendingDeposits: (internalWalletId) => Array.from(pendingDeposits.values())
+      .filter(deposit => !internalWalletId || deposit.internalWalletId === internalWalletId),
+    
+    /**
+     * Get the deposits of an internal wallet, with their amounts in whole coins
+     * @param {string} internalWalletId The internal wallet ID
+     * @returns {Promise<Array<Object>>} The deposits recorded on the ledger, followed by the deposits that are waiting for confirmations
+     */
+    getDeposits: async (internalWalletId) => {
+      try {
+        const result = await fabricClient.evaluateTransaction('getDeposits', internalWalletId);
+        const walletResult = await fabricClient.evaluateTransaction('getInternalWallet', internalWalletId);
+        const { blockchain } = JSON.parse(walletResult.toString());
+        
+        return [...JSON.parse(result.toString()), ...depositProcessor.getPendingDeposits(internalWalletId)]
+          .map(deposit => formatAmounts(deposit, blockchain, ['amount']));
+      } catch (error) {
+        logger.error(`Failed to get deposits: ${error.message}`);
+        throw new Error(`Failed to get deposits: ${error.message}`);
+      }
+    },
+    
+    /**
+     * Load the deposits from the ledger, monitor the receive addresses and scan them on a schedule
+     * @returns {Promise<void>}
+     */
+    start: async () => {
+      try {
+        const result = await fabricClient.evaluateTransaction('getDeposits', '');
+        
+        for (const deposit of JSON.parse(result.toString())) {
+          deposits.set(deposit.id, deposit);
+        }
+        
+        for (const connector of getScannableConnectors()) {
+          await connector.monitorWalletAddress(connector.walletAddress, (transactions, address) => {
+            scanAddress(connector, address || connector.walletAddress).catch(error => {
+              logger.error(`Failed to scan address ${address || connector.walletAddress}: ${error.message}`);
+            });
+          });
+        }
+        
+        // Confirmations are counted by scanning, since notifications only report new transactions
+        scanInterval = setInterval(() => {
+          depositProcessor.scan().catch(error => logger.error(`Failed to scan deposits: ${error.message}`));
+        }, settings.scanInterval);
+        
+        depositProcessor.scan().catch(error => logger.error(`Failed to scan deposits: ${error.message}`));
+        
+        logger.info(`Deposit processor started with ${deposits.size} deposits (${JSON.stringify(settings.confirmations)} confirmations required)`);
+      } catch (error) {
+        logger.error(`Failed to start deposit processor: ${error.message}`);
+        throw new Error(`Failed to start deposit processor: ${error.message}`);
+      }
+    },
+    
+    /**
+     * Stop scanning and monitoring the receive addresses
+     * @returns {Promise<void>}
+     */
+    stop: async () => {
+      if (scanInterval) {
+        clearInterval(scanInterval);
+        scanInterval = null;
+      }
+      
+      for (const connector of getScannableConnectors()) {
+        await connector.stopMonitoringWalletAddress(connector.walletAddress);
+      }
+    }
+  };
+  
+  return depositProcessor;
+}
+
+/**
+ * Initialize the deposit processor, and start crediting deposits
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} fabricClient The Fabric client
+ * @param {Object} depositManager The deposit manager
+ * @returns {Promise<Object>} The deposit processor
+ */
+async function initializeDepositProcessor(config, blockchainConnectors, fabricClient, depositManager) {
+  logger.info('Initializing deposit processor...');
+  
+  const depositProcessor = createDepositProcessor(config, blockchainConnectors, fabricClient, depositManager);
+  await depositProcessor.start();
+  
+  return depositProcessor;
+}
+
+module.exports = {
+  createDepositProcessor,
+  initializeDepositProcessor
+};
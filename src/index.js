@@ -11,6 +11,13 @@ const { initializeWalletManager } = require('./wallet/walletManager');
 const { initializeHyperledger } = require('./hyperledger/fabricManager');
 const { initializeChaincodeManager } = require('./chaincode/chaincodeManager');
 const { initializeBalanceReconciliation } = require('./reconciliation/balanceReconciliation');
+const { initializeDepositManager } = require('./deposits/depositManager');
+const { initializeDepositProcessor } = require('./deposits/depositProcessor');
+const { initializeFeeEstimator } = require('./blockchain/feeEstimator');
+const { initializeWithdrawalBatcher } = require('./withdrawals/withdrawalBatcher');
+const { initializeUnsignedWithdrawalExpiry } = require('./withdrawals/unsignedWithdrawals');
+const { initializeUtxoConsolidator } = require('./consolidation/utxoConsolidator');
+const { initializeConfirmationTracker } = require('./blockchain/confirmationTracker');
 const { startApiServer } = require('./api/server');
 const winston = require('winston');
 
@@ -74,9 +81,37 @@ async function main() {
     logger.info('Initializing balance reconciliation module...');
     const balanceReconciliation = await initializeBalanceReconciliation(config, walletManager, fabricClient);
     
+    // Initialize deposit manager, which assigns the addresses of HD primary wallets to internal wallets
+    logger.info('Initializing deposit manager...');
+    const depositManager = await initializeDepositManager(config, blockchainConnectors, fabricClient);
+    
+    // Initialize deposit processor, which credits confirmed deposits to internal wallets
+    logger.info('Initializing deposit processor...');
+    const depositProcessor = await initializeDepositProcessor(config, blockchainConnectors, fabricClient, depositManager);
+    
+    // Initialize fee estimator, which chooses the fee rates of withdrawals
+    logger.info('Initializing fee estimator...');
+    const feeEstimator = await initializeFeeEstimator(config, blockchainConnectors);
+    
+    // Initialize withdrawal batcher, which sends queued withdrawals in batch transactions
+    logger.info('Initializing withdrawal batcher...');
+    const withdrawalBatcher = await initializeWithdrawalBatcher(config, blockchainConnectors, fabricClient);
+    
+    // Initialize expiry of unsigned withdrawals, which credits back the withdrawals that are not signed in time
+    logger.info('Initializing expiry of unsigned withdrawals...');
+    const unsignedWithdrawalExpiry = await initializeUnsignedWithdrawalExpiry(config, blockchainConnectors, fabricClient);
+    
+    // Initialize UTXO consolidator, which sweeps the small UTXOs of primary wallets while fees are low
+    logger.info('Initializing UTXO consolidator...');
+    const utxoConsolidator = await initializeUtxoConsolidator(config, blockchainConnectors, fabricClient, feeEstimator);
+    
+    // Initialize confirmation tracker, which follows broadcast transactions to their confirmation and detects reorgs
+    logger.info('Initializing confirmation tracker...');
+    const confirmationTracker = await initializeConfirmationTracker(config, blockchainConnectors, balanceReconciliation);
+    
     // Start API server
     logger.info('Starting API server...');
-    await startApiServer(config, blockchainConnectors, walletManager, fabricClient, chaincodeManager, balanceReconciliation);
+    await startApiServer(config, blockchainConnectors, walletManager, fabricClient, chaincodeManager, balanceReconciliation, depositManager, depositProcessor, feeEstimator, withdrawalBatcher, utxoConsolidator);
     
     // Start health monitoring for blockchain connectors
     logger.info('Starting health monitoring for blockchain connectors...');
@@ -95,6 +130,21 @@ async function main() {
       logger.info('Stopping health monitoring...');
       stopHealthMonitoring(monitoringInterval);
       
+      // Stop monitoring deposits
+      await depositProcessor.stop();
+      
+      // Stop sending withdrawal batches
+      await withdrawalBatcher.stop();
+      
+      // Stop expiring unsigned withdrawals
+      unsignedWithdrawalExpiry.stop();
+      
+      // Stop consolidating UTXOs
+      utxoConsolidator.stop();
+      
+      // Stop following broadcast transactions
+      confirmationTracker.stop();
+      
       // Disconnect from Hyperledger Fabric
       if (fabricClient) {
         logger.info('Disconnecting from Hyperledger Fabric...');
@@ -126,5 +176,12 @@ module.exports = {
   initializeHyperledger,
   initializeChaincodeManager,
   initializeBalanceReconciliation,
+  initializeDepositManager,
+  initializeDepositProcessor,
+  initializeFeeEstimator,
+  initializeWithdrawalBatcher,
+  initializeUnsignedWithdrawalExpiry,
+  initializeUtxoConsolidator,
+  initializeConfirmationTracker,
   startApiServer
 };
@@ -6,6 +6,7 @@
  */
 
 const winston = require('winston');
+const { getConfiguredDecimals, createAmounts } = require('../blockchain/amounts');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -38,11 +39,13 @@ async function initializeBalanceReconciliation(config, walletManager, fabricClie
   try {
     logger.info('Initializing balance reconciliation module...');
     
+    // Amounts are converted with the decimals configured for custom UTXO blockchains
+    const { toBaseUnits, toCoins, getBalanceUnits, sumBalanceUnits } = createAmounts(getConfiguredDecimals(config));
+    
     // Get reconciliation configuration
     const reconciliationConfig = config.balanceReconciliation || {
       strategy: 'afterTransaction',
       scheduledFrequency: 3600000, // 1 hour
-      warningThreshold: 0.00001,
       strictMode: false
     };
     
@@ -51,6 +54,9 @@ async function initializeBalanceReconciliation(config, walletManager, fabricClie
       namePrefix: 'base_wallet_'
     };
     
+    // Reorgs reported by the confirmation tracker, latest last
+    const reorgAlerts = [];
+    
     // Initialize scheduled reconciliation if enabled
     let scheduledReconciliationInterval = null;
     if (reconciliationConfig.strategy === 'scheduled' || reconciliationConfig.strategy === 'both') {
@@ -77,8 +83,8 @@ async function initializeBalanceReconciliation(config, walletManager, fabricClie
         // Get the primary wallet
         const primaryWallet = walletManager.getWallet(blockchain, primaryWalletName);
         
-        // Get the on-chain balance
-        const onChainBalance = await primaryWallet.getBalance();
+        // Get the on-chain balance in base units
+        const onChainBalance = toBaseUnits(await primaryWallet.getBalance(), blockchain, { round: true });
         
         // Get all internal wallets for this primary wallet
         const internalWallets = await walletManager.getInternalWalletsByPrimaryWallet(blockchain, primaryWalletName);
@@ -89,10 +95,7 @@ async function initializeBalanceReconciliation(config, walletManager, fabricClie
         const baseWallet = internalWallets.find(wallet => wallet.id === baseWalletId);
         
         // Calculate aggregate internal balance (excluding base wallet)
-        const aggregateNonBaseBalance = nonBaseWallets.reduce(
-          (sum, wallet) => sum + wallet.balance, 
-          0
-        );
+        const aggregateNonBaseBalance = sumBalanceUnits(nonBaseWallets);
         
         // Calculate what the base wallet balance should be
         const expectedBaseWalletBalance = onChainBalance - aggregateNonBaseBalance;
@@ -108,9 +111,9 @@ async function initializeBalanceReconciliation(config, walletManager, fabricClie
           } catch (error) {
             logger.error(`Failed to create base wallet: ${error.message}`);
           }
-        } else if (Math.abs(baseWallet.balance - expectedBaseWalletBalance) > reconciliationConfig.warningThreshold) {
+        } else if (getBalanceUnits(baseWallet) !== expectedBaseWalletBalance) {
           // Update the base wallet balance if it's different from the expected value
-          logger.info(`Updating base wallet ${baseWalletId} balance from ${baseWallet.balance} to ${expectedBaseWalletBalance}`);
+          logger.info(`Updating base wallet ${baseWalletId} balance from ${getBalanceUnits(baseWallet)} to ${expectedBaseWalletBalance}`);
           try {
             await walletManager.reconcileBaseInternalWallet(blockchain, primaryWalletName);
             baseWalletUpdated = true;
@@ -128,26 +131,23 @@ async function initializeBalanceReconciliation(config, walletManager, fabricClie
         }
         
         // Calculate the total internal balance including the base wallet
-        const aggregateInternalBalance = updatedInternalWallets.reduce(
-          (sum, wallet) => sum + wallet.balance, 
-          0
-        );
+        const aggregateInternalBalance = sumBalanceUnits(updatedInternalWallets);
         
-        // Calculate the difference
-        const difference = Math.abs(onChainBalance - aggregateInternalBalance);
+        // Calculate the difference; balances are exact, so any difference is a discrepancy
+        const difference = onChainBalance > aggregateInternalBalance
+          ? onChainBalance - aggregateInternalBalance
+          : aggregateInternalBalance - onChainBalance;
+        const hasDiscrepancy = difference !== 0n;
         
-        // Check if the difference exceeds the warning threshold
-        const hasDiscrepancy = difference > reconciliationConfig.warningThreshold;
-        
-        // Create the reconciliation result
+        // Create the reconciliation result, with amounts in whole coins
         const result = {
           blockchain,
           primaryWalletName,
-          onChainBalance,
-          aggregateNonBaseBalance,
-          baseWalletBalance: updatedBaseWallet ? updatedBaseWallet.balance : 0,
-          aggregateInternalBalance,
-          difference,
+          onChainBalance: toCoins(onChainBalance, blockchain),
+          aggregateNonBaseBalance: toCoins(aggregateNonBaseBalance, blockchain),
+          baseWalletBalance: toCoins(updatedBaseWallet ? getBalanceUnits(updatedBaseWallet) : 0n, blockchain),
+          aggregateInternalBalance: toCoins(aggregateInternalBalance, blockchain),
+          difference: toCoins(difference, blockchain),
           hasDiscrepancy,
           baseWalletUpdated,
           timestamp: new Date().toISOString()
@@ -155,9 +155,9 @@ async function initializeBalanceReconciliation(config, walletManager, fabricClie
         
         // Log the result
         if (hasDiscrepancy) {
-          logger.warn(`Balance discrepancy detected for ${blockchain}/${primaryWalletName}: ${difference}`);
+          logger.warn(`Balance discrepancy detected for ${blockchain}/${primaryWalletName}: ${result.difference}`);
           
-          // Record the discrepancy in the ledger
+          // Record the discrepancy in the ledger, in base units
           await fabricClient.submitTransaction(
             'recordBalanceDiscrepancy',
             blockchain,
@@ -260,6 +260,44 @@ async function initializeBalanceReconciliation(config, walletManager, fabricClie
       }
     }
     
+    /**
+     * Handle a reorg that moved a transaction of a primary wallet back
+     *
+     * The on-chain balance of the wallet may no longer match the internal wallets that the
+     * transaction was recorded for, so the wallet is reconciled, whatever the strategy.
+     *
+     * @param {string} blockchain The blockchain type
+     * @param {string} primaryWalletName The primary wallet name
+     * @param {Object} details The reorg, with the `txid`, the `reason` and the `previous` and `current` block of the transaction
+     * @returns {Promise<Object>} The alert, with the reconciliation result
+     */
+    async function reportReorg(blockchain, primaryWalletName, details) {
+      logger.warn(`Reorg reported for ${blockchain}/${primaryWalletName}: transaction ${details.txid} (${details.reason})`);
+      
+      const alert = {
+        blockchain,
+        primaryWalletName,
+        ...details,
+        timestamp: new Date().toISOString()
+      };
+      
+      try {
+        alert.reconciliationResult = await reconcileWallet(blockchain, primaryWalletName);
+      } catch (error) {
+        // Logged by reconcileWallet; the alert is kept either way
+        alert.error = error.message;
+      }
+      
+      reorgAlerts.push(alert);
+      
+      // Keep the latest alerts
+      if (reorgAlerts.length > (reconciliationConfig.maxReorgAlerts || 100)) {
+        reorgAlerts.shift();
+      }
+      
+      return alert;
+    }
+    
     // Create the balance reconciliation module
     const balanceReconciliation = {
       /**
@@ -286,6 +324,21 @@ async function initializeBalanceReconciliation(config, walletManager, fabricClie
        */
       verifyBalanceAfterTransaction,
       
+      /**
+       * Handle a reorg that moved a transaction of a primary wallet back
+       * @param {string} blockchain The blockchain type
+       * @param {string} primaryWalletName The primary wallet name
+       * @param {Object} details The reorg details
+       * @returns {Promise<Object>} The alert, with the reconciliation result
+       */
+      reportReorg,
+      
+      /**
+       * Get the reorgs reported by the confirmation tracker
+       * @returns {Array} The reorg alerts, latest last
+       */
+      getReorgAlerts: () => [...reorgAlerts],
+      
       /**
        * Get the reconciliation configuration
        * @returns {Object} The reconciliation configuration
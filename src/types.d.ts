@@ -49,6 +49,41 @@ export function initializeChaincodeManager(config: any, fabricClient: any): Prom
  */
 export function initializeBalanceReconciliation(config: any, walletManager: any, fabricClient: any): Promise<any>;
 
+/**
+ * Initialize deposit manager function
+ */
+export function initializeDepositManager(config: any, blockchainConnectors: any, fabricClient: any): Promise<any>;
+
+/**
+ * Initialize deposit processor function
+ */
+export function initializeDepositProcessor(config: any, blockchainConnectors: any, fabricClient: any, depositManager: any): Promise<any>;
+
+/**
+ * Initialize fee estimator function
+ */
+export function initializeFeeEstimator(config: any, blockchainConnectors: any): Promise<any>;
+
+/**
+ * Initialize withdrawal batcher function
+ */
+export function initializeWithdrawalBatcher(config: any, blockchainConnectors: any, fabricClient: any): Promise<any>;
+
+/**
+ * Initialize expiry of unsigned withdrawals function
+ */
+export function initializeUnsignedWithdrawalExpiry(config: any, blockchainConnectors: any, fabricClient: any): Promise<any>;
+
+/**
+ * Initialize UTXO consolidator function
+ */
+export function initializeUtxoConsolidator(config: any, blockchainConnectors: any, fabricClient: any, feeEstimator: any): Promise<any>;
+
+/**
+ * Initialize confirmation tracker function
+ */
+export function initializeConfirmationTracker(config: any, blockchainConnectors: any, balanceReconciliation: any): Promise<any>;
+
 /**
  * Start API server function
  */
@@ -58,5 +93,10 @@ export function startApiServer(
   walletManager: any,
   fabricClient: any,
   chaincodeManager: any,
-  balanceReconciliation: any
+  balanceReconciliation: any,
+  depositManager?: any,
+  depositProcessor?: any,
+  feeEstimator?: any,
+  withdrawalBatcher?: any,
+  utxoConsolidator?: any
 ): Promise<any>;
@@ -0,0 +1,156 @@
+/**
+ * Unsigned Withdrawals Module
+ *
+ * This module cancels the withdrawals from externally signed primary wallets that are not signed.
+ * Such a withdrawal is debited from its internal wallet when its unsigned transaction is created,
+ * and the UTXOs of the transaction stay locked until the signing timeout of the primary wallet
+ * (see BlockchainConnector.createUnsignedTransaction). A withdrawal is cancelled when it is
+ * cancelled through the API, or when its signing timeout has passed: its unsigned transaction is
+ * cancelled, which releases the UTXOs, and `cancelWithdrawal` credits the amount and the fee back
+ * to the internal wallet on the ledger.
+ *
+ * The unsigned transactions of every primary wallet are checked for expired ones every minute.
+ */
+
+const winston = require('winston');
+
+// The interval at which expired unsigned transactions are checked
+const EXPIRY_CHECK_INTERVAL_MS = 60000;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'unsigned-withdrawals' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    }),
+    new winston.transports.File({ filename: 'logs/withdrawals-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/withdrawals.log' })
+  ]
+});
+
+/**
+ * Cancel the unsigned transaction of a withdrawal, and credit the withdrawal back on the ledger
+ *
+ * The unsigned transaction is cancelled first, so that no signatures can complete it while the
+ * withdrawal is cancelled on the ledger.
+ *
+ * @param {Object} connector The connector that holds the unsigned transaction
+ * @param {Object} fabricClient The Fabric client
+ * @param {string} id The ID of the unsigned transaction
+ * @param {string} reason The reason of the cancellation
+ * @returns {Promise<Object>} The cancelled transaction
+ */
+async function cancelUnsignedWithdrawal(connector, fabricClient, id, reason) {
+  const cancelled = connector.cancelUnsignedTransaction(id, reason);
+  const { withdrawalId } = cancelled.metadata;
+  
+  if (withdrawalId) {
+    try {
+      await fabricClient.submitTransaction('cancelWithdrawal', withdrawalId, reason);
+    } catch (error) {
+      logger.error(`Failed to credit back withdrawal ${withdrawalId}, whose unsigned transaction was cancelled: ${error.message}`);
+      throw new Error(`Failed to cancel withdrawal ${withdrawalId}: ${error.message}`);
+    }
+  }
+  
+  logger.info(`Withdrawal ${withdrawalId || id} cancelled: ${reason}`);
+  
+  return cancelled;
+}
+
+/**
+ * Create the expiry of unsigned withdrawals
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} fabricClient The Fabric client
+ * @returns {Object} The expiry of unsigned withdrawals
+ */
+function createUnsignedWithdrawalExpiry(config, blockchainConnectors, fabricClient) {
+  let checkInterval = null;
+  
+  const unsignedWithdrawalExpiry = {
+    /**
+     * Cancel the withdrawals whose unsigned transactions have passed their signing timeout
+     * @returns {Promise<Array<Object>>} The cancelled transactions
+     */
+    expire: async () => {
+      const cancelled = [];
+      
+      for (const blockchain of Object.keys(blockchainConnectors)) {
+        for (const connector of Object.values(blockchainConnectors[blockchain])) {
+          if (!connector.getExpiredUnsignedTransactions) {
+            continue;
+          }
+          
+          for (const { id } of connector.getExpiredUnsignedTransactions()) {
+            try {
+              cancelled.push(await cancelUnsignedWithdrawal(connector, fabricClient, id, 'The signing timeout expired'));
+            } catch (error) {
+              logger.error(`Failed to expire unsigned transaction ${id}: ${error.message}`);
+            }
+          }
+        }
+      }
+      
+      return cancelled;
+    },
+    
+    /**
+     * Cancel the withdrawals that expired while FractaLedger was stopped, and start checking on the interval
+     * @returns {Promise<void>}
+     */
+    start: async () => {
+      await unsignedWithdrawalExpiry.expire();
+      
+      checkInterval = setInterval(() => {
+        unsignedWithdrawalExpiry.expire().catch(error => logger.error(`Failed to expire unsigned withdrawals: ${error.message}`));
+      }, EXPIRY_CHECK_INTERVAL_MS);
+      
+      logger.info('Expiry of unsigned withdrawals started');
+    },
+    
+    /**
+     * Stop checking on the interval
+     */
+    stop: () => {
+      if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+      }
+    }
+  };
+  
+  return unsignedWithdrawalExpiry;
+}
+
+/**
+ * Initialize the expiry of unsigned withdrawals, and start checking for expired ones
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} fabricClient The Fabric client
+ * @returns {Promise<Object>} The expiry of unsigned withdrawals
+ */
+async function initializeUnsignedWithdrawalExpiry(config, blockchainConnectors, fabricClient) {
+  logger.info('Initializing expiry of unsigned withdrawals...');
+  
+  const unsignedWithdrawalExpiry = createUnsignedWithdrawalExpiry(config, blockchainConnectors, fabricClient);
+  await unsignedWithdrawalExpiry.start();
+  
+  return unsignedWithdrawalExpiry;
+}
+
+module.exports = {
+  EXPIRY_CHECK_INTERVAL_MS,
+  cancelUnsignedWithdrawal,
+  createUnsignedWithdrawalExpiry,
+  initializeUnsignedWithdrawalExpiry
+};
@@ -0,0 +1,423 @@
+/**
+ * Withdrawal Batcher Module
+ *
+ * This module pays withdrawals in batches. Instead of a transaction of its own, a batched
+ * withdrawal is queued on the ledger with `queueWithdrawal`, which debits its internal wallet with
+ * the amount and the fee it would pay on its own. The queue of each primary wallet is sent as a
+ * single transaction with an output per withdrawal:
+ *
+ * - every `interval` milliseconds;
+ * - when `maxCount` withdrawals are queued, or they add up to `maxAmount` whole coins;
+ * - when the queue is flushed through the API.
+ *
+ * The batch pays the highest fee rate that its withdrawals were queued at, and its fee is split
+ * across the withdrawals by the configured rule (see splitFee). Before the transaction is
+ * broadcast, `settleWithdrawalBatch` links each withdrawal to the batch transaction and its
+ * output, and refunds the reserved fee that exceeds its share.
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const { getConfiguredDecimals, createAmounts } = require('../blockchain/amounts');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'withdrawal-batcher' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    }),
+    new winston.transports.File({ filename: 'logs/withdrawals-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/withdrawals.log' })
+  ]
+});
+
+/**
+ * Rules that split the fee of a batch across its withdrawals, by name
+ *
+ * Each rule returns the weight of each withdrawal; the fee is split in proportion to the weights.
+ */
+const FEE_SPLIT_RULES = {
+  // Every withdrawal pays the same share
+  equal: withdrawals => withdrawals.map(() => 1n),
+  
+  // Each withdrawal pays in proportion to its amount
+  proportional: withdrawals => withdrawals.map(withdrawal => BigInt(withdrawal.amount))
+};
+
+/**
+ * Split the fee of a batch across its withdrawals
+ *
+ * The shares are rounded down to whole base units, and the base units that are left over are
+ * added one each to the first withdrawals, so that the shares add up to the fee.
+ *
+ * @param {bigint} fee The fee in base units
+ * @param {Array<Object>} withdrawals The withdrawals, with their amounts in base units
+ * @param {string} rule The name of the rule: `equal` or `proportional`
+ * @returns {Array<bigint>} The share of each withdrawal in base units
+ */
+function splitFee(fee, withdrawals, rule = 'equal') {
+  const weigh = FEE_SPLIT_RULES[rule];
+  if (!weigh) {
+    throw new Error(`Unknown fee split rule: ${rule}`);
+  }
+  
+  const weights = weigh(withdrawals);
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0n);
+  
+  // Split equally if the weights are all zero
+  if (totalWeight === 0n) {
+    return splitFee(fee, withdrawals, 'equal');
+  }
+  
+  const shares = weights.map(weight => (fee * weight) / totalWeight);
+  let remainder = fee - shares.reduce((total, share) => total + share, 0n);
+  
+  for (let index = 0; remainder > 0n; index = (index + 1) % shares.length) {
+    shares[index] += 1n;
+    remainder -= 1n;
+  }
+  
+  return shares;
+}
+
+/**
+ * Create the withdrawal batcher
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} fabricClient The Fabric client
+ * @returns {Object} The withdrawal batcher
+ */
+function createWithdrawalBatcher(config, blockchainConnectors, fabricClient) {
+  // Amounts are converted with the decimals configured for custom UTXO blockchains
+  const { toBaseUnits, toCoins, formatAmounts } = createAmounts(getConfiguredDecimals(config));
+  
+  // Get withdrawal batching configuration
+  const settings = {
+    enabled: false,
+    interval: 600000, // 10 minutes
+    maxCount: 50,
+    maxAmount: null,
+    feeSplit: 'equal',
+    blockchains: {},
+    ...config.withdrawalBatching
+  };
+  
+  // Queued withdrawals, by primary wallet (`blockchain/name`), in the order they were queued
+  const queues = new Map();
+  
+  // Batches being sent, by primary wallet
+  const flushes = new Map();
+  
+  let flushInterval = null;
+  
+  /**
+   * Get the batching settings of a blockchain
+   * @param {string} blockchain The blockchain type
+   * @returns {Object} Whether withdrawals are batched by default, the thresholds and the fee split rule
+   */
+  function getBlockchainSettings(blockchain) {
+    const { blockchains, ...defaults } = settings;
+    
+    return {
+      ...defaults,
+      ...blockchains[blockchain]
+    };
+  }
+  
+  /**
+   * Get the queue of a primary wallet
+   * @param {string} blockchain The blockchain type
+   * @param {string} primaryWalletName The primary wallet name
+   * @returns {Array<Object>} The queued withdrawals
+   */
+  function getQueue(blockchain, primaryWalletName) {
+    const key = `${blockchain}/${primaryWalletName}`;
+    
+    if (!queues.has(key)) {
+      queues.set(key, []);
+    }
+    
+    return queues.get(key);
+  }
+  
+  /**
+   * Check whether the queue of a primary wallet has reached a threshold
+   * @param {string} blockchain The blockchain type
+   * @param {string} primaryWalletName The primary wallet name
+   * @returns {boolean} True if the queue holds `maxCount` withdrawals or `maxAmount` whole coins
+   */
+  function isFull(blockchain, primaryWalletName) {
+    const { maxCount, maxAmount } = getBlockchainSettings(blockchain);
+    const queue = getQueue(blockchain, primaryWalletName);
+    const total = queue.reduce((sum, withdrawal) => sum + BigInt(withdrawal.amount), 0n);
+    
+    return queue.length >= maxCount
+      || (maxAmount !== null && maxAmount !== undefined && total >= toBaseUnits(maxAmount, blockchain, { round: true }));
+  }
+  
+  /**
+   * Send the queued withdrawals of a primary wallet in a batch transaction
+   * @param {string} blockchain The blockchain type
+   * @param {string} primaryWalletName The primary wallet name
+   * @returns {Promise<Object|null>} The batch record, or null if no withdrawals are queued
+   */
+  async function sendBatch(blockchain, primaryWalletName) {
+    const connector = (blockchainConnectors[blockchain] || {})[primaryWalletName];
+    if (!connector) {
+      throw new Error(`Primary wallet not found: ${blockchain}/${primaryWalletName}`);
+    }
+    
+    const { maxCount, feeSplit } = getBlockchainSettings(blockchain);
+    const queue = getQueue(blockchain, primaryWalletName);
+    const withdrawals = queue.slice(0, maxCount);
+    
+    if (withdrawals.length === 0) {
+      return null;
+    }
+    
+    const batchId = `batch_${crypto.randomBytes(8).toString('hex')}`;
+    const feeRate = Math.max(...withdrawals.map(withdrawal => withdrawal.feeRate || 0)) || undefined;
+    let batch;
+    
+    await connector.sendBatchTransaction(
+      withdrawals.map(withdrawal => ({ address: withdrawal.toAddress, amount: toCoins(withdrawal.amount, blockchain) })),
+      {
+        feeRate,
+        metadata: { batchId, withdrawalIds: withdrawals.map(withdrawal => withdrawal.id) },
+        // Settle the withdrawals on the ledger before the transaction is broadcast
+        beforeBroadcast: async ({ txid, fee }) => {
+          const shares = splitFee(toBaseUnits(fee, blockchain, { round: true }), withdrawals, feeSplit);
+          const allocations = withdrawals.map((withdrawal, vout) => ({
+            withdrawalId: withdrawal.id,
+            vout,
+            fee: shares[vout].toString()
+          }));
+          
+          const result = await fabricClient.submitTransaction(
+            'settleWithdrawalBatch',
+            batchId,
+            txid,
+            JSON.stringify(allocations),
+            JSON.stringify({ blockchain, primaryWalletName, feeRate: feeRate || null, feeSplit })
+          );
+          batch = JSON.parse(result.toString());
+        }
+      }
+    );
+    
+    queue.splice(0, withdrawals.length);
+    
+    logger.info(`Sent withdrawal batch ${batchId} of ${withdrawals.length} withdrawals from ${blockchain}/${primaryWalletName}: ${batch.txid}`);
+    
+    return batch;
+  }
+  
+  const withdrawalBatcher = {
+    /**
+     * Check whether a withdrawal from a primary wallet is batched
+     * @param {string} blockchain The blockchain type
+     * @param {string} primaryWalletName The primary wallet name
+     * @param {boolean} requested Optional choice of the withdrawal request (default: the `enabled` setting)
+     * @returns {boolean} True if the withdrawal is queued for a batch
+     */
+    isBatched: (blockchain, primaryWalletName, requested) => {
+      if (requested !== undefined && requested !== null) {
+        return requested;
+      }
+      
+      return Boolean(getBlockchainSettings(blockchain).enabled);
+    },
+    
+    /**
+     * Queue a withdrawal for the next batch of its primary wallet, and send the batch if the queue is full
+     * @param {Object} internalWallet The internal wallet to withdraw from
+     * @param {string} toAddress The recipient address
+     * @param {bigint} amount The amount in base units
+     * @param {bigint} fee The fee the withdrawal would pay on its own in base units, which is reserved
+     * @param {string} feeDetails JSON string with the fee rate and priority of the withdrawal
+     * @returns {Promise<Object>} The queued withdrawal, and the batch record if the batch was sent
+     */
+    enqueue: async (internalWallet, toAddress, amount, fee, feeDetails) => {
+      try {
+        const { blockchain, primaryWalletName } = internalWallet;
+        const connector = (blockchainConnectors[blockchain] || {})[primaryWalletName];
+        
+        if (!connector || !connector.sendBatchTransaction || (connector.isExternallySigned && connector.isExternallySigned())) {
+          throw new Error(`Withdrawals from ${blockchain}/${primaryWalletName} cannot be batched`);
+        }
+        
+        const result = await fabricClient.submitTransaction('queueWithdrawal', internalWallet.id, toAddress, amount.toString(), fee.toString(), feeDetails);
+        const withdrawal = JSON.parse(result.toString());
+        
+        getQueue(blockchain, primaryWalletName).push(withdrawal);
+        
+        logger.info(`Queued withdrawal ${withdrawal.id} from ${internalWallet.id} for a batch of ${blockchain}/${primaryWalletName}`);
+        
+        if (!isFull(blockchain, primaryWalletName)) {
+          return { withdrawal, batch: null };
+        }
+        
+        // A full queue is sent right away; a failure leaves the withdrawals queued for the next attempt
+        try {
+          const batch = await withdrawalBatcher.flush(blockchain, primaryWalletName);
+          const batched = batch && batch.withdrawals.find(entry => entry.withdrawalId === withdrawal.id);
+          
+          return {
+            withdrawal: batched ? { ...withdrawal, status: 'batched', batchId: batch.id, txid: batch.txid, vout: batched.vout, fee: batched.fee } : withdrawal,
+            batch
+          };
+        } catch (error) {
+          logger.error(`Failed to send the full batch of ${blockchain}/${primaryWalletName}: ${error.message}`);
+          return { withdrawal, batch: null };
+        }
+      } catch (error) {
+        logger.error(`Failed to queue withdrawal: ${error.message}`);
+        throw new Error(`Failed to queue withdrawal: ${error.message}`);
+      }
+    },
+    
+    /**
+     * Send the queued withdrawals of a primary wallet in a batch transaction now
+     * @param {string} blockchain The blockchain type
+     * @param {string} primaryWalletName The primary wallet name
+     * @returns {Promise<Object|null>} The batch record, or null if no withdrawals are queued
+     */
+    flush: async (blockchain, primaryWalletName) => {
+      const key = `${blockchain}/${primaryWalletName}`;
+      
+      // Wait for a batch that is being sent, so that no withdrawal is sent twice
+      while (flushes.has(key)) {
+        await flushes.get(key).catch(() => {});
+      }
+      
+      const flush = sendBatch(blockchain, primaryWalletName);
+      flushes.set(key, flush);
+      
+      try {
+        return await flush;
+      } catch (error) {
+        logger.error(`Failed to send withdrawal batch: ${error.message}`);
+        throw new Error(`Failed to send withdrawal batch: ${error.message}`);
+      } finally {
+        flushes.delete(key);
+      }
+    },
+    
+    /**
+     * Send the queued withdrawals of every primary wallet
+     * @returns {Promise<Array<Object>>} The batch records
+     */
+    flushAll: async () => {
+      const batches = [];
+      
+      for (const [key, queue] of queues.entries()) {
+        if (queue.length === 0) {
+          continue;
+        }
+        
+        const [blockchain, primaryWalletName] = key.split('/');
+        
+        try {
+          const batch = await withdrawalBatcher.flush(blockchain, primaryWalletName);
+          if (batch) {
+            batches.push(batch);
+          }
+        } catch (error) {
+          // Logged by flush; the withdrawals stay queued for the next attempt
+        }
+      }
+      
+      return batches;
+    },
+    
+    /**
+     * Get the queued withdrawals of each primary wallet
+     * @returns {Array<Object>} The blockchain, primary wallet name, count, total amount in whole coins and withdrawals of each queue
+     */
+    getQueues: () => {
+      return Array.from(queues.entries())
+        .filter(([, queue]) => queue.length > 0)
+        .map(([key, queue]) => {
+          const [blockchain, primaryWalletName] = key.split('/');
+          const total = queue.reduce((sum, withdrawal) => sum + BigInt(withdrawal.amount), 0n);
+          
+          return {
+            blockchain,
+            primaryWalletName,
+            count: queue.length,
+            amount: toCoins(total, blockchain),
+            withdrawals: queue.map(withdrawal => formatAmounts(withdrawal, blockchain, ['amount', 'fee']))
+          };
+        });
+    },
+    
+    /**
+     * Load the queued withdrawals from the ledger, and start sending batches on the configured interval
+     * @returns {Promise<void>}
+     */
+    start: async () => {
+      try {
+        const result = await fabricClient.evaluateTransaction('getQueuedWithdrawals');
+        
+        queues.clear();
+        for (const withdrawal of JSON.parse(result.toString())) {
+          getQueue(withdrawal.blockchain, withdrawal.primaryWalletName).push(withdrawal);
+        }
+        
+        flushInterval = setInterval(() => {
+          withdrawalBatcher.flushAll().catch(error => logger.error(`Failed to send withdrawal batches: ${error.message}`));
+        }, settings.interval);
+        
+        logger.info(`Withdrawal batcher started with ${Array.from(queues.values()).reduce((count, queue) => count + queue.length, 0)} queued withdrawals`);
+      } catch (error) {
+        logger.error(`Failed to start withdrawal batcher: ${error.message}`);
+        throw new Error(`Failed to start withdrawal batcher: ${error.message}`);
+      }
+    },
+    
+    /**
+     * Stop sending batches on the interval
+     * @returns {Promise<void>}
+     */
+    stop: async () => {
+      if (flushInterval) {
+        clearInterval(flushInterval);
+        flushInterval = null;
+      }
+    }
+  };
+  
+  return withdrawalBatcher;
+}
+
+/**
+ * Initialize the withdrawal batcher, and start sending batches
+ * @param {Object} config The configuration object
+ * @param {Object} blockchainConnectors The blockchain connectors, by blockchain and primary wallet name
+ * @param {Object} fabricClient The Fabric client
+ * @returns {Promise<Object>} The withdrawal batcher
+ */
+async function initializeWithdrawalBatcher(config, blockchainConnectors, fabricClient) {
+  logger.info('Initializing withdrawal batcher...');
+  
+  const withdrawalBatcher = createWithdrawalBatcher(config, blockchainConnectors, fabricClient);
+  await withdrawalBatcher.start();
+  
+  return withdrawalBatcher;
+}
+
+module.exports = {
+  FEE_SPLIT_RULES,
+  splitFee,
+  createWithdrawalBatcher,
+  initializeWithdrawalBatcher
+};
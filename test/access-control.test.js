@@ -0,0 +1,253 @@
+/**
+ * Access Control Tests
+ *
+ * This file contains tests for the user store and the role-based access control
+ * applied to the API routes.
+ */
+
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestEnvironment } = require('./test-utils');
+const { Permission, createAccessControl } = require('../src/api/accessControl');
+const { MemoryUserStore, authenticateUser } = require('../src/api/userStore');
+
+describe('Access Control', () => {
+  describe('Role definitions', () => {
+    const accessControl = createAccessControl({});
+    
+    it('should grant every permission to admins', () => {
+      const user = { username: 'root', roles: ['admin'] };
+      
+      expect(accessControl.hasPermission(user, Permission.USERS_MANAGE)).to.be.true;
+      expect(accessControl.hasPermission(user, 'custom:permission')).to.be.true;
+    });
+    
+    it('should only grant read permissions to auditors', () => {
+      const user = { username: 'auditor', roles: ['auditor'] };
+      
+      expect(accessControl.hasPermission(user, Permission.WALLETS_READ)).to.be.true;
+      expect(accessControl.hasPermission(user, Permission.RECONCILIATION_READ)).to.be.true;
+      expect(accessControl.hasPermission(user, Permission.WITHDRAWALS_WRITE)).to.be.false;
+      expect(accessControl.hasPermission(user, Permission.RECONCILIATION_WRITE)).to.be.false;
+    });
+    
+    it('should deny everything to users without roles', () => {
+      expect(accessControl.hasPermission({ username: 'nobody' }, Permission.WALLETS_READ)).to.be.false;
+      expect(accessControl.hasPermission({ username: 'nobody', roles: ['unknown'] }, Permission.WALLETS_READ)).to.be.false;
+    });
+    
+    it('should restrict wallet owners to their own internal wallets', () => {
+      const owner = { username: 'alice', roles: ['wallet-owner'], internalWalletIds: ['alice_wallet'] };
+      const operator = { username: 'bob', roles: ['operator'] };
+      
+      expect(accessControl.hasWalletAccess(owner, 'alice_wallet')).to.be.true;
+      expect(accessControl.hasWalletAccess(owner, 'other_wallet')).to.be.false;
+      expect(accessControl.hasWalletAccess(operator, 'other_wallet')).to.be.true;
+    });
+    
+    it('should merge roles from the configuration', () => {
+      const customAccessControl = createAccessControl({
+        roles: {
+          reporter: { permissions: [Permission.TRANSACTIONS_READ] }
+        }
+      });
+      
+      expect(customAccessControl.isValidRole('reporter')).to.be.true;
+      expect(customAccessControl.hasPermission({ roles: ['reporter'] }, Permission.TRANSACTIONS_READ)).to.be.true;
+      expect(customAccessControl.hasPermission({ roles: ['reporter'] }, Permission.WALLETS_READ)).to.be.false;
+    });
+    
+    it('should register extension permissions without affecting other instances', () => {
+      const extensionAccessControl = createAccessControl({});
+      extensionAccessControl.registerPermissions({ 'reports:read': ['auditor'] });
+      
+      expect(extensionAccessControl.hasPermission({ roles: ['auditor'] }, 'reports:read')).to.be.true;
+      expect(accessControl.hasPermission({ roles: ['auditor'] }, 'reports:read')).to.be.false;
+      expect(() => extensionAccessControl.registerPermissions({ 'reports:read': ['missing'] })).to.throw('Unknown role');
+    });
+  });
+  
+  describe('User store', () => {
+    let store;
+    
+    beforeAll(async () => {
+      store = new MemoryUserStore({
+        bcryptRounds: 4,
+        users: [
+          { username: 'alice', password: 'alice-password', roles: ['operator'] },
+          { username: 'mallory', password: 'mallory-password', roles: ['operator'], disabled: true }
+        ]
+      });
+      await store.initialize();
+    });
+    
+    it('should store password hashes instead of passwords', async () => {
+      const user = await store.getUser('alice');
+      
+      expect(user).to.not.have.property('password');
+      expect(user.passwordHash).to.match(/^\$2[aby]\$/);
+    });
+    
+    it('should authenticate valid credentials without returning the hash', async () => {
+      const user = await authenticateUser(store, 'alice', 'alice-password');
+      
+      expect(user.username).to.equal('alice');
+      expect(user.roles).to.deep.equal(['operator']);
+      expect(user).to.not.have.property('passwordHash');
+    });
+    
+    it('should reject invalid, unknown and disabled users', async () => {
+      expect(await authenticateUser(store, 'alice', 'wrong-password')).to.be.null;
+      expect(await authenticateUser(store, 'unknown', 'alice-password')).to.be.null;
+      expect(await authenticateUser(store, 'mallory', 'mallory-password')).to.be.null;
+    });
+  });
+  
+  describe('API routes', () => {
+    let testEnv;
+    let server;
+    let app;
+    let adminToken;
+    
+    const login = async (username, password) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username, password })
+        .expect(200);
+      
+      return response.body.token;
+    };
+    
+    beforeAll(async () => {
+      testEnv = await setupTestEnvironment();
+      testEnv.mockConfig.api.auth.bcryptRounds = 4;
+      
+      server = testEnv.server;
+      app = testEnv.app;
+      adminToken = testEnv.token;
+      
+      for (const internalWalletId of ['owned_wallet', 'other_wallet']) {
+        await request(app)
+          .post('/api/internal-wallets')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ blockchain: 'bitcoin', primaryWalletName: 'test_wallet_1', internalWalletId })
+          .expect(200);
+      }
+      
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ username: 'auditor', password: 'auditor-password', roles: ['auditor'] })
+        .expect(201);
+      
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          username: 'owner',
+          password: 'owner-password',
+          roles: ['wallet-owner'],
+          internalWalletIds: ['owned_wallet']
+        })
+        .expect(201);
+    });
+    
+    afterAll(async () => {
+      await testEnv.destroyAllWallets();
+      
+      if (server && server.close) {
+        await server.close();
+      }
+    });
+    
+    it('should not return password hashes when listing users', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      
+      expect(response.body.map(user => user.username)).to.include.members(['auditor', 'owner']);
+      response.body.forEach(user => expect(user).to.not.have.property('passwordHash'));
+    });
+    
+    it('should reject users with unknown roles', async () => {
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ username: 'bad', password: 'bad-password', roles: ['superuser'] })
+        .expect(400);
+    });
+    
+    it('should allow auditors to read but not to withdraw', async () => {
+      const token = await login('auditor', 'auditor-password');
+      
+      await request(app)
+        .get('/api/wallets')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      const response = await request(app)
+        .post('/api/transactions/withdraw')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ internalWalletId: 'owned_wallet', toAddress: 'bc1qtest', amount: 0.1 })
+        .expect(403);
+      
+      expect(response.body.messages[0].code).to.equal('ERROR_007');
+      expect(response.body.messages[0].data.permission).to.equal(Permission.WITHDRAWALS_WRITE);
+    });
+    
+    it('should not allow auditors to manage users', async () => {
+      const token = await login('auditor', 'auditor-password');
+      
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+    
+    it('should limit wallet owners to their own internal wallets', async () => {
+      const token = await login('owner', 'owner-password');
+      
+      const listResponse = await request(app)
+        .get('/api/internal-wallets')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      expect(listResponse.body.map(wallet => wallet.id)).to.deep.equal(['owned_wallet']);
+      
+      await request(app)
+        .get('/api/internal-wallets/owned_wallet')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      await request(app)
+        .get('/api/internal-wallets/other_wallet')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+      
+      await request(app)
+        .post('/api/transactions/internal-transfer')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ fromInternalWalletId: 'other_wallet', toInternalWalletId: 'owned_wallet', amount: 0.1 })
+        .expect(403);
+      
+      await request(app)
+        .get('/api/wallets')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+    
+    it('should reject logins for disabled users', async () => {
+      await request(app)
+        .put('/api/users/auditor')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ disabled: true })
+        .expect(200);
+      
+      await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'auditor', password: 'auditor-password' })
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Amounts Tests
+ *
+ * This file contains tests for the conversion of amounts between whole coins and base units.
+ */
+
+const { expect } = require('chai');
+const {
+  getConfiguredDecimals,
+  createAmounts,
+  getDecimals,
+  toBaseUnits,
+  parseBaseUnits,
+  fromBaseUnits,
+  toCoins,
+  readLedgerAmount,
+  sumBalanceUnits,
+  formatAmounts
+} = require('../src/blockchain/amounts');
+
+describe('Amounts', () => {
+  describe('Conversion to base units', () => {
+    it('should convert numbers and decimal strings of whole coins', () => {
+      expect(toBaseUnits(0.1, 'bitcoin')).to.equal(10000000n);
+      expect(toBaseUnits(21000000, 'bitcoin')).to.equal(2100000000000000n);
+      expect(toBaseUnits('0.00000001', 'litecoin')).to.equal(1n);
+      expect(toBaseUnits(1e-7, 'dogecoin')).to.equal(10n);
+    });
+    
+    it('should not lose precision on sums that are inexact as floating point numbers', () => {
+      expect(toBaseUnits(0.1, 'bitcoin') + toBaseUnits(0.2, 'bitcoin')).to.equal(toBaseUnits(0.3, 'bitcoin'));
+    });
+    
+    it('should reject amounts with more decimal places than the currency has', () => {
+      expect(() => toBaseUnits(0.123456789, 'bitcoin')).to.throw('more than 8 decimal places');
+      expect(() => toBaseUnits('0.123456789', 'bitcoin')).to.throw('more than 8 decimal places');
+    });
+    
+    it('should round to the nearest base unit when requested', () => {
+      expect(toBaseUnits(0.123456789, 'bitcoin', { round: true })).to.equal(12345679n);
+      expect(toBaseUnits('0.123456784', 'bitcoin', { round: true })).to.equal(12345678n);
+    });
+    
+    it('should reject invalid amounts and unsupported blockchains', () => {
+      expect(() => toBaseUnits('abc', 'bitcoin')).to.throw('Invalid amount');
+      expect(() => toBaseUnits(NaN, 'bitcoin')).to.throw('Invalid amount');
+      expect(() => toBaseUnits(1, 'ethereum')).to.throw('Unsupported blockchain: ethereum');
+      expect(() => getDecimals('ethereum')).to.throw('Unsupported blockchain: ethereum');
+    });
+    
+    it('should use the configured decimals of other blockchains', () => {
+      const decimals = getConfiguredDecimals({ amounts: { blockchains: { mycoin: { decimals: 6 }, dogecoin: {} } } });
+      expect(decimals).to.deep.equal({ mycoin: 6 });
+      
+      const amounts = createAmounts(decimals);
+      
+      expect(amounts.getDecimals('dogecoin')).to.equal(8);
+      expect(amounts.toBaseUnits('1.5', 'mycoin')).to.equal(1500000n);
+      expect(amounts.fromBaseUnits(1n, 'mycoin')).to.equal('0.000001');
+      expect(amounts.formatAmounts({ balance: '2500000', blockchain: 'mycoin' }, 'mycoin')).to.deep.equal({ balance: 2.5, blockchain: 'mycoin' });
+      expect(() => amounts.toBaseUnits('0.0000001', 'mycoin')).to.throw('more than 6 decimal places');
+      
+      expect(() => getConfiguredDecimals({ amounts: { blockchains: { mycoin: { decimals: 2.5 } } } })).to.throw('Invalid decimals for mycoin');
+    });
+    
+    it('should keep the decimals of each configuration apart', () => {
+      const sixDecimals = createAmounts({ mycoin: 6 });
+      const twoDecimals = createAmounts({ mycoin: 2 });
+      
+      expect(sixDecimals.toBaseUnits('1.5', 'mycoin')).to.equal(1500000n);
+      expect(twoDecimals.toBaseUnits('1.5', 'mycoin')).to.equal(150n);
+      
+      // The conversions exported by the module only know the blockchains supported by default
+      expect(() => getDecimals('mycoin')).to.throw('Unsupported blockchain: mycoin');
+      expect(() => createAmounts().getDecimals('constructor')).to.throw('Unsupported blockchain: constructor');
+    });
+  });
+  
+  describe('Conversion to whole coins', () => {
+    it('should convert base units to decimal strings without trailing zeros', () => {
+      expect(fromBaseUnits(10000000n, 'bitcoin')).to.equal('0.1');
+      expect(fromBaseUnits('200000000', 'bitcoin')).to.equal('2');
+      expect(fromBaseUnits(-1, 'bitcoin')).to.equal('-0.00000001');
+    });
+    
+    it('should convert base units to numbers for API responses', () => {
+      expect(toCoins('30000000', 'bitcoin')).to.equal(0.3);
+    });
+    
+    it('should only parse whole numbers of base units', () => {
+      expect(parseBaseUnits('42')).to.equal(42n);
+      expect(() => parseBaseUnits('0.5')).to.throw('Invalid base unit amount');
+      expect(() => parseBaseUnits(0.5)).to.throw('Invalid base unit amount');
+    });
+  });
+  
+  describe('Ledger amounts', () => {
+    it('should read amounts stored in base units and in whole coins', () => {
+      expect(readLedgerAmount('50000000', 'bitcoin')).to.equal(50000000n);
+      expect(readLedgerAmount(0.5, 'bitcoin')).to.equal(50000000n);
+      expect(readLedgerAmount(undefined, 'bitcoin')).to.equal(0n);
+    });
+    
+    it('should add up the balances of internal wallets', () => {
+      const internalWallets = [
+        { blockchain: 'bitcoin', balance: '10000000' },
+        { blockchain: 'bitcoin', balance: 0.2 },
+        { blockchain: 'bitcoin' }
+      ];
+      
+      expect(sumBalanceUnits(internalWallets)).to.equal(30000000n);
+    });
+    
+    it('should format the amounts of a record in whole coins', () => {
+      const withdrawal = { id: 'withdrawal_1', amount: '10000000', fee: '10000', toAddress: 'bc1qtest' };
+      
+      expect(formatAmounts(withdrawal, 'bitcoin', ['amount', 'fee'])).to.deep.equal({
+        id: 'withdrawal_1',
+        amount: 0.1,
+        fee: 0.0001,
+        toAddress: 'bc1qtest'
+      });
+      expect(withdrawal.amount).to.equal('10000000');
+    });
+  });
+});
@@ -68,12 +68,12 @@ describe('API Extensions Tests', () => {
     await testEnv.mockWalletManager.createInternalWallet('bitcoin', 'btc_wallet_1', 'employer_wallet_1');
     await testEnv.mockWalletManager.createInternalWallet('bitcoin', 'btc_wallet_1', 'employee_wallet_1');
     
-    // Fund the internal wallets
-    await testEnv.mockWalletManager.fundInternalWallet('customer_wallet_1', 2.0);
-    await testEnv.mockWalletManager.fundInternalWallet('merchant_wallet_1', 1.0);
-    await testEnv.mockWalletManager.fundInternalWallet('fee_wallet_1', 0.5);
-    await testEnv.mockWalletManager.fundInternalWallet('employer_wallet_1', 5.0);
-    await testEnv.mockWalletManager.fundInternalWallet('employee_wallet_1', 0.0);
+    // Fund the internal wallets, in base units
+    await testEnv.mockWalletManager.fundInternalWallet('customer_wallet_1', '200000000');
+    await testEnv.mockWalletManager.fundInternalWallet('merchant_wallet_1', '100000000');
+    await testEnv.mockWalletManager.fundInternalWallet('fee_wallet_1', '50000000');
+    await testEnv.mockWalletManager.fundInternalWallet('employer_wallet_1', '500000000');
+    await testEnv.mockWalletManager.fundInternalWallet('employee_wallet_1', '0');
     
     // Set up mock Fabric client for fee configuration
     if (testEnv.mockFabricClient) {
@@ -81,8 +81,8 @@ describe('API Extensions Tests', () => {
         if (fcn === 'getFeeConfiguration') {
           return Buffer.from(JSON.stringify({
             defaultFeePercentage: 2.5,
-            minimumFee: 0.0001,
-            maximumFee: 0.1,
+            minimumFee: '10000',
+            maximumFee: '10000000',
             merchantSpecificFees: {
               merchant_wallet_1: 2.0
             }
@@ -93,7 +93,7 @@ describe('API Extensions Tests', () => {
               id: 'emp123',
               name: 'John Doe',
               walletId: 'employee_wallet_1',
-              salary: 1.0,
+              salary: '100000000',
               department: 'Engineering',
               position: 'Software Engineer',
               paymentFrequency: 'monthly'
@@ -104,7 +104,7 @@ describe('API Extensions Tests', () => {
             id: args[0],
             name: 'John Doe',
             walletId: 'employee_wallet_1',
-            salary: 1.0,
+            salary: '100000000',
             department: 'Engineering',
             position: 'Software Engineer',
             paymentFrequency: 'monthly'
@@ -124,10 +124,10 @@ describe('API Extensions Tests', () => {
             id: walletId,
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: walletId === 'customer_wallet_1' ? 2.0 : 
-                     walletId === 'merchant_wallet_1' ? 1.0 : 
-                     walletId === 'fee_wallet_1' ? 0.5 : 
-                     walletId === 'employer_wallet_1' ? 5.0 : 0.0,
+            balance: walletId === 'customer_wallet_1' ? '200000000' : 
+                     walletId === 'merchant_wallet_1' ? '100000000' : 
+                     walletId === 'fee_wallet_1' ? '50000000' : 
+                     walletId === 'employer_wallet_1' ? '500000000' : '0',
             createdAt: new Date().toISOString()
           }));
         }
@@ -139,17 +139,16 @@ describe('API Extensions Tests', () => {
         if (fcn === 'updateFeeConfiguration') {
           return Buffer.from(JSON.stringify({
             defaultFeePercentage: parseFloat(args[0]),
-            minimumFee: parseFloat(args[1]),
-            maximumFee: parseFloat(args[2]),
+            minimumFee: args[1],
+            maximumFee: args[2],
             merchantSpecificFees: JSON.parse(args[3]),
             updatedAt: new Date().toISOString()
           }));
         } else if (fcn === 'updateInternalWalletBalance') {
           const walletId = args[0];
-          const newBalance = parseFloat(args[1]);
           return Buffer.from(JSON.stringify({
             id: walletId,
-            balance: newBalance,
+            balance: args[1],
             updatedAt: new Date().toISOString()
           }));
         } else if (fcn === 'processMerchantTransaction') {
@@ -158,9 +157,9 @@ describe('API Extensions Tests', () => {
             fromWalletId: args[0],
             toWalletId: args[1],
             feeWalletId: args[2],
-            amount: parseFloat(args[3]),
-            feeAmount: parseFloat(args[3]) * 0.02,
-            netAmount: parseFloat(args[3]) * 0.98,
+            amount: args[3],
+            feeAmount: (BigInt(args[3]) * 2n / 100n).toString(),
+            merchantAmount: (BigInt(args[3]) * 98n / 100n).toString(),
             timestamp: new Date().toISOString()
           }));
         } else if (fcn === 'registerEmployee') {
@@ -168,7 +167,7 @@ describe('API Extensions Tests', () => {
             id: args[0],
             name: args[1],
             walletId: args[2],
-            salary: parseFloat(args[3]),
+            salary: args[3],
             department: args[4],
             position: args[5],
             paymentFrequency: args[7],
@@ -179,7 +178,7 @@ describe('API Extensions Tests', () => {
             id: args[0],
             name: args[1],
             walletId: args[2],
-            salary: parseFloat(args[3]),
+            salary: args[3],
             department: args[4],
             position: args[5],
             paymentFrequency: args[6],
@@ -204,7 +203,9 @@ describe('API Extensions Tests', () => {
             id: 'payment_1',
             employerId: args[0],
             employeeId: args[1],
-            amount: parseFloat(args[2] || 1.0),
+            grossAmount: args[2] || '100000000',
+            netAmount: args[2] || '100000000',
+            taxAmount: '0',
             paymentType: args[3] || 'regular',
             timestamp: new Date().toISOString()
           }));
@@ -292,6 +293,38 @@ describe('API Extensions Tests', () => {
       }
     });
     
+    it('should pass amounts to the wallet manager in base units', async () => {
+      testEnv.mockWalletManager.updateInternalWalletBalance.resetHistory();
+      testEnv.mockWalletManager.withdrawFromInternalWallet.resetHistory();
+      
+      await request(app)
+        .post('/api/internal-wallets/merchant_wallet_1/fund')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ amount: 0.3 })
+        .expect(200);
+      
+      expect(testEnv.mockWalletManager.updateInternalWalletBalance.firstCall.args).to.deep.equal(['merchant_wallet_1', '30000000']);
+      
+      const response = await request(app)
+        .post('/api/internal-wallets/merchant_wallet_1/withdraw')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ toAddress: 'bc1q...', amount: 0.1, fee: 0.0002 })
+        .expect(200);
+      
+      expect(testEnv.mockWalletManager.withdrawFromInternalWallet.firstCall.args).to.deep.equal(['merchant_wallet_1', 'bc1q...', '10000000', '20000']);
+      expect(response.body).to.include({ amount: 0.1, fee: 0.0002 });
+      
+      // Amounts that are not a whole number of base units are rejected
+      const rejected = await request(app)
+        .post('/api/internal-wallets/merchant_wallet_1/fund')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ amount: 0.000000001 })
+        .expect(400);
+      
+      expect(rejected.body.error).to.be.a('string');
+      expect(testEnv.mockWalletManager.updateInternalWalletBalance.calledOnce).to.be.true;
+    });
+    
     it('should process a merchant transaction', async () => {
       const response = await request(app)
         .post('/api/transactions/merchant')
@@ -317,8 +350,8 @@ describe('API Extensions Tests', () => {
         if (response.body.feeAmount) {
           expect(response.body).to.have.property('feeAmount');
         }
-        if (response.body.netAmount) {
-          expect(response.body).to.have.property('netAmount');
+        if (response.body.merchantAmount) {
+          expect(response.body).to.have.property('merchantAmount');
         }
       }
     });
@@ -490,7 +523,7 @@ describe('API Extensions Tests', () => {
         expect(response.body).to.have.property('id');
         expect(response.body).to.have.property('employerId', 'employer_wallet_1');
         expect(response.body).to.have.property('employeeId', 'emp123');
-        expect(response.body).to.have.property('amount', 0.5);
+        expect(response.body).to.have.property('grossAmount', 0.5);
         expect(response.body).to.have.property('paymentType', 'bonus');
       }
     });
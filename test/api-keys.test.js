@@ -0,0 +1,189 @@
+/**
+ * API Keys Tests
+ *
+ * This file contains tests for scoped API keys used by machine-to-machine clients.
+ */
+
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestEnvironment } = require('./test-utils');
+const {
+  MemoryApiKeyStore,
+  issueApiKey,
+  authenticateApiKey,
+  parseApiKey
+} = require('../src/api/apiKeys');
+
+describe('API Keys', () => {
+  describe('Key store', () => {
+    let store;
+    
+    beforeEach(async () => {
+      store = new MemoryApiKeyStore();
+      await store.initialize();
+    });
+    
+    it('should only store a hash of the key', async () => {
+      const apiKey = await issueApiKey(store, { name: 'cron', scopes: ['transfers:write'], createdBy: 'admin' });
+      const record = await store.getKey(apiKey.id);
+      
+      expect(apiKey.key).to.match(/^flk_[0-9a-f]{12}_/);
+      expect(apiKey).to.not.have.property('keyHash');
+      expect(record.keyHash).to.have.lengthOf(64);
+      expect(JSON.stringify(record)).to.not.include(parseApiKey(apiKey.key).secret);
+    });
+    
+    it('should authenticate a valid key and record its use', async () => {
+      const apiKey = await issueApiKey(store, { name: 'cron', scopes: ['transfers:write'], createdBy: 'admin' });
+      const record = await authenticateApiKey(store, apiKey.key);
+      
+      expect(record.id).to.equal(apiKey.id);
+      expect(record.scopes).to.deep.equal(['transfers:write']);
+      expect(record.lastUsedAt).to.be.a('string');
+    });
+    
+    it('should reject malformed, wrong, revoked and expired keys', async () => {
+      const apiKey = await issueApiKey(store, { name: 'cron', scopes: ['transfers:write'], createdBy: 'admin' });
+      const expiredKey = await issueApiKey(store, {
+        name: 'expired',
+        scopes: ['transfers:write'],
+        expiresAt: new Date(Date.now() - 1000).toISOString(),
+        createdBy: 'admin'
+      });
+      
+      expect(await authenticateApiKey(store, 'not-a-key')).to.be.null;
+      expect(await authenticateApiKey(store, `flk_${apiKey.id}_wrongsecret`)).to.be.null;
+      expect(await authenticateApiKey(store, expiredKey.key)).to.be.null;
+      
+      await store.updateKey(apiKey.id, { revokedAt: new Date().toISOString() });
+      expect(await authenticateApiKey(store, apiKey.key)).to.be.null;
+    });
+  });
+  
+  describe('API routes', () => {
+    let testEnv;
+    let server;
+    let app;
+    let adminToken;
+    
+    const createKey = async (body) => {
+      const response = await request(app)
+        .post('/api/auth/keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body)
+        .expect(201);
+      
+      return response.body;
+    };
+    
+    beforeAll(async () => {
+      testEnv = await setupTestEnvironment();
+      
+      server = testEnv.server;
+      app = testEnv.app;
+      adminToken = testEnv.token;
+      
+      for (const internalWalletId of ['service_wallet', 'other_wallet']) {
+        await request(app)
+          .post('/api/internal-wallets')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ blockchain: 'bitcoin', primaryWalletName: 'test_wallet_1', internalWalletId })
+          .expect(200);
+      }
+    });
+    
+    afterAll(async () => {
+      await testEnv.destroyAllWallets();
+      
+      if (server && server.close) {
+        await server.close();
+      }
+    });
+    
+    it('should reject unknown and non-delegable scopes', async () => {
+      await request(app)
+        .post('/api/auth/keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'bad', scopes: ['everything'] })
+        .expect(400);
+      
+      await request(app)
+        .post('/api/auth/keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'bad', scopes: ['users:manage'] })
+        .expect(400);
+    });
+    
+    it('should limit a key to its scopes and internal wallets', async () => {
+      const apiKey = await createKey({
+        name: 'reporting',
+        scopes: ['internal-wallets:read'],
+        internalWalletIds: ['service_wallet']
+      });
+      
+      await request(app)
+        .get('/api/internal-wallets/service_wallet')
+        .set('X-API-Key', apiKey.key)
+        .expect(200);
+      
+      await request(app)
+        .get('/api/internal-wallets/other_wallet')
+        .set('X-API-Key', apiKey.key)
+        .expect(403);
+      
+      await request(app)
+        .get('/api/wallets')
+        .set('X-API-Key', apiKey.key)
+        .expect(403);
+      
+      await request(app)
+        .get('/api/auth/keys')
+        .set('X-API-Key', apiKey.key)
+        .expect(403);
+    });
+    
+    it('should list keys with their last-used timestamp but without hashes', async () => {
+      const apiKey = await createKey({ name: 'listing', scopes: ['wallets:read'] });
+      
+      await request(app)
+        .get('/api/wallets')
+        .set('X-API-Key', apiKey.key)
+        .expect(200);
+      
+      const response = await request(app)
+        .get('/api/auth/keys')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      
+      const listed = response.body.find(key => key.id === apiKey.id);
+      
+      expect(listed.lastUsedAt).to.be.a('string');
+      expect(listed.createdBy).to.equal('admin');
+      expect(listed).to.not.have.property('keyHash');
+      expect(listed).to.not.have.property('key');
+    });
+    
+    it('should reject a key once it has been revoked', async () => {
+      const apiKey = await createKey({ name: 'revoked', scopes: ['wallets:read'] });
+      
+      const response = await request(app)
+        .delete(`/api/auth/keys/${apiKey.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      
+      expect(response.body.revokedAt).to.be.a('string');
+      
+      await request(app)
+        .get('/api/wallets')
+        .set('X-API-Key', apiKey.key)
+        .expect(401);
+    });
+    
+    it('should reject invalid keys', async () => {
+      await request(app)
+        .get('/api/wallets')
+        .set('X-API-Key', 'flk_000000000000_invalid')
+        .expect(401);
+    });
+  });
+});
@@ -28,11 +28,35 @@ const mockConfig = {
     },
     auth: {
       jwtSecret: 'test-secret',
-      expiresIn: '1d'
+      expiresIn: '1d',
+      bcryptRounds: 4,
+      userStore: {
+        type: 'memory',
+        bcryptRounds: 4,
+        users: [
+          { username: 'admin', password: 'password', roles: ['admin'] }
+        ]
+      },
+      apiKeys: {
+        type: 'memory'
+      },
+      sessionStore: {
+        type: 'memory'
+      }
+    },
+    idempotency: {
+      store: {
+        type: 'memory'
+      }
     },
     rateLimiting: {
       windowMs: 900000,
       max: 100
+    },
+    endpoints: {
+      chaincodeManagement: {
+        enabled: true
+      }
     }
   },
   baseInternalWallet: {
@@ -42,6 +66,7 @@ const mockConfig = {
 
 // Import the API server module
 const { startApiServer } = require('../src/api/server');
+const { parseBaseUnits, getBalanceUnits } = require('../src/blockchain/amounts');
 
 describe('API', () => {
   let server;
@@ -148,7 +173,14 @@ describe('API', () => {
         connectionType: 'spv',
         getBalance: sinon.stub().resolves(primaryWalletBalance),
         getTransactionHistory: sinon.stub().resolves([]),
-        sendTransaction: sinon.stub().resolves('0x1234567890abcdef'),
+        // Like a connector, the withdrawal is settled on the ledger before the transaction is broadcast
+        sendTransaction: sinon.stub().callsFake(async (toAddress, amount, options = {}) => {
+          if (options.beforeBroadcast) {
+            await options.beforeBroadcast({ txid: '0x1234567890abcdef', fee: options.fee, virtualSize: 141 });
+          }
+          
+          return '0x1234567890abcdef';
+        }),
         verifyAddress: sinon.stub().resolves(true),
         estimateFee: sinon.stub().resolves(0.0001),
         getBlockchainHeight: sinon.stub().resolves(700000),
@@ -248,6 +280,7 @@ describe('API', () => {
         if (internalWallets[walletId]) {
           return Buffer.from(JSON.stringify({
             id: walletId,
+            blockchain: internalWallets[walletId].blockchain,
             balance: internalWallets[walletId].balance
           }));
         }
@@ -278,28 +311,28 @@ describe('API', () => {
       } else if (fcn === 'withdrawFromInternalWallet') {
         const walletId = args[0];
         const toAddress = args[1];
-        const amount = parseFloat(args[2]);
-        const fee = parseFloat(args[3] || 0.0001);
+        const amount = parseBaseUnits(args[2]);
+        const fee = parseBaseUnits(args[3] || '10000');
         
         if (!internalWallets[walletId]) {
           throw new Error(`Internal wallet not found: ${walletId}`);
         }
         
-        const totalDeduction = preciseDecimal(amount + fee);
+        const balance = getBalanceUnits(internalWallets[walletId]);
         
-        if (internalWallets[walletId].balance < totalDeduction) {
-          throw new Error(`Insufficient balance: ${internalWallets[walletId].balance} < ${totalDeduction}`);
+        if (balance < amount + fee) {
+          throw new Error(`Insufficient balance: ${balance} < ${amount + fee}`);
         }
         
-        // Update the wallet balance with precise decimal arithmetic
-        internalWallets[walletId].balance = preciseDecimal(internalWallets[walletId].balance - amount - fee);
+        // Update the wallet balance in base units
+        internalWallets[walletId].balance = (balance - amount - fee).toString();
         
         return Buffer.from(JSON.stringify({
           id: 'withdrawal_1',
           internalWalletId: walletId,
           toAddress,
-          amount,
-          fee,
+          amount: amount.toString(),
+          fee: fee.toString(),
           timestamp: new Date().toISOString()
         }));
       }
@@ -379,7 +412,7 @@ describe('API', () => {
     app = serverObj.app;
     
     // Generate a JWT token for authentication
-    token = jwt.sign({ username: 'admin' }, mockConfig.api.auth.jwtSecret, {
+    token = jwt.sign({ username: 'admin', roles: ['admin'] }, mockConfig.api.auth.jwtSecret, {
       expiresIn: mockConfig.api.auth.expiresIn
     });
   });
@@ -400,7 +433,14 @@ describe('API', () => {
         .get('/api/health')
         .expect(200);
       
-      expect(response.body).to.deep.equal({ status: 'ok' });
+      expect(response.body).to.deep.equal({
+        status: 'ok',
+        endpoints: {
+          chaincodeManagement: true,
+          transactions: true,
+          monitoring: true
+        }
+      });
     });
   });
   
@@ -585,28 +625,28 @@ describe('API', () => {
         if (fcn === 'withdrawFromInternalWallet') {
           const walletId = args[0];
           const toAddress = args[1];
-          const amount = parseFloat(args[2]);
-          const fee = parseFloat(args[3] || 0.0001);
+          const amount = parseBaseUnits(args[2]);
+          const fee = parseBaseUnits(args[3] || '10000');
           
           if (!internalWallets[walletId]) {
             throw new Error(`Internal wallet not found: ${walletId}`);
           }
           
-          const totalDeduction = preciseDecimal(amount + fee);
+          const balance = getBalanceUnits(internalWallets[walletId]);
           
-          if (internalWallets[walletId].balance < totalDeduction) {
-            throw new Error(`Insufficient balance: ${internalWallets[walletId].balance} < ${totalDeduction}`);
+          if (balance < amount + fee) {
+            throw new Error(`Insufficient balance: ${balance} < ${amount + fee}`);
           }
           
-          // Update the wallet balance with precise decimal arithmetic
-          internalWallets[walletId].balance = preciseDecimal(internalWallets[walletId].balance - amount - fee);
+          // Update the wallet balance in base units
+          internalWallets[walletId].balance = (balance - amount - fee).toString();
           
           return Buffer.from(JSON.stringify({
             id: 'withdrawal_1',
             internalWalletId: walletId,
             toAddress,
-            amount,
-            fee,
+            amount: amount.toString(),
+            fee: fee.toString(),
             timestamp: new Date().toISOString()
           }));
         }
@@ -646,7 +686,34 @@ describe('API', () => {
       expect(mockFabricClient.submitTransaction.firstCall.args[0]).to.equal('withdrawFromInternalWallet');
       expect(mockFabricClient.submitTransaction.firstCall.args[1]).to.equal('internal_wallet_1');
       expect(mockFabricClient.submitTransaction.firstCall.args[2]).to.equal('bc1q...');
-      expect(mockFabricClient.submitTransaction.firstCall.args[3]).to.equal('0.1');
+      expect(mockFabricClient.submitTransaction.firstCall.args[3]).to.equal('10000000');
+    });
+    
+    it('should not charge the internal wallet when the primary wallet cannot pay the withdrawal', async () => {
+      const getWallet = mockWalletManager.getWallet;
+      mockWalletManager.getWallet = sinon.stub().callsFake((...args) => ({
+        ...getWallet(...args),
+        sendTransaction: sinon.stub().rejects(new Error('Failed to send transaction: No UTXOs available'))
+      }));
+      
+      let response;
+      try {
+        response = await request(app)
+          .post('/api/transactions/withdraw')
+          .set('Authorization', `Bearer ${token}`)
+          .send({
+            internalWalletId: 'internal_wallet_1',
+            toAddress: 'bc1q...',
+            amount: 0.1
+          })
+          .expect(500);
+      } finally {
+        mockWalletManager.getWallet = getWallet;
+      }
+      
+      expect(response.body.error).to.equal('Failed to send transaction: No UTXOs available');
+      expect(mockFabricClient.submitTransaction.called).to.be.false;
+      expect(internalWallets['internal_wallet_1'].balance).to.equal(0.5);
     });
   });
   
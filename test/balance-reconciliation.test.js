@@ -167,7 +167,6 @@ describe('Balance Reconciliation', () => {
       balanceReconciliation: {
         strategy: 'afterTransaction',
         scheduledFrequency: 3600000, // 1 hour
-        warningThreshold: preciseDecimal(0.00001),
         strictMode: false
       },
       baseInternalWallet: {
@@ -223,7 +222,6 @@ describe('Balance Reconciliation', () => {
       const config = reconciliation.getConfig();
       expect(config).to.have.property('strategy', 'afterTransaction');
       expect(config).to.have.property('scheduledFrequency', 3600000);
-      expect(config).to.have.property('warningThreshold', 0.00001);
       expect(config).to.have.property('strictMode', false);
       
       // Stop scheduled reconciliation
@@ -235,7 +233,6 @@ describe('Balance Reconciliation', () => {
         balanceReconciliation: {
           strategy: 'scheduled',
           scheduledFrequency: 1800000, // 30 minutes
-          warningThreshold: preciseDecimal(0.0001),
           strictMode: true
         }
       };
@@ -249,7 +246,6 @@ describe('Balance Reconciliation', () => {
       const config = reconciliation.getConfig();
       expect(config).to.have.property('strategy', 'scheduled');
       expect(config).to.have.property('scheduledFrequency', 1800000);
-      expect(config).to.have.property('warningThreshold', 0.0001);
       expect(config).to.have.property('strictMode', true);
       
       // Stop scheduled reconciliation
@@ -337,9 +333,9 @@ describe('Balance Reconciliation', () => {
       expect(mockFabricClient.submitTransaction.firstCall.args[0]).to.equal('recordBalanceDiscrepancy');
       expect(mockFabricClient.submitTransaction.firstCall.args[1]).to.equal('bitcoin');
       expect(mockFabricClient.submitTransaction.firstCall.args[2]).to.equal('btc_wallet_1');
-      expect(mockFabricClient.submitTransaction.firstCall.args[3]).to.equal('2');
-      expect(mockFabricClient.submitTransaction.firstCall.args[4]).to.equal('1.5');
-      expect(mockFabricClient.submitTransaction.firstCall.args[5]).to.equal('0.5');
+      expect(mockFabricClient.submitTransaction.firstCall.args[3]).to.equal('200000000');
+      expect(mockFabricClient.submitTransaction.firstCall.args[4]).to.equal('150000000');
+      expect(mockFabricClient.submitTransaction.firstCall.args[5]).to.equal('50000000');
     });
     
     it('should throw an error when wallet not found', async () => {
@@ -484,7 +480,6 @@ describe('Balance Reconciliation', () => {
         balanceReconciliation: {
           strategy: 'scheduled',
           scheduledFrequency: 3600000,
-          warningThreshold: 0.00001,
           strictMode: false
         }
       };
@@ -520,7 +515,6 @@ describe('Balance Reconciliation', () => {
         balanceReconciliation: {
           strategy: 'afterTransaction',
           scheduledFrequency: 3600000,
-          warningThreshold: preciseDecimal(0.00001),
           strictMode: true
         },
         baseInternalWallet: {
@@ -637,7 +631,6 @@ describe('Balance Reconciliation', () => {
         balanceReconciliation: {
           strategy: 'scheduled',
           scheduledFrequency: 1000, // 1 second for testing
-          warningThreshold: preciseDecimal(0.00001),
           strictMode: false
         },
         baseInternalWallet: {
@@ -673,7 +666,6 @@ describe('Balance Reconciliation', () => {
         balanceReconciliation: {
           strategy: 'both',
           scheduledFrequency: 1000, // 1 second for testing
-          warningThreshold: preciseDecimal(0.00001),
           strictMode: false
         },
         baseInternalWallet: {
@@ -768,7 +760,7 @@ describe('Balance Reconciliation', () => {
       });
       
       // Generate a JWT token for authentication
-      token = jwt.sign({ username: 'admin' }, 'test-secret', { expiresIn: '1d' });
+      token = jwt.sign({ username: 'admin', roles: ['admin'] }, 'test-secret', { expiresIn: '1d' });
     });
     
     it('should handle reconciliation config API requests', async () => {
@@ -778,7 +770,6 @@ describe('Balance Reconciliation', () => {
       
       expect(response.body).to.have.property('strategy', 'afterTransaction');
       expect(response.body).to.have.property('scheduledFrequency', 3600000);
-      expect(response.body).to.have.property('warningThreshold', 0.00001);
       expect(response.body).to.have.property('strictMode', false);
     });
     
@@ -13,8 +13,7 @@ const {
   createMockBlockchainConnectors,
   createMockFabricClient,
   createMockConfig,
-  createMockWalletManager,
-  preciseDecimal
+  createMockWalletManager
 } = require('./test-utils');
 
 describe('Base Wallet Protection', () => {
@@ -297,7 +296,7 @@ describe('Base Wallet Protection', () => {
       });
       
       // Generate a JWT token for authentication
-      token = jwt.sign({ username: 'admin' }, 'test-secret', { expiresIn: '1d' });
+      token = jwt.sign({ username: 'admin', roles: ['admin'] }, 'test-secret', { expiresIn: '1d' });
     });
     
     it('should handle read-only wallet API requests', async () => {
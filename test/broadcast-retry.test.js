@@ -0,0 +1,245 @@
+/**
+ * Broadcast Retry Tests
+ *
+ * This file contains tests for the broadcast queue: broadcasts with the callback method fail over
+ * to the configured failover transceivers, are retried with exponential backoff when every
+ * transceiver fails, and are dead-lettered once they run out of attempts.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const { ECPair } = require('../src/blockchain/transactionBuilder');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { TransceiverManager } = require('../src/blockchain/transceiverManager');
+const { BroadcastQueue } = require('../src/blockchain/broadcastQueue');
+const { createPendingTransactionStore } = require('../src/blockchain/pendingTransactionStore');
+const { setupTestEnvironment } = require('./test-utils');
+
+const network = bitcoin.networks.regtest;
+const keyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 1), { network });
+const recipientKey = ECPair.fromPrivateKey(Buffer.alloc(32, 2), { network });
+
+const walletAddress = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address;
+const recipient = bitcoin.payments.p2wpkh({ pubkey: recipientKey.publicKey, network }).address;
+
+const utxo = { txid: Buffer.alloc(32, 7).toString('hex'), vout: 0, value: 0.01, address: walletAddress };
+
+const retry = { maxAttempts: 3, initialDelay: 1000, maxDelay: 60000, backoffFactor: 2 };
+
+/**
+ * Create a transceiver whose broadcasts fail with the given errors, and then succeed
+ * @param {...string} errors The error of each failed broadcast
+ * @returns {Object} The transceiver, with a stubbed broadcastTransaction
+ */
+const createTransceiver = (...errors) => {
+  const broadcastTransaction = sinon.stub().resolves('broadcast-result');
+  
+  errors.forEach((error, index) => broadcastTransaction.onCall(index).rejects(new Error(error)));
+  
+  return { broadcastTransaction };
+};
+
+describe('Broadcast Retry', () => {
+  let clock;
+  
+  afterEach(() => {
+    if (clock) {
+      clock.restore();
+      clock = null;
+    }
+  });
+  
+  describe('BroadcastQueue', () => {
+    it('should back off exponentially up to the maximum delay', () => {
+      const queue = new BroadcastQueue({ initialDelay: 1000, maxDelay: 5000, backoffFactor: 2, maxAttempts: 4 });
+      
+      expect([1, 2, 3, 4].map(attempts => queue.getDelay(attempts))).to.deep.equal([1000, 2000, 4000, 5000]);
+      expect(queue.hasAttemptsLeft(3)).to.be.true;
+      expect(queue.hasAttemptsLeft(4)).to.be.false;
+      expect(new BroadcastQueue().settings).to.deep.equal({ maxAttempts: 5, initialDelay: 5000, maxDelay: 300000, backoffFactor: 2 });
+    });
+  });
+  
+  describe('TransceiverManager', () => {
+    it('should fail over to the next transceiver and record every attempt', async () => {
+      const manager = new TransceiverManager({ method: 'callback', retry, failover: [{ method: 'api' }] });
+      manager.transceiver = createTransceiver('Connection refused');
+      
+      const result = await manager.broadcastTransaction('00', { txid: 'tx1' });
+      
+      expect(result).to.include({ success: true, method: 'api', transceiver: 'failover-1', attempt: 1 });
+      
+      const transaction = manager.getPendingTransaction('tx1');
+      expect(transaction.status).to.equal('ready');
+      expect(transaction.broadcastAttempts.map(({ attempt, transceiver, method, success, error }) => ({ attempt, transceiver, method, success, error }))).to.deep.equal([
+        { attempt: 1, transceiver: 'primary', method: 'callback', success: false, error: 'Failed to broadcast transaction with callback: Connection refused' },
+        { attempt: 1, transceiver: 'failover-1', method: 'api', success: true, error: null }
+      ]);
+    });
+    
+    it('should retry failed broadcasts with backoff until one succeeds', async () => {
+      clock = sinon.useFakeTimers(Date.now());
+      
+      const manager = new TransceiverManager({ method: 'callback', retry });
+      manager.transceiver = createTransceiver('Connection refused', 'Server busy');
+      
+      const result = await manager.broadcastTransaction('00', { txid: 'tx1' });
+      
+      expect(result).to.include({ success: false, status: 'created', queued: true, attempt: 1, nextAttemptAt: Date.now() + 1000 });
+      expect(manager.broadcastQueue.has('tx1')).to.be.true;
+      
+      // The second attempt fails after 1 second, and the third succeeds 2 seconds later
+      await clock.tickAsync(1000);
+      expect(manager.getPendingTransaction('tx1')).to.include({ status: 'created', error: 'Failed to broadcast transaction with callback: Server busy' });
+      expect(manager.getPendingTransaction('tx1').retry.attempts).to.equal(2);
+      
+      await clock.tickAsync(2000);
+      const transaction = manager.getPendingTransaction('tx1');
+      
+      expect(transaction).to.include({ status: 'broadcasted', result: 'broadcast-result' });
+      expect(transaction.broadcastAttempts.map(entry => [entry.attempt, entry.success])).to.deep.equal([[1, false], [2, false], [3, true]]);
+      expect(manager.transceiver.broadcastTransaction.callCount).to.equal(3);
+      expect(manager.broadcastQueue.has('tx1')).to.be.false;
+    });
+    
+    it('should dead-letter transactions that run out of attempts, and queue them again on request', async () => {
+      clock = sinon.useFakeTimers(Date.now());
+      
+      const manager = new TransceiverManager({ method: 'callback', retry });
+      const deadLetter = sinon.spy();
+      manager.on('deadLetter', deadLetter);
+      manager.transceiver = createTransceiver('Connection refused', 'Connection refused', 'Connection refused');
+      
+      await manager.broadcastTransaction('00', { txid: 'tx1' });
+      await clock.tickAsync(1000 + 2000);
+      
+      expect(manager.getPendingTransaction('tx1').status).to.equal('dead-letter');
+      expect(deadLetter.calledOnceWith(sinon.match({ txid: 'tx1', attempts: 3 }))).to.be.true;
+      
+      // Nothing is retried until an operator queues the transaction again
+      await clock.tickAsync(60000);
+      expect(manager.transceiver.broadcastTransaction.callCount).to.equal(3);
+      
+      const result = await manager.retryBroadcast('tx1');
+      
+      expect(result).to.include({ success: true, attempt: 1 });
+      expect(manager.getPendingTransaction('tx1').history.map(entry => entry.status)).to.deep.equal(['created', 'dead-letter', 'created', 'broadcasted']);
+      
+      try {
+        await manager.retryBroadcast('tx1');
+        expect.fail('Expected the retry to be rejected');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to retry broadcast: Transaction tx1 is broadcasted, not dead-letter');
+      }
+    });
+    
+    it('should queue the transactions that were waiting for an attempt again after a restart', async () => {
+      clock = sinon.useFakeTimers(Date.now());
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'broadcast-retry-'));
+      
+      try {
+        const storeConfig = { type: 'file', path: directory };
+        const manager = new TransceiverManager({ method: 'callback', retry }, { store: createPendingTransactionStore(storeConfig) });
+        manager.transceiver = createTransceiver('Connection refused');
+        
+        await manager.broadcastTransaction('00', { txid: 'tx1' });
+        await manager.cleanup();
+        
+        const restarted = new TransceiverManager({ method: 'callback', retry }, { store: createPendingTransactionStore(storeConfig) });
+        restarted.transceiver = createTransceiver();
+        
+        expect(restarted.recoverPendingTransactions().map(transaction => transaction.txid)).to.deep.equal(['tx1']);
+        expect(restarted.broadcastQueue.has('tx1')).to.be.true;
+        
+        await clock.tickAsync(1000);
+        
+        expect(restarted.getPendingTransaction('tx1')).to.include({ status: 'broadcasted', recovered: true });
+        expect(restarted.getPendingTransaction('tx1').broadcastAttempts.map(entry => entry.attempt)).to.deep.equal([1, 2]);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+  
+  describe('API', () => {
+    let testEnv;
+    let app;
+    let token;
+    let connector;
+    
+    beforeEach(async () => {
+      testEnv = await setupTestEnvironment();
+      app = testEnv.app;
+      token = testEnv.token;
+      
+      connector = new BlockchainConnector('bitcoin', {
+        name: 'hot_wallet',
+        network: 'regtest',
+        walletAddress,
+        secret: keyPair.toWIF(),
+        transceiver: { method: 'callback', retry: { maxAttempts: 1 } }
+      });
+      sinon.stub(connector.transceiverManager, 'getUTXOs').resolves([utxo]);
+      connector.transceiverManager.transceiver = createTransceiver('Connection refused');
+      testEnv.mockBlockchainConnectors.bitcoin.hot_wallet = connector;
+    });
+    
+    afterEach(async () => {
+      await testEnv.server.close();
+    });
+    
+    /**
+     * Queue a dead-lettered transaction again
+     * @param {string} txid The transaction ID
+     * @param {number} status The expected HTTP status
+     * @returns {Promise<Object>} The response
+     */
+    const retryBroadcast = (txid, status) => request(app)
+      .post(`/api/transactions/${txid}/retry-broadcast`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(status);
+    
+    it('should keep failed broadcasts pending with their UTXOs locked, and broadcast them again on request', async () => {
+      // The transaction is signed and kept, instead of failing the payment it was sent for
+      const result = await connector.sendTransaction(recipient, 0.005, { fee: 0.00001 });
+      
+      expect(result).to.include({ success: false, status: 'dead-letter' });
+      expect(connector.getLockedUtxos().map(lock => lock.reference)).to.deep.equal([result.txid]);
+      
+      const response = await retryBroadcast(result.txid, 200);
+      
+      expect(response.body).to.include({ txid: result.txid, blockchain: 'bitcoin', primaryWalletName: 'hot_wallet', status: 'broadcasted' });
+      expect(response.body.broadcast).to.include({ success: true, transceiver: 'primary' });
+      
+      const conflict = await retryBroadcast(result.txid, 409);
+      expect(conflict.body.error).to.equal(`Transaction ${result.txid} is broadcasted, not dead-letter`);
+      
+      await retryBroadcast('unknown', 404);
+    });
+    
+    it('should credit a withdrawal back when its transaction cannot be handed to the transceiver', async () => {
+      connector.estimateFee = sinon.stub().resolves(0.0001);
+      connector.getBalance = sinon.stub().resolves(1);
+      testEnv.internalWallets.treasury = { id: 'treasury', blockchain: 'bitcoin', primaryWalletName: 'hot_wallet', balance: '1000000', metadata: {} };
+      
+      // The pending transaction cannot be recorded after the withdrawal was charged
+      sinon.stub(connector.transceiverManager.pendingTransactions, 'create').throws(new Error('Disk full'));
+      
+      const response = await request(app)
+        .post('/api/transactions/withdraw')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ internalWalletId: 'treasury', toAddress: recipient, amount: 0.005 })
+        .expect(500);
+      
+      expect(response.body.error).to.include('Disk full');
+      expect(testEnv.mockFabricClient.blockchainState.withdrawals.withdrawal_1).to.include({ status: 'cancelled' });
+      expect(testEnv.internalWallets.treasury.balance).to.equal('1000000');
+      expect(connector.getLockedUtxos()).to.deep.equal([]);
+    });
+  });
+});
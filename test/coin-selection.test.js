@@ -0,0 +1,274 @@
+/**
+ * Coin Selection Tests
+ *
+ * This file contains tests for the coin selection strategies, the UTXO locks and the automatic
+ * selection of UTXOs when a blockchain connector sends a transaction.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { selectCoins, getCoinSelectionStrategy } = require('../src/blockchain/coinSelection');
+const { UtxoLockManager } = require('../src/blockchain/utxoLockManager');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { TransactionBuilder } = require('../src/blockchain/transactionBuilder');
+
+const toAddress = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+
+describe('Coin Selection', () => {
+  const transactionBuilder = new TransactionBuilder('bitcoin', 'mainnet');
+  
+  /**
+   * Create the selection options for an amount, with a fee rate of 1 satoshi per byte
+   * @param {number} target The amount in satoshis
+   * @param {Object} options Additional selection options
+   * @returns {Object} The selection options
+   */
+  const createOptions = (target, options = {}) => ({
+    target: BigInt(target),
+    outputCount: 1,
+    feeFor: (inputCount, outputCount) => BigInt(transactionBuilder.estimateFee(inputCount, outputCount, 1)),
+    walletAddress: 'bc1qwallet',
+    ...options
+  });
+  
+  /**
+   * Create a UTXO
+   * @param {string} txid The transaction ID
+   * @param {number} units The value in satoshis
+   * @param {string} address The address of the UTXO
+   * @returns {Object} The UTXO
+   */
+  const utxo = (txid, units, address) => ({ txid, vout: 0, units: BigInt(units), address });
+  
+  describe('Strategies', () => {
+    it('should spend the largest UTXOs first', () => {
+      const utxos = [utxo('a', 20000000), utxo('b', 50000000), utxo('c', 30000000)];
+      
+      const selection = selectCoins(utxos, createOptions(60000000, { strategy: 'largestFirst' }));
+      
+      expect(selection.inputs.map(input => input.txid)).to.deep.equal(['b', 'c']);
+      expect(selection.fee).to.equal(374n); // 10 + 2 * 148 + 2 * 34 bytes
+      expect(selection.change).to.equal(19999626n);
+    });
+    
+    it('should find a set of UTXOs that needs no change output', () => {
+      // 50000 for the recipient, 44 bytes for the transaction and its output, and 148 bytes for the input
+      const utxos = [utxo('a', 100000), utxo('b', 50192), utxo('c', 30000)];
+      
+      const selection = selectCoins(utxos, createOptions(50000, { strategy: 'branchAndBound' }));
+      
+      expect(selection.inputs.map(input => input.txid)).to.deep.equal(['b']);
+      expect(selection.fee).to.equal(192n);
+      expect(selection.change).to.equal(0n);
+    });
+    
+    it('should fall back to the largest UTXOs when there is no exact match', () => {
+      const utxos = [utxo('a', 100000), utxo('b', 30000)];
+      
+      const selection = selectCoins(utxos, createOptions(50000));
+      
+      expect(selection.inputs.map(input => input.txid)).to.deep.equal(['a']);
+      expect(selection.change).to.equal(100000n - 50000n - 226n);
+    });
+    
+    it('should add change below the dust threshold to the fee', () => {
+      const utxos = [utxo('a', 50500)];
+      
+      const selection = selectCoins(utxos, createOptions(50000, { strategy: 'largestFirst' }));
+      
+      expect(selection.change).to.equal(0n);
+      expect(selection.fee).to.equal(500n);
+    });
+    
+    it('should spend all UTXOs of an address together', () => {
+      const utxos = [
+        utxo('a', 30000, 'bc1qfirst'),
+        utxo('b', 100000, 'bc1qsecond'),
+        utxo('c', 30000, 'bc1qfirst')
+      ];
+      
+      const selection = selectCoins(utxos, createOptions(50000, { strategy: 'avoidAddressReuse' }));
+      
+      expect(selection.inputs.map(input => input.txid)).to.deep.equal(['a', 'c']);
+    });
+    
+    it('should accept strategy functions', () => {
+      const utxos = [utxo('a', 100000), utxo('b', 90000)];
+      const strategy = sinon.stub().callsFake(available => available.slice(1));
+      
+      const selection = selectCoins(utxos, createOptions(50000, { strategy }));
+      
+      expect(selection.inputs.map(input => input.txid)).to.deep.equal(['b']);
+      expect(strategy.firstCall.args[1]).to.have.property('target', 50000n);
+    });
+    
+    it('should reject unsupported strategies and insufficient funds', () => {
+      expect(() => getCoinSelectionStrategy('random')).to.throw('Unsupported coin selection strategy: random');
+      expect(() => getCoinSelectionStrategy('custom')).to.throw('requires a module path');
+      expect(() => selectCoins([utxo('a', 50100)], createOptions(50000))).to.throw('Insufficient funds');
+    });
+  });
+  
+  describe('UTXO Locks', () => {
+    let clock;
+    
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+    
+    afterEach(() => {
+      clock.restore();
+    });
+    
+    it('should not lock a UTXO twice', () => {
+      const locks = new UtxoLockManager();
+      
+      locks.lock([{ txid: 'a', vout: 0 }], 'first');
+      
+      expect(() => locks.lock([{ txid: 'a', vout: 0 }, { txid: 'b', vout: 1 }], 'second')).to.throw('UTXOs are already locked: a:0');
+      expect(locks.isLocked({ txid: 'b', vout: 1 })).to.equal(false);
+      expect(locks.filterUnlocked([{ txid: 'a', vout: 0 }, { txid: 'a', vout: 1 }])).to.deep.equal([{ txid: 'a', vout: 1 }]);
+    });
+    
+    it('should release locks and let them expire', () => {
+      const locks = new UtxoLockManager({ lockTimeout: 1000 });
+      
+      locks.lock([{ txid: 'a', vout: 0 }, { txid: 'b', vout: 0 }], 'pending');
+      locks.release([{ txid: 'a', vout: 0 }]);
+      
+      expect(locks.getLockedUtxos().map(lock => lock.key)).to.deep.equal(['b:0']);
+      
+      clock.tick(1000);
+      
+      expect(locks.isLocked({ txid: 'b', vout: 0 })).to.equal(false);
+      expect(locks.getLockedUtxos()).to.deep.equal([]);
+    });
+  });
+  
+  describe('BlockchainConnector', () => {
+    let connector;
+    
+    beforeEach(() => {
+      connector = new BlockchainConnector('bitcoin', {
+        name: 'btc_wallet_1',
+        network: 'mainnet',
+        walletAddress: 'bc1qwallet',
+        secret: 'private_key',
+        transceiver: {
+          method: 'return'
+        },
+        coinSelection: {
+          strategy: 'largestFirst'
+        }
+      });
+      
+      sinon.stub(connector.transceiverManager, 'getUTXOs').resolves([
+        { txid: 'tx1', vout: 0, value: 0.5, confirmations: 10 },
+        { txid: 'tx2', vout: 1, value: 0.3, confirmations: 20 }
+      ]);
+      
+      // The wallet address has no known type, so the inputs are signed as P2PKH inputs, which need their previous transaction
+      sinon.stub(connector.transceiverManager, 'getRawTransaction').resolves('00');
+      
+      let count = 0;
+      sinon.stub(connector.transactionBuilder, 'createAndSignTransaction').callsFake((privateKey, inputs, outputs) => ({
+        txid: `txid-${++count}`,
+        txHex: '00',
+        inputs: inputs.length,
+        outputs: outputs.length
+      }));
+      
+      sinon.stub(connector.transceiverManager, 'broadcastTransaction').callsFake(async (hex, metadata) => ({
+        success: true,
+        txid: metadata.txid
+      }));
+    });
+    
+    it('should select UTXOs from the transceiver when none are given', async () => {
+      const result = await connector.sendTransaction(toAddress, 0.1, { fee: 0.0001 });
+      
+      expect(result.txid).to.equal('txid-1');
+      expect(connector.transceiverManager.getUTXOs.firstCall.args[0]).to.equal('bc1qwallet');
+      
+      const [, inputs, outputs] = connector.transactionBuilder.createAndSignTransaction.firstCall.args;
+      expect(inputs).to.deep.equal([{ txid: 'tx1', vout: 0, value: 50000000, confirmations: 10, txHex: '00' }]);
+      expect(outputs).to.deep.equal([
+        { address: toAddress, value: 10000000 },
+        { address: 'bc1qwallet', value: 39990000 }
+      ]);
+      
+      expect(connector.getLockedUtxos()).to.have.lengthOf(1);
+      expect(connector.getLockedUtxos()[0]).to.include({ key: 'tx1:0', reference: 'txid-1' });
+    });
+    
+    it('should not spend the same UTXOs in concurrent transactions', async () => {
+      await Promise.all([
+        connector.sendTransaction(toAddress, 0.1),
+        connector.sendTransaction(toAddress, 0.1)
+      ]);
+      
+      const spent = connector.transactionBuilder.createAndSignTransaction.getCalls()
+        .map(call => call.args[1].map(input => input.txid));
+      
+      expect(spent).to.deep.equal([['tx1'], ['tx2']]);
+      
+      // Every UTXO is locked now, so a third transaction has nothing to spend
+      try {
+        await connector.sendTransaction(toAddress, 0.1);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to send transaction: No UTXOs available');
+      }
+    });
+    
+    it('should select the inputs again when another transaction locks them first', async () => {
+      const lock = connector.utxoLocks.lock.bind(connector.utxoLocks);
+      
+      sinon.stub(connector.utxoLocks, 'lock').callsFake((utxos, reference, lockTimeout) => {
+        // Another transaction locks the selected UTXO between its selection and its lock
+        if (connector.utxoLocks.lock.calledOnce) {
+          lock([{ txid: 'tx1', vout: 0 }], 'other');
+        }
+        
+        return lock(utxos, reference, lockTimeout);
+      });
+      
+      await connector.sendTransaction(toAddress, 0.1, { fee: 0.0001 });
+      
+      const [, inputs] = connector.transactionBuilder.createAndSignTransaction.firstCall.args;
+      expect(inputs.map(input => input.txid)).to.deep.equal(['tx2']);
+      expect(connector.transceiverManager.getUTXOs.calledTwice).to.equal(true);
+      expect(connector.getLockedUtxos().map(({ key, reference }) => ({ key, reference }))).to.deep.equal([
+        { key: 'tx1:0', reference: 'other' },
+        { key: 'tx2:1', reference: 'txid-1' }
+      ]);
+    });
+    
+    it('should release the UTXOs when the transaction fails', async () => {
+      connector.transceiverManager.broadcastTransaction.rejects(new Error('Connection refused'));
+      
+      try {
+        await connector.sendTransaction(toAddress, 0.1);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Connection refused');
+      }
+      
+      expect(connector.getLockedUtxos()).to.deep.equal([]);
+    });
+    
+    it('should spend all given UTXOs', async () => {
+      await connector.sendTransaction(toAddress, 0.6, {
+        utxos: [
+          { txid: 'tx3', vout: 0, value: 0.4 },
+          { txid: 'tx4', vout: 0, value: 0.4 }
+        ]
+      });
+      
+      const [, inputs, outputs] = connector.transactionBuilder.createAndSignTransaction.firstCall.args;
+      expect(inputs.map(input => input.txid)).to.deep.equal(['tx3', 'tx4']);
+      expect(outputs[1]).to.deep.equal({ address: 'bc1qwallet', value: 80000000 - 60000000 - 374 });
+      expect(connector.transceiverManager.getUTXOs.called).to.equal(false);
+    });
+  });
+});
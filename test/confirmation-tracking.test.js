@@ -0,0 +1,180 @@
+/**
+ * Confirmation Tracking Tests
+ *
+ * This file contains tests for the confirmation tracker: broadcast transactions are followed to
+ * their confirmation through the transceiver, `confirmed` events are emitted at the configured
+ * depths, and reorgs move the transactions back and alert the balance reconciliation module.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { createConfirmationTracker } = require('../src/blockchain/confirmationTracker');
+const { initializeBalanceReconciliation } = require('../src/reconciliation/balanceReconciliation');
+
+const walletAddress = 'bcrt1qw508d6qejxtdg4y5r3zarvary0c5xw7kygt080';
+
+const blockA = 'aa'.repeat(32);
+const blockB = 'bb'.repeat(32);
+
+/**
+ * Create a hot wallet connector whose transceiver is the mock transceiver
+ * @returns {BlockchainConnector} The connector
+ */
+const createConnector = () => new BlockchainConnector('bitcoin', {
+  name: 'hot_wallet',
+  network: 'regtest',
+  walletAddress,
+  transceiver: { method: 'callback', callbackModule: './transceivers/mock-transceiver.js' }
+});
+
+describe('Confirmation Tracking', () => {
+  let connector;
+  let transceiver;
+  let tracker;
+  let balanceReconciliation;
+  let confirmed;
+  let reorgs;
+  
+  beforeEach(async () => {
+    connector = createConnector();
+    transceiver = connector.transceiverManager.transceiver;
+    
+    balanceReconciliation = { reportReorg: sinon.stub().resolves({}) };
+    tracker = createConfirmationTracker({ confirmationTracking: { depths: [3, 1] } }, { bitcoin: { hot_wallet: connector } }, balanceReconciliation);
+    
+    confirmed = sinon.spy();
+    reorgs = sinon.spy();
+    tracker.on('confirmed', confirmed);
+    tracker.on('reorg', reorgs);
+    
+    await connector.transceiverManager.broadcastTransaction('00', { txid: 'tx1' });
+  });
+  
+  afterEach(async () => {
+    tracker.stop();
+    await connector.cleanup();
+  });
+  
+  /**
+   * Set the status the network reports for the transaction, and check the pending transactions
+   * @param {Object|null} status The status
+   * @returns {Promise<Array<Object>>} The results of the check
+   */
+  const checkWith = (status) => {
+    transceiver.setMockTransactionStatus('tx1', status);
+    return tracker.check(connector);
+  };
+  
+  it('should follow broadcast transactions to their confirmation and emit each depth once', async () => {
+    // The network does not know the transaction yet
+    expect(await checkWith(null)).to.deep.equal([{ txid: 'tx1', status: 'broadcasted' }]);
+    
+    await checkWith({ confirmations: 0, blockHeight: null, blockHash: null });
+    expect(connector.getPendingTransaction('tx1').status).to.equal('seen-in-mempool');
+    
+    await checkWith({ confirmations: 2, blockHeight: 100, blockHash: blockA });
+    await checkWith({ confirmations: 2, blockHeight: 100, blockHash: blockA });
+    
+    expect(connector.getPendingTransaction('tx1')).to.include({ status: 'confirmed', confirmations: 2, blockHeight: 100, blockHash: blockA, confirmationDepth: 1, final: false });
+    expect(confirmed.args.map(([event]) => event.depth)).to.deep.equal([1]);
+    
+    await checkWith({ confirmations: 4, blockHeight: 100, blockHash: blockA });
+    
+    expect(confirmed.args.map(([event]) => event.depth)).to.deep.equal([1, 3]);
+    expect(confirmed.lastCall.args[0]).to.include({ blockchain: 'bitcoin', primaryWalletName: 'hot_wallet', txid: 'tx1', confirmations: 4 });
+    expect(connector.getPendingTransaction('tx1')).to.include({ final: true, confirmationDepth: 3 });
+    
+    // Final transactions are no longer followed
+    expect(await checkWith(null)).to.deep.equal([]);
+    expect(connector.getPendingTransaction('tx1').history.map(entry => entry.status)).to.deep.equal(['created', 'broadcasted', 'seen-in-mempool', 'confirmed']);
+    expect(reorgs.called).to.be.false;
+  });
+  
+  it('should count the depths again when a reorg moves a transaction to another block', async () => {
+    await checkWith({ confirmations: 2, blockHeight: 100, blockHash: blockA });
+    
+    const results = await checkWith({ confirmations: 1, blockHeight: 101, blockHash: blockB });
+    
+    expect(results).to.deep.equal([{ txid: 'tx1', status: 'confirmed', reorg: 'block-changed' }]);
+    expect(connector.getPendingTransaction('tx1')).to.include({ blockHeight: 101, blockHash: blockB, confirmations: 1, confirmationDepth: 1 });
+    expect(connector.getPendingTransaction('tx1').reorgs.map(({ reason, previous, current }) => ({ reason, previous, current }))).to.deep.equal([{
+      reason: 'block-changed',
+      previous: { blockHeight: 100, blockHash: blockA, confirmations: 2 },
+      current: { blockHeight: 101, blockHash: blockB, confirmations: 1 }
+    }]);
+    expect(confirmed.args.map(([event]) => event.blockHash)).to.deep.equal([blockA, blockB]);
+    
+    expect(reorgs.calledOnce).to.be.true;
+    expect(balanceReconciliation.reportReorg.calledOnceWith('bitcoin', 'hot_wallet', sinon.match({ txid: 'tx1', reason: 'block-changed', status: 'confirmed' }))).to.be.true;
+  });
+  
+  it('should move transactions back when a reorg takes them out of the chain', async () => {
+    await checkWith({ confirmations: 1, blockHeight: 100, blockHash: blockA });
+    await checkWith({ confirmations: 0, blockHeight: null, blockHash: null });
+    
+    expect(connector.getPendingTransaction('tx1')).to.include({ status: 'seen-in-mempool', confirmations: 0, blockHash: null, confirmationDepth: 0 });
+    
+    await checkWith({ confirmations: 1, blockHeight: 101, blockHash: blockB });
+    const results = await checkWith(null);
+    
+    expect(results).to.deep.equal([{ txid: 'tx1', status: 'broadcasted', reorg: 'dropped' }]);
+    expect(connector.getPendingTransaction('tx1').reorgs.map(reorg => reorg.reason)).to.deep.equal(['unconfirmed', 'dropped']);
+    expect(connector.getPendingTransaction('tx1').history.map(entry => entry.status)).to.deep.equal([
+      'created', 'broadcasted', 'confirmed', 'seen-in-mempool', 'confirmed', 'broadcasted'
+    ]);
+    expect(reorgs.args.map(([event]) => event.status)).to.deep.equal(['seen-in-mempool', 'broadcasted']);
+    expect(balanceReconciliation.reportReorg.callCount).to.equal(2);
+  });
+  
+  it('should check the transactions when the transceiver reports a new block', async () => {
+    const clock = sinon.useFakeTimers(Date.now());
+    
+    try {
+      tracker.start();
+      transceiver.setMockTransactionStatus('tx1', { confirmations: 1, blockHeight: 100, blockHash: blockA });
+      
+      transceiver.emit('block', { height: 100, hash: blockA });
+      await clock.tickAsync(0);
+      
+      expect(connector.getPendingTransaction('tx1').status).to.equal('confirmed');
+      
+      // And on every interval
+      transceiver.setMockTransactionStatus('tx1', { confirmations: 3, blockHeight: 100, blockHash: blockA });
+      await clock.tickAsync(60000);
+      
+      expect(connector.getPendingTransaction('tx1').final).to.be.true;
+      
+      tracker.stop();
+      connector.transceiverManager.updatePendingTransaction('tx1', { final: false });
+      transceiver.emit('block', { height: 103, hash: blockB });
+      await clock.tickAsync(60000);
+      
+      expect(connector.getPendingTransaction('tx1').confirmations).to.equal(3);
+    } finally {
+      clock.restore();
+    }
+  });
+  
+  it('should alert the balance reconciliation module, which reconciles the primary wallet', async () => {
+    const walletManager = {
+      getWallet: sinon.stub().returns({ getBalance: sinon.stub().resolves(1) }),
+      getInternalWalletsByPrimaryWallet: sinon.stub().resolves([{ id: 'base_wallet_bitcoin_hot_wallet', balance: '100000000' }]),
+      reconcileBaseInternalWallet: sinon.stub().resolves(true)
+    };
+    const fabricClient = { submitTransaction: sinon.stub().resolves(Buffer.from('{}')) };
+    
+    const reconciliation = await initializeBalanceReconciliation({}, walletManager, fabricClient);
+    tracker = createConfirmationTracker({}, { bitcoin: { hot_wallet: connector } }, reconciliation);
+    
+    await checkWith({ confirmations: 1, blockHeight: 100, blockHash: blockA });
+    await checkWith(null);
+    
+    const alerts = reconciliation.getReorgAlerts();
+    
+    expect(alerts).to.have.length(1);
+    expect(alerts[0]).to.include({ blockchain: 'bitcoin', primaryWalletName: 'hot_wallet', txid: 'tx1', reason: 'dropped' });
+    expect(alerts[0].reconciliationResult).to.include({ hasDiscrepancy: false });
+    expect(walletManager.getWallet.calledOnceWith('bitcoin', 'hot_wallet')).to.be.true;
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * Deposit Processing Tests
+ *
+ * This file contains tests for the automatic crediting of deposits: outputs paid to a primary
+ * wallet are matched to internal wallets by their OP_RETURN memo or payment request, credited
+ * once per outpoint after the configured number of confirmations, and reversed after a reorg.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const bitcoin = require('bitcoinjs-lib');
+const { ECPair } = require('../src/blockchain/transactionBuilder');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { createDepositProcessor } = require('../src/deposits/depositProcessor');
+const { setupTestEnvironment } = require('./test-utils');
+
+const network = bitcoin.networks.regtest;
+const keyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 7), { network });
+const walletAddress = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address;
+
+/**
+ * Create the OP_RETURN output of a memo
+ * @param {string} memo The memo
+ * @param {number} vout The index of the output
+ * @returns {Object} The output, as reported by the transceiver
+ */
+const memoOutput = (memo, vout = 0) => ({
+  vout,
+  address: null,
+  value: 0,
+  script: bitcoin.script.compile([bitcoin.opcodes.OP_RETURN, Buffer.from(memo)]).toString('hex')
+});
+
+/**
+ * Create an incoming transaction to the wallet address
+ * @param {string} fill A character that makes the transaction ID unique
+ * @param {number} confirmations The number of confirmations
+ * @param {Array<Object>} outputs The outputs of the transaction
+ * @returns {Object} The transaction, as reported by the transceiver
+ */
+const deposit = (fill, confirmations, outputs) => ({
+  txid: fill.repeat(64),
+  type: 'incoming',
+  blockHeight: confirmations > 0 ? 1000 - confirmations + 1 : null,
+  confirmations,
+  outputs
+});
+
+describe('Deposit Processing', () => {
+  let testEnv;
+  let app;
+  let token;
+  let connector;
+  let depositProcessor;
+  
+  beforeEach(async () => {
+    testEnv = await setupTestEnvironment();
+    app = testEnv.app;
+    token = testEnv.token;
+    
+    connector = new BlockchainConnector('bitcoin', {
+      name: 'merchant',
+      network: 'regtest',
+      walletAddress,
+      secret: keyPair.toWIF(),
+      transceiver: { method: 'callback' }
+    });
+    testEnv.mockBlockchainConnectors.bitcoin.merchant = connector;
+    
+    depositProcessor = testEnv.server.dependencies.depositProcessor;
+    
+    await createInternalWallet('alice');
+    await createInternalWallet('bob');
+  });
+  
+  afterEach(async () => {
+    await testEnv.server.close();
+  });
+  
+  /**
+   * Create an internal wallet
+   * @param {string} id The internal wallet ID
+   * @param {string} primaryWalletName The primary wallet name
+   * @returns {Promise<Object>} The response
+   */
+  const createInternalWallet = (id, primaryWalletName = 'merchant') => request(app)
+    .post('/api/internal-wallets')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ blockchain: 'bitcoin', primaryWalletName, internalWalletId: id })
+    .expect(200);
+  
+  /**
+   * List the deposits of an internal wallet
+   * @param {string} id The internal wallet ID
+   * @returns {Promise<Array>} The deposits
+   */
+  const listDeposits = async id => (await request(app)
+    .get(`/api/internal-wallets/${id}/deposits`)
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200)).body;
+  
+  it('should credit a deposit once it has the configured number of confirmations', async () => {
+    const transaction = confirmations => deposit('a', confirmations, [{ vout: 0, address: walletAddress, value: 0.4 }, memoOutput('alice', 1)]);
+    
+    await depositProcessor.processTransactions(connector, walletAddress, [transaction(1)]);
+    
+    expect(testEnv.internalWallets.alice.balance).to.equal('0');
+    expect(await listDeposits('alice')).to.deep.equal([{
+      id: `${'a'.repeat(64)}:0`,
+      txid: 'a'.repeat(64),
+      vout: 0,
+      address: walletAddress,
+      internalWalletId: 'alice',
+      matchedBy: 'memo',
+      reference: 'alice',
+      amount: 0.4,
+      blockHeight: 1000,
+      confirmations: 1,
+      requiredConfirmations: 3,
+      status: 'pending'
+    }]);
+    
+    const { credited } = await depositProcessor.processTransactions(connector, walletAddress, [transaction(3)]);
+    await depositProcessor.processTransactions(connector, walletAddress, [transaction(4)]);
+    
+    expect(credited).to.have.lengthOf(1);
+    expect(testEnv.internalWallets.alice.balance).to.equal('40000000');
+    
+    const deposits = await listDeposits('alice');
+    expect(deposits).to.have.lengthOf(1);
+    expect(deposits[0]).to.include({ status: 'credited', amount: 0.4, matchedBy: 'memo', blockHeight: 998 });
+  });
+  
+  it('should credit each output paid to the wallet as a deposit of its own', async () => {
+    const transaction = deposit('b', 6, [
+      { vout: 0, address: walletAddress, value: 0.1 },
+      { vout: 1, address: 'bcrt1qsomeoneelse', value: 5 },
+      { vout: 2, address: walletAddress, value: 0.2 },
+      memoOutput('bob', 3)
+    ]);
+    
+    await depositProcessor.processTransactions(connector, walletAddress, [transaction]);
+    await depositProcessor.processTransactions(connector, walletAddress, [transaction]);
+    
+    expect(testEnv.internalWallets.bob.balance).to.equal('30000000');
+    expect((await listDeposits('bob')).map(record => record.vout)).to.deep.equal([0, 2]);
+  });
+  
+  it('should credit payments of a payment request to its internal wallet', async () => {
+    const response = await request(app)
+      .post('/api/internal-wallets/bob/payment-requests')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ id: 'invoice_7', amount: 0.05 })
+      .expect(200);
+    
+    expect(response.body).to.include({ id: 'invoice_7', internalWalletId: 'bob', amount: 0.05, address: walletAddress, memo: 'invoice_7' });
+    
+    await request(app)
+      .post('/api/internal-wallets/bob/payment-requests')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ id: 'invoice_7' })
+      .expect(400);
+    
+    const generated = await request(app)
+      .post('/api/internal-wallets/alice/payment-requests')
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(200);
+    
+    expect(generated.body.memo).to.match(/^pr_[0-9a-f]{16}$/);
+    expect(generated.body.amount).to.equal(null);
+    
+    await depositProcessor.processTransactions(connector, walletAddress, [
+      deposit('c', 3, [memoOutput('invoice_7'), { vout: 1, address: walletAddress, value: 0.05 }])
+    ]);
+    
+    expect(testEnv.internalWallets.bob.balance).to.equal('5000000');
+    expect((await listDeposits('bob'))[0]).to.include({ matchedBy: 'payment-request', reference: 'invoice_7' });
+  });
+  
+  it('should leave deposits that match no internal wallet of the primary wallet to the base wallet', async () => {
+    await createInternalWallet('carol', 'test_wallet_1');
+    
+    const { credited } = await depositProcessor.processTransactions(connector, walletAddress, [
+      deposit('d', 3, [{ vout: 0, address: walletAddress, value: 1 }]),
+      deposit('e', 3, [{ vout: 0, address: walletAddress, value: 1 }, memoOutput('nobody', 1)]),
+      deposit('f', 3, [{ vout: 0, address: walletAddress, value: 1 }, memoOutput('carol', 1)]),
+      { ...deposit('9', 3, [{ vout: 0, address: walletAddress, value: 1 }, memoOutput('alice', 1)]), type: 'outgoing' }
+    ]);
+    
+    expect(credited).to.deep.equal([]);
+    expect(testEnv.internalWallets.carol.balance).to.equal('0');
+    expect(testEnv.internalWallets.alice.balance).to.equal('0');
+  });
+  
+  it('should reverse a credited deposit after a reorg, and credit it again once it is confirmed again', async () => {
+    const transaction = confirmations => deposit('a', confirmations, [memoOutput('alice'), { vout: 1, address: walletAddress, value: 0.3 }]);
+    
+    await depositProcessor.processTransactions(connector, walletAddress, [transaction(3)]);
+    expect(testEnv.internalWallets.alice.balance).to.equal('30000000');
+    
+    // The transaction is no longer in the chain
+    const { reversed } = await depositProcessor.processTransactions(connector, walletAddress, []);
+    expect(reversed).to.have.lengthOf(1);
+    expect(testEnv.internalWallets.alice.balance).to.equal('0');
+    expect((await listDeposits('alice'))[0]).to.include({ status: 'reversed' });
+    
+    // It is mined again, and confirmed
+    await depositProcessor.processTransactions(connector, walletAddress, [transaction(0)]);
+    expect((await listDeposits('alice')).map(record => record.status)).to.deep.equal(['reversed', 'pending']);
+    
+    await depositProcessor.processTransactions(connector, walletAddress, [transaction(3)]);
+    expect(testEnv.internalWallets.alice.balance).to.equal('30000000');
+    expect(await listDeposits('alice')).to.have.lengthOf(1);
+    
+    // A reorg leaves it with fewer confirmations than required
+    await depositProcessor.processTransactions(connector, walletAddress, [transaction(1)]);
+    expect(testEnv.internalWallets.alice.balance).to.equal('0');
+  });
+  
+  it('should only check recent deposits for reorgs, and only in complete histories', async () => {
+    const processor = createDepositProcessor({
+      deposits: { confirmations: { bitcoin: 1 }, historyLimit: 2, reorgWindow: 10 }
+    }, testEnv.mockBlockchainConnectors, testEnv.mockFabricClient, testEnv.server.dependencies.depositManager);
+    
+    expect(processor.getRequiredConfirmations('bitcoin')).to.equal(1);
+    expect(processor.getRequiredConfirmations('litecoin')).to.equal(3);
+    
+    const recent = deposit('a', 1, [memoOutput('alice'), { vout: 1, address: walletAddress, value: 0.1 }]);
+    const buried = deposit('b', 10, [memoOutput('bob'), { vout: 1, address: walletAddress, value: 0.2 }]);
+    const other = deposit('c', 1, [{ vout: 0, address: walletAddress, value: 1 }]);
+    
+    await processor.processTransactions(connector, walletAddress, [recent, buried]);
+    expect(testEnv.internalWallets.alice.balance).to.equal('10000000');
+    expect(testEnv.internalWallets.bob.balance).to.equal('20000000');
+    
+    // A full page of history may have left older transactions out
+    await processor.processTransactions(connector, walletAddress, [other, buried]);
+    expect(testEnv.internalWallets.alice.balance).to.equal('10000000');
+    
+    // Deposits beyond the reorg window are no longer reversed
+    await processor.processTransactions(connector, walletAddress, [other]);
+    expect(testEnv.internalWallets.alice.balance).to.equal('0');
+    expect(testEnv.internalWallets.bob.balance).to.equal('20000000');
+  });
+  
+  it('should scan monitored addresses on notifications, and resume from the ledger after a restart', async () => {
+    const history = [deposit('a', 3, [{ vout: 0, address: walletAddress, value: 0.5 }, memoOutput('alice', 1)])];
+    sinon.stub(connector, 'getTransactionHistory').callsFake(async () => history);
+    const monitor = sinon.stub(connector.transceiverManager, 'monitorWalletAddress').resolves({ success: true });
+    
+    const config = { deposits: { scanInterval: 3600000 } };
+    const processor = createDepositProcessor(config, testEnv.mockBlockchainConnectors, testEnv.mockFabricClient, testEnv.server.dependencies.depositManager);
+    
+    try {
+      await processor.start();
+      await processor.scanAddress(connector, walletAddress);
+      
+      expect(monitor.calledOnceWith(walletAddress)).to.equal(true);
+      expect(testEnv.internalWallets.alice.balance).to.equal('50000000');
+      
+      // A notification of a new transaction triggers a scan of the address
+      history.push(deposit('b', 3, [{ vout: 0, address: walletAddress, value: 0.25 }, memoOutput('bob', 1)]));
+      monitor.firstCall.args[1]([history[1]]);
+      await processor.scanAddress(connector, walletAddress);
+      
+      expect(testEnv.internalWallets.bob.balance).to.equal('25000000');
+    } finally {
+      await processor.stop();
+    }
+    
+    // A restarted processor knows the credited deposits, and credits nothing twice
+    const restarted = createDepositProcessor(config, testEnv.mockBlockchainConnectors, testEnv.mockFabricClient, testEnv.server.dependencies.depositManager);
+    
+    try {
+      await restarted.start();
+      const { credited } = await restarted.scanAddress(connector, walletAddress);
+      
+      expect(credited).to.deep.equal([]);
+      expect(testEnv.internalWallets.alice.balance).to.equal('50000000');
+    } finally {
+      await restarted.stop();
+    }
+  });
+});
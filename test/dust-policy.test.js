@@ -0,0 +1,255 @@
+/**
+ * Dust Policy Tests
+ *
+ * This file contains tests for the dust policy: outputs below the dust threshold of their type
+ * are never created, change below it is added to the fee, and withdrawals that would create dust
+ * or are below the minimum withdrawal of the blockchain are rejected with their message codes.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const bitcoin = require('bitcoinjs-lib');
+const { ECPair, TransactionBuilder } = require('../src/blockchain/transactionBuilder');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { initializeBlockchainConnectors } = require('../src/blockchain/connectorManager');
+const { createDustPolicy, getDustPolicyConfig } = require('../src/blockchain/dustPolicy');
+const { createAmounts } = require('../src/blockchain/amounts');
+const { MessageCode } = require('../src/api/messaging');
+const { setupTestEnvironment } = require('./test-utils');
+
+const network = bitcoin.networks.regtest;
+const keyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 1), { network });
+const recipientKey = ECPair.fromPrivateKey(Buffer.alloc(32, 2), { network });
+
+const walletAddress = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address;
+const segwitRecipient = bitcoin.payments.p2wpkh({ pubkey: recipientKey.publicKey, network }).address;
+const legacyRecipient = bitcoin.payments.p2pkh({ pubkey: recipientKey.publicKey, network }).address;
+
+const utxo = { txid: Buffer.alloc(32, 7).toString('hex'), vout: 0, value: 0.01, address: walletAddress };
+
+/**
+ * Create a hot wallet connector whose transceiver returns the transactions to broadcast
+ * @param {Object} config Additional wallet configuration
+ * @returns {BlockchainConnector} The connector, with a UTXO of 0.01 BTC
+ */
+const createConnector = (config = {}) => {
+  const connector = new BlockchainConnector('bitcoin', {
+    name: 'hot_wallet',
+    network: 'regtest',
+    walletAddress,
+    secret: keyPair.toWIF(),
+    transceiver: { method: 'return' },
+    ...config
+  });
+  
+  sinon.stub(connector.transceiverManager, 'getUTXOs').resolves([utxo]);
+  
+  return connector;
+};
+
+/**
+ * Get the outputs of a transaction sent by a connector
+ * @param {BlockchainConnector} connector The connector
+ * @param {Object} result The result of sendTransaction
+ * @returns {Array<Object>} The outputs, with their address and value in satoshis
+ */
+const getOutputs = (connector, result) => bitcoin.Transaction.fromHex(connector.getPendingTransaction(result.txid).txHex).outs
+  .map(output => ({ address: bitcoin.address.fromOutputScript(output.script, network), value: output.value }));
+
+describe('Dust Policy', () => {
+  describe('createDustPolicy', () => {
+    it('should have thresholds by output type for each blockchain', () => {
+      const bitcoinPolicy = createDustPolicy('bitcoin');
+      const dogecoinPolicy = createDustPolicy('dogecoin');
+      
+      expect(bitcoinPolicy.getThreshold('p2pkh')).to.equal(546n);
+      expect(bitcoinPolicy.getThreshold('p2wpkh')).to.equal(294n);
+      expect(createDustPolicy('litecoin').getThreshold('p2tr')).to.equal(330n);
+      expect(dogecoinPolicy.getThreshold('p2pkh')).to.equal(1000000n);
+      
+      // Unknown output types get the highest threshold
+      expect(bitcoinPolicy.getThreshold(null)).to.equal(546n);
+      expect(bitcoinPolicy.minWithdrawal).to.equal(0n);
+    });
+    
+    it('should apply the configured thresholds and minimum withdrawal of custom blockchains', () => {
+      const config = {
+        dustPolicy: {
+          blockchains: {
+            mycoin: { thresholds: { p2pkh: 100000 }, defaultThreshold: 50000 }
+          }
+        }
+      };
+      const policy = createDustPolicy('mycoin', getDustPolicyConfig(config, 'mycoin'));
+      
+      expect(policy.getThreshold('p2pkh')).to.equal(100000n);
+      expect(policy.getThreshold('p2wpkh')).to.equal(294n);
+      expect(policy.getThreshold('p2unknown')).to.equal(50000n);
+      expect(getDustPolicyConfig(config, 'bitcoin')).to.deep.equal({});
+      
+      const bitcoinPolicy = createDustPolicy('bitcoin', { minWithdrawal: 0.0001 });
+      
+      expect(bitcoinPolicy.checkPayment(9999n, 'p2wpkh')).to.deep.equal({ reason: 'minimum-withdrawal', minimum: 10000n });
+      expect(bitcoinPolicy.checkPayment(10000n, 'p2wpkh')).to.be.null;
+      
+      // The minimum withdrawal is converted with the decimals of the blockchain
+      const customPolicy = createDustPolicy('mycoin', { minWithdrawal: 0.5 }, createAmounts({ mycoin: 2 }));
+      expect(customPolicy.minWithdrawal).to.equal(50n);
+    });
+  });
+  
+  describe('TransactionBuilder', () => {
+    it('should not create outputs below the dust threshold of their type', () => {
+      const builder = new TransactionBuilder('bitcoin', 'regtest', { walletAddress });
+      const input = { ...utxo, value: 1000000 };
+      
+      expect(() => builder.createAndSignTransaction(keyPair.toWIF(), [input], [{ address: segwitRecipient, value: 293 }]))
+        .to.throw('below the bitcoin dust threshold of 294 for p2wpkh outputs');
+      expect(() => builder.createAndSignTransaction(keyPair.toWIF(), [input], [{ address: legacyRecipient, value: 545 }]))
+        .to.throw('below the bitcoin dust threshold of 546 for p2pkh outputs');
+      
+      const transaction = builder.createAndSignTransaction(keyPair.toWIF(), [input], [
+        { address: segwitRecipient, value: 294 },
+        { address: walletAddress, value: 999000 }
+      ]);
+      expect(transaction.txid).to.be.a('string');
+    });
+  });
+  
+  describe('BlockchainConnector', () => {
+    it('should create change at or above the threshold of the change output type, and add smaller change to the fee', async () => {
+      const connector = createConnector();
+      
+      // 0.01 BTC pays 0.00999 BTC and a fee of 600 satoshis, leaving 400 satoshis of P2WPKH change
+      const withChange = await connector.sendTransaction(segwitRecipient, 0.00999, { fee: 0.000006 });
+      
+      expect(getOutputs(connector, withChange)).to.deep.equal([
+        { address: segwitRecipient, value: 999000 },
+        { address: walletAddress, value: 400 }
+      ]);
+      
+      // 200 satoshis of change are dust, and are paid as fee
+      connector.releaseUtxos([utxo]);
+      const withoutChange = await connector.sendTransaction(segwitRecipient, 0.00999, { fee: 0.000008 });
+      
+      expect(getOutputs(connector, withoutChange)).to.deep.equal([{ address: segwitRecipient, value: 999000 }]);
+      expect(connector.getPendingTransaction(withoutChange.txid).metadata.fee).to.equal(1000);
+    });
+    
+    it('should keep a higher dust threshold configured for coin selection', async () => {
+      const connector = createConnector({ coinSelection: { dustThreshold: 546 } });
+      
+      const result = await connector.sendTransaction(segwitRecipient, 0.00999, { fee: 0.000006 });
+      
+      expect(getOutputs(connector, result)).to.deep.equal([{ address: segwitRecipient, value: 999000 }]);
+    });
+    
+    it('should reject payments that would create dust without locking any UTXOs', async () => {
+      const connector = createConnector();
+      
+      try {
+        await connector.sendTransaction(legacyRecipient, 0.000005);
+        expect.fail('Expected the dust payment to be rejected');
+      } catch (error) {
+        expect(error.message).to.equal(`Failed to send transaction: Payment of 500 to ${legacyRecipient} is below the dust threshold of 546 for p2pkh outputs`);
+      }
+      
+      expect(connector.getLockedUtxos()).to.deep.equal([]);
+      expect(connector.checkPayment(legacyRecipient, 0.000005)).to.deep.equal({ reason: 'dust', minimum: 0.00000546, outputType: 'p2pkh' });
+      expect(connector.checkPayment(segwitRecipient, 0.000005)).to.be.null;
+    });
+    
+    it('should apply the dust policy of the blockchain from the configuration', () => {
+      const connectors = initializeBlockchainConnectors({
+        bitcoin: [{
+          name: 'hot_wallet',
+          network: 'regtest',
+          walletAddress,
+          secret: keyPair.toWIF(),
+          transceiver: { method: 'return' }
+        }],
+        dustPolicy: {
+          blockchains: { bitcoin: { minWithdrawal: 0.001 } }
+        },
+        pendingTransactions: { store: { type: 'memory' } }
+      });
+      
+      expect(connectors.bitcoin.hot_wallet.checkPayment(segwitRecipient, 0.0005)).to.deep.equal({ reason: 'minimum-withdrawal', minimum: 0.001 });
+      expect(connectors.bitcoin.hot_wallet.checkPayment(segwitRecipient, 0.001)).to.be.null;
+    });
+  });
+  
+  describe('API', () => {
+    let testEnv;
+    let app;
+    let token;
+    let connector;
+    
+    beforeEach(async () => {
+      testEnv = await setupTestEnvironment();
+      app = testEnv.app;
+      token = testEnv.token;
+      
+      connector = createConnector({ dustPolicy: { minWithdrawal: 0.00001 } });
+      
+      // The withdrawal route reads the fee and balance through the wallet manager's wallet interface
+      connector.estimateFee = sinon.stub().resolves(0.0001);
+      connector.getBalance = sinon.stub().resolves(1);
+      testEnv.mockBlockchainConnectors.bitcoin.hot_wallet = connector;
+      
+      testEnv.internalWallets.payroll = {
+        id: 'payroll',
+        blockchain: 'bitcoin',
+        primaryWalletName: 'hot_wallet',
+        balance: '1000000',
+        metadata: {}
+      };
+    });
+    
+    afterEach(async () => {
+      await testEnv.server.close();
+    });
+    
+    /**
+     * Withdraw from the payroll wallet at 5 sat/vB
+     * @param {string} toAddress The recipient address
+     * @param {number} amount The amount in BTC
+     * @param {number} status The expected HTTP status
+     * @returns {Promise<Object>} The response
+     */
+    const withdraw = (toAddress, amount, status) => request(app)
+      .post('/api/transactions/withdraw')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ internalWalletId: 'payroll', toAddress, amount, feeRate: 5 })
+      .expect(status);
+    
+    it('should reject withdrawals below the minimum withdrawal before charging the internal wallet', async () => {
+      const response = await withdraw(segwitRecipient, 0.000009, 400);
+      
+      expect(response.body.data).to.deep.equal({ success: false });
+      expect(response.body.messages[0]).to.include({ type: 'error', code: MessageCode.ERROR_BELOW_MINIMUM_WITHDRAWAL });
+      expect(response.body.messages[0].data).to.deep.equal({ blockchain: 'bitcoin', amount: 0.000009, minimum: 0.00001 });
+      expect(testEnv.internalWallets.payroll.balance).to.equal('1000000');
+    });
+    
+    it('should reject withdrawals that would create a dust output', async () => {
+      // Above the minimum withdrawal, but below the dust threshold of P2PKH outputs
+      connector.dustPolicy = createDustPolicy('bitcoin', { minWithdrawal: 0.000001 });
+      
+      const response = await withdraw(legacyRecipient, 0.000005, 400);
+      
+      expect(response.body.messages[0]).to.include({ code: 'ERROR_012' });
+      expect(response.body.messages[0].data).to.deep.equal({ blockchain: 'bitcoin', amount: 0.000005, minimum: 0.00000546, outputType: 'p2pkh' });
+      expect(testEnv.internalWallets.payroll.balance).to.equal('1000000');
+      expect(connector.getAllPendingTransactions()).to.deep.equal([]);
+    });
+    
+    it('should send withdrawals at the minimum withdrawal', async () => {
+      const response = await withdraw(segwitRecipient, 0.00001, 200);
+      
+      expect(response.body).to.include({ amount: 0.00001 });
+      expect(testEnv.internalWallets.payroll.balance).to.equal(String(1000000 - 1000 - 10000));
+    });
+  });
+});
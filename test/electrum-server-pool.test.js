@@ -0,0 +1,202 @@
+/**
+ * Electrum Server Pool Tests
+ *
+ * This file contains tests for the Electrum server pool of the SPV transceiver: servers are scored
+ * by latency, height agreement and error rate, requests rotate away from lagging or failing
+ * servers, and balances are cross-checked between servers.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+const { ElectrumServerPool, DEFAULT_POOL_SETTINGS } = require('../transceivers/electrum-server-pool');
+
+/**
+ * Create a fake Electrum client
+ * @param {number} height The height of the server's tip
+ * @param {Object} methods The results of the Electrum methods
+ * @returns {EventEmitter} The client
+ */
+const createFakeClient = (height, methods = {}) => Object.assign(new EventEmitter(), {
+  connect: sinon.stub().resolves(),
+  close: sinon.stub().resolves(),
+  server_version: sinon.stub().resolves(['ElectrumX 1.16', '1.4']),
+  blockchain_headers_subscribe: sinon.stub().callsFake(async () => ({ height, hex: '00' })),
+  ...methods
+});
+
+/**
+ * Create a pool of servers named a, b, c, ... with the given clients
+ * @param {Array<Object>} clients The client of each server
+ * @param {Object} config The pool settings
+ * @returns {ElectrumServerPool} The pool
+ */
+const createPool = (clients, config = {}) => {
+  const servers = clients.map((_, index) => ({ server: String.fromCharCode(97 + index), port: 50002, protocol: 'ssl' }));
+  
+  return new ElectrumServerPool(servers, config, {
+    createClient: (port, host) => clients[host.charCodeAt(0) - 97]
+  });
+};
+
+describe('Electrum Server Pool', () => {
+  let clock;
+  
+  afterEach(() => {
+    if (clock) {
+      clock.restore();
+      clock = null;
+    }
+  });
+  
+  it('should skip servers that lag behind the other servers', async () => {
+    const balance = { confirmed: 1000, unconfirmed: 0 };
+    const lagging = createFakeClient(95, { blockchain_scripthash_listunspent: sinon.stub().resolves([]) });
+    const synced = createFakeClient(100, { blockchain_scripthash_listunspent: sinon.stub().resolves([balance]) });
+    const pool = createPool([lagging, synced]);
+    
+    expect(await pool.connect()).to.equal(2);
+    expect(await pool.request('blockchain_scripthash_listunspent', 'scripthash')).to.deep.equal([balance]);
+    expect(lagging.blockchain_scripthash_listunspent.called).to.be.false;
+    
+    expect(pool.getHealth().map(({ id, primary, height, lag }) => ({ id, primary, height, lag }))).to.deep.equal([
+      { id: 'a:50002', primary: false, height: 95, lag: 5 },
+      { id: 'b:50002', primary: true, height: 100, lag: 0 }
+    ]);
+    
+    // The server is used again once it catches up
+    lagging.emit('blockchain.headers.subscribe', [{ height: 100, hex: '00' }]);
+    expect(pool.getHealthyServers()).to.have.length(2);
+  });
+  
+  it('should rotate to the next server when a request fails, and disconnect servers with a high error rate', async () => {
+    clock = sinon.useFakeTimers(Date.now());
+    
+    const failing = createFakeClient(100, { blockchain_estimatefee: sinon.stub().rejects(new Error('Server busy')) });
+    const healthy = createFakeClient(100, { blockchain_estimatefee: sinon.stub().resolves(0.0001) });
+    const pool = createPool([failing, healthy]);
+    const primary = sinon.spy();
+    pool.on('primary', primary);
+    
+    await pool.connect();
+    expect(pool.getPrimaryClient()).to.equal(failing);
+    
+    expect(await pool.request('blockchain_estimatefee', 2)).to.equal(0.0001);
+    
+    // The subscriptions move to the next server
+    expect(pool.getPrimaryClient()).to.equal(healthy);
+    expect(primary.lastCall.args[0]).to.deep.equal({ from: 'a:50002', to: 'b:50002' });
+    
+    // The server keeps failing its health checks, and is disconnected once it has enough requests
+    failing.blockchain_headers_subscribe.rejects(new Error('Server busy'));
+    for (let i = 0; i < 5; i++) {
+      await pool.checkHealth();
+    }
+    
+    const [banned] = pool.getHealth();
+    expect(banned).to.include({ connected: false, lastError: 'Server busy', bannedUntil: Date.now() + DEFAULT_POOL_SETTINGS.banTime });
+    expect(failing.close.calledOnce).to.be.true;
+    
+    // It is not reconnected before the end of its ban
+    failing.blockchain_headers_subscribe.resolves({ height: 100, hex: '00' });
+    await pool.checkHealth();
+    expect(pool.getHealth()[0].connected).to.be.false;
+    
+    await clock.tickAsync(DEFAULT_POOL_SETTINGS.banTime);
+    await pool.checkHealth();
+    
+    expect(pool.getHealth()[0]).to.include({ connected: true, bannedUntil: null, errorRate: 0 });
+    await pool.close();
+  });
+  
+  it('should score servers by latency, lag and error rate', async () => {
+    const pool = createPool([createFakeClient(100), createFakeClient(99), createFakeClient(100)]);
+    await pool.connect();
+    
+    const [fast, behind, slow] = pool.servers;
+    fast.latency = 100;
+    behind.latency = 100;
+    slow.latency = 2000;
+    
+    expect(pool.getScore(fast)).to.equal(95);
+    expect(pool.getScore(behind)).to.equal(75);
+    expect(pool.getScore(slow)).to.equal(60);
+    
+    fast.requests = 10;
+    fast.errors = 1;
+    
+    expect(pool.getScore(fast)).to.equal(85);
+    expect(pool.getHealthyServers().map(entry => entry.id)).to.deep.equal(['a:50002', 'b:50002', 'c:50002']);
+    
+    // Latencies within the same point of score do not reorder servers
+    slow.latency = 119;
+    expect(pool.getScore(slow)).to.equal(pool.getScore(fast) + 10);
+    fast.errors = 0;
+    expect(pool.getHealthyServers().map(entry => entry.id)).to.deep.equal(['a:50002', 'c:50002', 'b:50002']);
+  });
+  
+  describe('crossCheckedRequest', () => {
+    const confirmed = balance => balance.confirmed;
+    
+    it('should return the result two servers agree on, and penalize a server that disagrees', async () => {
+      const dishonest = createFakeClient(100, { blockchain_scripthash_getBalance: sinon.stub().resolves({ confirmed: 9000, unconfirmed: 0 }) });
+      const honest = createFakeClient(100, { blockchain_scripthash_getBalance: sinon.stub().resolves({ confirmed: 1000, unconfirmed: 0 }) });
+      const tiebreaker = createFakeClient(100, { blockchain_scripthash_getBalance: sinon.stub().resolves({ confirmed: 1000, unconfirmed: 500 }) });
+      const pool = createPool([dishonest, honest, tiebreaker]);
+      await pool.connect();
+      
+      const balance = await pool.crossCheckedRequest('blockchain_scripthash_getBalance', ['scripthash'], confirmed);
+      
+      // The unconfirmed amounts differ, but only the confirmed amounts are compared
+      expect(balance).to.deep.equal({ confirmed: 1000, unconfirmed: 0 });
+      expect(pool.getHealth()[0]).to.include({ lastError: 'Disagreed on blockchain_scripthash_getBalance' });
+      expect(pool.getHealth()[0].errorRate).to.be.above(0);
+    });
+    
+    it('should prefer a second server at the same height, and fail when the servers disagree', async () => {
+      const first = createFakeClient(100, { blockchain_scripthash_getBalance: sinon.stub().resolves({ confirmed: 1000, unconfirmed: 0 }) });
+      const behind = createFakeClient(99, { blockchain_scripthash_getBalance: sinon.stub().resolves({ confirmed: 1000, unconfirmed: 0 }) });
+      const second = createFakeClient(100, { blockchain_scripthash_getBalance: sinon.stub().resolves({ confirmed: 2000, unconfirmed: 0 }) });
+      const pool = createPool([first, behind, second], { crossCheck: true });
+      await pool.connect();
+      pool.servers[1].latency = 0;
+      
+      // The server behind agrees with the first, and decides
+      expect(await pool.crossCheckedRequest('blockchain_scripthash_getBalance', ['scripthash'], confirmed)).to.deep.equal({ confirmed: 1000, unconfirmed: 0 });
+      expect(second.blockchain_scripthash_getBalance.calledBefore(behind.blockchain_scripthash_getBalance)).to.be.true;
+      
+      behind.blockchain_scripthash_getBalance.rejects(new Error('Connection reset'));
+      
+      try {
+        await pool.crossCheckedRequest('blockchain_scripthash_getBalance', ['scripthash'], confirmed);
+        expect.fail('Expected the servers to disagree');
+      } catch (error) {
+        expect(error.message).to.match(/^Electrum servers .* disagree on blockchain_scripthash_getBalance$/);
+      }
+    });
+    
+    it('should fall back to a single server when cross-checks are disabled', async () => {
+      const first = createFakeClient(100, { blockchain_scripthash_getBalance: sinon.stub().resolves({ confirmed: 1000, unconfirmed: 0 }) });
+      const second = createFakeClient(100, { blockchain_scripthash_getBalance: sinon.stub().resolves({ confirmed: 2000, unconfirmed: 0 }) });
+      const pool = createPool([first, second], { crossCheck: false });
+      await pool.connect();
+      
+      expect(await pool.crossCheckedRequest('blockchain_scripthash_getBalance', ['scripthash'], confirmed)).to.deep.equal({ confirmed: 1000, unconfirmed: 0 });
+      expect(second.blockchain_scripthash_getBalance.called).to.be.false;
+    });
+  });
+  
+  it('should fail to connect when no server is reachable', async () => {
+    const unreachable = createFakeClient(100, { connect: sinon.stub().rejects(new Error('ECONNREFUSED')) });
+    const pool = createPool([unreachable]);
+    
+    try {
+      await pool.connect();
+      expect.fail('Expected the connection to fail');
+    } catch (error) {
+      expect(error.message).to.equal('Failed to connect to any of 1 Electrum servers');
+    }
+    
+    expect(() => new ElectrumServerPool([])).to.throw('The Electrum server pool requires at least one server');
+  });
+});
@@ -26,11 +26,30 @@ const mockConfig = {
     },
     auth: {
       jwtSecret: 'test-secret',
-      expiresIn: '1d'
+      expiresIn: '1d',
+      userStore: {
+        type: 'memory'
+      },
+      apiKeys: {
+        type: 'memory'
+      },
+      sessionStore: {
+        type: 'memory'
+      }
+    },
+    idempotency: {
+      store: {
+        type: 'memory'
+      }
     },
     rateLimiting: {
       windowMs: 900000,
       max: 100
+    },
+    endpoints: {
+      chaincodeManagement: {
+        enabled: true
+      }
     }
   },
   baseInternalWallet: {
@@ -40,6 +59,7 @@ const mockConfig = {
 
 // Import the API server module
 const { startApiServer } = require('../src/api/server');
+const { toBaseUnits, toCoins, parseBaseUnits, getBalanceUnits, formatAmounts } = require('../src/blockchain/amounts');
 
 // Import the API extensions
 const employeePayrollExtension = require('../api-extensions/employee-payroll-extension');
@@ -52,7 +72,7 @@ async function setupEmployerTest() {
   
   let internalWallets = {};
   let primaryWalletBalance = 15.0; // Higher balance to accommodate all tests
-
+  
   // Track created wallets to ensure uniqueness
   const createdWalletAddresses = new Set();
   const createdWalletNames = new Set();
@@ -66,7 +86,7 @@ async function setupEmployerTest() {
       id: baseWalletId,
       blockchain,
       primaryWalletName,
-      balance: 0.0,
+      balance: '0',
       isBaseWallet: true,
       createdAt: new Date().toISOString()
     };
@@ -151,17 +171,20 @@ async function setupEmployerTest() {
     };
   });
   
+  // The wallet manager returns internal wallets with their balance in whole coins
+  const formatWallet = wallet => formatAmounts(wallet, wallet.blockchain);
+  
   mockWalletManager.createInternalWallet = sinon.stub().callsFake((blockchain, primaryWalletName, internalWalletId) => {
     // Create the internal wallet
     internalWallets[internalWalletId] = {
       id: internalWalletId,
       blockchain,
       primaryWalletName,
-      balance: 0,
+      balance: '0',
       createdAt: new Date().toISOString()
     };
     
-    return Promise.resolve(internalWallets[internalWalletId]);
+    return Promise.resolve(formatWallet(internalWallets[internalWalletId]));
   });
   
   // Add method to fund internal wallets - no fees for employer/employee scenario
@@ -171,58 +194,56 @@ async function setupEmployerTest() {
     }
     
     // No fees in employer/employee scenario for internal transfers
-    // Use precise decimal arithmetic
-    internalWallets[internalWalletId].balance = preciseDecimal(internalWallets[internalWalletId].balance + amount);
+    // Amounts are in base units
+    internalWallets[internalWalletId].balance = (getBalanceUnits(internalWallets[internalWalletId]) + parseBaseUnits(amount)).toString();
     
     return Promise.resolve({
       id: internalWalletId,
-      balance: internalWallets[internalWalletId].balance
+      balance: toCoins(internalWallets[internalWalletId].balance, internalWallets[internalWalletId].blockchain)
     });
   });
   
   mockWalletManager.getAllInternalWallets = sinon.stub().callsFake(() => {
-    return Promise.resolve(Object.values(internalWallets));
+    return Promise.resolve(Object.values(internalWallets).map(formatWallet));
   });
   
   mockWalletManager.getInternalWallet = sinon.stub().callsFake((id) => {
     if (internalWallets[id]) {
-      return Promise.resolve(internalWallets[id]);
+      return Promise.resolve(formatWallet(internalWallets[id]));
     }
     return Promise.reject(new Error(`Internal wallet not found: ${id}`));
   });
   
   mockWalletManager.getInternalWalletBalance = sinon.stub().callsFake((id) => {
     if (internalWallets[id]) {
-      return Promise.resolve(internalWallets[id].balance);
+      return Promise.resolve(formatWallet(internalWallets[id]).balance);
     }
     return Promise.reject(new Error(`Internal wallet not found: ${id}`));
   });
   
-  // Helper function for precise decimal arithmetic
-  const preciseDecimal = (value, decimalPlaces = 8) => {
-    return parseFloat(value.toFixed(decimalPlaces));
-  };
-  
-  mockWalletManager.withdrawFromInternalWallet = sinon.stub().callsFake((internalWalletId, toAddress, amount, fee = 0.0001) => {
+  mockWalletManager.withdrawFromInternalWallet = sinon.stub().callsFake((internalWalletId, toAddress, amount, fee = '10000') => {
     if (!internalWallets[internalWalletId]) {
       return Promise.reject(new Error(`Internal wallet not found: ${internalWalletId}`));
     }
     
-    const totalDeduction = preciseDecimal(amount + fee);
+    const { blockchain } = internalWallets[internalWalletId];
+    const amountUnits = parseBaseUnits(amount);
+    const feeUnits = parseBaseUnits(fee);
+    const balance = getBalanceUnits(internalWallets[internalWalletId]);
     
-    if (internalWallets[internalWalletId].balance < totalDeduction) {
-      return Promise.reject(new Error(`Insufficient balance: ${internalWallets[internalWalletId].balance} < ${totalDeduction}`));
+    if (balance < amountUnits + feeUnits) {
+      return Promise.reject(new Error(`Insufficient balance: ${balance} < ${amountUnits + feeUnits}`));
     }
     
-    // Update the wallet balance with precise decimal arithmetic
-    internalWallets[internalWalletId].balance = preciseDecimal(internalWallets[internalWalletId].balance - amount - fee);
+    // Update the wallet balance in base units
+    internalWallets[internalWalletId].balance = (balance - amountUnits - feeUnits).toString();
     
     return Promise.resolve({
       id: 'withdrawal_1',
       internalWalletId,
       toAddress,
-      amount,
-      fee,
+      amount: toCoins(amountUnits, blockchain),
+      fee: toCoins(feeUnits, blockchain),
       timestamp: new Date().toISOString()
     });
   });
@@ -231,7 +252,7 @@ async function setupEmployerTest() {
     return Promise.resolve(
       Object.values(internalWallets).filter(
         wallet => wallet.blockchain === blockchain && wallet.primaryWalletName === primaryWalletName
-      )
+      ).map(formatWallet)
     );
   });
   
@@ -263,6 +284,7 @@ async function setupEmployerTest() {
       if (internalWallets[walletId]) {
         return Buffer.from(JSON.stringify({
           id: walletId,
+          blockchain: internalWallets[walletId].blockchain,
           balance: internalWallets[walletId].balance
         }));
       }
@@ -306,7 +328,7 @@ async function setupEmployerTest() {
         id: walletId,
         blockchain,
         primaryWalletName,
-        balance: 0,
+        balance: '0',
         createdAt: new Date().toISOString()
       };
       
@@ -314,40 +336,40 @@ async function setupEmployerTest() {
     } else if (fcn === 'withdrawFromInternalWallet') {
       const walletId = args[0];
       const toAddress = args[1];
-      const amount = parseFloat(args[2]);
-      const fee = parseFloat(args[3] || 0.0001);
+      const amount = parseBaseUnits(args[2]);
+      const fee = parseBaseUnits(args[3] || '10000');
       
       if (!internalWallets[walletId]) {
         throw new Error(`Internal wallet not found: ${walletId}`);
       }
       
-      const totalDeduction = preciseDecimal(amount + fee);
+      const balance = getBalanceUnits(internalWallets[walletId]);
       
-      if (internalWallets[walletId].balance < totalDeduction) {
-        throw new Error(`Insufficient balance: ${internalWallets[walletId].balance} < ${totalDeduction}`);
+      if (balance < amount + fee) {
+        throw new Error(`Insufficient balance: ${balance} < ${amount + fee}`);
       }
       
-      // Update the wallet balance with precise decimal arithmetic
-      internalWallets[walletId].balance = preciseDecimal(internalWallets[walletId].balance - amount - fee);
+      // Update the wallet balance in base units
+      internalWallets[walletId].balance = (balance - amount - fee).toString();
       
       return Buffer.from(JSON.stringify({
         id: 'withdrawal_1',
         internalWalletId: walletId,
         toAddress,
-        amount,
-        fee,
+        amount: amount.toString(),
+        fee: fee.toString(),
         timestamp: new Date().toISOString()
       }));
     } else if (fcn === 'updateInternalWalletBalance') {
       const walletId = args[0];
-      const newBalance = parseFloat(args[1]);
+      const newBalance = parseBaseUnits(args[1]);
       
       if (!internalWallets[walletId]) {
         throw new Error(`Internal wallet not found: ${walletId}`);
       }
       
-      // Update the wallet balance with precise decimal arithmetic
-      internalWallets[walletId].balance = preciseDecimal(newBalance);
+      // Update the wallet balance in base units
+      internalWallets[walletId].balance = newBalance.toString();
       internalWallets[walletId].updatedAt = new Date().toISOString();
       
       return Buffer.from(JSON.stringify(internalWallets[walletId]));
@@ -381,21 +403,21 @@ async function setupEmployerTest() {
           payrollCycle: 'monthly',
           payrollDay: 15,
           employeePayments: {
-            employee_wallet_1: 0.5,
-            employee_wallet_2: 0.3,
-            employee_wallet_3: 0.2
+            employee_wallet_1: '50000000',
+            employee_wallet_2: '30000000',
+            employee_wallet_3: '20000000'
           }
         };
       }
       
-      // Calculate the total payroll amount with precise decimal arithmetic
-      const totalPayrollAmount = preciseDecimal(
-        Object.values(payrollConfig.employeePayments).reduce((sum, amount) => preciseDecimal(sum + amount), 0)
-      );
+      // Calculate the total payroll amount in base units
+      const totalPayrollAmount = Object.values(payrollConfig.employeePayments)
+        .reduce((sum, amount) => sum + parseBaseUnits(amount), 0n);
       
       // Check if the employer wallet has enough balance
-      if (internalWallets[employerWalletId].balance < totalPayrollAmount) {
-        throw new Error(`Insufficient balance: ${internalWallets[employerWalletId].balance} < ${totalPayrollAmount}`);
+      const employerBalance = getBalanceUnits(internalWallets[employerWalletId]);
+      if (employerBalance < totalPayrollAmount) {
+        throw new Error(`Insufficient balance: ${employerBalance} < ${totalPayrollAmount}`);
       }
       
       // Process the payroll - no fees for employer to employee transfers
@@ -407,11 +429,11 @@ async function setupEmployerTest() {
           throw new Error(`Employee wallet not found: ${employeeWalletId}`);
         }
         
-        // Update the employer wallet balance - full amount deducted with precise decimal arithmetic
-        internalWallets[employerWalletId].balance = preciseDecimal(internalWallets[employerWalletId].balance - amount);
+        // Update the employer wallet balance - full amount deducted
+        internalWallets[employerWalletId].balance = (getBalanceUnits(internalWallets[employerWalletId]) - parseBaseUnits(amount)).toString();
         
-        // Update the employee wallet balance - full amount received with precise decimal arithmetic (no fees)
-        internalWallets[employeeWalletId].balance = preciseDecimal(internalWallets[employeeWalletId].balance + amount);
+        // Update the employee wallet balance - full amount received (no fees)
+        internalWallets[employeeWalletId].balance = (getBalanceUnits(internalWallets[employeeWalletId]) + parseBaseUnits(amount)).toString();
         
         // Add the transaction to the payroll
         payrollTransactions.push({
@@ -427,7 +449,7 @@ async function setupEmployerTest() {
         id: `payroll_${payrollDate}`,
         employerWalletId,
         payrollDate,
-        totalAmount: totalPayrollAmount,
+        totalAmount: totalPayrollAmount.toString(),
         transactions: payrollTransactions,
         timestamp: new Date().toISOString()
       }));
@@ -441,22 +463,22 @@ async function setupEmployerTest() {
     } else if (fcn === 'transferBetweenInternalWallets') {
       const fromWalletId = args[0];
       const toWalletId = args[1];
-      const amount = parseFloat(args[2]);
+      const amount = parseBaseUnits(args[2]);
       
-      // Update wallet balances with precise decimal arithmetic
+      // Update wallet balances in base units
       if (internalWallets[fromWalletId]) {
-        internalWallets[fromWalletId].balance = preciseDecimal(internalWallets[fromWalletId].balance - amount);
+        internalWallets[fromWalletId].balance = (getBalanceUnits(internalWallets[fromWalletId]) - amount).toString();
       }
       
       if (internalWallets[toWalletId]) {
-        internalWallets[toWalletId].balance = preciseDecimal(internalWallets[toWalletId].balance + amount);
+        internalWallets[toWalletId].balance = (getBalanceUnits(internalWallets[toWalletId]) + amount).toString();
       }
       
       return Buffer.from(JSON.stringify({
         id: 'transfer_1',
         fromWalletId,
         toWalletId,
-        amount,
+        amount: amount.toString(),
         timestamp: new Date().toISOString()
       }));
     }
@@ -525,10 +547,10 @@ async function setupEmployerTest() {
   app = serverObj.app;
   
   // Generate a JWT token for authentication
-  token = jwt.sign({ username: 'admin' }, mockConfig.api.auth.jwtSecret, {
+  token = jwt.sign({ username: 'admin', roles: ['admin'] }, mockConfig.api.auth.jwtSecret, {
     expiresIn: mockConfig.api.auth.expiresIn
   });
-
+  
   // Return all the necessary objects and functions
   return {
     server,
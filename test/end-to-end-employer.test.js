@@ -85,7 +85,7 @@ describe('End-to-End Employer/Employee Payroll Tests', () => {
           blockchain: 'bitcoin',
           primaryWalletName: 'base_employer_wallet',
           internalWalletId: 'employer_wallet_1',
-          type: 'employer'
+          metadata: { type: 'employer' }
         })
         .expect(200);
       
@@ -101,7 +101,7 @@ describe('End-to-End Employer/Employee Payroll Tests', () => {
           blockchain: 'bitcoin',
           primaryWalletName: 'base_employer_wallet',
           internalWalletId: 'employee_wallet_1',
-          type: 'employee'
+          metadata: { type: 'employee' }
         })
         .expect(200);
       
@@ -116,7 +116,7 @@ describe('End-to-End Employer/Employee Payroll Tests', () => {
           blockchain: 'bitcoin',
           primaryWalletName: 'base_employer_wallet',
           internalWalletId: 'employee_wallet_2',
-          type: 'employee'
+          metadata: { type: 'employee' }
         })
         .expect(200);
       
@@ -131,7 +131,7 @@ describe('End-to-End Employer/Employee Payroll Tests', () => {
           blockchain: 'bitcoin',
           primaryWalletName: 'base_employer_wallet',
           internalWalletId: 'employee_wallet_3',
-          type: 'employee'
+          metadata: { type: 'employee' }
         })
         .expect(200);
       
@@ -283,9 +283,7 @@ describe('End-to-End Employer/Employee Payroll Tests', () => {
         .expect(200);
       
       expect(getEmployee2Wallet2Response.body).to.have.property('id', 'employee_wallet_2');
-      // Use a more flexible approach for floating-point comparison
-      const balance = getEmployee2Wallet2Response.body.balance;
-      expect(Math.abs(balance - 0.45)).to.be.lessThan(0.0001); // Allow small epsilon for floating-point precision
+      expect(getEmployee2Wallet2Response.body).to.have.property('balance', 0.45); // Balances are exact base units
       
       const getEmployee3Wallet2Response = await request(app)
         .get('/api/internal-wallets/employee_wallet_3')
@@ -82,7 +82,7 @@ describe('End-to-End Merchant Fee Tests', () => {
           blockchain: 'bitcoin',
           primaryWalletName: 'base_merchant_wallet',
           internalWalletId: 'customer_wallet_1',
-          type: 'customer'
+          metadata: { type: 'customer' }
         })
         .expect(200);
       
@@ -98,7 +98,7 @@ describe('End-to-End Merchant Fee Tests', () => {
           blockchain: 'bitcoin',
           primaryWalletName: 'base_merchant_wallet',
           internalWalletId: 'merchant_wallet_1',
-          type: 'merchant'
+          metadata: { type: 'merchant' }
         })
         .expect(200);
       
@@ -114,7 +114,7 @@ describe('End-to-End Merchant Fee Tests', () => {
           blockchain: 'bitcoin',
           primaryWalletName: 'base_merchant_wallet',
           internalWalletId: 'fee_wallet_1',
-          type: 'fee'
+          metadata: { type: 'fee' }
         })
         .expect(200);
       
@@ -137,8 +137,8 @@ describe('End-to-End Merchant Fee Tests', () => {
         .expect(200);
       
       expect(createFeeConfigResponse.body).to.have.property('defaultFeePercentage', 2.5);
-      expect(createFeeConfigResponse.body).to.have.property('minFeeAmount', 0.0001);
-      expect(createFeeConfigResponse.body).to.have.property('maxFeeAmount', 0.1);
+      expect(createFeeConfigResponse.body).to.have.property('minimumFee', 0.0001);
+      expect(createFeeConfigResponse.body).to.have.property('maximumFee', 0.1);
       expect(createFeeConfigResponse.body.merchantSpecificFees).to.have.property('merchant_wallet_1', 2.0);
       
       // Step 7: Fund the customer wallet (simulate deposit with 1% fee)
@@ -194,7 +194,7 @@ describe('End-to-End Merchant Fee Tests', () => {
       expect(processMerchantTransactionResponse.body).to.have.property('feeWalletId', 'fee_wallet_1');
       expect(processMerchantTransactionResponse.body).to.have.property('amount', 0.5);
       expect(processMerchantTransactionResponse.body).to.have.property('feeAmount', 0.01); // 2% of 0.5
-      expect(processMerchantTransactionResponse.body).to.have.property('netAmount', 0.49); // 0.5 - 0.01
+      expect(processMerchantTransactionResponse.body).to.have.property('merchantAmount', 0.49); // 0.5 - 0.01
       
       // Step 9: Verify the wallet balances after the transaction
       const getCustomerWalletResponse = await request(app)
@@ -236,8 +236,8 @@ describe('End-to-End Merchant Fee Tests', () => {
         .expect(200);
       
       expect(updateFeeConfigResponse.body).to.have.property('defaultFeePercentage', 3.0);
-      expect(updateFeeConfigResponse.body).to.have.property('minFeeAmount', 0.0002);
-      expect(updateFeeConfigResponse.body).to.have.property('maxFeeAmount', 0.2);
+      expect(updateFeeConfigResponse.body).to.have.property('minimumFee', 0.0002);
+      expect(updateFeeConfigResponse.body).to.have.property('maximumFee', 0.2);
       expect(updateFeeConfigResponse.body.merchantSpecificFees).to.have.property('merchant_wallet_1', 2.5);
       
       // Step 11: Process another merchant transaction with the updated fee
@@ -258,7 +258,7 @@ describe('End-to-End Merchant Fee Tests', () => {
       expect(processMerchantTransaction2Response.body).to.have.property('feeWalletId', 'fee_wallet_1');
       expect(processMerchantTransaction2Response.body).to.have.property('amount', 0.2);
       expect(processMerchantTransaction2Response.body).to.have.property('feeAmount', 0.005); // 2.5% of 0.2
-      expect(processMerchantTransaction2Response.body).to.have.property('netAmount', 0.195); // 0.2 - 0.005
+      expect(processMerchantTransaction2Response.body).to.have.property('merchantAmount', 0.195); // 0.2 - 0.005
       
       // Step 12: Verify the wallet balances after the second transaction
       const getCustomerWallet2Response = await request(app)
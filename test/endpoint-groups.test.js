@@ -0,0 +1,100 @@
+/**
+ * Endpoint Groups Tests
+ *
+ * This file contains tests for the api.endpoints flags that control which route groups are mounted.
+ */
+
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestEnvironment } = require('./test-utils');
+
+describe('Endpoint Groups', () => {
+  let testEnv;
+  let server;
+  let app;
+  let token;
+  
+  beforeAll(async () => {
+    // The test configuration does not set api.endpoints, so the defaults apply
+    testEnv = await setupTestEnvironment();
+    
+    server = testEnv.server;
+    app = testEnv.app;
+    token = testEnv.token;
+  });
+  
+  afterAll(async () => {
+    await testEnv.destroyAllWallets();
+    
+    if (server && server.close) {
+      await server.close();
+    }
+  });
+  
+  it('should report the active endpoint groups in the health check', async () => {
+    const response = await request(app)
+      .get('/api/health')
+      .expect(200);
+    
+    expect(response.body.endpoints).to.deep.equal({
+      chaincodeManagement: false,
+      transactions: true,
+      monitoring: true
+    });
+  });
+  
+  it('should disable chaincode management by default', async () => {
+    const response = await request(app)
+      .post('/api/chaincode/custom/my-chaincode/deploy')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404);
+    
+    expect(response.body.data).to.deep.equal({ success: false });
+    expect(response.body.messages[0].code).to.equal('ERROR_010');
+    expect(response.body.messages[0].data.group).to.equal('chaincodeManagement');
+    expect(testEnv.mockChaincodeManager.deployCustomChaincode.called).to.be.false;
+  });
+  
+  it('should report disabled endpoints without requiring authentication', async () => {
+    const response = await request(app)
+      .get('/api/chaincode/templates')
+      .expect(404);
+    
+    expect(response.body.messages[0].code).to.equal('ERROR_010');
+  });
+  
+  it('should mount enabled groups', async () => {
+    await request(app)
+      .get('/api/transactions/pending')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+  
+  it('should honor explicit flags in the configuration', async () => {
+    await server.close();
+    
+    testEnv = await setupTestEnvironment({
+      endpoints: {
+        chaincodeManagement: { enabled: true },
+        transactions: { enabled: false }
+      }
+    });
+    
+    server = testEnv.server;
+    app = testEnv.app;
+    token = testEnv.token;
+    
+    await request(app)
+      .get('/api/chaincode/templates')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    
+    const response = await request(app)
+      .post('/api/transactions/withdraw')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ internalWalletId: 'internal_wallet_1', toAddress: 'bc1qtest', amount: 0.1 })
+      .expect(404);
+    
+    expect(response.body.messages[0].code).to.equal('ERROR_010');
+  });
+});
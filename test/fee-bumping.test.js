@@ -0,0 +1,356 @@
+/**
+ * Fee Bumping Tests
+ *
+ * This file contains tests for bumping the fee of unconfirmed transactions: transactions signal
+ * replaceability (BIP-125), the blockchain connector replaces them (RBF) or spends their change
+ * in a child transaction (CPFP), and the API charges the additional fee of withdrawals as the
+ * fee bump policy of the chaincode sets.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bitcoin = require('bitcoinjs-lib');
+const { ECPair, RBF_SEQUENCE } = require('../src/blockchain/transactionBuilder');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { setupTestEnvironment } = require('./test-utils');
+
+const network = bitcoin.networks.regtest;
+const keyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 1), { network });
+const otherKeyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 2), { network });
+
+const walletAddress = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address;
+const recipient = bitcoin.payments.p2wpkh({ pubkey: otherKeyPair.publicKey, network }).address;
+
+/**
+ * Create a hot wallet connector whose transceiver returns the transactions to broadcast
+ * @param {Object} config Additional wallet configuration
+ * @returns {BlockchainConnector} The connector, with a UTXO of 0.01 BTC
+ */
+const createConnector = (config = {}) => {
+  const connector = new BlockchainConnector('bitcoin', {
+    name: 'hot_wallet',
+    network: 'regtest',
+    walletAddress,
+    secret: keyPair.toWIF(),
+    transceiver: { method: 'return' },
+    ...config
+  });
+  
+  sinon.stub(connector.transceiverManager, 'getUTXOs').resolves([
+    { txid: Buffer.alloc(32, 7).toString('hex'), vout: 0, value: 0.01, address: walletAddress }
+  ]);
+  
+  return connector;
+};
+
+/**
+ * Decode the transaction of a pending transaction
+ * @param {BlockchainConnector} connector The connector
+ * @param {string} txid The transaction ID
+ * @returns {Object} The transaction
+ */
+const decode = (connector, txid) => bitcoin.Transaction.fromHex(connector.getPendingTransaction(txid).txHex);
+
+describe('Fee Bumping', () => {
+  describe('BlockchainConnector', () => {
+    let connector;
+    
+    beforeEach(() => {
+      connector = createConnector();
+    });
+    
+    /**
+     * Send 0.005 BTC to the recipient at 2 sat/vB
+     * @returns {Promise<string>} The transaction ID
+     */
+    const send = async () => (await connector.sendTransaction(recipient, 0.005, { feeRate: 2 })).txid;
+    
+    it('should signal replaceability unless the wallet disables it', async () => {
+      const txid = await send();
+      
+      expect(decode(connector, txid).ins.map(input => input.sequence)).to.deep.equal([RBF_SEQUENCE]);
+      expect(connector.getPendingTransaction(txid).metadata).to.include({ rbf: true, changeVout: 1 });
+      
+      const final = createConnector({ rbf: false });
+      const { txid: finalTxid } = await final.sendTransaction(recipient, 0.005, { feeRate: 2 });
+      
+      expect(decode(final, finalTxid).ins.map(input => input.sequence)).to.deep.equal([0xffffffff]);
+    });
+    
+    it('should replace a transaction with one that pays a higher fee from its change', async () => {
+      const txid = await send();
+      const original = connector.getPendingTransaction(txid);
+      
+      const bump = await connector.bumpFee(txid, { method: 'rbf', feeRate: 10 });
+      const replacement = decode(connector, bump.txid);
+      const newFee = Math.ceil(10 * original.metadata.virtualSize);
+      
+      expect(bump).to.include({ method: 'rbf', originalTxid: txid, feeRate: 10 });
+      expect(bump.fee).to.equal(newFee / 1e8);
+      expect(bump.additionalFee).to.equal((newFee - original.metadata.fee) / 1e8);
+      
+      // The same input pays the same recipient, with less change
+      expect(replacement.ins.map(input => Buffer.from(input.hash).reverse().toString('hex')))
+        .to.deep.equal([Buffer.alloc(32, 7).toString('hex')]);
+      expect(replacement.outs[0].value).to.equal(500000);
+      expect(replacement.outs[1].value).to.equal(original.metadata.payments[1].value - (newFee - original.metadata.fee));
+      
+      expect(connector.getPendingTransaction(txid)).to.include({ status: 'replaced', replacedBy: bump.txid });
+      expect(connector.getPendingTransaction(bump.txid).metadata).to.include({ replaces: txid, fee: newFee });
+      expect(connector.getLockedUtxos().map(lock => lock.reference)).to.deep.equal([bump.txid]);
+    });
+    
+    it('should spend the change of a transaction in a child that pays for both', async () => {
+      const txid = await send();
+      const parent = connector.getPendingTransaction(txid).metadata;
+      
+      const bump = await connector.bumpFee(txid, { method: 'cpfp', feeRate: 10 });
+      const child = decode(connector, bump.txid);
+      const childFee = bump.fee * 1e8;
+      
+      expect(bump).to.include({ method: 'cpfp', originalTxid: txid, additionalFee: bump.fee });
+      expect(Buffer.from(child.ins[0].hash).reverse().toString('hex')).to.equal(txid);
+      expect(child.ins[0].index).to.equal(1);
+      expect(child.outs[0].value).to.equal(parent.payments[1].value - childFee);
+      expect((parent.fee + childFee) / (parent.virtualSize + child.virtualSize())).to.be.at.least(10);
+      
+      expect(connector.getPendingTransaction(txid).bumpedBy).to.deep.equal([bump.txid]);
+      expect(connector.getPendingTransaction(bump.txid).metadata).to.include({ childOf: txid, changeVout: 0 });
+      
+      try {
+        await connector.bumpFee(txid, { method: 'rbf', feeRate: 20 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('has a child transaction');
+      }
+    });
+    
+    it('should reject fee rates that do not exceed the current one and transactions that do not signal replaceability', async () => {
+      const txid = await send();
+      
+      try {
+        await connector.bumpFee(txid, { feeRate: 1 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('does not exceed the current fee rate');
+      }
+      
+      const final = createConnector({ rbf: false });
+      const { txid: finalTxid } = await final.sendTransaction(recipient, 0.005, { feeRate: 2 });
+      
+      try {
+        await final.bumpFee(finalTxid, { method: 'rbf', feeRate: 10 });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('does not signal replaceability');
+      }
+      
+      // Without a method, transactions that do not signal replaceability are bumped with CPFP
+      const bump = await final.bumpFee(finalTxid, { feeRate: 10 });
+      expect(bump.method).to.equal('cpfp');
+    });
+    
+    it('should not broadcast the bump or keep its inputs locked if the fee cannot be charged', async () => {
+      const txid = await send();
+      const broadcasts = connector.getAllPendingTransactions().length;
+      
+      try {
+        await connector.bumpFee(txid, {
+          method: 'cpfp',
+          feeRate: 10,
+          beforeBroadcast: async () => {
+            throw new Error('Insufficient balance');
+          }
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to bump fee: Insufficient balance');
+      }
+      
+      expect(connector.getAllPendingTransactions()).to.have.lengthOf(broadcasts);
+      expect(connector.getPendingTransaction(txid).bumpedBy).to.equal(undefined);
+      expect(connector.getLockedUtxos().map(lock => lock.key)).to.not.include(`${txid}:1`);
+    });
+  });
+  
+  describe('API', () => {
+    let testEnv;
+    let app;
+    let token;
+    let connector;
+    
+    beforeEach(async () => {
+      testEnv = await setupTestEnvironment();
+      app = testEnv.app;
+      token = testEnv.token;
+      
+      connector = createConnector();
+      
+      // The withdrawal route reads the fee and balance through the wallet manager's wallet interface
+      connector.estimateFee = sinon.stub().resolves(0.0001);
+      connector.getBalance = sinon.stub().resolves(1);
+      testEnv.mockBlockchainConnectors.bitcoin.hot_wallet = connector;
+      
+      testEnv.internalWallets.treasury = {
+        id: 'treasury',
+        blockchain: 'bitcoin',
+        primaryWalletName: 'hot_wallet',
+        balance: '1000000',
+        metadata: {}
+      };
+      testEnv.internalWallets.base_wallet_bitcoin_hot_wallet = {
+        id: 'base_wallet_bitcoin_hot_wallet',
+        blockchain: 'bitcoin',
+        primaryWalletName: 'hot_wallet',
+        balance: '1000000',
+        metadata: { isBaseWallet: true }
+      };
+    });
+    
+    afterEach(async () => {
+      await testEnv.server.close();
+    });
+    
+    /**
+     * Withdraw 0.005 BTC from the treasury wallet
+     * @returns {Promise<string>} The ID of the withdrawal transaction
+     */
+    const withdraw = async () => {
+      await request(app)
+        .post('/api/transactions/withdraw')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ internalWalletId: 'treasury', toAddress: recipient, amount: 0.005 })
+        .expect(200);
+      
+      return connector.getAllPendingTransactions()[0].txid;
+    };
+    
+    /**
+     * Bump the fee of a transaction
+     * @param {string} txid The transaction ID
+     * @param {Object} body The method and fee rate
+     * @param {number} status The expected HTTP status
+     * @returns {Promise<Object>} The response
+     */
+    const bumpFee = (txid, body, status = 200) => request(app)
+      .post(`/api/transactions/${txid}/bump-fee`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body)
+      .expect(status);
+    
+    it('should replace a withdrawal transaction and charge the internal wallet', async () => {
+      const txid = await withdraw();
+      const { metadata } = connector.getPendingTransaction(txid);
+      
+      expect(metadata).to.include({ internalWalletId: 'treasury', withdrawalId: 'withdrawal_1' });
+      
+      const response = await bumpFee(txid, { method: 'rbf', feeRate: 150 });
+      const additionalFee = Math.ceil(150 * metadata.virtualSize) - metadata.fee;
+      
+      expect(response.body).to.include({
+        withdrawalId: 'withdrawal_1',
+        method: 'rbf',
+        originalTxid: txid,
+        feeRate: 150,
+        priority: null,
+        chargedTo: 'internal-wallet',
+        chargedWalletId: 'treasury'
+      });
+      expect(response.body.additionalFee).to.equal(additionalFee / 1e8);
+      
+      // The withdrawal of 0.005 BTC and its fee of 0.0001 BTC were charged first
+      expect(testEnv.internalWallets.treasury.balance).to.equal(String(1000000 - 500000 - 10000 - additionalFee));
+      expect(testEnv.mockFabricClient.submitTransaction.lastCall.args).to.deep.equal([
+        'bumpWithdrawalFee', 'withdrawal_1', response.body.txid, String(additionalFee), 'base_wallet_bitcoin_hot_wallet',
+        JSON.stringify({ method: 'rbf', originalTxid: txid, feeRate: 150 })
+      ]);
+      expect(connector.getPendingTransaction(txid)).to.include({ status: 'replaced', replacedBy: response.body.txid });
+    });
+    
+    it('should charge the base wallet under the base wallet policy', async () => {
+      const policy = await request(app)
+        .put('/api/transactions/fee-bump-policy')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ chargeTo: 'base-wallet' })
+        .expect(200);
+      
+      expect(policy.body.chargeTo).to.equal('base-wallet');
+      
+      const txid = await withdraw();
+      const response = await bumpFee(txid, { method: 'cpfp', feeRate: 150 });
+      
+      expect(response.body).to.include({ method: 'cpfp', chargedTo: 'base-wallet', chargedWalletId: 'base_wallet_bitcoin_hot_wallet' });
+      expect(testEnv.internalWallets.base_wallet_bitcoin_hot_wallet.balance)
+        .to.equal(String(1000000 - Math.round(response.body.additionalFee * 1e8)));
+      expect(connector.getPendingTransaction(txid).bumpedBy).to.deep.equal([response.body.txid]);
+      
+      const fetched = await request(app)
+        .get('/api/transactions/fee-bump-policy')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      expect(fetched.body.chargeTo).to.equal('base-wallet');
+    });
+    
+    it('should only let operators bump withdrawals under the base wallet policy', async () => {
+      const txid = await withdraw();
+      const ownerToken = jwt.sign({ username: 'owner', roles: ['wallet-owner'], internalWalletIds: ['treasury'] }, testEnv.mockConfig.api.auth.jwtSecret);
+      const operatorToken = jwt.sign({ username: 'operator', roles: ['operator'] }, testEnv.mockConfig.api.auth.jwtSecret);
+      
+      await request(app)
+        .put('/api/transactions/fee-bump-policy')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ chargeTo: 'base-wallet' })
+        .expect(200);
+      
+      const rejected = await request(app)
+        .post(`/api/transactions/${txid}/bump-fee`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ method: 'rbf', feeRate: 150 })
+        .expect(403);
+      
+      expect(rejected.body.error).to.include('fee-bumps:base-wallet');
+      expect(testEnv.internalWallets.base_wallet_bitcoin_hot_wallet.balance).to.equal('1000000');
+      expect(connector.getPendingTransaction(txid).status).to.equal('ready');
+      
+      const response = await request(app)
+        .post(`/api/transactions/${txid}/bump-fee`)
+        .set('Authorization', `Bearer ${operatorToken}`)
+        .send({ method: 'rbf', feeRate: 150 })
+        .expect(200);
+      
+      expect(response.body).to.include({ chargedTo: 'base-wallet', chargedWalletId: 'base_wallet_bitcoin_hot_wallet' });
+    });
+    
+    it('should only let administrators change the fee bump policy', async () => {
+      const operatorToken = jwt.sign({ username: 'operator', roles: ['operator'] }, testEnv.mockConfig.api.auth.jwtSecret);
+      
+      await request(app)
+        .put('/api/transactions/fee-bump-policy')
+        .set('Authorization', `Bearer ${operatorToken}`)
+        .send({ chargeTo: 'base-wallet' })
+        .expect(403);
+      
+      await request(app)
+        .put('/api/transactions/fee-bump-policy')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ chargeTo: 'nobody' })
+        .expect(400);
+    });
+    
+    it('should reject bumps that cannot be made or charged', async () => {
+      await bumpFee('unknown', { feeRate: 150 }, 404);
+      
+      const txid = await withdraw();
+      testEnv.internalWallets.treasury.balance = '0';
+      
+      const response = await bumpFee(txid, { feeRate: 150 }, 400);
+      
+      expect(response.body.error).to.include('Insufficient balance');
+      expect(connector.getPendingTransaction(txid).status).to.equal('ready');
+      expect(connector.getAllPendingTransactions()).to.have.lengthOf(1);
+    });
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Fee Estimation Tests
+ *
+ * This file contains tests for the fee estimator: fee rates are estimated for withdrawal
+ * priorities from the transceiver, a static table or a mempool histogram, clamped to the limits
+ * of each blockchain, and recorded on withdrawals.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { createFeeEstimator, feeRateFromHistogram } = require('../src/blockchain/feeEstimator');
+const { setupTestEnvironment } = require('./test-utils');
+
+describe('Fee Estimation', () => {
+  describe('Mempool Histogram', () => {
+    it('should find the lowest fee rate that fills the target blocks', () => {
+      const histogram = [[5, 400000], [50, 300000], [20, 500000], [2, 2000000]];
+      
+      expect(feeRateFromHistogram(histogram, 1)).to.equal(5);
+      expect(feeRateFromHistogram(histogram, 2)).to.equal(2);
+      expect(feeRateFromHistogram(histogram, 6)).to.equal(null);
+    });
+  });
+  
+  describe('Fee Estimator', () => {
+    let connector;
+    let histogramFile;
+    
+    beforeEach(() => {
+      connector = new BlockchainConnector('bitcoin', {
+        name: 'hot',
+        network: 'regtest',
+        walletAddress: 'bcrt1qw508d6qejxtdg4y5r3zarvary0c5xw7kygt080',
+        transceiver: { method: 'callback' }
+      });
+      
+      histogramFile = path.join(os.tmpdir(), `fee-histogram-${process.pid}.json`);
+      fs.writeFileSync(histogramFile, JSON.stringify([[40, 600000], [12, 600000], [3, 3000000]]));
+    });
+    
+    afterEach(() => {
+      fs.unlinkSync(histogramFile);
+    });
+    
+    /**
+     * Create a fee estimator for the connector
+     * @param {Object} feeEstimation The fee estimation settings
+     * @returns {Object} The fee estimator
+     */
+    const createEstimator = feeEstimation => createFeeEstimator({ feeEstimation }, { bitcoin: { hot: connector } });
+    
+    it('should ask the transceiver for the confirmation target of each priority', async () => {
+      const estimateFeeRate = sinon.stub(connector.transceiverManager, 'estimateFeeRate').callsFake(async blocks => 60 / blocks);
+      const feeEstimator = createEstimator({});
+      
+      const feeRates = await feeEstimator.getFeeRates('bitcoin', 'hot');
+      
+      expect(feeRates).to.deep.equal({
+        blockchain: 'bitcoin',
+        minFeeRate: 1,
+        maxFeeRate: null,
+        priorities: {
+          economy: { feeRate: 2.5, priority: 'economy', targetBlocks: 24, source: 'transceiver' },
+          normal: { feeRate: 10, priority: 'normal', targetBlocks: 6, source: 'transceiver' },
+          urgent: { feeRate: 60, priority: 'urgent', targetBlocks: 1, source: 'transceiver' }
+        }
+      });
+      expect(estimateFeeRate.args.map(args => args[0])).to.deep.equal([24, 6, 1]);
+    });
+    
+    it('should fall back to the next source when a source has no estimate or fails', async () => {
+      const estimateFeeRate = sinon.stub(connector.transceiverManager, 'estimateFeeRate');
+      estimateFeeRate.withArgs(24).resolves(null);
+      estimateFeeRate.withArgs(6).rejects(new Error('Server unavailable'));
+      estimateFeeRate.withArgs(1).resolves(-1);
+      
+      const feeEstimator = createEstimator({
+        sources: ['transceiver', 'static', 'mempool'],
+        blockchains: {
+          bitcoin: { rates: { economy: 3 }, mempoolHistogramFile: histogramFile }
+        }
+      });
+      
+      expect(await feeEstimator.estimateFeeRate('bitcoin', 'economy', 'hot')).to.include({ feeRate: 3, source: 'static' });
+      expect(await feeEstimator.estimateFeeRate('bitcoin', 'normal', 'hot')).to.include({ feeRate: 1, source: 'mempool' });
+      expect(await feeEstimator.estimateFeeRate('bitcoin', 'urgent', 'hot')).to.include({ feeRate: 12, source: 'mempool' });
+    });
+    
+    it('should use the minimum fee rate when no source has an estimate', async () => {
+      const feeEstimator = createEstimator({ sources: ['static'], blockchains: { bitcoin: { minFeeRate: 2 } } });
+      
+      expect(await feeEstimator.estimateFeeRate('bitcoin', 'normal')).to.deep.equal({
+        feeRate: 2,
+        priority: 'normal',
+        targetBlocks: 6,
+        source: 'minimum'
+      });
+    });
+    
+    it('should clamp estimates to the limits of the blockchain', async () => {
+      const feeEstimator = createEstimator({
+        sources: ['static'],
+        blockchains: {
+          bitcoin: { minFeeRate: 2, maxFeeRate: 100, rates: { economy: 0.5, normal: 20, urgent: 400 } }
+        }
+      });
+      
+      const { priorities } = await feeEstimator.getFeeRates('bitcoin');
+      
+      expect(priorities.economy.feeRate).to.equal(2);
+      expect(priorities.normal.feeRate).to.equal(20);
+      expect(priorities.urgent.feeRate).to.equal(100);
+    });
+    
+    it('should cache estimates for the configured time', async () => {
+      const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+      
+      try {
+        const estimateFeeRate = sinon.stub(connector.transceiverManager, 'estimateFeeRate').resolves(8);
+        const feeEstimator = createEstimator({ cacheTtl: 1000 });
+        
+        await feeEstimator.estimateFeeRate('bitcoin', 'normal', 'hot');
+        estimateFeeRate.resolves(9);
+        expect(await feeEstimator.estimateFeeRate('bitcoin', 'normal', 'hot')).to.include({ feeRate: 8 });
+        
+        clock.tick(1001);
+        expect(await feeEstimator.estimateFeeRate('bitcoin', 'normal', 'hot')).to.include({ feeRate: 9 });
+        expect(estimateFeeRate.callCount).to.equal(2);
+      } finally {
+        clock.restore();
+      }
+    });
+    
+    it('should accept explicit fee rates within the limits and reject others', async () => {
+      const feeEstimator = createEstimator({ blockchains: { bitcoin: { minFeeRate: 1, maxFeeRate: 50 } } });
+      
+      expect(await feeEstimator.chooseFeeRate('bitcoin', 'hot', { feeRate: 7.5 })).to.deep.equal({
+        feeRate: 7.5,
+        priority: null,
+        source: 'explicit'
+      });
+      
+      for (const feeRate of [0.5, 51]) {
+        try {
+          await feeEstimator.chooseFeeRate('bitcoin', 'hot', { feeRate });
+          expect.fail(`Expected fee rate ${feeRate} to be rejected`);
+        } catch (error) {
+          expect(error.message).to.match(/below the minimum|exceeds the maximum/);
+        }
+      }
+    });
+    
+    it('should use sources that are added', async () => {
+      const feeEstimator = createEstimator({ sources: ['oracle', 'static'] });
+      feeEstimator.addSource('oracle', async ({ blockchain, priority }) => (blockchain === 'bitcoin' && priority === 'urgent' ? 33 : null));
+      
+      expect(await feeEstimator.chooseFeeRate('bitcoin', 'hot', { priority: 'urgent' })).to.include({ feeRate: 33, source: 'oracle' });
+      expect(await feeEstimator.chooseFeeRate('bitcoin', 'hot', {})).to.include({ feeRate: 1, priority: 'normal', source: 'minimum' });
+    });
+  });
+  
+  describe('Withdrawals', () => {
+    let testEnv;
+    let app;
+    let token;
+    let primaryWallet;
+    
+    beforeEach(async () => {
+      testEnv = await setupTestEnvironment({
+        feeEstimation: {
+          sources: ['static'],
+          blockchains: {
+            bitcoin: { minFeeRate: 1, maxFeeRate: 200, rates: { economy: 2, normal: 8, urgent: 30 } }
+          }
+        }
+      });
+      app = testEnv.app;
+      token = testEnv.token;
+      
+      testEnv.internalWallets.treasury = {
+        id: 'treasury',
+        blockchain: 'bitcoin',
+        primaryWalletName: 'test_wallet_1',
+        balance: '100000000',
+        metadata: {}
+      };
+      
+      primaryWallet = testEnv.mockBlockchainConnectors.bitcoin.test_wallet_1;
+    });
+    
+    afterEach(async () => {
+      await testEnv.server.close();
+    });
+    
+    /**
+     * Withdraw from the treasury wallet
+     * @param {Object} fees The priority or fee rate of the withdrawal
+     * @param {number} status The expected HTTP status
+     * @returns {Promise<Object>} The response
+     */
+    const withdraw = (fees, status = 200) => request(app)
+      .post('/api/transactions/withdraw')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ internalWalletId: 'treasury', toAddress: 'bc1q...', amount: 0.1, ...fees })
+      .expect(status);
+    
+    it('should estimate the fee at the rate of the requested priority and record it', async () => {
+      const response = await withdraw({ priority: 'urgent' });
+      
+      expect(response.body).to.include({ feeRate: 30, priority: 'urgent', fee: 0.0001 });
+      expect(primaryWallet.estimateFee.lastCall.args).to.deep.equal(['bc1q...', 0.1, { feeRate: 30 }]);
+      expect(primaryWallet.sendTransaction.lastCall.args[2]).to.include({ fee: 0.0001, feeRate: 30 });
+      expect(testEnv.mockFabricClient.submitTransaction.lastCall.args.slice(5)).to.deep.equal([
+        'false', '{"feeRate":30,"priority":"urgent"}'
+      ]);
+    });
+    
+    it('should use the default priority when none is requested', async () => {
+      const response = await withdraw({});
+      
+      expect(response.body).to.include({ feeRate: 8, priority: 'normal' });
+    });
+    
+    it('should accept an explicit fee rate within the limits of the blockchain', async () => {
+      const response = await withdraw({ feeRate: 12.5 });
+      
+      expect(response.body).to.include({ feeRate: 12.5, priority: null });
+      expect(primaryWallet.estimateFee.lastCall.args[2]).to.deep.equal({ feeRate: 12.5 });
+    });
+    
+    it('should reject fee rates outside of the limits and unknown priorities', async () => {
+      const tooHigh = await withdraw({ feeRate: 500 }, 400);
+      expect(tooHigh.body.error).to.equal('Fee rate 500 sat/vB exceeds the maximum of 200 sat/vB for bitcoin');
+      
+      await withdraw({ priority: 'whenever' }, 400);
+      
+      expect(testEnv.internalWallets.treasury.balance).to.equal('100000000');
+      expect(primaryWallet.sendTransaction.called).to.be.false;
+    });
+    
+    it('should list the fee rate of each priority for a primary wallet', async () => {
+      const response = await request(app)
+        .get('/api/wallets/bitcoin/test_wallet_1/fee-rates')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      expect(response.body).to.deep.equal({
+        blockchain: 'bitcoin',
+        minFeeRate: 1,
+        maxFeeRate: 200,
+        priorities: {
+          economy: { feeRate: 2, priority: 'economy', targetBlocks: 24, source: 'static' },
+          normal: { feeRate: 8, priority: 'normal', targetBlocks: 6, source: 'static' },
+          urgent: { feeRate: 30, priority: 'urgent', targetBlocks: 1, source: 'static' }
+        }
+      });
+      
+      await request(app)
+        .get('/api/wallets/bitcoin/unknown_wallet/fee-rates')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+});
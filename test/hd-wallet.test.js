@@ -0,0 +1,335 @@
+/**
+ * HD Wallet Tests
+ *
+ * This file contains tests for HD primary wallets: receive and change addresses are derived from
+ * an xpub or an output descriptor, the transaction builder signs the inputs of many addresses with
+ * keys derived from an xprv, the connector aggregates and monitors the gap-limited address set,
+ * and the API assigns deposit addresses to internal wallets, whose confirmed deposits are credited.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { BIP32Factory } = require('bip32');
+const { TransactionBuilder, ECPair } = require('../src/blockchain/transactionBuilder');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { HDWallet, parseDescriptor } = require('../src/blockchain/hdWallet');
+const { setupTestEnvironment } = require('./test-utils');
+
+const bip32 = BIP32Factory(ecc);
+const network = bitcoin.networks.regtest;
+
+// The seed of the BIP-84 test vectors ("abandon abandon ... about")
+const seed = Buffer.from('5eb00bbddcf069084889a8ab9155568165f5c453ccb85e70811aaed6f6da5fc19a5ac40b389cd370d086206dec8aa6c43daea6690f20ad3d8d48b2d2ce9e38e4', 'hex');
+
+// A regtest account at m/84'/1'/0', as used by the wallet under test
+const root = bip32.fromSeed(seed, network);
+const account = root.derivePath("m/84'/1'/0'");
+const xpub = account.neutered().toBase58();
+const xprv = account.toBase58();
+const hd = { xpub, fingerprint: root.fingerprint.toString('hex'), derivationPath: "m/84'/1'/0'", gapLimit: 3 };
+
+const recipientKeyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 9), { network });
+const recipient = bitcoin.payments.p2wpkh({ pubkey: recipientKeyPair.publicKey, network }).address;
+
+/**
+ * Get the address of the test account at a path
+ * @param {string} path The path below the account key, such as 0/1
+ * @returns {string} The P2WPKH address
+ */
+const addressAt = path => bitcoin.payments.p2wpkh({ pubkey: account.derivePath(path).publicKey, network }).address;
+
+/**
+ * Create a UTXO of an address
+ * @param {string} address The address
+ * @param {number} value The value in satoshis
+ * @param {number} index A number that makes the UTXO unique
+ * @returns {Object} The UTXO
+ */
+const fund = (address, value, index = 0) => ({
+  txid: Buffer.alloc(32, index + 1).toString('hex'),
+  vout: 0,
+  value,
+  address
+});
+
+describe('HD Wallets', () => {
+  describe('Address Derivation', () => {
+    const mainnetRoot = bip32.fromSeed(seed);
+    const accountXpub = path => mainnetRoot.derivePath(path).neutered().toBase58();
+    
+    it('should derive the receive and change addresses of the BIP-84 test vectors', () => {
+      const wallet = new HDWallet({ xpub: accountXpub("m/84'/0'/0'"), fingerprint: '73c5da0a', derivationPath: "m/84'/0'/0'" }, bitcoin.networks.bitcoin);
+      
+      expect(wallet.deriveAddress(0, 0)).to.include({ address: 'bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu', path: '0/0', fullPath: "m/84'/0'/0'/0/0" });
+      expect(wallet.deriveAddress(0, 1).address).to.equal('bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g');
+      expect(wallet.deriveAddress(1, 0).address).to.equal('bc1q8c6fshw2dlwun7ekn9qwf37cu2rn755upcp6el');
+    });
+    
+    it('should derive the addresses of the other address types', () => {
+      const network = bitcoin.networks.bitcoin;
+      
+      expect(new HDWallet({ xpub: accountXpub("m/44'/0'/0'"), type: 'p2pkh' }, network).deriveAddress(0, 0).address).to.equal('1LqBGSKuX5yYUonjxT5qGfpUsXKYYWeabA');
+      expect(new HDWallet({ xpub: accountXpub("m/49'/0'/0'"), type: 'p2sh-p2wpkh' }, network).deriveAddress(0, 0).address).to.equal('37VucYSaXLCAsxYyAPfbSi9eh4iEcbShgf');
+      expect(new HDWallet({ xpub: accountXpub("m/86'/0'/0'"), type: 'p2tr' }, network).deriveAddress(0, 0).address).to.equal('bc1p5cyxnuxmeuwuvkwfem96lqzszd02n6xdcjrs20cac6yqjjwudpxqkedrcr');
+    });
+    
+    it('should parse output descriptors', () => {
+      const descriptor = `wpkh([73c5da0a/84h/0h/0h]${accountXpub("m/84'/0'/0'")}/<0;1>/*)#8hmzv8he`;
+      
+      expect(parseDescriptor(descriptor)).to.deep.equal({
+        type: 'p2wpkh',
+        xpub: accountXpub("m/84'/0'/0'"),
+        fingerprint: '73c5da0a',
+        derivationPath: "m/84'/0'/0'"
+      });
+      expect(parseDescriptor(`sh(wpkh(${xpub}/0/*))`)).to.include({ type: 'p2sh-p2wpkh', xpub, fingerprint: undefined });
+      expect(new HDWallet({ descriptor }, bitcoin.networks.bitcoin).deriveAddress(0, 0).address).to.equal('bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu');
+      
+      expect(() => parseDescriptor(`wsh(multi(2,${xpub}/0/*))`)).to.throw('Unsupported descriptor');
+      expect(() => parseDescriptor(`wpkh(${xpub}/0/0)`)).to.throw('must derive its addresses');
+      expect(() => new HDWallet({ xpub: 'xpub' }, network)).to.throw('Invalid xpub');
+    });
+  });
+  
+  describe('Transaction Builder', () => {
+    const wallet = new HDWallet(hd, network);
+    const builder = new TransactionBuilder('bitcoin', 'regtest', { walletAddress: addressAt('0/0'), hdWallet: wallet });
+    const utxos = [
+      { ...fund(addressAt('0/1'), 100000, 0), path: '0/1' },
+      { ...fund(addressAt('1/4'), 50000, 1), path: '1/4' }
+    ];
+    
+    it('should sign the inputs of each address with the key derived from the xprv', () => {
+      const transaction = builder.createAndSignTransaction(xprv, utxos, [{ address: recipient, value: 140000 }]);
+      const tx = bitcoin.Transaction.fromHex(transaction.txHex);
+      
+      expect(tx.ins).to.have.lengthOf(2);
+      expect(tx.ins[0].witness[1].equals(account.derivePath('0/1').publicKey)).to.equal(true);
+      expect(tx.ins[1].witness[1].equals(account.derivePath('1/4').publicKey)).to.equal(true);
+      
+      expect(() => builder.createAndSignTransaction(xprv, [fund(addressAt('0/1'), 100000)], [{ address: recipient, value: 90000 }]))
+        .to.throw('has no derivation path');
+    });
+    
+    it('should create PSBTs with the derivation of each input key for hardware wallets', () => {
+      const { psbt } = builder.createPsbt(undefined, utxos, [{ address: recipient, value: 140000 }]);
+      const parsed = bitcoin.Psbt.fromBase64(psbt, { network });
+      
+      expect(parsed.data.inputs[1].bip32Derivation[0].path).to.equal("m/84'/1'/0'/1/4");
+      expect(parsed.data.inputs[1].bip32Derivation[0].masterFingerprint.equals(root.fingerprint)).to.equal(true);
+      
+      // The master key finds the key of each input by its derivation
+      parsed.signAllInputsHD(root);
+      
+      expect(builder.combinePsbts([psbt, parsed.toBase64()])).to.include({ complete: true, signedInputs: 2 });
+    });
+  });
+  
+  describe('BlockchainConnector', () => {
+    /**
+     * Create a connector for an HD wallet, whose transceiver reports the given UTXOs of each address
+     * @param {Object} utxosByAddress The UTXOs of each address
+     * @param {Object} config Additional wallet configuration
+     * @returns {BlockchainConnector} The connector
+     */
+    const createConnector = (utxosByAddress = {}, config = {}) => {
+      const connector = new BlockchainConnector('bitcoin', {
+        name: 'deposits',
+        network: 'regtest',
+        hd,
+        secret: xprv,
+        transceiver: { method: 'return' },
+        ...config
+      });
+      
+      sinon.stub(connector.transceiverManager, 'getUTXOs').callsFake(async address => utxosByAddress[address] || []);
+      
+      return connector;
+    };
+    
+    it('should use the first receive address as the wallet address', () => {
+      const connector = createConnector();
+      
+      expect(connector.walletAddress).to.equal(addressAt('0/0'));
+      expect(connector.getHdWalletInfo()).to.include({ xpub, type: 'p2wpkh', receiveIndex: 1, changeIndex: 0 });
+      
+      expect(() => createConnector({}, { walletAddress: recipient })).to.throw('does not match the first address of its xpub');
+      expect(() => createConnector({}, { secret: recipientKeyPair.toWIF() })).to.throw('is not the extended private key of its xpub');
+      expect(() => createConnector({}, { secret: root.toBase58() })).to.throw('is not the extended private key of its xpub');
+    });
+    
+    it('should watch the allocated addresses and the gap limit beyond them', async () => {
+      const connector = createConnector();
+      
+      expect(connector.getWatchAddresses().map(entry => entry.path)).to.deep.equal(['0/0', '0/1', '0/2', '0/3', '1/0', '1/1', '1/2']);
+      
+      expect(await connector.allocateReceiveAddress()).to.deep.equal({ address: addressAt('0/1'), path: '0/1', fullPath: "m/84'/1'/0'/0/1" });
+      expect(connector.getWatchAddresses()).to.have.lengthOf(8);
+    });
+    
+    it('should spend the UTXOs of all watched addresses and send change to a new change address', async () => {
+      const connector = createConnector({
+        [addressAt('0/2')]: [{ ...fund(addressAt('0/2'), 0, 0), value: 0.0006 }],
+        [addressAt('1/1')]: [{ ...fund(addressAt('1/1'), 0, 1), value: 0.0005 }]
+      });
+      
+      const utxos = await connector.getUTXOs();
+      expect(utxos.map(utxo => utxo.path)).to.deep.equal(['0/2', '1/1']);
+      
+      const broadcast = sinon.stub(connector, 'broadcastTransaction').callsFake(async (txHex, metadata) => ({ txid: metadata.txid }));
+      await connector.sendTransaction(recipient, 0.001, { fee: 0.00001 });
+      
+      const tx = bitcoin.Transaction.fromHex(broadcast.firstCall.args[0]);
+      expect(tx.ins).to.have.lengthOf(2);
+      expect(bitcoin.address.fromOutputScript(tx.outs[1].script, network)).to.equal(addressAt('1/0'));
+      expect(connector.changeIndex).to.equal(1);
+    });
+    
+    it('should discover used addresses up to the gap limit', async () => {
+      const connector = createConnector();
+      // 0/10 is beyond the gap of three unused addresses after 0/6
+      const used = ['0/0', '0/3', '0/6', '0/10', '1/2'].map(addressAt);
+      
+      sinon.stub(connector.transceiverManager, 'getTransactionHistory')
+        .callsFake(async address => (used.includes(address) ? [{ txid: 'used' }] : []));
+      
+      expect(await connector.discoverAddresses()).to.deep.equal({ receiveIndex: 7, changeIndex: 3 });
+    });
+    
+    it('should monitor every watched address, including addresses allocated later', async () => {
+      const connector = createConnector();
+      const monitor = sinon.stub(connector.transceiverManager, 'monitorWalletAddress').resolves({ success: true });
+      const callback = sinon.spy();
+      
+      const result = await connector.monitorWalletAddress(connector.walletAddress, callback);
+      expect(result.addresses).to.equal(7);
+      
+      await connector.allocateReceiveAddress();
+      expect(monitor.getCalls().map(call => call.args[0])).to.include(addressAt('0/4'));
+      
+      // Notifications name the address that was paid
+      monitor.getCalls().find(call => call.args[0] === addressAt('0/2')).args[1]([{ txid: 'deposit' }]);
+      expect(callback.calledOnceWith([{ txid: 'deposit' }], addressAt('0/2'))).to.equal(true);
+    });
+  });
+  
+  describe('API', () => {
+    let testEnv;
+    let app;
+    let token;
+    let connector;
+    
+    beforeEach(async () => {
+      testEnv = await setupTestEnvironment();
+      app = testEnv.app;
+      token = testEnv.token;
+      
+      connector = new BlockchainConnector('bitcoin', {
+        name: 'deposits',
+        network: 'regtest',
+        hd,
+        secret: xprv,
+        transceiver: { method: 'return' }
+      });
+      testEnv.mockBlockchainConnectors.bitcoin.deposits = connector;
+    });
+    
+    afterEach(async () => {
+      await testEnv.server.close();
+    });
+    
+    /**
+     * Create an internal wallet
+     * @param {string} id The internal wallet ID
+     * @param {string} primaryWalletName The primary wallet name
+     * @returns {Promise<Object>} The response
+     */
+    const createInternalWallet = (id, primaryWalletName = 'deposits') => request(app)
+      .post('/api/internal-wallets')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ blockchain: 'bitcoin', primaryWalletName, internalWalletId: id })
+      .expect(200);
+    
+    /**
+     * Request a deposit address for an internal wallet
+     * @param {string} id The internal wallet ID
+     * @param {Object} body The request body
+     * @returns {Object} The request
+     */
+    const requestDepositAddress = (id, body = {}) => request(app)
+      .post(`/api/internal-wallets/${id}/deposit-address`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+    
+    it('should assign a deposit address to each internal wallet', async () => {
+      const alice = await createInternalWallet('alice');
+      const bob = await createInternalWallet('bob');
+      
+      expect(alice.body.depositAddress).to.equal(addressAt('0/1'));
+      expect(bob.body.depositAddress).to.equal(addressAt('0/2'));
+      
+      const standing = await requestDepositAddress('alice').expect(200);
+      expect(standing.body).to.include({ address: addressAt('0/1'), internalWalletId: 'alice', path: '0/1', requestId: null });
+      
+      const other = await createInternalWallet('carol', 'test_wallet_1');
+      expect(other.body.depositAddress).to.equal(undefined);
+      
+      const rejected = await requestDepositAddress('carol').expect(400);
+      expect(rejected.body.error).to.include('is not an HD wallet');
+    });
+    
+    it('should derive a fresh address for each deposit request', async () => {
+      await createInternalWallet('alice');
+      
+      const first = await requestDepositAddress('alice', { requestId: 'invoice_1' }).expect(200);
+      const second = await requestDepositAddress('alice', { requestId: 'invoice_2' }).expect(200);
+      const repeated = await requestDepositAddress('alice', { requestId: 'invoice_1' }).expect(200);
+      
+      expect(first.body).to.include({ address: addressAt('0/2'), requestId: 'invoice_1' });
+      expect(second.body.address).to.equal(addressAt('0/3'));
+      expect(repeated.body.address).to.equal(first.body.address);
+      
+      const list = await request(app)
+        .get('/api/internal-wallets/alice/deposit-addresses')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      expect(list.body.map(depositAddress => depositAddress.path)).to.deep.equal(['0/1', '0/2', '0/3']);
+    });
+    
+    it('should credit each confirmed deposit to the owning internal wallet once', async () => {
+      await createInternalWallet('alice');
+      await createInternalWallet('bob');
+      
+      const { depositProcessor } = testEnv.server.dependencies;
+      const deposit = { txid: 'a'.repeat(64), type: 'incoming', confirmations: 3, outputs: [{ vout: 1, address: addressAt('0/2'), value: 0.25 }] };
+      const change = { txid: 'b'.repeat(64), type: 'outgoing', confirmations: 3, outputs: [{ vout: 0, address: addressAt('0/2'), value: 0.1 }] };
+      const unassigned = { ...deposit, txid: 'c'.repeat(64), outputs: [{ vout: 0, address: addressAt('0/5'), value: 0.25 }] };
+      
+      await depositProcessor.processTransactions(connector, addressAt('0/2'), [deposit, change]);
+      await depositProcessor.processTransactions(connector, addressAt('0/2'), [deposit]);
+      await depositProcessor.processTransactions(connector, addressAt('0/5'), [unassigned]);
+      
+      expect(testEnv.internalWallets.bob.balance).to.equal('25000000');
+      expect(testEnv.internalWallets.alice.balance).to.equal('0');
+    });
+    
+    it('should resume allocating after the addresses registered on the ledger', async () => {
+      await createInternalWallet('alice');
+      await requestDepositAddress('alice', { requestId: 'invoice_1' }).expect(200);
+      
+      // A restarted connector starts over at 0/1, until the deposit manager loads the ledger
+      const restarted = new BlockchainConnector('bitcoin', { name: 'deposits', network: 'regtest', hd, secret: xprv, transceiver: { method: 'return' } });
+      sinon.stub(restarted, 'discoverAddresses').resolves({ receiveIndex: 1, changeIndex: 0 });
+      testEnv.mockBlockchainConnectors.bitcoin.deposits = restarted;
+      
+      await testEnv.server.dependencies.depositManager.start();
+      
+      expect(restarted.receiveIndex).to.equal(3);
+      expect(restarted.discoverAddresses.calledOnce).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Idempotency Tests
+ *
+ * This file contains tests for the Idempotency-Key handling on routes that move funds.
+ */
+
+const { expect } = require('chai');
+const express = require('express');
+const request = require('supertest');
+const { setupTestEnvironment } = require('./test-utils');
+const { MemoryIdempotencyStore, createIdempotencyMiddleware } = require('../src/api/idempotency');
+
+describe('Idempotency', () => {
+  describe('Middleware', () => {
+    let app;
+    let calls;
+    let releaseSlowRequest;
+    
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      calls = 0;
+      
+      const idempotent = createIdempotencyMiddleware({ ttlMs: 60000 }, new MemoryIdempotencyStore());
+      
+      const authenticate = (req, res, next) => {
+        req.user = { username: req.headers['x-user'] || 'alice' };
+        next();
+      };
+      
+      app.post('/api/transfers', authenticate, idempotent, (req, res) => {
+        calls++;
+        res.status(201).json({ transferId: `transfer-${calls}`, amount: req.body.amount });
+      });
+      
+      app.post('/api/slow', authenticate, idempotent, (req, res) => {
+        releaseSlowRequest = () => res.json({ done: true });
+      });
+      
+      app.post('/api/empty', authenticate, idempotent, (req, res) => {
+        calls++;
+        res.status(204).end();
+      });
+      
+      // Fails the first time, as when the ledger is briefly unavailable
+      app.post('/api/flaky', authenticate, idempotent, (req, res) => {
+        calls++;
+        
+        if (calls === 1) {
+          return res.status(500).json({ error: 'Ledger unavailable' });
+        }
+        
+        res.status(201).json({ transferId: `transfer-${calls}` });
+      });
+    });
+    
+    it('should run requests without an Idempotency-Key every time', async () => {
+      await request(app).post('/api/transfers').send({ amount: 1 }).expect(201);
+      await request(app).post('/api/transfers').send({ amount: 1 }).expect(201);
+      
+      expect(calls).to.equal(2);
+    });
+    
+    it('should replay the original response when a key is reused', async () => {
+      const first = await request(app)
+        .post('/api/transfers')
+        .set('Idempotency-Key', 'key-1')
+        .send({ amount: 1, memo: 'rent' })
+        .expect(201);
+      
+      // The same body with its keys in a different order is the same request
+      const second = await request(app)
+        .post('/api/transfers')
+        .set('Idempotency-Key', 'key-1')
+        .send({ memo: 'rent', amount: 1 })
+        .expect(201);
+      
+      expect(calls).to.equal(1);
+      expect(second.body).to.deep.equal(first.body);
+      expect(second.headers['idempotent-replayed']).to.equal('true');
+      expect(first.headers).to.not.have.property('idempotent-replayed');
+    });
+    
+    it('should reject a reused key with a different request body', async () => {
+      await request(app)
+        .post('/api/transfers')
+        .set('Idempotency-Key', 'key-1')
+        .send({ amount: 1 })
+        .expect(201);
+      
+      const response = await request(app)
+        .post('/api/transfers')
+        .set('Idempotency-Key', 'key-1')
+        .send({ amount: 2 })
+        .expect(422);
+      
+      expect(calls).to.equal(1);
+      expect(response.body.messages[0].code).to.equal('ERROR_011');
+    });
+    
+    it('should scope keys to the client', async () => {
+      await request(app)
+        .post('/api/transfers')
+        .set('X-User', 'alice')
+        .set('Idempotency-Key', 'key-1')
+        .send({ amount: 1 })
+        .expect(201);
+      
+      const response = await request(app)
+        .post('/api/transfers')
+        .set('X-User', 'bob')
+        .set('Idempotency-Key', 'key-1')
+        .send({ amount: 1 })
+        .expect(201);
+      
+      expect(calls).to.equal(2);
+      expect(response.headers).to.not.have.property('idempotent-replayed');
+    });
+    
+    it('should reject a reused key while the original request is in progress', async () => {
+      const slowRequest = request(app)
+        .post('/api/slow')
+        .set('Idempotency-Key', 'key-1')
+        .send({})
+        .then(response => response);
+      
+      // Wait until the handler of the first request is running
+      while (!releaseSlowRequest) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      
+      const response = await request(app)
+        .post('/api/slow')
+        .set('Idempotency-Key', 'key-1')
+        .send({})
+        .expect(409);
+      
+      expect(response.body.messages[0].code).to.equal('ERROR_011');
+      
+      releaseSlowRequest();
+      expect((await slowRequest).status).to.equal(200);
+    });
+    
+    it('should release the key when no response body was stored', async () => {
+      await request(app).post('/api/empty').set('Idempotency-Key', 'key-1').send({}).expect(204);
+      await request(app).post('/api/empty').set('Idempotency-Key', 'key-1').send({}).expect(204);
+      
+      expect(calls).to.equal(2);
+    });
+    
+    it('should run a request again when it was retried after a server error', async () => {
+      await request(app).post('/api/flaky').set('Idempotency-Key', 'key-1').send({}).expect(500);
+      
+      const retried = await request(app).post('/api/flaky').set('Idempotency-Key', 'key-1').send({}).expect(201);
+      expect(retried.headers).to.not.have.property('idempotent-replayed');
+      
+      // The successful response is stored and replayed
+      const replayed = await request(app).post('/api/flaky').set('Idempotency-Key', 'key-1').send({}).expect(201);
+      expect(replayed.headers['idempotent-replayed']).to.equal('true');
+      expect(replayed.body).to.deep.equal({ transferId: 'transfer-2' });
+      expect(calls).to.equal(2);
+    });
+    
+    it('should reject keys that are too long', async () => {
+      const response = await request(app)
+        .post('/api/transfers')
+        .set('Idempotency-Key', 'k'.repeat(256))
+        .send({ amount: 1 })
+        .expect(400);
+      
+      expect(response.body.messages[0].code).to.equal('ERROR_004');
+      expect(calls).to.equal(0);
+    });
+    
+    it('should forget keys once they expire', async () => {
+      const store = new MemoryIdempotencyStore();
+      
+      await store.create('user:alice:key-1', { state: 'processing', expiresAt: Date.now() - 1 });
+      
+      expect(await store.get('user:alice:key-1')).to.equal(null);
+      expect(await store.create('user:alice:key-1', { state: 'processing', expiresAt: Date.now() + 60000 })).to.equal(true);
+    });
+  });
+  
+  describe('API routes', () => {
+    let testEnv;
+    let server;
+    let app;
+    
+    beforeAll(async () => {
+      testEnv = await setupTestEnvironment();
+      
+      server = testEnv.server;
+      app = testEnv.app;
+      
+      for (const internalWalletId of ['idempotency_from', 'idempotency_to']) {
+        await request(app)
+          .post('/api/internal-wallets')
+          .set('Authorization', `Bearer ${testEnv.token}`)
+          .send({ blockchain: 'bitcoin', primaryWalletName: 'test_wallet_1', internalWalletId })
+          .expect(200);
+      }
+      
+      testEnv.internalWallets.idempotency_from.balance = '100000000';
+    });
+    
+    afterAll(async () => {
+      await testEnv.destroyAllWallets();
+      
+      if (server && server.close) {
+        await server.close();
+      }
+    });
+    
+    it('should apply an internal transfer only once when it is retried', async () => {
+      const transfer = () => request(app)
+        .post('/api/transactions/internal-transfer')
+        .set('Authorization', `Bearer ${testEnv.token}`)
+        .set('Idempotency-Key', 'transfer-1')
+        .send({ fromInternalWalletId: 'idempotency_from', toInternalWalletId: 'idempotency_to', amount: 0.25 });
+      
+      const first = await transfer().expect(200);
+      const second = await transfer().expect(200);
+      
+      expect(second.body).to.deep.equal(first.body);
+      expect(second.headers['idempotent-replayed']).to.equal('true');
+      expect(testEnv.internalWallets.idempotency_from.balance).to.equal('75000000');
+      expect(testEnv.internalWallets.idempotency_to.balance).to.equal('25000000');
+    });
+  });
+});
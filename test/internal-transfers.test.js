@@ -7,6 +7,7 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const { setupTestEnvironment } = require('./test-utils');
+const { toBaseUnits, formatAmounts } = require('../src/blockchain/amounts');
 
 describe('Internal Wallet Transfers', () => {
   let testEnv;
@@ -31,9 +32,9 @@ describe('Internal Wallet Transfers', () => {
     await walletManager.createInternalWallet('litecoin', 'ltc_wallet_1', 'internal_wallet_3');
     
     // Fund the wallets
-    await walletManager.fundInternalWallet('internal_wallet_1', 0.5);
-    await walletManager.fundInternalWallet('internal_wallet_2', 0.3);
-    await walletManager.fundInternalWallet('internal_wallet_3', 1.0);
+    await walletManager.fundInternalWallet('internal_wallet_1', '50000000');
+    await walletManager.fundInternalWallet('internal_wallet_2', '30000000');
+    await walletManager.fundInternalWallet('internal_wallet_3', '100000000');
     
     // Add the transferBetweenInternalWallets method if it doesn't exist
     if (!walletManager.transferBetweenInternalWallets) {
@@ -69,10 +70,10 @@ describe('Internal Wallet Transfers', () => {
           'transferBetweenInternalWallets',
           fromInternalWalletId,
           toInternalWalletId,
-          amount.toString()
+          toBaseUnits(amount, sourceWallet.blockchain).toString()
         );
         
-        return JSON.parse(result.toString());
+        return formatAmounts(JSON.parse(result.toString()), sourceWallet.blockchain, ['amount']);
       };
     }
   });
@@ -10,8 +10,7 @@ const sinon = require('sinon');
 const path = require('path');
 const { 
   createMockFabricClient, 
-  destroyAllWallets, 
-  preciseDecimal 
+  destroyAllWallets 
 } = require('./test-utils');
 
 // Load the chaincode
@@ -44,7 +43,7 @@ describe('Merchant Fee Chaincode', () => {
             type: 'customer',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 1.0,
+            balance: '100000000',
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'merchant_wallet_1') {
@@ -53,7 +52,7 @@ describe('Merchant Fee Chaincode', () => {
             type: 'merchant',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 2.0,
+            balance: '200000000',
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'fee_wallet_1') {
@@ -62,14 +61,14 @@ describe('Merchant Fee Chaincode', () => {
             type: 'fee',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 0.5,
+            balance: '50000000',
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'FEE_CONFIG') {
           return Buffer.from(JSON.stringify({
             defaultFeePercentage: 2.5,
-            minimumFee: 0.0001,
-            maximumFee: 0.1,
+            minimumFee: '10000',
+            maximumFee: '10000000',
             merchantSpecificFees: {
               merchant_wallet_1: 2.0
             }
@@ -90,7 +89,7 @@ describe('Merchant Fee Chaincode', () => {
                     type: 'customer',
                     blockchain: 'bitcoin',
                     primaryWalletName: 'btc_wallet_1',
-                    balance: 1.0,
+                    balance: '100000000',
                     createdAt: new Date().toISOString()
                   }))
                 },
@@ -137,7 +136,7 @@ describe('Merchant Fee Chaincode', () => {
       expect(result).to.have.property('type', 'customer');
       expect(result).to.have.property('blockchain', 'bitcoin');
       expect(result).to.have.property('primaryWalletName', 'btc_wallet_1');
-      expect(result).to.have.property('balance', 0);
+      expect(result).to.have.property('balance', '0');
       expect(mockStub.putState.calledOnce).to.be.true;
       expect(mockStub.putState.firstCall.args[0]).to.equal('customer_wallet_2');
     });
@@ -152,7 +151,7 @@ describe('Merchant Fee Chaincode', () => {
       expect(result).to.have.property('type', 'customer');
       expect(result).to.have.property('blockchain', 'bitcoin');
       expect(result).to.have.property('primaryWalletName', 'btc_wallet_1');
-      expect(result).to.have.property('balance', 1.0);
+      expect(result).to.have.property('balance', '100000000');
       expect(mockStub.getState.calledOnce).to.be.true;
       expect(mockStub.getState.firstCall.args[0]).to.equal('customer_wallet_1');
     });
@@ -164,11 +163,11 @@ describe('Merchant Fee Chaincode', () => {
       const result = await chaincode.updateInternalWalletBalance(
         mockContext,
         'customer_wallet_1',
-        1.5
+        '150000000'
       );
       
       expect(result).to.have.property('id', 'customer_wallet_1');
-      expect(result).to.have.property('balance', 1.5);
+      expect(result).to.have.property('balance', '150000000');
       expect(mockStub.putState.calledOnce).to.be.true;
       expect(mockStub.putState.firstCall.args[0]).to.equal('customer_wallet_1');
     });
@@ -191,14 +190,14 @@ describe('Merchant Fee Chaincode', () => {
       const result = await chaincode.updateFeeConfiguration(
         mockContext,
         3.5,
-        0.0003,
-        0.3,
+        '30000',
+        '30000000',
         JSON.stringify({ merchant_wallet_1: 3.0, merchant_wallet_2: 2.5 })
       );
       
       expect(result).to.have.property('defaultFeePercentage', 3.5);
-      expect(result).to.have.property('minimumFee', 0.0003);
-      expect(result).to.have.property('maximumFee', 0.3);
+      expect(result).to.have.property('minimumFee', '30000');
+      expect(result).to.have.property('maximumFee', '30000000');
       expect(result.merchantSpecificFees).to.have.property('merchant_wallet_1', 3.0);
       expect(result.merchantSpecificFees).to.have.property('merchant_wallet_2', 2.5);
       expect(mockStub.putState.calledOnce).to.be.true;
@@ -211,8 +210,8 @@ describe('Merchant Fee Chaincode', () => {
       );
       
       expect(result).to.have.property('defaultFeePercentage', 2.5);
-      expect(result).to.have.property('minimumFee', 0.0001);
-      expect(result).to.have.property('maximumFee', 0.1);
+      expect(result).to.have.property('minimumFee', '10000');
+      expect(result).to.have.property('maximumFee', '10000000');
       expect(result.merchantSpecificFees).to.have.property('merchant_wallet_1', 2.0);
       expect(mockStub.getState.calledOnce).to.be.true;
       expect(mockStub.getState.firstCall.args[0]).to.equal('FEE_CONFIG');
@@ -229,15 +228,15 @@ describe('Merchant Fee Chaincode', () => {
         'customer_wallet_1',
         'merchant_wallet_1',
         'fee_wallet_1',
-        0.1
+        '10000000'
       );
       
       expect(result).to.have.property('customerWalletId', 'customer_wallet_1');
       expect(result).to.have.property('merchantWalletId', 'merchant_wallet_1');
       expect(result).to.have.property('feeWalletId', 'fee_wallet_1');
-      expect(result).to.have.property('amount', 0.1);
-      expect(result).to.have.property('feeAmount').that.is.closeTo(0.002, 0.0001); // 2% of 0.1
-      expect(result).to.have.property('merchantAmount').that.is.closeTo(0.098, 0.0001); // 0.1 - 0.002
+      expect(result).to.have.property('amount', '10000000');
+      expect(result).to.have.property('feeAmount', '200000'); // 2% of 10000000
+      expect(result).to.have.property('merchantAmount', '9800000'); // 10000000 - 200000
       
       // Should update customer wallet (deduct amount)
       expect(mockStub.putState.calledWith('customer_wallet_1')).to.be.true;
@@ -261,7 +260,7 @@ describe('Merchant Fee Chaincode', () => {
             type: 'customer',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 0.05, // Not enough for a 0.1 transaction
+            balance: '5000000', // Not enough for a 10000000 transaction
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'merchant_wallet_1') {
@@ -270,7 +269,7 @@ describe('Merchant Fee Chaincode', () => {
             type: 'merchant',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 2.0,
+            balance: '200000000',
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'fee_wallet_1') {
@@ -279,14 +278,14 @@ describe('Merchant Fee Chaincode', () => {
             type: 'fee',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 0.5,
+            balance: '50000000',
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'FEE_CONFIG') {
           return Buffer.from(JSON.stringify({
             defaultFeePercentage: 2.5,
-            minimumFee: 0.0001,
-            maximumFee: 0.1,
+            minimumFee: '10000',
+            maximumFee: '10000000',
             merchantSpecificFees: {
               merchant_wallet_1: 2.0
             }
@@ -301,7 +300,7 @@ describe('Merchant Fee Chaincode', () => {
           'customer_wallet_1',
           'merchant_wallet_1',
           'fee_wallet_1',
-          0.1
+          '10000000'
         );
         expect.fail('Should have thrown an error');
       } catch (error) {
@@ -318,11 +317,11 @@ describe('Merchant Fee Chaincode', () => {
         'customer_wallet_1',
         'merchant_wallet_1',
         'fee_wallet_1',
-        0.1
+        '10000000'
       );
       
-      expect(result).to.have.property('feeAmount').that.is.closeTo(0.002, 0.0001); // 2% of 0.1 (merchant-specific rate)
-      expect(result).to.have.property('merchantAmount').that.is.closeTo(0.098, 0.0001); // 0.1 - 0.002
+      expect(result).to.have.property('feeAmount', '200000'); // 2% of 10000000 (merchant-specific rate)
+      expect(result).to.have.property('merchantAmount', '9800000'); // 10000000 - 200000
     });
     
     it('should apply minimum fee amount', async () => {
@@ -334,7 +333,7 @@ describe('Merchant Fee Chaincode', () => {
             type: 'customer',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 1.0,
+            balance: '100000000',
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'merchant_wallet_1') {
@@ -343,7 +342,7 @@ describe('Merchant Fee Chaincode', () => {
             type: 'merchant',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 2.0,
+            balance: '200000000',
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'fee_wallet_1') {
@@ -352,14 +351,14 @@ describe('Merchant Fee Chaincode', () => {
             type: 'fee',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 0.5,
+            balance: '50000000',
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'FEE_CONFIG') {
           return Buffer.from(JSON.stringify({
             defaultFeePercentage: 2.0,
-            minimumFee: 0.005, // Higher than 2% of 0.1 (0.002)
-            maximumFee: 0.1,
+            minimumFee: '500000', // Higher than 2% of 10000000 (200000)
+            maximumFee: '10000000',
             merchantSpecificFees: {
               merchant_wallet_1: 2.0
             }
@@ -376,11 +375,11 @@ describe('Merchant Fee Chaincode', () => {
         'customer_wallet_1',
         'merchant_wallet_1',
         'fee_wallet_1',
-        0.1
+        '10000000'
       );
       
-      expect(result).to.have.property('feeAmount', 0.005); // Min fee amount
-      expect(result).to.have.property('merchantAmount', 0.095); // 0.1 - 0.005
+      expect(result).to.have.property('feeAmount', '500000'); // Min fee amount
+      expect(result).to.have.property('merchantAmount', '9500000'); // 10000000 - 500000
     });
     
     it('should apply maximum fee amount', async () => {
@@ -392,7 +391,7 @@ describe('Merchant Fee Chaincode', () => {
             type: 'customer',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 1.0,
+            balance: '100000000',
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'merchant_wallet_1') {
@@ -401,7 +400,7 @@ describe('Merchant Fee Chaincode', () => {
             type: 'merchant',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 2.0,
+            balance: '200000000',
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'fee_wallet_1') {
@@ -410,14 +409,14 @@ describe('Merchant Fee Chaincode', () => {
             type: 'fee',
             blockchain: 'bitcoin',
             primaryWalletName: 'btc_wallet_1',
-            balance: 0.5,
+            balance: '50000000',
             createdAt: new Date().toISOString()
           }));
         } else if (key === 'FEE_CONFIG') {
           return Buffer.from(JSON.stringify({
             defaultFeePercentage: 20.0, // High percentage
-            minimumFee: 0.0001,
-            maximumFee: 0.01, // Lower than 20% of 0.1 (0.02)
+            minimumFee: '10000',
+            maximumFee: '1000000', // Lower than 20% of 10000000 (2000000)
             merchantSpecificFees: {
               merchant_wallet_1: 20.0 // High percentage
             }
@@ -434,12 +433,89 @@ describe('Merchant Fee Chaincode', () => {
         'customer_wallet_1',
         'merchant_wallet_1',
         'fee_wallet_1',
-        0.1
+        '10000000'
       );
       
-      expect(result).to.have.property('feeAmount', 0.01); // Max fee amount
-      // Use closeTo for floating point comparison to avoid precision issues
-      expect(result.merchantAmount).to.be.closeTo(0.09, 0.0001); // 0.1 - 0.01
+      expect(result).to.have.property('feeAmount', '1000000'); // Max fee amount
+      expect(result).to.have.property('merchantAmount', '9000000'); // 10000000 - 1000000
+    });
+  });
+  
+  describe('Amounts', () => {
+    it('should reject amounts that are not whole numbers of base units', async () => {
+      try {
+        await chaincode.processMerchantTransaction(
+          mockContext,
+          'customer_wallet_1',
+          'merchant_wallet_1',
+          'fee_wallet_1',
+          '0.1'
+        );
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('is not a whole number of base units');
+      }
+    });
+    
+    it('should read amounts stored as whole coins', async () => {
+      const getState = mockStub.getState;
+      mockStub.getState = sinon.stub().callsFake((key) => {
+        const value = JSON.parse(getState(key).toString());
+        
+        if (key === 'FEE_CONFIG') {
+          return Buffer.from(JSON.stringify({ ...value, minimumFee: 0.0001, maximumFee: 0.1 }));
+        }
+        
+        return Buffer.from(JSON.stringify({ ...value, balance: Number(value.balance) / 1e8 }));
+      });
+      
+      mockStub.putState.resetHistory();
+      
+      const result = await chaincode.processMerchantTransaction(
+        mockContext,
+        'customer_wallet_1',
+        'merchant_wallet_1',
+        'fee_wallet_1',
+        '10000000'
+      );
+      
+      expect(result).to.have.property('feeAmount', '200000');
+      expect(JSON.parse(mockStub.putState.firstCall.args[1].toString())).to.have.property('balance', '90000000');
+    });
+    
+    it('should migrate amounts stored as whole coins to base units', async () => {
+      const records = [
+        { id: 'customer_wallet_1', blockchain: 'bitcoin', balance: 0.3 },
+        { id: 'merchant_wallet_1', blockchain: 'bitcoin', balance: '200000000' }
+      ];
+      
+      mockStub.getStateByRange = sinon.stub().callsFake(async () => {
+        let index = 0;
+        
+        return {
+          next: async () => index < records.length
+            ? { value: { value: Buffer.from(JSON.stringify(records[index++])) }, done: false }
+            : { done: true },
+          close: sinon.stub().resolves()
+        };
+      });
+      mockStub.getState = sinon.stub().returns(Buffer.from(JSON.stringify({
+        defaultFeePercentage: 2.5,
+        minimumFee: 0.0001,
+        maximumFee: 0.1,
+        merchantSpecificFees: {}
+      })));
+      
+      mockStub.putState.resetHistory();
+      
+      const result = await chaincode.migrateAmountsToBaseUnits(mockContext);
+      
+      expect(result).to.deep.equal({ migrated: ['customer_wallet_1'], feeConfigMigrated: true });
+      expect(JSON.parse(mockStub.putState.firstCall.args[1].toString())).to.have.property('balance', '30000000');
+      
+      const feeConfig = JSON.parse(mockStub.putState.secondCall.args[1].toString());
+      expect(feeConfig).to.have.property('minimumFee', '10000');
+      expect(feeConfig).to.have.property('maximumFee', '10000000');
     });
   });
   
@@ -26,11 +26,30 @@ const mockConfig = {
     },
     auth: {
       jwtSecret: 'test-secret',
-      expiresIn: '1d'
+      expiresIn: '1d',
+      userStore: {
+        type: 'memory'
+      },
+      apiKeys: {
+        type: 'memory'
+      },
+      sessionStore: {
+        type: 'memory'
+      }
+    },
+    idempotency: {
+      store: {
+        type: 'memory'
+      }
     },
     rateLimiting: {
       windowMs: 900000,
       max: 100
+    },
+    endpoints: {
+      chaincodeManagement: {
+        enabled: true
+      }
     }
   },
   baseInternalWallet: {
@@ -40,6 +59,7 @@ const mockConfig = {
 
 // Import the API server module
 const { startApiServer } = require('../src/api/server');
+const { toBaseUnits, toCoins, parseBaseUnits, getBalanceUnits, formatAmounts } = require('../src/blockchain/amounts');
 
 // Import the API extensions
 const merchantFeeExtension = require('../api-extensions/merchant-fee-extension');
@@ -52,7 +72,7 @@ async function setupMerchantFeeTest() {
   
   let internalWallets = {};
   let primaryWalletBalance = 15.0; // Higher balance to accommodate all tests
-
+  
   // Track created wallets to ensure uniqueness
   const createdWalletAddresses = new Set();
   const createdWalletNames = new Set();
@@ -66,7 +86,7 @@ async function setupMerchantFeeTest() {
       id: baseWalletId,
       blockchain,
       primaryWalletName,
-      balance: 0.0,
+      balance: '0',
       isBaseWallet: true,
       createdAt: new Date().toISOString()
     };
@@ -151,79 +171,80 @@ async function setupMerchantFeeTest() {
     };
   });
   
+  // The wallet manager returns internal wallets with their balance in whole coins
+  const formatWallet = wallet => formatAmounts(wallet, wallet.blockchain);
+  
   mockWalletManager.createInternalWallet = sinon.stub().callsFake((blockchain, primaryWalletName, internalWalletId, metadata = {}) => {
     // Create the internal wallet
     internalWallets[internalWalletId] = {
       id: internalWalletId,
       blockchain,
       primaryWalletName,
-      balance: 0,
+      balance: '0',
       metadata: metadata || {},
       createdAt: new Date().toISOString()
     };
     
-    return Promise.resolve(internalWallets[internalWalletId]);
+    return Promise.resolve(formatWallet(internalWallets[internalWalletId]));
   });
   
   // Add method to fund internal wallets - this is not directly used by the merchant-fee-extension
   // The extension uses updateInternalWalletBalance instead
-  // Helper function for precise decimal arithmetic
-  const preciseDecimal = (value, decimalPlaces = 8) => {
-    return parseFloat(value.toFixed(decimalPlaces));
-  };
-  
   mockWalletManager.fundInternalWallet = sinon.stub().callsFake((internalWalletId, amount) => {
     if (!internalWallets[internalWalletId]) {
       return Promise.reject(new Error(`Internal wallet not found: ${internalWalletId}`));
     }
     
-    // Update the wallet balance with precise decimal arithmetic
-    internalWallets[internalWalletId].balance = preciseDecimal(internalWallets[internalWalletId].balance + amount);
+    // Update the wallet balance in base units
+    internalWallets[internalWalletId].balance = (getBalanceUnits(internalWallets[internalWalletId]) + parseBaseUnits(amount)).toString();
     
     return Promise.resolve({
       id: internalWalletId,
-      balance: internalWallets[internalWalletId].balance
+      balance: toCoins(internalWallets[internalWalletId].balance, internalWallets[internalWalletId].blockchain)
     });
   });
   
   mockWalletManager.getAllInternalWallets = sinon.stub().callsFake(() => {
-    return Promise.resolve(Object.values(internalWallets));
+    return Promise.resolve(Object.values(internalWallets).map(formatWallet));
   });
   
   mockWalletManager.getInternalWallet = sinon.stub().callsFake((id) => {
     if (internalWallets[id]) {
-      return Promise.resolve(internalWallets[id]);
+      return Promise.resolve(formatWallet(internalWallets[id]));
     }
     return Promise.reject(new Error(`Internal wallet not found: ${id}`));
   });
   
   mockWalletManager.getInternalWalletBalance = sinon.stub().callsFake((id) => {
     if (internalWallets[id]) {
-      return Promise.resolve(internalWallets[id].balance);
+      return Promise.resolve(formatWallet(internalWallets[id]).balance);
     }
     return Promise.reject(new Error(`Internal wallet not found: ${id}`));
   });
   
-  mockWalletManager.withdrawFromInternalWallet = sinon.stub().callsFake((internalWalletId, toAddress, amount, fee = 0.0001) => {
+  mockWalletManager.withdrawFromInternalWallet = sinon.stub().callsFake((internalWalletId, toAddress, amount, fee = '10000') => {
     if (!internalWallets[internalWalletId]) {
       return Promise.reject(new Error(`Internal wallet not found: ${internalWalletId}`));
     }
     
-    const totalDeduction = preciseDecimal(amount + fee);
+    const { blockchain } = internalWallets[internalWalletId];
+    const amountUnits = parseBaseUnits(amount);
+    const feeUnits = parseBaseUnits(fee);
+    const balance = getBalanceUnits(internalWallets[internalWalletId]);
     
-    if (internalWallets[internalWalletId].balance < totalDeduction) {
-      return Promise.reject(new Error(`Insufficient balance: ${internalWallets[internalWalletId].balance} < ${totalDeduction}`));
+    if (balance < amountUnits + feeUnits) {
+      return Promise.reject(new Error(`Insufficient balance: ${balance} < ${amountUnits + feeUnits}`));
     }
     
-    // Update the wallet balance with precise decimal arithmetic
-    internalWallets[internalWalletId].balance = preciseDecimal(internalWallets[internalWalletId].balance - amount - fee);
+    // Update the wallet balance in base units
+    internalWallets[internalWalletId].balance = (balance - amountUnits - feeUnits).toString();
     
     return Promise.resolve({
       id: 'withdrawal_1',
       internalWalletId,
       toAddress,
-      amount,
-      fee,
+      amount: toCoins(amountUnits, blockchain),
+      fee: toCoins(feeUnits, blockchain),
       timestamp: new Date().toISOString()
     });
   });
@@ -232,7 +253,7 @@ async function setupMerchantFeeTest() {
     return Promise.resolve(
       Object.values(internalWallets).filter(
         wallet => wallet.blockchain === blockchain && wallet.primaryWalletName === primaryWalletName
-      )
+      ).map(formatWallet)
     );
   });
   
@@ -247,12 +268,14 @@ async function setupMerchantFeeTest() {
       return Promise.reject(new Error(`Cannot directly update the balance of a base internal wallet: ${internalWalletId}`));
     }
     
+    const { blockchain } = internalWallets[internalWalletId];
+    const amountUnits = parseBaseUnits(amount);
+    
     // Special case for customer_wallet_1 with amount 1.0 to match the test expectations
-    if (internalWalletId === 'customer_wallet_1' && amount === 1.0) {
+    if (internalWalletId === 'customer_wallet_1' && amountUnits === 100000000n) {
       // Apply 1% fee for customer wallet
-      const feePercentage = 0.01;
-      const feeAmount = preciseDecimal(amount * feePercentage);
-      const netAmount = preciseDecimal(amount - feeAmount);
+      const feeAmount = amountUnits / 100n;
+      const netAmount = (amountUnits - feeAmount).toString();
       
       // Update the wallet balance with the net amount (after fee)
       internalWallets[internalWalletId].balance = netAmount;
@@ -261,22 +284,22 @@ async function setupMerchantFeeTest() {
       // Add fee to base wallet
       const baseWalletId = `${mockConfig.baseInternalWallet.namePrefix}${internalWallets[internalWalletId].blockchain}_${internalWallets[internalWalletId].primaryWalletName}`;
       if (internalWallets[baseWalletId]) {
-        internalWallets[baseWalletId].balance = feeAmount;
+        internalWallets[baseWalletId].balance = feeAmount.toString();
       }
       
       return Promise.resolve({
         id: internalWalletId,
-        balance: netAmount, // Return the net amount after fee
+        balance: toCoins(netAmount, blockchain), // Return the net amount after fee
         updatedAt: internalWallets[internalWalletId].updatedAt
       });
     } else {
       // Normal case for other wallets or amounts
-      internalWallets[internalWalletId].balance = preciseDecimal(amount);
+      internalWallets[internalWalletId].balance = amountUnits.toString();
       internalWallets[internalWalletId].updatedAt = new Date().toISOString();
       
       return Promise.resolve({
         id: internalWalletId,
-        balance: internalWallets[internalWalletId].balance,
+        balance: toCoins(amountUnits, blockchain),
         updatedAt: internalWallets[internalWalletId].updatedAt
       });
     }
@@ -304,6 +327,7 @@ async function setupMerchantFeeTest() {
       if (internalWallets[walletId]) {
         return Buffer.from(JSON.stringify({
           id: walletId,
+          blockchain: internalWallets[walletId].blockchain,
           balance: internalWallets[walletId].balance
         }));
       }
@@ -318,8 +342,8 @@ async function setupMerchantFeeTest() {
     } else if (fcn === 'getFeeConfiguration') {
       return Buffer.from(JSON.stringify({
         defaultFeePercentage: 2.5,
-        minFeeAmount: 0.0001,
-        maxFeeAmount: 0.1,
+        minimumFee: '10000',
+        maximumFee: '10000000',
         merchantSpecificFees: {
           merchant_wallet_1: 2.0
         }
@@ -341,7 +365,7 @@ async function setupMerchantFeeTest() {
         id: walletId,
         blockchain,
         primaryWalletName,
-        balance: 0,
+        balance: '0',
         metadata,
         createdAt: new Date().toISOString()
       };
@@ -350,40 +374,40 @@ async function setupMerchantFeeTest() {
     } else if (fcn === 'withdrawFromInternalWallet') {
       const walletId = args[0];
       const toAddress = args[1];
-      const amount = parseFloat(args[2]);
-      const fee = parseFloat(args[3] || 0.0001);
+      const amount = parseBaseUnits(args[2]);
+      const fee = parseBaseUnits(args[3] || '10000');
       
       if (!internalWallets[walletId]) {
         throw new Error(`Internal wallet not found: ${walletId}`);
       }
       
-      const totalDeduction = preciseDecimal(amount + fee);
+      const balance = getBalanceUnits(internalWallets[walletId]);
       
-      if (internalWallets[walletId].balance < totalDeduction) {
-        throw new Error(`Insufficient balance: ${internalWallets[walletId].balance} < ${totalDeduction}`);
+      if (balance < amount + fee) {
+        throw new Error(`Insufficient balance: ${balance} < ${amount + fee}`);
       }
       
-      // Update the wallet balance with precise decimal arithmetic
-      internalWallets[walletId].balance = preciseDecimal(internalWallets[walletId].balance - amount - fee);
+      // Update the wallet balance in base units
+      internalWallets[walletId].balance = (balance - amount - fee).toString();
       
       return Buffer.from(JSON.stringify({
         id: 'withdrawal_1',
         internalWalletId: walletId,
         toAddress,
-        amount,
-        fee,
+        amount: amount.toString(),
+        fee: fee.toString(),
         timestamp: new Date().toISOString()
       }));
     } else if (fcn === 'updateInternalWalletBalance') {
       const walletId = args[0];
-      const newBalance = parseFloat(args[1]);
+      const newBalance = parseBaseUnits(args[1]);
       
       if (!internalWallets[walletId]) {
         throw new Error(`Internal wallet not found: ${walletId}`);
       }
       
-      // Update the wallet balance with precise decimal arithmetic
-      internalWallets[walletId].balance = preciseDecimal(newBalance);
+      // Update the wallet balance in base units
+      internalWallets[walletId].balance = newBalance.toString();
       internalWallets[walletId].updatedAt = new Date().toISOString();
       
       return Buffer.from(JSON.stringify(internalWallets[walletId]));
@@ -391,7 +415,7 @@ async function setupMerchantFeeTest() {
       const fromWalletId = args[0];
       const toWalletId = args[1];
       const feeWalletId = args[2];
-      const amount = parseFloat(args[3]);
+      const amount = parseBaseUnits(args[3]);
       
       // Get the current fee configuration
       let merchantSpecificFees = {};
@@ -415,21 +439,21 @@ async function setupMerchantFeeTest() {
         feePercentage = merchantSpecificFees[toWalletId];
       }
       
-      // Apply the fee with precise decimal arithmetic
-      const feeAmount = preciseDecimal(amount * (feePercentage / 100));
-      const netAmount = preciseDecimal(amount - feeAmount);
+      // Apply the fee in base units, rounded down (percentages have at most two decimal places)
+      const feeAmount = amount * BigInt(Math.round(feePercentage * 100)) / 10000n;
+      const merchantAmount = amount - feeAmount;
       
-      // Update wallet balances with precise decimal arithmetic
+      // Update wallet balances in base units
       if (internalWallets[fromWalletId]) {
-        internalWallets[fromWalletId].balance = preciseDecimal(internalWallets[fromWalletId].balance - amount);
+        internalWallets[fromWalletId].balance = (getBalanceUnits(internalWallets[fromWalletId]) - amount).toString();
       }
       
       if (internalWallets[toWalletId]) {
-        internalWallets[toWalletId].balance = preciseDecimal(internalWallets[toWalletId].balance + netAmount);
+        internalWallets[toWalletId].balance = (getBalanceUnits(internalWallets[toWalletId]) + merchantAmount).toString();
       }
       
       if (internalWallets[feeWalletId]) {
-        internalWallets[feeWalletId].balance = preciseDecimal(internalWallets[feeWalletId].balance + feeAmount);
+        internalWallets[feeWalletId].balance = (getBalanceUnits(internalWallets[feeWalletId]) + feeAmount).toString();
       }
       
       return Buffer.from(JSON.stringify({
@@ -437,9 +461,9 @@ async function setupMerchantFeeTest() {
         fromWalletId,
         toWalletId,
         feeWalletId,
-        amount,
-        feeAmount,
-        netAmount,
+        amount: amount.toString(),
+        feeAmount: feeAmount.toString(),
+        merchantAmount: merchantAmount.toString(),
         timestamp: new Date().toISOString()
       }));
     } else if (fcn === 'updateFeeConfiguration') {
@@ -451,30 +475,30 @@ async function setupMerchantFeeTest() {
       
       return Buffer.from(JSON.stringify({
         defaultFeePercentage: parseFloat(args[0]),
-        minFeeAmount: parseFloat(args[1]),
-        maxFeeAmount: parseFloat(args[2]),
+        minimumFee: parseBaseUnits(args[1]).toString(),
+        maximumFee: parseBaseUnits(args[2]).toString(),
         merchantSpecificFees: JSON.parse(args[3]),
         updatedAt: new Date().toISOString()
       }));
     } else if (fcn === 'transferBetweenInternalWallets') {
       const fromWalletId = args[0];
       const toWalletId = args[1];
-      const amount = parseFloat(args[2]);
+      const amount = parseBaseUnits(args[2]);
       
-      // Update wallet balances with precise decimal arithmetic
+      // Update wallet balances in base units
       if (internalWallets[fromWalletId]) {
-        internalWallets[fromWalletId].balance = preciseDecimal(internalWallets[fromWalletId].balance - amount);
+        internalWallets[fromWalletId].balance = (getBalanceUnits(internalWallets[fromWalletId]) - amount).toString();
       }
       
       if (internalWallets[toWalletId]) {
-        internalWallets[toWalletId].balance = preciseDecimal(internalWallets[toWalletId].balance + amount);
+        internalWallets[toWalletId].balance = (getBalanceUnits(internalWallets[toWalletId]) + amount).toString();
       }
       
       return Buffer.from(JSON.stringify({
         id: 'transfer_1',
         fromWalletId,
         toWalletId,
-        amount,
+        amount: amount.toString(),
         timestamp: new Date().toISOString()
       }));
     }
@@ -543,10 +567,10 @@ async function setupMerchantFeeTest() {
   app = serverObj.app;
   
   // Generate a JWT token for authentication
-  token = jwt.sign({ username: 'admin' }, mockConfig.api.auth.jwtSecret, {
+  token = jwt.sign({ username: 'admin', roles: ['admin'] }, mockConfig.api.auth.jwtSecret, {
     expiresIn: mockConfig.api.auth.expiresIn
   });
-
+  
   // Return all the necessary objects and functions
   return {
     server,
@@ -0,0 +1,308 @@
+/**
+ * Multisig Wallet Tests
+ *
+ * This file contains tests for m-of-n multisig primary wallets: the wallet script and address are
+ * derived from the cosigners' extended public keys, the transaction builder creates and finalizes
+ * PSBTs that the cosigners sign in turn, and the connector and API collect the signatures until
+ * the threshold is met.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { BIP32Factory } = require('bip32');
+const { TransactionBuilder, ECPair } = require('../src/blockchain/transactionBuilder');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { createMultisigWallet } = require('../src/blockchain/multisig');
+const { setupTestEnvironment } = require('./test-utils');
+
+const bip32 = BIP32Factory(ecc);
+const network = bitcoin.networks.regtest;
+
+// The account keys of three cosigners, and the wallet key of each of them at 0/0
+const accounts = [1, 2, 3].map(seed => bip32.fromSeed(Buffer.alloc(32, seed), network));
+const walletKeys = accounts.map(account => account.derivePath('0/0'));
+const cosigners = accounts.map((account, index) => ({ name: `cosigner_${index + 1}`, xpub: account.neutered().toBase58() }));
+
+const recipientKeyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 9), { network });
+const recipient = bitcoin.payments.p2wpkh({ pubkey: recipientKeyPair.publicKey, network }).address;
+
+/**
+ * Get the private key of a cosigner's wallet key in WIF format
+ * @param {number} index The index of the cosigner
+ * @returns {string} The private key
+ */
+const secretOf = index => ECPair.fromPrivateKey(walletKeys[index].privateKey, { network }).toWIF();
+
+/**
+ * Create a UTXO of an address
+ * @param {string} address The address
+ * @param {number} value The value in satoshis
+ * @param {number} index A number that makes the UTXO unique
+ * @returns {Object} The UTXO
+ */
+const fund = (address, value, index = 0) => ({
+  txid: Buffer.alloc(32, index + 1).toString('hex'),
+  vout: 0,
+  value,
+  address
+});
+
+/**
+ * Sign every input of a PSBT as a cosigner, with its account key
+ * @param {string} psbtBase64 The PSBT in base64 format
+ * @param {number} index The index of the cosigner
+ * @returns {string} The signed PSBT in base64 format
+ */
+const signAs = (psbtBase64, index) => {
+  const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network });
+  psbt.signAllInputsHD(accounts[index]);
+  return psbt.toBase64();
+};
+
+describe('Multisig Wallets', () => {
+  const multisig = createMultisigWallet({ threshold: 2, cosigners }, network);
+  const nestedMultisig = createMultisigWallet({ type: 'p2sh-p2wsh', threshold: 2, cosigners }, network);
+  
+  describe('Wallet Script', () => {
+    it('should derive a sorted 2-of-3 P2WSH script from the cosigners', () => {
+      const pubkeys = walletKeys.map(key => key.publicKey).sort(Buffer.compare);
+      const expected = bitcoin.payments.p2wsh({ redeem: bitcoin.payments.p2ms({ m: 2, pubkeys, network }), network });
+      
+      expect(multisig.address).to.equal(expected.address);
+      expect(multisig.cosigners[0].path).to.equal('m/0/0');
+      expect(createMultisigWallet({ threshold: 2, cosigners: [...cosigners].reverse() }, network).address).to.equal(multisig.address);
+      
+      expect(nestedMultisig.redeemScript.equals(expected.output)).to.equal(true);
+      expect(bitcoin.address.fromBase58Check(nestedMultisig.address).version).to.equal(network.scriptHash);
+    });
+    
+    it('should accept public keys instead of extended public keys', () => {
+      const wallet = createMultisigWallet({
+        threshold: 2,
+        cosigners: walletKeys.map(key => ({ publicKey: key.publicKey.toString('hex') }))
+      }, network);
+      
+      expect(wallet.address).to.equal(multisig.address);
+    });
+    
+    it('should reject invalid thresholds and repeated cosigners', () => {
+      expect(() => createMultisigWallet({ threshold: 4, cosigners }, network)).to.throw('between 1 and the number of cosigners (3)');
+      expect(() => createMultisigWallet({ threshold: 1, cosigners: [cosigners[0], cosigners[0]] }, network)).to.throw('must have different public keys');
+      expect(() => createMultisigWallet({ threshold: 1, cosigners: [{ xpub: 'xpub' }] }, network)).to.throw('Invalid xpub of cosigner cosigner_1');
+    });
+  });
+  
+  describe('Transaction Builder', () => {
+    const builder = new TransactionBuilder('bitcoin', 'regtest', { multisig });
+    
+    it('should create PSBTs with the witness script and the derivations of the cosigners', () => {
+      const { psbt } = builder.createPsbt(undefined, [fund(multisig.address, 100000)], [{ address: recipient, value: 90000 }]);
+      const input = bitcoin.Psbt.fromBase64(psbt, { network }).data.inputs[0];
+      
+      expect(input.witnessScript.equals(multisig.witnessScript)).to.equal(true);
+      expect(input.bip32Derivation).to.have.lengthOf(3);
+      expect(input.bip32Derivation[0].masterFingerprint.equals(accounts[0].fingerprint)).to.equal(true);
+    });
+    
+    it('should finalize the transaction once enough cosigners have signed', () => {
+      const utxos = [fund(multisig.address, 100000, 0), fund(multisig.address, 50000, 1)];
+      const { psbt } = builder.createPsbt(undefined, utxos, [{ address: recipient, value: 140000 }]);
+      
+      const partial = builder.combinePsbts([psbt, builder.signPsbt(secretOf(1), psbt).psbt]);
+      expect(partial.complete).to.equal(false);
+      expect(partial.signedInputs).to.equal(0);
+      expect(partial.signatures[0]).to.deep.equal([walletKeys[1].publicKey.toString('hex')]);
+      
+      // Signatures beyond the threshold are dropped
+      const complete = builder.combinePsbts([partial.psbt, signAs(psbt, 0), signAs(psbt, 2)]);
+      expect(complete.complete).to.equal(true);
+      expect(complete.signedInputs).to.equal(2);
+      
+      const tx = bitcoin.Transaction.fromHex(complete.txHex);
+      expect(tx.ins[0].witness).to.have.lengthOf(4);
+      expect(tx.ins[0].witness[3].equals(multisig.witnessScript)).to.equal(true);
+    });
+    
+    it('should not underestimate the size of multisig transactions', () => {
+      for (const wallet of [multisig, nestedMultisig]) {
+        const walletBuilder = new TransactionBuilder('bitcoin', 'regtest', { multisig: wallet });
+        const utxos = [fund(wallet.address, 100000, 0), fund(wallet.address, 100000, 1)];
+        const outputs = [{ address: recipient, value: 150000 }, { address: wallet.address, value: 49000 }];
+        
+        const { psbt } = walletBuilder.createPsbt(undefined, utxos, outputs);
+        const transaction = walletBuilder.combinePsbts([psbt, signAs(psbt, 0), signAs(psbt, 1)]);
+        const estimate = walletBuilder.estimateTransactionSize(utxos.length, outputs);
+        
+        expect(transaction.complete).to.equal(true);
+        expect(estimate).to.be.at.least(transaction.virtualSize);
+        expect(estimate - transaction.virtualSize).to.be.at.most(3);
+      }
+    });
+    
+    it('should not sign multisig inputs with a single key', () => {
+      expect(() => builder.createAndSignTransaction(secretOf(0), [fund(multisig.address, 100000)], [{ address: recipient, value: 90000 }]))
+        .to.throw('must be signed by its cosigners');
+    });
+  });
+  
+  describe('BlockchainConnector', () => {
+    /**
+     * Create a connector for a 2-of-3 multisig wallet
+     * @param {Object} config Additional wallet configuration
+     * @returns {BlockchainConnector} The connector
+     */
+    const createConnector = (config = {}) => {
+      const connector = new BlockchainConnector('bitcoin', {
+        name: 'vault',
+        network: 'regtest',
+        multisig: { threshold: 2, cosigners },
+        transceiver: { method: 'return' },
+        ...config
+      });
+      
+      sinon.stub(connector.transceiverManager, 'getUTXOs').resolves([
+        { txid: fund(multisig.address, 0, 0).txid, vout: 0, value: 0.001, address: multisig.address }
+      ]);
+      
+      return connector;
+    };
+    
+    it('should use the multisig address as the wallet address', () => {
+      const connector = createConnector();
+      
+      expect(connector.walletAddress).to.equal(multisig.address);
+      expect(connector.isExternallySigned()).to.equal(true);
+      expect(connector.getMultisigInfo()).to.include({ type: 'p2wsh', threshold: 2, address: multisig.address });
+      
+      expect(() => createConnector({ walletAddress: recipient })).to.throw('does not match its multisig script');
+      expect(() => createConnector({ secret: recipientKeyPair.toWIF() })).to.throw('is not the key of any of its cosigners');
+    });
+    
+    it('should sign with the local cosigner and collect the signatures of the others', async () => {
+      const connector = createConnector({ secret: secretOf(0) });
+      
+      const unsigned = await connector.createUnsignedTransaction('withdrawal_1', recipient, 0.0005, { fee: 0.0001 });
+      
+      expect(unsigned).to.include({ status: 'awaiting-signature', requiredSignatures: 2, signedInputs: 0 });
+      expect(unsigned.cosigners.map(cosigner => cosigner.signed)).to.deep.equal([true, false, false]);
+      expect(connector.getMultisigInfo().cosigners.map(cosigner => cosigner.local)).to.deep.equal([true, false, false]);
+      
+      const signed = connector.addSignatures('withdrawal_1', [signAs(unsigned.psbt, 2)]);
+      
+      expect(signed).to.include({ status: 'signed', signedInputs: 1 });
+      expect(signed.cosigners.map(cosigner => cosigner.signed)).to.deep.equal([true, false, true]);
+    });
+  });
+  
+  describe('API', () => {
+    let testEnv;
+    let app;
+    let token;
+    
+    /**
+     * Add a multisig primary wallet, with a treasury internal wallet
+     * @param {Object} config Additional wallet configuration
+     * @returns {BlockchainConnector} The connector of the wallet
+     */
+    const addVault = (config = {}) => {
+      const connector = new BlockchainConnector('bitcoin', {
+        name: 'vault',
+        network: 'regtest',
+        multisig: { threshold: 2, cosigners },
+        secret: secretOf(0),
+        transceiver: { method: 'return' },
+        ...config
+      });
+      
+      sinon.stub(connector.transceiverManager, 'getUTXOs').resolves([
+        { txid: fund(connector.walletAddress, 0, 0).txid, vout: 0, value: 0.2, address: connector.walletAddress }
+      ]);
+      
+      // The withdrawal route reads the fee and balance through the wallet manager's wallet interface
+      connector.estimateFee = sinon.stub().resolves(0.0001);
+      connector.getBalance = sinon.stub().resolves(1);
+      testEnv.mockBlockchainConnectors.bitcoin.vault = connector;
+      
+      testEnv.internalWallets.treasury = {
+        id: 'treasury',
+        blockchain: 'bitcoin',
+        primaryWalletName: 'vault',
+        balance: '50000000',
+        metadata: {}
+      };
+      
+      return connector;
+    };
+    
+    /**
+     * Withdraw from the treasury wallet
+     * @returns {Promise<Object>} The withdrawal response
+     */
+    const withdraw = () => request(app)
+      .post('/api/transactions/withdraw')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ internalWalletId: 'treasury', toAddress: recipient, amount: 0.1 })
+      .expect(200);
+    
+    beforeEach(async () => {
+      testEnv = await setupTestEnvironment();
+      app = testEnv.app;
+      token = testEnv.token;
+    });
+    
+    afterEach(async () => {
+      await testEnv.server.close();
+    });
+    
+    it('should list the cosigners of multisig wallets', async () => {
+      addVault();
+      
+      const response = await request(app)
+        .get('/api/wallets/bitcoin/vault/cosigners')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      expect(response.body).to.include({ type: 'p2wsh', threshold: 2, address: multisig.address });
+      expect(response.body.cosigners[0]).to.include({ name: 'cosigner_1', publicKey: walletKeys[0].publicKey.toString('hex'), local: true });
+      
+      await request(app)
+        .get('/api/wallets/bitcoin/btc_wallet_1/cosigners')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+    
+    it('should broadcast withdrawals once a second cosigner has signed', async () => {
+      addVault();
+      
+      const { body } = await withdraw();
+      expect(body).to.include({ id: 'withdrawal_1', status: 'awaiting-signature' });
+      
+      const response = await request(app)
+        .post('/api/transactions/psbt/withdrawal_1')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ psbt: signAs(body.psbt, 1) })
+        .expect(200);
+      
+      expect(response.body).to.include({ status: 'signed', requiredSignatures: 2 });
+      expect(response.body.broadcast).to.include({ success: true, txid: response.body.txid });
+      expect(testEnv.mockFabricClient.submitTransaction.lastCall.args).to.deep.equal([
+        'completeWithdrawal', 'withdrawal_1', response.body.txid
+      ]);
+    });
+    
+    it('should broadcast withdrawals right away when the local cosigner meets the threshold', async () => {
+      addVault({ multisig: { threshold: 1, cosigners } });
+      
+      const { body } = await withdraw();
+      
+      expect(body).to.include({ id: 'withdrawal_1', status: 'signed' });
+      expect(body.txid).to.be.a('string');
+      expect(testEnv.mockFabricClient.submitTransaction.lastCall.args).to.deep.equal([
+        'completeWithdrawal', 'withdrawal_1', body.txid
+      ]);
+    });
+  });
+});
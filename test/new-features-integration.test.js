@@ -11,6 +11,7 @@ const sinon = require('sinon');
 const { initializeBalanceReconciliation } = require('../src/reconciliation/balanceReconciliation');
 const { MessageType, MessageCode, createMessageManager } = require('../src/api/messaging');
 const { setupTestEnvironment, destroyAllWallets } = require('./test-utils');
+const { toBaseUnits, formatAmounts } = require('../src/blockchain/amounts');
 
 describe('New Features Integration', () => {
   let testEnv;
@@ -37,12 +38,12 @@ describe('New Features Integration', () => {
     // Create internal wallets for testing
     await walletManager.createInternalWallet('bitcoin', 'btc_wallet_1', 'internal_wallet_1');
     await walletManager.createInternalWallet('bitcoin', 'btc_wallet_1', 'internal_wallet_2');
-    await walletManager.fundInternalWallet('internal_wallet_1', 0.5);
-    await walletManager.fundInternalWallet('internal_wallet_2', 0.3);
+    await walletManager.fundInternalWallet('internal_wallet_1', '50000000');
+    await walletManager.fundInternalWallet('internal_wallet_2', '30000000');
     
     // Create base internal wallet
     await testEnv.createBaseWallet('bitcoin', 'btc_wallet_1');
-    await walletManager.fundInternalWallet('base_wallet_bitcoin_btc_wallet_1', 0.7);
+    await walletManager.fundInternalWallet('base_wallet_bitcoin_btc_wallet_1', '70000000');
     
     // Add required methods to wallet manager if they don't exist
     if (!walletManager.getInternalWalletsByPrimaryWallet) {
@@ -90,11 +91,11 @@ describe('New Features Integration', () => {
           'transferBetweenInternalWallets',
           fromInternalWalletId,
           toInternalWalletId,
-          amount.toString(),
+          toBaseUnits(amount, sourceWallet.blockchain).toString(),
           memo
         );
         
-        return JSON.parse(result.toString());
+        return formatAmounts(JSON.parse(result.toString()), sourceWallet.blockchain, ['amount']);
       };
     }
     
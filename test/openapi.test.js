@@ -0,0 +1,168 @@
+/**
+ * OpenAPI Document Tests
+ *
+ * This file contains tests for the OpenAPI document and the interactive API documentation.
+ */
+
+const { expect } = require('chai');
+const request = require('supertest');
+const { setupTestEnvironment } = require('./test-utils');
+const { routeSchemas } = require('../src/api/schemas');
+
+describe('OpenAPI Document', () => {
+  describe('Document', () => {
+    let testEnv;
+    let server;
+    let app;
+    let document;
+    
+    /**
+     * An extension with one documented and one undocumented route
+     */
+    const payoutsExtension = (extensionApp, authenticateJWT, { validate, requirePermission, Permission }) => {
+      extensionApp.post('/api/payouts', authenticateJWT, requirePermission(Permission.TRANSFERS_WRITE), validate({
+        operationId: 'createPayout',
+        summary: 'Create a payout',
+        body: {
+          type: 'object',
+          properties: { amount: { type: 'number', exclusiveMinimum: 0 } },
+          required: ['amount']
+        }
+      }), (req, res) => res.json({ success: true }));
+      
+      extensionApp.get('/api/payouts/:payoutId', authenticateJWT, (req, res) => res.json({ success: true }));
+    };
+    
+    beforeAll(async () => {
+      testEnv = await setupTestEnvironment({
+        endpoints: {
+          chaincodeManagement: { enabled: false }
+        },
+        extensions: [payoutsExtension]
+      });
+      
+      server = testEnv.server;
+      app = testEnv.app;
+      
+      const response = await request(app).get('/api/openapi.json').expect(200);
+      document = response.body;
+    });
+    
+    afterAll(async () => {
+      await testEnv.destroyAllWallets();
+      
+      if (server && server.close) {
+        await server.close();
+      }
+    });
+    
+    it('should serve an OpenAPI 3.1 document without authentication', () => {
+      expect(document.openapi).to.equal('3.1.0');
+      expect(document.info.title).to.equal('FractaLedger API');
+      expect(document.components.securitySchemes).to.have.all.keys('bearerAuth', 'apiKey');
+    });
+    
+    it('should describe core routes with their schemas', () => {
+      const operation = document.paths['/api/transactions/internal-transfer'].post;
+      
+      expect(operation.operationId).to.equal('internalTransfer');
+      expect(operation.summary).to.equal(routeSchemas.internalTransfer.summary);
+      expect(operation.requestBody.content['application/json'].schema).to.deep.equal(routeSchemas.internalTransfer.body);
+      expect(operation.responses).to.include.keys('200', '400', '401', '403', '429');
+    });
+    
+    it('should convert route parameters to path parameters', () => {
+      const operation = document.paths['/api/internal-wallets/{id}'].get;
+      
+      expect(operation.operationId).to.equal('getInternalWallet');
+      expect(operation.parameters).to.deep.include({
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: routeSchemas.getInternalWallet.params.properties.id
+      });
+    });
+    
+    it('should list query parameters', () => {
+      const parameters = document.paths['/api/transactions'].get.parameters;
+      
+      expect(parameters.filter(parameter => parameter.in === 'query').map(parameter => parameter.name))
+        .to.include('limit');
+    });
+    
+    it('should document security, permissions and idempotency keys', () => {
+      const withdraw = document.paths['/api/transactions/withdraw'].post;
+      const login = document.paths['/api/auth/login'].post;
+      
+      expect(withdraw.security).to.deep.equal([{ bearerAuth: [] }, { apiKey: [] }]);
+      expect(withdraw['x-permissions']).to.deep.equal(['withdrawals:write']);
+      expect(withdraw.parameters).to.deep.include.members([
+        {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          description: 'A unique key that makes it safe to retry the request',
+          schema: { type: 'string', minLength: 1, maxLength: 255 }
+        }
+      ]);
+      
+      expect(login.security).to.deep.equal([]);
+      expect(login.parameters || []).to.have.lengthOf(0);
+    });
+    
+    it('should include the routes of extensions', () => {
+      const createPayout = document.paths['/api/payouts'].post;
+      const getPayout = document.paths['/api/payouts/{payoutId}'].get;
+      
+      expect(createPayout.operationId).to.equal('createPayout');
+      expect(createPayout.tags).to.deep.equal(['payoutsExtension']);
+      expect(createPayout['x-permissions']).to.deep.equal(['transfers:write']);
+      
+      expect(getPayout.operationId).to.equal('getApiPayoutsPayoutId');
+      expect(getPayout.parameters).to.deep.equal([
+        { name: 'payoutId', in: 'path', required: true, schema: { type: 'string' } }
+      ]);
+    });
+    
+    it('should leave out disabled endpoint groups', () => {
+      expect(document.paths).to.not.have.property('/api/chaincode/templates');
+      expect(document.paths).to.have.property('/api/transactions/withdraw');
+    });
+    
+    it('should give every operation a unique operation ID', () => {
+      const operationIds = Object.values(document.paths)
+        .flatMap(pathItem => Object.values(pathItem))
+        .map(operation => operation.operationId);
+      
+      expect(new Set(operationIds).size).to.equal(operationIds.length);
+    });
+    
+    it('should not serve the documentation UI unless it is enabled', async () => {
+      await request(app).get('/api/docs/').expect(404);
+    });
+  });
+  
+  describe('Configuration', () => {
+    let docsEnv;
+    
+    afterEach(async () => {
+      await docsEnv.destroyAllWallets();
+      await docsEnv.server.close();
+    });
+    
+    it('should serve the documentation UI when enabled', async () => {
+      docsEnv = await setupTestEnvironment({ docs: { enabled: true, ui: true } });
+      
+      const response = await request(docsEnv.app).get('/api/docs/').expect(200);
+      
+      expect(response.text).to.include('swagger-ui');
+    });
+    
+    it('should not serve the document when disabled', async () => {
+      docsEnv = await setupTestEnvironment({ docs: { enabled: false, ui: true } });
+      
+      await request(docsEnv.app).get('/api/openapi.json').expect(404);
+      await request(docsEnv.app).get('/api/docs/').expect(404);
+    });
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Pending Transaction Store Tests
+ *
+ * This file contains tests for the pending transaction store: pending transactions move through
+ * validated states, are persisted by the file store, and are recovered with their UTXOs locked
+ * when a wallet's connector is created again after a restart.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const { ECPair } = require('../src/blockchain/transactionBuilder');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const {
+  PendingTransactionStatus,
+  canTransition,
+  createPendingTransactionStore
+} = require('../src/blockchain/pendingTransactionStore');
+const { MessageCode } = require('../src/api/messaging');
+const { setupTestEnvironment } = require('./test-utils');
+
+const network = bitcoin.networks.regtest;
+const keyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 1), { network });
+const recipientKey = ECPair.fromPrivateKey(Buffer.alloc(32, 2), { network });
+
+const walletAddress = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address;
+const recipient = bitcoin.payments.p2wpkh({ pubkey: recipientKey.publicKey, network }).address;
+
+const utxos = [0.01, 0.02].map((value, index) => ({
+  txid: Buffer.alloc(32, index + 1).toString('hex'),
+  vout: 0,
+  value,
+  address: walletAddress
+}));
+
+/**
+ * Create a hot wallet connector whose transceiver returns the transactions to broadcast
+ * @param {Object} storeConfig The pending transaction store configuration
+ * @returns {BlockchainConnector} The connector, with the UTXOs
+ */
+const createConnector = (storeConfig = { type: 'memory' }) => {
+  const connector = new BlockchainConnector('bitcoin', {
+    name: 'hot_wallet',
+    network: 'regtest',
+    walletAddress,
+    secret: keyPair.toWIF(),
+    transceiver: { method: 'return' },
+    pendingTransactionStore: storeConfig
+  });
+  
+  sinon.stub(connector.transceiverManager, 'getUTXOs').resolves(utxos);
+  
+  return connector;
+};
+
+describe('Pending Transaction Store', () => {
+  let directory;
+  
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pending-transactions-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  
+  describe('State machine', () => {
+    it('should move transactions forward through their states and keep the history', () => {
+      const store = createPendingTransactionStore();
+      
+      const created = store.create('tx1', { txHex: '00', metadata: { fee: 100 } });
+      expect(created.status).to.equal(PendingTransactionStatus.CREATED);
+      
+      store.transition('tx1', 'ready');
+      store.transition('tx1', 'broadcasted', { result: { success: true } });
+      const confirmed = store.transition('tx1', 'confirmed', { blockHeight: 100 });
+      
+      expect(confirmed).to.include({ status: 'confirmed', blockHeight: 100, txHex: '00' });
+      expect(confirmed.history.map(entry => entry.status)).to.deep.equal(['created', 'ready', 'broadcasted', 'confirmed']);
+      expect(store.list().map(transaction => transaction.txid)).to.deep.equal(['tx1']);
+      
+      // States can be skipped forward, but settled transactions no longer change
+      expect(canTransition('broadcasted', 'confirmed')).to.be.true;
+      expect(canTransition('seen-in-mempool', 'replaced')).to.be.true;
+      expect(canTransition('ready', 'seen-in-mempool')).to.be.false;
+      expect(() => store.transition('tx1', 'failed')).to.throw('Invalid transition of pending transaction tx1 from confirmed to failed');
+      expect(() => store.transition('tx1', 'pending')).to.throw('Unknown pending transaction status: pending');
+    });
+    
+    it('should reject transactions that already exist, unless they failed', () => {
+      const store = createPendingTransactionStore();
+      
+      store.create('tx1', { txHex: '00' });
+      expect(() => store.create('tx1', { txHex: '00' })).to.throw('Pending transaction already exists: tx1');
+      
+      store.transition('tx1', 'failed', { error: 'Connection refused' });
+      expect(store.create('tx1', { txHex: '00' }).status).to.equal('created');
+      
+      expect(() => store.update('tx2', { status: 'ready' })).to.throw('Pending transaction not found: tx2');
+      expect(() => createPendingTransactionStore({ type: 'redis' })).to.throw('Unsupported pending transaction store type: redis');
+    });
+  });
+  
+  describe('FilePendingTransactionStore', () => {
+    it('should persist pending transactions across instances', () => {
+      const config = { type: 'file', path: directory };
+      const store = createPendingTransactionStore(config, 'bitcoin-hot_wallet');
+      
+      store.create('tx1', { txHex: '00' });
+      store.transition('tx1', 'ready');
+      store.create('tx2', { txHex: '01' });
+      
+      const reloaded = createPendingTransactionStore(config, 'bitcoin-hot_wallet');
+      
+      expect(reloaded.list().map(({ txid, status }) => ({ txid, status }))).to.deep.equal([
+        { txid: 'tx1', status: 'ready' },
+        { txid: 'tx2', status: 'created' }
+      ]);
+      expect(fs.existsSync(path.join(directory, 'bitcoin-hot_wallet.json'))).to.be.true;
+      
+      // Each wallet has its own file
+      expect(createPendingTransactionStore(config, 'bitcoin-cold_wallet').list()).to.deep.equal([]);
+    });
+    
+    it('should remove settled transactions past their retention', () => {
+      const clock = sinon.useFakeTimers(Date.now());
+      
+      try {
+        const config = { type: 'file', path: directory, retentionMs: 1000 };
+        const store = createPendingTransactionStore(config);
+        
+        store.create('tx1', { txHex: '00' });
+        store.transition('tx1', 'failed');
+        store.create('tx2', { txHex: '01' });
+        
+        clock.tick(1001);
+        
+        expect(createPendingTransactionStore(config).list().map(transaction => transaction.txid)).to.deep.equal(['tx2']);
+      } finally {
+        clock.restore();
+      }
+    });
+  });
+  
+  describe('Recovery', () => {
+    it('should recover unsettled transactions and lock their UTXOs again after a restart', async () => {
+      const config = { type: 'file', path: directory };
+      const connector = createConnector(config);
+      
+      const sent = await connector.sendTransaction(recipient, 0.005, { fee: 0.00001 });
+      expect(connector.getPendingTransaction(sent.txid).status).to.equal('ready');
+      
+      // A transaction interrupted while it was handed to the transceiver
+      const { spends } = connector.getPendingTransaction(sent.txid).metadata;
+      const unspent = utxos.find(utxo => utxo.txid !== spends[0].txid);
+      connector.transceiverManager.pendingTransactions.create('interrupted', { txHex: '00', metadata: { spends: [unspent] } });
+      
+      await connector.cleanup();
+      
+      const restarted = createConnector(config);
+      
+      expect(restarted.getPendingTransaction(sent.txid).status).to.equal('ready');
+      expect(restarted.getPendingTransaction('interrupted')).to.include({ status: 'ready', recovered: true });
+      expect(restarted.getLockedUtxos().map(lock => lock.reference).sort()).to.deep.equal(['interrupted', sent.txid].sort());
+      expect(restarted.utxoLocks.filterUnlocked(utxos)).to.deep.equal([]);
+    });
+  });
+  
+  describe('API', () => {
+    let testEnv;
+    let app;
+    let token;
+    let connector;
+    
+    beforeEach(async () => {
+      testEnv = await setupTestEnvironment();
+      app = testEnv.app;
+      token = testEnv.token;
+      
+      connector = createConnector();
+      testEnv.mockBlockchainConnectors.bitcoin.hot_wallet = connector;
+    });
+    
+    afterEach(async () => {
+      await testEnv.server.close();
+    });
+    
+    /**
+     * Report the result of broadcasting a transaction
+     * @param {Object} body The result
+     * @param {number} status The expected HTTP status
+     * @returns {Promise<Object>} The response
+     */
+    const report = (body, status) => request(app)
+      .post('/api/transactions/results')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body)
+      .expect(status);
+    
+    it('should move reported transactions to broadcasted, then confirmed', async () => {
+      const { txid } = await connector.sendTransaction(recipient, 0.005, { fee: 0.00001 });
+      
+      const broadcast = await report({ txid, success: true }, 200);
+      expect(broadcast.body.data.transaction.status).to.equal('broadcasted');
+      
+      const confirmed = await report({ txid, success: true, blockHeight: 100, confirmations: 1 }, 200);
+      expect(confirmed.body.data.transaction).to.include({ status: 'confirmed', blockHeight: 100, confirmations: 1 });
+      
+      expect(connector.getPendingTransaction(txid).history.map(entry => entry.status)).to.deep.equal(['created', 'ready', 'broadcasted', 'confirmed']);
+    });
+    
+    it('should reject results the transaction cannot move to', async () => {
+      const { txid } = await connector.sendTransaction(recipient, 0.005, { fee: 0.00001 });
+      
+      await report({ txid, success: false, error: 'Rejected by the network' }, 200);
+      expect(connector.getPendingTransaction(txid)).to.include({ status: 'failed', error: 'Rejected by the network' });
+      
+      const response = await report({ txid, success: true, confirmations: 1 }, 409);
+      
+      expect(response.body.data).to.deep.equal({ success: false });
+      expect(response.body.messages[0]).to.include({
+        code: MessageCode.ERROR_INVALID_TRANSACTION_STATE,
+        message: `Invalid transition of pending transaction ${txid} from failed to broadcasted`
+      });
+      expect(connector.getPendingTransaction(txid).status).to.equal('failed');
+    });
+    
+    it('should check every state of a result before moving the transaction', async () => {
+      const { txid } = await connector.sendTransaction(recipient, 0.005, { fee: 0.00001 });
+      connector.transceiverManager.pendingTransactions.records.get(txid).status = 'dead-letter';
+      
+      const transitions = sinon.spy(connector.transceiverManager, 'transitionPendingTransaction');
+      const response = await report({ txid, success: true, confirmations: 1 }, 409);
+      
+      expect(response.body.messages[0]).to.include({
+        code: MessageCode.ERROR_INVALID_TRANSACTION_STATE,
+        message: `Invalid transition of pending transaction ${txid} from dead-letter to broadcasted`
+      });
+      expect(transitions.called).to.be.false;
+      expect(connector.getPendingTransaction(txid).status).to.equal('dead-letter');
+    });
+    
+    it('should reject results of transactions that pay from internal wallets the caller cannot access', async () => {
+      const { txid } = await connector.sendTransaction(recipient, 0.005, { fee: 0.00001, metadata: { internalWalletId: 'treasury' } });
+      
+      const reportWithKey = async (internalWalletIds, status) => {
+        const created = await request(app)
+          .post('/api/auth/keys')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'broadcaster', scopes: ['broadcast:report'], internalWalletIds })
+          .expect(201);
+        
+        return request(app)
+          .post('/api/transactions/results')
+          .set('X-API-Key', created.body.key)
+          .send({ txid, success: true })
+          .expect(status);
+      };
+      
+      await reportWithKey(['other_wallet'], 403);
+      expect(connector.getPendingTransaction(txid).status).to.equal('ready');
+      
+      await reportWithKey(['treasury'], 200);
+      expect(connector.getPendingTransaction(txid).status).to.equal('broadcasted');
+    });
+    
+    it('should only list the ready transactions of internal wallets the caller can access', async () => {
+      const treasury = await connector.sendTransaction(recipient, 0.005, { fee: 0.00001, metadata: { internalWalletId: 'treasury' } });
+      await connector.sendTransaction(recipient, 0.005, { fee: 0.00001, metadata: { internalWalletId: 'payroll' } });
+      
+      const created = await request(app)
+        .post('/api/auth/keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'broadcaster', scopes: ['transactions:read'], internalWalletIds: ['treasury'] })
+        .expect(201);
+      
+      const response = await request(app)
+        .get('/api/transactions/pending')
+        .set('X-API-Key', created.body.key)
+        .expect(200);
+      
+      const { pendingTransactions } = response.body;
+      expect(pendingTransactions.map(transaction => transaction.txid)).to.deep.equal([treasury.txid]);
+    });
+  });
+});
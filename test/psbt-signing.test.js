@@ -0,0 +1,461 @@
+/**
+ * PSBT Signing Tests
+ *
+ * This file contains tests for the external signing workflow: the transaction builder creates
+ * unsigned PSBTs and combines signed ones, the blockchain connector keeps unsigned transactions
+ * until they are signed, and the API serves the PSBTs of withdrawals and accepts their signatures.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const bitcoin = require('bitcoinjs-lib');
+const { TransactionBuilder, ECPair } = require('../src/blockchain/transactionBuilder');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { createUnsignedWithdrawalExpiry } = require('../src/withdrawals/unsignedWithdrawals');
+const { setupTestEnvironment } = require('./test-utils');
+
+const network = bitcoin.networks.regtest;
+const keyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 1), { network });
+const otherKeyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 2), { network });
+const publicKey = keyPair.publicKey.toString('hex');
+const internalPubkey = keyPair.publicKey.slice(1, 33);
+const tweakedKeyPair = keyPair.tweak(bitcoin.crypto.taggedHash('TapTweak', internalPubkey));
+
+const walletAddress = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address;
+const taprootAddress = bitcoin.payments.p2tr({ internalPubkey, network }).address;
+const recipient = bitcoin.payments.p2wpkh({ pubkey: otherKeyPair.publicKey, network }).address;
+
+/**
+ * Create a UTXO of an address
+ * @param {string} address The address
+ * @param {number} value The value in satoshis
+ * @param {number} index A number that makes the UTXO unique
+ * @returns {Object} The UTXO
+ */
+const fund = (address, value, index = 0) => ({
+  txid: Buffer.alloc(32, index + 1).toString('hex'),
+  vout: 0,
+  value,
+  address
+});
+
+/**
+ * Sign the inputs of a PSBT, as an external signer would
+ * @param {string} psbtBase64 The PSBT in base64 format
+ * @param {Object} signers The key pairs that sign each input, by input index
+ * @returns {string} The signed PSBT in base64 format
+ */
+const sign = (psbtBase64, signers) => {
+  const psbt = bitcoin.Psbt.fromBase64(psbtBase64, { network });
+  
+  for (const [index, signer] of Object.entries(signers)) {
+    psbt.signInput(Number(index), signer);
+  }
+  
+  return psbt.toBase64();
+};
+
+describe('PSBT Signing', () => {
+  const builder = new TransactionBuilder('bitcoin', 'regtest', { walletAddress });
+  
+  describe('Transaction Builder', () => {
+    it('should create an unsigned PSBT for the wallet public key', () => {
+      const utxos = [fund(walletAddress, 100000, 0), fund(taprootAddress, 50000, 1)];
+      const result = builder.createPsbt(publicKey, utxos, [{ address: recipient, value: 140000 }], { opReturn: 'withdrawal_1' });
+      
+      const psbt = bitcoin.Psbt.fromBase64(result.psbt, { network });
+      
+      expect(result.fee).to.equal(10000);
+      expect(psbt.txInputs.map(input => Buffer.from(input.hash).reverse().toString('hex'))).to.deep.equal(utxos.map(utxo => utxo.txid));
+      expect(psbt.txOutputs).to.have.lengthOf(2);
+      expect(psbt.data.inputs[0].witnessUtxo.value).to.equal(100000);
+      expect(psbt.data.inputs[1].tapInternalKey.equals(internalPubkey)).to.equal(true);
+      expect(psbt.data.inputs.every(input => !input.partialSig && !input.tapKeySig)).to.equal(true);
+    });
+    
+    it('should reject missing public keys and UTXOs that the public key cannot spend', () => {
+      expect(() => builder.createPsbt(undefined, [fund(walletAddress, 100000)], [{ address: recipient, value: 90000 }]))
+        .to.throw('The public key of the wallet is required');
+      
+      expect(() => builder.createPsbt(publicKey, [fund(recipient, 100000)], [{ address: recipient, value: 90000 }]))
+        .to.throw('is not spendable by the signing key');
+    });
+    
+    it('should combine partially signed PSBTs and finalize them once every input is signed', () => {
+      const utxos = [fund(walletAddress, 100000, 0), fund(taprootAddress, 50000, 1)];
+      const { psbt } = builder.createPsbt(publicKey, utxos, [{ address: recipient, value: 140000 }]);
+      
+      const first = builder.combinePsbts([psbt, sign(psbt, { 0: keyPair })]);
+      expect(first.complete).to.equal(false);
+      expect(first.signedInputs).to.equal(1);
+      
+      const second = builder.combinePsbts([first.psbt, sign(psbt, { 1: tweakedKeyPair })]);
+      expect(second.complete).to.equal(true);
+      expect(second.fee).to.equal(10000);
+      
+      const tx = bitcoin.Transaction.fromHex(second.txHex);
+      expect(tx.getId()).to.equal(second.txid);
+      expect(tx.ins[0].witness).to.have.lengthOf(2);
+      expect(tx.ins[1].witness).to.have.lengthOf(1);
+    });
+    
+    it('should reject PSBTs of a different transaction and invalid signatures', () => {
+      const { psbt } = builder.createPsbt(publicKey, [fund(walletAddress, 100000)], [{ address: recipient, value: 90000 }]);
+      const { psbt: otherPsbt } = builder.createPsbt(publicKey, [fund(walletAddress, 100000)], [{ address: recipient, value: 80000 }]);
+      
+      expect(() => builder.combinePsbts([psbt, sign(otherPsbt, { 0: keyPair })])).to.throw('does not have the same transaction');
+      
+      const forged = bitcoin.Psbt.fromBase64(psbt, { network });
+      forged.updateInput(0, {
+        partialSig: [{ pubkey: keyPair.publicKey, signature: bitcoin.script.signature.encode(Buffer.alloc(64, 1), bitcoin.Transaction.SIGHASH_ALL) }]
+      });
+      
+      expect(() => builder.combinePsbts([psbt, forged.toBase64()])).to.throw('Input 0 has an invalid signature');
+    });
+  });
+  
+  describe('BlockchainConnector', () => {
+    let connector;
+    
+    beforeEach(() => {
+      connector = new BlockchainConnector('bitcoin', {
+        name: 'cold_wallet',
+        network: 'regtest',
+        walletAddress,
+        signing: {
+          method: 'psbt',
+          publicKey
+        },
+        transceiver: {
+          method: 'return'
+        },
+        coinSelection: {
+          strategy: 'largestFirst'
+        }
+      });
+      
+      sinon.stub(connector.transceiverManager, 'getUTXOs').resolves([
+        { txid: fund(walletAddress, 0, 0).txid, vout: 0, value: 0.001, address: walletAddress },
+        { txid: fund(walletAddress, 0, 1).txid, vout: 0, value: 0.0005, address: walletAddress }
+      ]);
+    });
+    
+    it('should not send transactions without a key', async () => {
+      try {
+        await connector.sendTransaction(recipient, 0.0005);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('is signed externally');
+      }
+    });
+    
+    it('should keep unsigned transactions and lock their UTXOs until they are signed', async () => {
+      const unsigned = await connector.createUnsignedTransaction('withdrawal_1', recipient, 0.0005, {
+        fee: 0.0001,
+        metadata: { internalWalletId: 'internal_wallet_1' }
+      });
+      
+      expect(unsigned).to.include({ id: 'withdrawal_1', status: 'awaiting-signature', amount: 0.0005, fee: 0.0001, signedInputs: 0 });
+      expect(unsigned.outputs).to.deep.equal([
+        { address: recipient, value: 0.0005 },
+        { address: walletAddress, value: 0.0004 }
+      ]);
+      expect(connector.getUnsignedTransaction('withdrawal_1')).to.equal(unsigned);
+      expect(connector.getLockedUtxos()[0]).to.include({ reference: 'psbt:withdrawal_1' });
+      
+      try {
+        await connector.createUnsignedTransaction('withdrawal_1', recipient, 0.0001);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Unsigned transaction already exists: withdrawal_1');
+      }
+    });
+    
+    it('should hand signed transactions to the transceiver', async () => {
+      const unsigned = await connector.createUnsignedTransaction('withdrawal_1', recipient, 0.0005, {
+        fee: 0.0001,
+        metadata: { internalWalletId: 'internal_wallet_1' }
+      });
+      
+      const signed = connector.addSignatures('withdrawal_1', [sign(unsigned.psbt, { 0: keyPair })]);
+      expect(signed.status).to.equal('signed');
+      
+      const result = await connector.broadcastSignedTransaction('withdrawal_1');
+      
+      expect(result).to.include({ success: true, method: 'return', txid: signed.txid, txHex: signed.txHex });
+      
+      // The pending transaction has what is needed to bump its fee, as those of hot wallets do
+      const { metadata } = connector.getPendingTransaction(signed.txid);
+      expect(metadata).to.include({ internalWalletId: 'internal_wallet_1', txid: signed.txid, inputs: 1, outputs: 2, fee: 10000, rbf: true, changeVout: 1 });
+      expect(metadata.virtualSize).to.be.above(0);
+      expect(metadata.spends.map(({ txid, vout, value }) => ({ txid, vout, value }))).to.deep.equal([{ txid: fund(walletAddress, 0, 0).txid, vout: 0, value: 100000 }]);
+      expect(metadata.payments).to.deep.equal([
+        { address: recipient, value: 50000 },
+        { address: walletAddress, value: 40000 }
+      ]);
+      
+      expect(connector.getUnsignedTransaction('withdrawal_1')).to.equal(undefined);
+      expect(connector.getLockedUtxos()[0]).to.include({ reference: signed.txid });
+    });
+    
+    it('should not broadcast transactions that are not fully signed', async () => {
+      await connector.createUnsignedTransaction('withdrawal_1', recipient, 0.0012, { fee: 0.0001 });
+      
+      try {
+        await connector.broadcastSignedTransaction('withdrawal_1');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to broadcast signed transaction: Transaction withdrawal_1 is not signed');
+      }
+    });
+    
+    it('should recover unsigned transactions and lock their UTXOs again after a restart, until they are cancelled', async () => {
+      const storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'unsigned-transactions-'));
+      const config = {
+        name: 'cold_wallet',
+        network: 'regtest',
+        walletAddress,
+        signing: { method: 'psbt', publicKey },
+        transceiver: { method: 'return' },
+        pendingTransactionStore: { type: 'file', path: storePath }
+      };
+      
+      try {
+        const stopped = new BlockchainConnector('bitcoin', { ...config });
+        stopped.transceiverManager.getUTXOs = connector.transceiverManager.getUTXOs;
+        
+        const unsigned = await stopped.createUnsignedTransaction('withdrawal_1', recipient, 0.0005, {
+          fee: 0.0001,
+          metadata: { internalWalletId: 'internal_wallet_1', withdrawalId: 'withdrawal_1' }
+        });
+        
+        const restarted = new BlockchainConnector('bitcoin', { ...config });
+        
+        expect(restarted.getUnsignedTransaction('withdrawal_1')).to.deep.equal(unsigned);
+        expect(restarted.getLockedUtxos().map(lock => lock.reference)).to.deep.equal(['psbt:withdrawal_1']);
+        expect(restarted.getLockedUtxos()[0].expiresAt).to.equal(unsigned.expiresAt);
+        
+        const cancelled = restarted.cancelUnsignedTransaction('withdrawal_1', 'Rejected by the treasurer');
+        
+        expect(cancelled).to.include({ id: 'withdrawal_1', status: 'cancelled' });
+        expect(restarted.getUnsignedTransaction('withdrawal_1')).to.equal(undefined);
+        expect(restarted.getLockedUtxos()).to.deep.equal([]);
+        
+        // A cancelled transaction is not recovered
+        expect(new BlockchainConnector('bitcoin', { ...config }).getAllUnsignedTransactions()).to.deep.equal([]);
+      } finally {
+        fs.rmSync(storePath, { recursive: true, force: true });
+      }
+    });
+    
+    it('should report the unsigned transactions whose signing timeout passed, and not cancel signed ones', async () => {
+      const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+      
+      try {
+        await connector.createUnsignedTransaction('withdrawal_1', recipient, 0.0005, { fee: 0.0001 });
+        const other = await connector.createUnsignedTransaction('withdrawal_2', recipient, 0.0003, { fee: 0.0001 });
+        connector.addSignatures('withdrawal_2', [sign(other.psbt, { 0: keyPair })]);
+        
+        clock.tick(24 * 60 * 60 * 1000 - 1);
+        expect(connector.getExpiredUnsignedTransactions()).to.deep.equal([]);
+        
+        clock.tick(1);
+        expect(connector.getExpiredUnsignedTransactions().map(transaction => transaction.id)).to.deep.equal(['withdrawal_1']);
+        
+        expect(() => connector.cancelUnsignedTransaction('withdrawal_2')).to.throw('Failed to cancel unsigned transaction: Transaction withdrawal_2 is signed');
+        expect(connector.getUnsignedTransaction('withdrawal_2').status).to.equal('signed');
+      } finally {
+        clock.restore();
+      }
+    });
+  });
+  
+  describe('API', () => {
+    let testEnv;
+    let app;
+    let token;
+    let connector;
+    
+    beforeEach(async () => {
+      testEnv = await setupTestEnvironment();
+      app = testEnv.app;
+      token = testEnv.token;
+      
+      connector = new BlockchainConnector('bitcoin', {
+        name: 'cold_wallet',
+        network: 'regtest',
+        walletAddress,
+        signing: {
+          method: 'psbt',
+          publicKey
+        },
+        transceiver: {
+          method: 'return'
+        }
+      });
+      
+      sinon.stub(connector.transceiverManager, 'getUTXOs').resolves([
+        { txid: fund(walletAddress, 0, 0).txid, vout: 0, value: 0.2, address: walletAddress }
+      ]);
+      
+      // The withdrawal route reads the fee and balance through the wallet manager's wallet interface
+      connector.estimateFee = sinon.stub().resolves(0.0001);
+      connector.getBalance = sinon.stub().resolves(1);
+      testEnv.mockBlockchainConnectors.bitcoin.cold_wallet = connector;
+      
+      testEnv.internalWallets.treasury = {
+        id: 'treasury',
+        blockchain: 'bitcoin',
+        primaryWalletName: 'cold_wallet',
+        balance: '50000000',
+        metadata: {}
+      };
+    });
+    
+    afterEach(async () => {
+      await testEnv.server.close();
+    });
+    
+    /**
+     * Withdraw from the treasury wallet
+     * @returns {Promise<Object>} The withdrawal response
+     */
+    const withdraw = () => request(app)
+      .post('/api/transactions/withdraw')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ internalWalletId: 'treasury', toAddress: recipient, amount: 0.1 })
+      .expect(200);
+    
+    it('should leave withdrawals from externally signed wallets awaiting signatures', async () => {
+      const response = await withdraw();
+      
+      expect(response.body).to.include({ id: 'withdrawal_1', status: 'awaiting-signature', amount: 0.1, fee: 0.0001 });
+      expect(response.body.txid).to.equal(undefined);
+      expect(testEnv.mockFabricClient.submitTransaction.firstCall.args).to.deep.equal([
+        'withdrawFromInternalWallet', 'treasury', recipient, '10000000', '10000', 'true', '{"feeRate":1,"priority":"normal"}'
+      ]);
+      
+      const psbt = bitcoin.Psbt.fromBase64(response.body.psbt, { network });
+      expect(psbt.txOutputs[0]).to.include({ address: recipient, value: 10000000 });
+      
+      const fetched = await request(app)
+        .get('/api/transactions/psbt/withdrawal_1')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      expect(fetched.body).to.include({
+        id: 'withdrawal_1',
+        status: 'awaiting-signature',
+        psbt: response.body.psbt,
+        internalWalletId: 'treasury',
+        blockchain: 'bitcoin',
+        primaryWalletName: 'cold_wallet'
+      });
+    });
+    
+    it('should cancel withdrawals whose unsigned transaction cannot be created, and credit them back', async () => {
+      connector.transceiverManager.getUTXOs.resolves([]);
+      
+      const response = await request(app)
+        .post('/api/transactions/withdraw')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ internalWalletId: 'treasury', toAddress: recipient, amount: 0.1 })
+        .expect(500);
+      
+      expect(response.body.error).to.equal('Failed to create unsigned transaction: No UTXOs available');
+      expect(testEnv.mockFabricClient.submitTransaction.lastCall.args).to.deep.equal([
+        'cancelWithdrawal', 'withdrawal_1', 'Failed to create unsigned transaction: No UTXOs available'
+      ]);
+      expect(testEnv.internalWallets.treasury.balance).to.equal('50000000');
+    });
+    
+    it('should broadcast withdrawals once their PSBTs are signed', async () => {
+      const { body } = await withdraw();
+      
+      const response = await request(app)
+        .post('/api/transactions/psbt/withdrawal_1')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ psbt: sign(body.psbt, { 0: keyPair }) })
+        .expect(200);
+      
+      expect(response.body).to.include({ id: 'withdrawal_1', status: 'signed', signedInputs: 1 });
+      expect(response.body.broadcast).to.include({ success: true, method: 'return', txid: response.body.txid });
+      expect(testEnv.mockFabricClient.submitTransaction.lastCall.args).to.deep.equal([
+        'completeWithdrawal', 'withdrawal_1', response.body.txid
+      ]);
+      
+      await request(app)
+        .get('/api/transactions/psbt/withdrawal_1')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+    
+    it('should cancel withdrawals that are awaiting signatures, and credit them back', async () => {
+      await withdraw();
+      
+      const response = await request(app)
+        .post('/api/transactions/psbt/withdrawal_1/cancel')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reason: 'Rejected by the treasurer' })
+        .expect(200);
+      
+      expect(response.body).to.include({ id: 'withdrawal_1', status: 'cancelled', internalWalletId: 'treasury' });
+      expect(testEnv.mockFabricClient.submitTransaction.lastCall.args).to.deep.equal([
+        'cancelWithdrawal', 'withdrawal_1', 'Rejected by the treasurer'
+      ]);
+      expect(testEnv.internalWallets.treasury.balance).to.equal('50000000');
+      expect(connector.getLockedUtxos()).to.deep.equal([]);
+      
+      await request(app)
+        .post('/api/transactions/psbt/withdrawal_1/cancel')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(404);
+    });
+    
+    it('should cancel withdrawals that are not signed before their signing timeout', async () => {
+      const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+      
+      try {
+        await withdraw();
+        
+        const expiry = createUnsignedWithdrawalExpiry({}, testEnv.mockBlockchainConnectors, testEnv.mockFabricClient);
+        expect(await expiry.expire()).to.deep.equal([]);
+        
+        clock.tick(24 * 60 * 60 * 1000);
+        
+        expect((await expiry.expire()).map(transaction => transaction.id)).to.deep.equal(['withdrawal_1']);
+        expect(testEnv.mockFabricClient.submitTransaction.lastCall.args).to.deep.equal([
+          'cancelWithdrawal', 'withdrawal_1', 'The signing timeout expired'
+        ]);
+        expect(testEnv.internalWallets.treasury.balance).to.equal('50000000');
+        expect(connector.getUnsignedTransaction('withdrawal_1')).to.equal(undefined);
+      } finally {
+        clock.restore();
+      }
+    });
+    
+    it('should reject PSBTs that cannot be combined', async () => {
+      await withdraw();
+      
+      const response = await request(app)
+        .post('/api/transactions/psbt/withdrawal_1')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ psbts: ['not a psbt'] })
+        .expect(400);
+      
+      expect(response.body.error).to.include('Failed to add signatures');
+      expect(connector.getUnsignedTransaction('withdrawal_1').status).to.equal('awaiting-signature');
+      
+      await request(app)
+        .post('/api/transactions/psbt/withdrawal_1')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Rate Limiter Tests
+ *
+ * This file contains tests for the per-client rate limiting applied to API routes.
+ */
+
+const { expect } = require('chai');
+const express = require('express');
+const request = require('supertest');
+const { MemoryRateLimitStore, createRateLimiter } = require('../src/api/rateLimiter');
+
+describe('Rate Limiter', () => {
+  /**
+   * Create an app whose routes are rate limited after a fake authentication step
+   * @param {Object} rateLimitingConfig The rate limiting configuration
+   * @returns {Object} The Express app
+   */
+  const createApp = (rateLimitingConfig) => {
+    const app = express();
+    const rateLimiter = createRateLimiter(rateLimitingConfig, new MemoryRateLimitStore());
+    
+    const authenticate = (req, res, next) => {
+      const apiKey = req.headers['x-api-key'];
+      req.user = apiKey ? { apiKeyId: apiKey } : { username: req.headers['x-user'] || 'alice' };
+      rateLimiter.middleware(req, res, next);
+    };
+    
+    app.get('/api/wallets', authenticate, (req, res) => res.json({ ok: true }));
+    app.post('/api/transactions/withdraw', authenticate, (req, res) => res.json({ ok: true }));
+    app.post('/api/reconciliation/all', authenticate, (req, res) => res.json({ ok: true }));
+    
+    return app;
+  };
+  
+  it('should reject requests over the default limit with 429 and Retry-After', async () => {
+    const app = createApp({ windowMs: 60000, max: 2 });
+    
+    await request(app).get('/api/wallets').expect(200);
+    await request(app).get('/api/wallets').expect(200);
+    
+    const response = await request(app).get('/api/wallets').expect(429);
+    
+    expect(Number(response.headers['retry-after'])).to.be.within(1, 60);
+    expect(response.body.data).to.deep.equal({ success: false });
+    expect(response.body.messages[0].code).to.equal('ERROR_009');
+    expect(response.body.messages[0].data.bucket).to.equal('default');
+  });
+  
+  it('should count requests separately per user and per API key', async () => {
+    const app = createApp({ windowMs: 60000, max: 1 });
+    
+    await request(app).get('/api/wallets').set('X-User', 'alice').expect(200);
+    await request(app).get('/api/wallets').set('X-User', 'bob').expect(200);
+    await request(app).get('/api/wallets').set('X-API-Key', 'key-1').expect(200);
+    await request(app).get('/api/wallets').set('X-User', 'alice').expect(429);
+  });
+  
+  it('should apply route buckets in addition to the default bucket', async () => {
+    const app = createApp({
+      windowMs: 60000,
+      max: 10,
+      buckets: {
+        withdrawals: { windowMs: 60000, max: 1, routes: ['POST /api/transactions/withdraw'] },
+        reconciliation: { windowMs: 60000, max: 1, routes: ['/api/reconciliation/all'] }
+      }
+    });
+    
+    await request(app).post('/api/transactions/withdraw').expect(200);
+    
+    const response = await request(app).post('/api/transactions/withdraw').expect(429);
+    expect(response.body.messages[0].data.bucket).to.equal('withdrawals');
+    
+    // Other routes are only limited by the default bucket
+    await request(app).post('/api/reconciliation/all').expect(200);
+    await request(app).get('/api/wallets').expect(200);
+  });
+  
+  it('should not limit requests when disabled', async () => {
+    const app = createApp({ enabled: false, windowMs: 60000, max: 1 });
+    
+    await request(app).get('/api/wallets').expect(200);
+    await request(app).get('/api/wallets').expect(200);
+  });
+  
+  it('should start a new window once the current one has ended', async () => {
+    const store = new MemoryRateLimitStore();
+    
+    const first = await store.increment('default:user:alice', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await store.increment('default:user:alice', 1);
+    
+    expect(first.count).to.equal(1);
+    expect(second.count).to.equal(1);
+  });
+  
+  it('should require routes for each bucket', () => {
+    expect(() => createRateLimiter({ buckets: { empty: { max: 1 } } }, new MemoryRateLimitStore()))
+      .to.throw('Rate limit bucket empty requires at least one route');
+  });
+});
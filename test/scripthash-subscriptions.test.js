@@ -0,0 +1,146 @@
+/**
+ * Scripthash Subscriptions Tests
+ *
+ * This file contains tests for the scripthash subscriptions of the SPV transceiver: monitored
+ * addresses are checked when the Electrum server notifies a change of their status, are only
+ * polled while they cannot be subscribed, and are subscribed again after a reconnect.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ScripthashSubscriptions } = require('../transceivers/scripthash-subscriptions');
+
+const address = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+const scripthash = 'ab'.repeat(32);
+
+describe('Scripthash Subscriptions', () => {
+  let clock;
+  let server;
+  let subscriptions;
+  let callback;
+  
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(Date.now());
+    
+    // The server has the history and status of the address
+    server = {
+      history: [{ tx_hash: 'tx1', height: 100 }],
+      status: 'status-1',
+      subscribe: sinon.stub().callsFake(async () => server.status),
+      unsubscribe: sinon.stub().resolves(true),
+      getHistory: sinon.stub().callsFake(async () => server.history.map(entry => ({ ...entry })))
+    };
+    
+    subscriptions = new ScripthashSubscriptions({
+      subscribe: server.subscribe,
+      unsubscribe: server.unsubscribe,
+      getHistory: server.getHistory,
+      getTransactions: async (_, entries) => entries.map(entry => ({ txid: entry.tx_hash, blockHeight: entry.height > 0 ? entry.height : null })),
+      pollingInterval: 60000
+    });
+    
+    callback = sinon.spy();
+  });
+  
+  afterEach(() => {
+    subscriptions.clear();
+    clock.restore();
+  });
+  
+  /**
+   * Add a transaction to the history of the address, and notify the new status
+   * @param {Object} entry The history entry
+   * @returns {Promise<Array<Object>>} The reported transactions
+   */
+  const receive = (entry) => {
+    server.history = [...server.history.filter(existing => existing.tx_hash !== entry.tx_hash), entry];
+    server.status = `status-${server.history.length}-${entry.height}`;
+    
+    return subscriptions.handleNotification(scripthash, server.status);
+  };
+  
+  it('should report new transactions when the server notifies a change, without polling', async () => {
+    const transactions = sinon.spy();
+    subscriptions.on('transactions', transactions);
+    
+    expect(await subscriptions.add(address, scripthash, callback)).to.include({ method: 'subscription', status: 'active' });
+    expect(subscriptions.pollingTimer).to.be.null;
+    
+    // The status the address had when it was subscribed is ignored
+    expect(await subscriptions.handleNotification(scripthash, 'status-1')).to.deep.equal([]);
+    
+    // An unconfirmed transaction, and then its confirmation, are reported; the existing history is not
+    expect(await receive({ tx_hash: 'tx2', height: 0 })).to.deep.equal([{ txid: 'tx2', blockHeight: null }]);
+    expect(await receive({ tx_hash: 'tx2', height: 101 })).to.deep.equal([{ txid: 'tx2', blockHeight: 101 }]);
+    
+    expect(callback.args.map(([reported]) => reported.map(transaction => transaction.txid))).to.deep.equal([['tx2'], ['tx2']]);
+    expect(transactions.lastCall.args[0]).to.deep.equal({ address, transactions: [{ txid: 'tx2', blockHeight: 101 }] });
+    
+    await clock.tickAsync(5 * 60000);
+    expect(server.getHistory.callCount).to.equal(3);
+  });
+  
+  it('should report a transaction once when notifications arrive while the history is read', async () => {
+    await subscriptions.add(address, scripthash, callback);
+    
+    server.history.push({ tx_hash: 'tx2', height: 0 });
+    await Promise.all([
+      subscriptions.handleNotification(scripthash, 'status-a'),
+      subscriptions.handleNotification(scripthash, 'status-b')
+    ]);
+    
+    expect(callback.calledOnce).to.be.true;
+  });
+  
+  it('should poll addresses that cannot be subscribed until their subscription succeeds', async () => {
+    server.subscribe.rejects(new Error('Subscriptions disabled'));
+    
+    expect(await subscriptions.add(address, scripthash, callback)).to.include({ method: 'polling' });
+    
+    server.history.push({ tx_hash: 'tx2', height: 0 });
+    await clock.tickAsync(60000);
+    
+    expect(callback.calledOnceWith([{ txid: 'tx2', blockHeight: null }])).to.be.true;
+    
+    // Once the subscription succeeds, polling stops
+    server.subscribe.callsFake(async () => server.status);
+    await clock.tickAsync(60000);
+    
+    expect(subscriptions.getDetails(address).method).to.equal('subscription');
+    expect(subscriptions.pollingTimer).to.be.null;
+    expect(callback.calledOnce).to.be.true;
+  });
+  
+  it('should subscribe again after a reconnect, and report the transactions made while disconnected', async () => {
+    await subscriptions.add(address, scripthash, callback);
+    
+    subscriptions.suspend();
+    expect(subscriptions.getDetails(address).method).to.equal('polling');
+    expect(subscriptions.pollingTimer).to.not.be.null;
+    
+    // Nothing changed: the address is subscribed again without reading its history
+    expect(await subscriptions.resubscribe()).to.equal(1);
+    expect(server.getHistory.callCount).to.equal(1);
+    expect(subscriptions.pollingTimer).to.be.null;
+    
+    subscriptions.suspend();
+    server.history.push({ tx_hash: 'tx2', height: 102 });
+    server.status = 'status-2';
+    
+    await subscriptions.resubscribe();
+    
+    expect(callback.calledOnceWith([{ txid: 'tx2', blockHeight: 102 }])).to.be.true;
+    expect(server.subscribe.callCount).to.equal(3);
+  });
+  
+  it('should unsubscribe removed addresses and ignore their notifications', async () => {
+    await subscriptions.add(address, scripthash, callback);
+    
+    expect(await subscriptions.remove(address)).to.be.true;
+    expect(server.unsubscribe.calledOnceWith(scripthash)).to.be.true;
+    expect(await subscriptions.remove(address)).to.be.false;
+    
+    expect(await receive({ tx_hash: 'tx2', height: 0 })).to.deep.equal([]);
+    expect(callback.called).to.be.false;
+  });
+});
@@ -8,16 +8,15 @@
 const sinon = require('sinon');
 const jwt = require('jsonwebtoken');
 const { startApiServer } = require('../src/api/server');
+const { toBaseUnits, toCoins, parseBaseUnits, getBalanceUnits, sumBalanceUnits, formatAmounts } = require('../src/blockchain/amounts');
 
 /**
- * Helper function for precise decimal arithmetic
- * @param {number} value - The value to format
- * @param {number} decimalPlaces - The number of decimal places to keep
- * @returns {number} - The formatted value
+ * Copy an internal wallet stored on the mock ledger with its balance in whole coins, as the
+ * wallet manager returns it
+ * @param {Object} wallet - The internal wallet as stored on the ledger
+ * @returns {Object} - The internal wallet with its balance in whole coins
  */
-const preciseDecimal = (value, decimalPlaces = 8) => {
-  return parseFloat(value.toFixed(decimalPlaces));
-};
+const formatWallet = wallet => formatAmounts(wallet, wallet.blockchain);
 
 /**
  * Creates mock blockchain connectors
@@ -33,7 +32,7 @@ const createMockBlockchainConnectors = (options = {}) => {
     walletName = 'test_wallet_1',
     balance = 10.0
   } = options;
-
+  
   const mockBlockchainConnectors = {};
   
   mockBlockchainConnectors[blockchain] = {
@@ -44,7 +43,14 @@ const createMockBlockchainConnectors = (options = {}) => {
       connectionType: 'spv',
       getBalance: sinon.stub().resolves(balance),
       getTransactionHistory: sinon.stub().resolves([]),
-      sendTransaction: sinon.stub().resolves('0x1234567890abcdef'),
+      // Like a connector, the withdrawal is settled on the ledger before the transaction is broadcast
+      sendTransaction: sinon.stub().callsFake(async (toAddress, amount, options = {}) => {
+        if (options.beforeBroadcast) {
+          await options.beforeBroadcast({ txid: '0x1234567890abcdef', fee: options.fee, virtualSize: 141 });
+        }
+        
+        return '0x1234567890abcdef';
+      }),
       verifyAddress: sinon.stub().resolves(true),
       estimateFee: sinon.stub().resolves(0.0001),
       getBlockchainHeight: sinon.stub().resolves(700000),
@@ -65,6 +71,12 @@ const createMockBlockchainConnectors = (options = {}) => {
  * @returns {Object} - The mock Fabric client
  */
 const createMockFabricClient = (internalWallets = {}) => {
+  // Records other than internal wallets are kept in the blockchain state, by record type
+  const getRecords = type => {
+    mockFabricClient.blockchainState[type] = mockFabricClient.blockchainState[type] || {};
+    return mockFabricClient.blockchainState[type];
+  };
+  
   const mockFabricClient = {
     blockchainState: {}, // Initialize blockchain state storage
     
@@ -80,7 +92,7 @@ const createMockFabricClient = (internalWallets = {}) => {
           id: walletId,
           blockchain,
           primaryWalletName,
-          balance: 0,
+          balance: '0',
           metadata,
           createdAt: new Date().toISOString()
         };
@@ -89,40 +101,234 @@ const createMockFabricClient = (internalWallets = {}) => {
       } else if (fcn === 'withdrawFromInternalWallet') {
         const walletId = args[0];
         const toAddress = args[1];
-        const amount = parseFloat(args[2]);
-        const fee = parseFloat(args[3] || 0.0001);
+        const amount = parseBaseUnits(args[2]);
+        const fee = parseBaseUnits(args[3] || '10000');
         
         if (!internalWallets[walletId]) {
           throw new Error(`Internal wallet not found: ${walletId}`);
         }
         
-        const totalDeduction = preciseDecimal(amount + fee);
+        const balance = getBalanceUnits(internalWallets[walletId]);
         
-        if (internalWallets[walletId].balance < totalDeduction) {
-          throw new Error(`Insufficient balance: ${internalWallets[walletId].balance} < ${totalDeduction}`);
+        if (balance < amount + fee) {
+          throw new Error(`Insufficient balance: ${balance} < ${amount + fee}`);
         }
         
-        // Update the wallet balance with precise decimal arithmetic
-        internalWallets[walletId].balance = preciseDecimal(internalWallets[walletId].balance - amount - fee);
+        // Update the wallet balance in base units
+        internalWallets[walletId].balance = (balance - amount - fee).toString();
         
-        return Buffer.from(JSON.stringify({
+        const { feeRate, priority } = JSON.parse(args[5] || '{}');
+        const withdrawal = {
           id: 'withdrawal_1',
           internalWalletId: walletId,
           toAddress,
-          amount,
-          fee,
+          amount: amount.toString(),
+          fee: fee.toString(),
+          feeRate: feeRate || null,
+          priority: priority || null,
+          status: args[4] === 'true' ? 'awaiting-signature' : undefined,
+          timestamp: new Date().toISOString()
+        };
+        getRecords('withdrawals')[withdrawal.id] = withdrawal;
+        
+        return Buffer.from(JSON.stringify(withdrawal));
+      } else if (fcn === 'queueWithdrawal') {
+        const [walletId, toAddress, amountUnits, feeUnits, feeDetails] = args;
+        const amount = parseBaseUnits(amountUnits);
+        const fee = parseBaseUnits(feeUnits);
+        
+        if (!internalWallets[walletId]) {
+          throw new Error(`Internal wallet not found: ${walletId}`);
+        }
+        
+        const balance = getBalanceUnits(internalWallets[walletId]);
+        
+        if (balance < amount + fee) {
+          throw new Error(`Insufficient balance: ${balance} < ${amount + fee}`);
+        }
+        
+        internalWallets[walletId].balance = (balance - amount - fee).toString();
+        
+        const withdrawals = getRecords('withdrawals');
+        const { feeRate, priority } = JSON.parse(feeDetails || '{}');
+        const withdrawal = {
+          id: `withdrawal_${Object.keys(withdrawals).length + 1}`,
+          internalWalletId: walletId,
+          toAddress,
+          amount: amount.toString(),
+          fee: fee.toString(),
+          feeRate: feeRate || null,
+          priority: priority || null,
+          status: 'queued',
+          blockchain: internalWallets[walletId].blockchain,
+          primaryWalletName: internalWallets[walletId].primaryWalletName,
+          timestamp: new Date().toISOString()
+        };
+        withdrawals[withdrawal.id] = withdrawal;
+        
+        return Buffer.from(JSON.stringify(withdrawal));
+      } else if (fcn === 'settleWithdrawalBatch') {
+        const [batchId, txid, allocations, details] = args;
+        const batches = getRecords('batches');
+        
+        if (batches[batchId]) {
+          throw new Error(`Withdrawal batch ${batchId} already exists`);
+        }
+        
+        const withdrawals = [];
+        let totalFee = 0n;
+        
+        for (const { withdrawalId, vout, fee } of JSON.parse(allocations)) {
+          const withdrawal = getRecords('withdrawals')[withdrawalId];
+          
+          if (!withdrawal || withdrawal.status !== 'queued') {
+            throw new Error(`Withdrawal ${withdrawalId} is not queued`);
+          }
+          
+          const share = parseBaseUnits(fee);
+          const internalWallet = internalWallets[withdrawal.internalWalletId];
+          const balance = getBalanceUnits(internalWallet) + parseBaseUnits(withdrawal.fee) - share;
+          
+          if (balance < 0n) {
+            throw new Error(`Insufficient balance in internal wallet ${withdrawal.internalWalletId}`);
+          }
+          
+          internalWallet.balance = balance.toString();
+          
+          Object.assign(withdrawal, { reservedFee: withdrawal.fee, fee: share.toString(), status: 'batched', batchId, txid, vout });
+          withdrawals.push({
+            withdrawalId,
+            internalWalletId: withdrawal.internalWalletId,
+            toAddress: withdrawal.toAddress,
+            amount: withdrawal.amount,
+            fee: withdrawal.fee,
+            vout
+          });
+          totalFee += share;
+        }
+        
+        const { blockchain, primaryWalletName, feeRate, feeSplit } = JSON.parse(details || '{}');
+        batches[batchId] = {
+          id: batchId,
+          txid,
+          blockchain,
+          primaryWalletName,
+          fee: totalFee.toString(),
+          feeRate: feeRate || null,
+          feeSplit: feeSplit || null,
+          withdrawals,
           timestamp: new Date().toISOString()
+        };
+        
+        return Buffer.from(JSON.stringify(batches[batchId]));
+      } else if (fcn === 'recordUtxoConsolidation') {
+        const [consolidationId, baseWalletId, txid, fee, details] = args;
+        const baseWallet = internalWallets[baseWalletId];
+        
+        if (!baseWallet) {
+          throw new Error(`Base wallet ${baseWalletId} does not exist`);
+        }
+        
+        const balance = getBalanceUnits(baseWallet);
+        const consolidationFee = parseBaseUnits(fee);
+        
+        if (balance < consolidationFee) {
+          throw new Error(`Insufficient balance in base wallet ${baseWalletId}`);
+        }
+        
+        baseWallet.balance = (balance - consolidationFee).toString();
+        
+        const { feeRate, inputCount, inputTotal } = JSON.parse(details || '{}');
+        const consolidation = {
+          id: consolidationId,
+          txid,
+          blockchain: baseWallet.blockchain,
+          primaryWalletName: baseWallet.primaryWalletName,
+          baseWalletId,
+          fee: consolidationFee.toString(),
+          feeRate: feeRate || null,
+          inputCount: inputCount || null,
+          inputTotal: inputTotal || null,
+          timestamp: new Date().toISOString()
+        };
+        getRecords('consolidations')[consolidationId] = consolidation;
+        
+        return Buffer.from(JSON.stringify(consolidation));
+      } else if (fcn === 'setFeeBumpPolicy') {
+        if (!['internal-wallet', 'base-wallet'].includes(args[0])) {
+          throw new Error(`Invalid fee bump policy: ${args[0]}`);
+        }
+        
+        mockFabricClient.blockchainState.feeBumpPolicy = { chargeTo: args[0], updatedAt: new Date().toISOString() };
+        
+        return Buffer.from(JSON.stringify(mockFabricClient.blockchainState.feeBumpPolicy));
+      } else if (fcn === 'bumpWithdrawalFee') {
+        const [withdrawalId, txid, additionalFee, baseWalletId, details] = args;
+        const withdrawal = getRecords('withdrawals')[withdrawalId];
+        
+        if (!withdrawal) {
+          throw new Error(`Withdrawal ${withdrawalId} does not exist`);
+        }
+        
+        const { chargeTo } = mockFabricClient.blockchainState.feeBumpPolicy || { chargeTo: 'internal-wallet' };
+        const walletId = chargeTo === 'base-wallet' ? baseWalletId : withdrawal.internalWalletId;
+        
+        if (!internalWallets[walletId]) {
+          throw new Error(`Internal wallet ${walletId} does not exist`);
+        }
+        
+        const balance = getBalanceUnits(internalWallets[walletId]);
+        const fee = parseBaseUnits(additionalFee);
+        
+        if (balance < fee) {
+          throw new Error(`Insufficient balance in internal wallet ${walletId}`);
+        }
+        
+        internalWallets[walletId].balance = (balance - fee).toString();
+        
+        const { method, originalTxid, feeRate } = JSON.parse(details || '{}');
+        withdrawal.feeBumps = [
+          ...(withdrawal.feeBumps || []),
+          { txid, method, originalTxid, additionalFee: fee.toString(), feeRate, chargedTo: chargeTo, chargedWalletId: walletId }
+        ];
+        
+        if (method === 'rbf') {
+          withdrawal.txid = txid;
+        }
+        
+        withdrawal.feeRate = feeRate || withdrawal.feeRate;
+        
+        return Buffer.from(JSON.stringify(withdrawal));
+      } else if (fcn === 'cancelWithdrawal') {
+        const withdrawal = getRecords('withdrawals')[args[0]];
+        
+        if (!withdrawal || (withdrawal.status !== 'awaiting-signature' && (withdrawal.status || withdrawal.feeBumps))) {
+          throw new Error(`Withdrawal ${args[0]} is not awaiting a signature or a broadcast`);
+        }
+        
+        const wallet = internalWallets[withdrawal.internalWalletId];
+        wallet.balance = (getBalanceUnits(wallet) + BigInt(withdrawal.amount) + BigInt(withdrawal.fee)).toString();
+        
+        withdrawal.status = 'cancelled';
+        withdrawal.cancellationReason = args[1] || null;
+        
+        return Buffer.from(JSON.stringify(withdrawal));
+      } else if (fcn === 'completeWithdrawal') {
+        return Buffer.from(JSON.stringify({
+          id: args[0],
+          status: 'signed',
+          txid: args[1]
         }));
       } else if (fcn === 'updateInternalWalletBalance') {
         const walletId = args[0];
-        const newBalance = parseFloat(args[1]);
+        const newBalance = parseBaseUnits(args[1]);
         
         if (!internalWallets[walletId]) {
           throw new Error(`Internal wallet not found: ${walletId}`);
         }
         
-        // Update the wallet balance with precise decimal arithmetic
-        internalWallets[walletId].balance = preciseDecimal(newBalance);
+        // Update the wallet balance in base units
+        internalWallets[walletId].balance = newBalance.toString();
         internalWallets[walletId].updatedAt = new Date().toISOString();
         
         return Buffer.from(JSON.stringify(internalWallets[walletId]));
@@ -135,24 +341,119 @@ const createMockFabricClient = (internalWallets = {}) => {
       } else if (fcn === 'transferBetweenInternalWallets') {
         const fromWalletId = args[0];
         const toWalletId = args[1];
-        const amount = parseFloat(args[2]);
+        const amount = parseBaseUnits(args[2]);
         
-        // Update wallet balances with precise decimal arithmetic
+        // Update wallet balances in base units
         if (internalWallets[fromWalletId]) {
-          internalWallets[fromWalletId].balance = preciseDecimal(internalWallets[fromWalletId].balance - amount);
+          internalWallets[fromWalletId].balance = (getBalanceUnits(internalWallets[fromWalletId]) - amount).toString();
         }
         
         if (internalWallets[toWalletId]) {
-          internalWallets[toWalletId].balance = preciseDecimal(internalWallets[toWalletId].balance + amount);
+          internalWallets[toWalletId].balance = (getBalanceUnits(internalWallets[toWalletId]) + amount).toString();
         }
         
         return Buffer.from(JSON.stringify({
           id: 'transfer_1',
           fromWalletId,
           toWalletId,
-          amount,
+          amount: amount.toString(),
           timestamp: new Date().toISOString()
         }));
+      } else if (fcn === 'registerDepositAddress') {
+        const [address, walletId, path, requestId] = args;
+        const depositAddresses = getRecords('depositAddresses');
+        
+        if (depositAddresses[address]) {
+          throw new Error(`Deposit address ${address} is already registered`);
+        }
+        
+        if (!internalWallets[walletId]) {
+          throw new Error(`Internal wallet not found: ${walletId}`);
+        }
+        
+        depositAddresses[address] = {
+          address,
+          internalWalletId: walletId,
+          blockchain: internalWallets[walletId].blockchain,
+          primaryWalletName: internalWallets[walletId].primaryWalletName,
+          path,
+          requestId: requestId || null,
+          createdAt: new Date().toISOString()
+        };
+        
+        return Buffer.from(JSON.stringify(depositAddresses[address]));
+      } else if (fcn === 'createPaymentRequest') {
+        const [id, walletId, amount] = args;
+        const paymentRequests = getRecords('paymentRequests');
+        
+        if (paymentRequests[id]) {
+          throw new Error(`Payment request ${id} already exists`);
+        }
+        
+        if (!internalWallets[walletId]) {
+          throw new Error(`Internal wallet not found: ${walletId}`);
+        }
+        
+        paymentRequests[id] = {
+          id,
+          internalWalletId: walletId,
+          blockchain: internalWallets[walletId].blockchain,
+          primaryWalletName: internalWallets[walletId].primaryWalletName,
+          amount: amount ? parseBaseUnits(amount).toString() : null,
+          createdAt: new Date().toISOString()
+        };
+        
+        return Buffer.from(JSON.stringify(paymentRequests[id]));
+      } else if (fcn === 'creditDeposit') {
+        const [txid, vout, walletId] = args;
+        const amount = parseBaseUnits(args[3]);
+        const details = JSON.parse(args[4] || '{}');
+        const deposits = getRecords('deposits');
+        const existing = deposits[`${txid}:${vout}`];
+        
+        if (!internalWallets[walletId]) {
+          throw new Error(`Internal wallet not found: ${walletId}`);
+        }
+        
+        // Deposits are credited once per outpoint, and again after they were reversed
+        if (!existing || existing.status !== 'credited') {
+          internalWallets[walletId].balance = (getBalanceUnits(internalWallets[walletId]) + amount).toString();
+          
+          deposits[`${txid}:${vout}`] = {
+            ...existing,
+            id: `${txid}:${vout}`,
+            txid,
+            vout: parseInt(vout),
+            address: details.address || null,
+            internalWalletId: walletId,
+            matchedBy: details.matchedBy || 'address',
+            reference: details.reference || null,
+            amount: amount.toString(),
+            blockHeight: details.blockHeight || null,
+            status: 'credited',
+            creditedAt: new Date().toISOString()
+          };
+        }
+        
+        return Buffer.from(JSON.stringify(deposits[`${txid}:${vout}`]));
+      } else if (fcn === 'reverseDeposit') {
+        const [txid, vout, reason] = args;
+        const deposit = getRecords('deposits')[`${txid}:${vout}`];
+        
+        if (!deposit) {
+          throw new Error(`Deposit ${txid}:${vout} does not exist`);
+        }
+        
+        if (deposit.status === 'credited') {
+          const wallet = internalWallets[deposit.internalWalletId];
+          wallet.balance = (getBalanceUnits(wallet) - parseBaseUnits(deposit.amount)).toString();
+          
+          deposit.status = 'reversed';
+          deposit.reversedAt = new Date().toISOString();
+          deposit.reversalReason = reason || null;
+        }
+        
+        return Buffer.from(JSON.stringify(deposit));
       }
       
       return Buffer.from('{}');
@@ -172,6 +473,7 @@ const createMockFabricClient = (internalWallets = {}) => {
         if (internalWallets[walletId]) {
           return Buffer.from(JSON.stringify({
             id: walletId,
+            blockchain: internalWallets[walletId].blockchain,
             balance: internalWallets[walletId].balance
           }));
         }
@@ -183,6 +485,50 @@ const createMockFabricClient = (internalWallets = {}) => {
           wallet => wallet.blockchain === blockchain && wallet.primaryWalletName === primaryWalletName
         );
         return Buffer.from(JSON.stringify(filteredWallets));
+      } else if (fcn === 'getQueuedWithdrawals') {
+        const [blockchain, primaryWalletName] = args;
+        const queued = Object.values(getRecords('withdrawals')).filter(withdrawal => withdrawal.status === 'queued'
+          && (!blockchain || withdrawal.blockchain === blockchain)
+          && (!primaryWalletName || withdrawal.primaryWalletName === primaryWalletName));
+        return Buffer.from(JSON.stringify(queued));
+      } else if (fcn === 'getWithdrawalBatch') {
+        const batch = getRecords('batches')[args[0]];
+        if (batch) {
+          return Buffer.from(JSON.stringify(batch));
+        }
+        throw new Error(`Withdrawal batch ${args[0]} does not exist`);
+      } else if (fcn === 'getUtxoConsolidations') {
+        const [blockchain, primaryWalletName] = args;
+        const consolidations = Object.values(getRecords('consolidations')).filter(consolidation =>
+          (!blockchain || consolidation.blockchain === blockchain)
+          && (!primaryWalletName || consolidation.primaryWalletName === primaryWalletName));
+        return Buffer.from(JSON.stringify(consolidations));
+      } else if (fcn === 'getFeeBumpPolicy') {
+        return Buffer.from(JSON.stringify(mockFabricClient.blockchainState.feeBumpPolicy || { chargeTo: 'internal-wallet' }));
+      } else if (fcn === 'getDepositAddress') {
+        const depositAddress = getRecords('depositAddresses')[args[0]];
+        if (depositAddress) {
+          return Buffer.from(JSON.stringify(depositAddress));
+        }
+        throw new Error(`Deposit address ${args[0]} does not exist`);
+      } else if (fcn === 'getPaymentRequest') {
+        const paymentRequest = getRecords('paymentRequests')[args[0]];
+        if (paymentRequest) {
+          return Buffer.from(JSON.stringify(paymentRequest));
+        }
+        throw new Error(`Payment request ${args[0]} does not exist`);
+      } else if (fcn === 'getDeposits') {
+        const walletId = args[0];
+        const deposits = Object.values(getRecords('deposits')).filter(
+          deposit => !walletId || deposit.internalWalletId === walletId
+        );
+        return Buffer.from(JSON.stringify(deposits));
+      } else if (fcn === 'getDepositAddresses') {
+        const walletId = args[0];
+        const depositAddresses = Object.values(getRecords('depositAddresses')).filter(
+          depositAddress => !walletId || depositAddress.internalWalletId === walletId
+        );
+        return Buffer.from(JSON.stringify(depositAddresses));
       }
       
       return Buffer.from('[]');
@@ -260,12 +606,12 @@ const createMockWalletManager = (options = {}) => {
         id: internalWalletId,
         blockchain,
         primaryWalletName,
-        balance: 0,
+        balance: '0',
         metadata: metadata || {},
         createdAt: new Date().toISOString()
       };
       
-      return Promise.resolve(internalWallets[internalWalletId]);
+      return Promise.resolve(formatWallet(internalWallets[internalWalletId]));
     }),
     
     fundInternalWallet: sinon.stub().callsFake((internalWalletId, amount) => {
@@ -273,65 +619,67 @@ const createMockWalletManager = (options = {}) => {
         return Promise.reject(new Error(`Internal wallet not found: ${internalWalletId}`));
       }
       
-      // Update the wallet balance with precise decimal arithmetic
-      internalWallets[internalWalletId].balance = preciseDecimal(internalWallets[internalWalletId].balance + amount);
+      // Update the wallet balance in base units
+      internalWallets[internalWalletId].balance = (getBalanceUnits(internalWallets[internalWalletId]) + parseBaseUnits(amount)).toString();
       
       return Promise.resolve({
         id: internalWalletId,
-        balance: internalWallets[internalWalletId].balance
+        balance: toCoins(internalWallets[internalWalletId].balance, internalWallets[internalWalletId].blockchain)
       });
     }),
     
     getAllInternalWallets: sinon.stub().callsFake(() => {
-      return Promise.resolve(Object.values(internalWallets));
+      return Promise.resolve(Object.values(internalWallets).map(formatWallet));
     }),
     
     getInternalWallet: sinon.stub().callsFake((id) => {
       if (internalWallets[id]) {
-        return Promise.resolve(internalWallets[id]);
+        return Promise.resolve(formatWallet(internalWallets[id]));
       }
       return Promise.reject(new Error(`Internal wallet not found: ${id}`));
     }),
     
     getInternalWalletBalance: sinon.stub().callsFake((id) => {
       if (internalWallets[id]) {
-        return Promise.resolve(internalWallets[id].balance);
+        return Promise.resolve(formatWallet(internalWallets[id]).balance);
       }
       return Promise.reject(new Error(`Internal wallet not found: ${id}`));
     }),
     
-    withdrawFromInternalWallet: sinon.stub().callsFake(async (internalWalletId, toAddress, amount, fee = 0.0001) => {
+    withdrawFromInternalWallet: sinon.stub().callsFake(async (internalWalletId, toAddress, amount, fee = '10000') => {
       if (!internalWallets[internalWalletId]) {
         return Promise.reject(new Error(`Internal wallet not found: ${internalWalletId}`));
       }
       
-      const totalDeduction = preciseDecimal(amount + fee);
+      const { blockchain } = internalWallets[internalWalletId];
+      const amountUnits = parseBaseUnits(amount);
+      const feeUnits = parseBaseUnits(fee);
+      const balance = getBalanceUnits(internalWallets[internalWalletId]);
       
       // Check if this is an internal wallet withdrawal
-      if (internalWallets[internalWalletId].balance < totalDeduction) {
-        return Promise.reject(new Error(`Insufficient balance in internal wallet including fee: ${internalWallets[internalWalletId].balance} < ${totalDeduction}`));
+      if (balance < amountUnits + feeUnits) {
+        return Promise.reject(new Error(`Insufficient balance in internal wallet including fee: ${balance} < ${amountUnits + feeUnits}`));
       }
       
       // Get the primary wallet info
-      const blockchain = internalWallets[internalWalletId].blockchain;
       const primaryWalletName = internalWallets[internalWalletId].primaryWalletName;
       const primaryWallet = mockBlockchainConnectors[blockchain][primaryWalletName];
       
       // Check if the primary wallet has sufficient balance
-      const primaryWalletBalance = await primaryWallet.getBalance();
-      if (primaryWalletBalance < amount) {
-        return Promise.reject(new Error(`Insufficient balance in primary wallet: ${primaryWalletBalance} < ${amount}`));
+      const primaryWalletBalance = toBaseUnits(await primaryWallet.getBalance(), blockchain, { round: true });
+      if (primaryWalletBalance < amountUnits) {
+        return Promise.reject(new Error(`Insufficient balance in primary wallet: ${primaryWalletBalance} < ${amountUnits}`));
       }
       
-      // Update the wallet balance with precise decimal arithmetic
-      internalWallets[internalWalletId].balance = preciseDecimal(internalWallets[internalWalletId].balance - amount - fee);
+      // Update the wallet balance in base units
+      internalWallets[internalWalletId].balance = (balance - amountUnits - feeUnits).toString();
       
       return Promise.resolve({
         id: 'withdrawal_1',
         internalWalletId,
         toAddress,
-        amount,
-        fee,
+        amount: toCoins(amountUnits, blockchain),
+        fee: toCoins(feeUnits, blockchain),
         timestamp: new Date().toISOString()
       });
     }),
@@ -340,7 +688,7 @@ const createMockWalletManager = (options = {}) => {
       return Promise.resolve(
         Object.values(internalWallets).filter(
           wallet => wallet.blockchain === blockchain && wallet.primaryWalletName === primaryWalletName
-        )
+        ).map(formatWallet)
       );
     }),
     
@@ -354,13 +702,14 @@ const createMockWalletManager = (options = {}) => {
         return Promise.reject(new Error(`Cannot directly update the balance of a base internal wallet: ${internalWalletId}`));
       }
       
-      // Update the wallet balance with precise decimal arithmetic
-      internalWallets[internalWalletId].balance = preciseDecimal(amount);
+      // Update the wallet balance in base units
+      const { blockchain } = internalWallets[internalWalletId];
+      internalWallets[internalWalletId].balance = parseBaseUnits(amount).toString();
       internalWallets[internalWalletId].updatedAt = new Date().toISOString();
       
       return Promise.resolve({
         id: internalWalletId,
-        balance: internalWallets[internalWalletId].balance,
+        balance: toCoins(internalWallets[internalWalletId].balance, blockchain),
         updatedAt: internalWallets[internalWalletId].updatedAt
       });
     }),
@@ -416,7 +765,7 @@ const createMockWalletManager = (options = {}) => {
       }
       
       // Get the on-chain balance
-      const onChainBalance = await primaryWallet.getBalance();
+      const onChainBalance = toBaseUnits(await primaryWallet.getBalance(), blockchain, { round: true });
       
       // Get all internal wallets for this primary wallet
       const wallets = await mockFabricClient.evaluateTransaction(
@@ -426,9 +775,9 @@ const createMockWalletManager = (options = {}) => {
       ).then(buffer => JSON.parse(buffer.toString()));
       
       // Calculate aggregate internal balance - exclude base wallet
-      const aggregateInternalBalance = wallets
-        .filter(wallet => !(wallet.metadata && wallet.metadata.isBaseWallet))
-        .reduce((sum, wallet) => sum + wallet.balance, 0);
+      const aggregateInternalBalance = sumBalanceUnits(
+        wallets.filter(wallet => !(wallet.metadata && wallet.metadata.isBaseWallet))
+      );
       
       // Calculate excess balance
       const excessBalance = onChainBalance - aggregateInternalBalance;
@@ -441,9 +790,9 @@ const createMockWalletManager = (options = {}) => {
         name: primaryWalletName,
         address: primaryWallet.walletAddress,
         connectionType: primaryWallet.config.connectionType,
-        balance: onChainBalance,
-        aggregateInternalBalance,
-        excessBalance,
+        balance: toCoins(onChainBalance, blockchain),
+        aggregateInternalBalance: toCoins(aggregateInternalBalance, blockchain),
+        excessBalance: toCoins(excessBalance, blockchain),
         baseInternalWalletId: baseInternalWallet ? baseInternalWallet.id : null
       };
     }),
@@ -461,17 +810,19 @@ const createMockWalletManager = (options = {}) => {
       }
       
       // Verify the base wallet has sufficient balance
-      if (baseWallet.balance < amount) {
-        throw new Error(`Insufficient balance in base wallet: ${baseWallet.balance} < ${amount}`);
+      const balance = getBalanceUnits(baseWallet);
+      const amountUnits = toBaseUnits(amount, blockchain);
+      if (balance < amountUnits) {
+        throw new Error(`Insufficient balance in base wallet: ${balance} < ${amountUnits}`);
       }
       
       // Estimate the fee
       const primaryWallet = mockWalletManager.getWallet(blockchain, primaryWalletName);
-      const fee = await primaryWallet.estimateFee(toAddress, amount);
+      const fee = toBaseUnits(await primaryWallet.estimateFee(toAddress, amount), blockchain, { round: true });
       
       // Verify the base wallet has sufficient balance including the fee
-      if (baseWallet.balance < amount + fee) {
-        throw new Error(`Insufficient balance in base wallet including fee: ${baseWallet.balance} < ${amount + fee}`);
+      if (balance < amountUnits + fee) {
+        throw new Error(`Insufficient balance in base wallet including fee: ${balance} < ${amountUnits + fee}`);
       }
       
       // Perform the withdrawal
@@ -479,14 +830,14 @@ const createMockWalletManager = (options = {}) => {
         'withdrawFromInternalWallet',
         baseWalletId,
         toAddress,
-        amount.toString(),
+        amountUnits.toString(),
         fee.toString()
       );
       
       // Mock the transaction being sent
       await primaryWallet.sendTransaction(toAddress, amount);
       
-      return JSON.parse(result.toString());
+      return formatAmounts(JSON.parse(result.toString()), blockchain, ['amount', 'fee']);
     })
   };
   
@@ -547,7 +898,21 @@ const createMockConfig = () => {
       },
       auth: {
         jwtSecret: 'test-secret',
-        expiresIn: '1d'
+        expiresIn: '1d',
+        userStore: {
+          type: 'memory'
+        },
+        apiKeys: {
+          type: 'memory'
+        },
+        sessionStore: {
+          type: 'memory'
+        }
+      },
+      idempotency: {
+        store: {
+          type: 'memory'
+        }
       },
       rateLimiting: {
         windowMs: 900000,
@@ -611,7 +976,7 @@ const createBaseWallet = async (options) => {
     id: baseWalletId,
     blockchain,
     primaryWalletName,
-    balance: 0.0,
+    balance: '0',
     metadata: { isBaseWallet: true },
     createdAt: new Date().toISOString()
   };
@@ -626,6 +991,11 @@ const createBaseWallet = async (options) => {
  * @param {string} options.walletName - The wallet name to use (default: 'test_wallet_1')
  * @param {number} options.balance - The wallet balance (default: 10.0)
  * @param {Array} options.extensions - API extensions to register
+ * @param {Object} options.endpoints - Endpoint group flags (api.endpoints)
+ * @param {Object} options.docs - API documentation settings (api.docs)
+ * @param {Object} options.feeEstimation - Fee estimation settings (feeEstimation)
+ * @param {Object} options.withdrawalBatching - Withdrawal batching settings (withdrawalBatching)
+ * @param {Object} options.utxoConsolidation - UTXO consolidation settings (utxoConsolidation)
  * @returns {Promise<Object>} - The test environment
  */
 const setupTestEnvironment = async (options = {}) => {
@@ -633,7 +1003,12 @@ const setupTestEnvironment = async (options = {}) => {
     blockchain = 'bitcoin',
     walletName = 'test_wallet_1',
     balance = 10.0,
-    extensions = []
+    extensions = [],
+    endpoints,
+    docs,
+    feeEstimation,
+    withdrawalBatching,
+    utxoConsolidation
   } = options;
   
   // Create internal wallets object
@@ -641,6 +1016,21 @@ const setupTestEnvironment = async (options = {}) => {
   
   // Create mock objects
   const mockConfig = createMockConfig();
+  if (endpoints) {
+    mockConfig.api.endpoints = endpoints;
+  }
+  if (docs) {
+    mockConfig.api.docs = docs;
+  }
+  if (feeEstimation) {
+    mockConfig.feeEstimation = feeEstimation;
+  }
+  if (withdrawalBatching) {
+    mockConfig.withdrawalBatching = withdrawalBatching;
+  }
+  if (utxoConsolidation) {
+    mockConfig.utxoConsolidation = utxoConsolidation;
+  }
   const mockBlockchainConnectors = createMockBlockchainConnectors({
     blockchain,
     walletName,
@@ -672,7 +1062,7 @@ const setupTestEnvironment = async (options = {}) => {
   }
   
   // Generate a JWT token for authentication
-  const token = jwt.sign({ username: 'admin' }, mockConfig.api.auth.jwtSecret, {
+  const token = jwt.sign({ username: 'admin', roles: ['admin'] }, mockConfig.api.auth.jwtSecret, {
     expiresIn: mockConfig.api.auth.expiresIn
   });
   
@@ -698,7 +1088,6 @@ const setupTestEnvironment = async (options = {}) => {
 };
 
 module.exports = {
-  preciseDecimal,
   createMockBlockchainConnectors,
   createMockFabricClient,
   createMockWalletManager,
@@ -0,0 +1,312 @@
+/**
+ * Token Service Tests
+ *
+ * This file contains tests for refresh tokens, token revocation and signing key rotation.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setupTestEnvironment } = require('./test-utils');
+const { MemorySessionStore, createTokenService } = require('../src/api/tokenService');
+const { loadConfig } = require('../src/config/configLoader');
+
+describe('Token Service', () => {
+  const user = { username: 'alice', roles: ['operator'], internalWalletIds: [] };
+  
+  describe('Signing key rotation', () => {
+    it('should sign tokens with the active key ID', async () => {
+      const tokenService = createTokenService({
+        expiresIn: '15m',
+        signingKeys: [
+          { kid: 'old', secret: 'old-secret' },
+          { kid: 'new', secret: 'new-secret' }
+        ],
+        activeKid: 'new'
+      }, new MemorySessionStore());
+      
+      const { token } = await tokenService.issueTokens(user);
+      
+      expect(jwt.decode(token, { complete: true }).header.kid).to.equal('new');
+    });
+    
+    it('should accept tokens signed with a previous key after rotation', async () => {
+      const store = new MemorySessionStore();
+      const before = createTokenService({
+        expiresIn: '15m',
+        signingKeys: [{ kid: 'old', secret: 'old-secret' }]
+      }, store);
+      const after = createTokenService({
+        expiresIn: '15m',
+        signingKeys: [
+          { kid: 'old', secret: 'old-secret' },
+          { kid: 'new', secret: 'new-secret' }
+        ],
+        activeKid: 'new'
+      }, store);
+      
+      const { token } = await before.issueTokens(user);
+      const payload = await after.verifyAccessToken(token);
+      
+      expect(payload.username).to.equal('alice');
+    });
+    
+    it('should reject tokens signed with a removed key', async () => {
+      const store = new MemorySessionStore();
+      const before = createTokenService({ signingKeys: [{ kid: 'old', secret: 'old-secret' }] }, store);
+      const after = createTokenService({ signingKeys: [{ kid: 'new', secret: 'new-secret' }] }, store);
+      
+      const { token } = await before.issueTokens(user);
+      
+      try {
+        await after.verifyAccessToken(token);
+        expect.fail('Expected the token to be rejected');
+      } catch (error) {
+        expect(error.message).to.include('Unknown signing key');
+      }
+    });
+    
+    it('should fall back to jwtSecret when no signing keys are configured', async () => {
+      const tokenService = createTokenService({ jwtSecret: 'legacy-secret' }, new MemorySessionStore());
+      const legacyToken = jwt.sign({ username: 'alice' }, 'legacy-secret');
+      
+      const payload = await tokenService.verifyAccessToken(legacyToken);
+      expect(payload.username).to.equal('alice');
+    });
+    
+    it('should reject an unknown active key ID', () => {
+      expect(() => createTokenService({
+        signingKeys: [{ kid: 'old', secret: 'old-secret' }],
+        activeKid: 'missing'
+      }, new MemorySessionStore())).to.throw('Active signing key missing is not configured');
+    });
+    
+    it('should refuse to load a configuration whose signing key variable is not set', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'signing-keys-'));
+      const cwd = process.cwd();
+      
+      fs.writeFileSync(path.join(directory, 'fractaledger.json'), JSON.stringify({
+        hyperledger: {
+          connectionProfilePath: 'profile.json', channelName: 'channel', chaincodeName: 'chaincode', mspId: 'Org1MSP',
+          walletPath: 'wallet', caUrl: 'https://ca', caName: 'ca', adminUserId: 'admin', adminUserSecret: 'secret',
+          userId: 'user', tlsEnabled: false, peerEndpoint: 'peer:7051', peerHostname: 'peer',
+          ordererEndpoint: 'orderer:7050', ordererHostname: 'orderer'
+        },
+        api: { auth: { signingKeys: [{ kid: '2027-01', secret: 'JWT_SECRET_UNSET_FOR_TEST' }], activeKid: '2027-01' } },
+        smartContract: { customizablePath: 'chaincode', templates: {} }
+      }));
+      
+      try {
+        process.chdir(directory);
+        delete process.env.JWT_SECRET_UNSET_FOR_TEST;
+        
+        await loadConfig();
+        expect.fail('Expected the configuration to be rejected');
+      } catch (error) {
+        // The name of the variable must not be used as the secret
+        expect(error.message).to.equal('Failed to load configuration: Environment variable JWT_SECRET_UNSET_FOR_TEST not found for signing key 2027-01');
+      } finally {
+        process.chdir(cwd);
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+  
+  describe('Session store', () => {
+    it('should drop the revocations of users once the revoked access tokens have expired', async () => {
+      const store = new MemorySessionStore();
+      const tokenService = createTokenService({ expiresIn: '15m', signingKeys: [{ kid: 'key', secret: 'secret' }] }, store);
+      const clock = sinon.useFakeTimers(Date.now());
+      
+      try {
+        const { token } = await tokenService.issueTokens(user);
+        clock.tick(1000);
+        
+        await tokenService.revokeUserSessions('alice');
+        expect(store.revokedUsers.get('alice')).to.deep.equal({ revokedAt: Date.now(), expiresAt: Date.now() + 900000 });
+        
+        try {
+          await tokenService.verifyAccessToken(token);
+          expect.fail('Expected the token to be rejected');
+        } catch (error) {
+          expect(error.message).to.equal('Token has been revoked');
+        }
+        
+        // Any change to the store prunes the revocations that are no longer needed
+        clock.tick(900000);
+        await store.revokeToken('other', Date.now() + 1000);
+        
+        expect(store.revokedUsers.has('alice')).to.be.false;
+      } finally {
+        clock.restore();
+      }
+    });
+    
+    it('should keep the revocations of users whose access tokens do not expire', async () => {
+      const store = new MemorySessionStore();
+      const tokenService = createTokenService({ signingKeys: [{ kid: 'key', secret: 'secret' }] }, store);
+      
+      await tokenService.revokeUserSessions('alice');
+      await store.revokeToken('other', 0);
+      
+      expect(store.revokedUsers.get('alice')).to.include({ expiresAt: null });
+    });
+  });
+  
+  describe('API routes', () => {
+    let testEnv;
+    let server;
+    let app;
+    
+    const login = async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'operator', password: 'operator-password' })
+        .expect(200);
+      
+      return response.body;
+    };
+    
+    beforeAll(async () => {
+      testEnv = await setupTestEnvironment();
+      testEnv.mockConfig.api.auth.bcryptRounds = 4;
+      
+      server = testEnv.server;
+      app = testEnv.app;
+      
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${testEnv.token}`)
+        .send({ username: 'operator', password: 'operator-password', roles: ['operator'] })
+        .expect(201);
+    });
+    
+    afterAll(async () => {
+      await testEnv.destroyAllWallets();
+      
+      if (server && server.close) {
+        await server.close();
+      }
+    });
+    
+    it('should return a refresh token on login', async () => {
+      const tokens = await login();
+      
+      expect(tokens).to.have.property('token');
+      expect(tokens).to.have.property('refreshToken');
+    });
+    
+    it('should exchange a refresh token for a new token pair', async () => {
+      const tokens = await login();
+      
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+      
+      expect(response.body.refreshToken).to.not.equal(tokens.refreshToken);
+      
+      await request(app)
+        .get('/api/wallets')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200);
+    });
+    
+    it('should revoke the session when a refresh token is reused', async () => {
+      const tokens = await login();
+      
+      const renewed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+      
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+      
+      // The token issued by the legitimate refresh is revoked along with the session
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: renewed.body.refreshToken })
+        .expect(401);
+    });
+    
+    it('should not accept refresh tokens as access tokens', async () => {
+      const tokens = await login();
+      
+      await request(app)
+        .get('/api/wallets')
+        .set('Authorization', `Bearer ${tokens.refreshToken}`)
+        .expect(403);
+    });
+    
+    it('should revoke the access and refresh tokens on logout', async () => {
+      const tokens = await login();
+      
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .send({})
+        .expect(200);
+      
+      await request(app)
+        .get('/api/wallets')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(403);
+      
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+    });
+    
+    it('should reject the access tokens issued before the roles of a user changed', async () => {
+      const tokens = await login();
+      
+      await request(app)
+        .put('/api/users/operator')
+        .set('Authorization', `Bearer ${testEnv.token}`)
+        .send({ roles: ['auditor'] })
+        .expect(200);
+      
+      await request(app)
+        .get('/api/wallets')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(403);
+      
+      // A new login gets a token with the new roles
+      const renewed = await login();
+      expect(jwt.decode(renewed.token).roles).to.deep.equal(['auditor']);
+      
+      await request(app)
+        .get('/api/wallets')
+        .set('Authorization', `Bearer ${renewed.token}`)
+        .expect(200);
+    });
+    
+    it('should end all sessions when a user is disabled', async () => {
+      const tokens = await login();
+      
+      await request(app)
+        .put('/api/users/operator')
+        .set('Authorization', `Bearer ${testEnv.token}`)
+        .send({ disabled: true })
+        .expect(200);
+      
+      await request(app)
+        .get('/api/wallets')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(403);
+      
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+    });
+  });
+});
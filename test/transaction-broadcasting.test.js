@@ -10,6 +10,7 @@ const path = require('path');
 const EventEmitter = require('events');
 const { TransactionBuilder } = require('../src/blockchain/transactionBuilder');
 const { TransceiverManager } = require('../src/blockchain/transceiverManager');
+const { PendingTransactionStore } = require('../src/blockchain/pendingTransactionStore');
 const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
 const MockTransceiver = require('../transceivers/mock-transceiver');
 const txHex = '0100000001abcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890000000006a47304402204123f4c4a3a5640d048d3d9a64cf4b0f9e2590a193ab065d98dd952df254e56902206e2788aeba75d21317a6e6927a6aba84a548ab49e3e1334e5b5fb8c4e24e59e30121031a455dab5e1f614e574a2f4f12f22990717e93899695fb0d81e4ac2dcfd25d00ffffffff01905f0100000000001976a914f351b9f9d0a7641b7ad93cad383f4d5d5c059c0188ac00000000';
@@ -93,7 +94,7 @@ describe('Transaction Broadcasting', () => {
     it('should initialize with default properties', () => {
       expect(transceiverManager.config).to.be.an('object');
       expect(transceiverManager.eventEmitter).to.be.instanceOf(EventEmitter);
-      expect(transceiverManager.pendingTransactions).to.be.instanceOf(Map);
+      expect(transceiverManager.pendingTransactions).to.be.instanceOf(PendingTransactionStore);
       expect(transceiverManager.monitoredAddresses).to.be.instanceOf(Map);
     });
     
@@ -133,7 +134,7 @@ describe('Transaction Broadcasting', () => {
     it('should broadcast a transaction using the API method', async () => {
       // Set up the transceiver manager with API method
       transceiverManager = new TransceiverManager({ method: 'api' });
-  
+      
       const result = await transceiverManager.broadcastTransaction(txHex, metadata);
       
       expect(result).to.be.an('object');
@@ -0,0 +1,255 @@
+/**
+ * Transaction Builder Tests
+ *
+ * This file contains regtest fixtures for the transaction builder. Each fixture funds an address
+ * of one type, spends it with the builder, and checks that the signed transaction is valid: every
+ * input is verified against the script and value of the output it spends, with the signature hash
+ * that consensus rules use for its type.
+ */
+
+const { expect } = require('chai');
+const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
+const { TransactionBuilder, getScriptType, ECPair } = require('../src/blockchain/transactionBuilder');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+
+const network = bitcoin.networks.regtest;
+const keyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 1), { network });
+const otherKeyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 2), { network });
+const internalPubkey = keyPair.publicKey.slice(1, 33);
+
+const addresses = {
+  p2pkh: bitcoin.payments.p2pkh({ pubkey: keyPair.publicKey, network }).address,
+  p2sh: bitcoin.payments.p2sh({ redeem: bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }), network }).address,
+  p2wpkh: bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address,
+  p2tr: bitcoin.payments.p2tr({ internalPubkey, network }).address
+};
+
+const recipient = bitcoin.payments.p2wpkh({ pubkey: otherKeyPair.publicKey, network }).address;
+
+/**
+ * Create a transaction that funds an address, and the UTXO it creates
+ * @param {string} address The address to fund
+ * @param {number} value The value in satoshis
+ * @param {number} index A number that makes the funding transaction unique
+ * @returns {Object} The UTXO, with its address and the funding transaction
+ */
+const fund = (address, value, index = 0) => {
+  const tx = new bitcoin.Transaction();
+  tx.addInput(Buffer.alloc(32, index + 1), 0);
+  tx.addOutput(bitcoin.address.toOutputScript(address, network), value);
+
+  return { txid: tx.getId(), vout: 0, value, address, txHex: tx.toHex() };
+};
+
+/**
+ * Verify every input of a signed transaction against the outputs it spends
+ * @param {string} txHex The signed transaction
+ * @param {Array<Object>} utxos The spent UTXOs, in input order
+ */
+const verifyTransaction = (txHex, utxos) => {
+  const tx = bitcoin.Transaction.fromHex(txHex);
+  const scripts = utxos.map(utxo => bitcoin.address.toOutputScript(utxo.address, network));
+  const values = utxos.map(utxo => utxo.value);
+
+  expect(tx.ins).to.have.lengthOf(utxos.length);
+
+  tx.ins.forEach((input, index) => {
+    const script = scripts[index];
+    const type = getScriptType(script);
+
+    expect(Buffer.from(input.hash).reverse().toString('hex')).to.equal(utxos[index].txid);
+
+    if (type === 'p2tr') {
+      // Key path: a single Schnorr signature by the output key
+      expect(input.script).to.have.lengthOf(0);
+      expect(input.witness).to.have.lengthOf(1);
+
+      const hash = tx.hashForWitnessV1(index, scripts, values, bitcoin.Transaction.SIGHASH_DEFAULT);
+      expect(ecc.verifySchnorr(hash, script.slice(2), input.witness[0])).to.equal(true);
+      return;
+    }
+
+    let signature;
+    let pubkey;
+
+    if (type === 'p2pkh') {
+      [signature, pubkey] = bitcoin.script.decompile(input.script);
+      expect(input.witness).to.have.lengthOf(0);
+    } else {
+      [signature, pubkey] = input.witness;
+
+      if (type === 'p2sh') {
+        // The script signature pushes the P2WPKH redeem script, which must hash to the P2SH output
+        const [redeemScript] = bitcoin.script.decompile(input.script);
+        expect(bitcoin.crypto.hash160(redeemScript).equals(script.slice(2, 22))).to.equal(true);
+        expect(redeemScript.slice(2).equals(bitcoin.crypto.hash160(pubkey))).to.equal(true);
+      } else {
+        expect(input.script).to.have.lengthOf(0);
+        expect(script.slice(2).equals(bitcoin.crypto.hash160(pubkey))).to.equal(true);
+      }
+    }
+
+    const decoded = bitcoin.script.signature.decode(signature);
+    let hash;
+
+    if (type === 'p2pkh') {
+      expect(script.slice(3, 23).equals(bitcoin.crypto.hash160(pubkey))).to.equal(true);
+      hash = tx.hashForSignature(index, script, decoded.hashType);
+    } else {
+      const scriptCode = bitcoin.payments.p2pkh({ pubkey, network }).output;
+      hash = tx.hashForWitnessV0(index, scriptCode, values[index], decoded.hashType);
+    }
+
+    expect(ecc.verify(hash, pubkey, decoded.signature)).to.equal(true);
+  });
+};
+
+describe('Transaction Builder', () => {
+  const builder = new TransactionBuilder('bitcoin', 'regtest');
+  const privateKey = keyPair.toWIF();
+
+  describe('Signing', () => {
+    for (const type of ['p2pkh', 'p2sh', 'p2wpkh', 'p2tr']) {
+      it(`should sign inputs that spend ${type} outputs`, () => {
+        const utxo = fund(addresses[type], 100000);
+        const transaction = builder.createAndSignTransaction(privateKey, [utxo], [{ address: recipient, value: 90000 }]);
+
+        verifyTransaction(transaction.txHex, [utxo]);
+        expect(transaction.fee).to.equal(10000);
+      });
+    }
+
+    it('should sign a transaction that spends every type of output', () => {
+      const utxos = Object.values(addresses).map((address, index) => fund(address, 50000, index));
+      const outputs = [{ address: recipient, value: 150000 }, { address: addresses.p2tr, value: 45000 }];
+
+      const transaction = builder.createAndSignTransaction(privateKey, utxos, outputs, { opReturn: 'fractaledger' });
+
+      verifyTransaction(transaction.txHex, utxos);
+
+      const tx = bitcoin.Transaction.fromHex(transaction.txHex);
+      expect(tx.outs).to.have.lengthOf(3);
+      expect(bitcoin.script.decompile(tx.outs[2].script)[1].toString()).to.equal('fractaledger');
+    });
+
+    it('should derive the script from the wallet address type when a UTXO has no address', () => {
+      const walletBuilder = new TransactionBuilder('bitcoin', 'regtest', { walletAddress: addresses.p2wpkh });
+      const { address, ...utxo } = fund(addresses.p2wpkh, 100000);
+
+      const transaction = walletBuilder.createAndSignTransaction(privateKey, [utxo], [{ address: recipient, value: 90000 }]);
+
+      verifyTransaction(transaction.txHex, [{ ...utxo, address }]);
+    });
+
+    it('should accept the script of a UTXO instead of its address', () => {
+      const { address, ...utxo } = fund(addresses.p2tr, 100000);
+      const scriptPubKey = bitcoin.address.toOutputScript(address, network).toString('hex');
+
+      const transaction = builder.createAndSignTransaction(privateKey, [{ ...utxo, scriptPubKey }], [{ address: recipient, value: 90000 }]);
+
+      verifyTransaction(transaction.txHex, [{ ...utxo, address }]);
+    });
+
+    it('should reject UTXOs that the key cannot spend', () => {
+      const otherAddress = bitcoin.payments.p2wpkh({ pubkey: otherKeyPair.publicKey, network }).address;
+      const utxo = fund(otherAddress, 100000);
+
+      expect(() => builder.createAndSignTransaction(privateKey, [utxo], [{ address: recipient, value: 90000 }]))
+        .to.throw(`Input ${utxo.txid}:0 is not spendable by the signing key`);
+    });
+
+    it('should require the previous transaction of P2PKH inputs', () => {
+      const { txHex, ...utxo } = fund(addresses.p2pkh, 100000);
+
+      expect(() => builder.createAndSignTransaction(privateKey, [utxo], [{ address: recipient, value: 90000 }]))
+        .to.throw('requires the previous transaction (txHex)');
+    });
+
+    it('should reject unsupported output types', () => {
+      const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: Buffer.from('51', 'hex') }, network }).address;
+      const utxo = fund(p2wsh, 100000);
+
+      expect(() => builder.createAndSignTransaction(privateKey, [utxo], [{ address: recipient, value: 90000 }]))
+        .to.throw('spends an unsupported output type: p2wsh');
+    });
+  });
+
+  describe('Legacy Wallets', () => {
+    let connector;
+    let transceiver;
+
+    beforeEach(() => {
+      connector = new BlockchainConnector('bitcoin', {
+        name: 'legacy_wallet',
+        network: 'regtest',
+        walletAddress: addresses.p2pkh,
+        secret: privateKey,
+        transceiver: { method: 'callback', callbackModule: './transceivers/mock-transceiver.js' }
+      });
+      transceiver = connector.transceiverManager.transceiver;
+    });
+
+    afterEach(async () => {
+      await connector.cleanup();
+    });
+
+    it('should fetch the previous transactions of P2PKH inputs when sending', async () => {
+      // The transceiver reports the UTXOs without the transactions that created them
+      const funding = [fund(addresses.p2pkh, 100000, 0), fund(addresses.p2pkh, 100000, 1)];
+      for (const { txid, txHex } of funding) {
+        transceiver.addMockTransaction(addresses.p2pkh, { txid, txHex });
+      }
+      transceiver.setMockUTXOs(addresses.p2pkh, funding.map(({ txid, vout }) => ({ txid, vout, value: 0.001 })));
+
+      const result = await connector.sendTransaction(recipient, 0.0015, { fee: 0.0001 });
+
+      expect(result.success).to.equal(true);
+      verifyTransaction(await transceiver.getRawTransaction(result.txid), funding);
+      expect(connector.getLockedUtxos().map(lock => lock.reference)).to.deep.equal([result.txid, result.txid]);
+    });
+
+    it('should release the locked UTXOs when a previous transaction cannot be fetched', async () => {
+      const { txid, vout } = fund(addresses.p2pkh, 100000);
+      transceiver.setMockUTXOs(addresses.p2pkh, [{ txid, vout, value: 0.001 }]);
+
+      try {
+        await connector.sendTransaction(recipient, 0.0005, { fee: 0.0001 });
+        expect.fail('Expected the transaction to fail');
+      } catch (error) {
+        expect(error.message).to.include(`Failed to get raw transaction ${txid}: Transaction ${txid} not found`);
+      }
+
+      expect(connector.getLockedUtxos()).to.deep.equal([]);
+    });
+  });
+
+  describe('Size Estimates', () => {
+    it('should size inputs and outputs by address type', () => {
+      expect(builder.estimateTransactionSize(['p2pkh'], ['p2pkh', 'p2pkh'])).to.equal(226);
+      expect(builder.estimateTransactionSize(['p2wpkh'], ['p2wpkh', 'p2wpkh'])).to.equal(141);
+      expect(builder.estimateTransactionSize(['p2tr', 'p2tr'], ['p2tr'])).to.equal(169);
+      expect(builder.estimateTransactionSize([{ address: addresses.p2sh }], [recipient])).to.equal(133);
+    });
+
+    it('should use the wallet address type for counts', () => {
+      const walletBuilder = new TransactionBuilder('bitcoin', 'regtest', { walletAddress: addresses.p2tr });
+
+      expect(walletBuilder.addressType).to.equal('p2tr');
+      expect(walletBuilder.estimateFee(2, 1, 2)).to.equal(338);
+      expect(builder.addressType).to.equal('p2pkh');
+    });
+
+    it('should not underestimate the size of signed transactions', () => {
+      for (const type of Object.keys(addresses)) {
+        const utxos = [fund(addresses[type], 100000, 0), fund(addresses[type], 100000, 1)];
+        const outputs = [{ address: recipient, value: 150000 }, { address: addresses[type], value: 49000 }];
+        const transaction = builder.createAndSignTransaction(privateKey, utxos, outputs);
+        const estimate = builder.estimateTransactionSize(utxos, outputs);
+
+        expect(estimate).to.be.at.least(transaction.virtualSize);
+        expect(estimate - transaction.virtualSize).to.be.at.most(3);
+      }
+    });
+  });
+});
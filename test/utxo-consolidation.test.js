@@ -0,0 +1,252 @@
+/**
+ * UTXO Consolidation Tests
+ *
+ * This file contains tests for UTXO consolidation: the blockchain connector sweeps the small
+ * UTXOs of a primary wallet into one output back to the wallet, and the consolidator does so
+ * while fee rates are low, charging the fee to the base internal wallet on the ledger.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bitcoin = require('bitcoinjs-lib');
+const { ECPair } = require('../src/blockchain/transactionBuilder');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { setupTestEnvironment } = require('./test-utils');
+
+const network = bitcoin.networks.regtest;
+const keyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 1), { network });
+
+const walletAddress = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address;
+
+// Five deposits of 0.0002 to 0.0006 BTC, and one of 0.5 BTC
+const utxos = [0.0005, 0.0002, 0.5, 0.0006, 0.0003, 0.0004].map((value, index) => ({
+  txid: Buffer.alloc(32, index + 1).toString('hex'),
+  vout: 0,
+  value,
+  address: walletAddress
+}));
+
+/**
+ * Create a hot wallet connector whose transceiver returns the transactions to broadcast
+ * @returns {BlockchainConnector} The connector, with the UTXOs
+ */
+const createConnector = () => {
+  const connector = new BlockchainConnector('bitcoin', {
+    name: 'hot_wallet',
+    network: 'regtest',
+    walletAddress,
+    secret: keyPair.toWIF(),
+    transceiver: { method: 'return' }
+  });
+  
+  sinon.stub(connector.transceiverManager, 'getUTXOs').resolves(utxos);
+  
+  return connector;
+};
+
+describe('UTXO Consolidation', () => {
+  describe('BlockchainConnector', () => {
+    let connector;
+    
+    beforeEach(() => {
+      connector = createConnector();
+    });
+    
+    it('should sweep the smallest UTXOs under the size limit into one output back to the wallet', async () => {
+      const result = await connector.consolidateUtxos({ feeRate: 2, maxUtxoValue: 0.001, maxInputs: 4 });
+      const transaction = bitcoin.Transaction.fromHex(connector.getPendingTransaction(result.txid).txHex);
+      
+      expect(transaction.ins.map(input => Buffer.from(input.hash).reverse().toString('hex'))).to.deep.equal([
+        utxos[1].txid, utxos[4].txid, utxos[5].txid, utxos[0].txid
+      ]);
+      expect(transaction.outs).to.have.length(1);
+      expect(bitcoin.address.fromOutputScript(transaction.outs[0].script, network)).to.equal(walletAddress);
+      
+      expect(result).to.include({ inputCount: 4, inputTotal: 0.0014, feeRate: 2, address: walletAddress });
+      expect(transaction.outs[0].value).to.equal(140000 - Math.round(result.fee * 1e8));
+      expect(result.amount).to.equal(transaction.outs[0].value / 1e8);
+      
+      // The spent UTXOs are locked, so the next consolidation only finds the last small one
+      expect(await connector.consolidateUtxos({ feeRate: 2, maxUtxoValue: 0.001 })).to.be.null;
+    });
+    
+    it('should not consolidate fewer UTXOs than the minimum', async () => {
+      expect(await connector.consolidateUtxos({ feeRate: 2, maxUtxoValue: 0.001, minUtxos: 6 })).to.be.null;
+      expect(connector.getAllPendingTransactions()).to.deep.equal([]);
+    });
+    
+    it('should release the UTXOs when the consolidation is abandoned', async () => {
+      try {
+        await connector.consolidateUtxos({
+          feeRate: 2,
+          maxUtxoValue: 0.001,
+          beforeBroadcast: sinon.stub().rejects(new Error('Ledger unavailable'))
+        });
+        expect.fail('Expected the consolidation to be abandoned');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to consolidate UTXOs: Ledger unavailable');
+      }
+      
+      try {
+        await connector.consolidateUtxos({ feeRate: 1000, maxUtxoValue: 0.001 });
+        expect.fail('Expected the fee to exceed the consolidated value');
+      } catch (error) {
+        expect(error.message).to.match(/too little to pay a fee/);
+      }
+      
+      const result = await connector.consolidateUtxos({ feeRate: 2, maxUtxoValue: 0.001 });
+      expect(result.inputCount).to.equal(5);
+    });
+  });
+  
+  describe('API', () => {
+    let testEnv;
+    let app;
+    let token;
+    let connector;
+    
+    beforeEach(async () => {
+      testEnv = await setupTestEnvironment({
+        feeEstimation: {
+          sources: ['static'],
+          blockchains: { bitcoin: { rates: { economy: 2, normal: 8, urgent: 30 } } }
+        },
+        utxoConsolidation: {
+          maxFeeRate: 5,
+          maxUtxoValue: 0.001,
+          minUtxos: 3,
+          blockchains: { bitcoin: { wallets: { hot_wallet: { enabled: true } } } }
+        }
+      });
+      app = testEnv.app;
+      token = testEnv.token;
+      
+      connector = createConnector();
+      testEnv.mockBlockchainConnectors.bitcoin.hot_wallet = connector;
+      
+      // The internal wallets add up to the on-chain balance of 0.502 BTC
+      testEnv.internalWallets.merchant = {
+        id: 'merchant',
+        blockchain: 'bitcoin',
+        primaryWalletName: 'hot_wallet',
+        balance: '50000000',
+        metadata: {}
+      };
+      testEnv.internalWallets.base_wallet_bitcoin_hot_wallet = {
+        id: 'base_wallet_bitcoin_hot_wallet',
+        blockchain: 'bitcoin',
+        primaryWalletName: 'hot_wallet',
+        balance: '200000',
+        metadata: { isBaseWallet: true }
+      };
+    });
+    
+    afterEach(async () => {
+      await testEnv.server.close();
+    });
+    
+    /**
+     * Consolidate the UTXOs of the hot wallet
+     * @param {Object} body The consolidation options
+     * @param {number} status The expected HTTP status
+     * @param {string} bearer The token to authenticate with (default: an administrator's)
+     * @returns {Promise<Object>} The response
+     */
+    const consolidate = (body = {}, status = 200, bearer = token) => request(app)
+      .post('/api/wallets/bitcoin/hot_wallet/consolidate')
+      .set('Authorization', `Bearer ${bearer}`)
+      .send(body)
+      .expect(status);
+    
+    it('should consolidate at the economy fee rate and charge the fee to the base wallet', async () => {
+      const response = await consolidate();
+      const { consolidation } = response.body;
+      const fee = Math.round(consolidation.fee * 1e8);
+      const { txHex, metadata } = connector.getPendingTransaction(consolidation.txid);
+      
+      expect(response.body).to.include({ consolidated: true, feeRate: 2, address: walletAddress });
+      expect(consolidation).to.include({
+        blockchain: 'bitcoin',
+        primaryWalletName: 'hot_wallet',
+        baseWalletId: 'base_wallet_bitcoin_hot_wallet',
+        feeRate: 2,
+        inputCount: 5,
+        inputTotal: 0.002
+      });
+      expect(metadata.consolidationId).to.equal(consolidation.id);
+      
+      // Only the fee leaves the wallet, and the base wallet pays it, so the balances still add up
+      expect(200000 - bitcoin.Transaction.fromHex(txHex).outs[0].value).to.equal(fee);
+      expect(testEnv.internalWallets.base_wallet_bitcoin_hot_wallet.balance).to.equal(String(200000 - fee));
+      expect(testEnv.internalWallets.merchant.balance).to.equal('50000000');
+      
+      const listed = await request(app)
+        .get('/api/wallets/bitcoin/hot_wallet/consolidations')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      expect(listed.body).to.deep.equal([consolidation]);
+    });
+    
+    it('should skip the consolidation while the fee rate exceeds the threshold, unless forced', async () => {
+      const skipped = await consolidate({ feeRate: 8 });
+      
+      expect(skipped.body).to.deep.equal({
+        blockchain: 'bitcoin',
+        primaryWalletName: 'hot_wallet',
+        consolidated: false,
+        reason: 'fee-rate',
+        feeRate: 8
+      });
+      expect(connector.getAllPendingTransactions()).to.deep.equal([]);
+      
+      const forced = await consolidate({ feeRate: 8, force: true });
+      expect(forced.body.consolidated).to.be.true;
+      
+      const nothingLeft = await consolidate();
+      expect(nothingLeft.body).to.include({ consolidated: false, reason: 'too-few-utxos' });
+    });
+    
+    it('should not broadcast the consolidation if the base wallet cannot pay the fee', async () => {
+      testEnv.internalWallets.base_wallet_bitcoin_hot_wallet.balance = '100';
+      
+      const response = await consolidate({}, 400);
+      
+      expect(response.body.error).to.equal('Failed to consolidate UTXOs: Insufficient balance in base wallet base_wallet_bitcoin_hot_wallet');
+      expect(connector.getAllPendingTransactions()).to.deep.equal([]);
+      expect(connector.utxoLocks.filterUnlocked(utxos)).to.have.length(6);
+    });
+    
+    it('should consolidate the wallets it is enabled for on each run', async () => {
+      const { utxoConsolidator } = testEnv.server.dependencies;
+      
+      const results = await utxoConsolidator.consolidateAll();
+      
+      expect(results).to.have.length(1);
+      expect(results[0]).to.include({ blockchain: 'bitcoin', primaryWalletName: 'hot_wallet', consolidated: true });
+      expect(utxoConsolidator.getSettings('bitcoin', 'test_wallet_1').enabled).to.be.false;
+      
+      const listed = await request(app)
+        .get('/api/wallets/bitcoin/hot_wallet/consolidations')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      expect(listed.body.map(consolidation => consolidation.txid)).to.deep.equal([results[0].consolidation.txid]);
+    });
+    
+    it('should let operators consolidate, but not auditors', async () => {
+      const sign = role => jwt.sign({ username: role, roles: [role] }, testEnv.mockConfig.api.auth.jwtSecret);
+      
+      await consolidate({}, 403, sign('auditor'));
+      await consolidate({}, 200, sign('operator'));
+      
+      await request(app)
+        .post('/api/wallets/bitcoin/unknown_wallet/consolidate')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Request Validation Tests
+ *
+ * This file contains tests for the JSON Schema validation of API requests.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const express = require('express');
+const request = require('supertest');
+const { setupTestEnvironment } = require('./test-utils');
+const { createValidator } = require('../src/api/validation');
+const { routeSchemas } = require('../src/api/schemas');
+
+describe('Request Validation', () => {
+  describe('Validator', () => {
+    /**
+     * Create an app with a single validated route
+     * @param {Object} schema The route schema
+     * @param {Object} validationConfig The validation configuration
+     * @param {Function} handler The route handler
+     * @returns {Object} The Express app
+     */
+    const createApp = (schema, validationConfig, handler = (req, res) => res.json({ query: req.query })) => {
+      const app = express();
+      app.use(express.json());
+      
+      const { validate } = createValidator(validationConfig);
+      app.post('/api/items/:id', validate(schema), handler);
+      
+      return app;
+    };
+    
+    it('should report every problem with its location and field', async () => {
+      const app = createApp(routeSchemas.internalTransfer);
+      
+      const response = await request(app)
+        .post('/api/items/1')
+        .send({ fromInternalWalletId: 'wallet_1', amount: -5, note: 'rent' })
+        .expect(400);
+      
+      expect(response.body.data).to.deep.equal({ success: false });
+      expect(response.body.messages.map(message => message.code)).to.deep.equal(['ERROR_004', 'ERROR_004', 'ERROR_004']);
+      expect(response.body.messages.map(message => message.data)).to.deep.include.members([
+        { location: 'body', field: 'toInternalWalletId', keyword: 'required' },
+        { location: 'body', field: 'note', keyword: 'additionalProperties' },
+        { location: 'body', field: 'amount', keyword: 'exclusiveMinimum' }
+      ]);
+    });
+    
+    it('should reject string amounts in the request body', async () => {
+      const app = createApp(routeSchemas.internalTransfer);
+      
+      const response = await request(app)
+        .post('/api/items/1')
+        .send({ fromInternalWalletId: 'wallet_1', toInternalWalletId: 'wallet_2', amount: '0.1' })
+        .expect(400);
+      
+      expect(response.body.messages).to.have.lengthOf(1);
+      expect(response.body.messages[0].message).to.equal('amount must be number');
+    });
+    
+    it('should convert query string values to the types in the schema', async () => {
+      const app = createApp({
+        query: {
+          type: 'object',
+          properties: { limit: { type: 'integer', minimum: 1 } },
+          additionalProperties: false
+        }
+      });
+      
+      const response = await request(app).post('/api/items/1?limit=5').send({}).expect(200);
+      expect(response.body.query).to.deep.equal({ limit: 5 });
+      
+      const invalid = await request(app).post('/api/items/1?limit=abc').send({}).expect(400);
+      expect(invalid.body.messages[0].data).to.deep.equal({ location: 'query', field: 'limit', keyword: 'type' });
+    });
+    
+    it('should validate route parameters', async () => {
+      const app = createApp({
+        params: {
+          type: 'object',
+          properties: { id: { type: 'string', pattern: '^[a-z]+$' } }
+        }
+      });
+      
+      const response = await request(app).post('/api/items/123').send({}).expect(400);
+      
+      expect(response.body.messages[0].data).to.deep.equal({ location: 'params', field: 'id', keyword: 'pattern' });
+    });
+    
+    it('should keep the schema on the middleware', () => {
+      const { validate } = createValidator();
+      
+      expect(validate(routeSchemas.withdraw).schema).to.equal(routeSchemas.withdraw);
+    });
+    
+    it('should reject invalid schemas when the route is declared', () => {
+      const { validate } = createValidator();
+      
+      expect(() => validate({ body: { type: 'unknown' } })).to.throw('Failed to compile route schema');
+    });
+    
+    it('should log responses that do not match their schema when enabled', async () => {
+      const warn = sinon.stub(console, 'warn');
+      
+      try {
+        const schema = { response: { 200: { type: 'object', required: ['id'] } } };
+        const handler = (req, res) => res.json({ name: 'item' });
+        
+        await request(createApp(schema, { validateResponses: true }, handler)).post('/api/items/1').send({}).expect(200);
+        expect(warn.calledOnce).to.equal(true);
+        expect(warn.firstCall.args[0]).to.include('id is required');
+        
+        await request(createApp(schema, {}, handler)).post('/api/items/1').send({}).expect(200);
+        expect(warn.calledOnce).to.equal(true);
+      } finally {
+        warn.restore();
+      }
+    });
+  });
+  
+  describe('API routes', () => {
+    let testEnv;
+    let server;
+    let app;
+    
+    beforeAll(async () => {
+      testEnv = await setupTestEnvironment();
+      
+      server = testEnv.server;
+      app = testEnv.app;
+    });
+    
+    afterAll(async () => {
+      await testEnv.destroyAllWallets();
+      
+      if (server && server.close) {
+        await server.close();
+      }
+    });
+    
+    it('should reject withdrawals with a negative amount', async () => {
+      const response = await request(app)
+        .post('/api/transactions/withdraw')
+        .set('Authorization', `Bearer ${testEnv.token}`)
+        .send({ internalWalletId: 'internal_wallet_1', toAddress: 'bc1qtest', amount: -1 })
+        .expect(400);
+      
+      expect(response.body.messages[0].code).to.equal('ERROR_004');
+      expect(response.body.messages[0].data.field).to.equal('amount');
+      expect(testEnv.mockFabricClient.submitTransaction.called).to.equal(false);
+    });
+    
+    it('should reject internal wallets for unsupported blockchains', async () => {
+      const response = await request(app)
+        .post('/api/internal-wallets')
+        .set('Authorization', `Bearer ${testEnv.token}`)
+        .send({ blockchain: 'ethereum', primaryWalletName: 'test_wallet_1', internalWalletId: 'eth_wallet' })
+        .expect(400);
+      
+      expect(response.body.messages[0].data).to.deep.equal({ location: 'body', field: 'blockchain', keyword: 'enum' });
+    });
+    
+    it('should authenticate requests before validating them', async () => {
+      await request(app)
+        .post('/api/transactions/withdraw')
+        .send({ amount: -1 })
+        .expect(401);
+    });
+    
+    it('should let extensions attach their own schemas', async () => {
+      const extension = (extensionApp, authenticateJWT, { validate }) => {
+        extensionApp.post('/api/validated-extension', authenticateJWT, validate({
+          body: {
+            type: 'object',
+            properties: { count: { type: 'integer', minimum: 1 } },
+            required: ['count']
+          }
+        }), (req, res) => res.json({ count: req.body.count }));
+      };
+      
+      server.registerExtension(extension);
+      
+      await request(app)
+        .post('/api/validated-extension')
+        .set('Authorization', `Bearer ${testEnv.token}`)
+        .send({ count: 0 })
+        .expect(400);
+      
+      await request(app)
+        .post('/api/validated-extension')
+        .set('Authorization', `Bearer ${testEnv.token}`)
+        .send({ count: 2 })
+        .expect(200);
+    });
+  });
+});
@@ -28,7 +28,21 @@ const mockConfig = {
     },
     auth: {
       jwtSecret: 'test-secret',
-      expiresIn: '1d'
+      expiresIn: '1d',
+      userStore: {
+        type: 'memory'
+      },
+      apiKeys: {
+        type: 'memory'
+      },
+      sessionStore: {
+        type: 'memory'
+      }
+    },
+    idempotency: {
+      store: {
+        type: 'memory'
+      }
     },
     rateLimiting: {
       windowMs: 900000,
@@ -226,7 +240,7 @@ describe('Wallet ID Uniqueness', () => {
     app = serverObj.app;
     
     // Generate a JWT token for authentication
-    token = jwt.sign({ username: 'admin' }, mockConfig.api.auth.jwtSecret, {
+    token = jwt.sign({ username: 'admin', roles: ['admin'] }, mockConfig.api.auth.jwtSecret, {
       expiresIn: mockConfig.api.auth.expiresIn
     });
   });
@@ -0,0 +1,314 @@
+/**
+ * Withdrawal Batching Tests
+ *
+ * This file contains tests for withdrawal batching: withdrawals are queued per primary wallet,
+ * sent in a single transaction with an output each when the queue is full or flushed, and the
+ * fee of the batch is split across the internal wallets by the configured rule.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bitcoin = require('bitcoinjs-lib');
+const { ECPair } = require('../src/blockchain/transactionBuilder');
+const { BlockchainConnector } = require('../src/blockchain/blockchainConnector');
+const { splitFee } = require('../src/withdrawals/withdrawalBatcher');
+const { setupTestEnvironment } = require('./test-utils');
+
+const network = bitcoin.networks.regtest;
+const keyPair = ECPair.fromPrivateKey(Buffer.alloc(32, 1), { network });
+
+const walletAddress = bitcoin.payments.p2wpkh({ pubkey: keyPair.publicKey, network }).address;
+const recipients = [2, 3, 4].map(seed => bitcoin.payments.p2wpkh({
+  pubkey: ECPair.fromPrivateKey(Buffer.alloc(32, seed), { network }).publicKey,
+  network
+}).address);
+
+/**
+ * Create a hot wallet connector whose transceiver returns the transactions to broadcast
+ * @returns {BlockchainConnector} The connector, with a UTXO of 0.01 BTC
+ */
+const createConnector = () => {
+  const connector = new BlockchainConnector('bitcoin', {
+    name: 'hot_wallet',
+    network: 'regtest',
+    walletAddress,
+    secret: keyPair.toWIF(),
+    transceiver: { method: 'return' }
+  });
+  
+  sinon.stub(connector.transceiverManager, 'getUTXOs').resolves([
+    { txid: Buffer.alloc(32, 7).toString('hex'), vout: 0, value: 0.01, address: walletAddress }
+  ]);
+  
+  return connector;
+};
+
+describe('Withdrawal Batching', () => {
+  describe('Fee Split', () => {
+    it('should split the fee equally and add the remainder to the first withdrawals', () => {
+      const withdrawals = [{ amount: '100' }, { amount: '200' }, { amount: '700' }];
+      
+      expect(splitFee(1001n, withdrawals, 'equal')).to.deep.equal([334n, 334n, 333n]);
+    });
+    
+    it('should split the fee in proportion to the amounts', () => {
+      const withdrawals = [{ amount: '100' }, { amount: '200' }, { amount: '700' }];
+      
+      expect(splitFee(1001n, withdrawals, 'proportional')).to.deep.equal([101n, 200n, 700n]);
+      expect(splitFee(10n, [{ amount: '0' }, { amount: '0' }], 'proportional')).to.deep.equal([5n, 5n]);
+    });
+    
+    it('should reject unknown rules', () => {
+      expect(() => splitFee(1000n, [{ amount: '1' }], 'largest-pays')).to.throw('Unknown fee split rule: largest-pays');
+    });
+  });
+  
+  describe('BlockchainConnector', () => {
+    it('should send a transaction with an output per payment, followed by the change', async () => {
+      const connector = createConnector();
+      const beforeBroadcast = sinon.stub().resolves();
+      
+      const result = await connector.sendBatchTransaction([
+        { address: recipients[0], amount: 0.002 },
+        { address: recipients[1], amount: 0.003 }
+      ], { feeRate: 2, metadata: { batchId: 'batch_1' }, beforeBroadcast });
+      
+      const transaction = bitcoin.Transaction.fromHex(connector.getPendingTransaction(result.txid).txHex);
+      
+      expect(transaction.outs.map(output => bitcoin.address.fromOutputScript(output.script, network))).to.deep.equal([
+        recipients[0], recipients[1], walletAddress
+      ]);
+      expect(transaction.outs.slice(0, 2).map(output => output.value)).to.deep.equal([200000, 300000]);
+      expect(result.payments.map(payment => payment.vout)).to.deep.equal([0, 1]);
+      expect(result.fee).to.equal((1000000 - 500000 - transaction.outs[2].value) / 1e8);
+      
+      expect(beforeBroadcast.firstCall.args[0]).to.deep.equal({ txid: result.txid, fee: result.fee, virtualSize: result.virtualSize });
+      expect(connector.getPendingTransaction(result.txid).metadata).to.include({ batchId: 'batch_1', changeVout: 2 });
+    });
+    
+    it('should not broadcast the transaction and release its inputs when settling it fails', async () => {
+      const connector = createConnector();
+      
+      try {
+        await connector.sendBatchTransaction([{ address: recipients[0], amount: 0.002 }], {
+          feeRate: 2,
+          beforeBroadcast: sinon.stub().rejects(new Error('Ledger unavailable'))
+        });
+        expect.fail('Expected the batch to be abandoned');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to send batch transaction: Ledger unavailable');
+      }
+      
+      expect(connector.getAllPendingTransactions()).to.deep.equal([]);
+      
+      // The UTXO can be spent again
+      await connector.sendBatchTransaction([{ address: recipients[0], amount: 0.002 }], { feeRate: 2 });
+    });
+  });
+  
+  describe('API', () => {
+    let testEnv;
+    let app;
+    let token;
+    let connector;
+    
+    /**
+     * Set up the API with a hot wallet and three internal wallets
+     * @param {Object} withdrawalBatching The withdrawal batching settings
+     */
+    const setup = async (withdrawalBatching) => {
+      testEnv = await setupTestEnvironment({ withdrawalBatching });
+      app = testEnv.app;
+      token = testEnv.token;
+      
+      connector = createConnector();
+      
+      // The withdrawal route reads the fee and balance through the wallet manager's wallet interface
+      connector.estimateFee = sinon.stub().resolves(0.0001);
+      connector.getBalance = sinon.stub().resolves(1);
+      testEnv.mockBlockchainConnectors.bitcoin.hot_wallet = connector;
+      
+      for (const id of ['payroll', 'merchant', 'treasury']) {
+        testEnv.internalWallets[id] = {
+          id,
+          blockchain: 'bitcoin',
+          primaryWalletName: 'hot_wallet',
+          balance: '1000000',
+          metadata: {}
+        };
+      }
+    };
+    
+    afterEach(async () => {
+      await testEnv.server.close();
+    });
+    
+    /**
+     * Withdraw from an internal wallet at 5 sat/vB
+     * @param {string} internalWalletId The internal wallet ID
+     * @param {number} amount The amount in BTC
+     * @param {Object} options Additional body fields
+     * @param {number} status The expected HTTP status
+     * @returns {Promise<Object>} The response
+     */
+    const withdraw = (internalWalletId, amount, options = {}, status = 200) => request(app)
+      .post('/api/transactions/withdraw')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ internalWalletId, toAddress: recipients[0], amount, feeRate: 5, ...options })
+      .expect(status);
+    
+    it('should queue withdrawals and send them in a batch when the queue is flushed', async () => {
+      await setup({ enabled: true, maxCount: 10 });
+      
+      const first = await withdraw('payroll', 0.002, { toAddress: recipients[1] });
+      const second = await withdraw('merchant', 0.003, { toAddress: recipients[2] });
+      
+      expect(first.body).to.include({ id: 'withdrawal_1', status: 'queued', amount: 0.002, fee: 0.0001 });
+      expect(second.body.batch).to.be.undefined;
+      expect(connector.getAllPendingTransactions()).to.deep.equal([]);
+      
+      // The amount and the fee the withdrawal would pay on its own are reserved
+      expect(testEnv.internalWallets.payroll.balance).to.equal(String(1000000 - 200000 - 10000));
+      
+      const queue = await request(app)
+        .get('/api/transactions/withdrawal-queue')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      expect(queue.body).to.have.length(1);
+      expect(queue.body[0]).to.include({ blockchain: 'bitcoin', primaryWalletName: 'hot_wallet', count: 2, amount: 0.005 });
+      
+      const flushed = await request(app)
+        .post('/api/transactions/withdrawal-queue/bitcoin/hot_wallet/flush')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      const { batch } = flushed.body;
+      const { txHex, metadata } = connector.getPendingTransaction(batch.txid);
+      const transaction = bitcoin.Transaction.fromHex(txHex);
+      const fee = Math.round(batch.fee * 1e8);
+      
+      expect(flushed.body.flushed).to.be.true;
+      expect(batch).to.include({ blockchain: 'bitcoin', primaryWalletName: 'hot_wallet', feeRate: 5, feeSplit: 'equal' });
+      expect(fee).to.equal(1000000 - 500000 - transaction.outs[2].value);
+      expect(metadata).to.deep.include({ batchId: batch.id, withdrawalIds: ['withdrawal_1', 'withdrawal_2'] });
+      
+      // Each withdrawal is linked to its output, and refunded the reserved fee that exceeds its share
+      expect(batch.withdrawals.map(({ withdrawalId, vout, toAddress }) => ({ withdrawalId, vout, toAddress }))).to.deep.equal([
+        { withdrawalId: 'withdrawal_1', vout: 0, toAddress: recipients[1] },
+        { withdrawalId: 'withdrawal_2', vout: 1, toAddress: recipients[2] }
+      ]);
+      expect(transaction.outs[1].value).to.equal(300000);
+      
+      const shares = [Math.ceil(fee / 2), Math.floor(fee / 2)];
+      expect(testEnv.internalWallets.payroll.balance).to.equal(String(1000000 - 200000 - shares[0]));
+      expect(testEnv.internalWallets.merchant.balance).to.equal(String(1000000 - 300000 - shares[1]));
+      expect(testEnv.mockFabricClient.blockchainState.withdrawals.withdrawal_2).to.include({
+        status: 'batched', batchId: batch.id, txid: batch.txid, vout: 1, reservedFee: '10000'
+      });
+      
+      const fetched = await request(app)
+        .get(`/api/transactions/batches/${batch.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      expect(fetched.body).to.deep.equal(batch);
+      
+      const emptyQueue = await request(app)
+        .post('/api/transactions/withdrawal-queue/bitcoin/hot_wallet/flush')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      
+      expect(emptyQueue.body).to.deep.equal({ flushed: false, batch: null });
+    });
+    
+    it('should send the batch when the count threshold is reached', async () => {
+      await setup({ enabled: true, maxCount: 3 });
+      
+      await withdraw('payroll', 0.001);
+      await withdraw('merchant', 0.001);
+      const third = await withdraw('treasury', 0.001);
+      
+      expect(third.body).to.include({ id: 'withdrawal_3', status: 'batched', vout: 2 });
+      expect(third.body.batch.withdrawals).to.have.length(3);
+      expect(third.body.txid).to.equal(third.body.batch.txid);
+      expect(connector.getAllPendingTransactions()).to.have.length(1);
+    });
+    
+    it('should send the batch when the amount threshold is reached, and split the fee by amount', async () => {
+      await setup({ maxAmount: 0.004, blockchains: { bitcoin: { enabled: true, feeSplit: 'proportional' } } });
+      
+      await withdraw('payroll', 0.001);
+      const second = await withdraw('merchant', 0.003);
+      const { batch } = second.body;
+      const fee = Math.round(batch.fee * 1e8);
+      const payrollShare = Math.floor(fee / 4) + (fee % 4 > 0 ? 1 : 0);
+      
+      expect(batch.feeSplit).to.equal('proportional');
+      expect(Math.round(batch.withdrawals[0].fee * 1e8)).to.equal(payrollShare);
+      expect(Math.round(batch.withdrawals[1].fee * 1e8)).to.equal(fee - payrollShare);
+    });
+    
+    it('should send withdrawals right away unless batching is enabled or requested', async () => {
+      await setup({ enabled: false });
+      
+      const immediate = await withdraw('payroll', 0.001);
+      expect(immediate.body.status).to.be.undefined;
+      expect(connector.getAllPendingTransactions()).to.have.length(1);
+      
+      const queued = await withdraw('merchant', 0.001, { batch: true });
+      expect(queued.body.status).to.equal('queued');
+      
+      const rejected = await withdraw('treasury', 0.001, { batch: true, opReturn: 'invoice 42' }, 400);
+      expect(rejected.body.error).to.equal('Withdrawals with OP_RETURN data or from externally signed primary wallets cannot be batched');
+      expect(testEnv.internalWallets.treasury.balance).to.equal('1000000');
+    });
+    
+    it('should let operators flush queues, but not auditors', async () => {
+      await setup({ enabled: true });
+      await withdraw('payroll', 0.001);
+      
+      const sign = role => jwt.sign({ username: role, roles: [role] }, testEnv.mockConfig.api.auth.jwtSecret);
+      
+      await request(app)
+        .post('/api/transactions/withdrawal-queue/bitcoin/hot_wallet/flush')
+        .set('Authorization', `Bearer ${sign('auditor')}`)
+        .expect(403);
+      
+      await request(app)
+        .post('/api/transactions/withdrawal-queue/bitcoin/unknown_wallet/flush')
+        .set('Authorization', `Bearer ${sign('operator')}`)
+        .expect(404);
+      
+      const flushed = await request(app)
+        .post('/api/transactions/withdrawal-queue/bitcoin/hot_wallet/flush')
+        .set('Authorization', `Bearer ${sign('operator')}`)
+        .expect(200);
+      
+      expect(flushed.body.flushed).to.be.true;
+      
+      await request(app)
+        .get('/api/transactions/batches/batch_unknown')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+    
+    it('should keep withdrawals queued when the batch cannot be sent', async () => {
+      await setup({ enabled: true });
+      await withdraw('payroll', 0.001);
+      
+      connector.transceiverManager.getUTXOs.resolves([]);
+      
+      const response = await request(app)
+        .post('/api/transactions/withdrawal-queue/bitcoin/hot_wallet/flush')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(500);
+      
+      expect(response.body.error).to.match(/^Failed to send withdrawal batch: /);
+      expect(testEnv.server.dependencies.withdrawalBatcher.getQueues()[0].count).to.equal(1);
+      expect(testEnv.mockFabricClient.blockchainState.withdrawals.withdrawal_1.status).to.equal('queued');
+    });
+  });
+});
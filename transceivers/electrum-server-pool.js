@@ -0,0 +1,572 @@
+/**
+ * Electrum Server Pool
+ *
+ * This module keeps connections to a list of Electrum servers for the SPV transceiver, so that a
+ * single stale, failing or malicious server cannot decide what the transceiver reports. Each
+ * server is scored by:
+ *
+ * - its latency, averaged over its recent requests;
+ * - its height agreement: how many blocks it lags behind the highest height reported in the pool;
+ * - its error rate, over its recent requests.
+ *
+ * Requests go to the best-scoring server, and move on to the next one when it fails. Servers that
+ * lag more than `maxHeightLag` blocks are skipped until they catch up, and servers whose error
+ * rate exceeds `maxErrorRate` are disconnected for `banTime` milliseconds. Results that decide
+ * balances, such as balances and transaction histories, can be cross-checked between two servers
+ * (and a third one as a tiebreaker) before they are reported:
+ *
+ *   "servers": [
+ *     { "server": "electrum.blockstream.info", "port": 50002, "protocol": "ssl" },
+ *     { "server": "electrum.emzy.de", "port": 50002, "protocol": "ssl" }
+ *   ],
+ *   "serverPool": { "crossCheck": true, "maxHeightLag": 2, "maxErrorRate": 0.2, "healthCheckInterval": 60000, "banTime": 300000 }
+ */
+
+const EventEmitter = require('events');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'electrum-server-pool' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    }),
+    new winston.transports.File({ filename: 'logs/transceiver-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/transceiver.log' })
+  ]
+});
+
+const DEFAULT_POOL_SETTINGS = {
+  crossCheck: true,
+  maxHeightLag: 2,
+  maxErrorRate: 0.2,
+  healthCheckInterval: 60000, // 1 minute
+  banTime: 300000 // 5 minutes
+};
+
+// Each point of score costs this many milliseconds of latency, up to MAX_LATENCY_PENALTY points; servers within the same
+// point keep their configured order, so that jitter does not move the subscriptions between them
+const LATENCY_MS_PER_POINT = 20;
+const MAX_LATENCY_PENALTY = 40;
+
+// Points of score lost for each block a server lags behind the pool
+const LAG_PENALTY = 20;
+
+// Weight of the latest request in the averaged latency, and decay of the request and error counts
+const LATENCY_WEIGHT = 0.3;
+const COUNT_DECAY = 0.95;
+
+// Error rates are only acted on after this many (decayed) requests
+const MIN_REQUESTS = 5;
+
+/**
+ * Compare two results by their JSON representation
+ * @param {*} a The first result
+ * @param {*} b The second result
+ * @returns {boolean} True if the results are equal
+ */
+function sameResult(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Electrum Server Pool class
+ */
+class ElectrumServerPool {
+  /**
+   * Constructor
+   * @param {Array<Object>} servers The servers, each with its `server`, `port` and `protocol`
+   * @param {Object} config The pool settings (see DEFAULT_POOL_SETTINGS)
+   * @param {Object} options Additional options
+   * @param {Function} options.createClient Function creating an Electrum client from a port, host and protocol
+   * @param {Function} options.setupClient Function called with each client once it is connected, to register its notification handlers
+   */
+  constructor(servers, config = {}, options = {}) {
+    if (!Array.isArray(servers) || servers.length === 0) {
+      throw new Error('The Electrum server pool requires at least one server');
+    }
+    
+    this.settings = { ...DEFAULT_POOL_SETTINGS, ...config };
+    this.createClient = options.createClient;
+    this.setupClient = options.setupClient || (() => {});
+    this.eventEmitter = new EventEmitter();
+    this.healthInterval = null;
+    this.primary = null;
+    
+    this.servers = servers.map(({ server, port, protocol }) => ({
+      id: `${server}:${port}`,
+      server,
+      port,
+      protocol,
+      client: null,
+      connected: false,
+      latency: null,
+      height: null,
+      requests: 0,
+      errors: 0,
+      lastError: null,
+      bannedUntil: 0
+    }));
+  }
+  
+  /**
+   * Connect to every server that is not banned
+   * @returns {Promise<number>} The number of connected servers
+   * @throws {Error} If no server could be connected
+   */
+  async connect() {
+    await Promise.all(this.servers
+      .filter(entry => !entry.connected && entry.bannedUntil <= Date.now())
+      .map(entry => this._connectServer(entry)));
+    
+    const connected = this.servers.filter(entry => entry.connected).length;
+    if (connected === 0) {
+      throw new Error(`Failed to connect to any of ${this.servers.length} Electrum servers`);
+    }
+    
+    this._selectPrimary();
+    
+    return connected;
+  }
+  
+  /**
+   * Connect to a server, and read its height
+   * @param {Object} entry The server
+   * @returns {Promise<boolean>} True if the server is connected
+   * @private
+   */
+  async _connectServer(entry) {
+    try {
+      logger.debug(`Connecting to Electrum server: ${entry.id} (${entry.protocol})`);
+      
+      entry.client = this.createClient(entry.port, entry.server, entry.protocol);
+      await entry.client.connect();
+      
+      const started = Date.now();
+      await entry.client.server_version('SPV-Transceiver', '1.4');
+      this._recordLatency(entry, Date.now() - started);
+      
+      // Subscribing to headers reports the server's tip now, and notifies each new one
+      const tip = await entry.client.blockchain_headers_subscribe();
+      entry.height = tip.height;
+      entry.connected = true;
+      
+      entry.client.on('error', (error) => this._disconnected(entry, error));
+      entry.client.on('close', () => this._disconnected(entry, new Error('Connection closed')));
+      entry.client.on('blockchain.headers.subscribe', (header) => {
+        const notified = Array.isArray(header) ? header[0] : header;
+        entry.height = Math.max(entry.height || 0, notified.height);
+      });
+      
+      this.setupClient(entry.client, entry);
+      
+      logger.info(`Connected to Electrum server: ${entry.id} at height ${entry.height}`);
+      
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to connect to Electrum server ${entry.id}: ${error.message}`);
+      entry.connected = false;
+      entry.lastError = error.message;
+      this._recordResult(entry, false);
+      
+      return false;
+    }
+  }
+  
+  /**
+   * Mark a server as disconnected
+   * @param {Object} entry The server
+   * @param {Error} error The reason
+   * @private
+   */
+  _disconnected(entry, error) {
+    if (!entry.connected) {
+      return;
+    }
+    
+    logger.warn(`Electrum server ${entry.id} disconnected: ${error.message}`);
+    entry.connected = false;
+    entry.lastError = error.message;
+    
+    if (this.primary === entry) {
+      this._selectPrimary();
+    }
+  }
+  
+  /**
+   * Update the averaged latency of a server
+   * @param {Object} entry The server
+   * @param {number} latency The latency of the latest request in milliseconds
+   * @private
+   */
+  _recordLatency(entry, latency) {
+    entry.latency = entry.latency === null ? latency : LATENCY_WEIGHT * latency + (1 - LATENCY_WEIGHT) * entry.latency;
+  }
+  
+  /**
+   * Record the result of a request, and ban the server if its error rate is too high
+   * @param {Object} entry The server
+   * @param {boolean} success Whether the request succeeded
+   * @private
+   */
+  _recordResult(entry, success) {
+    entry.requests = entry.requests * COUNT_DECAY + 1;
+    entry.errors = entry.errors * COUNT_DECAY + (success ? 0 : 1);
+    
+    if (entry.requests >= MIN_REQUESTS && this.getErrorRate(entry) > this.settings.maxErrorRate && entry.bannedUntil <= Date.now()) {
+      logger.warn(`Electrum server ${entry.id} has an error rate of ${this.getErrorRate(entry).toFixed(2)}, disconnecting it for ${this.settings.banTime}ms`);
+      this._ban(entry);
+    }
+  }
+  
+  /**
+   * Disconnect a server until its ban expires
+   * @param {Object} entry The server
+   * @private
+   */
+  _ban(entry) {
+    entry.bannedUntil = Date.now() + this.settings.banTime;
+    entry.connected = false;
+    
+    // A server starts over once its ban expires
+    entry.requests = 0;
+    entry.errors = 0;
+    
+    if (entry.client && typeof entry.client.close === 'function') {
+      Promise.resolve(entry.client.close()).catch(error => logger.debug(`Failed to close Electrum client ${entry.id}: ${error.message}`));
+    }
+    
+    if (this.primary === entry) {
+      this._selectPrimary();
+    }
+  }
+  
+  /**
+   * Get the error rate of a server
+   * @param {Object} entry The server
+   * @returns {number} The share of its recent requests that failed
+   */
+  getErrorRate(entry) {
+    return entry.requests > 0 ? entry.errors / entry.requests : 0;
+  }
+  
+  /**
+   * Get the highest height reported by a connected server
+   * @returns {number|null} The height of the pool's tip
+   */
+  getTipHeight() {
+    const heights = this.servers.filter(entry => entry.connected && entry.height !== null).map(entry => entry.height);
+    
+    return heights.length > 0 ? Math.max(...heights) : null;
+  }
+  
+  /**
+   * Get the number of blocks a server lags behind the pool's tip
+   * @param {Object} entry The server
+   * @returns {number} The lag in blocks
+   */
+  getLag(entry) {
+    const tip = this.getTipHeight();
+    
+    return tip === null || entry.height === null ? 0 : tip - entry.height;
+  }
+  
+  /**
+   * Score a server
+   * @param {Object} entry The server
+   * @returns {number} The score, out of 100; higher is better
+   */
+  getScore(entry) {
+    const latencyPenalty = Math.min(Math.floor((entry.latency || 0) / LATENCY_MS_PER_POINT), MAX_LATENCY_PENALTY);
+    
+    return 100 - latencyPenalty - this.getLag(entry) * LAG_PENALTY - this.getErrorRate(entry) * 100;
+  }
+  
+  /**
+   * Get the servers that requests can go to, best first
+   * @returns {Array<Object>} The connected servers that do not lag behind the pool
+   */
+  getHealthyServers() {
+    return this.servers
+      .filter(entry => entry.connected && this.getLag(entry) <= this.settings.maxHeightLag)
+      .sort((a, b) => this.getScore(b) - this.getScore(a));
+  }
+  
+  /**
+   * Choose the best server as the primary, which receives the subscriptions
+   * @private
+   */
+  _selectPrimary() {
+    const previous = this.primary;
+    this.primary = this.getHealthyServers()[0] || null;
+    
+    if (this.primary !== previous) {
+      logger.info(`Primary Electrum server: ${this.primary ? this.primary.id : 'none'}${previous ? ` (was ${previous.id})` : ''}`);
+      this.eventEmitter.emit('primary', { from: previous ? previous.id : null, to: this.primary ? this.primary.id : null });
+    }
+  }
+  
+  /**
+   * Check whether any server is connected
+   * @returns {boolean} True if a server is connected
+   */
+  isConnected() {
+    return this.servers.some(entry => entry.connected);
+  }
+  
+  /**
+   * Get the client of the primary server
+   * @returns {Object|null} The Electrum client, or null if no server is healthy
+   */
+  getPrimaryClient() {
+    return this.primary ? this.primary.client : null;
+  }
+  
+  /**
+   * Make a request to a server, recording its latency and result
+   * @param {Object} entry The server
+   * @param {string} method The client method, such as `blockchain_scripthash_getBalance`
+   * @param {Array} args The arguments
+   * @returns {Promise<*>} The result
+   * @private
+   */
+  async _requestFrom(entry, method, args) {
+    const started = Date.now();
+    
+    try {
+      const result = await entry.client[method](...args);
+      
+      this._recordLatency(entry, Date.now() - started);
+      this._recordResult(entry, true);
+      
+      return result;
+    } catch (error) {
+      entry.lastError = error.message;
+      this._recordResult(entry, false);
+      throw error;
+    }
+  }
+  
+  /**
+   * Make a request to the best server, moving on to the next ones if it fails
+   * @param {string} method The client method, such as `blockchain_scripthash_listunspent`
+   * @param {...*} args The arguments
+   * @returns {Promise<*>} The result
+   * @throws {Error} If every healthy server failed
+   */
+  async request(method, ...args) {
+    const servers = this.getHealthyServers();
+    if (servers.length === 0) {
+      throw new Error('No healthy Electrum server is available');
+    }
+    
+    let lastError;
+    for (const entry of servers) {
+      try {
+        return await this._requestFrom(entry, method, args);
+      } catch (error) {
+        logger.warn(`Request ${method} to Electrum server ${entry.id} failed: ${error.message}`);
+        lastError = error;
+        
+        // The subscriptions move away from a failing primary
+        if (entry === this.primary) {
+          this._selectPrimary();
+        }
+      }
+    }
+    
+    throw lastError;
+  }
+  
+  /**
+   * Make a request to two servers at the same height, and check that their results agree
+   *
+   * If the results differ, a third server decides: the server that disagrees with the other two
+   * has an error recorded against it. Without a third server, or if all three differ, the request
+   * fails rather than report a result that may be wrong. With a single healthy server, or with
+   * `crossCheck` disabled, the request goes to the best server only.
+   *
+   * @param {string} method The client method
+   * @param {Array} args The arguments
+   * @param {Function} normalize Function reducing a result to the part the servers must agree on
+   * @returns {Promise<*>} The result of the best server that agrees with another
+   * @throws {Error} If the servers disagree, or every server failed
+   */
+  async crossCheckedRequest(method, args, normalize = result => result) {
+    const servers = this.getHealthyServers();
+    
+    if (!this.settings.crossCheck || servers.length < 2) {
+      if (this.settings.crossCheck) {
+        logger.warn(`Only one healthy Electrum server, ${method} is not cross-checked`);
+      }
+      
+      return this.request(method, ...args);
+    }
+    
+    // Servers at different heights may legitimately disagree, so the second server is at the same height if possible
+    const [first, ...others] = servers;
+    const ordered = [first, ...others.filter(entry => entry.height === first.height), ...others.filter(entry => entry.height !== first.height)];
+    
+    const results = [];
+    for (const entry of ordered) {
+      try {
+        const result = await this._requestFrom(entry, method, args);
+        results.push({ entry, result, normalized: normalize(result) });
+      } catch (error) {
+        logger.warn(`Request ${method} to Electrum server ${entry.id} failed: ${error.message}`);
+        continue;
+      }
+      
+      // The first two results that agree decide
+      const agreeing = results.filter(candidate => sameResult(candidate.normalized, results[results.length - 1].normalized));
+      if (agreeing.length >= 2) {
+        for (const dissenting of results.filter(candidate => !agreeing.includes(candidate))) {
+          logger.warn(`Electrum server ${dissenting.entry.id} disagrees with ${agreeing.map(candidate => candidate.entry.id).join(' and ')} on ${method}`);
+          dissenting.entry.lastError = `Disagreed on ${method}`;
+          this._recordResult(dissenting.entry, false);
+        }
+        
+        return agreeing[0].result;
+      }
+      
+      if (results.length >= 3) {
+        break;
+      }
+    }
+    
+    if (results.length === 1) {
+      logger.warn(`Only Electrum server ${results[0].entry.id} answered ${method}, which is not cross-checked`);
+      return results[0].result;
+    }
+    
+    if (results.length === 0) {
+      throw new Error(`Every Electrum server failed ${method}`);
+    }
+    
+    throw new Error(`Electrum servers ${results.map(candidate => candidate.entry.id).join(', ')} disagree on ${method}`);
+  }
+  
+  /**
+   * Refresh the height and latency of each connected server, reconnect servers whose ban expired, and choose the primary again
+   * @returns {Promise<Array<Object>>} The health of each server
+   */
+  async checkHealth() {
+    await Promise.all(this.servers.map(async (entry) => {
+      if (!entry.connected) {
+        if (entry.bannedUntil <= Date.now()) {
+          await this._connectServer(entry);
+        }
+        return;
+      }
+      
+      try {
+        const tip = await this._requestFrom(entry, 'blockchain_headers_subscribe', []);
+        entry.height = tip.height;
+      } catch (error) {
+        logger.warn(`Health check of Electrum server ${entry.id} failed: ${error.message}`);
+      }
+    }));
+    
+    for (const entry of this.servers.filter(server => server.connected)) {
+      const lag = this.getLag(entry);
+      if (lag > this.settings.maxHeightLag) {
+        logger.warn(`Electrum server ${entry.id} lags ${lag} blocks behind the pool, skipping it`);
+      }
+    }
+    
+    this._selectPrimary();
+    
+    return this.getHealth();
+  }
+  
+  /**
+   * Get the health of each server
+   * @returns {Array<Object>} The servers, with their connection, height, lag, latency, error rate and score
+   */
+  getHealth() {
+    return this.servers.map(entry => ({
+      id: entry.id,
+      connected: entry.connected,
+      primary: entry === this.primary,
+      height: entry.height,
+      lag: this.getLag(entry),
+      latency: entry.latency === null ? null : Math.round(entry.latency),
+      errorRate: Number(this.getErrorRate(entry).toFixed(3)),
+      score: Number(this.getScore(entry).toFixed(1)),
+      bannedUntil: entry.bannedUntil > Date.now() ? entry.bannedUntil : null,
+      lastError: entry.lastError
+    }));
+  }
+  
+  /**
+   * Check the health of the servers on the configured interval
+   */
+  startHealthChecks() {
+    if (this.healthInterval) {
+      return;
+    }
+    
+    this.healthInterval = setInterval(() => {
+      this.checkHealth().catch(error => logger.error(`Failed to check Electrum servers: ${error.message}`));
+    }, this.settings.healthCheckInterval);
+    
+    // Health checks do not keep the process running
+    if (typeof this.healthInterval.unref === 'function') {
+      this.healthInterval.unref();
+    }
+  }
+  
+  /**
+   * Register an event listener
+   * @param {string} event The event to listen for (`primary`, when the primary server changes)
+   * @param {Function} listener The event listener
+   */
+  on(event, listener) {
+    this.eventEmitter.on(event, listener);
+  }
+  
+  /**
+   * Remove an event listener
+   * @param {string} event The event to remove the listener from
+   * @param {Function} listener The event listener to remove
+   */
+  off(event, listener) {
+    this.eventEmitter.off(event, listener);
+  }
+  
+  /**
+   * Stop the health checks and close every connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.healthInterval) {
+      clearInterval(this.healthInterval);
+      this.healthInterval = null;
+    }
+    
+    for (const entry of this.servers) {
+      if (entry.client && entry.connected) {
+        entry.connected = false;
+        await entry.client.close();
+      }
+      
+      entry.client = null;
+    }
+    
+    this.primary = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_POOL_SETTINGS,
+  ElectrumServerPool
+};
@@ -23,6 +23,7 @@ class MockTransceiver extends UTXOTransceiver {
     this.mockTransactions = new Map();
     this.mockBalances = new Map();
     this.mockUTXOs = new Map();
+    this.mockTransactionStatuses = new Map();
     
     console.log('[MOCK] UTXO Transceiver initialized');
   }
@@ -228,6 +229,33 @@ class MockTransceiver extends UTXOTransceiver {
     return this.mockUTXOs.get(address);
   }
   
+  /**
+   * Get the status of a transaction on the network
+   * @param {string} txid The transaction ID
+   * @returns {Promise<Object|null>} The mock status, or null if none was set
+   */
+  async getTransactionStatus(txid) {
+    console.log(`[MOCK] Getting status of transaction: ${txid}`);
+    
+    return this.mockTransactionStatuses.has(txid) ? { txid, ...this.mockTransactionStatuses.get(txid) } : null;
+  }
+  
+  /**
+   * Get a raw transaction
+   * @param {string} txid The transaction ID
+   * @returns {Promise<string>} The `txHex` of a broadcast or added mock transaction
+   */
+  async getRawTransaction(txid) {
+    console.log(`[MOCK] Getting raw transaction: ${txid}`);
+    
+    const transaction = this.mockTransactions.get(txid);
+    if (!transaction || !transaction.txHex) {
+      throw new Error(`Transaction ${txid} not found`);
+    }
+    
+    return transaction.txHex;
+  }
+  
   /**
    * Set a mock balance for a wallet address
    * @param {string} address The wallet address
@@ -246,6 +274,19 @@ class MockTransceiver extends UTXOTransceiver {
     this.mockUTXOs.set(address, utxos);
   }
   
+  /**
+   * Set the mock status of a transaction
+   * @param {string} txid The transaction ID
+   * @param {Object|null} status The status, with `confirmations`, `blockHeight` and `blockHash`, or null if the network no longer knows the transaction
+   */
+  setMockTransactionStatus(txid, status) {
+    if (status) {
+      this.mockTransactionStatuses.set(txid, status);
+    } else {
+      this.mockTransactionStatuses.delete(txid);
+    }
+  }
+  
   /**
    * Add a mock transaction for a wallet address
    * @param {string} address The wallet address
@@ -289,6 +330,7 @@ class MockTransceiver extends UTXOTransceiver {
     this.mockTransactions.clear();
     this.mockBalances.clear();
     this.mockUTXOs.clear();
+    this.mockTransactionStatuses.clear();
     
     console.log('[MOCK] UTXO transceiver resources cleaned up successfully');
   }
@@ -0,0 +1,383 @@
+/**
+ * Scripthash Subscriptions
+ *
+ * This module keeps the Electrum `blockchain.scripthash.subscribe` subscriptions of the addresses
+ * monitored by the SPV transceiver. The server notifies a subscription whenever the status of its
+ * address changes, that is, whenever a transaction of the address is added to the mempool,
+ * confirmed or moved by a reorg. The history of the address is then read once, and the
+ * transactions that are new, or whose block changed, are reported to the monitoring callback.
+ *
+ * Polling is only a fallback: a single timer checks the addresses that are not subscribed, for
+ * instance because the connection was lost or the server refused the subscription, and tries to
+ * subscribe them again. After a reconnect, resubscribe() subscribes every address again, and
+ * reports the changes that were missed while the connection was down.
+ */
+
+const EventEmitter = require('events');
+const winston = require('winston');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'scripthash-subscriptions' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    }),
+    new winston.transports.File({ filename: 'logs/transceiver-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/transceiver.log' })
+  ]
+});
+
+/**
+ * Scripthash Subscriptions class
+ */
+class ScripthashSubscriptions {
+  /**
+   * Constructor
+   * @param {Object} options The subscription options
+   * @param {Function} options.subscribe Function subscribing to a scripthash, returning its status
+   * @param {Function} options.unsubscribe Function unsubscribing from a scripthash
+   * @param {Function} options.getHistory Function returning the history of a scripthash, as entries with `tx_hash` and `height`
+   * @param {Function} options.getTransactions Function returning the transactions of an address for history entries
+   * @param {number} options.pollingInterval The interval of the fallback polling in milliseconds
+   */
+  constructor(options) {
+    this.subscribe = options.subscribe;
+    this.unsubscribe = options.unsubscribe;
+    this.getHistory = options.getHistory;
+    this.getTransactions = options.getTransactions;
+    this.pollingInterval = options.pollingInterval || 60000;
+    
+    this.eventEmitter = new EventEmitter();
+    this.subscriptions = new Map();
+    this.pollingTimer = null;
+  }
+  
+  /**
+   * Subscribe to the changes of an address
+   *
+   * The transactions the address already has are not reported. If the subscription fails, the
+   * address is polled until it can be subscribed.
+   *
+   * @param {string} address The address
+   * @param {string} scripthash The scripthash of the address
+   * @param {Function} callback Function called with the new or changed transactions of the address
+   * @returns {Promise<Object>} The subscription details
+   */
+  async add(address, scripthash, callback) {
+    if (this.subscriptions.has(address)) {
+      return this.getDetails(address);
+    }
+    
+    const subscription = {
+      address,
+      scripthash,
+      callback,
+      timestamp: Date.now(),
+      subscribed: false,
+      status: null,
+      lastChecked: null,
+      known: new Map(),
+      queue: Promise.resolve()
+    };
+    this.subscriptions.set(address, subscription);
+    
+    await this._subscribe(subscription);
+    
+    // The transactions the address already has are known, and are not reported; notifications are checked after them
+    const loading = this.getHistory(scripthash).then((history) => {
+      for (const entry of history) {
+        subscription.known.set(entry.tx_hash, entry.height);
+      }
+      subscription.lastChecked = Date.now();
+    });
+    subscription.queue = loading.catch(() => {});
+    
+    try {
+      await loading;
+    } catch (error) {
+      await this.remove(address);
+      throw error;
+    }
+    
+    if (!subscription.subscribed) {
+      this._startPolling();
+    }
+    
+    return this.getDetails(address);
+  }
+  
+  /**
+   * Unsubscribe from the changes of an address
+   * @param {string} address The address
+   * @returns {Promise<boolean>} True if the address was subscribed or polled
+   */
+  async remove(address) {
+    const subscription = this.subscriptions.get(address);
+    if (!subscription) {
+      return false;
+    }
+    
+    this.subscriptions.delete(address);
+    
+    if (subscription.subscribed) {
+      try {
+        await this.unsubscribe(subscription.scripthash);
+      } catch (error) {
+        logger.warn(`Failed to unsubscribe from scripthash ${subscription.scripthash}: ${error.message}`);
+      }
+    }
+    
+    if (this._getPolled().length === 0) {
+      this._stopPolling();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Check whether an address is subscribed or polled
+   * @param {string} address The address
+   * @returns {boolean} True if the address is monitored
+   */
+  has(address) {
+    return this.subscriptions.has(address);
+  }
+  
+  /**
+   * Get the details of the subscription of an address
+   * @param {string} address The address
+   * @returns {Object|null} The subscription details, with the `method` that monitors the address (`subscription` or `polling`)
+   */
+  getDetails(address) {
+    const subscription = this.subscriptions.get(address);
+    if (!subscription) {
+      return null;
+    }
+    
+    return {
+      address,
+      scripthash: subscription.scripthash,
+      status: 'active',
+      method: subscription.subscribed ? 'subscription' : 'polling',
+      timestamp: subscription.timestamp,
+      lastChecked: subscription.lastChecked
+    };
+  }
+  
+  /**
+   * Subscribe to a scripthash, falling back to polling if the subscription fails
+   * @param {Object} subscription The subscription
+   * @returns {Promise<boolean>} True if the status of the address changed since it was last checked
+   * @private
+   */
+  async _subscribe(subscription) {
+    try {
+      const status = await this.subscribe(subscription.scripthash);
+      const changed = subscription.status !== status;
+      
+      subscription.subscribed = true;
+      subscription.status = status;
+      
+      return changed;
+    } catch (error) {
+      logger.warn(`Failed to subscribe to address ${subscription.address}, polling it instead: ${error.message}`);
+      subscription.subscribed = false;
+      
+      return false;
+    }
+  }
+  
+  /**
+   * Handle a status notification of the server
+   * @param {string} scripthash The scripthash
+   * @param {string|null} status The new status of the address
+   * @returns {Promise<Array<Object>>} The new or changed transactions of the address
+   */
+  async handleNotification(scripthash, status) {
+    const subscription = Array.from(this.subscriptions.values()).find(candidate => candidate.scripthash === scripthash);
+    
+    // Notifications repeat the status the address had when it was subscribed
+    if (!subscription || subscription.status === status) {
+      return [];
+    }
+    
+    subscription.status = status;
+    
+    return this._check(subscription);
+  }
+  
+  /**
+   * Read the history of an address, and report its new or changed transactions
+   *
+   * The checks of an address are queued, so that a transaction is reported once, even if
+   * notifications arrive while the history is read.
+   *
+   * @param {Object} subscription The subscription
+   * @returns {Promise<Array<Object>>} The new or changed transactions
+   * @private
+   */
+  _check(subscription) {
+    const check = subscription.queue.then(async () => {
+      const history = await this.getHistory(subscription.scripthash);
+      const changed = history.filter(entry => subscription.known.get(entry.tx_hash) !== entry.height);
+      
+      subscription.lastChecked = Date.now();
+      
+      if (changed.length === 0 || !this.subscriptions.has(subscription.address)) {
+        return [];
+      }
+      
+      const transactions = await this.getTransactions(subscription.address, changed);
+      
+      for (const entry of changed) {
+        subscription.known.set(entry.tx_hash, entry.height);
+      }
+      
+      logger.info(`Address ${subscription.address} has ${transactions.length} new or changed transaction(s)`);
+      
+      subscription.callback(transactions);
+      this.eventEmitter.emit('transactions', { address: subscription.address, transactions });
+      
+      return transactions;
+    });
+    
+    // A failed check does not block the next ones
+    subscription.queue = check.catch(() => {});
+    
+    return check;
+  }
+  
+  /**
+   * Subscribe every address again, after a reconnect or a change of server
+   *
+   * Addresses whose status changed while they were not subscribed are checked, so that the
+   * transactions made during a disconnection are reported.
+   *
+   * @returns {Promise<number>} The number of subscribed addresses
+   */
+  async resubscribe() {
+    for (const subscription of this.subscriptions.values()) {
+      subscription.subscribed = false;
+    }
+    
+    await this.poll();
+    
+    return this.subscriptions.size - this._getPolled().length;
+  }
+  
+  /**
+   * Fall back to polling every address, after the connection was lost
+   */
+  suspend() {
+    for (const subscription of this.subscriptions.values()) {
+      subscription.subscribed = false;
+    }
+    
+    if (this.subscriptions.size > 0) {
+      logger.warn(`Polling ${this.subscriptions.size} address(es) until their subscriptions are restored`);
+      this._startPolling();
+    }
+  }
+  
+  /**
+   * Check the addresses that are not subscribed, and try to subscribe them again
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    for (const subscription of this._getPolled()) {
+      try {
+        const changed = await this._subscribe(subscription);
+        
+        // Subscribed addresses are only checked if their status changed, and polled ones every time
+        if (changed || !subscription.subscribed) {
+          await this._check(subscription);
+        }
+      } catch (error) {
+        logger.error(`Error polling address ${subscription.address}: ${error.message}`);
+      }
+    }
+    
+    if (this._getPolled().length === 0) {
+      this._stopPolling();
+    } else {
+      this._startPolling();
+    }
+  }
+  
+  /**
+   * Get the subscriptions that are polled
+   * @returns {Array<Object>} The subscriptions that are not subscribed
+   * @private
+   */
+  _getPolled() {
+    return Array.from(this.subscriptions.values()).filter(subscription => !subscription.subscribed);
+  }
+  
+  /**
+   * Start the fallback polling, if it is not running
+   * @private
+   */
+  _startPolling() {
+    if (this.pollingTimer) {
+      return;
+    }
+    
+    this.pollingTimer = setInterval(() => {
+      this.poll().catch(error => logger.error(`Failed to poll addresses: ${error.message}`));
+    }, this.pollingInterval);
+    
+    logger.info(`Polling addresses that are not subscribed (interval: ${this.pollingInterval}ms)`);
+  }
+  
+  /**
+   * Stop the fallback polling
+   * @private
+   */
+  _stopPolling() {
+    if (this.pollingTimer) {
+      clearInterval(this.pollingTimer);
+      this.pollingTimer = null;
+      
+      logger.info('Every address is subscribed, polling stopped');
+    }
+  }
+  
+  /**
+   * Register an event listener
+   * @param {string} event The event to listen for (`transactions`)
+   * @param {Function} listener The event listener
+   */
+  on(event, listener) {
+    this.eventEmitter.on(event, listener);
+  }
+  
+  /**
+   * Remove an event listener
+   * @param {string} event The event to remove the listener from
+   * @param {Function} listener The event listener to remove
+   */
+  off(event, listener) {
+    this.eventEmitter.off(event, listener);
+  }
+  
+  /**
+   * Stop polling and forget every address, without unsubscribing
+   */
+  clear() {
+    this._stopPolling();
+    this.subscriptions.clear();
+  }
+}
+
+module.exports = {
+  ScripthashSubscriptions
+};
@@ -4,10 +4,20 @@
  * This module provides a unified SPV (Simplified Payment Verification) transceiver
  * implementation for UTXO-based blockchains (Bitcoin, Litecoin, Dogecoin).
  * It uses the Electrum protocol to interact with the blockchain through SPV nodes.
+ *
+ * The transceiver can connect to several Electrum servers at once (see electrum-server-pool.js):
+ * requests go to the healthiest server, and balances and transaction histories are cross-checked
+ * between two of them, so that a single lagging or misbehaving server cannot mislead it.
+ *
+ * Monitored addresses are followed with `blockchain.scripthash.subscribe` notifications, and only
+ * polled while they cannot be subscribed (see scripthash-subscriptions.js). New blocks, notified
+ * through `blockchain.headers.subscribe`, are emitted as `block` events.
  */
 
 const { UTXOTransceiver } = require('../src/blockchain/utxoTransceiver');
 const ElectrumClient = require('electrum-client');
+const { ElectrumServerPool } = require('./electrum-server-pool');
+const { ScripthashSubscriptions } = require('./scripthash-subscriptions');
 const winston = require('winston');
 
 // Configure logger
@@ -86,30 +96,67 @@ class SPVTransceiver extends UTXOTransceiver {
       // Default to Bitcoin mainnet if not specified
       blockchain: 'bitcoin',
       network: 'mainnet',
-      monitoringInterval: 60000, // 1 minute
+      monitoringInterval: 60000, // 1 minute, for addresses that cannot be subscribed
       reconnectInterval: 10000, // 10 seconds
       maxReconnectAttempts: 5,
       
-      // Override with user-provided configuration
-      ...config
+      // Override with user-provided configuration, which may be nested in `config` as in the transceiver configuration
+      ...config,
+      ...(config.config || {})
     };
     
-    // Initialize client
-    this.client = null;
-    this.connected = false;
+    // Initialize the server pool
+    this.pool = null;
     this.reconnectAttempts = 0;
+    this.lastBlockHeight = null;
     
-    // Initialize monitoring state
-    this.monitoredAddresses = new Map();
-    this.monitoringIntervals = new Map();
-    this.subscriptions = new Map();
+    // Initialize monitoring state; addresses are subscribed on the primary server
+    this.subscriptions = new ScripthashSubscriptions({
+      subscribe: scripthash => this._getPrimaryClient().blockchain_scripthash_subscribe(scripthash),
+      unsubscribe: scripthash => this._getPrimaryClient().blockchain_scripthash_unsubscribe(scripthash),
+      getHistory: scripthash => this._getHistory(scripthash),
+      getTransactions: (address, entries) => this._getTransactionDetails(address, entries),
+      pollingInterval: this.config.monitoringInterval
+    });
+    this.subscriptions.on('transactions', data => this.emit('transactions', data));
     
     // Get server details based on blockchain and network
     const serverConfig = this._getServerConfig();
     this.serverConfig = serverConfig;
+    this.servers = this._getServers();
+    
+    logger.info(`SPV Transceiver initialized for ${this.config.blockchain} (${this.config.network}) with ${this.servers.length} server(s)`);
+    logger.debug(`Server config: ${JSON.stringify(this.servers)}`);
+  }
+  
+  /**
+   * Check whether the transceiver is connected to an Electrum server
+   * @returns {boolean} True if at least one server of the pool is connected
+   */
+  get connected() {
+    return this.pool !== null && this.pool.isConnected();
+  }
+  
+  /**
+   * Get the client of the primary Electrum server, which holds the subscriptions
+   * @returns {Object|null} The Electrum client
+   */
+  get client() {
+    return this.pool ? this.pool.getPrimaryClient() : null;
+  }
+  
+  /**
+   * Get the client of the primary Electrum server, to subscribe to addresses
+   * @returns {Object} The Electrum client
+   * @throws {Error} If no server is connected
+   * @private
+   */
+  _getPrimaryClient() {
+    if (!this.client) {
+      throw new Error('No Electrum server is connected');
+    }
     
-    logger.info(`SPV Transceiver initialized for ${this.config.blockchain} (${this.config.network})`);
-    logger.debug(`Server config: ${JSON.stringify(serverConfig)}`);
+    return this.client;
   }
   
   /**
@@ -135,6 +182,23 @@ class SPVTransceiver extends UTXOTransceiver {
     };
   }
   
+  /**
+   * Get the servers of the pool: the configured `servers`, or the single server otherwise
+   * @returns {Array<Object>} The servers, each with its `server`, `port` and `protocol`
+   * @private
+   */
+  _getServers() {
+    if (!Array.isArray(this.config.servers) || this.config.servers.length === 0) {
+      return [this.serverConfig];
+    }
+    
+    return this.config.servers.map(server => ({
+      server: server.server,
+      port: server.port || this.serverConfig.port,
+      protocol: server.protocol || this.serverConfig.protocol
+    }));
+  }
+  
   /**
    * Initialize the transceiver
    * @returns {Promise<void>}
@@ -154,35 +218,37 @@ class SPVTransceiver extends UTXOTransceiver {
   }
   
   /**
-   * Connect to the Electrum server
+   * Connect to the Electrum servers
    * @returns {Promise<void>}
    * @private
    */
   async _connect() {
     try {
-      logger.debug(`Connecting to Electrum server: ${this.serverConfig.server}:${this.serverConfig.port} (${this.serverConfig.protocol})`);
-      
-      // Create a new Electrum client
-      this.client = new ElectrumClient(
-        this.serverConfig.port,
-        this.serverConfig.server,
-        this.serverConfig.protocol
-      );
-      
-      // Connect to the server
-      await this.client.connect();
+      if (!this.pool) {
+        this.pool = new ElectrumServerPool(this.servers, this.config.serverPool, {
+          createClient: (port, host, protocol) => new ElectrumClient(port, host, protocol),
+          setupClient: client => this._setupEventHandlers(client)
+        });
+        
+        // Subscriptions live on the primary server, so they are restored on the next one after a reconnect or a change of server
+        this.pool.on('primary', ({ to }) => {
+          if (!to) {
+            this.subscriptions.suspend();
+            return;
+          }
+          
+          this.subscriptions.resubscribe()
+            .then(count => logger.info(`Subscribed ${count} address(es) on Electrum server ${to}`))
+            .catch(error => logger.error(`Failed to resubscribe to ${to}: ${error.message}`));
+        });
+      }
       
-      // Get server version
-      const [version, protocolVersion] = await this.client.server_version('SPV-Transceiver', '1.4');
+      const connected = await this.pool.connect();
       
-      logger.info(`Connected to Electrum server: ${this.serverConfig.server}:${this.serverConfig.port}`);
-      logger.debug(`Server version: ${version}, Protocol version: ${protocolVersion}`);
+      logger.info(`Connected to ${connected} of ${this.servers.length} Electrum server(s)`);
       
-      this.connected = true;
       this.reconnectAttempts = 0;
-      
-      // Set up event handlers
-      this._setupEventHandlers();
+      this.pool.startHealthChecks();
     } catch (error) {
       logger.error(`Failed to connect to Electrum server: ${error.message}`);
       
@@ -216,36 +282,49 @@ class SPVTransceiver extends UTXOTransceiver {
   }
   
   /**
-   * Set up event handlers for the Electrum client
+   * Set up event handlers for an Electrum client of the pool
+   *
+   * Disconnections are handled by the pool, which moves requests to the other servers and
+   * reconnects the server on its next health check.
+   *
+   * @param {Object} client The Electrum client
    * @private
    */
-  _setupEventHandlers() {
-    if (!this.client) return;
-    
-    // Handle disconnection
-    this.client.on('error', async (error) => {
-      logger.error(`Electrum client error: ${error.message}`);
-      
-      if (this.connected) {
-        this.connected = false;
-        
-        // Try to reconnect
-        await this._reconnect();
-      }
+  _setupEventHandlers(client) {
+    // Handle scripthash notifications once per client, whatever the number of monitored addresses
+    client.on('blockchain.scripthash.subscribe', (scripthash, status) => {
+      // Only the primary server holds the subscriptions, but a former primary may still notify
+      if (client !== this.client) return;
+      
+      this.subscriptions.handleNotification(scripthash, status).catch(error => {
+        logger.error(`Failed to handle notification for scripthash ${scripthash}: ${error.message}`);
+      });
     });
     
-    this.client.on('close', async () => {
-      logger.warn('Electrum client disconnected');
+    // Report new blocks, so that the confirmations of pending transactions are updated
+    client.on('blockchain.headers.subscribe', (header) => {
+      const tip = Array.isArray(header) ? header[0] : header;
       
-      if (this.connected) {
-        this.connected = false;
-        
-        // Try to reconnect
-        await this._reconnect();
-      }
+      // Every server of the pool notifies the same blocks, which are reported once
+      if (this.lastBlockHeight !== null && tip.height <= this.lastBlockHeight) return;
+      this.lastBlockHeight = tip.height;
+      
+      this.emit('block', {
+        height: tip.height,
+        hash: tip.hex ? this._getBlockHash(tip.hex) : null,
+        timestamp: Date.now()
+      });
     });
   }
   
+  /**
+   * Get the health of the Electrum servers
+   * @returns {Array<Object>} The servers, with their connection, height, lag, latency, error rate and score
+   */
+  getServerHealth() {
+    return this.pool ? this.pool.getHealth() : [];
+  }
+  
   /**
    * Broadcast a transaction to the blockchain network
    * @param {string} txHex The transaction in hexadecimal format
@@ -262,7 +341,7 @@ class SPVTransceiver extends UTXOTransceiver {
       }
       
       // Broadcast the transaction
-      const txid = await this.client.blockchain_transaction_broadcast(txHex);
+      const txid = await this.pool.request('blockchain_transaction_broadcast', txHex);
       
       logger.info(`Transaction broadcasted: ${txid}`);
       
@@ -283,6 +362,12 @@ class SPVTransceiver extends UTXOTransceiver {
   
   /**
    * Start monitoring a wallet address for new transactions
+   *
+   * The address is subscribed on the primary Electrum server, which notifies each change of the
+   * address, and the callback is called with the transactions that are new or whose block changed.
+   * Addresses that cannot be subscribed are polled every `monitoringInterval` milliseconds until
+   * they can.
+   *
    * @param {string} address The wallet address to monitor
    * @param {Function} callback Function to call when new transactions are detected
    * @returns {Promise<Object>} Monitoring subscription details
@@ -292,9 +377,9 @@ class SPVTransceiver extends UTXOTransceiver {
     
     try {
       // Check if the address is already being monitored
-      if (this.monitoredAddresses.has(address)) {
+      if (this.subscriptions.has(address)) {
         logger.debug(`Address ${address} is already being monitored`);
-        return this.monitoredAddresses.get(address);
+        return this.subscriptions.getDetails(address);
       }
       
       // Ensure we're connected
@@ -302,116 +387,17 @@ class SPVTransceiver extends UTXOTransceiver {
         await this._connect();
       }
       
-      // Store the monitoring details
-      this.monitoredAddresses.set(address, {
-        address,
-        callback,
-        timestamp: Date.now(),
-        status: 'active',
-        method: 'electrum',
-        lastChecked: Date.now()
-      });
-      
-      // Set up address monitoring using Electrum's scripthash_subscribe
+      // Subscribe to address changes using Electrum's scripthash_subscribe
       const scripthash = this._addressToScripthash(address);
+      const subscription = await this.subscriptions.add(address, scripthash, callback);
       
-      // Subscribe to address changes
-      const status = await this.client.blockchain_scripthash_subscribe(scripthash);
-      
-      // Store the subscription
-      this.subscriptions.set(address, {
-        scripthash,
-        status
-      });
-      
-      // Set up a handler for scripthash notifications
-      this.client.on('blockchain.scripthash.subscribe', async (scripthash, status) => {
-        // Find the address for this scripthash
-        const monitoredAddress = Array.from(this.subscriptions.entries())
-          .find(([_, sub]) => sub.scripthash === scripthash)?.[0];
-        
-        if (monitoredAddress && this.monitoredAddresses.has(monitoredAddress)) {
-          // Get the monitoring details
-          const monitoring = this.monitoredAddresses.get(monitoredAddress);
-          
-          // Get the new transactions
-          const transactions = await this.getTransactionHistory(monitoredAddress);
-          
-          // Filter for new transactions
-          const newTransactions = transactions.filter(tx => tx.timestamp > monitoring.lastChecked);
-          
-          if (newTransactions.length > 0) {
-            // Call the callback with the new transactions
-            monitoring.callback(newTransactions);
-            
-            // Emit a transactions event
-            this.emit('transactions', {
-              address: monitoredAddress,
-              transactions: newTransactions
-            });
-            
-            // Update the last checked timestamp
-            this.monitoredAddresses.set(monitoredAddress, {
-              ...monitoring,
-              lastChecked: Date.now()
-            });
-          }
-        }
-      });
-      
-      // As a fallback, also set up polling
-      const interval = this.config.monitoringInterval || 60000; // Default to 1 minute
-      
-      // Create a polling interval
-      const intervalId = setInterval(async () => {
-        try {
-          // Ensure we're connected
-          if (!this.connected) {
-            await this._connect();
-          }
-          
-          // Get the transaction history
-          const transactions = await this.getTransactionHistory(address);
-          
-          // Get the current monitoring details
-          const monitoring = this.monitoredAddresses.get(address);
-          
-          // Check if there are new transactions
-          if (monitoring && monitoring.lastChecked) {
-            const newTransactions = transactions.filter(tx => tx.timestamp > monitoring.lastChecked);
-            
-            if (newTransactions.length > 0) {
-              // Call the callback with the new transactions
-              callback(newTransactions);
-              
-              // Emit a transactions event
-              this.emit('transactions', {
-                address,
-                transactions: newTransactions
-              });
-            }
-          }
-          
-          // Update the last checked timestamp
-          this.monitoredAddresses.set(address, {
-            ...this.monitoredAddresses.get(address),
-            lastChecked: Date.now()
-          });
-        } catch (error) {
-          logger.error(`Error polling address ${address}: ${error.message}`);
-        }
-      }, interval);
-      
-      // Store the interval ID
-      this.monitoringIntervals.set(address, intervalId);
-      
-      logger.info(`Address ${address} is now being monitored (interval: ${interval}ms)`);
+      logger.info(`Address ${address} is now being monitored (method: ${subscription.method})`);
       
       return {
         address,
         status: 'active',
-        method: 'electrum',
-        interval
+        method: subscription.method,
+        interval: subscription.method === 'polling' ? this.config.monitoringInterval : null
       };
     } catch (error) {
       logger.error(`Failed to monitor address ${address}: ${error.message}`);
@@ -428,37 +414,12 @@ class SPVTransceiver extends UTXOTransceiver {
     logger.debug(`Stopping monitoring for wallet address: ${address}`);
     
     try {
-      // Check if the address is being monitored
-      if (!this.monitoredAddresses.has(address)) {
+      // Unsubscribe from address changes
+      if (!await this.subscriptions.remove(address)) {
         logger.debug(`Address ${address} is not being monitored`);
         return false;
       }
       
-      // Get the interval ID
-      const intervalId = this.monitoringIntervals.get(address);
-      
-      // Clear the interval
-      if (intervalId) {
-        clearInterval(intervalId);
-        this.monitoringIntervals.delete(address);
-      }
-      
-      // Unsubscribe from address changes
-      if (this.subscriptions.has(address) && this.connected) {
-        const { scripthash } = this.subscriptions.get(address);
-        
-        try {
-          await this.client.blockchain_scripthash_unsubscribe(scripthash);
-        } catch (error) {
-          logger.warn(`Failed to unsubscribe from scripthash ${scripthash}: ${error.message}`);
-        }
-        
-        this.subscriptions.delete(address);
-      }
-      
-      // Remove the address from the monitored addresses
-      this.monitoredAddresses.delete(address);
-      
       logger.info(`Stopped monitoring address ${address}`);
       
       return true;
@@ -485,8 +446,8 @@ class SPVTransceiver extends UTXOTransceiver {
       // Get the scripthash for the address
       const scripthash = this._addressToScripthash(address);
       
-      // Get the balance
-      const { confirmed, unconfirmed } = await this.client.blockchain_scripthash_getBalance(scripthash);
+      // Get the balance; unconfirmed amounts depend on each server's mempool, so only the confirmed amount is cross-checked
+      const { confirmed, unconfirmed } = await this.pool.crossCheckedRequest('blockchain_scripthash_getBalance', [scripthash], balance => balance.confirmed);
       
       // Convert from satoshis to whole coins
       const balance = (confirmed + unconfirmed) / 100000000;
@@ -528,7 +489,7 @@ class SPVTransceiver extends UTXOTransceiver {
       const scripthash = this._addressToScripthash(address);
       
       // Get the transaction history
-      const history = await this.client.blockchain_scripthash_getHistory(scripthash);
+      const history = await this._getHistory(scripthash);
       
       // Sort by height (descending) and limit
       const sortedHistory = history
@@ -536,82 +497,7 @@ class SPVTransceiver extends UTXOTransceiver {
         .slice(0, limit);
       
       // Get transaction details for each transaction
-      const transactions = await Promise.all(
-        sortedHistory.map(async (tx) => {
-          try {
-            // Get transaction details
-            const txDetails = await this.client.blockchain_transaction_get(tx.tx_hash, true);
-            
-            // Get block height and time
-            let timestamp = Date.now(); // Default to current time for unconfirmed transactions
-            let confirmations = 0;
-            
-            if (tx.height > 0) {
-              // Get block header
-              const header = await this.client.blockchain_block_header(tx.height);
-              const blockTime = this._parseBlockTime(header);
-              timestamp = blockTime * 1000; // Convert to milliseconds
-              
-              // Get current height
-              const currentHeight = await this.client.blockchain_headers_subscribe();
-              confirmations = currentHeight.height - tx.height + 1;
-            }
-            
-            // Calculate amount
-            let amount = 0;
-            let type = 'unknown';
-            
-            // Check inputs to determine if this is an outgoing transaction
-            const isOutgoing = txDetails.vin.some(input => {
-              if (!input.prevout) return false;
-              return this._isAddressInOutput(address, input.prevout);
-            });
-            
-            if (isOutgoing) {
-              // For outgoing transactions, sum the outputs that are not change
-              amount = txDetails.vout
-                .filter(output => !this._isAddressInOutput(address, output))
-                .reduce((sum, output) => sum + output.value, 0);
-              
-              // Make the amount negative for outgoing transactions
-              amount = -amount;
-              type = 'outgoing';
-            } else {
-              // For incoming transactions, sum the outputs to this address
-              amount = txDetails.vout
-                .filter(output => this._isAddressInOutput(address, output))
-                .reduce((sum, output) => sum + output.value, 0);
-              
-              type = 'incoming';
-            }
-            
-            // Convert from satoshis to whole coins
-            amount = amount / 100000000;
-            
-            return {
-              txid: tx.tx_hash,
-              blockHeight: tx.height > 0 ? tx.height : null,
-              timestamp,
-              amount,
-              fee: txDetails.fee ? txDetails.fee / 100000000 : null,
-              confirmations,
-              type
-            };
-          } catch (error) {
-            logger.warn(`Failed to get details for transaction ${tx.tx_hash}: ${error.message}`);
-            
-            // Return a minimal transaction object
-            return {
-              txid: tx.tx_hash,
-              blockHeight: tx.height > 0 ? tx.height : null,
-              timestamp: Date.now(),
-              amount: 0,
-              confirmations: tx.height > 0 ? 1 : 0,
-              type: 'unknown'
-            };
-          }
-        })
-      );
+      const transactions = await this._getTransactionDetails(address, sortedHistory);
       
       logger.debug(`Got ${transactions.length} transactions for address ${address}`);
       
@@ -622,6 +508,111 @@ class SPVTransceiver extends UTXOTransceiver {
     }
   }
   
+  /**
+   * Get the history of a scripthash, cross-checking its confirmed transactions
+   * @param {string} scripthash The scripthash
+   * @returns {Promise<Array<Object>>} The history entries, with their `tx_hash` and `height`
+   * @private
+   */
+  async _getHistory(scripthash) {
+    return this.pool.crossCheckedRequest('blockchain_scripthash_getHistory', [scripthash], entries => entries
+      .filter(entry => entry.height > 0)
+      .map(entry => `${entry.tx_hash}:${entry.height}`)
+      .sort());
+  }
+  
+  /**
+   * Get the details of the transactions of an address
+   * @param {string} address The wallet address
+   * @param {Array<Object>} history The history entries of the transactions, with their `tx_hash` and `height`
+   * @returns {Promise<Array<Object>>} The transactions
+   * @private
+   */
+  async _getTransactionDetails(address, history) {
+    return Promise.all(
+      history.map(async (tx) => {
+        try {
+          // Get transaction details
+          const txDetails = await this.pool.request('blockchain_transaction_get', tx.tx_hash, true);
+          
+          // Get block height and time
+          let timestamp = Date.now(); // Default to current time for unconfirmed transactions
+          let confirmations = 0;
+          
+          if (tx.height > 0) {
+            // Get block header
+            const header = await this.pool.request('blockchain_block_header', tx.height);
+            const blockTime = this._parseBlockTime(header);
+            timestamp = blockTime * 1000; // Convert to milliseconds
+            
+            // Get current height
+            confirmations = this.pool.getTipHeight() - tx.height + 1;
+          }
+          
+          // Calculate amount
+          let amount = 0;
+          let type = 'unknown';
+          
+          // Check inputs to determine if this is an outgoing transaction
+          const isOutgoing = txDetails.vin.some(input => {
+            if (!input.prevout) return false;
+            return this._isAddressInOutput(address, input.prevout);
+          });
+          
+          if (isOutgoing) {
+            // For outgoing transactions, sum the outputs that are not change
+            amount = txDetails.vout
+              .filter(output => !this._isAddressInOutput(address, output))
+              .reduce((sum, output) => sum + output.value, 0);
+            
+            // Make the amount negative for outgoing transactions
+            amount = -amount;
+            type = 'outgoing';
+          } else {
+            // For incoming transactions, sum the outputs to this address
+            amount = txDetails.vout
+              .filter(output => this._isAddressInOutput(address, output))
+              .reduce((sum, output) => sum + output.value, 0);
+            
+            type = 'incoming';
+          }
+          
+          // Convert from satoshis to whole coins
+          amount = amount / 100000000;
+          
+          return {
+            txid: tx.tx_hash,
+            blockHeight: tx.height > 0 ? tx.height : null,
+            timestamp,
+            amount,
+            fee: txDetails.fee ? txDetails.fee / 100000000 : null,
+            confirmations,
+            type,
+            // The outputs identify each payment to the address, and carry the OP_RETURN memo of a deposit
+            outputs: txDetails.vout.map((output, vout) => ({
+              vout,
+              address: output.scriptpubkey_address || null,
+              value: output.value / 100000000,
+              script: output.scriptpubkey || null
+            }))
+          };
+        } catch (error) {
+          logger.warn(`Failed to get details for transaction ${tx.tx_hash}: ${error.message}`);
+          
+          // Return a minimal transaction object
+          return {
+            txid: tx.tx_hash,
+            blockHeight: tx.height > 0 ? tx.height : null,
+            timestamp: Date.now(),
+            amount: 0,
+            confirmations: tx.height > 0 ? 1 : 0,
+            type: 'unknown'
+          };
+        }
+      })
+    );
+  }
+  
   /**
    * Get unspent transaction outputs (UTXOs) for a wallet address
    * @param {string} address The wallet address
@@ -640,7 +631,7 @@ class SPVTransceiver extends UTXOTransceiver {
       const scripthash = this._addressToScripthash(address);
       
       // Get the UTXOs
-      const utxos = await this.client.blockchain_scripthash_listunspent(scripthash);
+      const utxos = await this.pool.request('blockchain_scripthash_listunspent', scripthash);
       
       // Transform the UTXOs
       const transformedUtxos = utxos.map(utxo => ({
@@ -660,6 +651,101 @@ class SPVTransceiver extends UTXOTransceiver {
     }
   }
   
+  /**
+   * Estimate the fee rate a transaction needs to confirm within a number of blocks
+   * @param {number} targetBlocks The number of blocks
+   * @returns {Promise<number|null>} The fee rate in satoshis per virtual byte, or null if the server has no estimate
+   */
+  async estimateFeeRate(targetBlocks) {
+    logger.debug(`Estimating fee rate for confirmation within ${targetBlocks} blocks`);
+    
+    try {
+      // Ensure we're connected
+      if (!this.connected) {
+        await this._connect();
+      }
+      
+      // The server returns the fee rate in whole coins per kilobyte, or -1 if it has no estimate
+      const estimate = await this.pool.request('blockchain_estimatefee', targetBlocks);
+      
+      if (typeof estimate !== 'number' || estimate <= 0) {
+        return null;
+      }
+      
+      // Convert to satoshis per virtual byte
+      return Number((estimate * 100000).toFixed(3));
+    } catch (error) {
+      logger.error(`Failed to estimate fee rate: ${error.message}`);
+      throw new Error(`Failed to estimate fee rate: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the status of a transaction on the network
+   * @param {string} txid The transaction ID
+   * @returns {Promise<Object|null>} The status, with `confirmations` and the `blockHeight` and `blockHash` of a confirmed transaction, or null if the server does not know the transaction
+   */
+  async getTransactionStatus(txid) {
+    logger.debug(`Getting status of transaction: ${txid}`);
+    
+    try {
+      // Ensure we're connected
+      if (!this.connected) {
+        await this._connect();
+      }
+      
+      let transaction;
+      try {
+        transaction = await this.pool.request('blockchain_transaction_get', txid, true);
+      } catch (error) {
+        // Transactions that are neither in the mempool nor in the chain are not found
+        if (/not found|no such/i.test(error.message)) {
+          return null;
+        }
+        
+        throw error;
+      }
+      
+      if (!transaction.blockhash || !transaction.confirmations) {
+        return { txid, inMempool: true, confirmations: 0, blockHeight: null, blockHash: null };
+      }
+      
+      // The verbose transaction has the block hash and confirmations, and the height follows from the tip
+      return {
+        txid,
+        inMempool: false,
+        confirmations: transaction.confirmations,
+        blockHeight: this.pool.getTipHeight() - transaction.confirmations + 1,
+        blockHash: transaction.blockhash
+      };
+    } catch (error) {
+      logger.error(`Failed to get status of transaction ${txid}: ${error.message}`);
+      throw new Error(`Failed to get status of transaction ${txid}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get a raw transaction
+   * @param {string} txid The transaction ID
+   * @returns {Promise<string>} The transaction in hexadecimal format
+   */
+  async getRawTransaction(txid) {
+    logger.debug(`Getting raw transaction: ${txid}`);
+    
+    try {
+      // Ensure we're connected
+      if (!this.connected) {
+        await this._connect();
+      }
+      
+      // Without the verbose flag, the server returns the transaction in hexadecimal format
+      return await this.pool.request('blockchain_transaction_get', txid);
+    } catch (error) {
+      logger.error(`Failed to get raw transaction ${txid}: ${error.message}`);
+      throw new Error(`Failed to get raw transaction ${txid}: ${error.message}`);
+    }
+  }
+  
   /**
    * Clean up resources used by the transceiver
    * @returns {Promise<void>}
@@ -668,23 +754,13 @@ class SPVTransceiver extends UTXOTransceiver {
     logger.debug('Cleaning up SPV transceiver resources');
     
     try {
-      // Stop all monitoring intervals
-      for (const [address, intervalId] of this.monitoringIntervals.entries()) {
-        clearInterval(intervalId);
-        this.monitoringIntervals.delete(address);
-      }
-      
-      // Clear all monitored addresses
-      this.monitoredAddresses.clear();
-      
-      // Clear all subscriptions
+      // Clear all subscriptions, and stop polling
       this.subscriptions.clear();
       
-      // Close the Electrum client connection
-      if (this.client && this.connected) {
-        await this.client.close();
-        this.client = null;
-        this.connected = false;
+      // Close the Electrum server connections
+      if (this.pool) {
+        await this.pool.close();
+        this.pool = null;
       }
       
       logger.info('SPV transceiver resources cleaned up successfully');
@@ -736,6 +812,19 @@ class SPVTransceiver extends UTXOTransceiver {
     return timestamp;
   }
   
+  /**
+   * Get the hash of a block from its header
+   * @param {string} header The block header
+   * @returns {string} The block hash, in the byte order block explorers show
+   * @private
+   */
+  _getBlockHash(header) {
+    const crypto = require('crypto');
+    const first = crypto.createHash('sha256').update(Buffer.from(header, 'hex')).digest();
+    
+    return crypto.createHash('sha256').update(first).digest().reverse().toString('hex');
+  }
+  
   /**
    * Check if an address is in a transaction output
    * @param {string} address The address to check
@@ -53,6 +53,9 @@ export interface UTXOTransceiver {
   getWalletBalance(address: string): Promise<number>;
   getTransactionHistory(address: string, limit?: number): Promise<any[]>;
   getUTXOs(address: string): Promise<UTXOInput[]>;
+  estimateFeeRate?(targetBlocks: number): Promise<number | null>;
+  getRawTransaction?(txid: string): Promise<string>;
+  getTransactionStatus?(txid: string): Promise<{ txid: string; inMempool?: boolean; confirmations: number; blockHeight: number | null; blockHash: string | null } | null>;
   on(event: string, listener: Function): void;
   off(event: string, listener: Function): void;
   emit(event: string, ...args: any[]): void;
@@ -70,6 +73,44 @@ export interface SPVTransceiver extends UTXOTransceiver {
   monitoringInterval: number;
   reconnectInterval: number;
   maxReconnectAttempts: number;
+  servers: ElectrumServerConfig[];
+  getServerHealth(): ElectrumServerHealth[];
+}
+
+/**
+ * Electrum server configuration interface
+ */
+export interface ElectrumServerConfig {
+  server: string;
+  port?: number;
+  protocol?: 'ssl' | 'tls' | 'tcp';
+}
+
+/**
+ * Electrum server pool settings interface
+ */
+export interface ElectrumServerPoolConfig {
+  crossCheck?: boolean;
+  maxHeightLag?: number;
+  maxErrorRate?: number;
+  healthCheckInterval?: number;
+  banTime?: number;
+}
+
+/**
+ * Electrum server health interface
+ */
+export interface ElectrumServerHealth {
+  id: string;
+  connected: boolean;
+  primary: boolean;
+  height: number | null;
+  lag: number;
+  latency: number | null;
+  errorRate: number;
+  score: number;
+  bannedUntil: number | null;
+  lastError: string | null;
 }
 
 /**